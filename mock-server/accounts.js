@@ -0,0 +1,156 @@
+// mock-server/accounts.js - Where money is kept (bank accounts, cards, wallets) and transfers between them
+const { db, findById, onChange } = require('./store');
+const { notify } = require('./people');
+const { DEFAULT_SETTINGS } = require('./seed');
+const { baseCurrencyOf, formatMoney } = require('./fx');
+
+const ACCOUNT_TYPES = ['bank', 'card', 'wallet', 'cash', 'upi'];
+
+const accountsOf = (userId) => db.accounts.filter(account => account.userId === userId);
+
+const ownedAccount = (userId, accountId) => {
+  const account = findById('accounts', accountId);
+  return account && account.userId === userId ? account : null;
+};
+
+/**
+ * Check the account a transaction or transfer is recorded against
+ * @param {string} userId - Owner _id
+ * @param {string|null} accountId - Account _id; empty means "no account"
+ * @returns {string|null} Error message
+ */
+const checkAccount = (userId, accountId) => {
+  if (accountId === undefined || accountId === null || accountId === '') return null;
+  const account = ownedAccount(userId, accountId);
+  if (!account) return 'Account not found';
+  if (account.archived) return `${account.name} is archived`;
+  return null;
+};
+
+// ==============================
+// BALANCES
+// ==============================
+
+/**
+ * How much a record moves the combined balance of some accounts. Income adds and expense
+ * subtracts; a transfer between two of the accounts nets to zero, so it is neither.
+ * @param {Set<string>} accountIds - Accounts being totalled
+ * @param {string} collection - accounts, transactions or transfers
+ * @param {object} record - Record from that collection
+ * @returns {number}
+ */
+const effectOn = (accountIds, collection, record) => {
+  const amount = Number(collection === 'accounts' ? record.openingBalance : record.amount) || 0;
+  if (collection === 'accounts') return accountIds.has(record._id) ? amount : 0;
+  if (collection === 'transactions') {
+    if (!accountIds.has(record.accountId)) return 0;
+    return record.type === 'income' ? amount : -amount;
+  }
+  if (collection === 'transfers') {
+    return (accountIds.has(record.toAccountId) ? amount : 0) - (accountIds.has(record.fromAccountId) ? amount : 0);
+  }
+  return 0;
+};
+
+const balanceOfIds = (userId, accountIds) => [
+  ...accountsOf(userId).map(record => effectOn(accountIds, 'accounts', record)),
+  ...db.transactions.filter(tx => tx.userId === userId).map(record => effectOn(accountIds, 'transactions', record)),
+  ...db.transfers.filter(transfer => transfer.userId === userId).map(record => effectOn(accountIds, 'transfers', record))
+].reduce((sum, amount) => sum + amount, 0);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * An account as the client reads it, with its current balance
+ */
+const toAccountView = (account) => ({
+  ...account,
+  balance: roundMoney(balanceOfIds(account.userId, new Set([account._id])))
+});
+
+/**
+ * Everything that moved money in or out of an account, oldest first, each with the balance after it
+ * @param {object} account - Account record
+ * @returns {Array} [{ kind, _id, date, title, amount, balance }]; amount is signed
+ */
+const runningBalance = (account) => {
+  const ids = new Set([account._id]);
+  const movements = [
+    ...db.transactions
+      .filter(tx => tx.userId === account.userId && tx.accountId === account._id)
+      .map(tx => ({ kind: 'transaction', _id: tx._id, date: tx.date, title: tx.title, category: tx.category, amount: effectOn(ids, 'transactions', tx) })),
+    ...db.transfers
+      .filter(transfer => transfer.fromAccountId === account._id || transfer.toAccountId === account._id)
+      .map(transfer => {
+        const outgoing = transfer.fromAccountId === account._id;
+        const other = findById('accounts', outgoing ? transfer.toAccountId : transfer.fromAccountId);
+        return {
+          kind: 'transfer',
+          _id: transfer._id,
+          date: transfer.date,
+          title: transfer.note || `${outgoing ? 'Transfer to' : 'Transfer from'} ${other?.name || 'another account'}`,
+          category: null,
+          amount: effectOn(ids, 'transfers', transfer)
+        };
+      })
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = Number(account.openingBalance) || 0;
+  return movements.map(movement => {
+    balance += movement.amount;
+    return { ...movement, balance: roundMoney(balance) };
+  });
+};
+
+// ==============================
+// LOW BALANCE ALERTS
+// ==============================
+
+// The alert watches one account when the user picked one, otherwise the total of their open accounts
+const alertTarget = (userId, settings) => {
+  const chosen = settings.lowBalanceAccountId && ownedAccount(userId, settings.lowBalanceAccountId);
+  if (chosen) return { ids: new Set([chosen._id]), label: chosen.name, accountId: chosen._id };
+  const open = accountsOf(userId).filter(account => !account.archived);
+  return open.length > 0 ? { ids: new Set(open.map(account => account._id)), label: 'your accounts', accountId: null } : null;
+};
+
+/**
+ * Notify a user when a write takes the watched balance from at or above their threshold to below it
+ * @returns {Function} Stop watching
+ */
+const watchLowBalances = () => onChange(({ collection, action, record, previous }) => {
+  if (!['accounts', 'transactions', 'transfers'].includes(collection) || !record?.userId) return;
+
+  const settings = { ...DEFAULT_SETTINGS, ...db.settings.find(entry => entry.userId === record.userId) };
+  const threshold = Number(settings.lowBalanceThreshold) || 0;
+  if (!settings.lowBalanceAlert) return;
+
+  const target = alertTarget(record.userId, settings);
+  if (!target) return;
+
+  const after = balanceOfIds(record.userId, target.ids);
+  let before = after;
+  if (action === 'created') before = after - effectOn(target.ids, collection, record);
+  if (action === 'updated') before = after - effectOn(target.ids, collection, record) + effectOn(target.ids, collection, previous);
+  if (action === 'deleted') before = after + effectOn(target.ids, collection, record);
+
+  if (before >= threshold && after < threshold) {
+    const currency = baseCurrencyOf(record.userId);
+    notify(record.userId, {
+      type: 'low_balance',
+      title: 'Low balance',
+      message: `The balance of ${target.label} is down to ${formatMoney(after, currency)}, below your alert threshold of ${formatMoney(threshold, currency)}`,
+      data: { accountId: target.accountId, balance: roundMoney(after), threshold, currency }
+    });
+  }
+});
+
+module.exports = {
+  ACCOUNT_TYPES,
+  accountsOf,
+  ownedAccount,
+  checkAccount,
+  toAccountView,
+  runningBalance,
+  watchLowBalances
+};
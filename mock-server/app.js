@@ -0,0 +1,92 @@
+// mock-server/app.js - Express app mirroring the backend routes the client calls
+const express = require('express');
+const cors = require('cors');
+const { db, reset } = require('./store');
+const { requireAuth, sendError } = require('./auth');
+const { filterTransactions } = require('./ledger');
+const { forecastExpenses } = require('./ml');
+const { trackActor } = require('./history');
+
+const startedAt = Date.now();
+
+const healthPayload = () => ({
+  success: true,
+  status: 'healthy',
+  service: 'mock-server',
+  version: 'mock',
+  timestamp: new Date().toISOString(),
+  uptime: Math.round((Date.now() - startedAt) / 1000)
+});
+
+/**
+ * Build the API app
+ * @param {object} options - { latency: ms added to every response, log: print each request }
+ * @returns {import('express').Express}
+ */
+const createApp = ({ latency = 0, log = false } = {}) => {
+  const app = express();
+
+  app.use(cors({ origin: true, credentials: true }));
+  app.use(express.json({ limit: '10mb' }));
+  // Lets the change history know which user made each write
+  app.use(trackActor);
+
+  if (log) {
+    app.use((req, res, next) => {
+      const start = Date.now();
+      res.on('finish', () => console.log(`🧪 Mock: ${req.method} ${req.originalUrl} → ${res.statusCode} (${Date.now() - start}ms)`));
+      next();
+    });
+  }
+
+  // Simulated network delay to surface loading states and races
+  if (latency > 0) {
+    app.use((req, res, next) => setTimeout(next, latency));
+  }
+
+  app.get('/health', (req, res) => res.json(healthPayload()));
+  app.get('/api/health', (req, res) => res.json(healthPayload()));
+
+  // Test hook: restore the seeded dataset (or start empty) between runs
+  app.post('/__mock/reset', (req, res) => {
+    reset({ empty: req.body?.empty === true });
+    res.json({ success: true, users: db.users.length, transactions: db.transactions.length });
+  });
+
+  app.use('/api/auth', require('./routes/auth'));
+  app.use('/api/transactions', require('./routes/transactions'));
+  app.use('/api/accounts', require('./routes/accounts'));
+  app.use('/api/recurring-transactions', require('./routes/recurring'));
+  app.use('/api/budgets', require('./routes/budgets'));
+  app.use('/api/categories', require('./routes/categories'));
+  app.use('/api/debts', require('./routes/debts'));
+  app.use('/api/split-expenses', require('./routes/splitExpenses'));
+  app.use('/api/groups', require('./routes/groups'));
+  app.use('/api/friends', require('./routes/friends'));
+  app.use('/api/notifications', require('./routes/notifications'));
+  app.use('/api/users', require('./routes/users'));
+  app.use('/api/expenses', require('./routes/expenses'));
+  app.use('/api/attachments', require('./routes/attachments'));
+  app.use('/api/settings', require('./routes/settings'));
+  app.use('/api/saved-views', require('./routes/savedViews'));
+  app.use('/api/trash', require('./routes/trash'));
+  app.use('/api/history', require('./routes/history'));
+  app.use('/api/fx', require('./routes/fx'));
+  app.use('/api/category-rules', require('./routes/categoryRules'));
+
+  app.get('/api/forecast', requireAuth, (req, res) => {
+    res.json(forecastExpenses(filterTransactions(req.user._id), req.query.days));
+  });
+
+  app.use((req, res) => sendError(res, 404, `Mock server has no route for ${req.method} ${req.path}`));
+
+  app.use((error, req, res, next) => {
+    console.error('❌ Mock: Unhandled error:', error);
+    const status = error.status || error.statusCode || 500;
+    sendError(res, status, status === 500 ? 'Internal server error' : error.message);
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
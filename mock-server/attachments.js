@@ -0,0 +1,81 @@
+// mock-server/attachments.js - Receipt files kept on transactions and split expenses
+const { db, findById, update, remove, removeWhere, onChange } = require('./store');
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'application/pdf'];
+// Thumbnails are small data URLs made by the client; anything bigger is not a thumbnail
+const MAX_THUMBNAIL_LENGTH = 200 * 1024;
+
+// Which records can carry attachments
+const OWNER_COLLECTIONS = {
+  transaction: 'transactions',
+  splitExpense: 'splitExpenses'
+};
+
+// The file bytes stay out of every response except the download itself
+const toView = ({ data, ...attachment }) => attachment;
+
+// What the owning record carries, so lists can show thumbnails without another request
+const toSummary = (attachment) => ({
+  _id: attachment._id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  thumbnail: attachment.thumbnail,
+  createdAt: attachment.createdAt
+});
+
+const attachmentsOf = (ownerType, ownerId) =>
+  db.attachments.filter(attachment => attachment.ownerType === ownerType && attachment.ownerId === ownerId);
+
+/**
+ * Refresh the attachment summaries stored on the owning record
+ * @param {string} ownerType - transaction or splitExpense
+ * @param {string} ownerId - Owner _id
+ * @returns {object|null} Updated owner
+ */
+const syncOwner = (ownerType, ownerId) => {
+  const collection = OWNER_COLLECTIONS[ownerType];
+  if (!collection || !findById(collection, ownerId)) return null;
+  return update(collection, ownerId, { attachments: attachmentsOf(ownerType, ownerId).map(toSummary) });
+};
+
+/**
+ * Re-home attachments, e.g. when a duplicate is merged into its original
+ */
+const moveAttachments = (ownerType, fromId, toId) => {
+  const moving = attachmentsOf(ownerType, fromId);
+  if (moving.length === 0) return;
+  moving.forEach(attachment => update('attachments', attachment._id, { ownerId: toId }));
+  syncOwner(ownerType, fromId);
+  syncOwner(ownerType, toId);
+};
+
+const removeAttachment = (attachment) => {
+  remove('attachments', attachment._id);
+  syncOwner(attachment.ownerType, attachment.ownerId);
+};
+
+/**
+ * Delete a record's attachments whenever the record itself is deleted, whichever route did it
+ * @returns {Function} Stop watching
+ */
+const watchAttachmentOwners = () => onChange(({ collection, action, record }) => {
+  if (action !== 'deleted') return;
+  const ownerType = Object.keys(OWNER_COLLECTIONS).find(type => OWNER_COLLECTIONS[type] === collection);
+  if (!ownerType) return;
+  removeWhere('attachments', attachment => attachment.ownerType === ownerType && attachment.ownerId === record._id);
+});
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  ACCEPTED_MIME_TYPES,
+  MAX_THUMBNAIL_LENGTH,
+  OWNER_COLLECTIONS,
+  toView,
+  attachmentsOf,
+  syncOwner,
+  moveAttachments,
+  removeAttachment,
+  watchAttachmentOwners
+};
@@ -0,0 +1,109 @@
+// mock-server/auth.js - JWT issuing and verification for the mock backend
+const jwt = require('jsonwebtoken');
+const { db, findById } = require('./store');
+
+const JWT_SECRET = process.env.MOCK_JWT_SECRET || 'mock-server-dev-secret';
+const TOKEN_TTL = process.env.MOCK_TOKEN_TTL || '1h';
+
+// Expired tokens can still be exchanged for a fresh one within this window
+const REFRESH_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+// Tokens invalidated by logout, kept until the process restarts
+const revokedTokens = new Set();
+
+const signToken = (user) =>
+  jwt.sign({ userId: user._id, email: user.email, name: user.name }, JWT_SECRET, { expiresIn: TOKEN_TTL });
+
+const extractToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+const sendError = (res, status, message, extra = {}) =>
+  res.status(status).json({ success: false, message, error: message, ...extra });
+
+// Never return password hashes (or plain mock passwords) to the client
+const toPublicUser = (user) => {
+  if (!user) return null;
+  const { password, resetToken, ...publicUser } = user;
+  return publicUser;
+};
+
+const toUserSummary = (user) => user
+  ? { _id: user._id, id: user._id, name: user.name, email: user.email, userId: user.userId, profilePicture: user.profilePicture || null }
+  : null;
+
+const verifyToken = (token, options = {}) => {
+  if (!token || revokedTokens.has(token)) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET, options);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Resolve the user a token belongs to
+ * @returns {object|null} User record, or null for a missing, revoked or expired token
+ */
+const authenticateToken = (token) => {
+  const payload = verifyToken(token);
+  return (payload && findById('users', payload.userId)) || null;
+};
+
+/**
+ * Require a valid bearer token; attaches req.user and req.token
+ */
+const requireAuth = (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    return sendError(res, 401, 'No authentication token provided', { code: 'NO_TOKEN' });
+  }
+
+  const user = authenticateToken(token);
+  if (!user) {
+    return sendError(res, 401, 'Invalid or expired token', { code: 'INVALID_TOKEN' });
+  }
+
+  req.user = user;
+  req.token = token;
+  next();
+};
+
+/**
+ * Exchange a current (or recently expired) token for a fresh one
+ * @returns {object|null} { token, user } or null when the session cannot be renewed
+ */
+const refreshToken = (token) => {
+  const payload = verifyToken(token, { ignoreExpiration: true });
+  if (!payload) return null;
+
+  const expiredFor = Math.floor(Date.now() / 1000) - (payload.exp || 0);
+  if (expiredFor > REFRESH_GRACE_SECONDS) return null;
+
+  const user = findById('users', payload.userId);
+  if (!user) return null;
+
+  revokedTokens.add(token);
+  return { token: signToken(user), user };
+};
+
+const revokeToken = (token) => {
+  if (token) revokedTokens.add(token);
+};
+
+const findUserByEmail = (email = '') =>
+  db.users.find(user => user.email.toLowerCase() === String(email).trim().toLowerCase()) || null;
+
+module.exports = {
+  signToken,
+  extractToken,
+  sendError,
+  toPublicUser,
+  toUserSummary,
+  authenticateToken,
+  requireAuth,
+  refreshToken,
+  revokeToken,
+  findUserByEmail
+};
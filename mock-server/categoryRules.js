@@ -0,0 +1,223 @@
+// mock-server/categoryRules.js - Auto-categorisation rules, and re-running them over the ledger
+//
+// Rules are evaluated on the client as entries are made (src/utils/categoryRules.js); this mirrors
+// that evaluation so a rule can be applied to transactions that already exist.
+const { db, update } = require('./store');
+const { MAX_TAGS, normalizeTags, validateTags } = require('./tags');
+const { checkAccount } = require('./accounts');
+
+const VALID_TYPES = ['income', 'expense'];
+// Mirrors PAYMENT_MODES in src/config/categoryConfig.js
+const PAYMENT_MODES = ['cash', 'bank', 'card', 'wallet', 'upi', 'other'];
+const MAX_NAME_LENGTH = 60;
+const MAX_WORDS = 20;
+// Changes listed in a run's response; the count covers all of them
+const MAX_PREVIEW = 200;
+
+const lower = (value) => String(value || '').toLowerCase();
+
+const wordsOf = (value) => ` ${lower(value).replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const titleOf = (entry) => `${entry.title || ''} ${entry.description || ''}`;
+
+const isSplit = (entry) => Array.isArray(entry.categoryLines) && entry.categoryLines.length > 0;
+
+const addTags = (tags, added) => normalizeTags([...(tags || []), ...added]).slice(0, MAX_TAGS);
+
+const rulesOf = (userId) => db.categoryRules
+  .filter(rule => rule.userId === userId)
+  .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+
+const hasConditions = ({ title, merchant, minAmount, maxAmount, paymentModes }) =>
+  title.length > 0 || merchant.length > 0 || minAmount !== null || maxAmount !== null || paymentModes.length > 0;
+
+const toWords = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(word => String(word).trim().toLowerCase()).filter(Boolean))];
+};
+
+const toAmount = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Conditions and actions as stored, from a request body merged over the existing rule
+ * @param {object} body - { name, enabled, conditions, actions }
+ * @param {object|null} existing - Rule being updated
+ * @returns {object} { name, enabled, conditions, actions }
+ */
+const normalizeRule = (body, existing = null) => {
+  const conditions = { ...existing?.conditions, ...body.conditions };
+  const actions = { ...existing?.actions, ...body.actions };
+  return {
+    name: String(body.name ?? existing?.name ?? '').trim(),
+    enabled: body.enabled !== undefined ? body.enabled !== false : existing?.enabled !== false,
+    conditions: {
+      title: toWords(conditions.title),
+      merchant: toWords(conditions.merchant),
+      minAmount: toAmount(conditions.minAmount),
+      maxAmount: toAmount(conditions.maxAmount),
+      paymentModes: toWords(conditions.paymentModes),
+      type: conditions.type || null
+    },
+    actions: {
+      category: String(actions.category || '').trim() || null,
+      tags: normalizeTags(actions.tags),
+      accountId: actions.accountId || null
+    }
+  };
+};
+
+/**
+ * Check a rule as it would be stored
+ * @param {string} userId - Owner, for the name and account checks
+ * @param {object} rule - From normalizeRule
+ * @param {string|null} id - Rule being updated
+ * @returns {string|null} Error message
+ */
+const validateRule = (userId, rule, id = null) => {
+  const { conditions, actions } = rule;
+  if (!rule.name) return 'Rule name is required';
+  if (rule.name.length > MAX_NAME_LENGTH) return `Rule name must be at most ${MAX_NAME_LENGTH} characters`;
+  if (rulesOf(userId).some(other => other._id !== id && other.name.toLowerCase() === rule.name.toLowerCase())) {
+    return `You already have a rule called ${rule.name}`;
+  }
+
+  if (!hasConditions(conditions)) return 'A rule needs at least one condition on the title, merchant, amount or payment mode';
+  if (conditions.title.length > MAX_WORDS || conditions.merchant.length > MAX_WORDS) {
+    return `At most ${MAX_WORDS} words per condition`;
+  }
+  if ([conditions.minAmount, conditions.maxAmount].some(amount => amount !== null && !(amount >= 0))) {
+    return 'Amounts must be zero or more';
+  }
+  if (conditions.minAmount !== null && conditions.maxAmount !== null && conditions.minAmount > conditions.maxAmount) {
+    return 'The lowest amount must not be above the highest';
+  }
+  const unknownMode = conditions.paymentModes.find(mode => !PAYMENT_MODES.includes(mode));
+  if (unknownMode) return `Payment mode must be one of: ${PAYMENT_MODES.join(', ')}`;
+  if (conditions.type !== null && !VALID_TYPES.includes(conditions.type)) {
+    return `Type must be one of: ${VALID_TYPES.join(', ')}`;
+  }
+
+  if (!actions.category && actions.tags.length === 0 && !actions.accountId) {
+    return 'A rule needs to set a category, add tags or pick an account';
+  }
+  // Categories belong to one type, so "Food" must not end up on a salary
+  if (actions.category && !conditions.type) return 'A rule that sets a category must say whether it is for expenses or income';
+  return validateTags(actions.tags) || checkAccount(userId, actions.accountId);
+};
+
+const matchesRule = (entry, { conditions }) => {
+  const { title, merchant, minAmount, maxAmount, paymentModes, type } = conditions;
+  if (!hasConditions(conditions)) return false;
+
+  if (title.length > 0 && !title.some(word => lower(titleOf(entry)).includes(word))) return false;
+  if (merchant.length > 0) {
+    const words = wordsOf(entry.merchant || titleOf(entry));
+    if (!merchant.some(name => words.includes(wordsOf(name)))) return false;
+  }
+  const amount = Number(entry.amount);
+  if (minAmount !== null && !(amount >= minAmount)) return false;
+  if (maxAmount !== null && !(amount <= maxAmount)) return false;
+  if (paymentModes.length > 0 && !paymentModes.includes(entry.paymentMode)) return false;
+  if (type && entry.type !== type) return false;
+  return true;
+};
+
+// Longest category keyword found in the title, as /categories/suggest picks one
+const keywordCategory = (entry, categories) => {
+  const text = lower(titleOf(entry));
+  let best = null;
+  categories
+    .filter(category => category.type === entry.type)
+    .forEach(category => (category.keywords || []).forEach(keyword => {
+      if (keyword && text.includes(keyword) && (!best || keyword.length > best.keyword.length)) {
+        best = { category, keyword };
+      }
+    }));
+  return best;
+};
+
+/**
+ * Run rules over one transaction
+ * @param {object} entry - Transaction
+ * @param {Array} rules - Rules in the order they apply
+ * @param {Array} categories - Categories whose keywords apply after the rules; empty to skip them
+ * @returns {object} { category, tags, accountId, matched: [rule names] }
+ */
+const evaluateRules = (entry, rules, categories = []) => {
+  const result = { category: null, tags: [], accountId: null, matched: [] };
+  rules.filter(rule => rule.enabled !== false && matchesRule(entry, rule)).forEach(rule => {
+    result.category = result.category || rule.actions.category;
+    result.accountId = result.accountId || rule.actions.accountId;
+    result.tags = addTags(result.tags, rule.actions.tags);
+    result.matched.push(rule.name);
+  });
+
+  if (!result.category) {
+    const keyword = keywordCategory(entry, categories);
+    if (keyword) {
+      result.category = keyword.category.name;
+      result.matched.push(`keyword "${keyword.keyword}"`);
+    }
+  }
+  return result;
+};
+
+// Same rules as the client: a category or account already chosen is only replaced on overwrite
+const ruleChanges = (entry, result, overwrite) => {
+  const changes = {};
+  const uncategorised = !entry.category || entry.category === 'Other';
+  if (result.category && result.category !== entry.category && !isSplit(entry) && (overwrite || uncategorised)) {
+    changes.category = result.category;
+  }
+  const tags = addTags(entry.tags, result.tags);
+  if (tags.length !== (entry.tags || []).length) changes.tags = tags;
+  if (result.accountId && result.accountId !== entry.accountId && (overwrite || !entry.accountId)) {
+    changes.accountId = result.accountId;
+  }
+  return changes;
+};
+
+/**
+ * Apply rules to the transactions a user already has. Every change goes through the store, so it
+ * is pushed to open clients and shows in each transaction's history.
+ * @param {string} userId - Owner
+ * @param {object} options - { ruleIds: only these rules (category keywords are then left out),
+ *   overwrite: replace categories and accounts already chosen, dryRun: only report, from, to }
+ * @returns {object} { changes: [{ transactionId, title, date, changes, previous, rules }], count }
+ *   where changes lists the most recent ones and count is the full number
+ */
+const runRules = (userId, { ruleIds = null, overwrite = false, dryRun = false, from = null, to = null } = {}) => {
+  const rules = rulesOf(userId).filter(rule => !ruleIds || ruleIds.includes(rule._id));
+  const categories = ruleIds ? [] : db.categories.filter(category => category.userId === userId);
+
+  const changes = db.transactions
+    .filter(tx => tx.userId === userId &&
+      (!from || new Date(tx.date) >= new Date(from)) &&
+      (!to || new Date(tx.date) <= new Date(to)))
+    .map(tx => {
+      const result = evaluateRules(tx, rules, categories);
+      const fields = ruleChanges(tx, result, overwrite);
+      if (Object.keys(fields).length === 0) return null;
+      return {
+        transactionId: tx._id,
+        title: tx.title || tx.description,
+        date: tx.date,
+        changes: fields,
+        previous: Object.fromEntries(Object.keys(fields).map(field => [field, tx[field] ?? null])),
+        rules: result.matched
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  if (!dryRun) changes.forEach(change => update('transactions', change.transactionId, change.changes));
+  return { changes: changes.slice(0, MAX_PREVIEW), count: changes.length };
+};
+
+module.exports = {
+  rulesOf,
+  normalizeRule,
+  validateRule,
+  evaluateRules,
+  runRules
+};
@@ -0,0 +1,133 @@
+// mock-server/duplicates.js - Fuzzy matching of transactions that were probably entered twice
+const { db, update } = require('./store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Same amount within this many days is close enough to be the same purchase
+const WINDOW_DAYS = 3;
+// Share of the shorter title's words that must also appear in the other title
+const MIN_TITLE_SIMILARITY = 0.5;
+
+// Words bank feeds and receipt scans add that say nothing about the merchant
+const NOISE_WORDS = new Set([
+  'upi', 'pos', 'neft', 'imps', 'rtgs', 'ach', 'txn', 'ref', 'payment', 'paid', 'purchase',
+  'to', 'from', 'at', 'the', 'and', 'for', 'via', 'debit', 'credit', 'card', 'online', 'india', 'pvt', 'ltd'
+]);
+
+const wordsOf = (tx) => new Set(
+  [tx.title, tx.description]
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !NOISE_WORDS.has(word))
+);
+
+/**
+ * How alike two titles are: the share of the shorter one's words found in the other, so
+ * "Swiggy" and "UPI/SWIGGY BANGALORE" match fully
+ * @returns {number} 0..1
+ */
+const titleSimilarity = (a, b) => {
+  const wordsA = wordsOf(a);
+  const wordsB = wordsOf(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size);
+};
+
+const sameAmount = (a, b) => Math.abs((Number(a.amount) || 0) - (Number(b.amount) || 0)) < 0.005;
+
+/**
+ * Score one pair of transactions
+ * @returns {object|null} { score, reasons } or null when they are not alike enough
+ */
+const compare = (candidate, existing) => {
+  // The bank's own transaction id is conclusive either way
+  if (candidate.externalId && existing.externalId) {
+    return candidate.externalId === existing.externalId ? { score: 1, reasons: ['same bank reference'] } : null;
+  }
+  if (candidate.type !== existing.type || !sameAmount(candidate, existing)) return null;
+
+  const days = Math.abs(new Date(candidate.date) - new Date(existing.date)) / DAY_MS;
+  if (days > WINDOW_DAYS) return null;
+
+  const similarity = titleSimilarity(candidate, existing);
+  if (similarity < MIN_TITLE_SIMILARITY) return null;
+
+  const reasons = ['same amount', days < 1 ? 'same day' : `${Math.round(days)} day(s) apart`];
+  if (similarity === 1) reasons.push('same merchant');
+  else reasons.push('similar title');
+
+  const closeness = 1 - days / (WINDOW_DAYS + 1);
+  return { score: Math.round((similarity * 0.6 + closeness * 0.4) * 100) / 100, reasons };
+};
+
+/**
+ * Earlier transactions a new one looks like, best match first. Rows from the same import are
+ * not compared with each other (a statement does not repeat itself), and rows already flagged
+ * point at their original instead of being originals themselves.
+ * @param {string} userId - Owner _id
+ * @param {object} candidate - Transaction (saved or not)
+ * @returns {Array} [{ transaction, score, reasons }]
+ */
+const findDuplicates = (userId, candidate) => db.transactions
+  .filter(tx => tx.userId === userId && tx._id !== candidate._id && !tx.duplicateOf)
+  .filter(tx => !candidate.importBatchId || tx.importBatchId !== candidate.importBatchId)
+  .map(tx => ({ transaction: tx, ...compare(candidate, tx) }))
+  .filter(match => match.score !== undefined)
+  .sort((a, b) => b.score - a.score);
+
+/**
+ * Fields to store on a new transaction: which earlier one it probably repeats
+ * @returns {object} { duplicateOf, duplicateScore, duplicateReasons } (nulls when it looks new)
+ */
+const duplicateFields = (userId, candidate) => {
+  const [best] = findDuplicates(userId, candidate);
+  return best
+    ? { duplicateOf: best.transaction._id, duplicateScore: best.score, duplicateReasons: best.reasons }
+    : { duplicateOf: null, duplicateScore: null, duplicateReasons: [] };
+};
+
+/**
+ * Merge a duplicate into its original: the original keeps its own values and gains whatever
+ * only the duplicate had (notes, a category more specific than Other or a category split, the
+ * bank reference)
+ * @returns {object} Changes for the original
+ */
+const mergeFields = (original, duplicate) => {
+  const changes = {};
+  if ((!original.category || original.category === 'Other') && duplicate.category && duplicate.category !== 'Other') {
+    changes.category = duplicate.category;
+  }
+  // Duplicates have the same amount, so the repeat's split fits the original as it is
+  if (!original.categoryLines?.length && duplicate.categoryLines?.length) {
+    changes.categoryLines = duplicate.categoryLines;
+    changes.category = duplicate.category;
+  }
+  if (!original.paymentMode && duplicate.paymentMode) changes.paymentMode = duplicate.paymentMode;
+  if (!original.externalId && duplicate.externalId) changes.externalId = duplicate.externalId;
+  if (duplicate.notes && !String(original.notes || '').includes(duplicate.notes)) {
+    changes.notes = [original.notes, duplicate.notes].filter(Boolean).join('\n');
+  }
+  return changes;
+};
+
+/**
+ * Clear the flag on repeats whose original is gone, since they are no longer a repeat of anything
+ * @param {Array<string>} ids - Transactions that were deleted or merged away
+ */
+const releaseDuplicatesOf = (ids) => {
+  db.transactions
+    .filter(tx => tx.duplicateOf && ids.includes(tx.duplicateOf))
+    .forEach(tx => update('transactions', tx._id, { duplicateOf: null, duplicateScore: null, duplicateReasons: [] }));
+};
+
+module.exports = {
+  WINDOW_DAYS,
+  titleSimilarity,
+  findDuplicates,
+  duplicateFields,
+  mergeFields,
+  releaseDuplicatesOf
+};
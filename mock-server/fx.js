@@ -0,0 +1,139 @@
+// mock-server/fx.js - Converting transactions into the user's base currency
+//
+// A transaction keeps what was entered (originalAmount in currency) and stores `amount` in the
+// base currency of its owner, converted at the rate on its date. Every total, balance and budget
+// sums `amount`, so they stay in one currency however the ledger was entered.
+const { db, update } = require('./store');
+const { DEFAULT_SETTINGS } = require('./seed');
+const { FX_CURRENCIES, HISTORICAL_RATES, roundMoney, formatMoney, rateBetween } = require('./fxRates');
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+const baseCurrencyOf = (userId) =>
+  db.settings.find(entry => entry.userId === userId)?.currency || DEFAULT_SETTINGS.currency;
+
+/**
+ * Built-in snapshots merged with the user's own (the fxRates collection); on the same day the
+ * user's rates win
+ * @param {string} userId - Owner of the custom snapshots
+ * @returns {Array} [{ date, rates, custom }] sorted by date; custom lists the currencies the
+ *   user set that day
+ */
+const rateTableFor = (userId) => {
+  const byDate = new Map(HISTORICAL_RATES.map(([date, rates]) => [date, { date, rates, custom: [] }]));
+  db.fxRates
+    .filter(entry => entry.userId === userId)
+    .forEach(entry => {
+      const current = byDate.get(entry.date);
+      byDate.set(entry.date, { date: entry.date, rates: { ...current?.rates, ...entry.rates }, custom: Object.keys(entry.rates) });
+    });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const rateFor = (userId, from, to, date) => rateBetween(rateTableFor(userId), from, to, date);
+
+const convertFor = (userId, amount, from, to, date) => {
+  const rate = rateFor(userId, from, to, date);
+  return rate === null ? null : roundMoney(Number(amount) * rate);
+};
+
+// What the user entered, for records saved before they had an original currency
+const originalAmountOf = (tx) => tx.originalAmount ?? tx.amount;
+
+const originalLinesOf = (tx) => (tx.categoryLines || []).map(({ originalAmount, ...line }) => ({
+  ...line,
+  amount: originalAmount ?? line.amount
+}));
+
+const validateCurrency = (currency) => (currency === undefined || FX_CURRENCIES.includes(String(currency).toUpperCase())
+  ? null
+  : `Currency must be one of: ${FX_CURRENCIES.join(', ')}`);
+
+// Converted lines must still add up to the converted amount, so the largest absorbs the rounding
+const convertLines = (lines, rate, total) => {
+  if (lines.length === 0) return [];
+  const converted = lines.map(line => ({ ...line, originalAmount: line.amount, amount: roundMoney(line.amount * rate) }));
+  const drift = toCents(total) - converted.reduce((sum, line) => sum + toCents(line.amount), 0);
+  const largest = converted.reduce((best, line) => (line.amount > best.amount ? line : best));
+  largest.amount = (toCents(largest.amount) + drift) / 100;
+  return converted;
+};
+
+/**
+ * Fields a transaction stores for its amount: what was entered and its value in the base currency.
+ * Amounts in the body are in the transaction's currency.
+ * @param {string} userId - Owner
+ * @param {object} body - Normalized create or update body
+ * @param {object|null} existing - Transaction being updated
+ * @param {string} base - Base currency to convert into; the owner's current one by default
+ * @returns {object|null} { amount, currency, originalAmount, fxRate, baseCurrency, categoryLines? },
+ *   or null when the body changes nothing the conversion depends on
+ */
+const conversionFields = (userId, body, existing = null, base = baseCurrencyOf(userId)) => {
+  const touched = ['amount', 'currency', 'date', 'categoryLines'].some(field => body[field] !== undefined);
+  if (existing && !touched && existing.baseCurrency === base) return null;
+
+  const currency = body.currency || existing?.currency || base;
+  const originalAmount = body.amount !== undefined ? Number(body.amount) : originalAmountOf(existing);
+  const fxRate = rateFor(userId, currency, base, body.date || existing?.date);
+  if (fxRate === null) return null;
+
+  const amount = roundMoney(originalAmount * fxRate);
+  const lines = body.categoryLines !== undefined ? body.categoryLines : existing ? originalLinesOf(existing) : [];
+  return {
+    amount,
+    currency,
+    originalAmount,
+    fxRate,
+    baseCurrency: base,
+    ...((body.categoryLines !== undefined || existing?.categoryLines?.length) && { categoryLines: convertLines(lines, fxRate, amount) })
+  };
+};
+
+/**
+ * Re-express a user's money in a new base currency: transactions from what was entered (at the
+ * rate on their date), and transfers, opening balances, budget limits and recurring amounts from
+ * their old base value.
+ * @param {string} userId - Owner
+ * @param {string} from - Old base currency
+ * @param {string} to - New base currency
+ * @returns {number} Transactions converted
+ */
+const rebaseLedger = (userId, from, to) => {
+  if (from === to) return 0;
+  const owned = (collection) => db[collection].filter(record => record.userId === userId);
+
+  const transactions = owned('transactions');
+  transactions.forEach(tx => {
+    // Older records have no currency of their own: they were entered in the old base
+    const legacy = tx.currency ? {} : { currency: from, originalAmount: tx.amount, fxRate: 1, baseCurrency: from };
+    const fields = conversionFields(userId, {}, { ...tx, ...legacy }, to);
+    if (fields) update('transactions', tx._id, { ...legacy, ...fields });
+  });
+
+  const today = new Date();
+  owned('transfers').forEach(transfer =>
+    update('transfers', transfer._id, { amount: convertFor(userId, transfer.amount, from, to, transfer.date) }));
+  owned('accounts').forEach(account =>
+    update('accounts', account._id, { openingBalance: convertFor(userId, account.openingBalance, from, to, account.createdAt) }));
+  owned('budgets').forEach(budget =>
+    update('budgets', budget._id, { monthlyLimit: convertFor(userId, budget.monthlyLimit, from, to, `${budget.month}-01`) }));
+  owned('recurringRules').forEach(rule =>
+    update('recurringRules', rule._id, { amount: convertFor(userId, rule.amount, from, to, today) }));
+
+  return transactions.length;
+};
+
+module.exports = {
+  FX_CURRENCIES,
+  formatMoney,
+  baseCurrencyOf,
+  rateTableFor,
+  rateFor,
+  convertFor,
+  originalAmountOf,
+  originalLinesOf,
+  validateCurrency,
+  conversionFields,
+  rebaseLedger
+};
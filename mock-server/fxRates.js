@@ -0,0 +1,68 @@
+// mock-server/fxRates.js - Built-in historical exchange rates and the arithmetic on them
+//
+// Rates are units of each currency per US dollar, as snapshots taken on the given day. A
+// conversion on any date uses the latest snapshot on or before it (the earliest one before the
+// table starts), so no outside rate service is ever needed. Users add their own snapshots
+// through /api/fx, which take precedence over these on the same day.
+
+// Mirrors the currencies CurrencyManager has symbols for
+const FX_CURRENCIES = ['INR', 'USD', 'EUR', 'JPY', 'GBP', 'CAD', 'AUD', 'CHF', 'CNY', 'SEK', 'NZD'];
+
+// Approximate quarterly snapshots; good enough to keep totals honest, not for trading
+const HISTORICAL_RATES = [
+  ['2024-01-01', { INR: 83.1, EUR: 0.91, JPY: 146.0, GBP: 0.79, CAD: 1.34, AUD: 1.49, CHF: 0.85, CNY: 7.15, SEK: 10.3, NZD: 1.60 }],
+  ['2024-04-01', { INR: 83.4, EUR: 0.93, JPY: 151.6, GBP: 0.80, CAD: 1.36, AUD: 1.53, CHF: 0.91, CNY: 7.23, SEK: 10.7, NZD: 1.67 }],
+  ['2024-07-01', { INR: 83.5, EUR: 0.93, JPY: 161.2, GBP: 0.79, CAD: 1.37, AUD: 1.50, CHF: 0.90, CNY: 7.27, SEK: 10.6, NZD: 1.64 }],
+  ['2024-10-01', { INR: 83.9, EUR: 0.90, JPY: 143.6, GBP: 0.75, CAD: 1.35, AUD: 1.44, CHF: 0.85, CNY: 7.02, SEK: 10.2, NZD: 1.58 }],
+  ['2025-01-01', { INR: 85.6, EUR: 0.97, JPY: 157.2, GBP: 0.80, CAD: 1.44, AUD: 1.62, CHF: 0.91, CNY: 7.30, SEK: 11.0, NZD: 1.79 }],
+  ['2025-04-01', { INR: 85.5, EUR: 0.93, JPY: 149.5, GBP: 0.77, CAD: 1.43, AUD: 1.60, CHF: 0.88, CNY: 7.27, SEK: 10.0, NZD: 1.76 }],
+  ['2025-07-01', { INR: 85.7, EUR: 0.85, JPY: 143.9, GBP: 0.73, CAD: 1.36, AUD: 1.52, CHF: 0.79, CNY: 7.16, SEK: 9.5, NZD: 1.64 }],
+  ['2025-10-01', { INR: 88.8, EUR: 0.85, JPY: 147.9, GBP: 0.74, CAD: 1.39, AUD: 1.51, CHF: 0.80, CNY: 7.12, SEK: 9.4, NZD: 1.72 }],
+  ['2026-01-01', { INR: 89.9, EUR: 0.86, JPY: 151.0, GBP: 0.75, CAD: 1.38, AUD: 1.53, CHF: 0.80, CNY: 7.08, SEK: 9.3, NZD: 1.74 }],
+  ['2026-04-01', { INR: 90.4, EUR: 0.87, JPY: 149.2, GBP: 0.76, CAD: 1.37, AUD: 1.54, CHF: 0.81, CNY: 7.05, SEK: 9.4, NZD: 1.73 }],
+  ['2026-07-01', { INR: 90.9, EUR: 0.86, JPY: 148.5, GBP: 0.75, CAD: 1.37, AUD: 1.52, CHF: 0.80, CNY: 7.03, SEK: 9.3, NZD: 1.72 }],
+  ['2026-10-01', { INR: 91.2, EUR: 0.86, JPY: 149.8, GBP: 0.75, CAD: 1.38, AUD: 1.52, CHF: 0.80, CNY: 7.01, SEK: 9.3, NZD: 1.73 }]
+];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// For amounts the server writes into text, such as notification messages
+const formatMoney = (value, currency) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency, maximumFractionDigits: 2 }).format(roundMoney(value));
+
+const dayOf = (date) => (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+  ? date
+  : new Date(date || Date.now()).toISOString().slice(0, 10));
+
+// Snapshots need not list every currency, so each one is looked up on its own
+const perDollarOn = (table, currency, day) => {
+  if (currency === 'USD') return 1;
+  const having = table.filter(entry => entry.rates[currency] > 0);
+  if (having.length === 0) return null;
+  return ([...having].reverse().find(entry => entry.date <= day) || having[0]).rates[currency];
+};
+
+/**
+ * Rate for turning one unit of `from` into `to` on a day
+ * @param {Array} table - [{ date, rates }] sorted by date
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {string|Date} date - Day of the conversion
+ * @returns {number|null} Null when either currency has no rate at all
+ */
+const rateBetween = (table, from, to, date) => {
+  if (from === to) return 1;
+  const day = dayOf(date);
+  const fromRate = perDollarOn(table, from, day);
+  const toRate = perDollarOn(table, to, day);
+  return fromRate && toRate ? toRate / fromRate : null;
+};
+
+module.exports = {
+  FX_CURRENCIES,
+  HISTORICAL_RATES,
+  roundMoney,
+  formatMoney,
+  dayOf,
+  rateBetween
+};
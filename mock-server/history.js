@@ -0,0 +1,94 @@
+// mock-server/history.js - Change history of transactions, budgets, debts and split expenses
+const { AsyncLocalStorage } = require('async_hooks');
+const { db, findById, insert, onChange, removeWhere } = require('./store');
+const { AUDIENCE } = require('./realtime');
+
+// Collections with a history, and the entity name the client uses for each
+const HISTORY_ENTITIES = {
+  transactions: 'transaction',
+  budgets: 'budget',
+  debts: 'debt',
+  splitExpenses: 'splitExpense'
+};
+
+// Bookkeeping the server maintains itself; changes to these alone are not worth an entry
+const IGNORED_FIELDS = ['_id', 'id', 'createdAt', 'updatedAt', 'duplicateOf', 'duplicateScore', 'duplicateReasons'];
+
+// The request being handled, so a write deep in a route knows who made it
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Middleware that remembers the current request for the rest of its handling. Mounted before the
+ * routes; req.user is read when a write happens, after requireAuth has set it.
+ */
+const trackActor = (req, res, next) => requestContext.run(req, next);
+
+const currentActorId = () => requestContext.getStore()?.user?._id || null;
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields that differ between two versions of a record
+ * @returns {Array} [{ field, from, to }]
+ */
+const diffRecords = (previous, record) => [...new Set([...Object.keys(previous), ...Object.keys(record)])]
+  .filter(field => !IGNORED_FIELDS.includes(field) && !sameValue(previous[field], record[field]))
+  .map(field => ({ field, from: previous[field] ?? null, to: record[field] ?? null }));
+
+/**
+ * Record an entry for every create, update, delete and restore of an audited record, with the
+ * user who made it (null for the server's own jobs, e.g. recurring transactions)
+ * @returns {Function} Stop watching
+ */
+const watchChangeHistory = () => onChange(({ collection, action, record, previous, restored }) => {
+  const entity = HISTORY_ENTITIES[collection];
+  if (!entity) return;
+
+  const changes = action === 'updated' ? diffRecords(previous, record) : [];
+  if (action === 'updated' && changes.length === 0) return;
+
+  insert('history', {
+    entity,
+    recordId: record._id,
+    action: restored ? 'restored' : action,
+    actorId: currentActorId(),
+    changes,
+    // Everyone who could see the record at the time keeps seeing its history
+    visibleTo: [...new Set([
+      ...AUDIENCE[collection](record),
+      ...(previous ? AUDIENCE[collection](previous) : [])
+    ].filter(Boolean))]
+  });
+});
+
+const toHistoryView = ({ visibleTo, ...entry }, userId) => {
+  const actor = entry.actorId ? findById('users', entry.actorId) : null;
+  return {
+    ...entry,
+    actor: actor ? { _id: actor._id, name: actor.name, isYou: actor._id === userId } : null
+  };
+};
+
+/**
+ * History of one record that a user may see, newest first
+ * @param {string} entity - transaction, budget, debt or splitExpense
+ * @param {string} recordId - Record _id
+ * @param {string} userId - Who is asking
+ * @returns {Array} Entries with the actor resolved
+ */
+const historyOf = (entity, recordId, userId) => db.history
+  .filter(entry => entry.entity === entity && entry.recordId === recordId && entry.visibleTo.includes(userId))
+  // Entries are appended as they happen, and several can share a timestamp
+  .reverse()
+  .map(entry => toHistoryView(entry, userId));
+
+// Entries nobody else can see go with a deleted account; shared records keep theirs
+const forgetUser = (userId) => removeWhere('history', entry => entry.visibleTo.every(id => id === userId));
+
+module.exports = {
+  HISTORY_ENTITIES,
+  trackActor,
+  watchChangeHistory,
+  historyOf,
+  forgetUser
+};
@@ -0,0 +1,103 @@
+// mock-server/index.js - Local stand-in for the API (port 4000) and ML service (port 5001)
+//
+// Run with `npm run mock`, then `npm run dev` in another terminal. Log in with
+// demo@example.com / demo1234. Data lives in memory and is re-seeded on every start.
+// `npm test` starts it on free ports for the specs in index.test.js.
+//
+// The API port also serves socket.io: ledger changes are pushed to the signed-in users they
+// concern, and reconnecting clients get the events they missed (see realtime.js).
+//
+// Recurring transactions are recorded once a minute, and before any ledger read (see recurrence.js).
+// Deleted records go to a trash and are purged once they are older than MOCK_TRASH_DAYS (see trash.js).
+// Every change to a transaction, budget, debt or split expense is kept with who made it (see history.js).
+// Transactions keep the currency they were entered in and are converted to the user's base currency (see fx.js).
+// Auto-categorisation rules run on the client as entries are made, and here when re-run over history (see categoryRules.js).
+//
+// Environment:
+//   MOCK_API_PORT   API port (default 4000)
+//   MOCK_ML_PORT    ML service port (default 5001)
+//   MOCK_LATENCY    Milliseconds of artificial delay per API request (default 0)
+//   MOCK_TOKEN_TTL  JWT lifetime, e.g. "2m" to exercise silent refresh (default 1h)
+//   MOCK_QUIET      Set to "true" to stop logging each request
+//   MOCK_TRASH_DAYS Days deleted records stay restorable (default 30)
+const { createApp } = require('./app');
+const { createMlApp } = require('./ml');
+const { attachRealtime } = require('./realtime');
+const { startRecurringSweep } = require('./recurrence');
+const { watchAttachmentOwners } = require('./attachments');
+const { watchLowBalances } = require('./accounts');
+const { startTrashSweep } = require('./trash');
+const { watchChangeHistory } = require('./history');
+const { reset } = require('./store');
+const { DEMO_CREDENTIALS } = require('./seed');
+
+const listen = (app, port) => new Promise((resolve, reject) => {
+  const server = app.listen(port, () => resolve(server));
+  server.on('error', reject);
+});
+
+const closeServer = (server) => new Promise(resolve => server.close(() => resolve()));
+
+/**
+ * Start both mock services. Pass port 0 to let the OS pick free ports (useful in tests).
+ * @param {object} options - { apiPort, mlPort, latency, log, seed }
+ * @returns {Promise<object>} { apiUrl, mlUrl, close }
+ */
+const startMockServer = async ({
+  apiPort = Number(process.env.MOCK_API_PORT ?? 4000),
+  mlPort = Number(process.env.MOCK_ML_PORT ?? 5001),
+  latency = Number(process.env.MOCK_LATENCY || 0),
+  log = process.env.MOCK_QUIET !== 'true',
+  seed = true
+} = {}) => {
+  reset({ empty: !seed });
+
+  const apiServer = await listen(createApp({ latency, log }), apiPort);
+  const realtime = attachRealtime(apiServer);
+  let mlServer;
+  try {
+    mlServer = await listen(createMlApp(), mlPort);
+  } catch (error) {
+    await realtime.close();
+    throw error;
+  }
+
+  const stopRecurringSweep = startRecurringSweep();
+  const stopWatchingAttachments = watchAttachmentOwners();
+  const stopWatchingBalances = watchLowBalances();
+  const stopTrashSweep = startTrashSweep();
+  const stopWatchingHistory = watchChangeHistory();
+
+  return {
+    apiUrl: `http://localhost:${apiServer.address().port}`,
+    mlUrl: `http://localhost:${mlServer.address().port}`,
+    // Closing socket.io also closes the API server it is attached to
+    close: () => {
+      stopRecurringSweep();
+      stopWatchingAttachments();
+      stopWatchingBalances();
+      stopTrashSweep();
+      stopWatchingHistory();
+      return Promise.all([realtime.close(), closeServer(mlServer)]);
+    }
+  };
+};
+
+if (require.main === module) {
+  startMockServer()
+    .then(({ apiUrl, mlUrl, close }) => {
+      console.log(`🧪 Mock API running at ${apiUrl}/api`);
+      console.log(`🧪 Mock ML service running at ${mlUrl}`);
+      console.log(`🔑 Demo login: ${DEMO_CREDENTIALS.email} / ${DEMO_CREDENTIALS.password}`);
+
+      const shutdown = () => close().then(() => process.exit(0));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    })
+    .catch(error => {
+      console.error('❌ Mock server failed to start:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,281 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createRequire } from 'module';
+import { startMockServer } from './index';
+import { DEMO_CREDENTIALS } from './seed';
+import { parseList, getSchemaIssues, clearSchemaIssues } from '../src/api/schemas';
+
+// Loaded the way the server loads it, so both see the same store
+const { purgeExpired } = createRequire(import.meta.url)('./trash');
+
+let server;
+let token;
+
+const api = async (method, path, body, auth = token, headers = {}) => {
+  const response = await fetch(`${server.apiUrl}/api${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(auth && { Authorization: `Bearer ${auth}` }), ...headers },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+beforeAll(async () => {
+  server = await startMockServer({ apiPort: 0, mlPort: 0, log: false });
+  token = (await api('POST', '/auth/login', DEMO_CREDENTIALS, null)).body.token;
+});
+
+afterAll(() => server.close());
+
+describe('mock server', () => {
+  it('signs in the demo user and rejects bad credentials and missing tokens', async () => {
+    expect(token).toEqual(expect.any(String));
+    expect((await api('POST', '/auth/login', { ...DEMO_CREDENTIALS, password: 'wrong' }, null)).status).toBe(401);
+    expect((await api('GET', '/transactions', undefined, null)).status).toBe(401);
+  });
+
+  it('serves the seeded ledger', async () => {
+    const { status, body } = await api('GET', '/transactions');
+    expect(status).toBe(200);
+    expect(body.count).toBeGreaterThan(0);
+    expect(body.transactions).toHaveLength(body.count);
+  });
+
+  it('creates, deletes to the trash and restores a transaction', async () => {
+    const created = await api('POST', '/transactions', {
+      description: 'Test lunch',
+      amount: 250,
+      type: 'expense',
+      category: 'Food',
+      paymentMode: 'upi',
+      date: new Date().toISOString()
+    });
+    expect(created.status).toBe(201);
+    const id = created.body.transaction._id;
+
+    const deleted = await api('DELETE', `/transactions/${id}`);
+    expect(deleted.body.trashId).toEqual(expect.any(String));
+    expect((await api('GET', `/transactions/${id}`)).status).toBe(404);
+
+    const restored = await api('POST', `/trash/${deleted.body.trashId}/restore`);
+    expect(restored.body.record._id).toBe(id);
+    expect((await api('GET', `/transactions/${id}`)).status).toBe(200);
+  });
+
+  it('purges trashed records by hand, and on their own once the retention period is over', async () => {
+    const trash = async (description) => {
+      const { transaction } = (await api('POST', '/transactions', { description, amount: 10, type: 'expense' })).body;
+      return (await api('DELETE', `/transactions/${transaction._id}`)).body.trashId;
+    };
+
+    const purgedByHand = await trash('Purged by hand');
+    expect((await api('DELETE', `/trash/${purgedByHand}`)).status).toBe(200);
+    expect((await api('POST', `/trash/${purgedByHand}/restore`)).status).toBe(404);
+
+    const expiring = await trash('Left to expire');
+    const { items, retentionDays } = (await api('GET', '/trash')).body;
+    const entry = items.find(item => item._id === expiring);
+    expect(retentionDays).toBe(30);
+    expect(new Date(entry.purgeAt) - new Date(entry.deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+
+    const ids = (entries) => entries.map(item => item._id);
+    expect(ids(purgeExpired(new Date(new Date(entry.purgeAt).getTime() - 1000)))).not.toContain(expiring);
+    expect(ids(purgeExpired(new Date(entry.purgeAt)))).toContain(expiring);
+    expect((await api('POST', `/trash/${expiring}/restore`)).status).toBe(404);
+  });
+
+  it('moves a discarded duplicate to the trash', async () => {
+    const payload = { description: 'Duplicate check coffee', amount: 95, type: 'expense', date: new Date().toISOString() };
+    const original = (await api('POST', '/transactions', payload)).body.transaction;
+    const repeat = (await api('POST', '/transactions', payload)).body.transaction;
+    expect(repeat.duplicateOf).toBe(original._id);
+
+    const discarded = await api('POST', `/transactions/${repeat._id}/duplicate`, { action: 'discard' });
+    expect(discarded.body.trashId).toEqual(expect.any(String));
+    expect((await api('GET', `/transactions/${repeat._id}`)).status).toBe(404);
+
+    const restored = await api('POST', `/trash/${discarded.body.trashId}/restore`);
+    expect(restored.body.record._id).toBe(repeat._id);
+  });
+
+  it('saves a create replayed with the same idempotency key once', async () => {
+    const payload = { description: 'Timed-out taxi', amount: 180, type: 'expense', category: 'Transport' };
+    const headers = { 'Idempotency-Key': 'local-test-key' };
+
+    const first = await api('POST', '/transactions', payload, token, headers);
+    const replay = await api('POST', '/transactions', payload, token, headers);
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(200);
+    expect(replay.body.transaction._id).toBe(first.body.transaction._id);
+
+    const { body } = await api('GET', '/transactions');
+    expect(body.transactions.filter(tx => tx.title === 'Timed-out taxi')).toHaveLength(1);
+  });
+
+  it('validates what it is sent', async () => {
+    const { status, body } = await api('POST', '/transactions', { description: 'No amount', type: 'expense' });
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+  });
+
+  it('answers in the shapes the client schemas declare', async () => {
+    clearSchemaIssues();
+    const lists = [
+      ['transaction', '/transactions'],
+      ['budget', '/budgets'],
+      ['debt', '/debts/owed-to-me'],
+      ['splitExpense', '/split-expenses'],
+      ['notification', '/notifications']
+    ];
+    for (const [entity, path] of lists) {
+      const { body } = await api('GET', path);
+      const records = parseList(entity, body, { source: `GET ${path}` });
+      expect(records.length, path).toBeGreaterThan(0);
+    }
+    expect(getSchemaIssues()).toEqual([]);
+  });
+
+  it('drops and reports malformed records instead of guessing', async () => {
+    clearSchemaIssues();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { body } = await api('GET', '/transactions');
+    const [good] = body.transactions;
+    const parsed = parseList('transaction', {
+      transactions: [good, { ...good, _id: 'bad-amount', amount: 'lots' }, { ...good, _id: 'no-type', type: undefined }]
+    }, { source: 'test' });
+    const unwrapped = parseList('transaction', { data: [good] }, { source: 'test' });
+    warn.mockRestore();
+
+    expect(parsed.map(tx => tx._id)).toEqual([good._id]);
+    expect(getSchemaIssues()).toEqual([
+      expect.objectContaining({ recordId: 'bad-amount', field: 'amount' }),
+      expect.objectContaining({ recordId: 'no-type', field: 'type' }),
+      expect.objectContaining({ field: 'transactions', problem: 'missing response envelope key' })
+    ]);
+    expect(unwrapped).toEqual([]);
+  });
+
+  it('pages the ledger by cursor, and later pages ignore rows inserted above the cursor', async () => {
+    const all = (await api('GET', '/transactions')).body.transactions;
+    const first = await api('GET', '/transactions?limit=5');
+    expect(first.body.transactions.map(tx => tx._id)).toEqual(all.slice(0, 5).map(tx => tx._id));
+    expect(first.body).toMatchObject({ total: all.length, hasMore: true, nextCursor: expect.any(String) });
+
+    // A new transaction lands at the top while the user is scrolling
+    await api('POST', '/transactions', { description: 'Arrived mid-scroll', amount: 99, type: 'expense', date: new Date().toISOString() });
+    const second = await api('GET', `/transactions?limit=5&cursor=${first.body.nextCursor}`);
+    expect(second.body.transactions.map(tx => tx._id)).toEqual(all.slice(5, 10).map(tx => tx._id));
+
+    expect((await api('GET', '/transactions?limit=5&cursor=not-a-cursor')).status).toBe(400);
+  });
+
+  it('totals the whole filter, not just the page in view', async () => {
+    const { transactions } = (await api('GET', '/transactions?type=expense')).body;
+    const page = await api('GET', '/transactions?type=expense&limit=3');
+    const summary = (await api('GET', '/transactions/summary?type=expense')).body.data;
+
+    expect(page.body.transactions).toHaveLength(3);
+    expect(page.body.total).toBe(transactions.length);
+    expect(summary.count).toBe(transactions.length);
+    expect(summary.totalExpense).toBeCloseTo(transactions.reduce((sum, tx) => sum + tx.amount, 0));
+  });
+
+  it('flags a probable repeat on create and settles it through review', async () => {
+    const date = new Date();
+    const original = (await api('POST', '/transactions', {
+      description: 'Blue Tokai Coffee', amount: 412.5, type: 'expense', category: 'Food', date: date.toISOString()
+    })).body.transaction;
+    expect(original.duplicateOf).toBeNull();
+
+    // The same purchase, as the bank feed names it a day later
+    const repeat = (await api('POST', '/transactions', {
+      description: 'UPI/BLUE TOKAI COFFEE', amount: 412.5, type: 'expense', notes: 'Card 1234',
+      date: new Date(date.getTime() + 24 * 60 * 60 * 1000).toISOString()
+    })).body.transaction;
+    expect(repeat).toMatchObject({ duplicateOf: original._id, duplicateReasons: expect.arrayContaining(['same amount', 'same merchant']) });
+
+    const { duplicates } = (await api('GET', '/transactions/duplicates')).body;
+    expect(duplicates.map(pair => [pair.transaction._id, pair.original._id])).toContainEqual([repeat._id, original._id]);
+
+    // An import row is checked without being saved
+    const check = await api('POST', '/transactions/duplicates/check', {
+      transactions: [
+        { description: 'Blue Tokai', amount: 412.5, type: 'expense', date: date.toISOString() },
+        { description: 'Blue Tokai', amount: 13, type: 'expense', date: date.toISOString() }
+      ]
+    });
+    expect(check.body.matches.map(match => match.index)).toEqual([0]);
+
+    expect((await api('POST', `/transactions/${repeat._id}/duplicate`, { action: 'ignore' })).status).toBe(400);
+    const merged = await api('POST', `/transactions/${repeat._id}/duplicate`, { action: 'merge' });
+    expect(merged.body.transaction).toMatchObject({ _id: original._id, notes: 'Card 1234' });
+    expect((await api('GET', `/transactions/${repeat._id}`)).status).toBe(404);
+    expect((await api('POST', `/transactions/${original._id}/duplicate`, { action: 'keep' })).status).toBe(409);
+  });
+
+  it('keeps a running balance per account, and transfers move money without being income or expense', async () => {
+    const savings = (await api('POST', '/accounts', { name: 'Test Savings', type: 'bank', openingBalance: 1000 })).body.account;
+    const wallet = (await api('POST', '/accounts', { name: 'Test Wallet', type: 'wallet' })).body.account;
+    expect((await api('POST', '/accounts', { name: 'test savings' })).status).toBe(400);
+
+    await api('POST', '/transactions', { description: 'Groceries', amount: 200, type: 'expense', accountId: savings._id, date: '2020-01-01T10:00:00.000Z' });
+    await api('POST', '/transactions', { description: 'Refund', amount: 500, type: 'income', accountId: savings._id, date: '2020-01-02T10:00:00.000Z' });
+    const transfer = await api('POST', '/accounts/transfers', { fromAccountId: savings._id, toAccountId: wallet._id, amount: 300, date: '2020-01-03T10:00:00.000Z' });
+    expect(transfer.status).toBe(201);
+    expect((await api('POST', '/accounts/transfers', { fromAccountId: wallet._id, toAccountId: wallet._id, amount: 1 })).status).toBe(400);
+
+    const ledger = (await api('GET', `/accounts/${savings._id}/ledger`)).body;
+    expect(ledger.account.balance).toBe(1000);
+    expect(ledger.entries.map(entry => [entry.kind, entry.amount, entry.balance])).toEqual([
+      ['transfer', -300, 1000],
+      ['transaction', 500, 1300],
+      ['transaction', -200, 800]
+    ]);
+    expect((await api('GET', `/accounts/${wallet._id}`)).body.account.balance).toBe(300);
+
+    // The wallet received money but has no income
+    const walletSummary = (await api('GET', `/transactions/summary?accountId=${wallet._id}`)).body.data;
+    expect(walletSummary).toMatchObject({ count: 0, totalIncome: 0 });
+
+    // Accounts with history are archived rather than deleted
+    expect((await api('DELETE', `/accounts/${wallet._id}`)).status).toBe(409);
+  });
+
+  it('words the low balance alert in the base currency of the user', async () => {
+    const user = (await api('POST', '/auth/register', { name: 'Alert Tester', email: 'alerts@example.com', password: 'secret1' }, null)).body.token;
+    await api('PUT', '/settings', { currency: 'USD', lowBalanceThreshold: 100 }, user);
+    const account = (await api('POST', '/accounts', { name: 'Checking', type: 'bank', openingBalance: 150 }, user)).body.account;
+    await api('POST', '/transactions', { description: 'Groceries', amount: 80, type: 'expense', accountId: account._id }, user);
+
+    const { notifications } = (await api('GET', '/notifications?type=low_balance', undefined, user)).body;
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].message).toBe('The balance of your accounts is down to $70.00, below your alert threshold of $100.00');
+  });
+
+  it('keeps a diffed history of a shared split expense that every participant can read', async () => {
+    const { expense } = (await api('POST', '/split-expenses', {
+      description: 'Cab to airport', totalAmount: 600, splits: [{ email: 'rahul@example.com', amount: 300 }]
+    })).body;
+    await api('PUT', `/split-expenses/${expense._id}`, { description: 'Cab to the airport' });
+    await api('PUT', `/split-expenses/${expense._id}`, { totalAmount: 900, splits: [{ email: 'rahul@example.com', amount: 450 }] });
+
+    const mine = (await api('GET', `/history/splitExpense/${expense._id}`)).body.entries;
+    expect(mine.map(entry => entry.action)).toEqual(['updated', 'updated', 'created']);
+    expect(mine[0].changes).toContainEqual({ field: 'totalAmount', from: 600, to: 900 });
+    expect(mine[1].changes).toEqual([{ field: 'description', from: 'Cab to airport', to: 'Cab to the airport' }]);
+    expect(mine[0].actor).toMatchObject({ name: 'Demo User', isYou: true });
+
+    const signIn = async (email) => (await api('POST', '/auth/login', { email, password: DEMO_CREDENTIALS.password }, null)).body.token;
+    const theirs = (await api('GET', `/history/splitExpense/${expense._id}`, undefined, await signIn('rahul@example.com'))).body.entries;
+    expect(theirs.map(entry => entry.changes)).toEqual(mine.map(entry => entry.changes));
+    expect(theirs[0].actor).toMatchObject({ name: 'Demo User', isYou: false });
+
+    // Someone who was never part of the expense sees no history of it
+    const outsider = await api('GET', `/history/splitExpense/${expense._id}`, undefined, await signIn('priya@example.com'));
+    expect(outsider.body.entries).toEqual([]);
+  });
+
+  it('runs the ML service alongside', async () => {
+    const response = await fetch(`${server.mlUrl}/health`);
+    expect(response.status).toBe(200);
+  });
+});
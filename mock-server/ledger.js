@@ -0,0 +1,200 @@
+// mock-server/ledger.js - Shared transaction queries used by several mock routes
+const { db } = require('./store');
+const { hasTag } = require('./tags');
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const endOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+const monthOf = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * How a transaction's amount divides between categories: its category lines when it has been
+ * split, otherwise the whole amount under its single category
+ * @param {object} tx - Transaction
+ * @returns {Array} [{ category, amount }]
+ */
+const categoryLinesOf = (tx) => (Array.isArray(tx.categoryLines) && tx.categoryLines.length > 0
+  ? tx.categoryLines
+  : [{ category: tx.category, amount: Number(tx.amount) || 0 }]);
+
+// Category names are compared case-insensitively, as the client does
+const sameCategory = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+// Part of a transaction attributed to one category (0 when none of it is)
+const amountIn = (tx, category) => categoryLinesOf(tx)
+  .filter(line => sameCategory(line.category, category))
+  .reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+
+const hasCategory = (tx, category) => categoryLinesOf(tx).some(line => sameCategory(line.category, category));
+
+// Sort key for the ledger: newest first, with the id as a final tie-breaker so cursors are stable
+const sortKeyOf = (tx) => [new Date(tx.date).getTime(), new Date(tx.createdAt).getTime(), String(tx._id)];
+
+const compareKeysDesc = (a, b) => (b[0] - a[0]) || (b[1] - a[1]) || (b[2] < a[2] ? -1 : b[2] > a[2] ? 1 : 0);
+
+const byDateDesc = (a, b) => compareKeysDesc(sortKeyOf(a), sortKeyOf(b));
+
+/**
+ * Transactions owned by a user, narrowed by the query-string filters the client sends
+ * @param {string} userId - Owner _id
+ * @param {object} filters - month, type, category, tag, accountId, startDate, endDate, paymentMode, q, minAmount, maxAmount,
+ *   amountAbove, amountBelow. `tag` may list several tags separated by commas and `q` may be repeated;
+ *   a transaction must carry all of the tags and contain every q term. The amount bounds include
+ *   their value for min/max and exclude it for above/below.
+ * @returns {Array} Matching transactions, newest first
+ */
+const filterTransactions = (userId, filters = {}) => {
+  const terms = [].concat(filters.q || []).map(term => String(term).trim().toLowerCase()).filter(Boolean);
+  const minAmount = toNumber(filters.minAmount);
+  const maxAmount = toNumber(filters.maxAmount);
+  const amountAbove = toNumber(filters.amountAbove);
+  const amountBelow = toNumber(filters.amountBelow);
+  const start = filters.startDate ? startOfDay(filters.startDate) : null;
+  const end = filters.endDate ? endOfDay(filters.endDate) : null;
+  const tags = String(filters.tag || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+  return db.transactions
+    .filter(tx => tx.userId === userId)
+    .filter(tx => !filters.month || monthOf(tx.date) === filters.month)
+    .filter(tx => !filters.type || tx.type === filters.type)
+    .filter(tx => !filters.category || hasCategory(tx, filters.category))
+    .filter(tx => !filters.paymentMode || tx.paymentMode === filters.paymentMode)
+    .filter(tx => !filters.accountId || tx.accountId === filters.accountId)
+    .filter(tx => tags.every(tag => hasTag(tx, tag)))
+    .filter(tx => !start || new Date(tx.date) >= start)
+    .filter(tx => !end || new Date(tx.date) <= end)
+    .filter(tx => minAmount === null || tx.amount >= minAmount)
+    .filter(tx => maxAmount === null || tx.amount <= maxAmount)
+    .filter(tx => amountAbove === null || tx.amount > amountAbove)
+    .filter(tx => amountBelow === null || tx.amount < amountBelow)
+    .filter(tx => terms.every(term => [tx.title, tx.description, tx.category, tx.notes, ...(tx.tags || [])]
+      .some(field => String(field || '').toLowerCase().includes(term))))
+    .sort(byDateDesc);
+};
+
+/**
+ * Income, expense and per-category totals for a list of transactions
+ * @param {Array} transactions - Transactions to total
+ * @returns {object} Summary
+ */
+const summarize = (transactions) => {
+  const byCategory = new Map();
+  let totalIncome = 0;
+  let totalExpense = 0;
+
+  transactions.forEach(tx => {
+    const amount = Number(tx.amount) || 0;
+    if (tx.type === 'income') totalIncome += amount;
+    else totalExpense += amount;
+
+    // A split transaction counts once towards each of its categories, with that line's amount
+    categoryLinesOf(tx).forEach(line => {
+      const key = `${tx.type}:${line.category}`;
+      const entry = byCategory.get(key) || { category: line.category, type: tx.type, total: 0, count: 0 };
+      entry.total += Number(line.amount) || 0;
+      entry.count += 1;
+      byCategory.set(key, entry);
+    });
+  });
+
+  return {
+    totalIncome,
+    totalExpense,
+    balance: totalIncome - totalExpense,
+    count: transactions.length,
+    incomeCount: transactions.filter(tx => tx.type === 'income').length,
+    expenseCount: transactions.filter(tx => tx.type !== 'income').length,
+    byCategory: [...byCategory.values()].sort((a, b) => b.total - a.total)
+  };
+};
+
+// Amount spent against a budget: expense transactions in the same category and month, counting
+// only the matching line of a split one. Probable repeats awaiting review are left out so one
+// purchase entered twice is not counted twice.
+const spentFor = (userId, category, month) =>
+  filterTransactions(userId, { category, month, type: 'expense' })
+    .filter(tx => !tx.duplicateOf)
+    .reduce((sum, tx) => sum + amountIn(tx, category), 0);
+
+const paginate = (items, page = 1, limit = 50) => {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+  const safePage = Math.max(parseInt(page, 10) || 1, 1);
+  const start = (safePage - 1) * safeLimit;
+
+  return {
+    data: items.slice(start, start + safeLimit),
+    pagination: {
+      page: safePage,
+      limit: safeLimit,
+      total: items.length,
+      pages: Math.ceil(items.length / safeLimit)
+    }
+  };
+};
+
+const MAX_PAGE_SIZE = 200;
+
+const encodeCursor = (tx) => Buffer.from(JSON.stringify(sortKeyOf(tx))).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(key) && key.length === 3 ? key : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Keyset pagination over a list already sorted with byDateDesc. The cursor encodes the sort key
+ * of the last row returned, so inserts and deletes elsewhere never shift later pages.
+ * @param {Array} items - Sorted transactions
+ * @param {string} cursor - Opaque cursor from a previous page (omit for the first page)
+ * @param {number} limit - Page size
+ * @returns {object} { data, nextCursor, hasMore } or { error } for an unreadable cursor
+ */
+const paginateByCursor = (items, cursor, limit = 50) => {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  let start = 0;
+
+  if (cursor) {
+    const key = decodeCursor(cursor);
+    if (!key) return { error: 'Invalid cursor' };
+    start = items.findIndex(tx => compareKeysDesc(sortKeyOf(tx), key) > 0);
+    if (start === -1) start = items.length;
+  }
+
+  const data = items.slice(start, start + safeLimit);
+  const hasMore = start + safeLimit < items.length;
+  return { data, hasMore, nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null };
+};
+
+module.exports = {
+  toNumber,
+  monthOf,
+  categoryLinesOf,
+  amountIn,
+  filterTransactions,
+  summarize,
+  spentFor,
+  paginate,
+  paginateByCursor
+};
@@ -0,0 +1,276 @@
+// mock-server/ml.js - Lightweight stand-in for the Python ML service (port 5001)
+const express = require('express');
+const cors = require('cors');
+const { EXPENSE_CATEGORIES } = require('./seed');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transactions this far back feed the forecast
+const FORECAST_HISTORY_DAYS = 90;
+
+// A transaction this many standard deviations above its category mean is an anomaly
+const ANOMALY_Z_SCORE = 2.5;
+
+// Token -> { category: count } learned from /train_category_model
+let categoryModel = new Map();
+let trainedSamples = 0;
+
+const tokenize = (text = '') =>
+  String(text).toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 2);
+
+const expensesOf = (transactions = []) =>
+  transactions.filter(tx => (tx.type || 'expense') === 'expense' && Number(tx.amount) > 0);
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// ==============================
+// CATEGORY MODEL
+// ==============================
+
+const trainCategoryModel = (transactions = []) => {
+  categoryModel = new Map();
+  trainedSamples = 0;
+
+  transactions.forEach(tx => {
+    if (!tx.title || !tx.category) return;
+    trainedSamples += 1;
+    tokenize(tx.title).forEach(token => {
+      const counts = categoryModel.get(token) || {};
+      counts[tx.category] = (counts[tx.category] || 0) + 1;
+      categoryModel.set(token, counts);
+    });
+  });
+
+  return {
+    success: true,
+    message: `Model trained on ${trainedSamples} transactions`,
+    samples: trainedSamples,
+    vocabulary: categoryModel.size
+  };
+};
+
+const predictCategory = (title = '') => {
+  const scores = {};
+  tokenize(title).forEach(token => {
+    Object.entries(categoryModel.get(token) || {}).forEach(([category, count]) => {
+      scores[category] = (scores[category] || 0) + count;
+    });
+  });
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length > 0) {
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    return { title, category: ranked[0][0], confidence: round(ranked[0][1] / total), source: 'model' };
+  }
+
+  // Untrained or unseen words: fall back to the seeded keyword lists
+  const lower = String(title).toLowerCase();
+  const match = EXPENSE_CATEGORIES.find(category => category.keywords.some(keyword => lower.includes(keyword)));
+  return { title, category: match ? match.name : 'Other', confidence: match ? 0.6 : 0.1, source: 'keywords' };
+};
+
+// ==============================
+// ANALYSIS
+// ==============================
+
+const detectAnomalies = (transactions = []) => {
+  const byCategory = new Map();
+  expensesOf(transactions).forEach(tx => {
+    const list = byCategory.get(tx.category) || [];
+    list.push(tx);
+    byCategory.set(tx.category, list);
+  });
+
+  const anomalies = [];
+  byCategory.forEach((list, category) => {
+    if (list.length < 4) return;
+    const amounts = list.map(tx => Number(tx.amount));
+    const mean = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+    const deviation = Math.sqrt(amounts.reduce((sum, amount) => sum + (amount - mean) ** 2, 0) / amounts.length);
+    if (deviation === 0) return;
+
+    list.forEach(tx => {
+      const score = (Number(tx.amount) - mean) / deviation;
+      if (score >= ANOMALY_Z_SCORE) {
+        anomalies.push({
+          ...tx,
+          anomaly_score: round(score),
+          reason: `${round(Number(tx.amount) / mean)}x your usual ${category} spend`
+        });
+      }
+    });
+  });
+
+  return { anomalies: anomalies.sort((a, b) => b.anomaly_score - a.anomaly_score), count: anomalies.length };
+};
+
+const analyzeSpendingHabits = (transactions = []) => {
+  const expenses = expensesOf(transactions);
+  const total = expenses.reduce((sum, tx) => sum + Number(tx.amount), 0);
+
+  const categoryTotals = {};
+  const weekdayTotals = [0, 0, 0, 0, 0, 0, 0];
+  const monthlyTotals = {};
+  expenses.forEach(tx => {
+    const amount = Number(tx.amount);
+    const date = new Date(tx.date || tx.createdAt);
+    categoryTotals[tx.category || 'Other'] = (categoryTotals[tx.category || 'Other'] || 0) + amount;
+    weekdayTotals[date.getDay()] += amount;
+    const month = dayKey(date).slice(0, 7);
+    monthlyTotals[month] = (monthlyTotals[month] || 0) + amount;
+  });
+
+  const weekend = weekdayTotals[0] + weekdayTotals[6];
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  return {
+    total_spent: round(total),
+    transaction_count: expenses.length,
+    average_transaction: expenses.length ? round(total / expenses.length) : 0,
+    top_categories: Object.entries(categoryTotals)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([category, amount]) => ({ category, amount: round(amount), percentage: total ? round((amount / total) * 100) : 0 })),
+    weekday_spending: dayNames.map((day, index) => ({ day, amount: round(weekdayTotals[index]) })),
+    weekend_vs_weekday: { weekend: round(weekend), weekday: round(total - weekend) },
+    monthly_trend: Object.entries(monthlyTotals).sort().map(([month, amount]) => ({ month, amount: round(amount) }))
+  };
+};
+
+/**
+ * Forecast daily spending from recent history, weighted by day of week
+ * @param {Array} transactions - Transactions to learn from
+ * @param {number} daysAhead - Days to forecast
+ * @returns {object} { forecast_dates, forecast_values, total_forecast, daily_average }
+ */
+const forecastExpenses = (transactions = [], daysAhead = 30) => {
+  const since = Date.now() - FORECAST_HISTORY_DAYS * DAY_MS;
+  const recent = expensesOf(transactions).filter(tx => new Date(tx.date || tx.createdAt).getTime() >= since);
+  const total = recent.reduce((sum, tx) => sum + Number(tx.amount), 0);
+  const dailyAverage = total / FORECAST_HISTORY_DAYS;
+
+  const weekdayTotals = [0, 0, 0, 0, 0, 0, 0];
+  recent.forEach(tx => { weekdayTotals[new Date(tx.date || tx.createdAt).getDay()] += Number(tx.amount); });
+  const weekdayAverage = total / 7;
+
+  const days = Math.min(Math.max(parseInt(daysAhead, 10) || 30, 1), 365);
+  const forecastDates = [];
+  const forecastValues = [];
+  for (let i = 1; i <= days; i += 1) {
+    const date = new Date(Date.now() + i * DAY_MS);
+    const weight = weekdayAverage ? weekdayTotals[date.getDay()] / weekdayAverage : 1;
+    forecastDates.push(dayKey(date));
+    forecastValues.push(round(dailyAverage * weight));
+  }
+
+  return {
+    forecast_dates: forecastDates,
+    forecast_values: forecastValues,
+    total_forecast: round(forecastValues.reduce((sum, value) => sum + value, 0)),
+    daily_average: round(dailyAverage),
+    history_days: FORECAST_HISTORY_DAYS
+  };
+};
+
+const getRecommendations = (transactions = [], budgetInfo = {}) => {
+  const habits = analyzeSpendingHabits(transactions);
+  const recommendations = [];
+
+  habits.top_categories.forEach(({ category, amount, percentage }) => {
+    const budget = Number(budgetInfo[category] || budgetInfo.categories?.[category] || 0);
+    if (budget && amount > budget) {
+      recommendations.push({
+        type: 'over_budget',
+        category,
+        priority: 'high',
+        message: `${category} spending is ${round(amount - budget)} over its budget`,
+        potential_savings: round(amount - budget)
+      });
+    } else if (percentage > 30 && !['Bills', 'Investment'].includes(category)) {
+      recommendations.push({
+        type: 'high_share',
+        category,
+        priority: 'medium',
+        message: `${category} takes ${percentage}% of your spending - trimming 10% would save ${round(amount * 0.1)}`,
+        potential_savings: round(amount * 0.1)
+      });
+    }
+  });
+
+  if (habits.weekend_vs_weekday.weekend > habits.weekend_vs_weekday.weekday * 0.6) {
+    recommendations.push({
+      type: 'weekend_spending',
+      priority: 'low',
+      message: 'A large share of your spending happens on weekends - consider a weekend allowance',
+      potential_savings: round(habits.weekend_vs_weekday.weekend * 0.1)
+    });
+  }
+
+  const monthlyLimit = Number(budgetInfo.monthly_limit || budgetInfo.monthlyLimit || 0);
+  const lastMonth = habits.monthly_trend[habits.monthly_trend.length - 1];
+  if (monthlyLimit && lastMonth && lastMonth.amount > monthlyLimit) {
+    recommendations.push({
+      type: 'monthly_limit',
+      priority: 'high',
+      message: `You spent ${round(lastMonth.amount - monthlyLimit)} more than your monthly limit in ${lastMonth.month}`,
+      potential_savings: round(lastMonth.amount - monthlyLimit)
+    });
+  }
+
+  return { recommendations, count: recommendations.length };
+};
+
+// ==============================
+// HTTP APP
+// ==============================
+
+const createMlApp = () => {
+  const app = express();
+  app.use(cors());
+  app.use(express.json({ limit: '10mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', service: 'mock-ml', model_trained: trainedSamples > 0, samples: trainedSamples });
+  });
+
+  app.post('/train_category_model', (req, res) => {
+    res.json(trainCategoryModel(req.body?.transactions));
+  });
+
+  app.post('/predict_category', (req, res) => {
+    if (!req.body?.title) return res.status(400).json({ error: 'title is required' });
+    res.json(predictCategory(req.body.title));
+  });
+
+  app.post('/detect_anomalies', (req, res) => {
+    res.json(detectAnomalies(req.body?.transactions));
+  });
+
+  app.post('/analyze_spending_habits', (req, res) => {
+    res.json(analyzeSpendingHabits(req.body?.transactions));
+  });
+
+  app.post('/forecast_expenses', (req, res) => {
+    res.json(forecastExpenses(req.body?.transactions, req.body?.days_ahead));
+  });
+
+  app.post('/get_recommendations', (req, res) => {
+    res.json(getRecommendations(req.body?.transactions, req.body?.budget_info));
+  });
+
+  app.use((req, res) => res.status(404).json({ error: `No ML route for ${req.method} ${req.path}` }));
+
+  return app;
+};
+
+module.exports = {
+  createMlApp,
+  trainCategoryModel,
+  predictCategory,
+  detectAnomalies,
+  analyzeSpendingHabits,
+  forecastExpenses,
+  getRecommendations
+};
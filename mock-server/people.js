@@ -0,0 +1,60 @@
+// mock-server/people.js - Friend lookups and notifications shared by the social routes
+const { db, findById, insert } = require('./store');
+const { toUserSummary } = require('./auth');
+
+const friendshipsOf = (userId) =>
+  db.friends.filter(friend => friend.owner === userId && friend.status === 'accepted');
+
+/**
+ * Shape a friendship the way the client reads it: friend fields at the top level
+ * plus the populated friendUser the split and debt screens look for
+ */
+const toFriendView = (friendship) => {
+  const friendUser = findById('users', friendship.friendUserId);
+  return {
+    _id: friendship._id,
+    id: friendship._id,
+    name: friendUser?.name || 'Unknown',
+    email: friendUser?.email || '',
+    userId: friendUser?.userId || null,
+    profilePicture: friendUser?.profilePicture || null,
+    friendUser: toUserSummary(friendUser),
+    friendUserId: friendship.friendUserId,
+    status: friendship.status,
+    createdAt: friendship.createdAt
+  };
+};
+
+/**
+ * Resolve whatever id the client sent (friendship id, user _id, handle or email) to a user
+ * @param {string} ownerId - Current user _id
+ * @param {string} ref - Reference to the other person
+ * @returns {object|null} User record
+ */
+const resolvePerson = (ownerId, ref) => {
+  if (!ref) return null;
+  const friendship = db.friends.find(friend => friend._id === ref && friend.owner === ownerId);
+  if (friendship) return findById('users', friendship.friendUserId);
+
+  const value = String(ref).toLowerCase();
+  return db.users.find(user =>
+    user._id === ref || user.userId === value || user.email.toLowerCase() === value) || null;
+};
+
+const areFriends = (userId, otherId) =>
+  friendshipsOf(userId).some(friend => friend.friendUserId === otherId);
+
+/**
+ * Store a notification for a user
+ * @returns {object} Created notification
+ */
+const notify = (recipientId, { senderId = null, type, title, message, data = {} }) =>
+  insert('notifications', { recipientId, senderId, type, title, message, data, read: false });
+
+module.exports = {
+  friendshipsOf,
+  toFriendView,
+  resolvePerson,
+  areFriends,
+  notify
+};
@@ -0,0 +1,127 @@
+// mock-server/realtime.js - socket.io push of ledger changes, with replay for clients that were disconnected
+const { Server } = require('socket.io');
+const { onChange } = require('./store');
+const { authenticateToken } = require('./auth');
+
+// How many recent events are kept for replay; older gaps force a full resync
+const MAX_EVENTS = 500;
+
+// Collections that are pushed to clients, with the entity name the client schemas use
+const ENTITIES = {
+  transactions: 'transaction',
+  accounts: 'account',
+  transfers: 'transfer',
+  recurringRules: 'recurringRule',
+  budgets: 'budget',
+  debts: 'debt',
+  splitExpenses: 'splitExpense',
+  notifications: 'notification',
+  savedViews: 'savedView',
+  categoryRules: 'categoryRule'
+};
+
+// Which users may see a change to a record
+const AUDIENCE = {
+  transactions: record => [record.userId],
+  accounts: record => [record.userId],
+  transfers: record => [record.userId],
+  recurringRules: record => [record.userId],
+  budgets: record => [record.userId],
+  debts: record => [record.creditorId, record.debtorId],
+  splitExpenses: record => [record.createdBy, record.paidBy, ...(record.splits || []).map(split => split.userId)],
+  notifications: record => [record.recipientId],
+  savedViews: record => [record.userId],
+  categoryRules: record => [record.userId]
+};
+
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Attach socket.io to the API server.
+ *
+ * Clients authenticate in the handshake with { token, lastEventId, epoch }. Events carry an
+ * increasing id; on reconnect everything after lastEventId is replayed. The epoch changes when
+ * the process restarts or the data is reset, and a client from another epoch is told to resync.
+ *
+ * @param {import('http').Server} httpServer - Server the express app listens on
+ * @returns {object} { io, close }
+ */
+const attachRealtime = (httpServer) => {
+  const io = new Server(httpServer, { cors: { origin: true, credentials: true } });
+
+  let epoch = Date.now().toString(36);
+  let sequence = 0;
+  let events = [];
+
+  const publish = ({ collection, action, record, previous }) => {
+    if (action === 'reset') {
+      epoch = Date.now().toString(36);
+      sequence = 0;
+      events = [];
+      io.emit('resync', { epoch, lastEventId: sequence, reason: 'reset' });
+      return;
+    }
+
+    const entity = ENTITIES[collection];
+    if (!entity) return;
+
+    // Include previous participants so people removed from a record hear about it too
+    const recipients = new Set([
+      ...AUDIENCE[collection](record),
+      ...(previous ? AUDIENCE[collection](previous) : [])
+    ].filter(Boolean));
+    if (recipients.size === 0) return;
+
+    sequence += 1;
+    const event = { id: sequence, entity, action, record, at: new Date().toISOString(), recipients: [...recipients] };
+    events.push(event);
+    if (events.length > MAX_EVENTS) events.shift();
+
+    const { recipients: _, ...payload } = event;
+    recipients.forEach(userId => io.to(userRoom(userId)).emit('change', payload));
+  };
+
+  const stopListening = onChange(publish);
+
+  io.use((socket, next) => {
+    const user = authenticateToken(socket.handshake.auth?.token);
+    if (!user) {
+      const error = new Error('unauthorized');
+      error.data = { code: 'INVALID_TOKEN' };
+      return next(error);
+    }
+    socket.data.userId = user._id;
+    next();
+  });
+
+  io.on('connection', (socket) => {
+    const { userId } = socket.data;
+    const { lastEventId, epoch: clientEpoch } = socket.handshake.auth || {};
+    socket.join(userRoom(userId));
+
+    socket.emit('hello', { epoch, lastEventId: sequence });
+
+    // First connection: nothing to catch up on
+    if (lastEventId === undefined || lastEventId === null) return;
+
+    const oldestKept = events.length > 0 ? events[0].id : sequence + 1;
+    if (clientEpoch !== epoch || lastEventId > sequence || lastEventId < oldestKept - 1) {
+      socket.emit('resync', { epoch, lastEventId: sequence, reason: 'gap' });
+      return;
+    }
+
+    events
+      .filter(event => event.id > lastEventId && event.recipients.includes(userId))
+      .forEach(({ recipients, ...payload }) => socket.emit('change', { ...payload, replayed: true }));
+  });
+
+  return {
+    io,
+    close: () => new Promise(resolve => {
+      stopListening();
+      io.close(() => resolve());
+    })
+  };
+};
+
+module.exports = { AUDIENCE, attachRealtime };
@@ -0,0 +1,285 @@
+// mock-server/recurrence.js - Recurring transaction rules: schedules and materialising due instances
+const { db, insert, update } = require('./store');
+const { conversionFields } = require('./fx');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'custom'];
+
+// Guards against runaway loops when a rule is years behind or a cron expression never matches
+const MAX_OCCURRENCES = 1000;
+const MAX_CRON_SCAN_DAYS = 5 * 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Occurrences are identified by their local calendar day, which is what skips refer to
+const dayKey = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Same time of day as the anchor; the 31st falls back to the last day of shorter months
+const atMonthOffset = (anchor, months) => {
+  const year = anchor.getFullYear();
+  const month = anchor.getMonth() + months;
+  const target = new Date(year, month, 1, anchor.getHours(), anchor.getMinutes(), anchor.getSeconds());
+  target.setDate(Math.min(anchor.getDate(), daysInMonth(target.getFullYear(), target.getMonth())));
+  return target;
+};
+
+const atDayOffset = (anchor, days) => {
+  const target = new Date(anchor);
+  target.setDate(anchor.getDate() + days);
+  return target;
+};
+
+// ==============================
+// CRON EXPRESSIONS
+// ==============================
+
+// minute hour day-of-month month day-of-week, as in crontab (day-of-week 0 or 7 is Sunday)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const parseCronField = (source, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (to === undefined) to = stepText === undefined ? from : max;
+
+    if (step < 1 || from < min || to > max || from > to) {
+      throw new Error(`${name} "${part}" is out of range (${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return { values, any: source === '*' };
+};
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 9 1 * *" (09:00 on the 1st of every month)
+ * @returns {object} Parsed fields
+ * @throws {Error} When the expression is malformed
+ */
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expression needs five fields: minute hour day-of-month month day-of-week');
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+};
+
+// Like crontab, a restricted day-of-month and day-of-week match when either does
+const cronMatchesDay = (cron, date) => {
+  if (!cron.month.values.has(date.getMonth() + 1)) return false;
+  const domMatch = cron.dayOfMonth.values.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.values.has(date.getDay());
+  if (cron.dayOfMonth.any || cron.dayOfWeek.any) return domMatch && dowMatch;
+  return domMatch || dowMatch;
+};
+
+// Transactions are recorded per day, so each matching day yields one instance at the first listed time
+const cronTimeOf = (cron) => [Math.min(...cron.hour.values), Math.min(...cron.minute.values)];
+
+// ==============================
+// SCHEDULES
+// ==============================
+
+/**
+ * Occurrences of a rule in a window, respecting its start and end dates
+ * @param {object} rule - Recurring rule
+ * @param {Date|string|null} after - Only occurrences strictly after this instant (null: from the start)
+ * @param {Date|string} until - Only occurrences at or before this instant
+ * @returns {Array<Date>} Occurrences in order
+ */
+const occurrencesBetween = (rule, after, until) => {
+  const start = new Date(rule.startDate);
+  const end = rule.endDate ? new Date(rule.endDate) : null;
+  const lower = after ? new Date(after) : null;
+  const upper = end && end < new Date(until) ? end : new Date(until);
+  const results = [];
+
+  const accept = (date) => {
+    if (date < start || (lower && date <= lower)) return true;
+    if (date > upper) return false;
+    results.push(date);
+    return results.length < MAX_OCCURRENCES;
+  };
+
+  if (rule.frequency === 'custom') {
+    const cron = parseCron(rule.cron);
+    const [hour, minute] = cronTimeOf(cron);
+    const first = lower && lower > start ? lower : start;
+    const day = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+
+    for (let scanned = 0; scanned < MAX_CRON_SCAN_DAYS && day <= upper; scanned += 1) {
+      if (cronMatchesDay(cron, day)) {
+        const occurrence = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+        if (!accept(occurrence)) break;
+      }
+      day.setDate(day.getDate() + 1);
+    }
+    return results;
+  }
+
+  const interval = Math.max(parseInt(rule.interval, 10) || 1, 1);
+  const next = {
+    daily: (index) => atDayOffset(start, index * interval),
+    weekly: (index) => atDayOffset(start, index * interval * 7),
+    monthly: (index) => atMonthOffset(start, index * interval),
+    yearly: (index) => atMonthOffset(start, index * interval * 12)
+  }[rule.frequency];
+  if (!next) return results;
+
+  // Jump close to the window instead of walking every instance since the start. Months and
+  // years are counted on the calendar; the step back covers daylight saving shifts and the
+  // 31st falling back, so no instance after the lower bound is ever jumped over.
+  let index = 0;
+  if (lower && lower > start) {
+    const months = (lower.getFullYear() - start.getFullYear()) * 12 + lower.getMonth() - start.getMonth();
+    const periods = {
+      daily: Math.floor((lower - start) / DAY_MS / interval),
+      weekly: Math.floor((lower - start) / DAY_MS / 7 / interval),
+      monthly: Math.floor(months / interval),
+      yearly: Math.floor(months / 12 / interval)
+    }[rule.frequency];
+    index = Math.max(periods, 0);
+    while (index > 0 && next(index) > lower) index -= 1;
+  }
+
+  for (; ; index += 1) {
+    if (!accept(next(index))) break;
+  }
+  return results;
+};
+
+/**
+ * The first occurrence after an instant that has not been skipped
+ * @returns {Date|null} Null once the series has ended
+ */
+const nextOccurrence = (rule, after = new Date()) => {
+  const skipped = new Set(rule.skipped || []);
+  let cursor = after;
+
+  // Look ahead a year at a time so a string of skips cannot hide the next real instance
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const until = new Date(new Date(cursor).getTime() + 366 * DAY_MS);
+    const found = occurrencesBetween(rule, cursor, until);
+    const match = found.find(date => !skipped.has(dayKey(date)));
+    if (match) return match;
+    if (found.length === 0 && (rule.endDate && new Date(rule.endDate) <= until)) return null;
+    cursor = found.length > 0 ? found[found.length - 1] : until;
+  }
+  return null;
+};
+
+const toISO = (date) => (date ? date.toISOString() : null);
+
+/**
+ * Fields derived from the schedule, stored on the rule so clients and socket pushes see them
+ */
+const scheduleFields = (rule, now = new Date()) => {
+  const after = rule.generatedThrough && new Date(rule.generatedThrough) > now ? rule.generatedThrough : now;
+  const next = nextOccurrence(rule, after);
+  return {
+    nextOccurrence: toISO(next),
+    status: next ? 'active' : 'ended'
+  };
+};
+
+// ==============================
+// MATERIALISING
+// ==============================
+
+// Rule amounts are kept in the owner's base currency
+const buildTransaction = (rule, date) => ({
+  userId: rule.userId,
+  title: rule.title,
+  description: rule.title,
+  amount: rule.amount,
+  ...conversionFields(rule.userId, { amount: rule.amount, date }),
+  type: rule.type,
+  category: rule.category,
+  paymentMode: rule.paymentMode,
+  accountId: rule.accountId || null,
+  notes: rule.notes || '',
+  date: date.toISOString(),
+  recurringRuleId: rule._id,
+  occurrenceDate: dayKey(date)
+});
+
+/**
+ * Record every instance that has come due since a rule was last processed. Runs on a timer and
+ * before ledger reads, so the ledger is current however long the server has been idle.
+ * @param {string|null} userId - Limit to one user's rules (null for everyone)
+ * @param {Date} now - Treat instances at or before this instant as due
+ * @returns {Array} Transactions created
+ */
+const materializeDue = (userId = null, now = new Date()) => {
+  const created = [];
+
+  db.recurringRules
+    .filter(rule => !userId || rule.userId === userId)
+    .forEach(rule => {
+      const skipped = new Set(rule.skipped || []);
+      let due;
+      try {
+        due = occurrencesBetween(rule, rule.generatedThrough, now);
+      } catch (error) {
+        console.error(`❌ Mock: Recurring rule ${rule._id} has an invalid schedule:`, error.message);
+        return;
+      }
+
+      const changes = scheduleFields(rule, now);
+      if (due.length > 0) {
+        due
+          .filter(date => !skipped.has(dayKey(date)))
+          .forEach(date => created.push(insert('transactions', buildTransaction(rule, date))));
+        changes.generatedThrough = toISO(due[due.length - 1]);
+      }
+
+      // Only write when something moved, so idle sweeps do not push no-op updates
+      if (due.length > 0 || changes.nextOccurrence !== rule.nextOccurrence || changes.status !== rule.status) {
+        update('recurringRules', rule._id, changes);
+      }
+    });
+
+  return created;
+};
+
+/**
+ * Materialise due instances on a timer
+ * @param {number} intervalMs - How often to check
+ * @returns {Function} Stop the timer
+ */
+const startRecurringSweep = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => materializeDue(), intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  FREQUENCIES,
+  dayKey,
+  parseCron,
+  occurrencesBetween,
+  nextOccurrence,
+  scheduleFields,
+  materializeDue,
+  startRecurringSweep
+};
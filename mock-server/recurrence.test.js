@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { parseCron, occurrencesBetween, nextOccurrence, materializeDue, dayKey } from './recurrence';
+import { createRequire } from 'module';
+
+// The same store instance recurrence.js requires, not a separately transformed copy
+const { db, reset, insert } = createRequire(import.meta.url)('./store');
+
+const days = (dates) => dates.map(dayKey);
+const at = (year, month, day, hour = 9) => new Date(year, month - 1, day, hour, 0, 0);
+
+describe('parseCron', () => {
+  it('expands ranges, lists and steps', () => {
+    const cron = parseCron('0 9 1,15 */3 1-5');
+    expect([...cron.dayOfMonth.values]).toEqual([1, 15]);
+    expect([...cron.month.values]).toEqual([1, 4, 7, 10]);
+    expect([...cron.dayOfWeek.values]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('treats day-of-week 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').dayOfWeek.values.has(0)).toBe(true);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseCron('0 9 * *')).toThrow(/five fields/);
+    expect(() => parseCron('0 25 * * *')).toThrow(/out of range/);
+    expect(() => parseCron('0 9 x * *')).toThrow(/Invalid day of month/);
+  });
+});
+
+describe('occurrencesBetween', () => {
+  it('steps daily and weekly rules by their interval', () => {
+    const daily = { frequency: 'daily', interval: 2, startDate: at(2025, 3, 1) };
+    expect(days(occurrencesBetween(daily, null, at(2025, 3, 7)))).toEqual(['2025-03-01', '2025-03-03', '2025-03-05', '2025-03-07']);
+
+    const weekly = { frequency: 'weekly', interval: 1, startDate: at(2025, 3, 3) };
+    expect(days(occurrencesBetween(weekly, at(2025, 3, 3), at(2025, 3, 24)))).toEqual(['2025-03-10', '2025-03-17', '2025-03-24']);
+  });
+
+  it('falls back to the last day of shorter months', () => {
+    const monthly = { frequency: 'monthly', interval: 1, startDate: at(2025, 1, 31) };
+    expect(days(occurrencesBetween(monthly, null, at(2025, 5, 1)))).toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+  });
+
+  it('stops at the end date', () => {
+    const yearly = { frequency: 'yearly', interval: 1, startDate: at(2020, 2, 29), endDate: at(2023, 1, 1) };
+    expect(days(occurrencesBetween(yearly, null, at(2030, 1, 1)))).toEqual(['2020-02-29', '2021-02-28', '2022-02-28']);
+  });
+
+  it('only returns instances strictly after the lower bound', () => {
+    const weekly = { frequency: 'weekly', interval: 1, startDate: at(2025, 3, 3) };
+    expect(days(occurrencesBetween(weekly, at(2025, 3, 10), at(2025, 3, 17, 23)))).toEqual(['2025-03-17']);
+  });
+
+  it('does not skip instances when the window starts years after the rule', () => {
+    const monthly = { frequency: 'monthly', interval: 1, startDate: at(2021, 1, 5) };
+    expect(days(occurrencesBetween(monthly, at(2024, 1, 6), at(2024, 6, 30))))
+      .toEqual(['2024-02-05', '2024-03-05', '2024-04-05', '2024-05-05', '2024-06-05']);
+
+    const quarterly = { frequency: 'monthly', interval: 3, startDate: at(2019, 11, 30) };
+    expect(days(occurrencesBetween(quarterly, at(2024, 2, 28), at(2024, 9, 1)))).toEqual(['2024-02-29', '2024-05-30', '2024-08-30']);
+
+    const yearly = { frequency: 'yearly', interval: 1, startDate: at(2001, 3, 1) };
+    expect(days(occurrencesBetween(yearly, at(2024, 2, 29), at(2025, 12, 31)))).toEqual(['2024-03-01', '2025-03-01']);
+
+    const weekly = { frequency: 'weekly', interval: 2, startDate: at(2020, 1, 6) };
+    expect(days(occurrencesBetween(weekly, at(2024, 1, 1), at(2024, 1, 31)))).toEqual(['2024-01-15', '2024-01-29']);
+  });
+
+  it('runs custom rules on the days their cron expression matches', () => {
+    const custom = { frequency: 'custom', cron: '30 8 1 * *', startDate: at(2025, 1, 15) };
+    const found = occurrencesBetween(custom, null, at(2025, 4, 1, 12));
+    expect(days(found)).toEqual(['2025-02-01', '2025-03-01', '2025-04-01']);
+    expect([found[0].getHours(), found[0].getMinutes()]).toEqual([8, 30]);
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('passes over skipped instances', () => {
+    const rule = { frequency: 'monthly', interval: 1, startDate: at(2025, 1, 5), skipped: ['2025-03-05'] };
+    expect(dayKey(nextOccurrence(rule, at(2025, 2, 10)))).toBe('2025-04-05');
+  });
+
+  it('finds the next instance of a long-running rule', () => {
+    const rule = { frequency: 'monthly', interval: 1, startDate: at(2021, 1, 5) };
+    expect(dayKey(nextOccurrence(rule, at(2024, 1, 6)))).toBe('2024-02-05');
+  });
+
+  it('is null once the series has ended', () => {
+    const rule = { frequency: 'weekly', interval: 1, startDate: at(2025, 1, 6), endDate: at(2025, 2, 1) };
+    expect(nextOccurrence(rule, at(2025, 3, 1))).toBeNull();
+  });
+});
+
+describe('materializeDue', () => {
+  it('records every instance since the rule was last processed', () => {
+    reset({ empty: true });
+    const rule = insert('recurringRules', {
+      userId: 'u1',
+      title: 'Rent',
+      amount: 1000,
+      type: 'expense',
+      category: 'Housing',
+      paymentMode: 'bank',
+      frequency: 'monthly',
+      interval: 1,
+      startDate: at(2021, 1, 5).toISOString(),
+      generatedThrough: at(2024, 1, 5).toISOString()
+    });
+
+    const created = materializeDue('u1', at(2024, 4, 30));
+    expect(created.map(tx => tx.occurrenceDate)).toEqual(['2024-02-05', '2024-03-05', '2024-04-05']);
+    expect(dayKey(db.recurringRules.find(item => item._id === rule._id).nextOccurrence)).toBe('2024-05-05');
+  });
+});
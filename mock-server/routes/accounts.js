@@ -0,0 +1,152 @@
+// mock-server/routes/accounts.js - /api/accounts
+const express = require('express');
+const { db, findById, insert, update, remove } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { ACCOUNT_TYPES, accountsOf, ownedAccount, checkAccount, toAccountView, runningBalance } = require('../accounts');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const OWNER_FIELDS = ['userId', 'balance'];
+const EDITABLE_FIELDS = ['name', 'type', 'openingBalance', 'archived'];
+
+const validate = (userId, body, existing = null) => {
+  const name = body.name !== undefined ? String(body.name).trim() : existing?.name;
+  if (!name) return 'Account name is required';
+  if (accountsOf(userId).some(account => account._id !== existing?._id && account.name.toLowerCase() === name.toLowerCase())) {
+    return `You already have an account called ${name}`;
+  }
+  if (body.type !== undefined && !ACCOUNT_TYPES.includes(body.type)) {
+    return `Type must be one of: ${ACCOUNT_TYPES.join(', ')}`;
+  }
+  // Opening balances may be negative, e.g. a credit card that already has a bill on it
+  if (body.openingBalance !== undefined && !Number.isFinite(Number(body.openingBalance))) {
+    return 'Opening balance must be a number';
+  }
+  return null;
+};
+
+const pick = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]])
+);
+
+const normalize = (body) => ({
+  ...pick(body),
+  ...(body.name !== undefined && { name: String(body.name).trim() }),
+  ...(body.openingBalance !== undefined && { openingBalance: Number(body.openingBalance) || 0 }),
+  ...(body.archived !== undefined && { archived: body.archived === true })
+});
+
+const isUsed = (accountId) =>
+  db.transactions.some(tx => tx.accountId === accountId) ||
+  db.transfers.some(transfer => transfer.fromAccountId === accountId || transfer.toAccountId === accountId);
+
+// ==============================
+// TRANSFERS
+// ==============================
+
+// Money moved between two of the user's own accounts; never income or expense
+const transfersOf = (userId, accountId = null) => db.transfers
+  .filter(transfer => transfer.userId === userId)
+  .filter(transfer => !accountId || transfer.fromAccountId === accountId || transfer.toAccountId === accountId)
+  .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+router.get('/transfers', (req, res) => {
+  const transfers = transfersOf(req.user._id, req.query.accountId);
+  res.json({ success: true, transfers, count: transfers.length });
+});
+
+router.post('/transfers', (req, res) => {
+  const { fromAccountId, toAccountId, amount, date, note = '' } = req.body || {};
+  if (!fromAccountId || !toAccountId) return sendError(res, 400, 'Choose the account to move money from and to');
+  if (fromAccountId === toAccountId) return sendError(res, 400, 'Transfer between two different accounts');
+  const accountError = checkAccount(req.user._id, fromAccountId) || checkAccount(req.user._id, toAccountId);
+  if (accountError) return sendError(res, 400, accountError);
+  if (!(Number(amount) > 0)) return sendError(res, 400, 'Amount must be a positive number');
+  if (date !== undefined && Number.isNaN(new Date(date).getTime())) return sendError(res, 400, 'Date is invalid');
+
+  const transfer = insert('transfers', {
+    userId: req.user._id,
+    fromAccountId,
+    toAccountId,
+    amount: Math.round(Number(amount) * 100) / 100,
+    date: date ? new Date(date).toISOString() : new Date().toISOString(),
+    note: String(note).trim()
+  });
+  res.status(201).json({ success: true, message: 'Transfer recorded', transfer });
+});
+
+router.delete('/transfers/:id', (req, res) => {
+  const transfer = findById('transfers', req.params.id);
+  if (!transfer || transfer.userId !== req.user._id) return sendError(res, 404, 'Transfer not found');
+
+  remove('transfers', transfer._id);
+  res.json({ success: true, message: 'Transfer deleted', transfer });
+});
+
+// ==============================
+// ACCOUNTS
+// ==============================
+
+router.get('/', (req, res) => {
+  const accounts = accountsOf(req.user._id)
+    .filter(account => req.query.includeArchived === 'true' || !account.archived)
+    .map(toAccountView);
+  res.json({ success: true, accounts, count: accounts.length });
+});
+
+router.get('/:id', (req, res) => {
+  const account = ownedAccount(req.user._id, req.params.id);
+  if (!account) return sendError(res, 404, 'Account not found');
+  res.json({ success: true, account: toAccountView(account) });
+});
+
+// Running balance, newest first
+router.get('/:id/ledger', (req, res) => {
+  const account = ownedAccount(req.user._id, req.params.id);
+  if (!account) return sendError(res, 404, 'Account not found');
+
+  const entries = runningBalance(account).reverse();
+  res.json({ success: true, account: toAccountView(account), entries, count: entries.length });
+});
+
+router.post('/', (req, res) => {
+  const body = req.body || {};
+  const error = validate(req.user._id, body);
+  if (error) return sendError(res, 400, error);
+
+  const account = insert('accounts', {
+    type: 'bank',
+    openingBalance: 0,
+    archived: false,
+    ...normalize(body),
+    userId: req.user._id
+  });
+  res.status(201).json({ success: true, message: 'Account created', account: toAccountView(account) });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = ownedAccount(req.user._id, req.params.id);
+  if (!existing) return sendError(res, 404, 'Account not found');
+
+  const body = req.body || {};
+  const error = validate(req.user._id, body, existing);
+  if (error) return sendError(res, 400, error);
+
+  const account = update('accounts', existing._id, normalize(body), OWNER_FIELDS);
+  res.json({ success: true, message: 'Account updated', account: toAccountView(account) });
+});
+
+// Accounts with history are archived instead, so past balances and transfers still add up
+router.delete('/:id', (req, res) => {
+  const existing = ownedAccount(req.user._id, req.params.id);
+  if (!existing) return sendError(res, 404, 'Account not found');
+  if (isUsed(existing._id)) {
+    return sendError(res, 409, `${existing.name} has transactions or transfers; archive it instead`);
+  }
+
+  remove('accounts', existing._id);
+  res.json({ success: true, message: 'Account deleted', account: existing });
+});
+
+module.exports = router;
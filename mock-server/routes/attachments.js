@@ -0,0 +1,155 @@
+// mock-server/routes/attachments.js - /api/attachments
+const express = require('express');
+const multer = require('multer');
+const { db, findById, insert } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { isParticipant } = require('./splitExpenses');
+const {
+  MAX_ATTACHMENT_BYTES,
+  ACCEPTED_MIME_TYPES,
+  MAX_THUMBNAIL_LENGTH,
+  OWNER_COLLECTIONS,
+  toView,
+  attachmentsOf,
+  syncOwner,
+  removeAttachment
+} = require('../attachments');
+const { createZip } = require('../zip');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_ATTACHMENT_BYTES } });
+
+const OWNER_TYPES = Object.keys(OWNER_COLLECTIONS);
+
+// Transactions are private; anyone in a split can see and add its receipts
+const CAN_ACCESS = {
+  transaction: (record, user) => record.userId === user._id,
+  splitExpense: (record, user) => isParticipant(record, user._id)
+};
+
+const findOwner = (user, ownerType, ownerId) => {
+  if (!OWNER_TYPES.includes(ownerType)) return null;
+  const record = findById(OWNER_COLLECTIONS[ownerType], ownerId);
+  return record && CAN_ACCESS[ownerType](record, user) ? record : null;
+};
+
+const findVisible = (req) => {
+  const attachment = findById('attachments', req.params.id);
+  return attachment && findOwner(req.user, attachment.ownerType, attachment.ownerId) ? attachment : null;
+};
+
+// multer reports an oversized file as an error rather than a missing one
+const receiveFile = (req, res, next) => upload.single('file')(req, res, (error) => {
+  if (error?.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, 413, `Receipts can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`);
+  }
+  if (error) return sendError(res, 400, error.message);
+  next();
+});
+
+const slug = (value) => String(value || 'receipt').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'receipt';
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// ==============================
+// QUERIES
+// ==============================
+
+router.get('/', (req, res) => {
+  const { ownerType, ownerId } = req.query;
+  if (!findOwner(req.user, ownerType, ownerId)) return sendError(res, 404, 'Transaction or split expense not found');
+
+  const attachments = attachmentsOf(ownerType, ownerId).map(toView);
+  res.json({ success: true, attachments, count: attachments.length });
+});
+
+router.get('/:id/file', (req, res) => {
+  const attachment = findVisible(req);
+  if (!attachment) return sendError(res, 404, 'Attachment not found');
+
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+  });
+  res.send(Buffer.from(attachment.data, 'base64'));
+});
+
+// ==============================
+// MUTATIONS
+// ==============================
+
+router.post('/', receiveFile, (req, res) => {
+  const { ownerType, ownerId, thumbnail } = req.body || {};
+  if (!req.file) return sendError(res, 400, 'No file uploaded');
+  if (!ACCEPTED_MIME_TYPES.includes(req.file.mimetype)) {
+    return sendError(res, 415, 'Receipts must be images (JPEG, PNG, WebP, GIF, HEIC) or PDFs');
+  }
+  if (!findOwner(req.user, ownerType, ownerId)) return sendError(res, 404, 'Transaction or split expense not found');
+
+  const validThumbnail = typeof thumbnail === 'string' && thumbnail.startsWith('data:image/') && thumbnail.length <= MAX_THUMBNAIL_LENGTH;
+
+  const attachment = insert('attachments', {
+    userId: req.user._id,
+    ownerType,
+    ownerId,
+    fileName: req.file.originalname || 'receipt',
+    mimeType: req.file.mimetype,
+    size: req.file.size,
+    thumbnail: validThumbnail ? thumbnail : null,
+    data: req.file.buffer.toString('base64')
+  });
+  syncOwner(ownerType, ownerId);
+
+  res.status(201).json({ success: true, message: 'Receipt attached', attachment: toView(attachment) });
+});
+
+// Receipts for the given transactions (or all of the user's) in one ZIP, with a manifest
+router.post('/export', (req, res) => {
+  const ids = Array.isArray(req.body?.transactionIds) ? new Set(req.body.transactionIds) : null;
+  const transactions = db.transactions
+    .filter(tx => tx.userId === req.user._id && (!ids || ids.has(tx._id)))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const usedNames = new Set();
+  const entries = [];
+  const manifest = [['Date', 'Title', 'Amount', 'Type', 'Category', 'Transaction ID', 'File'].map(csvCell).join(',')];
+
+  transactions.forEach(tx => {
+    attachmentsOf('transaction', tx._id).forEach(attachment => {
+      const day = new Date(tx.date).toISOString().slice(0, 10);
+      let name = `receipts/${day}_${slug(tx.title)}_${attachment.fileName}`;
+      for (let copy = 2; usedNames.has(name); copy += 1) {
+        name = `receipts/${day}_${slug(tx.title)}_${copy}_${attachment.fileName}`;
+      }
+      usedNames.add(name);
+
+      entries.push({ name, data: Buffer.from(attachment.data, 'base64'), date: attachment.createdAt });
+      manifest.push([day, tx.title, tx.amount, tx.type, tx.category, tx._id, name].map(csvCell).join(','));
+    });
+  });
+
+  if (entries.length === 0) return sendError(res, 404, 'No receipts attached to these transactions');
+
+  const archive = createZip([{ name: 'manifest.csv', data: manifest.join('\r\n') }, ...entries]);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="receipts-${new Date().toISOString().slice(0, 10)}.zip"`
+  });
+  res.send(archive);
+});
+
+router.delete('/:id', (req, res) => {
+  const attachment = findVisible(req);
+  if (!attachment) return sendError(res, 404, 'Attachment not found');
+  // Split participants can see each other's receipts but only remove their own
+  if (attachment.userId !== req.user._id) return sendError(res, 403, 'Only the person who attached a receipt can remove it');
+
+  removeAttachment(attachment);
+  res.json({ success: true, message: 'Receipt removed', attachment: toView(attachment) });
+});
+
+module.exports = router;
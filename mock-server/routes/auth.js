@@ -0,0 +1,253 @@
+// mock-server/routes/auth.js - /api/auth
+const express = require('express');
+const { db, generateId, insert, update, removeWhere } = require('../store');
+const { buildDefaultCategories, buildDefaultSettings } = require('../seed');
+const {
+  signToken,
+  extractToken,
+  sendError,
+  toPublicUser,
+  requireAuth,
+  refreshToken,
+  revokeToken,
+  findUserByEmail
+} = require('../auth');
+const { forgetUser } = require('../history');
+
+const router = express.Router();
+
+const USER_ID_PATTERN = /^[a-z0-9_.]{3,20}$/;
+
+const isUserIdTaken = (userId, exceptId = null) =>
+  db.users.some(user => user.userId === userId && user._id !== exceptId);
+
+const suggestUserIds = (name = '', preferred = '') => {
+  const base = (preferred || name || 'user').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 14) || 'user';
+  const candidates = [base, `${base}_${new Date().getFullYear() % 100}`];
+  for (let i = 1; candidates.length < 8; i += 1) candidates.push(`${base}${i}`);
+  return candidates.filter(candidate => USER_ID_PATTERN.test(candidate) && !isUserIdTaken(candidate)).slice(0, 3);
+};
+
+const sessionResponse = (user, message) => ({
+  success: true,
+  message,
+  token: signToken(user),
+  user: toPublicUser(user)
+});
+
+// ==============================
+// REGISTRATION AND LOGIN
+// ==============================
+
+router.post('/register', (req, res) => {
+  const { name, email, password } = req.body || {};
+
+  if (!name || !email || !password) {
+    return sendError(res, 400, 'Name, email and password are required');
+  }
+  if (String(password).length < 6) {
+    return sendError(res, 400, 'Password must be at least 6 characters');
+  }
+  if (findUserByEmail(email)) {
+    return sendError(res, 409, 'An account with this email already exists');
+  }
+
+  const userId = req.body.userId || suggestUserIds(name)[0];
+  if (isUserIdTaken(userId)) {
+    return sendError(res, 409, 'This User ID is already taken');
+  }
+
+  const user = insert('users', {
+    name: String(name).trim(),
+    email: String(email).trim().toLowerCase(),
+    password: String(password),
+    userId,
+    phone: req.body.phone || '',
+    profilePicture: null,
+    bio: '',
+    isEmailVerified: false
+  });
+
+  db.categories.push(...buildDefaultCategories(generateId, user._id));
+  db.settings.push(buildDefaultSettings(user._id));
+
+  res.status(201).json(sessionResponse(user, 'Registration successful'));
+});
+
+router.post('/login', (req, res) => {
+  const { email, password } = req.body || {};
+  const user = findUserByEmail(email);
+
+  if (!user || user.password !== password) {
+    return sendError(res, 401, 'Invalid email or password');
+  }
+
+  res.json(sessionResponse(user, 'Login successful'));
+});
+
+router.post('/logout', (req, res) => {
+  revokeToken(extractToken(req));
+  res.json({ success: true, message: 'Logged out successfully' });
+});
+
+// Both paths are in use: the shared client calls refresh-token, authHandler calls refresh
+const handleRefresh = (req, res) => {
+  const refreshed = refreshToken(extractToken(req));
+  if (!refreshed) {
+    return sendError(res, 401, 'Session expired. Please log in again.', { code: 'REFRESH_FAILED' });
+  }
+  res.json({ success: true, token: refreshed.token, user: toPublicUser(refreshed.user) });
+};
+
+router.post('/refresh-token', handleRefresh);
+router.post('/refresh', handleRefresh);
+
+// ==============================
+// AVAILABILITY CHECKS
+// ==============================
+
+router.post('/check-userid', (req, res) => {
+  const userId = String(req.body?.userId || '').trim().toLowerCase();
+  if (!USER_ID_PATTERN.test(userId)) {
+    return res.json({
+      success: true,
+      available: false,
+      message: 'User ID must be 3-20 characters: lowercase letters, numbers, dots or underscores'
+    });
+  }
+
+  const available = !isUserIdTaken(userId);
+  res.json({
+    success: true,
+    available,
+    message: available ? 'User ID is available' : 'User ID is already taken',
+    ...(!available && { suggestions: suggestUserIds(userId) })
+  });
+});
+
+router.post('/suggest-userid', (req, res) => {
+  const suggestions = suggestUserIds(req.body?.name, req.body?.preferredUsername);
+  res.json({ success: true, suggestedUserId: suggestions[0] || null, suggestions });
+});
+
+router.post('/check-email', (req, res) => {
+  const exists = !!findUserByEmail(req.body?.email);
+  res.json({ success: true, exists, available: !exists });
+});
+
+// ==============================
+// PASSWORD AND EMAIL FLOWS
+// ==============================
+
+router.post('/forgot-password', (req, res) => {
+  const user = findUserByEmail(req.body?.email);
+  if (user) {
+    update('users', user._id, { resetToken: `reset-${user._id}` });
+  }
+  // Same answer either way so the endpoint can't be used to probe accounts
+  res.json({ success: true, message: 'If that email is registered, a reset link has been sent' });
+});
+
+router.post('/reset-password', (req, res) => {
+  const { token, password } = req.body || {};
+  const user = db.users.find(candidate => candidate.resetToken && candidate.resetToken === token);
+
+  if (!user) return sendError(res, 400, 'Reset link is invalid or has expired');
+  if (!password || String(password).length < 6) {
+    return sendError(res, 400, 'Password must be at least 6 characters');
+  }
+
+  update('users', user._id, { password: String(password), resetToken: null });
+  res.json({ success: true, message: 'Password has been reset' });
+});
+
+router.post('/verify-email', (req, res) => {
+  const token = String(req.body?.token || '');
+  const user = db.users.find(candidate => `verify-${candidate._id}` === token);
+  if (!user) return sendError(res, 400, 'Verification link is invalid or has expired');
+
+  update('users', user._id, { isEmailVerified: true });
+  res.json({ success: true, message: 'Email verified' });
+});
+
+router.use(requireAuth);
+
+router.post('/send-verification', (req, res) => {
+  res.json({
+    success: true,
+    message: `Verification email sent to ${req.user.email}`,
+    // No mail server here, so hand the token back for manual verification
+    verificationToken: `verify-${req.user._id}`
+  });
+});
+
+// ==============================
+// CURRENT USER
+// ==============================
+
+router.get('/me', (req, res) => {
+  res.json({ success: true, user: toPublicUser(req.user), ...toPublicUser(req.user) });
+});
+
+router.get('/verify', (req, res) => {
+  res.json({ success: true, valid: true, user: toPublicUser(req.user) });
+});
+
+router.put('/profile', (req, res) => {
+  const { name, phone, bio, userId, profilePicture } = req.body || {};
+
+  if (userId && userId !== req.user.userId) {
+    if (!USER_ID_PATTERN.test(userId)) return sendError(res, 400, 'Invalid User ID format');
+    if (isUserIdTaken(userId, req.user._id)) return sendError(res, 409, 'This User ID is already taken');
+  }
+
+  const user = update('users', req.user._id, {
+    ...(name !== undefined && { name: String(name).trim() }),
+    ...(phone !== undefined && { phone }),
+    ...(bio !== undefined && { bio }),
+    ...(userId && { userId }),
+    ...(profilePicture !== undefined && { profilePicture })
+  });
+
+  res.json({ success: true, message: 'Profile updated', user: toPublicUser(user) });
+});
+
+router.put('/change-password', (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+
+  if (req.user.password !== currentPassword) {
+    return sendError(res, 400, 'Current password is incorrect');
+  }
+  if (!newPassword || String(newPassword).length < 6) {
+    return sendError(res, 400, 'New password must be at least 6 characters');
+  }
+
+  update('users', req.user._id, { password: String(newPassword) });
+  res.json({ success: true, message: 'Password changed successfully' });
+});
+
+router.delete('/account', (req, res) => {
+  if (req.user.password !== req.body?.password) {
+    return sendError(res, 400, 'Password is incorrect');
+  }
+
+  deleteUserData(req.user._id);
+  revokeToken(req.token);
+  res.json({ success: true, message: 'Account deleted' });
+});
+
+/**
+ * Remove a user and everything they own
+ * @param {string} userId - User _id
+ */
+const deleteUserData = (userId) => {
+  removeWhere('users', user => user._id === userId);
+  ['transactions', 'accounts', 'transfers', 'recurringRules', 'budgets', 'categories', 'settings', 'savedViews', 'attachments', 'trash', 'fxRates', 'categoryRules'].forEach(collection =>
+    removeWhere(collection, record => record.userId === userId));
+  removeWhere('friends', friend => friend.owner === userId || friend.friendUserId === userId);
+  removeWhere('notifications', notification => notification.recipientId === userId);
+  forgetUser(userId);
+};
+
+module.exports = router;
+module.exports.deleteUserData = deleteUserData;
@@ -0,0 +1,175 @@
+// mock-server/routes/budgets.js - /api/budgets
+const express = require('express');
+const { db, findById, insert, update } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { toNumber, spentFor, paginate } = require('../ledger');
+const { toMonthKey } = require('../seed');
+const { moveToTrash } = require('../trash');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const OWNER_FIELDS = ['userId', 'spent'];
+
+// Spent is always derived from the ledger so it can never drift from the transactions
+const withSpent = (budget) => ({
+  ...budget,
+  spent: budget.type === 'income' ? 0 : spentFor(budget.userId, budget.category, budget.month)
+});
+
+const userBudgets = (userId) => db.budgets.filter(budget => budget.userId === userId);
+
+const findOwned = (req, id = req.params.id) => {
+  const budget = findById('budgets', id);
+  return budget && budget.userId === req.user._id ? budget : null;
+};
+
+const isDuplicate = (userId, { category, month, type = 'expense' }, exceptId = null) =>
+  userBudgets(userId).some(budget =>
+    budget._id !== exceptId &&
+    budget.category === category &&
+    budget.month === month &&
+    (budget.type || 'expense') === type);
+
+const validate = (body, partial = false) => {
+  if (!partial || body.category !== undefined) {
+    if (!body.category || !String(body.category).trim()) return 'Budget category is required';
+  }
+  if (!partial || body.monthlyLimit !== undefined) {
+    if (!(Number(body.monthlyLimit) > 0)) return 'Monthly limit must be greater than 0';
+  }
+  if (!partial || body.month !== undefined) {
+    if (!MONTH_PATTERN.test(body.month || '')) return 'Budget month must be in YYYY-MM format';
+  }
+  return null;
+};
+
+const normalize = (body) => ({
+  ...body,
+  ...(body.category !== undefined && { category: String(body.category).trim() }),
+  ...(body.monthlyLimit !== undefined && { monthlyLimit: Number(body.monthlyLimit) })
+});
+
+// ==============================
+// QUERIES
+// ==============================
+
+router.get('/', (req, res) => {
+  const month = req.query.month || toMonthKey(new Date());
+  const budgets = userBudgets(req.user._id)
+    .filter(budget => budget.month === month)
+    .map(withSpent);
+  res.json({ success: true, data: budgets, count: budgets.length });
+});
+
+router.get('/summary', (req, res) => {
+  const month = req.query.month || toMonthKey(new Date());
+  const budgets = userBudgets(req.user._id)
+    .filter(budget => budget.month === month && (budget.type || 'expense') === 'expense')
+    .map(withSpent);
+
+  const totalBudget = budgets.reduce((sum, budget) => sum + budget.monthlyLimit, 0);
+  const totalSpent = budgets.reduce((sum, budget) => sum + budget.spent, 0);
+
+  res.json({
+    success: true,
+    data: {
+      month,
+      totalBudget,
+      totalSpent,
+      remaining: totalBudget - totalSpent,
+      budgetCount: budgets.length,
+      overBudgetCount: budgets.filter(budget => budget.spent > budget.monthlyLimit).length,
+      utilization: totalBudget > 0 ? Math.round((totalSpent / totalBudget) * 100) : 0
+    }
+  });
+});
+
+router.get('/search', (req, res) => {
+  const { q, category, type, month, overBudget } = req.query;
+  const minLimit = toNumber(req.query.minLimit);
+  const maxLimit = toNumber(req.query.maxLimit);
+  const query = String(q || '').toLowerCase();
+
+  const results = userBudgets(req.user._id)
+    .map(withSpent)
+    .filter(budget => !query || [budget.category, budget.description]
+      .some(field => String(field || '').toLowerCase().includes(query)))
+    .filter(budget => !category || budget.category === category)
+    .filter(budget => !type || (budget.type || 'expense') === type)
+    .filter(budget => !month || budget.month === month)
+    .filter(budget => minLimit === null || budget.monthlyLimit >= minLimit)
+    .filter(budget => maxLimit === null || budget.monthlyLimit <= maxLimit)
+    .filter(budget => String(overBudget) !== 'true' || budget.spent > budget.monthlyLimit);
+
+  const { data, pagination } = paginate(results, req.query.page, req.query.limit);
+  res.json({ success: true, data, pagination });
+});
+
+// ==============================
+// MUTATIONS
+// ==============================
+
+router.post('/', (req, res) => {
+  const body = req.body || {};
+  const error = validate(body);
+  if (error) return sendError(res, 400, error);
+
+  const { spent, ...data } = normalize(body);
+  if (isDuplicate(req.user._id, data)) {
+    return sendError(res, 409, `A ${data.category} budget already exists for ${data.month}`);
+  }
+
+  const budget = insert('budgets', {
+    type: 'expense',
+    color: '#3B82F6',
+    description: '',
+    ...data,
+    userId: req.user._id
+  });
+
+  res.status(201).json({ success: true, message: 'Budget created', data: withSpent(budget) });
+});
+
+router.patch('/bulk', (req, res) => {
+  const updates = Array.isArray(req.body?.updates) ? req.body.updates : [];
+  if (updates.length === 0) return sendError(res, 400, 'Budget updates array is required');
+
+  const missing = updates.find(change => !findOwned(req, change.id || change._id));
+  if (missing) return sendError(res, 404, `Budget ${missing.id || missing._id} not found`);
+
+  const invalid = updates.map(change => validate(change, true)).find(Boolean);
+  if (invalid) return sendError(res, 400, invalid);
+
+  const updated = updates.map(change =>
+    withSpent(update('budgets', change.id || change._id, normalize(change), OWNER_FIELDS)));
+  res.json({ success: true, message: `Updated ${updated.length} budgets`, data: updated });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Budget not found');
+
+  const body = req.body || {};
+  const error = validate(body, true);
+  if (error) return sendError(res, 400, error);
+
+  const data = normalize(body);
+  if (isDuplicate(req.user._id, { ...existing, ...data }, existing._id)) {
+    return sendError(res, 409, 'Another budget already covers this category and month');
+  }
+
+  const budget = update('budgets', existing._id, data, OWNER_FIELDS);
+  res.json({ success: true, message: 'Budget updated', data: withSpent(budget) });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Budget not found');
+
+  const entry = moveToTrash(req.user._id, 'budget', existing);
+  res.json({ success: true, message: 'Budget moved to the trash', data: existing, trashId: entry._id });
+});
+
+module.exports = router;
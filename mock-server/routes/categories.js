@@ -0,0 +1,156 @@
+// mock-server/routes/categories.js - /api/categories
+const express = require('express');
+const { db, findById, insert, update, remove } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { filterTransactions, summarize, spentFor } = require('../ledger');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const VALID_TYPES = ['income', 'expense'];
+const OWNER_FIELDS = ['userId', 'isDefault'];
+
+const userCategories = (userId) => db.categories.filter(category => category.userId === userId);
+
+const findOwned = (req) => {
+  const category = findById('categories', req.params.id);
+  return category && category.userId === req.user._id ? category : null;
+};
+
+const normalizeKeywords = (keywords) => {
+  const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+  return [...new Set(list.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))];
+};
+
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'healthy',
+    user: { _id: req.user._id, email: req.user.email },
+    categories: userCategories(req.user._id).length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/', (req, res) => {
+  const categories = userCategories(req.user._id)
+    .filter(category => !req.query.type || category.type === req.query.type);
+  res.json({ success: true, data: categories, count: categories.length });
+});
+
+router.get('/insights', (req, res) => {
+  const { month } = req.query;
+  if (!/^\d{4}-\d{2}$/.test(month || '')) {
+    return sendError(res, 400, 'Month parameter is required in YYYY-MM format');
+  }
+
+  const summary = summarize(filterTransactions(req.user._id, { month, type: 'expense' }));
+  const budgets = db.budgets.filter(budget => budget.userId === req.user._id && budget.month === month);
+
+  const insights = summary.byCategory.map(entry => {
+    const budget = budgets.find(item => item.category === entry.category);
+    const limit = budget?.monthlyLimit || null;
+    return {
+      category: entry.category,
+      total: entry.total,
+      count: entry.count,
+      average: entry.count ? Math.round(entry.total / entry.count) : 0,
+      percentage: summary.totalExpense ? Math.round((entry.total / summary.totalExpense) * 100) : 0,
+      budget: limit,
+      remaining: limit === null ? null : limit - spentFor(req.user._id, entry.category, month)
+    };
+  });
+
+  res.json({
+    success: true,
+    month,
+    insights,
+    top: insights.slice(0, 3),
+    metadata: { totalExpense: summary.totalExpense, transactionCount: summary.count }
+  });
+});
+
+router.get('/suggest', (req, res) => {
+  const description = String(req.query.description || '').toLowerCase();
+  if (!description.trim()) return sendError(res, 400, 'Description is required');
+
+  // Longest matching keyword wins so "uber eats" beats "uber"
+  let best = null;
+  userCategories(req.user._id).forEach(category => {
+    (category.keywords || []).forEach(keyword => {
+      if (description.includes(keyword) && (!best || keyword.length > best.keyword.length)) {
+        best = { category, keyword };
+      }
+    });
+  });
+
+  res.json({
+    success: true,
+    suggestion: best
+      ? {
+        _id: best.category._id,
+        name: best.category.name,
+        type: best.category.type,
+        icon: best.category.icon,
+        color: best.category.color,
+        matchedKeyword: best.keyword,
+        confidence: Math.min(0.95, 0.5 + best.keyword.length / 20)
+      }
+      : null
+  });
+});
+
+router.post('/', (req, res) => {
+  const { name, type = 'expense', color = '#64748b', icon = '📦', keywords } = req.body || {};
+
+  if (!name || !String(name).trim()) return sendError(res, 400, 'Category name is required');
+  if (!VALID_TYPES.includes(type)) return sendError(res, 400, `Type must be one of: ${VALID_TYPES.join(', ')}`);
+
+  const trimmed = String(name).trim();
+  const exists = userCategories(req.user._id)
+    .some(category => category.type === type && category.name.toLowerCase() === trimmed.toLowerCase());
+  if (exists) return sendError(res, 409, `Category "${trimmed}" already exists`);
+
+  const category = insert('categories', {
+    name: trimmed,
+    type,
+    color,
+    icon,
+    keywords: normalizeKeywords(keywords),
+    isDefault: false,
+    userId: req.user._id
+  });
+
+  res.status(201).json({ success: true, message: 'Category created', data: category });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Category not found');
+
+  const body = req.body || {};
+  if (body.type !== undefined && !VALID_TYPES.includes(body.type)) {
+    return sendError(res, 400, `Type must be one of: ${VALID_TYPES.join(', ')}`);
+  }
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return sendError(res, 400, 'Category name is required');
+  }
+
+  const category = update('categories', existing._id, {
+    ...body,
+    ...(body.name !== undefined && { name: String(body.name).trim() }),
+    ...(body.keywords !== undefined && { keywords: normalizeKeywords(body.keywords) })
+  }, OWNER_FIELDS);
+
+  res.json({ success: true, message: 'Category updated', data: category });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Category not found');
+
+  remove('categories', existing._id);
+  res.json({ success: true, message: 'Category deleted', data: existing });
+});
+
+module.exports = router;
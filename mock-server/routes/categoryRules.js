@@ -0,0 +1,98 @@
+// mock-server/routes/categoryRules.js - /api/category-rules
+const express = require('express');
+const { findById, insert, update, remove } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { rulesOf, normalizeRule, validateRule, runRules } = require('../categoryRules');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const OWNER_FIELDS = ['userId', 'order'];
+
+const findOwned = (req) => {
+  const rule = findById('categoryRules', req.params.id);
+  return rule && rule.userId === req.user._id ? rule : null;
+};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Rules apply in this order
+router.get('/', (req, res) => {
+  const rules = rulesOf(req.user._id);
+  res.json({ success: true, rules, count: rules.length });
+});
+
+// New rules go last, so they never take over from ones the user already relies on
+router.post('/', (req, res) => {
+  const rule = normalizeRule(req.body || {});
+  const error = validateRule(req.user._id, rule);
+  if (error) return sendError(res, 400, error);
+
+  const order = rulesOf(req.user._id).reduce((last, other) => Math.max(last, other.order), -1) + 1;
+  const created = insert('categoryRules', { ...rule, order, userId: req.user._id });
+  res.status(201).json({ success: true, message: 'Rule created', rule: created });
+});
+
+// Rule IDs in the order they should apply; rules left out keep their place after the listed ones
+router.post('/reorder', (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids : null;
+  if (!ids) return sendError(res, 400, 'Rule IDs array is required');
+
+  const rules = rulesOf(req.user._id);
+  const unknown = ids.find(id => !rules.some(rule => rule._id === id));
+  if (unknown) return sendError(res, 404, `Rule ${unknown} not found`);
+
+  const ordered = [...ids.map(id => rules.find(rule => rule._id === id)), ...rules.filter(rule => !ids.includes(rule._id))];
+  ordered.forEach((rule, order) => {
+    if (rule.order !== order) update('categoryRules', rule._id, { order });
+  });
+  res.json({ success: true, message: 'Rules reordered', rules: rulesOf(req.user._id) });
+});
+
+/**
+ * Re-run rules over existing transactions. With dryRun nothing is saved and the response lists
+ * what would change.
+ */
+router.post('/run', (req, res) => {
+  const { ruleIds, overwrite, dryRun, from, to } = req.body || {};
+  if (ruleIds !== undefined && ruleIds !== null && !Array.isArray(ruleIds)) return sendError(res, 400, 'ruleIds must be a list');
+  if ([from, to].some(date => date && !isValidDate(date))) return sendError(res, 400, 'from and to must be valid dates');
+
+  const result = runRules(req.user._id, {
+    ruleIds: Array.isArray(ruleIds) && ruleIds.length > 0 ? ruleIds : null,
+    overwrite: overwrite === true,
+    dryRun: dryRun === true,
+    from: from || null,
+    to: to || null
+  });
+  res.json({
+    success: true,
+    message: dryRun === true
+      ? `${result.count} transaction(s) would change`
+      : `Updated ${result.count} transaction(s)`,
+    dryRun: dryRun === true,
+    ...result
+  });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Rule not found');
+
+  const rule = normalizeRule(req.body || {}, existing);
+  const error = validateRule(req.user._id, rule, existing._id);
+  if (error) return sendError(res, 400, error);
+
+  const updated = update('categoryRules', existing._id, rule, OWNER_FIELDS);
+  res.json({ success: true, message: 'Rule updated', rule: updated });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Rule not found');
+
+  remove('categoryRules', existing._id);
+  res.json({ success: true, message: 'Rule deleted' });
+});
+
+module.exports = router;
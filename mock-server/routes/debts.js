@@ -0,0 +1,154 @@
+// mock-server/routes/debts.js - /api/debts
+const express = require('express');
+const { db, findById, insert, update } = require('../store');
+const { requireAuth, sendError, toUserSummary } = require('../auth');
+const { resolvePerson, notify } = require('../people');
+const { moveToTrash } = require('../trash');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const MAX_MANUAL_AMOUNT = 100000;
+
+const toDebtView = (debt) => ({
+  ...debt,
+  creditor: toUserSummary(findById('users', debt.creditorId)),
+  debtor: toUserSummary(findById('users', debt.debtorId))
+});
+
+const isParty = (debt, userId) => debt.creditorId === userId || debt.debtorId === userId;
+
+const findInvolved = (req) => {
+  const debt = findById('debts', req.params.id);
+  return debt && isParty(debt, req.user._id) ? debt : null;
+};
+
+const otherParty = (debt, userId) => (debt.creditorId === userId ? debt.debtorId : debt.creditorId);
+
+const totals = (debts) => ({
+  count: debts.length,
+  total: debts.reduce((sum, debt) => sum + debt.amount, 0)
+});
+
+router.get('/owed-to-me', (req, res) => {
+  const debts = db.debts.filter(debt => debt.creditorId === req.user._id).map(toDebtView);
+  res.json({ success: true, debts, count: debts.length });
+});
+
+router.get('/owed-by-me', (req, res) => {
+  const debts = db.debts.filter(debt => debt.debtorId === req.user._id).map(toDebtView);
+  res.json({ success: true, debts, count: debts.length });
+});
+
+router.get('/overview', (req, res) => {
+  const pending = db.debts.filter(debt => debt.status === 'pending' && isParty(debt, req.user._id));
+  const owedToMe = totals(pending.filter(debt => debt.creditorId === req.user._id));
+  const owedByMe = totals(pending.filter(debt => debt.debtorId === req.user._id));
+
+  res.json({
+    success: true,
+    overview: {
+      totalOwedToMe: owedToMe.total,
+      totalOwedByMe: owedByMe.total,
+      netBalance: owedToMe.total - owedByMe.total,
+      pendingOwedToMe: owedToMe.count,
+      pendingOwedByMe: owedByMe.count,
+      splitExpenseDebts: pending.filter(debt => debt.type === 'split').length,
+      manualDebts: pending.filter(debt => debt.type === 'manual').length,
+      overdue: pending.filter(debt => debt.dueDate && new Date(debt.dueDate) < new Date()).length
+    }
+  });
+});
+
+router.post('/', (req, res) => {
+  const { friendId, friendEmail, amount, description, type, dueDate } = req.body || {};
+  const value = Number(amount);
+
+  if (!(value > 0)) return sendError(res, 400, 'Valid positive amount is required');
+  if (value > MAX_MANUAL_AMOUNT) return sendError(res, 400, 'Amount cannot exceed ₹100,000');
+  if (!description || !String(description).trim()) return sendError(res, 400, 'Description is required');
+  if (!['owe-me', 'i-owe'].includes(type)) return sendError(res, 400, 'Type must be either "owe-me" or "i-owe"');
+
+  const friend = resolvePerson(req.user._id, friendId || friendEmail);
+  if (!friend) return sendError(res, 404, 'Friend not found');
+  if (friend._id === req.user._id) return sendError(res, 400, 'You cannot record a debt with yourself');
+
+  const owedToMe = type === 'owe-me';
+  const debt = insert('debts', {
+    creditorId: owedToMe ? req.user._id : friend._id,
+    debtorId: owedToMe ? friend._id : req.user._id,
+    amount: value,
+    description: String(description).trim(),
+    type: 'manual',
+    status: 'pending',
+    dueDate: dueDate || null,
+    metadata: {},
+    createdBy: req.user._id
+  });
+
+  notify(friend._id, {
+    senderId: req.user._id,
+    type: 'debt_created',
+    title: 'New debt recorded',
+    message: owedToMe
+      ? `${req.user.name} recorded that you owe ₹${value} for "${debt.description}"`
+      : `${req.user.name} recorded that they owe you ₹${value} for "${debt.description}"`,
+    data: { debtId: debt._id, amount: value }
+  });
+
+  res.status(201).json({ success: true, message: 'Debt created successfully', debt: toDebtView(debt) });
+});
+
+router.patch('/:id/mark-paid', (req, res) => {
+  const existing = findInvolved(req);
+  if (!existing) return sendError(res, 404, 'Debt not found');
+  if (existing.status === 'paid') return sendError(res, 400, 'Debt is already marked as paid');
+
+  const debt = update('debts', existing._id, {
+    status: 'paid',
+    paidAt: new Date().toISOString(),
+    paymentMethod: req.body?.paymentMethod || null
+  });
+
+  notify(otherParty(debt, req.user._id), {
+    senderId: req.user._id,
+    type: 'debt_paid',
+    title: 'Debt settled',
+    message: `${req.user.name} marked "${debt.description}" (₹${debt.amount}) as paid`,
+    data: { debtId: debt._id, amount: debt.amount }
+  });
+
+  res.json({ success: true, message: 'Debt marked as paid', debt: toDebtView(debt) });
+});
+
+router.post('/:id/remind', (req, res) => {
+  const debt = findInvolved(req);
+  if (!debt) return sendError(res, 404, 'Debt not found');
+  if (debt.creditorId !== req.user._id) return sendError(res, 403, 'Only the person owed can send a reminder');
+  if (debt.status !== 'pending') return sendError(res, 400, 'This debt is already settled');
+
+  notify(debt.debtorId, {
+    senderId: req.user._id,
+    type: 'payment_reminder',
+    title: 'Payment reminder',
+    message: req.body?.message && req.body.message !== 'Payment reminder'
+      ? req.body.message
+      : `${req.user.name} reminded you about "${debt.description}" (₹${debt.amount})`,
+    data: { debtId: debt._id, amount: debt.amount }
+  });
+
+  res.json({ success: true, message: 'Payment reminder sent' });
+});
+
+router.delete('/:id', (req, res) => {
+  const debt = findInvolved(req);
+  if (!debt) return sendError(res, 404, 'Debt not found');
+  if (debt.type === 'split' && debt.status === 'pending') {
+    return sendError(res, 400, 'Settle or delete the split expense to remove this debt');
+  }
+
+  const entry = moveToTrash(req.user._id, 'debt', debt);
+  res.json({ success: true, message: 'Debt moved to the trash', trashId: entry._id });
+});
+
+module.exports = router;
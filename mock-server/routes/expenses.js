@@ -0,0 +1,105 @@
+// mock-server/routes/expenses.js - /api/expenses (legacy expense endpoints, backed by expense transactions)
+const express = require('express');
+const multer = require('multer');
+const { db, findById, update } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { filterTransactions, summarize } = require('../ledger');
+const { moveToTrash } = require('../trash');
+const { releaseDuplicatesOf } = require('../duplicates');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+const RANGE_DAYS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+const findOwnedExpense = (req) => {
+  const transaction = findById('transactions', req.params.id);
+  return transaction && transaction.userId === req.user._id && transaction.type === 'expense' ? transaction : null;
+};
+
+router.get('/', (req, res) => {
+  const expenses = filterTransactions(req.user._id, { ...req.query, type: 'expense' });
+  res.json({ success: true, expenses, count: expenses.length });
+});
+
+router.get('/categories', (req, res) => {
+  const categories = db.categories
+    .filter(category => category.userId === req.user._id && category.type === 'expense');
+  res.json({ success: true, categories: categories.map(category => category.name), data: categories });
+});
+
+router.get('/stats', (req, res) => {
+  const range = RANGE_DAYS[req.query.range] ? req.query.range : '30d';
+  const startDate = new Date(Date.now() - RANGE_DAYS[range] * 24 * 60 * 60 * 1000).toISOString();
+  const expenses = filterTransactions(req.user._id, { type: 'expense', startDate });
+  const summary = summarize(expenses);
+
+  res.json({
+    success: true,
+    stats: {
+      range,
+      total: summary.totalExpense,
+      count: summary.count,
+      average: summary.count ? Math.round(summary.totalExpense / summary.count) : 0,
+      dailyAverage: Math.round(summary.totalExpense / RANGE_DAYS[range]),
+      byCategory: summary.byCategory
+    }
+  });
+});
+
+// No OCR here: return a plausible parse so the scan flow can be exercised end to end
+router.post('/scan-bill', upload.single('bill'), (req, res) => {
+  if (!req.file) return sendError(res, 400, 'No bill image uploaded');
+
+  res.json({
+    success: true,
+    data: {
+      merchant: 'Demo Supermarket',
+      title: 'Demo Supermarket',
+      amount: 1248.5,
+      date: new Date().toISOString().split('T')[0],
+      category: 'Food',
+      items: [
+        { name: 'Groceries', amount: 986 },
+        { name: 'Household supplies', amount: 262.5 }
+      ],
+      confidence: 0.82,
+      fileName: req.file.originalname
+    }
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const expense = findOwnedExpense(req);
+  if (!expense) return sendError(res, 404, 'Expense not found');
+  res.json({ success: true, expense });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findOwnedExpense(req);
+  if (!existing) return sendError(res, 404, 'Expense not found');
+
+  const body = req.body || {};
+  if (body.amount !== undefined && !(Number(body.amount) > 0)) {
+    return sendError(res, 400, 'Amount must be a positive number');
+  }
+
+  const expense = update('transactions', existing._id, {
+    ...body,
+    ...(body.amount !== undefined && { amount: Number(body.amount) })
+  }, ['userId', 'type']);
+  res.json({ success: true, message: 'Expense updated', expense });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwnedExpense(req);
+  if (!existing) return sendError(res, 404, 'Expense not found');
+
+  const entry = moveToTrash(req.user._id, 'transaction', existing);
+  releaseDuplicatesOf([existing._id]);
+  res.json({ success: true, message: 'Expense moved to the trash', trashId: entry._id });
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// mock-server/routes/friends.js - /api/friends
+const express = require('express');
+const { db, insert, removeWhere } = require('../store');
+const { requireAuth, sendError, toUserSummary } = require('../auth');
+const { friendshipsOf, toFriendView, resolvePerson, areFriends, notify } = require('../people');
+
+const router = express.Router();
+router.use(requireAuth);
+
+router.get('/', (req, res) => {
+  const friends = friendshipsOf(req.user._id).map(toFriendView);
+  res.json({ success: true, friends, count: friends.length });
+});
+
+router.get('/debug/auth', (req, res) => {
+  res.json({
+    success: true,
+    authenticated: true,
+    user: toUserSummary(req.user),
+    tokenPreview: `${req.token.substring(0, 20)}...`
+  });
+});
+
+router.get('/search', (req, res) => {
+  const query = String(req.query.q || '').trim().toLowerCase();
+  if (query.length < 2) return res.json({ success: true, users: [], count: 0, message: 'Query too short' });
+
+  const users = db.users
+    .filter(user => user._id !== req.user._id)
+    .filter(user => [user.name, user.email, user.userId]
+      .some(field => String(field || '').toLowerCase().includes(query)))
+    .map(user => ({ ...toUserSummary(user), isFriend: areFriends(req.user._id, user._id) }));
+
+  res.json({ success: true, users, count: users.length });
+});
+
+router.get('/suggestions', (req, res) => {
+  // Friends of friends first, then anyone else not yet connected
+  const direct = new Set(friendshipsOf(req.user._id).map(friend => friend.friendUserId));
+  const mutualCounts = new Map();
+  direct.forEach(friendId => {
+    friendshipsOf(friendId).forEach(friend => {
+      if (friend.friendUserId !== req.user._id && !direct.has(friend.friendUserId)) {
+        mutualCounts.set(friend.friendUserId, (mutualCounts.get(friend.friendUserId) || 0) + 1);
+      }
+    });
+  });
+
+  const suggestions = db.users
+    .filter(user => user._id !== req.user._id && !direct.has(user._id))
+    .map(user => ({ ...toUserSummary(user), mutualFriends: mutualCounts.get(user._id) || 0 }))
+    .sort((a, b) => b.mutualFriends - a.mutualFriends)
+    .slice(0, 10);
+
+  res.json({ success: true, suggestions, count: suggestions.length });
+});
+
+router.post('/add', (req, res) => {
+  const ref = req.body?.userId || req.body?.friendId || req.body?.email;
+  const friendUser = resolvePerson(req.user._id, ref);
+
+  if (!friendUser) return sendError(res, 404, 'User not found');
+  if (friendUser._id === req.user._id) return sendError(res, 400, 'You cannot add yourself as a friend');
+  if (areFriends(req.user._id, friendUser._id)) return sendError(res, 409, 'Already friends with this user');
+
+  // The mock auto-accepts so both sides see each other immediately
+  const friendship = insert('friends', { owner: req.user._id, friendUserId: friendUser._id, status: 'accepted' });
+  if (!areFriends(friendUser._id, req.user._id)) {
+    insert('friends', { owner: friendUser._id, friendUserId: req.user._id, status: 'accepted' });
+  }
+
+  notify(friendUser._id, {
+    senderId: req.user._id,
+    type: 'friend_added',
+    title: 'New friend',
+    message: `${req.user.name} added you as a friend`
+  });
+
+  res.status(201).json({ success: true, message: `${friendUser.name} added as a friend`, friend: toFriendView(friendship) });
+});
+
+router.get('/:friendId', (req, res) => {
+  const friendUser = resolvePerson(req.user._id, req.params.friendId);
+  const friendship = friendUser && friendshipsOf(req.user._id).find(friend => friend.friendUserId === friendUser._id);
+  if (!friendship) return sendError(res, 404, 'Friend not found');
+
+  res.json({ success: true, friend: toFriendView(friendship) });
+});
+
+router.delete('/:friendId', (req, res) => {
+  const friendUser = resolvePerson(req.user._id, req.params.friendId);
+  if (!friendUser || !areFriends(req.user._id, friendUser._id)) return sendError(res, 404, 'Friend not found');
+
+  removeWhere('friends', friend =>
+    (friend.owner === req.user._id && friend.friendUserId === friendUser._id) ||
+    (friend.owner === friendUser._id && friend.friendUserId === req.user._id));
+
+  res.json({ success: true, message: `${friendUser.name} removed from friends`, friendId: req.params.friendId });
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// mock-server/routes/fx.js - /api/fx
+const express = require('express');
+const { db, insert, update, remove } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { FX_CURRENCIES, baseCurrencyOf, rateTableFor } = require('../fx');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Rates are per US dollar, so the dollar itself is always 1
+const RATED_CURRENCIES = FX_CURRENCIES.filter(currency => currency !== 'USD');
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const ownSnapshot = (userId, date) => db.fxRates.find(entry => entry.userId === userId && entry.date === date);
+
+const validateDay = (date) => (DAY_PATTERN.test(date) && !Number.isNaN(new Date(date).getTime())
+  ? null
+  : 'Date must be a day in YYYY-MM-DD form');
+
+const validateRates = (rates) => {
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates) || Object.keys(rates).length === 0) {
+    return 'Rates are required, as units of each currency per US dollar';
+  }
+  const unknown = Object.keys(rates).filter(currency => !RATED_CURRENCIES.includes(currency));
+  if (unknown.length > 0) return `Unknown currencies: ${unknown.join(', ')}`;
+  const invalid = Object.keys(rates).find(currency => !(Number(rates[currency]) > 0));
+  if (invalid) return `Rate for ${invalid} must be a positive number`;
+  return null;
+};
+
+// The table conversions use: built-in snapshots with the user's own merged over them
+router.get('/rates', (req, res) => {
+  const rates = rateTableFor(req.user._id);
+  res.json({
+    success: true,
+    base: baseCurrencyOf(req.user._id),
+    currencies: FX_CURRENCIES,
+    rates,
+    count: rates.length
+  });
+});
+
+// Adds rates to the user's snapshot for a day, replacing any they set before for the same
+// currencies. Transactions keep the rate they were saved with; the new one applies when one is
+// next saved or the base currency changes.
+router.put('/rates/:date', (req, res) => {
+  const { date } = req.params;
+  const error = validateDay(date) || validateRates(req.body?.rates);
+  if (error) return sendError(res, 400, error);
+
+  const rates = Object.fromEntries(Object.entries(req.body.rates).map(([currency, rate]) => [currency, Number(rate)]));
+  const existing = ownSnapshot(req.user._id, date);
+  const snapshot = existing
+    ? update('fxRates', existing._id, { rates: { ...existing.rates, ...rates } })
+    : insert('fxRates', { userId: req.user._id, date, rates });
+  res.status(existing ? 200 : 201).json({ success: true, message: `Rates for ${date} saved`, snapshot });
+});
+
+// Only the user's own snapshots can be removed; the built-in ones show through again
+router.delete('/rates/:date', (req, res) => {
+  const existing = ownSnapshot(req.user._id, req.params.date);
+  if (!existing) return sendError(res, 404, 'You have no rates saved for that day');
+
+  remove('fxRates', existing._id);
+  res.json({ success: true, message: `Rates for ${req.params.date} removed`, snapshot: existing });
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// mock-server/routes/groups.js - /api/groups
+const express = require('express');
+const { db, findById, insert, update, remove } = require('../store');
+const { requireAuth, sendError, toUserSummary } = require('../auth');
+const { resolvePerson } = require('../people');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const toGroupView = (group) => ({
+  ...group,
+  members: group.members.map(memberId => toUserSummary(findById('users', memberId))).filter(Boolean)
+});
+
+const findMemberOf = (req) => {
+  const group = findById('groups', req.params.id);
+  return group && group.members.includes(req.user._id) ? group : null;
+};
+
+// Resolve member references and always keep the current user in the group
+const resolveMembers = (user, members = []) => {
+  const ids = new Set([user._id]);
+  for (const ref of members) {
+    const person = resolvePerson(user._id, typeof ref === 'object' ? ref._id || ref.friendId : ref);
+    if (!person) return { error: `Member ${typeof ref === 'object' ? ref._id : ref} not found` };
+    ids.add(person._id);
+  }
+  return { members: [...ids] };
+};
+
+router.get('/', (req, res) => {
+  const groups = db.groups.filter(group => group.members.includes(req.user._id)).map(toGroupView);
+  res.json({ success: true, groups, count: groups.length });
+});
+
+router.post('/', (req, res) => {
+  const { name, description = '', members } = req.body || {};
+  if (!name || !String(name).trim()) return sendError(res, 400, 'Group name is required');
+
+  const resolved = resolveMembers(req.user, members);
+  if (resolved.error) return sendError(res, 400, resolved.error);
+
+  const group = insert('groups', {
+    name: String(name).trim(),
+    description,
+    members: resolved.members,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({ success: true, message: 'Group created', group: toGroupView(group) });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findMemberOf(req);
+  if (!existing) return sendError(res, 404, 'Group not found');
+
+  const { name, description, members } = req.body || {};
+  if (name !== undefined && !String(name).trim()) return sendError(res, 400, 'Group name is required');
+
+  let resolvedMembers;
+  if (members !== undefined) {
+    const resolved = resolveMembers(req.user, members);
+    if (resolved.error) return sendError(res, 400, resolved.error);
+    resolvedMembers = resolved.members;
+  }
+
+  const group = update('groups', existing._id, {
+    ...(name !== undefined && { name: String(name).trim() }),
+    ...(description !== undefined && { description }),
+    ...(resolvedMembers && { members: resolvedMembers })
+  });
+
+  res.json({ success: true, message: 'Group updated', group: toGroupView(group) });
+});
+
+router.delete('/:id', (req, res) => {
+  const group = findMemberOf(req);
+  if (!group) return sendError(res, 404, 'Group not found');
+  if (group.createdBy !== req.user._id) return sendError(res, 403, 'Only the group creator can delete it');
+
+  remove('groups', group._id);
+  res.json({ success: true, message: 'Group deleted' });
+});
+
+module.exports = router;
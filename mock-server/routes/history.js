@@ -0,0 +1,20 @@
+// mock-server/routes/history.js - /api/history
+const express = require('express');
+const { requireAuth, sendError } = require('../auth');
+const { HISTORY_ENTITIES, historyOf } = require('../history');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Only entries for people who could see the record at the time are returned, so a record
+// someone was never part of simply has no history for them
+router.get('/:entity/:id', (req, res) => {
+  if (!Object.values(HISTORY_ENTITIES).includes(req.params.entity)) {
+    return sendError(res, 400, `History is kept for: ${Object.values(HISTORY_ENTITIES).join(', ')}`);
+  }
+
+  const entries = historyOf(req.params.entity, req.params.id, req.user._id);
+  res.json({ success: true, entries, count: entries.length });
+});
+
+module.exports = router;
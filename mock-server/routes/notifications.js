@@ -0,0 +1,91 @@
+// mock-server/routes/notifications.js - /api/notifications
+const express = require('express');
+const { db, findById, update, remove } = require('../store');
+const { requireAuth, sendError, toUserSummary } = require('../auth');
+const { resolvePerson, notify } = require('../people');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const TITLES = {
+  expense_created: 'New split expense',
+  expense_updated: 'Split expense updated',
+  expense_deleted: 'Split expense removed',
+  payment_reminder: 'Payment reminder',
+  settlement: 'Balance settled'
+};
+
+const toNotificationView = (notification) => ({
+  ...notification,
+  sender: toUserSummary(findById('users', notification.senderId))
+});
+
+const ownNotifications = (userId) =>
+  db.notifications
+    .filter(notification => notification.recipientId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+const findOwned = (req) => {
+  const notification = findById('notifications', req.params.id);
+  return notification && notification.recipientId === req.user._id ? notification : null;
+};
+
+router.get('/', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const notifications = ownNotifications(req.user._id)
+    .filter(notification => String(req.query.unreadOnly) !== 'true' || !notification.read)
+    .filter(notification => !req.query.type || notification.type === req.query.type)
+    .slice(0, limit)
+    .map(toNotificationView);
+
+  res.json({ success: true, notifications, count: notifications.length });
+});
+
+router.get('/unread-count', (req, res) => {
+  res.json({ success: true, count: ownNotifications(req.user._id).filter(notification => !notification.read).length });
+});
+
+router.post('/send', (req, res) => {
+  const { expenseId, recipientIds, type = 'expense_created', data = {} } = req.body || {};
+  if (!expenseId || !Array.isArray(recipientIds) || recipientIds.length === 0) {
+    return sendError(res, 400, 'Expense ID and recipient IDs are required');
+  }
+
+  const recipients = recipientIds.map(ref => resolvePerson(req.user._id, ref)).filter(Boolean);
+  if (recipients.length === 0) return sendError(res, 404, 'None of the recipients were found');
+
+  const share = data.yourShare ?? data.amount;
+  const sent = recipients.map(recipient => notify(recipient._id, {
+    senderId: req.user._id,
+    type,
+    title: TITLES[type] || 'Notification',
+    message: data.message || `${req.user.name} added "${data.description || 'an expense'}"${share ? ` - your share is ₹${share}` : ''}`,
+    data: { ...data, expenseId }
+  }));
+
+  res.status(201).json({ success: true, message: `Sent ${sent.length} notifications`, count: sent.length });
+});
+
+router.put('/read-all', (req, res) => {
+  const unread = ownNotifications(req.user._id).filter(notification => !notification.read);
+  unread.forEach(notification => update('notifications', notification._id, { read: true, readAt: new Date().toISOString() }));
+  res.json({ success: true, message: 'All notifications marked as read', updated: unread.length });
+});
+
+router.put('/:id/read', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Notification not found');
+
+  const notification = update('notifications', existing._id, { read: true, readAt: new Date().toISOString() });
+  res.json({ success: true, notification: toNotificationView(notification) });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Notification not found');
+
+  remove('notifications', existing._id);
+  res.json({ success: true, message: 'Notification deleted' });
+});
+
+module.exports = router;
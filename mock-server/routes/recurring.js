@@ -0,0 +1,278 @@
+// mock-server/routes/recurring.js - /api/recurring-transactions
+const express = require('express');
+const { db, findById, insert, update, remove } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { checkAccount } = require('../accounts');
+const {
+  FREQUENCIES,
+  dayKey,
+  parseCron,
+  occurrencesBetween,
+  scheduleFields,
+  materializeDue
+} = require('../recurrence');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Anything that came due while nobody was looking is recorded before the rules are read
+router.use((req, res, next) => {
+  materializeDue(req.user._id);
+  next();
+});
+
+const VALID_TYPES = ['income', 'expense'];
+const OWNER_FIELDS = ['userId', 'generatedThrough', 'skipped', 'nextOccurrence', 'status'];
+const EDITABLE_FIELDS = ['title', 'amount', 'type', 'category', 'paymentMode', 'accountId', 'notes', 'frequency', 'interval', 'cron', 'startDate', 'endDate'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_UPCOMING_DAYS = 31;
+const MAX_UPCOMING_DAYS = 400;
+
+const findOwned = (req) => {
+  const rule = findById('recurringRules', req.params.id);
+  return rule && rule.userId === req.user._id ? rule : null;
+};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// "2025-03-01" means that local day, not UTC midnight
+const parseDay = (value) => {
+  if (DAY_PATTERN.test(String(value || ''))) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return isValidDate(value) ? new Date(value) : null;
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+/**
+ * Validate a rule as it would be stored
+ * @param {object} rule - Existing fields merged with the incoming changes
+ * @returns {string|null} Error message
+ */
+const validate = (rule) => {
+  if (!rule.title || !String(rule.title).trim()) return 'Recurring transaction requires a title';
+  if (!(Number(rule.amount) > 0)) return 'Amount must be a positive number';
+  if (!VALID_TYPES.includes(rule.type)) return `Type must be one of: ${VALID_TYPES.join(', ')}`;
+  if (!FREQUENCIES.includes(rule.frequency)) return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  if (rule.frequency !== 'custom' && !(Number.isInteger(Number(rule.interval)) && Number(rule.interval) >= 1)) {
+    return 'Interval must be a whole number of at least 1';
+  }
+  if (rule.frequency === 'custom') {
+    try {
+      parseCron(rule.cron);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  if (!rule.startDate || !isValidDate(rule.startDate)) return 'Start date is invalid';
+  if (rule.endDate) {
+    if (!isValidDate(rule.endDate)) return 'End date is invalid';
+    if (new Date(rule.endDate) < new Date(rule.startDate)) return 'End date must be after the start date';
+  }
+  return null;
+};
+
+const normalize = (body) => {
+  const changes = {};
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).forEach(field => {
+    changes[field] = body[field];
+  });
+
+  if (changes.title !== undefined) changes.title = String(changes.title).trim();
+  if (changes.amount !== undefined) changes.amount = Number(changes.amount);
+  if (changes.interval !== undefined) changes.interval = Number(changes.interval);
+  if (changes.cron !== undefined) changes.cron = String(changes.cron || '').trim();
+  if (changes.startDate !== undefined && isValidDate(changes.startDate)) changes.startDate = new Date(changes.startDate).toISOString();
+  // An end date without a time covers that whole day
+  if (changes.endDate) {
+    const end = parseDay(changes.endDate);
+    changes.endDate = end ? (DAY_PATTERN.test(body.endDate) ? endOfDay(end) : end).toISOString() : changes.endDate;
+  }
+  if (changes.endDate === '') changes.endDate = null;
+  return changes;
+};
+
+// The occurrence of a rule on a given local day, if there is one
+const occurrenceOn = (rule, day) =>
+  occurrencesBetween(rule, new Date(startOfDay(day).getTime() - 1), endOfDay(day))[0] || null;
+
+const isRecorded = (rule, occurrence) =>
+  !!rule.generatedThrough && occurrence <= new Date(rule.generatedThrough);
+
+// ==============================
+// QUERIES
+// ==============================
+
+router.get('/', (req, res) => {
+  const rules = db.recurringRules
+    .filter(rule => rule.userId === req.user._id)
+    .sort((a, b) => (a.nextOccurrence === null) - (b.nextOccurrence === null) ||
+      String(a.nextOccurrence).localeCompare(String(b.nextOccurrence)) ||
+      a.title.localeCompare(b.title));
+  res.json({ success: true, rules, count: rules.length });
+});
+
+// Instances not recorded yet, including skipped ones (flagged) so they can be restored
+router.get('/upcoming', (req, res) => {
+  const from = req.query.from ? parseDay(req.query.from) : new Date();
+  const to = req.query.to ? parseDay(req.query.to) : new Date(from.getTime() + DEFAULT_UPCOMING_DAYS * DAY_MS);
+  if (!from || !to) return sendError(res, 400, 'from and to must be valid dates');
+  if (to < from) return sendError(res, 400, 'to must not be before from');
+
+  const until = DAY_PATTERN.test(String(req.query.to || '')) ? endOfDay(to) : to;
+  const windowEnd = new Date(Math.min(until.getTime(), from.getTime() + MAX_UPCOMING_DAYS * DAY_MS));
+
+  const occurrences = db.recurringRules
+    .filter(rule => rule.userId === req.user._id)
+    .flatMap(rule => {
+      const skipped = new Set(rule.skipped || []);
+      const after = rule.generatedThrough && new Date(rule.generatedThrough) >= from
+        ? rule.generatedThrough
+        : new Date(from.getTime() - 1);
+
+      return occurrencesBetween(rule, after, windowEnd).map(date => ({
+        ruleId: rule._id,
+        date: date.toISOString(),
+        occurrenceDate: dayKey(date),
+        skipped: skipped.has(dayKey(date)),
+        title: rule.title,
+        amount: rule.amount,
+        type: rule.type,
+        category: rule.category,
+        paymentMode: rule.paymentMode,
+        accountId: rule.accountId || null
+      }));
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  res.json({ success: true, occurrences, count: occurrences.length });
+});
+
+router.get('/:id', (req, res) => {
+  const rule = findOwned(req);
+  if (!rule) return sendError(res, 404, 'Recurring transaction not found');
+  res.json({ success: true, rule });
+});
+
+// ==============================
+// MUTATIONS
+// ==============================
+
+router.post('/', (req, res) => {
+  const rule = {
+    type: 'expense',
+    category: 'Other',
+    paymentMode: 'cash',
+    accountId: null,
+    notes: '',
+    frequency: 'monthly',
+    interval: 1,
+    cron: '',
+    startDate: new Date().toISOString(),
+    endDate: null,
+    ...normalize(req.body || {})
+  };
+
+  const error = validate(rule) || checkAccount(req.user._id, rule.accountId);
+  if (error) return sendError(res, 400, error);
+
+  const created = insert('recurringRules', {
+    ...rule,
+    ...scheduleFields({ ...rule, skipped: [] }),
+    userId: req.user._id,
+    skipped: [],
+    generatedThrough: null
+  });
+
+  // Instances from a start date in the past (or right now) are recorded straight away
+  const generated = materializeDue(req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Recurring transaction created',
+    rule: findById('recurringRules', created._id),
+    generatedCount: generated.filter(tx => tx.recurringRuleId === created._id).length
+  });
+});
+
+// Changes apply to instances not recorded yet; transactions already in the ledger are left alone
+router.put('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Recurring transaction not found');
+
+  const changes = normalize(req.body || {});
+  const merged = { ...existing, ...changes };
+  const error = validate(merged) || (changes.accountId !== existing.accountId && checkAccount(req.user._id, changes.accountId));
+  if (error) return sendError(res, 400, error);
+
+  update('recurringRules', existing._id, { ...changes, ...scheduleFields(merged) }, OWNER_FIELDS);
+  materializeDue(req.user._id);
+
+  res.json({ success: true, message: 'Recurring transaction updated', rule: findById('recurringRules', existing._id) });
+});
+
+router.post('/:id/skip', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Recurring transaction not found');
+
+  const day = parseDay(req.body?.date);
+  if (!day) return sendError(res, 400, 'A valid occurrence date is required');
+
+  const occurrence = occurrenceOn(existing, day);
+  if (!occurrence) return sendError(res, 400, 'The series has no occurrence on that date');
+  if (isRecorded(existing, occurrence)) {
+    return sendError(res, 409, 'That occurrence is already in the ledger; delete the transaction instead');
+  }
+
+  const skipped = [...new Set([...(existing.skipped || []), dayKey(occurrence)])].sort();
+  const rule = update('recurringRules', existing._id, { skipped, ...scheduleFields({ ...existing, skipped }) });
+  res.json({ success: true, message: 'Occurrence skipped', rule });
+});
+
+router.delete('/:id/skip/:date', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Recurring transaction not found');
+
+  const day = parseDay(req.params.date);
+  if (!day) return sendError(res, 400, 'A valid occurrence date is required');
+  if (!(existing.skipped || []).includes(dayKey(day))) return sendError(res, 404, 'That occurrence is not skipped');
+
+  const occurrence = occurrenceOn(existing, day);
+  if (!occurrence || isRecorded(existing, occurrence)) {
+    return sendError(res, 409, 'That occurrence has already passed and cannot be restored');
+  }
+
+  const skipped = existing.skipped.filter(key => key !== dayKey(day));
+  const rule = update('recurringRules', existing._id, { skipped, ...scheduleFields({ ...existing, skipped }) });
+  res.json({ success: true, message: 'Occurrence restored', rule });
+});
+
+// Ending keeps every transaction already recorded; only future instances stop
+router.post('/:id/end', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Recurring transaction not found');
+
+  const { endDate } = req.body?.date ? normalize({ endDate: req.body.date }) : { endDate: new Date().toISOString() };
+  const merged = { ...existing, endDate };
+  const error = validate(merged);
+  if (error) return sendError(res, 400, error);
+
+  const rule = update('recurringRules', existing._id, { endDate, ...scheduleFields(merged) });
+  res.json({ success: true, message: 'Recurring transaction ended', rule });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Recurring transaction not found');
+
+  remove('recurringRules', existing._id);
+  res.json({ success: true, message: 'Recurring transaction deleted', rule: existing });
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// mock-server/routes/savedViews.js - /api/saved-views
+const express = require('express');
+const { db, findById, insert, update, remove } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Pages a view can open on; the filters themselves are a search expression the client parses
+const VIEW_PAGES = ['transactions', 'reports', 'analytics'];
+const MAX_NAME_LENGTH = 60;
+const MAX_QUERY_LENGTH = 500;
+const OWNER_FIELDS = ['userId'];
+
+const viewsOf = (userId) => db.savedViews
+  .filter(view => view.userId === userId)
+  .sort((a, b) => (b.pinned === true) - (a.pinned === true) || a.name.localeCompare(b.name));
+
+const findOwned = (req) => {
+  const view = findById('savedViews', req.params.id);
+  return view && view.userId === req.user._id ? view : null;
+};
+
+const validate = (userId, body, existing = null) => {
+  const name = body.name !== undefined ? String(body.name).trim() : existing?.name;
+  if (!name) return 'View name is required';
+  if (name.length > MAX_NAME_LENGTH) return `View name must be at most ${MAX_NAME_LENGTH} characters`;
+  if (viewsOf(userId).some(view => view._id !== existing?._id && view.name.toLowerCase() === name.toLowerCase())) {
+    return `You already have a view called ${name}`;
+  }
+  if (body.query !== undefined && typeof body.query !== 'string') return 'Query must be a search expression';
+  if (String(body.query ?? existing?.query ?? '').length > MAX_QUERY_LENGTH) {
+    return `Query must be at most ${MAX_QUERY_LENGTH} characters`;
+  }
+  if (body.page !== undefined && !VIEW_PAGES.includes(body.page)) {
+    return `Page must be one of: ${VIEW_PAGES.join(', ')}`;
+  }
+  return null;
+};
+
+const normalize = (body) => ({
+  ...(body.name !== undefined && { name: String(body.name).trim() }),
+  ...(body.query !== undefined && { query: body.query.trim() }),
+  ...(body.page !== undefined && { page: body.page }),
+  ...(body.pinned !== undefined && { pinned: body.pinned === true })
+});
+
+router.get('/', (req, res) => {
+  const views = viewsOf(req.user._id);
+  res.json({ success: true, views, count: views.length });
+});
+
+router.post('/', (req, res) => {
+  const body = req.body || {};
+  const error = validate(req.user._id, body);
+  if (error) return sendError(res, 400, error);
+
+  const view = insert('savedViews', {
+    userId: req.user._id,
+    query: '',
+    page: 'reports',
+    pinned: false,
+    ...normalize(body)
+  });
+  res.status(201).json({ success: true, message: 'View saved', view });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Saved view not found');
+
+  const error = validate(req.user._id, req.body || {}, existing);
+  if (error) return sendError(res, 400, error);
+
+  const view = update('savedViews', existing._id, normalize(req.body || {}), OWNER_FIELDS);
+  res.json({ success: true, message: 'View updated', view });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Saved view not found');
+
+  remove('savedViews', existing._id);
+  res.json({ success: true, message: 'View deleted' });
+});
+
+module.exports = router;
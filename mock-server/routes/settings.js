@@ -0,0 +1,98 @@
+// mock-server/routes/settings.js - /api/settings
+const express = require('express');
+const { db } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { buildDefaultSettings } = require('../seed');
+const { ownedAccount } = require('../accounts');
+const { FX_CURRENCIES, rebaseLedger } = require('../fx');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const THEMES = ['light', 'dark', 'auto', 'system'];
+
+const settingsFor = (userId) => {
+  let settings = db.settings.find(entry => entry.userId === userId);
+  if (!settings) {
+    settings = buildDefaultSettings(userId);
+    db.settings.push(settings);
+  }
+  return settings;
+};
+
+// Settings are returned flat: Settings.jsx and CurrencyManager read fields off the body directly
+router.get('/', (req, res) => {
+  res.json(settingsFor(req.user._id));
+});
+
+router.put('/', (req, res) => {
+  // Import mappings have their own routes so a stale settings form cannot overwrite them
+  const { userId, importMappings, ...changes } = req.body || {};
+
+  if (changes.currency !== undefined && !FX_CURRENCIES.includes(changes.currency)) {
+    return sendError(res, 400, `Currency must be one of: ${FX_CURRENCIES.join(', ')}`);
+  }
+  if (changes.theme !== undefined && !THEMES.includes(changes.theme)) {
+    return sendError(res, 400, `Theme must be one of: ${THEMES.join(', ')}`);
+  }
+  ['budgetLimit', 'lowBalanceThreshold'].forEach(field => {
+    if (changes[field] !== undefined) changes[field] = Number(changes[field]) || 0;
+  });
+  // The low balance alert watches one account, or the total of all of them when none is picked
+  if (changes.lowBalanceAccountId !== undefined) {
+    changes.lowBalanceAccountId = changes.lowBalanceAccountId || null;
+    if (changes.lowBalanceAccountId && !ownedAccount(req.user._id, changes.lowBalanceAccountId)) {
+      return sendError(res, 400, 'Low balance account not found');
+    }
+  }
+
+  // A new base currency re-expresses every stored amount in it, so totals never mix currencies
+  const current = settingsFor(req.user._id);
+  if (changes.currency !== undefined && changes.currency !== current.currency) {
+    rebaseLedger(req.user._id, current.currency, changes.currency);
+  }
+
+  const settings = Object.assign(current, changes, { updatedAt: new Date().toISOString() });
+  res.json(settings);
+});
+
+// ==============================
+// STATEMENT IMPORT MAPPINGS
+// ==============================
+
+// Column mappings remembered per bank, keyed by the name the user gave the bank
+const MAPPING_COLUMNS = ['date', 'description', 'debit', 'credit', 'amount', 'balance'];
+
+router.get('/import-mappings', (req, res) => {
+  res.json({ success: true, mappings: settingsFor(req.user._id).importMappings || {} });
+});
+
+router.put('/import-mappings/:bank', (req, res) => {
+  const bank = String(req.params.bank || '').trim();
+  const { columns = {}, dateFormat = null, signConvention = 'credit-positive', headers = [] } = req.body || {};
+  if (!bank) return sendError(res, 400, 'Bank name is required');
+
+  const unknown = Object.keys(columns).filter(column => !MAPPING_COLUMNS.includes(column));
+  if (unknown.length > 0) return sendError(res, 400, `Unknown columns: ${unknown.join(', ')}`);
+  if (!columns.date || !columns.description) return sendError(res, 400, 'Date and description columns are required');
+  if (!columns.amount && !columns.debit && !columns.credit) {
+    return sendError(res, 400, 'Map an amount column, or debit and/or credit columns');
+  }
+
+  const settings = settingsFor(req.user._id);
+  const mapping = { columns, dateFormat, signConvention, headers: Array.isArray(headers) ? headers : [], updatedAt: new Date().toISOString() };
+  settings.importMappings = { ...(settings.importMappings || {}), [bank]: mapping };
+  res.json({ success: true, bank, mapping });
+});
+
+router.delete('/import-mappings/:bank', (req, res) => {
+  const settings = settingsFor(req.user._id);
+  const bank = String(req.params.bank || '').trim();
+  if (!settings.importMappings?.[bank]) return sendError(res, 404, 'No saved mapping for that bank');
+
+  const { [bank]: removed, ...rest } = settings.importMappings;
+  settings.importMappings = rest;
+  res.json({ success: true, bank });
+});
+
+module.exports = router;
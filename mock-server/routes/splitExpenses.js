@@ -0,0 +1,286 @@
+// mock-server/routes/splitExpenses.js - /api/split-expenses
+const express = require('express');
+const { db, findById, insert, update, removeWhere } = require('../store');
+const { requireAuth, sendError, toUserSummary } = require('../auth');
+const { resolvePerson, notify } = require('../people');
+const { validateTags, normalizeTags, hasTag } = require('../tags');
+const { moveToTrash } = require('../trash');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Rounding slack when custom splits are compared with the total
+const AMOUNT_TOLERANCE = 0.01;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isParticipant = (expense, userId) =>
+  expense.createdBy === userId ||
+  expense.paidBy === userId ||
+  expense.splits.some(split => split.userId === userId);
+
+const toExpenseView = (expense) => ({
+  ...expense,
+  paidBy: toUserSummary(findById('users', expense.paidBy)) || expense.paidBy,
+  createdBy: toUserSummary(findById('users', expense.createdBy)) || expense.createdBy,
+  debts: db.debts
+    .filter(debt => debt.splitExpenseId === expense._id)
+    .map(debt => ({ _id: debt._id, creditorId: debt.creditorId, debtorId: debt.debtorId, amount: debt.amount, status: debt.status }))
+});
+
+const findVisible = (req) => {
+  const expense = findById('splitExpenses', req.params.id);
+  return expense && isParticipant(expense, req.user._id) ? expense : null;
+};
+
+/**
+ * Validate a create/update payload and resolve every person it mentions
+ * @returns {object} { error } or { data } ready to store
+ */
+const buildExpense = (user, body) => {
+  const totalAmount = round(Number(body.totalAmount));
+  if (!body.description || !String(body.description).trim()) return { error: 'Description is required' };
+  if (!(totalAmount > 0)) return { error: 'Total amount must be greater than 0' };
+  if (!Array.isArray(body.splits) || body.splits.length === 0) return { error: 'At least one friend is required' };
+  const tagsError = validateTags(body.tags);
+  if (tagsError) return { error: tagsError };
+
+  const splits = [];
+  for (const split of body.splits) {
+    const person = resolvePerson(user._id, split.friendId || split.userId || split.email);
+    if (!person) return { error: `Friend ${split.friendId || split.email} not found` };
+    if (person._id === user._id) return { error: 'You are already included in the split' };
+    splits.push({
+      friendId: split.friendId || null,
+      userId: person._id,
+      name: person.name,
+      email: person.email,
+      amount: round(Number(split.amount) || 0),
+      status: 'pending'
+    });
+  }
+
+  const splitTotal = splits.reduce((sum, split) => sum + split.amount, 0);
+  if (splitTotal - totalAmount > AMOUNT_TOLERANCE) return { error: 'Splits cannot exceed the total amount' };
+
+  const payer = !body.paidBy || body.paidBy === 'self' || body.paidBy === user._id
+    ? user
+    : resolvePerson(user._id, body.paidBy);
+  if (!payer) return { error: 'The person who paid was not found' };
+  if (payer._id !== user._id && !splits.some(split => split.userId === payer._id)) {
+    return { error: 'The person who paid must be part of the split' };
+  }
+
+  return {
+    data: {
+      description: String(body.description).trim(),
+      totalAmount,
+      paidBy: payer._id,
+      splitType: body.splitType || 'equal',
+      splits,
+      selfShare: round(totalAmount - splitTotal),
+      category: body.category || 'Other',
+      groupId: body.groupId || null,
+      notes: body.notes || '',
+      tags: normalizeTags(body.tags)
+    }
+  };
+};
+
+// Everyone except the payer owes the payer their share
+const createDebts = (expense) => {
+  const shares = [
+    { userId: expense.createdBy, amount: expense.selfShare },
+    ...expense.splits.map(split => ({ userId: split.userId, amount: split.amount }))
+  ];
+
+  return shares
+    .filter(share => share.userId !== expense.paidBy && share.amount > 0)
+    .map(share => insert('debts', {
+      creditorId: expense.paidBy,
+      debtorId: share.userId,
+      amount: share.amount,
+      description: expense.description,
+      type: 'split',
+      status: 'pending',
+      dueDate: null,
+      splitExpenseId: expense._id,
+      metadata: { originalAmount: expense.totalAmount, splitType: expense.splitType },
+      createdBy: expense.createdBy
+    }));
+};
+
+const pendingDebtsBetween = (userId, otherId) =>
+  db.debts.filter(debt => debt.status === 'pending' && (
+    (debt.creditorId === userId && debt.debtorId === otherId) ||
+    (debt.creditorId === otherId && debt.debtorId === userId)));
+
+const refreshSettledStatus = (expenseId) => {
+  const expense = findById('splitExpenses', expenseId);
+  if (!expense) return;
+  const debts = db.debts.filter(debt => debt.splitExpenseId === expenseId);
+  const settled = debts.length > 0 && debts.every(debt => debt.status === 'paid');
+  update('splitExpenses', expenseId, {
+    status: settled ? 'settled' : 'active',
+    splits: expense.splits.map(split => ({
+      ...split,
+      status: debts.some(debt => debt.debtorId === split.userId && debt.status === 'pending') ? 'pending' : 'paid'
+    }))
+  });
+};
+
+// ==============================
+// QUERIES
+// ==============================
+
+router.get('/', (req, res) => {
+  const expenses = db.splitExpenses
+    .filter(expense => isParticipant(expense, req.user._id))
+    .filter(expense => !req.query.tag || hasTag(expense, req.query.tag))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toExpenseView);
+  res.json({ success: true, expenses, count: expenses.length });
+});
+
+router.get('/summary', (req, res) => {
+  const splitDebts = db.debts.filter(debt => debt.type === 'split' && debt.status === 'pending');
+  const totalLent = splitDebts.filter(debt => debt.creditorId === req.user._id).reduce((sum, debt) => sum + debt.amount, 0);
+  const totalOwed = splitDebts.filter(debt => debt.debtorId === req.user._id).reduce((sum, debt) => sum + debt.amount, 0);
+
+  res.json({
+    success: true,
+    summary: {
+      totalLent: round(totalLent),
+      totalOwed: round(totalOwed),
+      netBalance: round(totalLent - totalOwed),
+      expenseCount: db.splitExpenses.filter(expense => isParticipant(expense, req.user._id)).length
+    }
+  });
+});
+
+router.get('/balance/:friendId', (req, res) => {
+  const friend = resolvePerson(req.user._id, req.params.friendId);
+  if (!friend) return sendError(res, 404, 'Friend not found');
+
+  const debts = pendingDebtsBetween(req.user._id, friend._id);
+  const owedToMe = debts.filter(debt => debt.creditorId === req.user._id).reduce((sum, debt) => sum + debt.amount, 0);
+  const owedByMe = debts.filter(debt => debt.debtorId === req.user._id).reduce((sum, debt) => sum + debt.amount, 0);
+
+  res.json({
+    success: true,
+    friend: toUserSummary(friend),
+    balance: { owedToMe: round(owedToMe), owedByMe: round(owedByMe), net: round(owedToMe - owedByMe) },
+    pendingDebts: debts.length
+  });
+});
+
+router.get('/:id', (req, res) => {
+  const expense = findVisible(req);
+  if (!expense) return sendError(res, 404, 'Split expense not found');
+  res.json({ success: true, expense: toExpenseView(expense) });
+});
+
+// ==============================
+// MUTATIONS
+// ==============================
+
+router.post('/', (req, res) => {
+  const { error, data } = buildExpense(req.user, req.body || {});
+  if (error) return sendError(res, 400, error);
+
+  const expense = insert('splitExpenses', { ...data, createdBy: req.user._id, status: 'active', attachments: [] });
+  const debts = createDebts(expense);
+
+  // Notifications are sent separately by the client through /notifications/send
+  res.status(201).json({
+    success: true,
+    message: 'Split expense created',
+    expense: toExpenseView(expense),
+    summary: {
+      debtsCreated: debts.length,
+      notificationsSent: 0,
+      selfShare: expense.selfShare
+    }
+  });
+});
+
+router.post('/settle/:friendId', (req, res) => {
+  const friend = resolvePerson(req.user._id, req.params.friendId);
+  if (!friend) return sendError(res, 404, 'Friend not found');
+
+  const debts = pendingDebtsBetween(req.user._id, friend._id);
+  if (debts.length === 0) return sendError(res, 400, 'Nothing to settle with this friend');
+
+  const paidAt = new Date().toISOString();
+  debts.forEach(debt => update('debts', debt._id, {
+    status: 'paid',
+    paidAt,
+    paymentMethod: req.body?.paymentMethod || null
+  }));
+  [...new Set(debts.map(debt => debt.splitExpenseId).filter(Boolean))].forEach(refreshSettledStatus);
+
+  const amount = debts.reduce((sum, debt) => sum + (debt.creditorId === req.user._id ? debt.amount : -debt.amount), 0);
+  notify(friend._id, {
+    senderId: req.user._id,
+    type: 'settlement',
+    title: 'Balance settled',
+    message: `${req.user.name} settled up with you`,
+    data: { amount: round(Math.abs(amount)), settledCount: debts.length }
+  });
+
+  res.json({ success: true, message: `Settled up with ${friend.name}`, settledCount: debts.length, amount: round(amount) });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findVisible(req);
+  if (!existing) return sendError(res, 404, 'Split expense not found');
+  if (existing.createdBy !== req.user._id) return sendError(res, 403, 'Only the creator can edit this expense');
+
+  const body = req.body || {};
+  const reshaped = body.totalAmount !== undefined || body.splits !== undefined || body.paidBy !== undefined;
+
+  if (!reshaped) {
+    const tagsError = validateTags(body.tags);
+    if (tagsError) return sendError(res, 400, tagsError);
+
+    const { description, category, notes, groupId, tags } = body;
+    const expense = update('splitExpenses', existing._id, {
+      ...(description !== undefined && { description: String(description).trim() }),
+      ...(category !== undefined && { category }),
+      ...(notes !== undefined && { notes }),
+      ...(groupId !== undefined && { groupId }),
+      ...(tags !== undefined && { tags: normalizeTags(tags) })
+    });
+    return res.json({ success: true, message: 'Split expense updated', expense: toExpenseView(expense) });
+  }
+
+  const paidDebt = db.debts.find(debt => debt.splitExpenseId === existing._id && debt.status === 'paid');
+  if (paidDebt) return sendError(res, 409, 'Amounts cannot change after someone has paid their share');
+
+  const { error, data } = buildExpense(req.user, {
+    ...existing,
+    paidBy: existing.paidBy,
+    ...body
+  });
+  if (error) return sendError(res, 400, error);
+
+  removeWhere('debts', debt => debt.splitExpenseId === existing._id);
+  const expense = update('splitExpenses', existing._id, data, ['createdBy']);
+  const debts = createDebts(expense);
+
+  res.json({ success: true, message: 'Split expense updated', expense: toExpenseView(expense), summary: { debtsCreated: debts.length } });
+});
+
+router.delete('/:id', (req, res) => {
+  const expense = findVisible(req);
+  if (!expense) return sendError(res, 404, 'Split expense not found');
+  if (expense.createdBy !== req.user._id) return sendError(res, 403, 'Only the creator can delete this expense');
+
+  // The debts it created go to the trash with it and come back with it
+  const debts = db.debts.filter(debt => debt.splitExpenseId === expense._id);
+  const entry = moveToTrash(req.user._id, 'splitExpense', expense, { debts });
+  res.json({ success: true, message: 'Split expense moved to the trash', debtsRemoved: debts.length, trashId: entry._id });
+});
+
+module.exports = router;
+module.exports.isParticipant = isParticipant;
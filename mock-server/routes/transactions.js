@@ -0,0 +1,338 @@
+// mock-server/routes/transactions.js - /api/transactions
+const express = require('express');
+const { db, findById, generateId, insert, update } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { filterTransactions, summarize, paginate, paginateByCursor } = require('../ledger');
+const { materializeDue } = require('../recurrence');
+const { findDuplicates, duplicateFields, mergeFields, releaseDuplicatesOf } = require('../duplicates');
+const { moveAttachments } = require('../attachments');
+const { validateTags, normalizeTags, tagUsage } = require('../tags');
+const { checkAccount } = require('../accounts');
+const { moveToTrash } = require('../trash');
+const { validateCurrency, conversionFields, originalAmountOf, originalLinesOf } = require('../fx');
+const { isParticipant } = require('./splitExpenses');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Recurring instances that came due since the last sweep are recorded before the ledger is read
+router.use((req, res, next) => {
+  materializeDue(req.user._id);
+  next();
+});
+
+const VALID_TYPES = ['income', 'expense'];
+// Duplicate flags are set by the server and cleared through the review route only; receipts
+// are managed through /api/attachments
+const OWNER_FIELDS = ['userId', 'duplicateOf', 'duplicateScore', 'duplicateReasons', 'attachments', 'idempotencyKey'];
+const DUPLICATE_ACTIONS = ['merge', 'keep', 'discard'];
+// Imports larger than this are sent in several requests by the client
+const MAX_BULK_CREATE = 500;
+
+const findOwned = (req) => {
+  const transaction = findById('transactions', req.params.id);
+  return transaction && transaction.userId === req.user._id ? transaction : null;
+};
+
+const validate = (userId, body, partial = false, existing = null) => {
+  if (!partial || body.amount !== undefined) {
+    const amount = Number(body.amount);
+    if (!amount || amount <= 0) return 'Amount must be a positive number';
+  }
+  if (!partial && !body.title && !body.description) {
+    return 'Transaction requires a description or title';
+  }
+  if (body.type !== undefined && !VALID_TYPES.includes(body.type)) {
+    return `Type must be one of: ${VALID_TYPES.join(', ')}`;
+  }
+  if (body.date !== undefined && Number.isNaN(new Date(body.date).getTime())) {
+    return 'Date is invalid';
+  }
+  const tagsError = validateTags(body.tags);
+  if (tagsError) return tagsError;
+  const currencyError = validateCurrency(body.currency);
+  if (currencyError) return currencyError;
+  // A transaction can stay on an account archived since, but nothing new is added to one
+  if (body.accountId !== existing?.accountId) {
+    const accountError = checkAccount(userId, body.accountId);
+    if (accountError) return accountError;
+  }
+  if (!partial) return validateCategoryLines(body.categoryLines, body.amount);
+  return null;
+};
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+/**
+ * Check a split against the amount it divides. An empty list (or null) means "not split".
+ * @param {Array} lines - [{ category, amount, note }]
+ * @param {number} amount - Transaction amount
+ * @returns {string|null} Error message
+ */
+const validateCategoryLines = (lines, amount) => {
+  if (lines === undefined || lines === null || (Array.isArray(lines) && lines.length === 0)) return null;
+  if (!Array.isArray(lines)) return 'Category lines must be a list';
+  if (lines.length < 2) return 'A split needs at least two category lines';
+
+  const invalid = lines.findIndex(line => !line || !String(line.category || '').trim() || !(Number(line.amount) > 0));
+  if (invalid !== -1) return `Category line ${invalid + 1} needs a category and a positive amount`;
+
+  const total = lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+  if (total !== toCents(amount)) {
+    return `Category lines add up to ${(total / 100).toFixed(2)} but the amount is ${Number(amount).toFixed(2)}`;
+  }
+  return null;
+};
+
+// A split transaction's own category is its largest line, so single-category views still make sense
+const normalizeCategoryLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) return { categoryLines: [] };
+  const categoryLines = lines.map(line => ({
+    category: String(line.category).trim(),
+    amount: toCents(line.amount) / 100,
+    ...(line.note && { note: String(line.note) })
+  }));
+  const largest = categoryLines.reduce((best, line) => (line.amount > best.amount ? line : best));
+  return { categoryLines, category: largest.category };
+};
+
+// Amounts arrive in the transaction's own currency; what they are worth in the base currency, and
+// at what rate, is always worked out here
+const normalize = ({ originalAmount, fxRate, baseCurrency, ...body }) => ({
+  ...body,
+  ...(body.amount !== undefined && { amount: Number(body.amount) }),
+  ...(body.currency !== undefined && { currency: String(body.currency).toUpperCase() }),
+  ...(body.merchant !== undefined && { merchant: String(body.merchant || '').trim() }),
+  ...(body.date !== undefined && { date: new Date(body.date).toISOString() }),
+  ...(body.tags !== undefined && { tags: normalizeTags(body.tags) }),
+  ...(body.accountId !== undefined && { accountId: body.accountId || null }),
+  ...(body.categoryLines !== undefined && normalizeCategoryLines(body.categoryLines))
+});
+
+// ==============================
+// QUERIES
+// ==============================
+
+// Without cursor or limit the full list is returned, as older clients expect
+router.get('/', (req, res) => {
+  const transactions = filterTransactions(req.user._id, req.query);
+  if (req.query.cursor === undefined && req.query.limit === undefined) {
+    return res.json({ success: true, transactions, count: transactions.length });
+  }
+
+  const page = paginateByCursor(transactions, req.query.cursor, req.query.limit);
+  if (page.error) return sendError(res, 400, page.error);
+
+  res.json({
+    success: true,
+    transactions: page.data,
+    count: page.data.length,
+    total: transactions.length,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore
+  });
+});
+
+router.get('/summary', (req, res) => {
+  res.json({ success: true, data: summarize(filterTransactions(req.user._id, req.query)) });
+});
+
+router.get('/search', (req, res) => {
+  const { data, pagination } = paginate(filterTransactions(req.user._id, req.query), req.query.page, req.query.limit);
+  res.json({ success: true, data, pagination });
+});
+
+// Tags the user has used on transactions and split expenses, most used first, for autocomplete
+router.get('/tags', (req, res) => {
+  const records = [
+    ...db.transactions.filter(tx => tx.userId === req.user._id),
+    ...db.splitExpenses.filter(expense => isParticipant(expense, req.user._id))
+  ];
+  const tags = tagUsage(records);
+  res.json({ success: true, tags, count: tags.length });
+});
+
+// Transactions flagged as probable repeats, each with the earlier one it looks like
+router.get('/duplicates', (req, res) => {
+  const pairs = db.transactions
+    .filter(tx => tx.userId === req.user._id && tx.duplicateOf)
+    .map(transaction => ({
+      transaction,
+      original: findById('transactions', transaction.duplicateOf),
+      score: transaction.duplicateScore,
+      reasons: transaction.duplicateReasons || []
+    }))
+    .filter(pair => pair.original)
+    .sort((a, b) => new Date(b.transaction.date) - new Date(a.transaction.date));
+
+  res.json({ success: true, duplicates: pairs, count: pairs.length });
+});
+
+router.get('/:id', (req, res) => {
+  const transaction = findOwned(req);
+  if (!transaction) return sendError(res, 404, 'Transaction not found');
+  res.json({ success: true, transaction });
+});
+
+// ==============================
+// MUTATIONS
+// ==============================
+
+const createFor = (userId, body) => {
+  const transaction = {
+    type: 'expense',
+    category: 'Other',
+    paymentMode: 'cash',
+    notes: '',
+    date: new Date().toISOString(),
+    categoryLines: [],
+    tags: [],
+    accountId: null,
+    ...normalize(body),
+    title: body.title || body.description,
+    attachments: [],
+    userId
+  };
+  Object.assign(transaction, conversionFields(userId, transaction));
+  // Probable repeats are still saved, but flagged for the user to review
+  return insert('transactions', { ...transaction, ...duplicateFields(userId, transaction) });
+};
+
+// Clients send an Idempotency-Key with each create, so replaying one whose response was lost
+// (a timeout, or an offline outbox retry) returns the transaction saved the first time
+router.post('/', (req, res) => {
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+  const existing = idempotencyKey &&
+    db.transactions.find(tx => tx.userId === req.user._id && tx.idempotencyKey === idempotencyKey);
+  if (existing) return res.json({ success: true, message: 'Transaction already created', transaction: existing });
+
+  const body = req.body || {};
+  const error = validate(req.user._id, body);
+  if (error) return sendError(res, 400, error);
+
+  const transaction = createFor(req.user._id, { ...body, idempotencyKey });
+  res.status(201).json({ success: true, message: 'Transaction created', transaction });
+});
+
+// Imports: valid rows are created, invalid ones are reported by their index in the request
+router.post('/bulk', (req, res) => {
+  const list = req.body?.transactions;
+  if (!Array.isArray(list) || list.length === 0) return sendError(res, 400, 'Transactions array is required');
+  if (list.length > MAX_BULK_CREATE) return sendError(res, 413, `At most ${MAX_BULK_CREATE} transactions per request`);
+
+  // Rows from one import share a batch id, even when the client splits it across requests
+  const importBatchId = req.body.importBatchId || generateId();
+  const transactions = [];
+  const errors = [];
+
+  list.forEach((body, index) => {
+    const error = body && typeof body === 'object' ? validate(req.user._id, body) : 'Transaction must be an object';
+    if (error) {
+      errors.push({ index, message: error });
+      return;
+    }
+    transactions.push(createFor(req.user._id, { ...body, importBatchId }));
+  });
+
+  res.status(transactions.length > 0 ? 201 : 400).json({
+    success: transactions.length > 0,
+    message: `Created ${transactions.length} of ${list.length} transactions`,
+    transactions,
+    createdCount: transactions.length,
+    errors,
+    importBatchId
+  });
+});
+
+// Which rows of a pending import already look like something in the ledger; nothing is saved
+router.post('/duplicates/check', (req, res) => {
+  const list = req.body?.transactions;
+  if (!Array.isArray(list)) return sendError(res, 400, 'Transactions array is required');
+  if (list.length > MAX_BULK_CREATE) return sendError(res, 413, `At most ${MAX_BULK_CREATE} transactions per request`);
+
+  const matches = list
+    .map((body, index) => ({
+      index,
+      duplicates: body && !validate(req.user._id, body) ? findDuplicates(req.user._id, normalize(body)).slice(0, 3) : []
+    }))
+    .filter(match => match.duplicates.length > 0);
+
+  res.json({ success: true, matches, count: matches.length });
+});
+
+/**
+ * Settle a flagged repeat: merge it into the original, keep both, or discard it. A merged or
+ * discarded repeat goes to the trash, from where it can be restored like any deleted transaction.
+ */
+router.post('/:id/duplicate', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Transaction not found');
+
+  const action = req.body?.action;
+  if (!DUPLICATE_ACTIONS.includes(action)) return sendError(res, 400, `Action must be one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+  if (!existing.duplicateOf) return sendError(res, 409, 'Transaction is not flagged as a duplicate');
+
+  const original = findById('transactions', existing.duplicateOf);
+
+  if (action === 'keep' || !original) {
+    const transaction = update('transactions', existing._id, { duplicateOf: null, duplicateScore: null, duplicateReasons: [] });
+    return res.json({ success: true, message: 'Kept both transactions', transaction });
+  }
+
+  if (action === 'merge') {
+    update('transactions', original._id, mergeFields(original, existing), OWNER_FIELDS);
+    moveAttachments('transaction', existing._id, original._id);
+  }
+  const entry = moveToTrash(req.user._id, 'transaction', existing);
+  releaseDuplicatesOf([existing._id]);
+  res.json({
+    success: true,
+    message: action === 'merge' ? 'Merged into the original transaction' : 'Duplicate discarded',
+    transaction: findById('transactions', original._id),
+    removed: existing,
+    trashId: entry._id
+  });
+});
+
+router.post('/bulk-delete', (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+  if (ids.length === 0) return sendError(res, 400, 'Transaction IDs array is required');
+
+  const removed = db.transactions.filter(tx => tx.userId === req.user._id && ids.includes(tx._id));
+  const trashIds = removed.map(tx => moveToTrash(req.user._id, 'transaction', tx)._id);
+  releaseDuplicatesOf(removed.map(tx => tx._id));
+  res.json({ success: true, message: `Moved ${removed.length} transactions to the trash`, deletedCount: removed.length, trashIds });
+});
+
+router.put('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Transaction not found');
+
+  let body = req.body || {};
+  // Picking a single category for a split transaction replaces the split
+  if (body.category !== undefined && body.categoryLines === undefined && existing.categoryLines?.length) {
+    body = { ...body, categoryLines: [] };
+  }
+  // An amount change on a split transaction has to come with lines that still add up to it, both
+  // in the currency the transaction was entered in
+  const error = validate(req.user._id, body, true, existing) || validateCategoryLines(
+    body.categoryLines !== undefined ? body.categoryLines : originalLinesOf(existing),
+    body.amount !== undefined ? body.amount : originalAmountOf(existing)
+  );
+  if (error) return sendError(res, 400, error);
+
+  const changes = normalize(body);
+  const transaction = update('transactions', existing._id, { ...changes, ...conversionFields(req.user._id, changes, existing) }, OWNER_FIELDS);
+  res.json({ success: true, message: 'Transaction updated', transaction });
+});
+
+router.delete('/:id', (req, res) => {
+  const existing = findOwned(req);
+  if (!existing) return sendError(res, 404, 'Transaction not found');
+
+  const entry = moveToTrash(req.user._id, 'transaction', existing);
+  releaseDuplicatesOf([existing._id]);
+  res.json({ success: true, message: 'Transaction moved to the trash', transaction: existing, trashId: entry._id });
+});
+
+module.exports = router;
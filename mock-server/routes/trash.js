@@ -0,0 +1,103 @@
+// mock-server/routes/trash.js - /api/trash
+const express = require('express');
+const { db, findById, remove, removeWhere } = require('../store');
+const { requireAuth, sendError } = require('../auth');
+const { TRASH_RETENTION_DAYS, restoreFromTrash, toTrashView, purgeExpired, trashOf } = require('../trash');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Expired entries are never listed or restored, even between sweeps
+router.use((req, res, next) => {
+  purgeExpired();
+  next();
+});
+
+const findOwned = (userId, id) => {
+  const entry = findById('trash', id);
+  return entry && entry.userId === userId ? entry : null;
+};
+
+/**
+ * Check that a trashed record can go back, adjusting it where the ledger moved on meanwhile
+ * @returns {object} { record } to restore, or { error } explaining why it cannot be
+ */
+const prepareRestore = (entry) => {
+  const { record } = entry;
+  if (entry.type === 'budget') {
+    const clash = db.budgets.find(budget =>
+      budget.userId === record.userId &&
+      budget.category === record.category &&
+      budget.month === record.month &&
+      (budget.type || 'expense') === (record.type || 'expense'));
+    if (clash) return { error: `A ${record.category} budget for ${record.month} already exists` };
+  }
+  // The account may have been deleted since; the transaction comes back without one
+  if (entry.type === 'transaction' && record.accountId && !findById('accounts', record.accountId)) {
+    return { record: { ...record, accountId: null } };
+  }
+  return { record };
+};
+
+router.get('/', (req, res) => {
+  const items = trashOf(req.user._id).map(toTrashView);
+  res.json({ success: true, items, count: items.length, retentionDays: TRASH_RETENTION_DAYS });
+});
+
+/**
+ * Restore several entries at once (the undo of a bulk delete). Entries that cannot be restored
+ * are reported by id and the rest still go back.
+ */
+router.post('/restore', (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+  if (ids.length === 0) return sendError(res, 400, 'Trash item IDs array is required');
+
+  const restored = [];
+  const errors = [];
+  ids.forEach(id => {
+    const entry = findOwned(req.user._id, id);
+    if (!entry) {
+      errors.push({ id, message: 'Not in the trash (it may have been purged)' });
+      return;
+    }
+    const { record, error } = prepareRestore(entry);
+    if (error) {
+      errors.push({ id, message: error });
+      return;
+    }
+    restored.push({ id, type: entry.type, record: restoreFromTrash(entry, record) });
+  });
+
+  res.status(restored.length > 0 || errors.length === 0 ? 200 : 409).json({
+    success: restored.length > 0,
+    message: `Restored ${restored.length} of ${ids.length} items`,
+    restored,
+    errors
+  });
+});
+
+router.post('/:id/restore', (req, res) => {
+  const entry = findOwned(req.user._id, req.params.id);
+  if (!entry) return sendError(res, 404, 'Not in the trash (it may have been purged)');
+
+  const { record, error } = prepareRestore(entry);
+  if (error) return sendError(res, 409, error);
+
+  res.json({ success: true, message: 'Restored', type: entry.type, record: restoreFromTrash(entry, record) });
+});
+
+// Purging is permanent
+router.delete('/:id', (req, res) => {
+  const entry = findOwned(req.user._id, req.params.id);
+  if (!entry) return sendError(res, 404, 'Not in the trash');
+
+  remove('trash', entry._id);
+  res.json({ success: true, message: 'Deleted permanently' });
+});
+
+router.delete('/', (req, res) => {
+  const purged = removeWhere('trash', entry => entry.userId === req.user._id);
+  res.json({ success: true, message: `Deleted ${purged.length} items permanently`, purgedCount: purged.length });
+});
+
+module.exports = router;
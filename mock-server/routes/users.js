@@ -0,0 +1,85 @@
+// mock-server/routes/users.js - /api/users
+const express = require('express');
+const multer = require('multer');
+const { db, update } = require('../store');
+const { requireAuth, sendError, toPublicUser, revokeToken, findUserByEmail } = require('../auth');
+const { resolvePerson } = require('../people');
+const { deleteUserData } = require('./auth');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Fields a user may never set through a profile update
+const PROTECTED_FIELDS = ['password', 'resetToken', 'isEmailVerified'];
+
+const applyProfileUpdate = (req, res) => {
+  const body = req.body || {};
+
+  if (body.email && body.email.toLowerCase() !== req.user.email) {
+    const owner = findUserByEmail(body.email);
+    if (owner && owner._id !== req.user._id) return sendError(res, 409, 'Email is already in use');
+  }
+  if (body.userId && db.users.some(user => user.userId === body.userId && user._id !== req.user._id)) {
+    return sendError(res, 409, 'This User ID is already taken');
+  }
+
+  const user = update('users', req.user._id, {
+    ...body,
+    ...(body.email && { email: String(body.email).trim().toLowerCase() })
+  }, PROTECTED_FIELDS);
+
+  res.json({ success: true, message: 'Profile updated successfully', user: toPublicUser(user) });
+};
+
+router.get('/profile', (req, res) => {
+  res.json({ success: true, user: toPublicUser(req.user) });
+});
+
+router.put('/profile', applyProfileUpdate);
+
+router.post('/profile/picture', upload.single('profilePicture'), (req, res) => {
+  if (!req.file) return sendError(res, 400, 'No image uploaded');
+  if (!req.file.mimetype.startsWith('image/')) return sendError(res, 400, 'Profile picture must be an image');
+
+  // Kept inline as a data URL since the mock has no file storage
+  const profilePicture = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+  const user = update('users', req.user._id, { profilePicture });
+  res.json({ success: true, message: 'Profile picture updated', profilePicture, user: toPublicUser(user) });
+});
+
+router.delete('/profile', (req, res) => {
+  if (req.body?.password !== undefined && req.body.password !== req.user.password) {
+    return sendError(res, 400, 'Password is incorrect');
+  }
+
+  deleteUserData(req.user._id);
+  revokeToken(req.token);
+  res.json({ success: true, message: 'Account deleted' });
+});
+
+router.get('/check-userid/:userId', (req, res) => {
+  const userId = String(req.params.userId).toLowerCase();
+  const available = !db.users.some(user => user.userId === userId && user._id !== req.user._id);
+  res.json({ success: true, userId, available, message: available ? 'User ID is available' : 'User ID is already taken' });
+});
+
+router.get('/:id', (req, res) => {
+  const user = req.params.id === req.user._id ? req.user : resolvePerson(req.user._id, req.params.id);
+  if (!user) return sendError(res, 404, 'User not found');
+
+  // Other people only get the public summary, never contact details beyond email
+  const { phone, address, dateOfBirth, ...visible } = toPublicUser(user);
+  res.json({ success: true, user: user._id === req.user._id ? toPublicUser(user) : visible });
+});
+
+router.put('/:id', (req, res) => {
+  const target = resolvePerson(req.user._id, req.params.id);
+  if (!target) return sendError(res, 404, 'User not found');
+  if (target._id !== req.user._id) return sendError(res, 403, 'You can only update your own profile');
+
+  applyProfileUpdate(req, res);
+});
+
+module.exports = router;
@@ -0,0 +1,552 @@
+// mock-server/seed.js - Deterministic demo data for the local mock backend
+const { HISTORICAL_RATES, roundMoney, rateBetween } = require('./fxRates');
+
+// Demo account the login screen can use straight away
+const DEMO_CREDENTIALS = {
+  email: 'demo@example.com',
+  password: 'demo1234'
+};
+
+const EXPENSE_CATEGORIES = [
+  { name: 'Food', icon: '🍔', color: '#ef4444', keywords: ['swiggy', 'zomato', 'restaurant', 'lunch', 'dinner', 'cafe', 'grocery', 'bigbasket'] },
+  { name: 'Transport', icon: '🚗', color: '#3b82f6', keywords: ['uber', 'ola', 'metro', 'fuel', 'petrol', 'rapido', 'parking'] },
+  { name: 'Shopping', icon: '🛍️', color: '#8b5cf6', keywords: ['amazon', 'flipkart', 'myntra', 'mall', 'clothes'] },
+  { name: 'Entertainment', icon: '🎬', color: '#ec4899', keywords: ['netflix', 'movie', 'spotify', 'pvr', 'concert', 'hotstar'] },
+  { name: 'Healthcare', icon: '🏥', color: '#10b981', keywords: ['pharmacy', 'apollo', 'doctor', 'hospital', 'medicine'] },
+  { name: 'Bills', icon: '📄', color: '#f59e0b', keywords: ['electricity', 'rent', 'broadband', 'airtel', 'jio', 'gas', 'water'] },
+  { name: 'Education', icon: '📚', color: '#06b6d4', keywords: ['course', 'udemy', 'books', 'tuition'] },
+  { name: 'Travel', icon: '✈️', color: '#14b8a6', keywords: ['flight', 'hotel', 'irctc', 'makemytrip', 'goibibo'] },
+  { name: 'Investment', icon: '📈', color: '#059669', keywords: ['sip', 'mutual fund', 'zerodha', 'groww', 'stocks'] },
+  { name: 'Other', icon: '📦', color: '#64748b', keywords: [] }
+];
+
+const INCOME_CATEGORIES = [
+  { name: 'Salary', icon: '💼', color: '#10b981', keywords: ['salary', 'payroll'] },
+  { name: 'Freelance', icon: '💻', color: '#3b82f6', keywords: ['freelance', 'invoice', 'client'] },
+  { name: 'Business', icon: '🏢', color: '#8b5cf6', keywords: ['business', 'sales'] },
+  { name: 'Bonus', icon: '🎁', color: '#f59e0b', keywords: ['bonus', 'incentive'] },
+  { name: 'Gift', icon: '🎀', color: '#ec4899', keywords: ['gift'] },
+  { name: 'Refund', icon: '↩️', color: '#06b6d4', keywords: ['refund', 'cashback', 'reversal'] },
+  { name: 'Dividend', icon: '💰', color: '#10b981', keywords: ['dividend'] }
+];
+
+// Everyday expenses the generator picks from: [title, category, paymentMode, min, max]
+const EXPENSE_TEMPLATES = [
+  ['Swiggy order', 'Food', 'upi', 180, 650],
+  ['Zomato dinner', 'Food', 'upi', 250, 900],
+  ['BigBasket groceries', 'Food', 'card', 800, 3200],
+  ['Cafe Coffee Day', 'Food', 'card', 150, 450],
+  ['Uber ride', 'Transport', 'upi', 120, 520],
+  ['Metro card recharge', 'Transport', 'wallet', 200, 500],
+  ['Petrol', 'Transport', 'card', 1000, 2500],
+  ['Amazon order', 'Shopping', 'card', 400, 4500],
+  ['Myntra clothes', 'Shopping', 'card', 900, 3500],
+  ['PVR movie tickets', 'Entertainment', 'upi', 400, 1100],
+  ['Apollo Pharmacy', 'Healthcare', 'cash', 150, 1200],
+  ['Udemy course', 'Education', 'card', 450, 1300]
+];
+
+// Monthly bills and income recorded by recurring rules: [title, type, category, paymentMode, amount, day of month]
+const RECURRING_TEMPLATES = [
+  ['Monthly salary', 'income', 'Salary', 'bank', 85000, 1],
+  ['House rent', 'expense', 'Bills', 'bank', 22000, 5],
+  ['Airtel broadband', 'expense', 'Bills', 'card', 999, 10],
+  ['Mutual fund SIP', 'expense', 'Investment', 'bank', 10000, 12],
+  ['Netflix subscription', 'expense', 'Entertainment', 'card', 649, 15]
+];
+
+const DEFAULT_SETTINGS = {
+  currency: 'INR',
+  theme: 'light',
+  budgetLimit: 50000,
+  lowBalanceAlert: true,
+  lowBalanceThreshold: 5000,
+  lowBalanceAccountId: null
+};
+
+// Small seeded PRNG so every restart produces the same ledger
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMonthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+const atDay = (year, month, day) => new Date(year, month, day, 12, 0, 0);
+
+const buildDefaultCategories = (generateId, userId) => [
+  ...EXPENSE_CATEGORIES.map(category => ({ ...category, type: 'expense' })),
+  ...INCOME_CATEGORIES.map(category => ({ ...category, type: 'income' }))
+].map(category => {
+  const _id = generateId();
+  return {
+    _id,
+    id: _id,
+    userId,
+    ...category,
+    isDefault: true,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+});
+
+const buildDefaultSettings = (userId) => ({
+  userId,
+  ...DEFAULT_SETTINGS,
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Build the full seeded dataset
+ * @param {Function} generateId - Id generator from the store
+ * @returns {object} Collections keyed by name
+ */
+const createSeedData = (generateId) => {
+  const random = createRandom(20250101);
+  const between = (min, max) => Math.round(min + random() * (max - min));
+  const today = new Date();
+  const created = (date) => date.toISOString();
+
+  const withIds = (record) => {
+    const _id = generateId();
+    return { _id, id: _id, ...record };
+  };
+
+  // ==============================
+  // USERS AND FRIENDS
+  // ==============================
+
+  const users = [
+    { name: 'Demo User', email: DEMO_CREDENTIALS.email, userId: 'demo_user', password: DEMO_CREDENTIALS.password, phone: '+919876543210' },
+    { name: 'Rahul Sharma', email: 'rahul@example.com', userId: 'rahul_s', password: 'demo1234', phone: '+919812345678' },
+    { name: 'Priya Patel', email: 'priya@example.com', userId: 'priya_p', password: 'demo1234', phone: '+919823456789' },
+    { name: 'Aman Verma', email: 'aman@example.com', userId: 'aman_v', password: 'demo1234', phone: '+919834567890' }
+  ].map(user => withIds({
+    ...user,
+    profilePicture: null,
+    bio: '',
+    isEmailVerified: true,
+    createdAt: created(atDay(today.getFullYear() - 1, 0, 15)),
+    updatedAt: created(atDay(today.getFullYear() - 1, 0, 15))
+  }));
+
+  const [demo, rahul, priya, aman] = users;
+
+  // Everyone in the demo circle knows everyone else, stored once per direction
+  const friends = [];
+  users.forEach(owner => {
+    users
+      .filter(friend => friend !== owner)
+      .forEach(friend => friends.push(withIds({ owner: owner._id, friendUserId: friend._id, status: 'accepted', createdAt: demo.createdAt })));
+  });
+
+  // ==============================
+  // ACCOUNTS
+  // ==============================
+
+  const accountCreated = created(atDay(today.getFullYear(), today.getMonth() - 6, 28));
+  const accounts = [
+    ['HDFC Savings', 'bank', 45000],
+    ['Amex card', 'card', 0],
+    ['Paytm wallet', 'wallet', 500],
+    ['Cash', 'cash', 2000]
+  ].map(([name, type, openingBalance]) => withIds({
+    userId: demo._id,
+    name,
+    type,
+    openingBalance,
+    archived: false,
+    createdAt: accountCreated,
+    updatedAt: accountCreated
+  }));
+
+  const [savings, amex, paytm, cash] = accounts;
+  // UPI and bank transfers come out of the savings account
+  const accountForMode = { bank: savings, upi: savings, card: amex, wallet: paytm, cash };
+
+  const transfers = [];
+  const addTransfer = (date, from, to, amount, note) => {
+    if (date > today || amount <= 0) return;
+    transfers.push(withIds({
+      userId: demo._id,
+      fromAccountId: from._id,
+      toAccountId: to._id,
+      amount,
+      date: created(date),
+      note,
+      createdAt: created(date),
+      updatedAt: created(date)
+    }));
+  };
+
+  // ==============================
+  // TRANSACTIONS
+  // ==============================
+
+  const transactions = [];
+  const addTransaction = (date, data) => {
+    if (date > today) return null;
+    const transaction = withIds({
+      userId: demo._id,
+      paymentMode: 'upi',
+      notes: '',
+      currency: DEFAULT_SETTINGS.currency,
+      originalAmount: data.amount,
+      fxRate: 1,
+      baseCurrency: DEFAULT_SETTINGS.currency,
+      ...data,
+      accountId: accountForMode[data.paymentMode || 'upi']._id,
+      date: created(date),
+      createdAt: created(date),
+      updatedAt: created(date)
+    });
+    transactions.push(transaction);
+    return transaction;
+  };
+
+  // Spent abroad: entered in the foreign currency, stored converted at that day's built-in rate
+  const builtInRates = HISTORICAL_RATES.map(([date, rates]) => ({ date, rates }));
+  const addForeignTransaction = (date, currency, originalAmount, data) => {
+    const fxRate = rateBetween(builtInRates, currency, DEFAULT_SETTINGS.currency, date);
+    return addTransaction(date, { ...data, amount: roundMoney(originalAmount * fxRate), currency, originalAmount, fxRate });
+  };
+
+  const firstMonth = new Date(today.getFullYear(), today.getMonth() - 5, 1);
+  // Instances already in the ledger are marked as recorded so the server does not add them again
+  const recurringRules = RECURRING_TEMPLATES.map(([title, type, category, paymentMode, amount, day]) => withIds({
+    userId: demo._id,
+    title,
+    amount,
+    type,
+    category,
+    paymentMode,
+    accountId: accountForMode[paymentMode]._id,
+    notes: '',
+    frequency: 'monthly',
+    interval: 1,
+    cron: '',
+    startDate: created(atDay(firstMonth.getFullYear(), firstMonth.getMonth(), day)),
+    endDate: null,
+    skipped: [],
+    generatedThrough: null,
+    nextOccurrence: null,
+    status: 'active',
+    createdAt: created(firstMonth),
+    updatedAt: created(firstMonth)
+  }));
+
+  for (let offset = 5; offset >= 0; offset -= 1) {
+    const monthStart = new Date(today.getFullYear(), today.getMonth() - offset, 1);
+    const year = monthStart.getFullYear();
+    const month = monthStart.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+    recurringRules.forEach((rule, index) => {
+      const date = atDay(year, month, RECURRING_TEMPLATES[index][5]);
+      const recorded = addTransaction(date, {
+        title: rule.title,
+        amount: rule.amount,
+        type: rule.type,
+        category: rule.category,
+        paymentMode: rule.paymentMode,
+        recurringRuleId: rule._id,
+        occurrenceDate: `${year}-${pad(month + 1)}-${pad(date.getDate())}`
+      });
+      if (recorded) rule.generatedThrough = created(date);
+    });
+    addTransaction(atDay(year, month, 8), { title: 'Electricity bill', amount: between(1200, 2400), type: 'expense', category: 'Bills', paymentMode: 'upi' });
+
+    if (offset % 2 === 0) {
+      addTransaction(atDay(year, month, 20), { title: 'Freelance design project', amount: between(12000, 25000), type: 'income', category: 'Freelance', paymentMode: 'bank' });
+    }
+
+    if (offset === 3) {
+      addTransaction(atDay(year, month, 18), { title: 'Goa flight tickets', amount: 9400, type: 'expense', category: 'Travel', paymentMode: 'card' });
+      addTransaction(atDay(year, month, 19), { title: 'Amazon refund', amount: 1299, type: 'income', category: 'Refund', paymentMode: 'card' });
+    }
+
+    if (offset === 2) {
+      addForeignTransaction(atDay(year, month, 14), 'EUR', 240, { title: 'Hotel in Lisbon', type: 'expense', category: 'Travel', paymentMode: 'card' });
+      addForeignTransaction(atDay(year, month, 15), 'EUR', 26.4, { title: 'Lisbon metro pass', type: 'expense', category: 'Transport', paymentMode: 'card' });
+    }
+    addForeignTransaction(atDay(year, month, 12), 'USD', 15, { title: 'Figma subscription', type: 'expense', category: 'Education', paymentMode: 'card' });
+
+    const everydayCount = between(18, 26);
+    for (let i = 0; i < everydayCount; i += 1) {
+      const [title, category, paymentMode, min, max] = EXPENSE_TEMPLATES[Math.floor(random() * EXPENSE_TEMPLATES.length)];
+      addTransaction(atDay(year, month, between(1, daysInMonth)), {
+        title,
+        amount: between(min, max),
+        type: 'expense',
+        category,
+        paymentMode
+      });
+    }
+
+    // The month's card spend is paid off from savings, and cash and the wallet are topped up
+    const cardSpend = transactions
+      .filter(tx => tx.accountId === amex._id && new Date(tx.date).getMonth() === month && new Date(tx.date).getFullYear() === year)
+      .reduce((sum, tx) => sum + (tx.type === 'income' ? -tx.amount : tx.amount), 0);
+    addTransfer(atDay(year, month, Math.min(28, daysInMonth)), savings, amex, cardSpend, 'Amex card bill');
+    addTransfer(atDay(year, month, 2), savings, paytm, 1000, 'Wallet top-up');
+    addTransfer(atDay(year, month, 3), savings, cash, 3000, 'ATM withdrawal');
+  }
+
+  // ==============================
+  // BUDGETS
+  // ==============================
+
+  const budgetLimits = { Food: 9000, Transport: 4000, Shopping: 6000, Entertainment: 2500, Bills: 27000, Healthcare: 2000 };
+  const budgets = [];
+  [1, 0].forEach(offset => {
+    const month = toMonthKey(new Date(today.getFullYear(), today.getMonth() - offset, 1));
+    Object.entries(budgetLimits).forEach(([category, monthlyLimit]) => {
+      const color = EXPENSE_CATEGORIES.find(item => item.name === category)?.color || '#3B82F6';
+      budgets.push(withIds({
+        userId: demo._id,
+        category,
+        type: 'expense',
+        monthlyLimit,
+        month,
+        color,
+        description: `${category} budget`,
+        createdAt: created(atDay(today.getFullYear(), today.getMonth() - offset, 1)),
+        updatedAt: created(atDay(today.getFullYear(), today.getMonth() - offset, 1))
+      }));
+    });
+  });
+
+  // ==============================
+  // SPLIT EXPENSES, GROUPS AND DEBTS
+  // ==============================
+
+  const dinnerDate = created(new Date(today.getTime() - 4 * 24 * 60 * 60 * 1000));
+  const tripDate = created(new Date(today.getTime() - 12 * 24 * 60 * 60 * 1000));
+  const friendDoc = (owner, friendUser) =>
+    friends.find(f => f.owner === owner._id && f.friendUserId === friendUser._id);
+
+  const splitExpenses = [
+    withIds({
+      createdBy: demo._id,
+      description: 'Dinner at Toit',
+      totalAmount: 3600,
+      paidBy: demo._id,
+      splitType: 'equal',
+      splits: [rahul, priya].map(user => ({
+        friendId: friendDoc(demo, user)._id,
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        amount: 1200,
+        status: 'pending'
+      })),
+      status: 'active',
+      createdAt: dinnerDate,
+      updatedAt: dinnerDate
+    }),
+    withIds({
+      createdBy: aman._id,
+      description: 'Weekend cabs',
+      totalAmount: 1800,
+      paidBy: aman._id,
+      splitType: 'equal',
+      splits: [demo, rahul].map(user => ({
+        friendId: friendDoc(aman, user)._id,
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        amount: 600,
+        status: 'pending'
+      })),
+      status: 'active',
+      createdAt: tripDate,
+      updatedAt: tripDate
+    })
+  ];
+
+  const [dinner, cabs] = splitExpenses;
+
+  const groups = [
+    withIds({
+      name: 'Flatmates',
+      description: 'Shared household costs',
+      createdBy: demo._id,
+      members: [demo._id, rahul._id, priya._id],
+      createdAt: tripDate,
+      updatedAt: tripDate
+    })
+  ];
+
+  const debts = [
+    ...dinner.splits.map(split => withIds({
+      creditorId: demo._id,
+      debtorId: split.userId,
+      amount: split.amount,
+      description: dinner.description,
+      type: 'split',
+      status: 'pending',
+      dueDate: null,
+      splitExpenseId: dinner._id,
+      metadata: { originalAmount: dinner.totalAmount, splitType: dinner.splitType },
+      createdBy: demo._id,
+      createdAt: dinnerDate,
+      updatedAt: dinnerDate
+    })),
+    withIds({
+      creditorId: aman._id,
+      debtorId: demo._id,
+      amount: 600,
+      description: cabs.description,
+      type: 'split',
+      status: 'pending',
+      dueDate: null,
+      splitExpenseId: cabs._id,
+      metadata: { originalAmount: cabs.totalAmount, splitType: cabs.splitType },
+      createdBy: aman._id,
+      createdAt: tripDate,
+      updatedAt: tripDate
+    }),
+    withIds({
+      creditorId: demo._id,
+      debtorId: rahul._id,
+      amount: 1500,
+      description: 'Concert tickets',
+      type: 'manual',
+      status: 'pending',
+      dueDate: created(new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000)),
+      metadata: {},
+      createdBy: demo._id,
+      createdAt: tripDate,
+      updatedAt: tripDate
+    }),
+    withIds({
+      creditorId: priya._id,
+      debtorId: demo._id,
+      amount: 800,
+      description: 'Birthday gift contribution',
+      type: 'manual',
+      status: 'pending',
+      dueDate: null,
+      metadata: {},
+      createdBy: demo._id,
+      createdAt: tripDate,
+      updatedAt: tripDate
+    }),
+    withIds({
+      creditorId: demo._id,
+      debtorId: aman._id,
+      amount: 450,
+      description: 'Movie tickets',
+      type: 'manual',
+      status: 'paid',
+      paidAt: dinnerDate,
+      paymentMethod: 'upi',
+      dueDate: null,
+      metadata: {},
+      createdBy: demo._id,
+      createdAt: tripDate,
+      updatedAt: dinnerDate
+    })
+  ];
+
+  // ==============================
+  // SAVED VIEWS
+  // ==============================
+
+  const savedViews = [
+    ['Monthly food', 'category:Food month:this', 'reports', true],
+    ['Big card spends', 'mode:card amount>=2000 type:expense', 'transactions', false]
+  ].map(([name, query, page, pinned]) => withIds({
+    userId: demo._id,
+    name,
+    query,
+    page,
+    pinned,
+    createdAt: accountCreated,
+    updatedAt: accountCreated
+  }));
+
+  // ==============================
+  // CATEGORY RULES
+  // ==============================
+
+  const categoryRules = [
+    ['Food delivery', { title: ['swiggy', 'zomato'], type: 'expense' }, { category: 'Food', tags: ['delivery'] }],
+    ['Cabs on the Amex', { merchant: ['uber', 'ola'], paymentModes: ['card'], type: 'expense' }, { category: 'Transport', accountId: amex._id }],
+    ['Large purchases', { minAmount: 5000, type: 'expense' }, { tags: ['big spend'] }]
+  ].map(([name, conditions, actions], order) => withIds({
+    userId: demo._id,
+    name,
+    enabled: true,
+    order,
+    conditions: { title: [], merchant: [], minAmount: null, maxAmount: null, paymentModes: [], type: null, ...conditions },
+    actions: { category: null, tags: [], accountId: null, ...actions },
+    createdAt: accountCreated,
+    updatedAt: accountCreated
+  }));
+
+  // ==============================
+  // NOTIFICATIONS AND SETTINGS
+  // ==============================
+
+  const notifications = [
+    withIds({
+      recipientId: demo._id,
+      senderId: aman._id,
+      type: 'expense_created',
+      title: 'New split expense',
+      message: `${aman.name} added "${cabs.description}" - your share is ₹600`,
+      data: { expenseId: cabs._id, amount: 600 },
+      read: false,
+      createdAt: tripDate,
+      updatedAt: tripDate
+    }),
+    withIds({
+      recipientId: demo._id,
+      senderId: priya._id,
+      type: 'payment_reminder',
+      title: 'Payment reminder',
+      message: `${priya.name} reminded you about "Birthday gift contribution"`,
+      data: { amount: 800 },
+      read: true,
+      createdAt: dinnerDate,
+      updatedAt: dinnerDate
+    })
+  ];
+
+  return {
+    users,
+    friends,
+    transactions,
+    accounts,
+    transfers,
+    recurringRules,
+    budgets,
+    categories: users.flatMap(user => buildDefaultCategories(generateId, user._id)),
+    splitExpenses,
+    groups,
+    debts,
+    notifications,
+    savedViews,
+    categoryRules,
+    settings: users.map(user => buildDefaultSettings(user._id))
+  };
+};
+
+module.exports = {
+  DEMO_CREDENTIALS,
+  DEFAULT_SETTINGS,
+  EXPENSE_CATEGORIES,
+  INCOME_CATEGORIES,
+  createSeedData,
+  buildDefaultCategories,
+  buildDefaultSettings,
+  toMonthKey
+};
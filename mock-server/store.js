@@ -0,0 +1,141 @@
+// mock-server/store.js - In-memory collections backing the local mock backend
+const { createSeedData } = require('./seed');
+
+const COLLECTIONS = [
+  'users',
+  'transactions',
+  'accounts',
+  'transfers',
+  'recurringRules',
+  'budgets',
+  'categories',
+  'debts',
+  'splitExpenses',
+  'attachments',
+  'groups',
+  'friends',
+  'notifications',
+  'settings',
+  'savedViews',
+  'trash',
+  'history',
+  'fxRates',
+  'categoryRules'
+];
+
+let counter = 0;
+
+// Mongo-style 24 character hex ids so the client treats them like real server ids
+const generateId = () => {
+  counter += 1;
+  const time = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  const random = Math.floor(Math.random() * 0xffffff).toString(16).padStart(6, '0');
+  return (time + random + counter.toString(16).padStart(10, '0')).slice(0, 24);
+};
+
+const db = {};
+
+// Change listeners (the realtime layer) hear about every write after it is applied
+const listeners = new Set();
+
+/**
+ * Listen for writes to any collection
+ * @param {Function} listener - (change: { collection, action, record, previous, restored }) => void;
+ *   restored is set when a removed record is put back
+ * @returns {Function} Unsubscribe
+ */
+const onChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emitChange = (change) => listeners.forEach(listener => listener(change));
+
+/**
+ * Replace every collection with freshly seeded demo data
+ * @param {object} options - { empty: true } to start without any records
+ */
+const reset = (options = {}) => {
+  const data = options.empty ? {} : createSeedData(generateId);
+  COLLECTIONS.forEach(name => {
+    db[name] = Array.isArray(data[name]) ? data[name] : [];
+  });
+  emitChange({ collection: null, action: 'reset', record: null, previous: null });
+  return db;
+};
+
+const now = () => new Date().toISOString();
+
+const findById = (collection, id) =>
+  db[collection].find(record => record._id === id || record.id === id) || null;
+
+const insert = (collection, data) => {
+  const _id = generateId();
+  const record = { ...data, _id, id: _id, createdAt: now(), updatedAt: now() };
+  db[collection].push(record);
+  emitChange({ collection, action: 'created', record, previous: null });
+  return record;
+};
+
+/**
+ * Apply changes to a record in place
+ * @param {string} collection - Collection name
+ * @param {string} id - Record id
+ * @param {object} changes - Fields to overwrite
+ * @param {Array<string>} protectedFields - Extra fields the payload may not touch (e.g. ownership)
+ */
+const update = (collection, id, changes, protectedFields = []) => {
+  const record = findById(collection, id);
+  if (!record) return null;
+
+  // Never let a payload rewrite identity
+  const safeChanges = { ...changes };
+  ['_id', 'id', 'createdAt', ...protectedFields].forEach(field => delete safeChanges[field]);
+  const previous = { ...record };
+  Object.assign(record, safeChanges, { updatedAt: now() });
+  emitChange({ collection, action: 'updated', record, previous });
+  return record;
+};
+
+/**
+ * Put back a record that was removed earlier, keeping its id (e.g. restoring from the trash)
+ * @param {string} collection - Collection name
+ * @param {object} record - The record as it was when removed
+ */
+const reinsert = (collection, record) => {
+  const restored = { ...record, updatedAt: now() };
+  db[collection].push(restored);
+  emitChange({ collection, action: 'created', record: restored, previous: null, restored: true });
+  return restored;
+};
+
+const remove = (collection, id) => {
+  const record = findById(collection, id);
+  if (!record) return null;
+  db[collection] = db[collection].filter(item => item !== record);
+  emitChange({ collection, action: 'deleted', record, previous: null });
+  return record;
+};
+
+const removeWhere = (collection, predicate) => {
+  const removed = db[collection].filter(predicate);
+  db[collection] = db[collection].filter(record => !predicate(record));
+  removed.forEach(record => emitChange({ collection, action: 'deleted', record, previous: null }));
+  return removed;
+};
+
+reset();
+
+module.exports = {
+  db,
+  generateId,
+  reset,
+  onChange,
+  now,
+  findById,
+  insert,
+  update,
+  reinsert,
+  remove,
+  removeWhere
+};
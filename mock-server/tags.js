@@ -0,0 +1,70 @@
+// mock-server/tags.js - Free-form labels on transactions and split expenses
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// "#Goa trip " and "goa trip" are the same tag; the spelling first used is kept for display
+const tagKey = (tag) => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Check a tags value from a request body
+ * @param {*} tags - Expected to be an array of strings
+ * @returns {string|null} Error message
+ */
+const validateTags = (tags) => {
+  if (tags === undefined || tags === null) return null;
+  if (!Array.isArray(tags)) return 'Tags must be a list';
+  if (tags.some(tag => typeof tag !== 'string')) return 'Tags must be text';
+  if (tags.some(tag => tagKey(tag).length > MAX_TAG_LENGTH)) return `Tags can be at most ${MAX_TAG_LENGTH} characters`;
+  if (normalizeTags(tags).length > MAX_TAGS) return `At most ${MAX_TAGS} tags per record`;
+  return null;
+};
+
+/**
+ * Trim, drop empties and collapse case-insensitive repeats
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>}
+ */
+const normalizeTags = (tags) => {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : [])
+    .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const hasTag = (record, tag) => (record.tags || []).some(own => tagKey(own) === tagKey(tag));
+
+/**
+ * Every tag on the given records with how often and how recently it was used, most used first
+ * @param {Array} records - Transactions and split expenses
+ * @returns {Array} [{ tag, count, lastUsed }]
+ */
+const tagUsage = (records) => {
+  const usage = new Map();
+  records.forEach(record => {
+    const usedAt = record.date || record.createdAt;
+    (record.tags || []).forEach(tag => {
+      const key = tagKey(tag);
+      const entry = usage.get(key) || { tag, count: 0, lastUsed: usedAt };
+      entry.count += 1;
+      if (new Date(usedAt) > new Date(entry.lastUsed)) entry.lastUsed = usedAt;
+      usage.set(key, entry);
+    });
+  });
+  return [...usage.values()].sort((a, b) => b.count - a.count || new Date(b.lastUsed) - new Date(a.lastUsed));
+};
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  tagKey,
+  validateTags,
+  normalizeTags,
+  hasTag,
+  tagUsage
+};
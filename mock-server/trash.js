@@ -0,0 +1,102 @@
+// mock-server/trash.js - Deleted records kept for a while so they can be restored
+const { db, insert, reinsert, remove, removeWhere } = require('./store');
+const { OWNER_COLLECTIONS, attachmentsOf } = require('./attachments');
+
+// Days a deleted record stays restorable before it is purged for good
+const TRASH_RETENTION_DAYS = Number(process.env.MOCK_TRASH_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What can be trashed, and the collection each lives in
+const TRASH_TYPES = {
+  transaction: 'transactions',
+  budget: 'budgets',
+  splitExpense: 'splitExpenses',
+  debt: 'debts'
+};
+
+// Label and amount shown in the trash list, so it can be read without the full record
+const describe = (type, record) => {
+  if (type === 'budget') return { label: `${record.category} budget (${record.month})`, amount: record.monthlyLimit };
+  return {
+    label: record.title || record.description || 'Untitled',
+    amount: type === 'splitExpense' ? record.totalAmount : record.amount
+  };
+};
+
+/**
+ * Delete a record by moving it to the deleting user's trash. Records that only make sense with it
+ * (e.g. the debts of a split expense) go with it and come back with it.
+ * @param {string} userId - Who deleted it; the entry shows up in their trash
+ * @param {string} type - transaction, budget, splitExpense or debt
+ * @param {object} record - Record being deleted
+ * @param {object} related - { collection: [records] } removed and restored along with it
+ * @returns {object} Trash entry
+ */
+const moveToTrash = (userId, type, record, related = {}) => {
+  // Receipts are deleted along with their owner, so they are kept in the entry as well
+  const attachments = OWNER_COLLECTIONS[type] ? attachmentsOf(type, record._id) : [];
+  const kept = { ...related, ...(attachments.length > 0 && { attachments }) };
+
+  Object.entries(related).forEach(([collection, records]) => records.forEach(item => remove(collection, item._id)));
+  remove(TRASH_TYPES[type], record._id);
+
+  const deletedAt = new Date();
+  return insert('trash', {
+    userId,
+    type,
+    recordId: record._id,
+    record,
+    related: kept,
+    ...describe(type, record),
+    deletedAt: deletedAt.toISOString(),
+    purgeAt: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+  });
+};
+
+/**
+ * Put a trashed record (and what went with it) back where it was, under its old id
+ * @param {object} entry - Trash entry
+ * @param {object} record - The record to restore, when it had to be adjusted first
+ * @returns {object} Restored record
+ */
+const restoreFromTrash = (entry, record = entry.record) => {
+  const restored = reinsert(TRASH_TYPES[entry.type], record);
+  Object.entries(entry.related || {}).forEach(([collection, records]) => records.forEach(item => reinsert(collection, item)));
+  remove('trash', entry._id);
+  return restored;
+};
+
+// The trash list carries a summary; the full record is only needed to restore it
+const toTrashView = ({ record, related, ...entry }) => ({
+  ...entry,
+  relatedCount: Object.values(related || {}).reduce((sum, records) => sum + records.length, 0)
+});
+
+const purgeExpired = (now = new Date()) => removeWhere('trash', entry => new Date(entry.purgeAt) <= now);
+
+/**
+ * Purge entries past their retention period on a timer
+ * @param {number} intervalMs - How often to check
+ * @returns {Function} Stop the timer
+ */
+const startTrashSweep = (intervalMs = 60 * 60 * 1000) => {
+  purgeExpired();
+  const timer = setInterval(() => purgeExpired(), intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+};
+
+const trashOf = (userId) => db.trash
+  .filter(entry => entry.userId === userId)
+  .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  moveToTrash,
+  restoreFromTrash,
+  toTrashView,
+  purgeExpired,
+  startTrashSweep,
+  trashOf
+};
@@ -20,10 +20,17 @@ import NotificationCenter from './pages/NotificationCenter.jsx';
 import DebtManagementPage from './pages/DebtManager.jsx';
 import Profile from './pages/Profile';
 import CalendarView from './components/CalendarView';
+import TrashPage from './pages/Trash';
 
 // Components
 import Navbar from './components/Navbar';
 import Sidebar from './components/Sidebar';
+import ConnectionStatus from './components/ConnectionStatus';
+import UndoToast from './components/UndoToast';
+
+// Services
+import transactionSyncService from './services/transactionSyncService';
+import realtimeService from './services/realtimeService';
 
 import './App.css';
 
@@ -32,6 +39,18 @@ const ProtectedLayout = () => {
   const { user } = useAuth();
   const location = useLocation();
 
+  // 🔁 Replay offline changes and listen for server pushes while a user is signed in
+  useEffect(() => {
+    if (!user) return undefined;
+
+    transactionSyncService.start();
+    realtimeService.start();
+    return () => {
+      transactionSyncService.stop();
+      realtimeService.stop();
+    };
+  }, [user]);
+
   if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
 
   return (
@@ -39,9 +58,11 @@ const ProtectedLayout = () => {
       <Sidebar />
       <div className="main-content">
         <Navbar />
+        <ConnectionStatus />
         {/* ⬇️ Routed protected pages render here */}
         <Outlet />
       </div>
+      <UndoToast />
     </div>
   );
 };
@@ -112,6 +133,7 @@ const App = () => {
 
           {/* 📅 NEW Calendar Page */}
           <Route path="/calendar" element={<CalendarView />} />
+          <Route path="/trash" element={<TrashPage />} />
         </Route>
       </Routes>
     </PreferencesProvider>
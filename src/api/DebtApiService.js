@@ -1,8 +1,13 @@
 // DebtApiService.js - FIXED with better error handling
+import API, { getAuthHeaders } from './api';
+import TokenManager from '../utils/tokenManager';
+import { API_BASE_URL } from '../config/api';
+import { parseList } from './schemas';
+import { announceTrashed } from './trashApi';
+
 class EnhancedDebtApiService {
   constructor() {
-    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:4000';
-    this.baseURL = apiUrl.endsWith('/') ? apiUrl.slice(0, -1) : apiUrl;
+    this.baseURL = API_BASE_URL;
     this.enabledFeatures = {
       notifications: false,
       friends: true,
@@ -30,252 +35,95 @@ class EnhancedDebtApiService {
   }
 
   getAuthHeaders() {
-    const possibleTokens = [
-      localStorage.getItem('authToken'),
-      sessionStorage.getItem('authToken'),
-      localStorage.getItem('token'),
-      sessionStorage.getItem('token'),
-      localStorage.getItem('jwt'),
-      sessionStorage.getItem('jwt')
-    ].filter(Boolean);
-
-    const token = possibleTokens[0];
-
-    if (!token) {
-      this.log('warn', 'No authentication token found');
-      return {
-        'Content-Type': 'application/json'
-      };
-    }
-
-    const authHeader = token.startsWith('Bearer ') ? token : `Bearer ${token}`;
-    
-    return {
-      'Content-Type': 'application/json',
-      'Authorization': authHeader
-    };
+    return getAuthHeaders();
   }
 
-  async makeRequest(endpoint, options = {}) {
+  // `signal` (an AbortSignal) cancels the request, like every other API module
+  async makeRequest(endpoint, { method = 'GET', data, params, signal } = {}) {
     const cleanEndpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
-    const url = `${this.baseURL}/api${cleanEndpoint}`;
-    
-    const requestOptions = {
-      ...options,
-      headers: {
-        ...this.getAuthHeaders(),
-        ...(options.headers || {})
-      }
-    };
 
-    this.log('info', `Making request: ${options.method || 'GET'} ${cleanEndpoint}`);
-    this.log('info', `Full URL: ${url}`);
+    this.log('info', `Making request: ${method} ${cleanEndpoint}`);
 
     try {
-      const response = await fetch(url, requestOptions);
-      
-      this.log('info', `Response status: ${response.status} ${response.statusText}`);
-      
-      return await this.handleResponse(response, { method: options.method, endpoint: cleanEndpoint });
-    } catch (error) {
-      this.log('error', `Network request failed for ${cleanEndpoint}`, {
-        errorMessage: error.message,
-        errorType: error.name,
-        url: url
-      });
-      throw error;
-    }
-  }
+      const response = await API.request({ method, url: cleanEndpoint, data, params, signal });
 
-  async handleResponse(response, originalRequest = {}) {
-    const method = originalRequest.method || 'GET';
-    const endpoint = originalRequest.endpoint || 'unknown';
-    
-    const contentType = response.headers.get('content-type');
-    
-    if (response.status === 401) {
-      this.log('error', 'Authentication failed');
-      throw new Error('Authentication required. Please log in again.');
-    }
-    
-    // FIXED: Better handling of 404 errors
-    if (response.status === 404) {
-      const responseText = await response.text();
-      
-      // Check if it's HTML (route not found on server)
-      if (responseText.includes('<!DOCTYPE') || responseText.includes('<html')) {
-        this.log('error', `Server route not found: ${method} ${endpoint}`);
-        throw new Error(`Server route not found: ${method} /api${endpoint}. The backend route may not be registered.`);
-      }
-      
-      // It's JSON - parse it for the actual error message
-      try {
-        const errorData = JSON.parse(responseText);
-        this.log('warn', `Resource not found: ${errorData.message || 'Unknown error'}`);
-        throw new Error(errorData.message || 'Resource not found');
-      } catch (parseError) {
-        this.log('warn', `404 error parsing failed`);
-        throw new Error(`Resource not found: ${endpoint}`);
-      }
-    }
-    
-    if (!response.ok) {
-      let errorData = { message: `HTTP Error ${response.status}` };
-      
-      try {
-        const responseText = await response.text();
-        
-        try {
-          errorData = JSON.parse(responseText);
-        } catch (jsonError) {
-          if (responseText.includes('<!DOCTYPE') || responseText.includes('<html')) {
-            errorData = { 
-              message: `Server error (${response.status}): The backend returned an HTML page.`,
-              status: response.status,
-              statusText: response.statusText,
-              isHtml: true
-            };
-          } else {
-            errorData = { 
-              message: responseText || `HTTP Error ${response.status}`,
-              status: response.status,
-              statusText: response.statusText
-            };
-          }
-        }
-      } catch (textError) {
-        this.log('warn', 'Could not read response body', textError);
-      }
-      
-      this.log('error', `Request failed: ${method} ${endpoint}`, errorData);
-      throw new Error(this.getHumanReadableError(response.status, errorData));
-    }
-    
-    try {
-      const responseText = await response.text();
-      
-      if (!responseText || responseText.trim() === '') {
+      if (response.data === undefined || response.data === null || response.data === '') {
         this.log('warn', 'Empty response body');
         return { success: true, message: 'Operation completed successfully' };
       }
-      
-      if (responseText.includes('<!DOCTYPE') || responseText.includes('<html')) {
-        this.log('error', 'Server returned HTML instead of JSON');
-        throw new Error('Server configuration error: Received HTML instead of JSON.');
-      }
-      
-      const data = JSON.parse(responseText);
-      this.log('success', `Request completed: ${method} ${endpoint}`);
-      return data;
-    } catch (parseError) {
-      if (parseError.message.includes('HTML')) {
-        throw parseError;
-      }
-      this.log('error', 'Failed to parse response as JSON', parseError);
-      throw new Error('Invalid response format from server');
-    }
-  }
 
-  getHumanReadableError(status, errorData) {
-    const message = errorData.message || errorData.error || `Server error: ${status}`;
-    
-    if (errorData.isHtml) {
-      return message;
-    }
-    
-    switch (status) {
-      case 400:
-        return message; // Return the actual message (like "Friend not found")
-      case 401:
-        return 'Authentication required. Please log in again.';
-      case 403:
-        return 'Access forbidden. You may not have permission for this action.';
-      case 404:
-        return message; // Return the actual message
-      case 409:
-        return `Conflict: ${message}`;
-      case 422:
-        return `Validation error: ${message}`;
-      case 500:
-        return `Internal server error. Please try again.`;
-      default:
-        return message;
+      this.log('success', `Request completed: ${method} ${cleanEndpoint}`);
+      return response.data;
+    } catch (error) {
+      if (error.isAborted) throw error;
+      this.log('error', `Request failed: ${method} ${cleanEndpoint}`, {
+        status: error.status,
+        type: error.type,
+        errorMessage: error.message
+      });
+      throw error;
     }
   }
 
-  async fetchDebtsOwedToMe() {
+  /**
+   * Fetch the debts friends owe the current user
+   * @param {object} options - Request options, e.g. { signal }
+   * @returns {Promise<Array>} Debts
+   */
+  async fetchDebtsOwedToMe(options = {}) {
     try {
       this.log('info', 'Fetching debts owed to current user');
       
-      const response = await this.makeRequest('/debts/owed-to-me', { 
+      const response = await this.makeRequest('/debts/owed-to-me', {
+        ...options,
         method: 'GET' 
       });
       
-      if (response.success !== false) {
-        const debts = response.debts || response.data || [];
-        this.log('success', `Fetched ${debts.length} debts owed to user`);
-        
-        return {
-          success: true,
-          debts: debts,
-          count: debts.length,
-          totalAmount: debts.reduce((sum, debt) => sum + (debt.amount || 0), 0)
-        };
-      } else {
-        throw new Error(response.message || 'Failed to fetch debts owed to me');
-      }
-
+      const debts = parseList('debt', response, { source: 'GET /debts/owed-to-me' });
+      this.log('success', `Fetched ${debts.length} debts owed to user`);
+      return debts;
     } catch (error) {
       this.log('error', 'Error fetching debts owed to me', error);
-      return {
-        success: false,
-        message: error.message,
-        debts: [],
-        authError: error.message.includes('Authentication') || error.message.includes('401')
-      };
+      throw error;
     }
   }
 
-  async fetchDebtsOwedByMe() {
+  /**
+   * Fetch the debts the current user owes friends
+   * @param {object} options - Request options, e.g. { signal }
+   * @returns {Promise<Array>} Debts
+   */
+  async fetchDebtsOwedByMe(options = {}) {
     try {
       this.log('info', 'Fetching debts owed by current user');
       
-      const response = await this.makeRequest('/debts/owed-by-me', { 
+      const response = await this.makeRequest('/debts/owed-by-me', {
+        ...options,
         method: 'GET' 
       });
       
-      if (response.success !== false) {
-        const debts = response.debts || response.data || [];
-        this.log('success', `Fetched ${debts.length} debts owed by user`);
-        
-        return {
-          success: true,
-          debts: debts,
-          count: debts.length,
-          totalAmount: debts.reduce((sum, debt) => sum + (debt.amount || 0), 0)
-        };
-      } else {
-        throw new Error(response.message || 'Failed to fetch debts owed by me');
-      }
-
+      const debts = parseList('debt', response, { source: 'GET /debts/owed-by-me' });
+      this.log('success', `Fetched ${debts.length} debts owed by user`);
+      return debts;
     } catch (error) {
       this.log('error', 'Error fetching debts owed by me', error);
-      return {
-        success: false,
-        message: error.message,
-        debts: [],
-        authError: error.message.includes('Authentication') || error.message.includes('401')
-      };
+      throw error;
     }
   }
 
-  async createManualDebt(debtData) {
-    try {
-      const validationErrors = this.validateDebtData(debtData);
-      if (validationErrors.length > 0) {
-        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
-      }
+  /**
+   * Record a debt with a friend by hand
+   * @param {object} debtData - { friendId, friendEmail, amount, description, type, dueDate }
+   * @param {object} options - Request options, e.g. { signal }
+   * @returns {Promise<object>} Created debt
+   */
+  async createManualDebt(debtData, options = {}) {
+    const validationErrors = this.validateDebtData(debtData);
+    if (validationErrors.length > 0) {
+      throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+    }
 
+    try {
       const transformedData = {
         friendId: debtData.friendId,
         friendEmail: debtData.friendEmail || null,
@@ -293,138 +141,120 @@ class EnhancedDebtApiService {
       });
       
       const result = await this.makeRequest('/debts', {
+        ...options,
         method: 'POST',
-        body: JSON.stringify(transformedData)
+        data: transformedData
       });
       
-      if (result.success !== false) {
-        this.log('success', 'Debt created successfully', { debtId: result.debt?._id });
-        return {
-          success: true,
-          debt: result.debt || result,
-          message: result.message || 'Debt created successfully'
-        };
-      } else {
-        throw new Error(result.message || 'Failed to create debt');
-      }
-      
+      this.log('success', 'Debt created successfully', { debtId: result.debt?._id });
+      return result.debt || result;
     } catch (error) {
       this.log('error', 'Debt creation failed', error.message);
-      return {
-        success: false,
-        message: error.message
-      };
+      throw error;
     }
   }
 
-async markDebtAsPaid(debtId, paymentMethod = null) {
-  try {
-    this.log('info', `Marking debt as paid: ${debtId}`);
-    
-    const body = paymentMethod ? { paymentMethod } : {};
-    
-    const result = await this.makeRequest(`/debts/${debtId}/mark-paid`, { 
-      method: 'PATCH',
-      body: JSON.stringify(body)
-    });
-    
-    if (result.success !== false) {
+  /**
+   * Mark a debt as paid
+   * @param {string} debtId - Debt ID
+   * @param {string|null} paymentMethod - How it was paid, if known
+   * @param {object} options - Request options, e.g. { signal }
+   * @returns {Promise<object>} Updated debt
+   */
+  async markDebtAsPaid(debtId, paymentMethod = null, options = {}) {
+    if (!debtId) throw new Error('Debt ID is required');
+
+    try {
+      this.log('info', `Marking debt as paid: ${debtId}`);
+      
+      const body = paymentMethod ? { paymentMethod } : {};
+      
+      const result = await this.makeRequest(`/debts/${debtId}/mark-paid`, {
+        ...options,
+        method: 'PATCH',
+        data: body
+      });
+      
       this.log('success', 'Debt marked as paid successfully');
-      return {
-        success: true,
-        debt: result.debt,
-        message: result.message || 'Debt marked as paid'
-      };
-    } else {
-      throw new Error(result.message || 'Failed to mark debt as paid');
+      return result.debt || null;
+    } catch (error) {
+      this.log('error', 'Error marking debt as paid', error);
+      throw error;
     }
-  } catch (error) {
-    this.log('error', 'Error marking debt as paid', error);
-    return {
-      success: false,
-      message: error.message
-    };
   }
-}
 
-  async deleteDebt(debtId) {
+  /**
+   * Move a debt to the trash
+   * @param {string} debtId - Debt ID
+   * @param {object} options - Request options, e.g. { signal }
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteDebt(debtId, options = {}) {
+    if (!debtId) throw new Error('Debt ID is required');
+
     try {
       this.log('info', `Deleting debt: ${debtId}`);
       
-      const result = await this.makeRequest(`/debts/${debtId}`, { 
+      const result = await this.makeRequest(`/debts/${debtId}`, {
+        ...options,
         method: 'DELETE' 
       });
       
-      if (result.success !== false) {
-        this.log('success', 'Debt deleted successfully');
-        return {
-          success: true,
-          message: result.message || 'Debt deleted successfully'
-        };
-      } else {
-        throw new Error(result.message || 'Failed to delete debt');
-      }
+      this.log('success', 'Debt moved to the trash');
+      announceTrashed([result.trashId], 'Debt deleted');
+      return true;
     } catch (error) {
       this.log('error', 'Error deleting debt', error);
-      return {
-        success: false,
-        message: error.message
-      };
+      throw error;
     }
   }
 
-  async sendPaymentReminder(debtId, message = 'Payment reminder') {
+  /**
+   * Remind the friend who owes a debt to pay it
+   * @param {string} debtId - Debt ID
+   * @param {string} message - Reminder text
+   * @param {object} options - Request options, e.g. { signal }
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendPaymentReminder(debtId, message = 'Payment reminder', options = {}) {
+    if (!debtId) throw new Error('Debt ID is required');
+
     try {
       this.log('info', `Sending payment reminder for debt: ${debtId}`);
       
-      const result = await this.makeRequest(`/debts/${debtId}/remind`, {
+      await this.makeRequest(`/debts/${debtId}/remind`, {
+        ...options,
         method: 'POST',
-        body: JSON.stringify({ message })
+        data: { message }
       });
       
-      if (result.success !== false) {
-        this.log('success', 'Payment reminder sent successfully');
-        return {
-          success: true,
-          message: result.message || 'Payment reminder sent'
-        };
-      } else {
-        throw new Error(result.message || 'Failed to send reminder');
-      }
+      this.log('success', 'Payment reminder sent successfully');
+      return true;
     } catch (error) {
       this.log('error', 'Error sending payment reminder', error);
-      return {
-        success: false,
-        message: error.message
-      };
+      throw error;
     }
   }
 
-  async getDebtOverview() {
+  /**
+   * Get the user's debt totals
+   * @param {object} options - Request options, e.g. { signal }
+   * @returns {Promise<object>} Overview
+   */
+  async getDebtOverview(options = {}) {
     try {
       this.log('info', 'Fetching debt overview');
       
-      const result = await this.makeRequest('/debts/overview', { 
+      const result = await this.makeRequest('/debts/overview', {
+        ...options,
         method: 'GET' 
       });
       
-      if (result.success !== false) {
-        this.log('success', 'Debt overview fetched successfully');
-        return {
-          success: true,
-          overview: result.overview || result,
-          message: result.message || 'Overview fetched successfully'
-        };
-      } else {
-        throw new Error(result.message || 'Failed to fetch debt overview');
-      }
+      this.log('success', 'Debt overview fetched successfully');
+      return result.overview || result;
     } catch (error) {
       this.log('error', 'Error fetching debt overview', error);
-      return {
-        success: false,
-        message: error.message,
-        overview: null
-      };
+      throw error;
     }
   }
 
@@ -460,34 +290,24 @@ async markDebtAsPaid(debtId, paymentMethod = null) {
   }
 
   getCurrentUser() {
-    try {
-      const stored = localStorage.getItem('user') || sessionStorage.getItem('user');
-      return stored ? JSON.parse(stored) : null;
-    } catch (error) {
-      this.log('warn', 'Error parsing stored user data', error);
-      return null;
-    }
+    return TokenManager.getUser();
   }
 
   checkAuthStatus() {
-    const headers = this.getAuthHeaders();
+    const token = TokenManager.getToken();
     const user = this.getCurrentUser();
     
     return {
-      hasToken: !!headers.Authorization && headers.Authorization !== 'undefined',
+      hasToken: !!token,
       hasUser: !!user,
-      isAuthenticated: !!headers.Authorization && !!user,
+      isAuthenticated: !!token && !!user,
       user: user,
-      tokenPreview: headers.Authorization ? `${headers.Authorization.substring(0, 20)}...` : null
+      tokenPreview: token ? `${token.substring(0, 20)}...` : null
     };
   }
 
   clearAuthData() {
-    const keys = ['authToken', 'token', 'jwt', 'user'];
-    keys.forEach(key => {
-      localStorage.removeItem(key);
-      sessionStorage.removeItem(key);
-    });
+    TokenManager.clearAuth();
     this.log('info', 'Authentication data cleared');
   }
 }
@@ -358,14 +358,14 @@ class IntegratedApiService {
   }
 
   // Refresh all integrated data
-  async refreshAllData() {
+  async refreshAllData(options = {}) {
     try {
       this.log('info', 'Refreshing all integrated data...');
       
       const refreshPromises = [
-        this.debtService.fetchDebtsOwedToMe(),
-        this.debtService.fetchDebtsOwedByMe(),
-        this.splitExpenseService.fetchSplitExpenses()
+        this.debtService.fetchDebtsOwedToMe(options),
+        this.debtService.fetchDebtsOwedByMe(options),
+        this.splitExpenseService.fetchSplitExpenses(options)
       ];
       
       const results = await Promise.allSettled(refreshPromises);
@@ -401,14 +401,14 @@ class IntegratedApiService {
   }
 
   // Get comprehensive debt summary including split expense connections
-  async getComprehensiveDebtSummary() {
+  async getComprehensiveDebtSummary(options = {}) {
     try {
       this.log('info', 'Getting comprehensive debt summary...');
       
       const [owedToMeResult, owedByMeResult, splitExpensesResult] = await Promise.allSettled([
-        this.debtService.fetchDebtsOwedToMe(),
-        this.debtService.fetchDebtsOwedByMe(),
-        this.splitExpenseService.fetchSplitExpenses()
+        this.debtService.fetchDebtsOwedToMe(options),
+        this.debtService.fetchDebtsOwedByMe(options),
+        this.splitExpenseService.fetchSplitExpenses(options)
       ]);
       
       const debtsOwedToMe = owedToMeResult.status === 'fulfilled' ? 
@@ -0,0 +1,226 @@
+// src/api/accountApi.js - API functions for accounts (bank, card, wallet, cash) and transfers between them
+import { apiRequest as makeRequest } from './api';
+import { invalidateAccountQueries } from './queryClient';
+import { parseList, parseItem } from './schemas';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [AccountAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [AccountAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [AccountAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [AccountAPI] ${message}`, ...args);
+  }
+};
+
+export const ACCOUNT_TYPES = [
+  { value: 'bank', label: 'Bank account', icon: '🏦' },
+  { value: 'card', label: 'Credit card', icon: '💳' },
+  { value: 'wallet', label: 'Wallet', icon: '📱' },
+  { value: 'upi', label: 'UPI', icon: '📲' },
+  { value: 'cash', label: 'Cash', icon: '💵' }
+];
+
+export const accountTypeIcon = (type) => ACCOUNT_TYPES.find(item => item.value === type)?.icon || '🏦';
+
+const validateAccount = (account, partial = false) => {
+  if (!partial || account.name !== undefined) {
+    if (!String(account.name || '').trim()) throw new Error('Account name is required');
+  }
+  if (account.type !== undefined && !ACCOUNT_TYPES.some(item => item.value === account.type)) {
+    throw new Error('Choose an account type');
+  }
+  if (account.openingBalance !== undefined && !Number.isFinite(Number(account.openingBalance))) {
+    throw new Error('Opening balance must be a number');
+  }
+};
+
+/**
+ * Fetch the user's accounts with their current balances
+ * @param {object} params - { includeArchived: true } to list archived accounts too
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Accounts
+ */
+export const fetchAccounts = async ({ includeArchived = false } = {}, options = {}) => {
+  try {
+    log.info('Fetching accounts');
+    const response = await makeRequest('GET', '/accounts', null, includeArchived ? { includeArchived: 'true' } : null, options);
+    return parseList('account', response.data, { source: 'GET /accounts' });
+  } catch (error) {
+    log.error('Failed to fetch accounts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Everything that moved money in or out of an account, newest first, each with the balance after it
+ * @param {string} id - Account ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} [{ kind: 'transaction'|'transfer', _id, date, title, category, amount, balance }]
+ */
+export const fetchAccountLedger = async (id, options = {}) => {
+  if (!id) throw new Error('Account ID is required');
+
+  try {
+    const response = await makeRequest('GET', `/accounts/${id}/ledger`, null, null, options);
+    const entries = response.data?.entries;
+    if (!Array.isArray(entries)) {
+      log.warn('Account ledger response had no entries list', response.data);
+      return [];
+    }
+    return entries;
+  } catch (error) {
+    log.error(`Failed to fetch ledger of account ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create an account
+ * @param {object} account - { name, type, openingBalance }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Created account
+ */
+export const createAccount = async (account, options = {}) => {
+  validateAccount({ type: 'bank', ...account });
+
+  try {
+    log.info('Creating account:', account.name);
+    const response = await makeRequest('POST', '/accounts', {
+      ...account,
+      name: String(account.name).trim(),
+      openingBalance: Number(account.openingBalance) || 0
+    }, null, options);
+    const created = parseItem('account', response.data, { source: 'POST /accounts' });
+    log.success('Account created', created);
+    invalidateAccountQueries();
+    return created;
+  } catch (error) {
+    log.error('Failed to create account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename, retype or archive an account, or correct its opening balance
+ * @param {string} id - Account ID
+ * @param {object} changes - Fields to change
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated account
+ */
+export const updateAccount = async (id, changes, options = {}) => {
+  if (!id) throw new Error('Account ID is required');
+  validateAccount(changes, true);
+
+  try {
+    log.info(`Updating account ${id}:`, changes);
+    const response = await makeRequest('PUT', `/accounts/${id}`, changes, null, options);
+    const updated = parseItem('account', response.data, { source: `PUT /accounts/${id}` });
+    invalidateAccountQueries();
+    return updated;
+  } catch (error) {
+    log.error(`Failed to update account ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an account that has never been used; the server asks for archiving otherwise
+ * @param {string} id - Account ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteAccount = async (id, options = {}) => {
+  if (!id) throw new Error('Account ID is required');
+
+  try {
+    log.info(`Deleting account ${id}`);
+    await makeRequest('DELETE', `/accounts/${id}`, null, null, options);
+    invalidateAccountQueries();
+    return true;
+  } catch (error) {
+    log.error(`Failed to delete account ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch transfers, newest first
+ * @param {string|null} accountId - Only transfers in or out of this account
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Transfers
+ */
+export const fetchTransfers = async (accountId = null, options = {}) => {
+  try {
+    const response = await makeRequest('GET', '/accounts/transfers', null, accountId ? { accountId } : null, options);
+    return parseList('transfer', response.data, { source: 'GET /accounts/transfers' });
+  } catch (error) {
+    log.error('Failed to fetch transfers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move money between two accounts. Transfers change both balances but are neither income nor expense.
+ * @param {object} transfer - { fromAccountId, toAccountId, amount, date, note }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Recorded transfer
+ */
+export const createTransfer = async (transfer, options = {}) => {
+  if (!transfer.fromAccountId || !transfer.toAccountId) throw new Error('Choose the account to move money from and to');
+  if (transfer.fromAccountId === transfer.toAccountId) throw new Error('Transfer between two different accounts');
+  if (!(Number(transfer.amount) > 0)) throw new Error('Amount must be a positive number');
+
+  try {
+    log.info('Recording transfer:', transfer);
+    const response = await makeRequest('POST', '/accounts/transfers', {
+      ...transfer,
+      amount: Number(transfer.amount)
+    }, null, options);
+    const created = parseItem('transfer', response.data, { source: 'POST /accounts/transfers' });
+    invalidateAccountQueries();
+    return created;
+  } catch (error) {
+    log.error('Failed to record transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a transfer
+ * @param {string} id - Transfer ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteTransfer = async (id, options = {}) => {
+  if (!id) throw new Error('Transfer ID is required');
+
+  try {
+    await makeRequest('DELETE', `/accounts/transfers/${id}`, null, null, options);
+    invalidateAccountQueries();
+    return true;
+  } catch (error) {
+    log.error(`Failed to delete transfer ${id}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  ACCOUNT_TYPES,
+  accountTypeIcon,
+  fetchAccounts,
+  fetchAccountLedger,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  fetchTransfers,
+  createTransfer,
+  deleteTransfer
+};
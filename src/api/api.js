@@ -1,101 +1,470 @@
-// api/api.js - Fixed Base API Client with Proper Error Handling
+// api/api.js - Shared API Client (single source of auth, base URL and error handling)
 import axios from 'axios';
 import TokenManager from '../utils/tokenManager';
+import { API_BASE_URL, REQUEST_TIMEOUT } from '../config/api';
 
-// Create axios instance
-const API = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:4000/api',
-  timeout: 15000,
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+// Endpoints where a 401 means "wrong credentials", not "session expired"
+const CREDENTIAL_ENDPOINTS = ['/auth/login', '/auth/register'];
+
+const REFRESH_ENDPOINT = '/auth/refresh-token';
+
+// After a refresh fails for a non-auth reason (e.g. offline), wait before trying again
+const REFRESH_RETRY_DELAY = 30000;
+
+// setTimeout cannot schedule further out than ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+// ==============================
+// ERROR SHAPE
+// ==============================
+
+// Every API module rejects with this error so callers can rely on one shape
+export class ApiError extends Error {
+  constructor(message, { status = null, type = 'unknown', details = null, requestId = null, code, response, config } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.type = type;
+    this.code = code;
+    this.details = details;
+    this.requestId = requestId;
+    this.isAuthError = type === 'auth_error';
+    this.isNetworkError = type === 'network_error';
+    // The caller aborted the request (page left, inputs changed); not a failure to report
+    this.isAborted = type === 'aborted';
+    // Kept so existing callers reading error.response?.data keep working
+    this.response = response;
+    this.config = config;
+  }
+}
+
+const extractServerMessage = (data) => {
+  if (!data) return '';
+  if (typeof data === 'string') return data;
+  if (data.message) return data.message;
+  if (data.error) return typeof data.error === 'string' ? data.error : JSON.stringify(data.error);
+  if (Array.isArray(data.errors)) return data.errors.join(', ');
+  if (data.details) return typeof data.details === 'string' ? data.details : JSON.stringify(data.details);
+  return '';
+};
+
+// Classify an axios error into { message, status, type, details }
+export const parseErrorResponse = (error) => {
+  const errorInfo = {
+    message: 'Unknown error occurred',
+    status: null,
+    details: null,
+    type: 'unknown'
+  };
+
+  if (error.response) {
+    const { status, data, statusText } = error.response;
+    const serverMessage = extractServerMessage(data);
+    errorInfo.status = status;
+    errorInfo.details = data;
+
+    switch (status) {
+      case 400:
+      case 422:
+        errorInfo.message = serverMessage || 'Invalid request data';
+        errorInfo.type = 'validation_error';
+        break;
+      case 401:
+        errorInfo.message = 'Authentication required. Please log in again.';
+        errorInfo.type = 'auth_error';
+        break;
+      case 403:
+        errorInfo.message = serverMessage || 'Access forbidden';
+        errorInfo.type = 'forbidden';
+        break;
+      case 404:
+        errorInfo.message = serverMessage || 'Resource not found';
+        errorInfo.type = 'not_found';
+        break;
+      case 409:
+        errorInfo.message = serverMessage || 'Conflict - resource already exists';
+        errorInfo.type = 'conflict_error';
+        break;
+      case 503:
+        errorInfo.message = 'Service temporarily unavailable. Please try again later.';
+        errorInfo.type = 'service_unavailable';
+        break;
+      default:
+        if (status >= 500) {
+          errorInfo.message = 'Server error. Please try again later.';
+          errorInfo.type = 'server_error';
+        } else {
+          errorInfo.message = serverMessage || statusText || `Server error (${status})`;
+        }
+        break;
+    }
+  } else if (axios.isCancel(error)) {
+    // Checked before error.request: cancelled requests carry one too
+    errorInfo.message = 'Request was cancelled';
+    errorInfo.type = 'aborted';
+  } else if (error.code === 'ECONNABORTED') {
+    errorInfo.message = 'Request timeout - please check your connection';
+    errorInfo.type = 'network_error';
+  } else if (error.request) {
+    errorInfo.message = 'Network error - please check your connection and try again';
+    errorInfo.type = 'network_error';
+  } else {
+    errorInfo.message = `Request setup error: ${error.message}`;
+    errorInfo.type = 'request_error';
+  }
+
+  return errorInfo;
+};
+
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  const { message, status, type, details } = parseErrorResponse(error);
+  return new ApiError(message, {
+    status,
+    type,
+    details,
+    requestId: error.config?.requestId || null,
+    code: error.code,
+    response: error.response,
+    config: error.config
+  });
+};
+
+/**
+ * True when a request was cancelled through its AbortSignal, whether it went through
+ * the shared client (ApiError) or a bare fetch (DOMException 'AbortError')
+ */
+export const isAbortError = (error) =>
+  !!error && (error.isAborted || error.name === 'AbortError' || axios.isCancel(error));
+
+/**
+ * Stop waiting on a shared promise once the signal aborts, without cancelling the work itself.
+ * For deduplicated requests that other callers may still be waiting on.
+ * @param {Promise} promise - Shared in-flight work
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @returns {Promise} Settles like `promise`, or rejects with an aborted ApiError
+ */
+export const withAbortSignal = (promise, signal) => {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new ApiError('Request was cancelled', { type: 'aborted' }));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// ==============================
+// AUTH HEADERS
+// ==============================
+
+export const getAuthHeaders = () => {
+  const token = TokenManager.getToken();
+
+  return {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  };
+};
+
+const isCredentialRequest = (config) =>
+  CREDENTIAL_ENDPOINTS.some(endpoint => config?.url?.includes(endpoint));
+
+// Session is gone: clear stored auth and send the user back to login
+const handleSessionExpired = () => {
+  console.log('🚨 Session expired - clearing tokens');
+  cancelTokenRefresh();
+  TokenManager.clearAuth();
+  window.dispatchEvent(new CustomEvent('authSessionExpired'));
+
+  if (!window.location.pathname.includes('/login')) {
+    console.log('🔄 Redirecting to login...');
+    setTimeout(() => {
+      window.location.href = '/login';
+    }, 1000);
+  }
+};
+
+// ==============================
+// TOKEN REFRESH
+// ==============================
+
+// Bare client so the refresh call never goes through the refresh interceptors itself
+const refreshClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: REQUEST_TIMEOUT,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
-// Request interceptor - add auth headers
-API.interceptors.request.use(
-  (config) => {
-    const token = TokenManager.getToken();
-    
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-      
-      if (process.env.NODE_ENV === 'development') {
-        console.log('🚀 API Request:', {
+// In-flight refresh shared by every caller; requests wait on it instead of racing
+let refreshPromise = null;
+let refreshTimer = null;
+let lastRefreshFailureAt = 0;
+
+const isRefreshFatal = (error) => error.isAuthError || error.type === 'forbidden';
+
+// Tabs share one token, and the server revokes the old token on refresh, so only one tab may refresh at a time
+const REFRESH_LOCK = 'auth-token-refresh';
+
+const withRefreshLock = (task) => (typeof navigator !== 'undefined' && navigator.locks
+  ? navigator.locks.request(REFRESH_LOCK, task)
+  : task());
+
+/**
+ * Exchange the current token for a fresh one. Concurrent callers share one request.
+ * @returns {Promise<string>} The new token
+ */
+export const refreshSession = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const requestedWith = TokenManager.getToken();
+
+  refreshPromise = withRefreshLock(async () => {
+    const currentToken = TokenManager.getToken();
+    if (!currentToken) {
+      throw new ApiError('No session to refresh', { status: 401, type: 'auth_error' });
+    }
+
+    // Another tab rotated the token while this one waited for the lock
+    if (requestedWith && currentToken !== requestedWith) {
+      return currentToken;
+    }
+
+    try {
+      const response = await refreshClient.post(REFRESH_ENDPOINT, null, {
+        headers: { Authorization: `Bearer ${currentToken}` }
+      });
+
+      const newToken = response.data?.token;
+      if (!newToken) {
+        throw new ApiError('Token refresh returned no token', { status: 401, type: 'auth_error' });
+      }
+
+      TokenManager.setToken(newToken);
+      if (response.data.user) {
+        TokenManager.setUser({ ...TokenManager.getUser(), ...response.data.user });
+      }
+
+      if (isDevelopment) {
+        console.log('🔑 Token refreshed silently');
+      }
+
+      lastRefreshFailureAt = 0;
+      window.dispatchEvent(new CustomEvent('authTokenRefreshed', {
+        detail: { token: newToken, user: response.data.user || null }
+      }));
+      scheduleTokenRefresh();
+
+      return newToken;
+    } catch (error) {
+      lastRefreshFailureAt = Date.now();
+      throw toApiError(error);
+    }
+  }).finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+export const cancelTokenRefresh = () => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
+/**
+ * Schedule a silent refresh shortly before the stored token expires.
+ * Safe to call repeatedly; only one timer is kept.
+ */
+export const scheduleTokenRefresh = () => {
+  cancelTokenRefresh();
+
+  const timeToExpiry = TokenManager.getTimeToExpiry();
+  if (timeToExpiry === null) return;
+
+  const delay = Math.min(Math.max(timeToExpiry - TokenManager.REFRESH_THRESHOLD, 0), MAX_TIMER_DELAY);
+
+  refreshTimer = setTimeout(async () => {
+    refreshTimer = null;
+    try {
+      await refreshSession();
+    } catch (error) {
+      if (isRefreshFatal(error)) {
+        handleSessionExpired();
+      } else {
+        console.warn('⚠️ Scheduled token refresh failed, retrying shortly:', error.message);
+        refreshTimer = setTimeout(scheduleTokenRefresh, REFRESH_RETRY_DELAY);
+      }
+    }
+  }, delay);
+};
+
+// Refresh ahead of time when the token is about to expire, and hold requests while a refresh runs
+const ensureFreshToken = async (config) => {
+  if (config.url?.includes(REFRESH_ENDPOINT) || isCredentialRequest(config)) return;
+
+  const coolingDown = Date.now() - lastRefreshFailureAt < REFRESH_RETRY_DELAY;
+  if (!refreshPromise && (coolingDown || !TokenManager.needsRefresh())) return;
+
+  try {
+    await refreshSession();
+  } catch (error) {
+    // Send the request anyway; a 401 response decides whether the session is really over
+  }
+};
+
+// ==============================
+// CLIENT FACTORY
+// ==============================
+
+/**
+ * Create an axios client wired to the shared auth, logging and error handling
+ * @param {object} options
+ * @param {string} options.baseURL - Base URL for all requests (defaults to API_BASE_URL)
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {boolean} options.withAuth - Attach the bearer token and handle expired sessions
+ * @param {string} options.name - Label used in log output
+ * @returns {import('axios').AxiosInstance} Configured axios instance
+ */
+export const createApiClient = ({
+  baseURL = API_BASE_URL,
+  timeout = REQUEST_TIMEOUT,
+  withAuth = true,
+  name = 'API'
+} = {}) => {
+  const client = axios.create({
+    baseURL,
+    timeout,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  // Request interceptor - refresh if needed, then add auth headers
+  client.interceptors.request.use(
+    async (config) => {
+      if (withAuth) {
+        await ensureFreshToken(config);
+      }
+
+      config.requestId = Math.random().toString(36).substr(2, 9);
+      const token = withAuth ? TokenManager.getToken() : null;
+
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+
+      if (isDevelopment) {
+        console.log(`🚀 ${name} Request:`, {
+          requestId: config.requestId,
           method: config.method?.toUpperCase(),
           url: config.url,
-          hasAuth: !!token,
-          tokenLength: token.length
+          hasAuth: !!token
         });
       }
-    } else {
-      if (process.env.NODE_ENV === 'development') {
-        console.log('🚀 API Request (no auth):', {
-          method: config.method?.toUpperCase(),
-          url: config.url
+
+      return config;
+    },
+    (error) => {
+      console.error(`❌ ${name} request interceptor error:`, error);
+      return Promise.reject(toApiError(error));
+    }
+  );
+
+  // Response interceptor - retry once after a refresh on 401, normalize every failure into an ApiError
+  client.interceptors.response.use(
+    (response) => {
+      if (isDevelopment) {
+        console.log(`✅ ${name} Response:`, {
+          requestId: response.config.requestId,
+          status: response.status,
+          url: response.config.url,
+          success: response.data?.success
         });
       }
-    }
-    
-    return config;
-  },
-  (error) => {
-    console.error('❌ Request interceptor error:', error);
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor - handle auth errors PROPERLY
-API.interceptors.response.use(
-  (response) => {
-    if (process.env.NODE_ENV === 'development') {
-      console.log('✅ API Response:', {
-        status: response.status,
-        url: response.config.url,
-        success: response.data?.success
+      return response;
+    },
+    async (error) => {
+      const apiError = toApiError(error);
+      const config = error.config;
+
+      if (apiError.isAborted) {
+        if (isDevelopment) console.log(`🛑 ${name} request cancelled:`, config?.url);
+        return Promise.reject(apiError);
+      }
+
+      console.error(`❌ ${name} Response Error:`, {
+        requestId: apiError.requestId,
+        status: apiError.status,
+        type: apiError.type,
+        url: config?.url,
+        method: config?.method?.toUpperCase(),
+        message: apiError.message
       });
-    }
-    return response;
-  },
-  (error) => {
-    const status = error.response?.status;
-    const config = error.config;
-    const data = error.response?.data;
-    
-    console.error('❌ API Response Error:', {
-      status,
-      url: config?.url,
-      method: config?.method?.toUpperCase(),
-      message: data?.message || error.message,
-      authError: data?.authError
-    });
-    
-    // ONLY redirect on ACTUAL authentication errors
-    // Don't redirect on successful responses or other errors
-    if (status === 401 && data?.message?.toLowerCase().includes('unauthorized')) {
-      console.log('🚨 Actual auth error detected - clearing tokens');
-      TokenManager.clearAuth();
-      
-      // Add the authError flag to the error object
-      error.isAuthError = true;
-      
-      // Only redirect if not already on login page
-      if (!window.location.pathname.includes('/login')) {
-        console.log('🔄 Redirecting to login...');
-        setTimeout(() => {
-          window.location.href = '/login';
-        }, 1000);
+
+      if (withAuth && apiError.status === 401 && !config?.skipAuthRedirect && !isCredentialRequest(config)) {
+        if (!config._retriedAfterRefresh) {
+          config._retriedAfterRefresh = true;
+          try {
+            await refreshSession();
+            return client.request(config);
+          } catch (refreshError) {
+            if (!isRefreshFatal(refreshError)) {
+              return Promise.reject(apiError);
+            }
+          }
+        }
+
+        handleSessionExpired();
       }
+
+      return Promise.reject(apiError);
     }
-    
-    // Handle network errors
-    if (!error.response) {
-      console.error('🌐 Network error - server may be down');
-      error.message = 'Network error - please check your connection and try again';
-    }
-    
-    return Promise.reject(error);
+  );
+
+  return client;
+};
+
+// Default client for the main backend
+const API = createApiClient();
+
+/**
+ * Positional request helper used by the resource API modules
+ * @param {string} method - HTTP method
+ * @param {string} url - Path relative to API_BASE_URL
+ * @param {object} data - Request body (POST/PUT/PATCH only)
+ * @param {object} params - Query parameters
+ * @param {object} options - Extra axios config (timeout, signal, headers...)
+ * @returns {Promise<import('axios').AxiosResponse>} Raw axios response
+ */
+export const apiRequest = (method, url, data = null, params = null, options = {}) => {
+  const config = {
+    method: method.toLowerCase(),
+    url,
+    ...options
+  };
+
+  if (params) config.params = params;
+  if (data && ['post', 'put', 'patch'].includes(config.method)) {
+    config.data = data;
   }
-);
+
+  return API.request(config);
+};
 
 // Helper function to check API health
 export const checkApiHealth = async () => {
@@ -110,7 +479,7 @@ export const checkApiHealth = async () => {
     return {
       success: false,
       error: error.message,
-      status: error.response?.status
+      status: error.status
     };
   }
 };
@@ -118,7 +487,7 @@ export const checkApiHealth = async () => {
 // Helper function to test authentication
 export const testAuth = async () => {
   try {
-    const response = await API.get('/auth/verify');
+    const response = await API.get('/auth/verify', { skipAuthRedirect: true });
     return {
       success: true,
       data: response.data,
@@ -128,7 +497,7 @@ export const testAuth = async () => {
     return {
       success: false,
       error: error.message,
-      status: error.response?.status,
+      status: error.status,
       authenticated: false
     };
   }
@@ -137,22 +506,22 @@ export const testAuth = async () => {
 // Helper function to verify token before making requests
 export const verifyTokenBeforeRequest = () => {
   const token = TokenManager.getToken();
-  
+
   if (!token) {
     console.log('❌ No token found - user needs to login');
     return false;
   }
-  
+
   // Check if user data exists
   const user = TokenManager.getUser();
   if (!user) {
     console.log('❌ No user data found - incomplete authentication');
     return false;
   }
-  
+
   const validation = TokenManager.validateToken(token);
-  
-  if (process.env.NODE_ENV === 'development') {
+
+  if (isDevelopment) {
     console.log('🔍 Token validation:', {
       valid: validation.valid,
       reason: validation.reason,
@@ -160,7 +529,7 @@ export const verifyTokenBeforeRequest = () => {
       user: user.name || user.email
     });
   }
-  
+
   // Allow request even if token is expired - let backend handle it
   // Backend will return proper 401 if token is truly invalid
   return !!token;
@@ -0,0 +1,171 @@
+// src/api/attachmentApi.js - Receipt images and PDFs kept on transactions and split expenses
+import { apiRequest as makeRequest } from './api';
+import { invalidateTransactionQueries } from './queryClient';
+import { createThumbnail, saveBlob, validateAttachmentFile } from '../utils/attachments';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [AttachmentAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [AttachmentAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [AttachmentAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [AttachmentAPI] ${message}`, ...args);
+  }
+};
+
+export const ATTACHMENT_OWNER_TYPES = ['transaction', 'splitExpense'];
+
+// Owners carry a summary of their receipts, so cached lists need refetching after a change
+const refreshOwner = (ownerType, ownerId) => {
+  if (ownerType !== 'transaction') return;
+  window.dispatchEvent(new CustomEvent('transactionUpdated', {
+    detail: { action: 'attachments', transactionId: ownerId }
+  }));
+  invalidateTransactionQueries();
+};
+
+/**
+ * Attach a receipt to a transaction or split expense
+ * @param {string} ownerType - transaction or splitExpense
+ * @param {string} ownerId - Owner _id
+ * @param {File} file - Image or PDF
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Attachment (without the file bytes)
+ */
+export const uploadAttachment = async (ownerType, ownerId, file, options = {}) => {
+  if (!ATTACHMENT_OWNER_TYPES.includes(ownerType)) throw new Error(`Unknown attachment owner: ${ownerType}`);
+  if (!ownerId) throw new Error('Receipts can only be attached to saved records');
+  const invalid = validateAttachmentFile(file);
+  if (invalid) throw new Error(invalid);
+
+  try {
+    log.info(`Attaching ${file.name} to ${ownerType} ${ownerId}`);
+    const formData = new FormData();
+    formData.append('ownerType', ownerType);
+    formData.append('ownerId', ownerId);
+    const thumbnail = await createThumbnail(file);
+    if (thumbnail) formData.append('thumbnail', thumbnail);
+    formData.append('file', file);
+
+    const response = await makeRequest('POST', '/attachments', formData, null, {
+      ...options,
+      headers: { ...options.headers, 'Content-Type': 'multipart/form-data' }
+    });
+    const attachment = response.data?.attachment;
+    if (!attachment) throw new Error('Upload response had no attachment');
+
+    log.success(`Attached ${attachment.fileName}`);
+    refreshOwner(ownerType, ownerId);
+    return attachment;
+  } catch (error) {
+    log.error(`Failed to attach ${file.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List a record's receipts
+ * @param {string} ownerType - transaction or splitExpense
+ * @param {string} ownerId - Owner _id
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Attachments
+ */
+export const fetchAttachments = async (ownerType, ownerId, options = {}) => {
+  try {
+    const response = await makeRequest('GET', '/attachments', null, { ownerType, ownerId }, options);
+    const attachments = response.data?.attachments;
+    if (!Array.isArray(attachments)) {
+      log.warn('Attachments response had no list', response.data);
+      return [];
+    }
+    return attachments;
+  } catch (error) {
+    log.error(`Failed to fetch attachments for ${ownerType} ${ownerId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a receipt's full file
+ * @param {string} attachmentId - Attachment _id
+ * @param {object} options - Additional request options
+ * @returns {Promise<Blob>} File contents
+ */
+export const fetchAttachmentFile = async (attachmentId, options = {}) => {
+  try {
+    const response = await makeRequest('GET', `/attachments/${attachmentId}/file`, null, null, {
+      ...options,
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    log.error(`Failed to fetch attachment ${attachmentId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Save a receipt to the user's device
+ * @param {object} attachment - Attachment or summary ({ _id, fileName })
+ * @param {object} options - Additional request options
+ */
+export const downloadAttachment = async (attachment, options = {}) => {
+  const blob = await fetchAttachmentFile(attachment._id, options);
+  saveBlob(blob, attachment.fileName || 'receipt');
+};
+
+/**
+ * Remove a receipt
+ * @param {object} attachment - Attachment or summary; ownerType/ownerId refresh the owner's cache
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteAttachment = async (attachment, options = {}) => {
+  try {
+    log.info(`Removing attachment ${attachment._id}`);
+    const response = await makeRequest('DELETE', `/attachments/${attachment._id}`, null, null, options);
+    const removed = response.data?.attachment || attachment;
+    refreshOwner(removed.ownerType, removed.ownerId);
+    return true;
+  } catch (error) {
+    log.error(`Failed to remove attachment ${attachment._id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Download every receipt for the given transactions as one ZIP with a manifest
+ * @param {Array<string>} transactionIds - Transactions to include; omit for all
+ * @param {object} options - Additional request options
+ */
+export const exportReceipts = async (transactionIds, options = {}) => {
+  try {
+    log.info(`Exporting receipts for ${transactionIds ? transactionIds.length : 'all'} transactions`);
+    const response = await makeRequest('POST', '/attachments/export', transactionIds ? { transactionIds } : {}, null, {
+      ...options,
+      responseType: 'blob'
+    });
+    saveBlob(response.data, `receipts-${new Date().toISOString().slice(0, 10)}.zip`);
+    log.success('Receipts exported');
+  } catch (error) {
+    log.error('Failed to export receipts:', error);
+    throw error;
+  }
+};
+
+export default {
+  ATTACHMENT_OWNER_TYPES,
+  uploadAttachment,
+  fetchAttachments,
+  fetchAttachmentFile,
+  downloadAttachment,
+  deleteAttachment,
+  exportReceipts
+};
@@ -1,5 +1,5 @@
 // src/api/authApi.js - Enhanced with 2FA support (Fixed)
-import API from './api.js';
+import API, { refreshSession, withAbortSignal } from './api.js';
 
 // Debug logging utility
 const isDevelopment = process.env.NODE_ENV === 'development';
@@ -27,11 +27,12 @@ const debugLog = {
 
 // Centralized error handler
 const handleError = (message, error) => {
-  debugLog.error(message, error);
+  if (!error.isAborted) debugLog.error(message, error);
   const normalized = {
     status: error.response?.status,
     data: error.response?.data,
     code: error.code,
+    aborted: !!error.isAborted,
     message: error.response?.data?.error || error.response?.data?.message || error.message || message
   };
   throw normalized;
@@ -41,10 +42,10 @@ const handleError = (message, error) => {
 // USER ID MANAGEMENT
 // ==============================
 
-export const checkUserIdAvailability = async (userId) => {
+export const checkUserIdAvailability = async (userId, options = {}) => {
   try {
     debugLog.info('Checking User ID availability...', { userId });
-    const response = await API.post('/auth/check-userid', { userId });
+    const response = await API.post('/auth/check-userid', { userId }, options);
     debugLog.success('User ID availability checked', response.data);
     return response.data;
   } catch (error) {
@@ -52,13 +53,13 @@ export const checkUserIdAvailability = async (userId) => {
   }
 };
 
-export const suggestUserId = async (name, preferredUsername = null) => {
+export const suggestUserId = async (name, preferredUsername = null, options = {}) => {
   try {
     debugLog.info('Requesting User ID suggestion...', { name, preferredUsername });
     const response = await API.post('/auth/suggest-userid', {
       name,
       preferredUsername
-    });
+    }, options);
     debugLog.success('User ID suggestion received', response.data);
     return response.data;
   } catch (error) {
@@ -70,10 +71,10 @@ export const suggestUserId = async (name, preferredUsername = null) => {
 // EXISTING AUTH FUNCTIONS (Updated for compatibility)
 // ==============================
 
-export const register = async (userData) => {
+export const register = async (userData, options = {}) => {
   try {
     debugLog.info('Registering new user (traditional)...', { ...userData, password: '[HIDDEN]' });
-    const response = await API.post('/auth/register', userData);
+    const response = await API.post('/auth/register', userData, options);
     
     // Save token immediately after successful registration
     if (response.data && response.data.token) {
@@ -90,10 +91,10 @@ export const register = async (userData) => {
   }
 };
 
-export const login = async (credentials) => {
+export const login = async (credentials, options = {}) => {
   try {
     debugLog.info('Logging in user...', { email: credentials.email });
-    const response = await API.post('/auth/login', credentials);
+    const response = await API.post('/auth/login', credentials, options);
     
     // Save token immediately after successful login
     if (response.data && response.data.token) {
@@ -118,10 +119,10 @@ export const login = async (credentials) => {
   }
 };
 
-export const getCurrentUser = async () => {
+export const getCurrentUser = async (options = {}) => {
   try {
     debugLog.info('Fetching current user...');
-    const response = await API.get('/auth/me');
+    const response = await API.get('/auth/me', options);
     debugLog.success('Current user fetched', response.data);
     return response.data;
   } catch (error) {
@@ -129,10 +130,10 @@ export const getCurrentUser = async () => {
   }
 };
 
-export const getUserProfile = async () => {
+export const getUserProfile = async (options = {}) => {
   try {
     debugLog.info('Fetching user profile...');
-    const response = await API.get('/auth/me');
+    const response = await API.get('/auth/me', options);
     debugLog.success('User profile fetched', response.data);
     return response.data;
   } catch (error) {
@@ -140,13 +141,13 @@ export const getUserProfile = async () => {
   }
 };
 
-export const logout = async () => {
+export const logout = async (options = {}) => {
   try {
     debugLog.info('Logging out user...');
     
     // Try to call server logout endpoint
     try {
-      const response = await API.post('/auth/logout');
+      const response = await API.post('/auth/logout', null, options);
       debugLog.success('Server logout successful');
     } catch (serverError) {
       debugLog.error('Server logout failed, proceeding with local logout', serverError);
@@ -166,10 +167,10 @@ export const logout = async () => {
   }
 };
 
-export const changePassword = async (passwordData) => {
+export const changePassword = async (passwordData, options = {}) => {
   try {
     debugLog.info('Changing user password...');
-    const response = await API.put('/auth/change-password', passwordData);
+    const response = await API.put('/auth/change-password', passwordData, options);
     debugLog.success('Password changed successfully');
     return response.data;
   } catch (error) {
@@ -177,10 +178,10 @@ export const changePassword = async (passwordData) => {
   }
 };
 
-export const requestPasswordReset = async (email) => {
+export const requestPasswordReset = async (email, options = {}) => {
   try {
     debugLog.info('Requesting password reset...', { email });
-    const response = await API.post('/auth/forgot-password', { email });
+    const response = await API.post('/auth/forgot-password', { email }, options);
     debugLog.success('Password reset email sent');
     return response.data;
   } catch (error) {
@@ -188,10 +189,10 @@ export const requestPasswordReset = async (email) => {
   }
 };
 
-export const resetPassword = async (token, newPassword) => {
+export const resetPassword = async (token, newPassword, options = {}) => {
   try {
     debugLog.info('Resetting password with token...');
-    const response = await API.post('/auth/reset-password', { token, password: newPassword });
+    const response = await API.post('/auth/reset-password', { token, password: newPassword }, options);
     debugLog.success('Password reset successful');
     return response.data;
   } catch (error) {
@@ -199,10 +200,10 @@ export const resetPassword = async (token, newPassword) => {
   }
 };
 
-export const sendVerificationEmail = async () => {
+export const sendVerificationEmail = async (options = {}) => {
   try {
     debugLog.info('Sending verification email...');
-    const response = await API.post('/auth/send-verification');
+    const response = await API.post('/auth/send-verification', null, options);
     debugLog.success('Verification email sent');
     return response.data;
   } catch (error) {
@@ -210,10 +211,10 @@ export const sendVerificationEmail = async () => {
   }
 };
 
-export const verifyEmail = async (token) => {
+export const verifyEmail = async (token, options = {}) => {
   try {
     debugLog.info('Verifying email token...');
-    const response = await API.post('/auth/verify-email', { token });
+    const response = await API.post('/auth/verify-email', { token }, options);
     debugLog.success('Email verified');
     return response.data;
   } catch (error) {
@@ -221,27 +222,23 @@ export const verifyEmail = async (token) => {
   }
 };
 
-export const refreshToken = async () => {
+export const refreshToken = async (options = {}) => {
   try {
     debugLog.info('Refreshing auth token...');
-    const response = await API.post('/auth/refresh-token');
-    
-    // Update stored token if new one is provided - use consistent token key
-    if (response.data?.token) {
-      localStorage.setItem('authToken', response.data.token);
-    }
+    // Shares the client's in-flight refresh so a manual call never races the interceptor
+    const token = await withAbortSignal(refreshSession(), options.signal);
     
     debugLog.success('Token refreshed');
-    return response.data;
+    return { success: true, token };
   } catch (error) {
     handleError('Token refresh error', error);
   }
 };
 
-export const checkEmailExists = async (email) => {
+export const checkEmailExists = async (email, options = {}) => {
   try {
     debugLog.info('Checking if email exists...', { email });
-    const response = await API.post('/auth/check-email', { email });
+    const response = await API.post('/auth/check-email', { email }, options);
     debugLog.success('Email check completed');
     return response.data;
   } catch (error) {
@@ -249,10 +246,10 @@ export const checkEmailExists = async (email) => {
   }
 };
 
-export const updateProfile = async (profileData) => {
+export const updateProfile = async (profileData, options = {}) => {
   try {
     debugLog.info('Updating user profile...');
-    const response = await API.put('/auth/profile', profileData);
+    const response = await API.put('/auth/profile', profileData, options);
     
     // Update stored user data if profile update includes user info
     if (response.data?.user) {
@@ -268,10 +265,10 @@ export const updateProfile = async (profileData) => {
   }
 };
 
-export const deleteAccount = async (password) => {
+export const deleteAccount = async (password, options = {}) => {
   try {
     debugLog.info('Deleting user account...');
-    const response = await API.delete('/auth/account', { data: { password } });
+    const response = await API.delete('/auth/account', { ...options, data: { password } });
     
     // Clear local data after successful account deletion - use consistent token key
     localStorage.removeItem('authToken');
@@ -1,8 +1,9 @@
 // api/budgetApi.js - API functions for budget CRUD operations
-import axios from 'axios';
+import { apiRequest as makeRequest, getAuthHeaders, parseErrorResponse } from './api';
+import { invalidateBudgetQueries } from './queryClient';
+import { parseList } from './schemas';
+import { announceTrashed } from './trashApi';
 
-// API Configuration
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
 const DEBUG_MODE = process.env.NODE_ENV === 'development';
 
 // Enhanced logging utility
@@ -21,215 +22,12 @@ const log = {
   }
 };
 
-// Enhanced token retrieval with fallback options
-// Improved getAuthHeaders function for budgetApi.js and transactionApi.js
-const getAuthHeaders = () => {
-  // Try different token locations in order of preference
-  const token = localStorage.getItem('token') || 
-                localStorage.getItem('authToken') || 
-                sessionStorage.getItem('token') || 
-                sessionStorage.getItem('authToken');
-
-  if (!token) {
-    console.warn('No authentication token found');
-    throw new Error('No authentication token found. Please log in again.');
-  }
-
-  // Validate token format (basic JWT check)
-  const parts = token.split('.');
-  if (parts.length !== 3) {
-    console.error('Invalid token format');
-    localStorage.clear();
-    sessionStorage.clear();
-    throw new Error('Invalid token format. Please log in again.');
-  }
-
-  // Check if token is expired (client-side check)
-  try {
-    const payload = JSON.parse(atob(parts[1]));
-    const now = Math.floor(Date.now() / 1000);
-    
-    if (payload.exp && now > payload.exp) {
-      console.error('Token is expired');
-      localStorage.clear();
-      sessionStorage.clear();
-      throw new Error('Session expired. Please log in again.');
-    }
-  } catch (decodeError) {
-    console.warn('Could not decode token payload:', decodeError);
-    // Don't throw here as token might still be valid on server
-  }
-
-  return {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  };
-};
-
 // Helper: get current month if not provided
 const getCurrentMonth = () => {
   const now = new Date();
   return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
 };
 
-// Enhanced error parsing with specific handling for different status codes
-const parseErrorResponse = (error, context = '') => {
-  const errorInfo = {
-    context,
-    message: 'Unknown error occurred',
-    status: null,
-    details: null,
-    type: 'unknown'
-  };
-
-  if (error.response) {
-    // Server responded with error status
-    const { status, data, statusText } = error.response;
-    errorInfo.status = status;
-    errorInfo.type = 'server_error';
-    
-    // Try to extract meaningful error message
-    let serverMessage = '';
-    if (data) {
-      if (typeof data === 'string') {
-        serverMessage = data;
-      } else if (data.message) {
-        serverMessage = data.message;
-      } else if (data.error) {
-        serverMessage = typeof data.error === 'string' ? data.error : JSON.stringify(data.error);
-      } else if (data.errors && Array.isArray(data.errors)) {
-        serverMessage = data.errors.join(', ');
-      } else if (data.details) {
-        serverMessage = typeof data.details === 'string' ? data.details : JSON.stringify(data.details);
-      }
-    }
-
-    switch (status) {
-      case 400:
-        errorInfo.message = serverMessage || 'Invalid request data';
-        errorInfo.type = 'validation_error';
-        break;
-      case 401:
-        errorInfo.message = 'Authentication required. Please log in again.';
-        errorInfo.type = 'auth_error';
-        break;
-      case 403:
-        errorInfo.message = serverMessage || 'Access forbidden';
-        errorInfo.type = 'auth_error';
-        break;
-      case 404:
-        errorInfo.message = serverMessage || 'Resource not found';
-        errorInfo.type = 'not_found';
-        break;
-      case 409:
-        errorInfo.message = serverMessage || 'Conflict - resource already exists';
-        errorInfo.type = 'conflict_error';
-        break;
-      case 422:
-        errorInfo.message = serverMessage || 'Validation error';
-        errorInfo.type = 'validation_error';
-        break;
-      case 500:
-        errorInfo.message = 'Server error. Please try again later.';
-        errorInfo.details = serverMessage;
-        errorInfo.type = 'server_error';
-        break;
-      case 503:
-        errorInfo.message = 'Service temporarily unavailable. Please try again later.';
-        errorInfo.type = 'service_unavailable';
-        break;
-      default:
-        errorInfo.message = serverMessage || statusText || `Server error (${status})`;
-        break;
-    }
-    
-    errorInfo.details = data;
-  } else if (error.request) {
-    // Request made but no response received
-    errorInfo.message = 'Network error. Please check your connection and try again.';
-    errorInfo.type = 'network_error';
-    errorInfo.details = {
-      request: {
-        url: error.config?.url,
-        method: error.config?.method,
-        timeout: error.code === 'ECONNABORTED'
-      }
-    };
-  } else {
-    // Something else went wrong
-    errorInfo.message = `Request setup error: ${error.message}`;
-    errorInfo.type = 'request_error';
-  }
-
-  return errorInfo;
-};
-
-// Enhanced API request wrapper
-const makeRequest = async (method, url, data = null, params = null, options = {}) => {
-  const fullUrl = url.startsWith('http') ? url : `${API_BASE_URL}${url}`;
-  const requestId = Math.random().toString(36).substr(2, 9);
-  
-  log.info(`[${requestId}] Starting ${method.toUpperCase()} request to: ${fullUrl}`);
-  if (params) log.info(`[${requestId}] Query params:`, params);
-  if (data) log.info(`[${requestId}] Request data:`, data);
-
-  const config = {
-    method: method.toLowerCase(),
-    url: fullUrl,
-    headers: getAuthHeaders(),
-    timeout: options.timeout || 15000, // 15 second timeout
-    ...options
-  };
-
-  if (params) config.params = params;
-  if (data && ['post', 'put', 'patch'].includes(method.toLowerCase())) {
-    config.data = data;
-  }
-
-  try {
-    const startTime = Date.now();
-    const response = await axios(config);
-    const duration = Date.now() - startTime;
-    
-    log.success(`[${requestId}] ${method.toUpperCase()} request successful (${duration}ms):`, {
-      status: response.status,
-      dataSize: JSON.stringify(response.data).length
-    });
-    
-    return response;
-  } catch (error) {
-    const errorInfo = parseErrorResponse(error, `${method.toUpperCase()} ${fullUrl}`);
-    
-    log.error(`[${requestId}] ${method.toUpperCase()} request failed:`, {
-      ...errorInfo,
-      url: fullUrl,
-      params,
-      requestData: data
-    });
-
-    // Handle auth errors
-    if (errorInfo.type === 'auth_error') {
-      // Clear tokens and potentially redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('authToken');
-      sessionStorage.removeItem('token');
-      sessionStorage.removeItem('authToken');
-      
-      // You can dispatch a logout action here if using Redux
-      // store.dispatch(logout());
-    }
-
-    // Create enhanced error object
-    const enhancedError = new Error(errorInfo.message);
-    enhancedError.type = errorInfo.type;
-    enhancedError.status = errorInfo.status;
-    enhancedError.details = errorInfo.details;
-    enhancedError.requestId = requestId;
-    
-    throw enhancedError;
-  }
-};
-
 // Budget API functions with enhanced error handling
 
 /**
@@ -250,39 +48,8 @@ export const fetchBudgets = async (month = null, options = {}) => {
 
     const response = await makeRequest('GET', '/budgets', null, { month: safeMonth }, options);
     
-    // Handle different response structures
-    let budgets = [];
-    if (response.data) {
-      if (Array.isArray(response.data.data)) {
-        budgets = response.data.data;
-      } else if (Array.isArray(response.data)) {
-        budgets = response.data;
-      } else if (response.data.budgets && Array.isArray(response.data.budgets)) {
-        budgets = response.data.budgets;
-      }
-    }
-
-    // Validate and sanitize budget data
-    const validatedBudgets = budgets.map((budget, index) => {
-      try {
-        return {
-          _id: budget._id || budget.id || `temp-${index}`,
-          id: budget.id || budget._id || `temp-${index}`,
-          category: budget.category || 'Unknown Category',
-          type: budget.type || 'expense',
-          monthlyLimit: Number(budget.monthlyLimit) || 0,
-          spent: Number(budget.spent) || 0,
-          month: budget.month || safeMonth,
-          color: budget.color || '#3B82F6',
-          description: budget.description || '',
-          createdAt: budget.createdAt || new Date().toISOString(),
-          updatedAt: budget.updatedAt || new Date().toISOString()
-        };
-      } catch (err) {
-        log.warn(`Invalid budget data at index ${index}:`, budget, err);
-        return null;
-      }
-    }).filter(Boolean);
+    // Malformed budgets are reported by the schema layer and left out
+    const validatedBudgets = parseList('budget', response.data, { source: 'GET /budgets' });
 
     log.success(`Successfully fetched ${validatedBudgets.length} budgets for ${safeMonth}`);
     return validatedBudgets;
@@ -329,6 +96,7 @@ export const createBudget = async (budgetData, options = {}) => {
     
     const createdBudget = response.data?.data || response.data;
     log.success('Budget created successfully:', createdBudget);
+    invalidateBudgetQueries();
     
     return createdBudget;
 
@@ -383,6 +151,7 @@ export const updateBudgetApi = async (budgetId, budgetData, options = {}) => {
     
     const updatedBudget = response.data?.data || response.data;
     log.success('Budget updated successfully:', updatedBudget);
+    invalidateBudgetQueries();
     
     return updatedBudget;
 
@@ -393,7 +162,7 @@ export const updateBudgetApi = async (budgetId, budgetData, options = {}) => {
 };
 
 /**
- * Delete a budget
+ * Move a budget to the trash
  * @param {string} budgetId - Budget ID
  * @param {object} options - Additional request options
  * @returns {Promise<boolean>} Success status
@@ -406,9 +175,11 @@ export const deleteBudgetApi = async (budgetId, options = {}) => {
       throw new Error('Budget ID is required');
     }
 
-    await makeRequest('DELETE', `/budgets/${budgetId}`, null, null, options);
+    const response = await makeRequest('DELETE', `/budgets/${budgetId}`, null, null, options);
     
-    log.success(`Budget ${budgetId} deleted successfully`);
+    log.success(`Budget ${budgetId} moved to the trash`);
+    invalidateBudgetQueries();
+    announceTrashed([response.data?.trashId], 'Budget deleted');
     return true;
 
   } catch (error) {
@@ -445,6 +216,7 @@ export const updateBudgetSpent = async (budgetId, spentAmount, options = {}) =>
     
     const updatedBudget = response.data?.data || response.data;
     log.success('Budget spent amount updated successfully:', updatedBudget);
+    invalidateBudgetQueries();
     
     return updatedBudget;
 
@@ -512,6 +284,7 @@ export const bulkUpdateBudgets = async (budgetUpdates, options = {}) => {
     
     const updatedBudgets = response.data?.data || response.data || [];
     log.success(`Successfully bulk updated ${updatedBudgets.length} budgets`);
+    invalidateBudgetQueries();
     
     return updatedBudgets;
 
@@ -586,10 +359,10 @@ export const searchBudgets = async (searchCriteria = {}, options = {}) => {
 
     const response = await makeRequest('GET', '/budgets/search', null, params, options);
     
-    const results = response.data?.data || response.data || [];
+    const results = parseList('budget', response.data, { source: 'GET /budgets/search' });
     log.success(`Found ${results.length} budgets matching criteria`);
     
-    return Array.isArray(results) ? results : [];
+    return results;
 
   } catch (error) {
     log.error('Failed to search budgets:', error);
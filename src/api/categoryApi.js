@@ -1,8 +1,9 @@
 // src/api/categoryApi.js - Enhanced version with better auth handling
-import axios from 'axios';
-import TokenManager from '../utils/tokenManager';
+import { apiRequest } from './api';
+import { invalidateCategoryQueries } from './queryClient';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+const MAX_RETRIES = 2;
+const RETRYABLE_ERROR_TYPES = ['network_error', 'server_error', 'service_unavailable'];
 
 // Enhanced logging utility
 const log = {
@@ -24,130 +25,37 @@ const log = {
   }
 };
 
-// Get auth headers with validation using TokenManager
-const getAuthHeaders = () => {
-  const token = TokenManager.getToken();
-  
-  if (!token) {
-    log.warn('No authentication token found');
-    return { 'Content-Type': 'application/json' };
-  }
-
-  // Basic token validation (check if it's not empty and looks like a JWT)
-  if (token.length < 10 || !token.includes('.')) {
-    log.warn('Token appears to be invalid format');
-    return { 'Content-Type': 'application/json' };
-  }
-
-  return {
-    Authorization: `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  };
-};
-
-// Enhanced error handler that properly categorizes errors
-const handleApiError = (error, url, requestId) => {
-  const status = error.response?.status;
-  const message = error.response?.data?.error || error.message;
-  
-  log.error(`[${requestId}] Request failed:`, {
-    url,
-    status,
-    message,
-    type: error.name
-  });
-
-  // Handle different types of errors
-  if (status === 401) {
-    log.warn('Authentication error - token may be expired');
-    // Clear potentially invalid tokens using TokenManager
-    TokenManager.clearAuth();
-    throw new Error(`Authentication failed: ${message}`);
-  }
-  
-  if (status === 403) {
-    throw new Error(`Access denied: ${message}`);
-  }
-  
-  if (status === 404) {
-    throw new Error(`Resource not found: ${message}`);
-  }
-  
-  if (status === 409) {
-    throw new Error(`Conflict: ${message}`);
-  }
-  
-  if (status >= 500) {
-    throw new Error(`Server error: ${message}`);
-  }
-  
-  if (error.code === 'ECONNABORTED') {
-    throw new Error('Request timeout - please check your connection');
-  }
-  
-  if (error.code === 'ERR_NETWORK') {
-    throw new Error('Network error - please check your internet connection');
-  }
-  
-  // Generic error
-  throw new Error(message || 'An unexpected error occurred');
-};
-
-// Enhanced API request wrapper with retry logic
-const makeRequest = async (method, url, data = null, params = null, retryCount = 0) => {
-  const fullUrl = url.startsWith('http') ? url : `${API_BASE_URL}${url}`;
-  const requestId = Math.random().toString(36).substr(2, 9);
-  
-  log.info(`[${requestId}] ${method.toUpperCase()} ${fullUrl}${retryCount > 0 ? ` (retry ${retryCount})` : ''}`);
-  if (params) log.info(`[${requestId}] Params:`, params);
-  if (data) log.info(`[${requestId}] Data:`, data);
-
-  const config = {
-    method: method.toLowerCase(),
-    url: fullUrl,
-    headers: getAuthHeaders(),
-    timeout: 15000,
-  };
-
-  if (params) config.params = params;
-  if (data && ['post', 'put', 'patch'].includes(method.toLowerCase())) {
-    config.data = data;
-  }
-
+// Request wrapper with retry logic for network and server errors (never auth errors or cancellations)
+const makeRequest = async (method, url, data = null, params = null, options = {}, retryCount = 0) => {
   try {
-    const startTime = Date.now();
-    const response = await axios(config);
-    const duration = Date.now() - startTime;
-    
-    log.success(`[${requestId}] Success (${duration}ms)`, { 
-      status: response.status, 
-      dataLength: JSON.stringify(response.data || {}).length 
-    });
-    return response;
-    
+    return await apiRequest(method, url, data, params, options);
   } catch (error) {
-    // Retry logic for network errors (but not auth errors)
-    if (retryCount < 2 && 
-        (error.code === 'ECONNABORTED' || 
-         error.code === 'ERR_NETWORK' || 
-         (error.response?.status >= 500 && error.response?.status < 600))) {
-      
-      log.warn(`[${requestId}] Retrying request (attempt ${retryCount + 1})`);
+    if (retryCount < MAX_RETRIES && RETRYABLE_ERROR_TYPES.includes(error.type) && !options.signal?.aborted) {
+      log.warn(`Retrying ${method.toUpperCase()} ${url} (attempt ${retryCount + 1})`);
       await new Promise(resolve => setTimeout(resolve, Math.pow(2, retryCount) * 1000));
-      return makeRequest(method, url, data, params, retryCount + 1);
+      // An abort during the back-off makes the retry reject straight away with an aborted ApiError
+      return makeRequest(method, url, data, params, options, retryCount + 1);
     }
-    
-    handleApiError(error, fullUrl, requestId);
+
+    if (error.isAborted) throw error;
+
+    log.error(`${method.toUpperCase()} ${url} failed:`, {
+      requestId: error.requestId,
+      status: error.status,
+      type: error.type,
+      message: error.message
+    });
+    throw error;
   }
 };
 
 // Category API functions with enhanced error handling
 const CategoryAPI = {
   // List all categories with health check
-  list: async () => {
+  list: async (options = {}) => {
     try {
       log.info('Fetching categories list');
-      const response = await makeRequest('GET', '/categories');
+      const response = await makeRequest('GET', '/categories', null, null, options);
       
       let categories = [];
       if (response.data?.data && Array.isArray(response.data.data)) {
@@ -168,7 +76,7 @@ const CategoryAPI = {
   },
 
   // Create new category with validation
-  create: async (payload) => {
+  create: async (payload, options = {}) => {
     try {
       log.info('Creating category:', payload);
       
@@ -195,9 +103,10 @@ const CategoryAPI = {
         throw new Error('Monthly budget cannot be negative');
       }
 
-      const response = await makeRequest('POST', '/categories', cleanPayload);
+      const response = await makeRequest('POST', '/categories', cleanPayload, null, options);
       
       log.success('Category created successfully');
+      invalidateCategoryQueries();
       return response.data?.data || response.data;
     } catch (error) {
       log.error('Failed to create category:', error.message);
@@ -206,7 +115,7 @@ const CategoryAPI = {
   },
 
   // Update category with validation
-  update: async (id, payload) => {
+  update: async (id, payload, options = {}) => {
     try {
       log.info(`Updating category ${id}:`, payload);
       
@@ -249,9 +158,10 @@ const CategoryAPI = {
         throw new Error('No valid update data provided');
       }
 
-      const response = await makeRequest('PUT', `/categories/${id}`, cleanPayload);
+      const response = await makeRequest('PUT', `/categories/${id}`, cleanPayload, null, options);
       
       log.success('Category updated successfully');
+      invalidateCategoryQueries();
       return response.data?.data || response.data;
     } catch (error) {
       log.error('Failed to update category:', error.message);
@@ -260,7 +170,7 @@ const CategoryAPI = {
   },
 
   // Remove (archive) category
-  remove: async (id) => {
+  remove: async (id, options = {}) => {
     try {
       log.info(`Removing category ${id}`);
       
@@ -268,9 +178,10 @@ const CategoryAPI = {
         throw new Error('Valid category ID is required');
       }
 
-      const response = await makeRequest('DELETE', `/categories/${id}`);
+      const response = await makeRequest('DELETE', `/categories/${id}`, null, null, options);
       
       log.success('Category removed successfully');
+      invalidateCategoryQueries();
       return response.data?.data || response.data;
     } catch (error) {
       log.error('Failed to remove category:', error.message);
@@ -279,7 +190,7 @@ const CategoryAPI = {
   },
 
   // Get category insights with fallback handling
-  insights: async (month) => {
+  insights: async (month, options = {}) => {
     try {
       log.info(`Fetching category insights for month: ${month}`);
       
@@ -287,7 +198,7 @@ const CategoryAPI = {
         throw new Error('Month parameter is required in YYYY-MM format');
       }
 
-      const response = await makeRequest('GET', '/categories/insights', null, { month });
+      const response = await makeRequest('GET', '/categories/insights', null, { month }, options);
       
       const data = response.data || {};
       const insights = data.insights || [];
@@ -305,7 +216,7 @@ const CategoryAPI = {
       log.error('Failed to fetch category insights:', error.message);
       
       // For server errors, return empty structure to prevent UI crashes
-      if (error.message.includes('Server error')) {
+      if (error.status >= 500) {
         log.warn('Server error - returning empty insights to prevent UI crash');
         return {
           insights: [],
@@ -320,7 +231,7 @@ const CategoryAPI = {
   },
 
   // Suggest category based on description with graceful failure
-  suggest: async (description) => {
+  suggest: async (description, options = {}) => {
     try {
       log.info(`Getting category suggestion for: "${description}"`);
       
@@ -328,7 +239,7 @@ const CategoryAPI = {
         throw new Error('Description is required and must be a string');
       }
 
-      const response = await makeRequest('GET', '/categories/suggest', null, { description });
+      const response = await makeRequest('GET', '/categories/suggest', null, { description }, options);
       
       const suggestion = response.data?.suggestion || null;
       
@@ -349,10 +260,10 @@ const CategoryAPI = {
   },
 
   // Health check method for testing authentication
-  healthCheck: async () => {
+  healthCheck: async (options = {}) => {
     try {
       log.info('Performing health check');
-      const response = await makeRequest('GET', '/categories/health');
+      const response = await makeRequest('GET', '/categories/health', null, null, options);
       log.success('Health check passed');
       return response.data;
     } catch (error) {
@@ -0,0 +1,171 @@
+// src/api/categoryRuleApi.js - API functions for auto-categorisation rules
+import { apiRequest as makeRequest } from './api';
+import { invalidateCategoryQueries, invalidateTransactionQueries } from './queryClient';
+import { parseList, parseItem } from './schemas';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [CategoryRuleAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [CategoryRuleAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [CategoryRuleAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [CategoryRuleAPI] ${message}`, ...args);
+  }
+};
+
+const MAX_NAME_LENGTH = 60;
+
+const validateRule = (rule, partial = false) => {
+  if (!partial || rule.name !== undefined) {
+    const name = String(rule.name || '').trim();
+    if (!name) throw new Error('Rule name is required');
+    if (name.length > MAX_NAME_LENGTH) throw new Error(`Rule name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  const { minAmount = null, maxAmount = null } = rule.conditions || {};
+  if (minAmount !== null && maxAmount !== null && Number(minAmount) > Number(maxAmount)) {
+    throw new Error('The lowest amount must not be above the highest');
+  }
+};
+
+/**
+ * Fetch the user's rules in the order they apply
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Rules
+ */
+export const fetchCategoryRules = async (options = {}) => {
+  try {
+    log.info('Fetching category rules');
+    const response = await makeRequest('GET', '/category-rules', null, null, options);
+    return parseList('categoryRule', response.data, { source: 'GET /category-rules' });
+  } catch (error) {
+    log.error('Failed to fetch category rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a rule; it applies after the existing ones
+ * @param {object} rule - { name, enabled, conditions, actions }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Created rule
+ */
+export const createCategoryRule = async (rule, options = {}) => {
+  validateRule(rule);
+
+  try {
+    log.info('Creating category rule:', rule.name);
+    const response = await makeRequest('POST', '/category-rules', {
+      ...rule,
+      name: String(rule.name).trim()
+    }, null, options);
+    const created = parseItem('categoryRule', response.data, { source: 'POST /category-rules' });
+    log.success('Category rule created', created);
+    invalidateCategoryQueries();
+    return created;
+  } catch (error) {
+    log.error('Failed to create category rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change a rule, or switch it on or off. Transactions it already changed are left as they are.
+ * @param {string} id - Rule ID
+ * @param {object} changes - Fields to change; conditions and actions are merged into the rule's own
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated rule
+ */
+export const updateCategoryRule = async (id, changes, options = {}) => {
+  if (!id) throw new Error('Rule ID is required');
+  validateRule(changes, true);
+
+  try {
+    log.info(`Updating category rule ${id}:`, changes);
+    const response = await makeRequest('PUT', `/category-rules/${id}`, changes, null, options);
+    const updated = parseItem('categoryRule', response.data, { source: `PUT /category-rules/${id}` });
+    invalidateCategoryQueries();
+    return updated;
+  } catch (error) {
+    log.error(`Failed to update category rule ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Set the order rules apply in
+ * @param {Array<string>} ids - Rule IDs, first to apply first
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Rules in their new order
+ */
+export const reorderCategoryRules = async (ids, options = {}) => {
+  try {
+    log.info('Reordering category rules');
+    const response = await makeRequest('POST', '/category-rules/reorder', { ids }, null, options);
+    invalidateCategoryQueries();
+    return parseList('categoryRule', response.data, { source: 'POST /category-rules/reorder' });
+  } catch (error) {
+    log.error('Failed to reorder category rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a rule. Transactions it already changed are left as they are.
+ * @param {string} id - Rule ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteCategoryRule = async (id, options = {}) => {
+  if (!id) throw new Error('Rule ID is required');
+
+  try {
+    log.info(`Deleting category rule ${id}`);
+    await makeRequest('DELETE', `/category-rules/${id}`, null, null, options);
+    invalidateCategoryQueries();
+    return true;
+  } catch (error) {
+    log.error(`Failed to delete category rule ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Re-run rules over transactions already in the ledger
+ * @param {object} run - { ruleIds: only these (category keywords are then left out), overwrite:
+ *   replace categories and accounts already chosen, dryRun: only report what would change, from, to }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { count, changes: [{ transactionId, title, date, changes, previous, rules }] }
+ *   where changes lists the most recent ones
+ */
+export const runCategoryRules = async ({ ruleIds = null, overwrite = false, dryRun = false, from = null, to = null } = {}, options = {}) => {
+  try {
+    log.info(`${dryRun ? 'Previewing' : 'Running'} category rules`, { ruleIds, overwrite, from, to });
+    const response = await makeRequest('POST', '/category-rules/run', { ruleIds, overwrite, dryRun, from, to }, null, options);
+    const changes = Array.isArray(response.data?.changes) ? response.data.changes : [];
+    if (!dryRun) {
+      log.success(`Category rules updated ${response.data?.count || 0} transaction(s)`);
+      invalidateTransactionQueries();
+      window.dispatchEvent(new CustomEvent('transactionUpdated', { detail: { action: 'rules-applied' } }));
+    }
+    return { count: Number(response.data?.count) || 0, changes };
+  } catch (error) {
+    log.error('Failed to run category rules:', error);
+    throw error;
+  }
+};
+
+export default {
+  fetchCategoryRules,
+  createCategoryRule,
+  updateCategoryRule,
+  reorderCategoryRules,
+  deleteCategoryRule,
+  runCategoryRules
+};
@@ -1,12 +1,13 @@
 // api/expenseApi.js - Expense Management API Functions
 
 import API from './api';
+import { announceTrashed } from './trashApi';
 
 // Create split expense
-export const createSplitExpense = async (expenseData) => {
+export const createSplitExpense = async (expenseData, options = {}) => {
   try {
     console.log('💸 Creating split expense...');
-    const response = await API.post('/split-expenses', expenseData);
+    const response = await API.post('/split-expenses', expenseData, options);
     console.log('✅ Split expense created:', response.data);
     return response.data;
   } catch (error) {
@@ -16,10 +17,10 @@ export const createSplitExpense = async (expenseData) => {
 };
 
 // Get user's expenses
-export const getUserExpenses = async () => {
+export const getUserExpenses = async (options = {}) => {
   try {
     console.log('💰 Fetching user expenses...');
-    const response = await API.get('/expenses');
+    const response = await API.get('/expenses', options);
     console.log('✅ Expenses fetched:', response.data);
     return response.data;
   } catch (error) {
@@ -29,10 +30,10 @@ export const getUserExpenses = async () => {
 };
 
 // Get expense by ID
-export const getExpenseById = async (expenseId) => {
+export const getExpenseById = async (expenseId, options = {}) => {
   try {
     console.log('📋 Fetching expense by ID:', expenseId);
-    const response = await API.get(`/expenses/${expenseId}`);
+    const response = await API.get(`/expenses/${expenseId}`, options);
     console.log('✅ Expense fetched:', response.data);
     return response.data;
   } catch (error) {
@@ -42,10 +43,10 @@ export const getExpenseById = async (expenseId) => {
 };
 
 // Update expense
-export const updateExpense = async (expenseId, expenseData) => {
+export const updateExpense = async (expenseId, expenseData, options = {}) => {
   try {
     console.log('✏️ Updating expense:', expenseId);
-    const response = await API.put(`/expenses/${expenseId}`, expenseData);
+    const response = await API.put(`/expenses/${expenseId}`, expenseData, options);
     console.log('✅ Expense updated:', response.data);
     return response.data;
   } catch (error) {
@@ -55,11 +56,12 @@ export const updateExpense = async (expenseId, expenseData) => {
 };
 
 // Delete expense
-export const deleteExpense = async (expenseId) => {
+export const deleteExpense = async (expenseId, options = {}) => {
   try {
     console.log('🗑️ Deleting expense:', expenseId);
-    const response = await API.delete(`/expenses/${expenseId}`);
+    const response = await API.delete(`/expenses/${expenseId}`, options);
     console.log('✅ Expense deleted:', response.data);
+    announceTrashed([response.data?.trashId], 'Expense deleted');
     return response.data;
   } catch (error) {
     console.error('❌ Error deleting expense:', error.response?.data || error.message);
@@ -68,13 +70,14 @@ export const deleteExpense = async (expenseId) => {
 };
 
 // Scan bill image for amount detection
-export const scanBill = async (billFile) => {
+export const scanBill = async (billFile, options = {}) => {
   try {
     console.log('🔍 Scanning bill image...');
     const formData = new FormData();
     formData.append('bill', billFile);
     
     const response = await API.post('/expenses/scan-bill', formData, {
+      ...options,
       headers: { 'Content-Type': 'multipart/form-data' }
     });
     console.log('✅ Bill scanned successfully:', response.data);
@@ -86,10 +89,10 @@ export const scanBill = async (billFile) => {
 };
 
 // Get expense categories
-export const getExpenseCategories = async () => {
+export const getExpenseCategories = async (options = {}) => {
   try {
     console.log('📂 Fetching expense categories...');
-    const response = await API.get('/expenses/categories');
+    const response = await API.get('/expenses/categories', options);
     console.log('✅ Categories fetched:', response.data);
     return response.data;
   } catch (error) {
@@ -99,10 +102,11 @@ export const getExpenseCategories = async () => {
 };
 
 // Get expense statistics
-export const getExpenseStats = async (timeRange = '30d') => {
+export const getExpenseStats = async (timeRange = '30d', options = {}) => {
   try {
     console.log('📊 Fetching expense statistics...');
     const response = await API.get('/expenses/stats', {
+      ...options,
       params: { range: timeRange }
     });
     console.log('✅ Stats fetched:', response.data);
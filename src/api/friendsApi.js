@@ -1,235 +1,146 @@
-// api/friendsApi.js - FIXED VERSION with Better Error Handling
-import API, { verifyTokenBeforeRequest } from './api.js';
-import TokenManager from '../utils/tokenManager.js';
+// api/friendsApi.js - Friends API built on the shared client
+import { apiRequest as makeRequest } from './api.js';
 
-// Helper function to handle API responses consistently
-const handleApiResponse = (operation) => async (response) => {
-  console.log(`👥 Friends API: ✅ ${operation} successful`);
-  return {
-    success: true,
-    ...response.data
-  };
-};
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
 
-// Helper function to handle API errors consistently  
-const handleApiError = (operation) => (error) => {
-  console.log(`👥 Friends API: ❌ ${operation} failed:`);
-  console.log(error.response?.data || { status: error.response?.status, message: error.message });
-  
-  const status = error.response?.status;
-  const data = error.response?.data;
-  
-  // Check for authentication errors
-  if (status === 401 || data?.authError) {
-    console.log('🚨 Auth error detected in friends API');
-    return {
-      success: false,
-      authError: true,
-      message: data?.message || 'Authentication failed',
-      status
-    };
-  }
-  
-  // Handle other errors
-  return {
-    success: false,
-    authError: false,
-    message: data?.message || error.message || `${operation} failed`,
-    status: status || 500
-  };
-};
-
-// Pre-request validation
-const validateRequest = (operation) => {
-  // Check if user is authenticated before making request
-  if (!verifyTokenBeforeRequest()) {
-    console.log(`❌ ${operation} - No valid authentication`);
-    return {
-      success: false,
-      authError: true,
-      message: 'Authentication required'
-    };
-  }
-  
-  // Check if user data exists
-  const user = TokenManager.getUser();
-  if (!user || !user._id) {
-    console.log(`❌ ${operation} - No user data found`);
-    return {
-      success: false,
-      authError: true,
-      message: 'User data not found - please log in again'
-    };
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [FriendsAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [FriendsAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [FriendsAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [FriendsAPI] ${message}`, ...args);
   }
-  
-  console.log(`🔐 ${operation} - Auth validated for user:`, user.email);
-  return { valid: true, user };
 };
 
-// Fetch user's friends
-export const fetchFriends = async () => {
+/**
+ * Fetch the user's friends
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Friends
+ */
+export const fetchFriends = async (options = {}) => {
   try {
-    console.log('👥 Friends API: 📞 Fetching friends...');
-    
-    // Validate authentication first
-    const validation = validateRequest('Fetch friends');
-    if (!validation.valid) {
-      return validation;
+    log.info('Fetching friends');
+    const response = await makeRequest('GET', '/friends', null, null, options);
+    const friends = response.data?.friends;
+    if (!Array.isArray(friends)) {
+      log.warn('Friends response had no friends list', response.data);
+      return [];
     }
-    
-    const response = await API.get('/friends');
-    return handleApiResponse('Fetch friends')(response);
-    
+    return friends;
   } catch (error) {
-    return handleApiError('Fetch friends')(error);
+    log.error('Failed to fetch friends:', error);
+    throw error;
   }
 };
 
-// Search for users
-export const searchUsers = async (query) => {
+/**
+ * Search for users to add as friends
+ * @param {string} query - Name or email fragment (at least 2 characters)
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Matching users
+ */
+export const searchUsers = async (query, options = {}) => {
+  if (!query || query.trim().length < 2) return [];
+
   try {
-    console.log('👥 Friends API: 🔍 Searching users:', query);
-    
-    // Validate authentication first
-    const validation = validateRequest('Search users');
-    if (!validation.valid) {
-      return validation;
-    }
-    
-    if (!query || query.trim().length < 2) {
-      return {
-        success: true,
-        users: [],
-        count: 0,
-        message: 'Query too short'
-      };
-    }
-    
-    const response = await API.get('/friends/search', {
-      params: { q: query.trim() }
-    });
-    
-    return handleApiResponse('Search users')(response);
-    
+    log.info('Searching users:', query);
+    const response = await makeRequest('GET', '/friends/search', null, { q: query.trim() }, options);
+    return Array.isArray(response.data?.users) ? response.data.users : [];
   } catch (error) {
-    return handleApiError('Search users')(error);
+    log.error('Failed to search users:', error);
+    throw error;
   }
 };
 
-// Add a friend
-export const addFriend = async (friendId) => {
+/**
+ * Add a friend
+ * @param {string} friendId - User ID of the new friend
+ * @param {object} options - Additional request options
+ * @returns {Promise<object|null>} Created friend
+ */
+export const addFriend = async (friendId, options = {}) => {
+  if (!friendId) throw new Error('Friend ID is required');
+
   try {
-    console.log('👥 Friends API: ➕ Adding friend:', friendId);
-    
-    // Validate authentication first
-    const validation = validateRequest('Add friend');
-    if (!validation.valid) {
-      return validation;
-    }
-    
-    if (!friendId) {
-      return {
-        success: false,
-        message: 'Friend ID is required'
-      };
-    }
-    
-    const response = await API.post('/friends/add', {
-      userId: friendId
-    });
-    
-    return handleApiResponse('Add friend')(response);
-    
+    log.info('Adding friend:', friendId);
+    const response = await makeRequest('POST', '/friends/add', { userId: friendId }, null, options);
+    log.success('Friend added:', friendId);
+    return response.data?.friend || null;
   } catch (error) {
-    return handleApiError('Add friend')(error);
+    log.error(`Failed to add friend ${friendId}:`, error);
+    throw error;
   }
 };
 
-// Remove a friend
-export const removeFriend = async (friendId) => {
+/**
+ * Remove a friend
+ * @param {string} friendId - Friend ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const removeFriend = async (friendId, options = {}) => {
+  if (!friendId) throw new Error('Friend ID is required');
+
   try {
-    console.log('👥 Friends API: ➖ Removing friend:', friendId);
-    
-    // Validate authentication first
-    const validation = validateRequest('Remove friend');
-    if (!validation.valid) {
-      return validation;
-    }
-    
-    if (!friendId) {
-      return {
-        success: false,
-        message: 'Friend ID is required'
-      };
-    }
-    
-    const response = await API.delete(`/friends/${friendId}`);
-    return handleApiResponse('Remove friend')(response);
-    
+    log.info('Removing friend:', friendId);
+    await makeRequest('DELETE', `/friends/${friendId}`, null, null, options);
+    return true;
   } catch (error) {
-    return handleApiError('Remove friend')(error);
+    log.error(`Failed to remove friend ${friendId}:`, error);
+    throw error;
   }
 };
 
-// Get friend suggestions
-export const getFriendSuggestions = async () => {
+/**
+ * Get friend suggestions
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Suggested users
+ */
+export const getFriendSuggestions = async (options = {}) => {
   try {
-    console.log('👥 Friends API: 💡 Getting friend suggestions...');
-    
-    // Validate authentication first
-    const validation = validateRequest('Get friend suggestions');
-    if (!validation.valid) {
-      return validation;
-    }
-    
-    const response = await API.get('/friends/suggestions');
-    return handleApiResponse('Get friend suggestions')(response);
-    
+    const response = await makeRequest('GET', '/friends/suggestions', null, null, options);
+    return Array.isArray(response.data?.suggestions) ? response.data.suggestions : [];
   } catch (error) {
-    return handleApiError('Get friend suggestions')(error);
+    log.error('Failed to fetch friend suggestions:', error);
+    throw error;
   }
 };
 
-// Get friend details
-export const getFriendDetails = async (friendId) => {
+/**
+ * Get a friend's details
+ * @param {string} friendId - Friend ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<object|null>} Friend
+ */
+export const getFriendDetails = async (friendId, options = {}) => {
+  if (!friendId) throw new Error('Friend ID is required');
+
   try {
-    console.log('👥 Friends API: 👤 Getting friend details:', friendId);
-    
-    // Validate authentication first
-    const validation = validateRequest('Get friend details');
-    if (!validation.valid) {
-      return validation;
-    }
-    
-    if (!friendId) {
-      return {
-        success: false,
-        message: 'Friend ID is required'
-      };
-    }
-    
-    const response = await API.get(`/friends/${friendId}`);
-    return handleApiResponse('Get friend details')(response);
-    
+    const response = await makeRequest('GET', `/friends/${friendId}`, null, null, options);
+    return response.data?.friend || null;
   } catch (error) {
-    return handleApiError('Get friend details')(error);
+    log.error(`Failed to fetch friend ${friendId}:`, error);
+    throw error;
   }
 };
 
-// Debug function to test authentication
-export const testFriendsAuth = async () => {
+/**
+ * Debug helper: ask the server how it sees the current session
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Server auth report
+ */
+export const testFriendsAuth = async (options = {}) => {
   try {
-    console.log('👥 Friends API: 🔧 Testing authentication...');
-    
-    const validation = validateRequest('Test auth');
-    if (!validation.valid) {
-      return validation;
-    }
-    
-    const response = await API.get('/friends/debug/auth');
-    return handleApiResponse('Test auth')(response);
-    
+    const response = await makeRequest('GET', '/friends/debug/auth', null, null, options);
+    return response.data;
   } catch (error) {
-    return handleApiError('Test auth')(error);
+    log.error('Friends auth check failed:', error);
+    throw error;
   }
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+// src/api/fxApi.js - API functions for the exchange rates transactions are converted with
+import { apiRequest as makeRequest } from './api';
+import { parseList, parseItem } from './schemas';
+import { invalidateFxQueries } from './queryClient';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [FxAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [FxAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [FxAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [FxAPI] ${message}`, ...args);
+  }
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const validateSnapshot = (date, rates) => {
+  if (!DAY_PATTERN.test(date || '')) throw new Error('Pick the day the rates are for');
+  const entries = Object.entries(rates || {});
+  if (entries.length === 0) throw new Error('Enter at least one rate');
+  if (entries.some(([, rate]) => !(Number(rate) > 0))) throw new Error('Rates must be positive numbers');
+};
+
+/**
+ * Fetch the rate table conversions use: built-in snapshots with the user's own merged in
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { base, currencies, rates: [{ date, rates, custom }] } sorted by date;
+ *   custom lists the currencies the user set that day
+ */
+export const fetchFxRates = async (options = {}) => {
+  try {
+    log.info('Fetching exchange rates');
+    const response = await makeRequest('GET', '/fx/rates', null, null, options);
+    return {
+      base: response.data?.base || 'INR',
+      currencies: response.data?.currencies || [],
+      rates: parseList('fxSnapshot', response.data, { source: 'GET /fx/rates' })
+    };
+  } catch (error) {
+    log.error('Failed to fetch exchange rates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the user's own rates for a day, replacing any they set for the same currencies. Transactions keep
+ * the rate they were saved with; these apply from the next save or base currency change.
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} rates - Units of each currency per US dollar, e.g. { EUR: 0.86 }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Saved snapshot
+ */
+export const saveFxRates = async (date, rates, options = {}) => {
+  validateSnapshot(date, rates);
+
+  try {
+    log.info(`Saving rates for ${date}:`, rates);
+    const response = await makeRequest('PUT', `/fx/rates/${date}`, { rates }, null, options);
+    const snapshot = parseItem('fxSnapshot', response.data, { source: `PUT /fx/rates/${date}` });
+    log.success('Rates saved', snapshot);
+    invalidateFxQueries();
+    return snapshot;
+  } catch (error) {
+    log.error(`Failed to save rates for ${date}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the user's own rates for a day; the built-in ones apply again
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteFxRates = async (date, options = {}) => {
+  if (!date) throw new Error('Date is required');
+
+  try {
+    log.info(`Removing rates for ${date}`);
+    await makeRequest('DELETE', `/fx/rates/${date}`, null, null, options);
+    invalidateFxQueries();
+    return true;
+  } catch (error) {
+    log.error(`Failed to remove rates for ${date}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  fetchFxRates,
+  saveFxRates,
+  deleteFxRates
+};
@@ -0,0 +1,88 @@
+// src/api/historyApi.js - API functions for the change history of transactions, budgets, debts and split expenses
+import { apiRequest as makeRequest } from './api';
+import { parseList } from './schemas';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [HistoryAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [HistoryAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [HistoryAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [HistoryAPI] ${message}`, ...args);
+  }
+};
+
+export const HISTORY_ACTIONS = {
+  created: { label: 'created', icon: '✨' },
+  updated: { label: 'changed', icon: '✏️' },
+  deleted: { label: 'deleted', icon: '🗑️' },
+  restored: { label: 'restored', icon: '↩️' }
+};
+
+// Readable names for the fields a change can touch; anything else is shown as it is stored
+export const HISTORY_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  amount: 'Amount',
+  currency: 'Currency',
+  originalAmount: 'Amount entered',
+  fxRate: 'Exchange rate',
+  baseCurrency: 'Base currency',
+  totalAmount: 'Total amount',
+  monthlyLimit: 'Monthly limit',
+  type: 'Type',
+  category: 'Category',
+  categoryLines: 'Category split',
+  tags: 'Tags',
+  paymentMode: 'Payment mode',
+  accountId: 'Account',
+  merchant: 'Merchant',
+  date: 'Date',
+  dueDate: 'Due date',
+  notes: 'Notes',
+  month: 'Month',
+  color: 'Colour',
+  status: 'Status',
+  paidAt: 'Paid on',
+  paymentMethod: 'Payment method',
+  paidBy: 'Paid by',
+  splitType: 'Split type',
+  splits: 'Shares',
+  groupId: 'Group',
+  attachments: 'Receipts',
+  recurringRuleId: 'Recurring rule'
+};
+
+/**
+ * Fetch the change history of one record, newest first. Shared records (debts, split expenses)
+ * include changes made by the other people on them.
+ * @param {string} entity - transaction, budget, debt or splitExpense
+ * @param {string} id - Record _id
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} History entries
+ */
+export const fetchHistory = async (entity, id, options = {}) => {
+  if (!entity || !id) throw new Error('Record type and ID are required');
+
+  try {
+    log.info(`Fetching history of ${entity} ${id}`);
+    const response = await makeRequest('GET', `/history/${entity}/${id}`, null, null, options);
+    return parseList('historyEntry', response.data, { source: `GET /history/${entity}` });
+  } catch (error) {
+    log.error(`Failed to fetch history of ${entity} ${id}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  HISTORY_ACTIONS,
+  HISTORY_FIELD_LABELS,
+  fetchHistory
+};
@@ -0,0 +1,87 @@
+// src/api/importApi.js - Saved statement column mappings, one per bank
+import { apiRequest as makeRequest } from './api';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [ImportAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [ImportAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [ImportAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [ImportAPI] ${message}`, ...args);
+  }
+};
+
+const mappingUrl = (bank) => `/settings/import-mappings/${encodeURIComponent(String(bank).trim())}`;
+
+/**
+ * Fetch every saved mapping
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { [bank]: { columns, dateFormat, signConvention, headers, updatedAt } }
+ */
+export const fetchImportMappings = async (options = {}) => {
+  try {
+    const response = await makeRequest('GET', '/settings/import-mappings', null, null, options);
+    const mappings = response.data?.mappings;
+    if (!mappings || typeof mappings !== 'object') {
+      log.warn('Import mappings response had no mappings', response.data);
+      return {};
+    }
+    return mappings;
+  } catch (error) {
+    log.error('Failed to fetch import mappings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remember how a bank's statements map onto transactions
+ * @param {string} bank - Name the user gave the bank
+ * @param {object} mapping - { columns, dateFormat, signConvention, headers }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Saved mapping
+ */
+export const saveImportMapping = async (bank, mapping, options = {}) => {
+  if (!bank || !String(bank).trim()) throw new Error('Bank name is required');
+
+  try {
+    log.info(`Saving import mapping for ${bank}`, mapping);
+    const response = await makeRequest('PUT', mappingUrl(bank), mapping, null, options);
+    log.success(`Import mapping saved for ${bank}`);
+    return response.data?.mapping || mapping;
+  } catch (error) {
+    log.error(`Failed to save import mapping for ${bank}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Forget a bank's saved mapping
+ * @param {string} bank - Bank name
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteImportMapping = async (bank, options = {}) => {
+  if (!bank) throw new Error('Bank name is required');
+
+  try {
+    log.info(`Deleting import mapping for ${bank}`);
+    await makeRequest('DELETE', mappingUrl(bank), null, null, options);
+    return true;
+  } catch (error) {
+    log.error(`Failed to delete import mapping for ${bank}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  fetchImportMappings,
+  saveImportMapping,
+  deleteImportMapping
+};
@@ -1,70 +1,6 @@
 // client/src/api/notificationApi.js - Notification system for split expenses
-import axios from 'axios';
-
-// Get base URL from environment or default to localhost
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
-
-// Create axios instance with default configuration
-const api = axios.create({
-  baseURL: `${API_BASE_URL}/api`,
-  timeout: 15000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Add auth token to requests
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('authToken') || 
-                localStorage.getItem('token') || 
-                sessionStorage.getItem('authToken') ||
-                sessionStorage.getItem('token');
-                
-  if (token) {
-    config.headers.Authorization = token.startsWith('Bearer ') ? token : `Bearer ${token}`;
-  }
-  
-  return config;
-});
-
-// Enhanced error handling
-api.interceptors.response.use(
-  (response) => {
-    console.log('✅ Notification API Success:', {
-      method: response.config.method?.toUpperCase(),
-      url: response.config.url,
-      status: response.status
-    });
-    return response;
-  },
-  (error) => {
-    console.warn('❌ Notification API Error:', {
-      method: error.config?.method?.toUpperCase(),
-      url: error.config?.url,
-      status: error.response?.status,
-      message: error.response?.data?.message || error.message
-    });
-    
-    if (error.response?.status === 401) {
-      return Promise.resolve({
-        data: {
-          success: false,
-          authError: true,
-          message: 'Authentication required',
-          status: 401
-        }
-      });
-    }
-    
-    return Promise.resolve({
-      data: {
-        success: false,
-        message: error.response?.data?.message || error.message,
-        status: error.response?.status || 500
-      }
-    });
-  }
-);
+import API from './api';
+import { parseList } from './schemas';
 
 // ============================
 // NOTIFICATION API FUNCTIONS
@@ -78,7 +14,7 @@ api.interceptors.response.use(
  * @param {string} notificationData.type - Type of notification (e.g., 'expense_created')
  * @param {Object} notificationData.data - Additional data for the notification
  */
-export const sendExpenseNotification = async (notificationData) => {
+export const sendExpenseNotification = async (notificationData, options = {}) => {
   try {
     const { expenseId, friendIds, type = 'expense_created', data = {} } = notificationData;
     
@@ -92,20 +28,12 @@ export const sendExpenseNotification = async (notificationData) => {
       throw new Error('Expense ID and friend IDs are required');
     }
     
-    const response = await api.post('/notifications/send', {
+    const response = await API.post('/notifications/send', {
       expenseId,
       recipientIds: friendIds,
       type,
       data
-    });
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required to send notifications',
-        authError: true
-      };
-    }
+    }, options);
     
     console.log('✅ Notification sent successfully:', response.data);
     return {
@@ -117,7 +45,9 @@ export const sendExpenseNotification = async (notificationData) => {
     console.error('❌ Error sending notification:', error);
     return {
       success: false,
-      message: error.message || 'Failed to send notification'
+      message: error.message || 'Failed to send notification',
+      authError: !!error.isAuthError,
+      aborted: !!error.isAborted
     };
   }
 };
@@ -125,7 +55,7 @@ export const sendExpenseNotification = async (notificationData) => {
 /**
  * Fetch notifications for the current user
  */
-export const fetchNotifications = async (filters = {}) => {
+export const fetchNotifications = async (filters = {}, options = {}) => {
   try {
     const { unreadOnly = false, type = null, limit = 50 } = filters;
     
@@ -137,18 +67,9 @@ export const fetchNotifications = async (filters = {}) => {
       ...(type && { type })
     };
     
-    const response = await api.get('/notifications', { params });
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true,
-        notifications: []
-      };
-    }
+    const response = await API.get('/notifications', { ...options, params });
     
-    const notifications = response.data.notifications || response.data.data || [];
+    const notifications = parseList('notification', response.data, { source: 'GET /notifications' });
     
     console.log('✅ Fetched notifications:', {
       count: notifications.length,
@@ -166,7 +87,9 @@ export const fetchNotifications = async (filters = {}) => {
     return {
       success: false,
       message: error.message || 'Failed to fetch notifications',
-      notifications: []
+      notifications: [],
+      authError: !!error.isAuthError,
+      aborted: !!error.isAborted
     };
   }
 };
@@ -174,19 +97,11 @@ export const fetchNotifications = async (filters = {}) => {
 /**
  * Mark notification as read
  */
-export const markNotificationAsRead = async (notificationId) => {
+export const markNotificationAsRead = async (notificationId, options = {}) => {
   try {
     console.log('✓ Marking notification as read:', notificationId);
     
-    const response = await api.put(`/notifications/${notificationId}/read`);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
+    const response = await API.put(`/notifications/${notificationId}/read`, null, options);
     
     console.log('✅ Notification marked as read');
     return {
@@ -198,7 +113,9 @@ export const markNotificationAsRead = async (notificationId) => {
     console.error('❌ Error marking notification as read:', error);
     return {
       success: false,
-      message: error.message || 'Failed to mark notification as read'
+      message: error.message || 'Failed to mark notification as read',
+      authError: !!error.isAuthError,
+      aborted: !!error.isAborted
     };
   }
 };
@@ -206,19 +123,11 @@ export const markNotificationAsRead = async (notificationId) => {
 /**
  * Mark all notifications as read
  */
-export const markAllNotificationsAsRead = async () => {
+export const markAllNotificationsAsRead = async (options = {}) => {
   try {
     console.log('✓ Marking all notifications as read...');
     
-    const response = await api.put('/notifications/read-all');
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
+    const response = await API.put('/notifications/read-all', null, options);
     
     console.log('✅ All notifications marked as read');
     return {
@@ -230,7 +139,9 @@ export const markAllNotificationsAsRead = async () => {
     console.error('❌ Error marking all notifications as read:', error);
     return {
       success: false,
-      message: error.message || 'Failed to mark all notifications as read'
+      message: error.message || 'Failed to mark all notifications as read',
+      authError: !!error.isAuthError,
+      aborted: !!error.isAborted
     };
   }
 };
@@ -238,19 +149,11 @@ export const markAllNotificationsAsRead = async () => {
 /**
  * Delete a notification
  */
-export const deleteNotification = async (notificationId) => {
+export const deleteNotification = async (notificationId, options = {}) => {
   try {
     console.log('🗑️ Deleting notification:', notificationId);
     
-    const response = await api.delete(`/notifications/${notificationId}`);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
+    const response = await API.delete(`/notifications/${notificationId}`, options);
     
     console.log('✅ Notification deleted');
     return {
@@ -262,7 +165,9 @@ export const deleteNotification = async (notificationId) => {
     console.error('❌ Error deleting notification:', error);
     return {
       success: false,
-      message: error.message || 'Failed to delete notification'
+      message: error.message || 'Failed to delete notification',
+      authError: !!error.isAuthError,
+      aborted: !!error.isAborted
     };
   }
 };
@@ -270,17 +175,9 @@ export const deleteNotification = async (notificationId) => {
 /**
  * Get unread notification count
  */
-export const getUnreadCount = async () => {
+export const getUnreadCount = async (options = {}) => {
   try {
-    const response = await api.get('/notifications/unread-count');
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        count: 0,
-        authError: true
-      };
-    }
+    const response = await API.get('/notifications/unread-count', options);
     
     return {
       success: true,
@@ -292,7 +189,9 @@ export const getUnreadCount = async () => {
     return {
       success: false,
       count: 0,
-      message: error.message
+      message: error.message,
+      authError: !!error.isAuthError,
+      aborted: !!error.isAborted
     };
   }
 };
@@ -3,10 +3,10 @@
 import API from './api';
 
 // Get detailed user profile
-export const getUserProfile = async () => {
+export const getUserProfile = async (options = {}) => {
   try {
     console.log('👤 Fetching user profile...');
-    const response = await API.get('/users/profile');
+    const response = await API.get('/users/profile', options);
     console.log('✅ User profile fetched:', response.data);
     return response.data;
   } catch (error) {
@@ -16,10 +16,10 @@ export const getUserProfile = async () => {
 };
 
 // Update user profile
-export const updateUserProfile = async (profileData) => {
+export const updateUserProfile = async (profileData, options = {}) => {
   try {
     console.log('✏️ Updating user profile...');
-    const response = await API.put('/users/profile', profileData);
+    const response = await API.put('/users/profile', profileData, options);
     console.log('✅ Profile updated successfully:', response.data);
     return response.data;
   } catch (error) {
@@ -29,13 +29,14 @@ export const updateUserProfile = async (profileData) => {
 };
 
 // Upload profile picture
-export const uploadProfilePicture = async (file) => {
+export const uploadProfilePicture = async (file, options = {}) => {
   try {
     console.log('📸 Uploading profile picture...');
     const formData = new FormData();
     formData.append('profilePicture', file);
     
     const response = await API.post('/users/profile/picture', formData, {
+      ...options,
       headers: { 'Content-Type': 'multipart/form-data' }
     });
     console.log('✅ Profile picture uploaded:', response.data);
@@ -47,10 +48,11 @@ export const uploadProfilePicture = async (file) => {
 };
 
 // Delete user account
-export const deleteUserAccount = async (password) => {
+export const deleteUserAccount = async (password, options = {}) => {
   try {
     console.log('🗑️ Deleting user account...');
     const response = await API.delete('/users/profile', { 
+      ...options,
       data: { password } 
     });
     console.log('✅ User account deleted:', response.data);
@@ -62,10 +64,10 @@ export const deleteUserAccount = async (password) => {
 };
 
 // Check if user ID is available
-export const checkUserIdAvailability = async (userId) => {
+export const checkUserIdAvailability = async (userId, options = {}) => {
   try {
     console.log('🔍 Checking userId availability:', userId);
-    const response = await API.get(`/users/check-userid/${userId}`);
+    const response = await API.get(`/users/check-userid/${userId}`, options);
     console.log('✅ UserId availability checked:', response.data);
     return response.data;
   } catch (error) {
@@ -0,0 +1,82 @@
+// api/queryClient.js - Shared react-query cache for ledger data
+import { QueryClient } from 'react-query';
+import { postCrossTab, onCrossTab } from '../utils/crossTabChannel';
+
+// Ledger data changes through our own mutations or server pushes (realtimeService),
+// both of which invalidate explicitly, so cached lists can be reused across page navigations
+const STALE_TIME = 5 * 60 * 1000;
+const CACHE_TIME = 30 * 60 * 1000;
+
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      staleTime: STALE_TIME,
+      cacheTime: CACHE_TIME,
+      refetchOnWindowFocus: false,
+      // Auth and validation failures will not fix themselves on retry
+      retry: (failureCount, error) =>
+        !error?.isAuthError && !['validation_error', 'not_found', 'forbidden', 'aborted'].includes(error?.type) && failureCount < 2
+    }
+  }
+});
+
+// Query keys: the first element is the resource, so invalidating it covers every filter variant
+export const queryKeys = {
+  transactions: (filters = {}) => ['transactions', filters],
+  duplicates: () => ['transactions', 'duplicates'],
+  tags: () => ['transactions', 'tags'],
+  accounts: (params = {}) => ['accounts', params],
+  accountLedger: (id) => ['accounts', 'ledger', id],
+  recurringRules: () => ['recurring', 'rules'],
+  upcomingOccurrences: (range = {}) => ['recurring', 'upcoming', range],
+  budgets: (month) => ['budgets', month],
+  categories: () => ['categories'],
+  // Under the categories key: rules fall back to category keywords, so both go stale together
+  categoryRules: () => ['categories', 'rules'],
+  trash: () => ['trash'],
+  savedViews: () => ['savedViews'],
+  history: (entity, id) => ['history', entity, id],
+  fxRates: () => ['fx', 'rates']
+};
+
+/**
+ * Invalidate cached resources here and, unless told otherwise, in every other open tab
+ * @param {Array<string>} resources - Query key roots, e.g. ['transactions', 'budgets']
+ * @param {object} options - { broadcast: false } when each tab learns of the change itself (server pushes)
+ */
+const invalidateResources = (resources, { broadcast = true } = {}) => {
+  if (broadcast) postCrossTab('data:invalidate', { resources });
+  return Promise.all(resources.map(resource => queryClient.invalidateQueries(resource)));
+};
+
+// Budget "spent" figures and account balances are derived from transactions, so all go stale together
+export const invalidateTransactionQueries = (options) => invalidateResources(['transactions', 'budgets', 'accounts'], options);
+
+export const invalidateAccountQueries = (options) => invalidateResources(['accounts'], options);
+
+export const invalidateBudgetQueries = (options) => invalidateResources(['budgets'], options);
+
+export const invalidateRecurringQueries = (options) => invalidateResources(['recurring'], options);
+
+export const invalidateCategoryQueries = (options) => invalidateResources(['categories'], options);
+
+export const invalidateTrashQueries = (options) => invalidateResources(['trash'], options);
+
+export const invalidateSavedViewQueries = (options) => invalidateResources(['savedViews'], options);
+
+export const invalidateFxQueries = (options) => invalidateResources(['fx'], options);
+
+// A new base currency re-expresses every stored amount, so everything holding one goes stale
+export const invalidateCurrencyQueries = (options) => invalidateResources(['transactions', 'budgets', 'accounts', 'recurring', 'trash', 'history', 'fx'], options);
+
+// Another tab changed data: refresh our caches, and the Transactions page which keeps its own list
+onCrossTab(({ type, payload }) => {
+  if (type !== 'data:invalidate' || !Array.isArray(payload.resources)) return;
+
+  invalidateResources(payload.resources, { broadcast: false });
+  if (payload.resources.includes('transactions')) {
+    window.dispatchEvent(new CustomEvent('transactionUpdated', { detail: { action: 'remote' } }));
+  }
+});
+
+export default queryClient;
@@ -0,0 +1,271 @@
+// src/api/recurringApi.js - API functions for recurring transaction rules
+import { apiRequest as makeRequest } from './api';
+import { invalidateRecurringQueries, invalidateTransactionQueries } from './queryClient';
+import { parseList, parseItem } from './schemas';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [RecurringAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [RecurringAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [RecurringAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [RecurringAPI] ${message}`, ...args);
+  }
+};
+
+// `unit` names one interval step; custom rules use a cron expression instead
+const FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+  { value: 'yearly', label: 'Yearly', unit: 'year' },
+  { value: 'custom', label: 'Custom (cron)', unit: null }
+];
+
+const VALID_FREQUENCIES = FREQUENCIES.map(frequency => frequency.value);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * The local calendar day an occurrence falls on; skips are keyed by it
+ * @param {string|Date} value - Occurrence date
+ * @returns {string} YYYY-MM-DD
+ */
+export const toOccurrenceDate = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Human-readable schedule, e.g. "Every month" or "Every 2 weeks"
+ * @param {object} rule - { frequency, interval, cron }
+ * @returns {string}
+ */
+export const describeSchedule = (rule) => {
+  if (rule.frequency === 'custom') return `Custom: ${rule.cron}`;
+
+  const frequency = FREQUENCIES.find(item => item.value === rule.frequency);
+  if (!frequency) return rule.frequency;
+
+  const interval = Number(rule.interval) || 1;
+  return interval === 1 ? `Every ${frequency.unit}` : `Every ${interval} ${frequency.unit}s`;
+};
+
+const validateRule = (rule, partial = false) => {
+  if (!partial || rule.title !== undefined) {
+    if (!rule.title || !String(rule.title).trim()) throw new Error('Recurring transaction requires a title');
+  }
+  if (!partial || rule.amount !== undefined) {
+    if (!(Number(rule.amount) > 0)) throw new Error('Amount must be a positive number');
+  }
+  if (rule.frequency !== undefined && !VALID_FREQUENCIES.includes(rule.frequency)) {
+    throw new Error(`Frequency must be one of: ${VALID_FREQUENCIES.join(', ')}`);
+  }
+  // The server checks the expression itself; this only catches an obviously incomplete one
+  if (rule.frequency === 'custom' && String(rule.cron || '').trim().split(/\s+/).length !== 5) {
+    throw new Error('Custom schedules need a five-field cron expression, e.g. "0 9 1 * *"');
+  }
+};
+
+// Rule changes can record new instances (e.g. a start date in the past), so both caches go stale
+const invalidateAfterWrite = () => Promise.all([invalidateRecurringQueries(), invalidateTransactionQueries()]);
+
+const savedRule = (data, source) => parseItem('recurringRule', data, { source }) || data?.rule || data;
+
+/**
+ * Fetch every recurring rule, soonest next occurrence first
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Recurring rules
+ */
+export const fetchRecurringRules = async (options = {}) => {
+  try {
+    log.info('Fetching recurring rules');
+    const response = await makeRequest('GET', '/recurring-transactions', null, null, options);
+    return parseList('recurringRule', response.data, { source: 'GET /recurring-transactions' });
+  } catch (error) {
+    log.error('Failed to fetch recurring rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Instances that have not been recorded yet, including skipped ones (flagged `skipped`)
+ * @param {object} range - { from, to } dates; defaults to the next month
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} { ruleId, date, occurrenceDate, skipped, title, amount, type, category, paymentMode }
+ */
+export const fetchUpcomingOccurrences = async ({ from, to } = {}, options = {}) => {
+  try {
+    const params = {};
+    if (from) params.from = new Date(from).toISOString();
+    if (to) params.to = new Date(to).toISOString();
+
+    const response = await makeRequest('GET', '/recurring-transactions/upcoming', null, params, options);
+    const occurrences = response.data?.occurrences;
+    if (!Array.isArray(occurrences)) {
+      log.warn('Upcoming occurrences response had no occurrences list', response.data);
+      return [];
+    }
+    return occurrences.filter(occurrence => occurrence?.ruleId && !Number.isNaN(new Date(occurrence.date).getTime()));
+  } catch (error) {
+    log.error('Failed to fetch upcoming occurrences:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a recurring rule. Instances due up to now are recorded immediately.
+ * @param {object} rule - { title, amount, type, category, paymentMode, frequency, interval, cron, startDate, endDate }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Created rule
+ */
+export const createRecurringRule = async (rule, options = {}) => {
+  validateRule({ frequency: 'monthly', ...rule });
+
+  try {
+    log.info('Creating recurring rule:', rule);
+    const response = await makeRequest('POST', '/recurring-transactions', {
+      ...rule,
+      title: String(rule.title).trim(),
+      amount: Number(rule.amount)
+    }, null, options);
+
+    const created = savedRule(response.data, 'POST /recurring-transactions');
+    log.success(`Recurring rule created (${response.data?.generatedCount || 0} instance(s) recorded)`, created);
+    invalidateAfterWrite();
+    return created;
+  } catch (error) {
+    log.error('Failed to create recurring rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edit a series. Only instances not yet recorded change; past transactions are left alone.
+ * @param {string} id - Rule ID
+ * @param {object} changes - Fields to change
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated rule
+ */
+export const updateRecurringRule = async (id, changes, options = {}) => {
+  if (!id) throw new Error('Recurring rule ID is required');
+  validateRule(changes, true);
+
+  try {
+    log.info(`Updating recurring rule ${id}:`, changes);
+    const response = await makeRequest('PUT', `/recurring-transactions/${id}`, changes, null, options);
+    const updated = savedRule(response.data, `PUT /recurring-transactions/${id}`);
+    invalidateAfterWrite();
+    return updated;
+  } catch (error) {
+    log.error(`Failed to update recurring rule ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Skip one upcoming instance of a series
+ * @param {string} id - Rule ID
+ * @param {string|Date} date - The occurrence (or its YYYY-MM-DD day)
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated rule
+ */
+export const skipOccurrence = async (id, date, options = {}) => {
+  if (!id) throw new Error('Recurring rule ID is required');
+
+  try {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(String(date)) ? date : toOccurrenceDate(date);
+    log.info(`Skipping ${day} of recurring rule ${id}`);
+    const response = await makeRequest('POST', `/recurring-transactions/${id}/skip`, { date: day }, null, options);
+    invalidateRecurringQueries();
+    return savedRule(response.data, `POST /recurring-transactions/${id}/skip`);
+  } catch (error) {
+    log.error(`Failed to skip occurrence of recurring rule ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Restore a skipped instance that has not passed yet
+ * @param {string} id - Rule ID
+ * @param {string} occurrenceDate - YYYY-MM-DD day that was skipped
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated rule
+ */
+export const restoreOccurrence = async (id, occurrenceDate, options = {}) => {
+  if (!id) throw new Error('Recurring rule ID is required');
+
+  try {
+    log.info(`Restoring ${occurrenceDate} of recurring rule ${id}`);
+    const response = await makeRequest('DELETE', `/recurring-transactions/${id}/skip/${occurrenceDate}`, null, null, options);
+    invalidateRecurringQueries();
+    return savedRule(response.data, `DELETE /recurring-transactions/${id}/skip`);
+  } catch (error) {
+    log.error(`Failed to restore occurrence of recurring rule ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * End a series. Transactions already recorded stay in the ledger.
+ * @param {string} id - Rule ID
+ * @param {string|Date|null} date - Last day of the series (defaults to now)
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated rule
+ */
+export const endRecurringRule = async (id, date = null, options = {}) => {
+  if (!id) throw new Error('Recurring rule ID is required');
+
+  try {
+    log.info(`Ending recurring rule ${id}`, date || 'now');
+    const response = await makeRequest('POST', `/recurring-transactions/${id}/end`, date ? { date } : {}, null, options);
+    invalidateRecurringQueries();
+    return savedRule(response.data, `POST /recurring-transactions/${id}/end`);
+  } catch (error) {
+    log.error(`Failed to end recurring rule ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a rule. Transactions it already recorded stay in the ledger.
+ * @param {string} id - Rule ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteRecurringRule = async (id, options = {}) => {
+  if (!id) throw new Error('Recurring rule ID is required');
+
+  try {
+    log.info(`Deleting recurring rule ${id}`);
+    await makeRequest('DELETE', `/recurring-transactions/${id}`, null, null, options);
+    invalidateRecurringQueries();
+    return true;
+  } catch (error) {
+    log.error(`Failed to delete recurring rule ${id}:`, error);
+    throw error;
+  }
+};
+
+export { FREQUENCIES, VALID_FREQUENCIES };
+
+export default {
+  fetchRecurringRules,
+  fetchUpcomingOccurrences,
+  createRecurringRule,
+  updateRecurringRule,
+  skipOccurrence,
+  restoreOccurrence,
+  endRecurringRule,
+  deleteRecurringRule,
+  describeSchedule,
+  toOccurrenceDate,
+  FREQUENCIES
+};
@@ -0,0 +1,145 @@
+// src/api/savedViewApi.js - API functions for saved views: named search expressions synced to the server
+import { apiRequest as makeRequest } from './api';
+import { invalidateSavedViewQueries } from './queryClient';
+import { parseList, parseItem } from './schemas';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [SavedViewAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [SavedViewAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [SavedViewAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [SavedViewAPI] ${message}`, ...args);
+  }
+};
+
+// Pages a view can be opened on; `page` on a view is the one it opens on from the sidebar
+export const VIEW_PAGES = [
+  { value: 'transactions', label: 'Transactions', path: '/transactions' },
+  { value: 'reports', label: 'Reports', path: '/reports' },
+  { value: 'analytics', label: 'Analytics', path: '/analytics' }
+];
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Link that opens a saved view
+ * @param {object} view - Saved view
+ * @param {string} page - Page to open it on; defaults to the view's own
+ * @returns {string} e.g. /reports?view=<id>
+ */
+export const viewPath = (view, page = view.page) => {
+  const target = VIEW_PAGES.find(item => item.value === page) || VIEW_PAGES[1];
+  return `${target.path}?view=${encodeURIComponent(view._id)}`;
+};
+
+const validateView = (view, partial = false) => {
+  if (!partial || view.name !== undefined) {
+    const name = String(view.name || '').trim();
+    if (!name) throw new Error('View name is required');
+    if (name.length > MAX_NAME_LENGTH) throw new Error(`View name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (view.page !== undefined && !VIEW_PAGES.some(item => item.value === view.page)) {
+    throw new Error('Unknown page for a saved view');
+  }
+};
+
+/**
+ * Fetch the user's saved views, pinned first
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Saved views
+ */
+export const fetchSavedViews = async (options = {}) => {
+  try {
+    log.info('Fetching saved views');
+    const response = await makeRequest('GET', '/saved-views', null, null, options);
+    return parseList('savedView', response.data, { source: 'GET /saved-views' });
+  } catch (error) {
+    log.error('Failed to fetch saved views:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a search expression under a name
+ * @param {object} view - { name, query, page, pinned }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Created view
+ */
+export const createSavedView = async (view, options = {}) => {
+  validateView(view);
+
+  try {
+    log.info('Saving view:', view.name);
+    const response = await makeRequest('POST', '/saved-views', {
+      ...view,
+      name: String(view.name).trim()
+    }, null, options);
+    const created = parseItem('savedView', response.data, { source: 'POST /saved-views' });
+    log.success('View saved', created);
+    invalidateSavedViewQueries();
+    return created;
+  } catch (error) {
+    log.error('Failed to save view:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename, re-pin or change the expression of a saved view
+ * @param {string} id - View ID
+ * @param {object} changes - Fields to change
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated view
+ */
+export const updateSavedView = async (id, changes, options = {}) => {
+  if (!id) throw new Error('View ID is required');
+  validateView(changes, true);
+
+  try {
+    log.info(`Updating view ${id}:`, changes);
+    const response = await makeRequest('PUT', `/saved-views/${id}`, changes, null, options);
+    const updated = parseItem('savedView', response.data, { source: `PUT /saved-views/${id}` });
+    invalidateSavedViewQueries();
+    return updated;
+  } catch (error) {
+    log.error(`Failed to update view ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a saved view
+ * @param {string} id - View ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteSavedView = async (id, options = {}) => {
+  if (!id) throw new Error('View ID is required');
+
+  try {
+    log.info(`Deleting view ${id}`);
+    await makeRequest('DELETE', `/saved-views/${id}`, null, null, options);
+    invalidateSavedViewQueries();
+    return true;
+  } catch (error) {
+    log.error(`Failed to delete view ${id}:`, error);
+    throw error;
+  }
+};
+
+export default {
+  VIEW_PAGES,
+  viewPath,
+  fetchSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+};
@@ -0,0 +1,525 @@
+// src/api/schemas.js - Declared response schemas: every entity is validated and normalised here
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [Schema] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [Schema] ${message}`, ...args);
+  }
+};
+
+// Recent problems are kept so they can be inspected from the console or a debug panel
+const MAX_STORED_ISSUES = 100;
+const recentIssues = [];
+
+// ==============================
+// FIELD TYPES
+// ==============================
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Each checker returns { value } with the normalised value, or { problem } describing why it was rejected
+ */
+const checkers = {
+  id: (value) => (typeof value === 'string' || typeof value === 'number') && String(value).trim()
+    ? { value: String(value) }
+    : { problem: 'expected a non-empty id' },
+
+  string: (value) => typeof value === 'string'
+    ? { value: value.trim() }
+    : { problem: `expected a string, got ${typeof value}` },
+
+  number: (value, spec) => {
+    // Numeric strings are common from form-backed endpoints; anything else is rejected
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { problem: 'expected a finite number' };
+    if (spec.positive && number <= 0) return { problem: 'expected a positive number' };
+    if (spec.min !== undefined && number < spec.min) return { problem: `expected a number >= ${spec.min}` };
+    return { value: number };
+  },
+
+  boolean: (value) => typeof value === 'boolean'
+    ? { value }
+    : { problem: 'expected a boolean' },
+
+  enum: (value, spec) => {
+    const normalised = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    return spec.values.includes(normalised)
+      ? { value: normalised }
+      : { problem: `expected one of ${spec.values.join(', ')}` };
+  },
+
+  date: (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    return (typeof value === 'string' || value instanceof Date) && !Number.isNaN(date.getTime())
+      ? { value: date.toISOString() }
+      : { problem: 'expected an ISO date' };
+  },
+
+  month: (value) => typeof value === 'string' && /^\d{4}-\d{2}$/.test(value)
+    ? { value }
+    : { problem: 'expected a YYYY-MM month' },
+
+  // A user reference: either an id or a populated user summary
+  ref: (value) => {
+    if (typeof value === 'string' && value.trim()) return { value };
+    if (value && typeof value === 'object' && (value._id || value.id)) return { value };
+    return { problem: 'expected a user id or populated user' };
+  },
+
+  object: (value) => value && typeof value === 'object' && !Array.isArray(value)
+    ? { value }
+    : { problem: 'expected an object' },
+
+  array: (value) => Array.isArray(value)
+    ? { value }
+    : { problem: 'expected an array' }
+};
+
+// Field descriptor helpers keep the schema declarations below readable
+const field = {
+  id: (spec = {}) => ({ type: 'id', required: true, ...spec }),
+  string: (spec = {}) => ({ type: 'string', ...spec }),
+  number: (spec = {}) => ({ type: 'number', ...spec }),
+  boolean: (spec = {}) => ({ type: 'boolean', ...spec }),
+  enum: (values, spec = {}) => ({ type: 'enum', values, ...spec }),
+  date: (spec = {}) => ({ type: 'date', ...spec }),
+  month: (spec = {}) => ({ type: 'month', ...spec }),
+  ref: (spec = {}) => ({ type: 'ref', ...spec }),
+  object: (spec = {}) => ({ type: 'object', ...spec }),
+  array: (spec = {}) => ({ type: 'array', ...spec })
+};
+
+// ==============================
+// ENTITY SCHEMAS
+// ==============================
+
+/**
+ * `list` and `item` name the envelope key the backend wraps collections and single records in.
+ * Fields not declared here are passed through untouched.
+ */
+export const SCHEMAS = {
+  transaction: {
+    list: 'transactions',
+    item: 'transaction',
+    fields: {
+      _id: field.id(),
+      title: field.string({ default: '' }),
+      description: field.string({ default: '' }),
+      // In the owner's base currency, converted from what was entered; every total sums this
+      amount: field.number({ required: true, positive: true }),
+      // What was entered: the amount in its own currency, and the rate (base per unit) on the day
+      currency: field.string({ default: null }),
+      originalAmount: field.number({ default: null }),
+      fxRate: field.number({ default: null }),
+      baseCurrency: field.string({ default: null }),
+      type: field.enum(['income', 'expense'], { required: true }),
+      category: field.string({ default: 'Other' }),
+      // Set when the amount is split across categories: [{ category, amount, originalAmount, note }] adding up to amount
+      categoryLines: field.array({ default: [] }),
+      // Free-form labels such as "Goa trip" or "reimbursable"
+      tags: field.array({ default: [] }),
+      paymentMode: field.string({ default: '' }),
+      // Account the money came out of or went into; null for entries not tied to one
+      accountId: field.string({ default: null }),
+      // Who was paid, when a receipt scan or statement said so; category rules can match on it
+      merchant: field.string({ default: '' }),
+      date: field.date({ required: true }),
+      notes: field.string({ default: '' }),
+      // Set on instances recorded by a recurring rule
+      recurringRuleId: field.string({ default: null }),
+      // Set on imported rows: the statement's own id (OFX FITID) and the import they arrived in
+      externalId: field.string({ default: null }),
+      importBatchId: field.string({ default: null }),
+      // Set by the server on a probable repeat of an earlier transaction until the user reviews it
+      duplicateOf: field.string({ default: null }),
+      duplicateScore: field.number({ default: null }),
+      duplicateReasons: field.array({ default: [] }),
+      // Receipt summaries (file name, type, size, thumbnail); the files themselves live under /attachments
+      attachments: field.array({ default: [] }),
+      createdAt: field.date(),
+      updatedAt: field.date()
+    }
+  },
+
+  account: {
+    list: 'accounts',
+    item: 'account',
+    fields: {
+      _id: field.id(),
+      name: field.string({ required: true }),
+      type: field.enum(['bank', 'card', 'wallet', 'cash', 'upi'], { default: 'bank' }),
+      // Opening balances may be negative, e.g. a card that already carries a bill
+      openingBalance: field.number({ default: 0 }),
+      // Derived by the server: opening balance, plus income, minus expenses, plus or minus transfers
+      balance: field.number({ default: 0 }),
+      archived: field.boolean({ default: false }),
+      createdAt: field.date(),
+      updatedAt: field.date()
+    }
+  },
+
+  // Money moved between two of the user's accounts; neither income nor expense
+  transfer: {
+    list: 'transfers',
+    item: 'transfer',
+    fields: {
+      _id: field.id(),
+      fromAccountId: field.id(),
+      toAccountId: field.id(),
+      amount: field.number({ required: true, positive: true }),
+      date: field.date({ required: true }),
+      note: field.string({ default: '' }),
+      createdAt: field.date()
+    }
+  },
+
+  recurringRule: {
+    list: 'rules',
+    item: 'rule',
+    fields: {
+      _id: field.id(),
+      title: field.string({ required: true }),
+      amount: field.number({ required: true, positive: true }),
+      type: field.enum(['income', 'expense'], { required: true }),
+      category: field.string({ default: 'Other' }),
+      paymentMode: field.string({ default: '' }),
+      accountId: field.string({ default: null }),
+      frequency: field.enum(['daily', 'weekly', 'monthly', 'yearly', 'custom'], { required: true }),
+      interval: field.number({ default: 1, min: 1 }),
+      cron: field.string({ default: '' }),
+      startDate: field.date({ required: true }),
+      endDate: field.date({ default: null }),
+      // Local calendar days (YYYY-MM-DD) the user chose to skip
+      skipped: field.array({ default: [] }),
+      nextOccurrence: field.date({ default: null }),
+      generatedThrough: field.date({ default: null }),
+      status: field.enum(['active', 'ended'], { default: 'active' }),
+      createdAt: field.date(),
+      updatedAt: field.date()
+    }
+  },
+
+  budget: {
+    list: 'data',
+    item: 'data',
+    fields: {
+      _id: field.id(),
+      category: field.string({ required: true }),
+      type: field.enum(['income', 'expense'], { default: 'expense' }),
+      monthlyLimit: field.number({ required: true, min: 0 }),
+      spent: field.number({ default: 0, min: 0 }),
+      month: field.month({ required: true }),
+      color: field.string({ default: '#3B82F6' }),
+      description: field.string({ default: '' }),
+      createdAt: field.date(),
+      updatedAt: field.date()
+    }
+  },
+
+  debt: {
+    list: 'debts',
+    item: 'debt',
+    fields: {
+      _id: field.id(),
+      creditorId: field.id(),
+      debtorId: field.id(),
+      creditor: field.object({ default: null }),
+      debtor: field.object({ default: null }),
+      amount: field.number({ required: true, positive: true }),
+      description: field.string({ default: '' }),
+      type: field.enum(['split', 'manual'], { required: true }),
+      status: field.enum(['pending', 'paid'], { required: true }),
+      dueDate: field.date({ default: null }),
+      paidAt: field.date({ default: null }),
+      createdAt: field.date()
+    }
+  },
+
+  splitExpense: {
+    list: 'expenses',
+    item: 'expense',
+    fields: {
+      _id: field.id(),
+      description: field.string({ required: true }),
+      totalAmount: field.number({ required: true, positive: true }),
+      paidBy: field.ref({ required: true }),
+      createdBy: field.ref({ required: true }),
+      splitType: field.enum(['equal', 'custom'], { default: 'equal' }),
+      splits: field.array({ required: true }),
+      selfShare: field.number({ default: 0, min: 0 }),
+      category: field.string({ default: 'Other' }),
+      status: field.enum(['active', 'settled'], { default: 'active' }),
+      debts: field.array({ default: [] }),
+      tags: field.array({ default: [] }),
+      attachments: field.array({ default: [] }),
+      createdAt: field.date({ required: true })
+    }
+  },
+
+  notification: {
+    list: 'notifications',
+    item: 'notification',
+    fields: {
+      _id: field.id(),
+      type: field.string({ required: true }),
+      title: field.string({ default: '' }),
+      message: field.string({ required: true }),
+      read: field.boolean({ default: false }),
+      data: field.object({ default: {} }),
+      createdAt: field.date({ required: true })
+    }
+  },
+
+  // A deleted record waiting in the trash; the record itself is only sent back when it is restored
+  trashItem: {
+    list: 'items',
+    item: 'item',
+    fields: {
+      _id: field.id(),
+      type: field.enum(['transaction', 'budget', 'splitExpense', 'debt'], { required: true }),
+      recordId: field.id(),
+      label: field.string({ default: '' }),
+      amount: field.number({ default: 0 }),
+      relatedCount: field.number({ default: 0 }),
+      deletedAt: field.date({ required: true }),
+      purgeAt: field.date({ required: true })
+    }
+  },
+
+  // A named search expression the user can reopen on Transactions, Reports or Analytics
+  savedView: {
+    list: 'views',
+    item: 'view',
+    fields: {
+      _id: field.id(),
+      name: field.string({ required: true }),
+      query: field.string({ default: '' }),
+      page: field.enum(['transactions', 'reports', 'analytics'], { default: 'reports' }),
+      pinned: field.boolean({ default: false }),
+      createdAt: field.date(),
+      updatedAt: field.date()
+    }
+  },
+
+  // One change to a transaction, budget, debt or split expense; updates list the fields that changed
+  historyEntry: {
+    list: 'entries',
+    item: 'entry',
+    fields: {
+      _id: field.id(),
+      entity: field.enum(['transaction', 'budget', 'debt', 'splitExpense'], { required: true }),
+      recordId: field.id(),
+      action: field.enum(['created', 'updated', 'deleted', 'restored'], { required: true }),
+      // { _id, name, isYou }; null when the server made the change itself (e.g. a recurring rule)
+      actor: field.object({ default: null }),
+      // [{ field, from, to }]
+      changes: field.array({ default: [] }),
+      createdAt: field.date({ required: true })
+    }
+  },
+
+  // Auto-categorisation rule: every condition set must hold, then the actions apply
+  categoryRule: {
+    list: 'rules',
+    item: 'rule',
+    fields: {
+      _id: field.id(),
+      name: field.string({ required: true }),
+      enabled: field.boolean({ default: true }),
+      // Lower runs first; the first rule to set the category or account wins
+      order: field.number({ default: 0 }),
+      // { title: [words], merchant: [names], minAmount, maxAmount, paymentModes: [modes], type }
+      conditions: field.object({ required: true }),
+      // { category, tags: [tags], accountId }
+      actions: field.object({ required: true }),
+      createdAt: field.date(),
+      updatedAt: field.date()
+    }
+  },
+
+  // Exchange rates on one day, as units of each currency per US dollar
+  fxSnapshot: {
+    list: 'rates',
+    item: 'snapshot',
+    fields: {
+      date: field.string({ required: true }),
+      rates: field.object({ required: true }),
+      // Currencies the user set their own rate for that day, which win over the built-in ones
+      custom: field.array({ default: [] })
+    }
+  }
+};
+
+// ==============================
+// ISSUE REPORTING
+// ==============================
+
+/**
+ * Report malformed payloads: logged, kept in a short history and broadcast as 'apiSchemaViolation'
+ */
+const reportIssues = (entity, source, issues) => {
+  if (issues.length === 0) return;
+
+  const stamped = issues.map(issue => ({ ...issue, entity, source, at: new Date().toISOString() }));
+  recentIssues.push(...stamped);
+  recentIssues.splice(0, Math.max(0, recentIssues.length - MAX_STORED_ISSUES));
+
+  log.warn(`${issues.length} schema issue(s) in ${entity} data from ${source}`, stamped);
+
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('apiSchemaViolation', {
+      detail: { entity, source, issues: stamped }
+    }));
+  }
+};
+
+/**
+ * Recently reported schema issues, oldest first
+ * @returns {Array<object>} { entity, source, index, recordId, field, problem, value, at }
+ */
+export const getSchemaIssues = () => [...recentIssues];
+
+export const clearSchemaIssues = () => {
+  recentIssues.length = 0;
+};
+
+// ==============================
+// PARSING
+// ==============================
+
+const getSchema = (entity) => {
+  const schema = SCHEMAS[entity];
+  if (!schema) throw new Error(`Unknown schema: ${entity}`);
+  return schema;
+};
+
+/**
+ * Validate one raw record against its schema
+ * @returns {object} { record, issues } - record is null when a required field is missing or invalid
+ */
+const validateRecord = (schema, raw, index = null) => {
+  const issues = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { record: null, issues: [{ index, field: null, problem: 'expected an object', value: raw }] };
+  }
+
+  // Both id spellings appear in the codebase; the schema owns which one is canonical
+  const source = raw._id === undefined && raw.id !== undefined ? { ...raw, _id: raw.id } : raw;
+  const record = { ...source };
+  let valid = true;
+
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    const value = source[name];
+    const recordId = source._id ?? null;
+
+    if (isBlank(value)) {
+      if (spec.required) {
+        issues.push({ index, recordId, field: name, problem: 'is required', value });
+        valid = false;
+      } else if (spec.default !== undefined) {
+        record[name] = spec.default;
+      }
+      continue;
+    }
+
+    const result = checkers[spec.type](value, spec);
+    if (result.problem) {
+      issues.push({ index, recordId, field: name, problem: result.problem, value });
+      if (spec.required) {
+        valid = false;
+      } else if (spec.default !== undefined) {
+        record[name] = spec.default;
+      } else {
+        delete record[name];
+      }
+      continue;
+    }
+
+    record[name] = result.value;
+  }
+
+  if (valid) record.id = record._id;
+  return { record: valid ? record : null, issues };
+};
+
+/**
+ * Validate and normalise a single record
+ * @param {string} entity - Schema name (transaction, recurringRule, budget, debt, splitExpense, notification)
+ * @param {object} raw - Record as received from the API
+ * @param {object} options - { source } label used when reporting issues
+ * @returns {object|null} Normalised record, or null when it is malformed
+ */
+export const parseRecord = (entity, raw, { source = 'unknown' } = {}) => {
+  const { record, issues } = validateRecord(getSchema(entity), raw);
+  reportIssues(entity, source, issues);
+  return record;
+};
+
+/**
+ * Pull the single record out of its declared envelope and normalise it
+ * @param {string} entity - Schema name
+ * @param {object} body - Response body, e.g. { success, transaction }
+ * @param {object} options - { source } label used when reporting issues, { envelope } to override the declared key
+ * @returns {object|null} Normalised record, or null when the envelope or record is malformed
+ */
+export const parseItem = (entity, body, { source = 'unknown', envelope } = {}) => {
+  const schema = getSchema(entity);
+  const key = envelope || schema.item;
+  const raw = body?.[key];
+
+  if (raw === undefined) {
+    reportIssues(entity, source, [{ index: null, field: key, problem: 'missing response envelope key', value: body }]);
+    return null;
+  }
+
+  return parseRecord(entity, raw, { source });
+};
+
+/**
+ * Pull a collection out of its declared envelope and normalise every record.
+ * Malformed records are dropped and reported rather than patched up.
+ * @param {string} entity - Schema name
+ * @param {object} body - Response body, e.g. { success, transactions, count }
+ * @param {object} options - { source } label used when reporting issues, { envelope } to override the declared key
+ * @returns {Array<object>} Valid, normalised records
+ */
+export const parseList = (entity, body, { source = 'unknown', envelope } = {}) => {
+  const schema = getSchema(entity);
+  const key = envelope || schema.list;
+  const list = body?.[key];
+
+  if (!Array.isArray(list)) {
+    reportIssues(entity, source, [{ index: null, field: key, problem: 'missing response envelope key', value: body }]);
+    return [];
+  }
+
+  const records = [];
+  const issues = [];
+
+  list.forEach((raw, index) => {
+    const result = validateRecord(schema, raw, index);
+    issues.push(...result.issues);
+    if (result.record) records.push(result.record);
+  });
+
+  reportIssues(entity, source, issues);
+  if (records.length !== list.length) {
+    log.info(`Dropped ${list.length - records.length} malformed ${entity} record(s) from ${source}`);
+  }
+
+  return records;
+};
+
+export default {
+  SCHEMAS,
+  parseRecord,
+  parseItem,
+  parseList,
+  getSchemaIssues,
+  clearSchemaIssues
+};
@@ -1,343 +1,176 @@
-// client/src/api/splitExpenseApi.js - Fixed version with proper error handling
-import axios from 'axios';
+// client/src/api/splitExpenseApi.js - Split expense and group API built on the shared client
+import { apiRequest as makeRequest } from './api';
+import TokenManager from '../utils/tokenManager';
+import { parseList, parseItem } from './schemas';
+import { announceTrashed } from './trashApi';
 
-// Get base URL from environment or default to localhost
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
 
-// Create axios instance with default configuration
-const api = axios.create({
-  baseURL: `${API_BASE_URL}/api`,
-  timeout: 15000,
-  headers: {
-    'Content-Type': 'application/json',
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [SplitExpenseAPI] ${message}`, ...args);
   },
-});
-
-// Add auth token to requests
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('authToken') || 
-                localStorage.getItem('token') || 
-                sessionStorage.getItem('authToken') ||
-                sessionStorage.getItem('token');
-                
-  if (token) {
-    config.headers.Authorization = token.startsWith('Bearer ') ? token : `Bearer ${token}`;
-  }
-  
-  console.log('API Request:', {
-    method: config.method?.toUpperCase(),
-    url: config.url,
-    hasAuth: !!token,
-    tokenPreview: token ? `${token.substring(0, 20)}...` : 'none'
-  });
-  
-  return config;
-});
-
-// Enhanced error handling
-api.interceptors.response.use(
-  (response) => {
-    console.log('API Success:', {
-      method: response.config.method?.toUpperCase(),
-      url: response.config.url,
-      status: response.status
-    });
-    return response;
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [SplitExpenseAPI] ${message}`, ...args);
   },
-  (error) => {
-    console.warn('API Error:', {
-      method: error.config?.method?.toUpperCase(),
-      url: error.config?.url,
-      status: error.response?.status,
-      message: error.response?.data?.message || error.message
-    });
-    
-    if (error.response?.status === 401) {
-      console.warn('Authentication failed - token may be expired');
-      
-      return Promise.resolve({
-        data: {
-          success: false,
-          authError: true,
-          message: 'Authentication required for split expenses',
-          status: 401
-        }
-      });
-    }
-    
-    // For other errors, return structured response
-    return Promise.resolve({
-      data: {
-        success: false,
-        message: error.response?.data?.message || error.message,
-        status: error.response?.status || 500,
-        authError: false,
-        validationErrors: error.response?.data?.validationErrors || []
-      }
-    });
+  error: (message, ...args) => {
+    console.error(`❌ [SplitExpenseAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [SplitExpenseAPI] ${message}`, ...args);
   }
-);
+};
 
 // ============================
 // Split Expense API Functions
 // ============================
 
 /**
- * Create a new split expense
+ * Create a new split expense; the server records a debt for every friend's share
+ * @param {object} expenseData - { description, totalAmount, paidBy, splitType, splits, tags }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { expense, summary } where summary counts the debts created
  */
-export const createSplitExpense = async (expenseData) => {
+export const createSplitExpense = async (expenseData, options = {}) => {
   try {
-    console.log('Creating split expense:', JSON.stringify(expenseData, null, 2));
-    
-    const response = await api.post('/split-expenses', expenseData);
-    
-    if (response.data.authError) {
-      console.warn('Split expense creation failed - authentication required');
-      return {
-        success: false,
-        message: 'Authentication required to create split expenses',
-        authError: true
-      };
-    }
-    
-    if (response.data.success === false) {
-      return response.data;
-    }
-    
-    console.log('Split expense created successfully:', response.data);
-    return response.data;
-    
+    log.info('Creating split expense:', expenseData);
+    const response = await makeRequest('POST', '/split-expenses', expenseData, null, options);
+    const expense = parseItem('splitExpense', response.data, { source: 'POST /split-expenses' });
+    log.success('Split expense created:', expense?._id);
+    return { expense, summary: response.data?.summary || {} };
   } catch (error) {
-    console.error('Split expense creation error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to create split expense',
-      authError: false
-    };
+    log.error('Failed to create split expense:', error);
+    throw error;
   }
 };
 
 /**
- * Fetch all split expenses for the authenticated user
+ * Fetch all split expenses the authenticated user takes part in
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Split expenses
  */
-export const fetchSplitExpenses = async () => {
+export const fetchSplitExpenses = async (options = {}) => {
   try {
-    console.log('Fetching split expenses...');
-    
-    const response = await api.get('/split-expenses');
-    
-    if (response.data.authError) {
-      console.warn('Split expenses fetch failed - authentication required');
-      return {
-        success: false,
-        message: 'Authentication required for split expenses',
-        authError: true,
-        expenses: []
-      };
-    }
-    
-    const expenses = response.data.expenses || response.data.data || response.data || [];
-    
-    console.log('Fetch split expenses response:', {
-      success: true,
-      count: expenses.length,
-      expenses: expenses.slice(0, 2)
-    });
-    
-    return {
-      success: true,
-      expenses: expenses,
-      authError: false
-    };
-    
+    log.info('Fetching split expenses');
+    const response = await makeRequest('GET', '/split-expenses', null, null, options);
+    return parseList('splitExpense', response.data, { source: 'GET /split-expenses' });
   } catch (error) {
-    console.error('Fetch split expenses error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to fetch split expenses',
-      expenses: [],
-      authError: false
-    };
+    log.error('Failed to fetch split expenses:', error);
+    throw error;
   }
 };
 
 /**
  * Get a specific split expense by ID
+ * @param {string} expenseId - Split expense ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<object|null>} Split expense
  */
-export const getSplitExpenseById = async (expenseId) => {
+export const getSplitExpenseById = async (expenseId, options = {}) => {
+  if (!expenseId) throw new Error('Split expense ID is required');
+
   try {
-    console.log('Fetching split expense by ID:', expenseId);
-    
-    const response = await api.get(`/split-expenses/${expenseId}`);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Get split expense response:', response.data);
-    return response.data;
-    
+    const response = await makeRequest('GET', `/split-expenses/${expenseId}`, null, null, options);
+    return parseItem('splitExpense', response.data, { source: `GET /split-expenses/${expenseId}` });
   } catch (error) {
-    console.error('Get split expense error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to get split expense',
-      authError: false
-    };
+    log.error(`Failed to fetch split expense ${expenseId}:`, error);
+    throw error;
   }
 };
 
 /**
  * Update a split expense
+ * @param {string} expenseId - Split expense ID
+ * @param {object} updateData - Fields to change
+ * @param {object} options - Additional request options
+ * @returns {Promise<object|null>} Updated split expense
  */
-export const updateSplitExpense = async (expenseId, updateData) => {
+export const updateSplitExpense = async (expenseId, updateData, options = {}) => {
+  if (!expenseId) throw new Error('Split expense ID is required');
+
   try {
-    console.log('Updating split expense:', expenseId, updateData);
-    
-    const response = await api.put(`/split-expenses/${expenseId}`, updateData);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Update split expense response:', response.data);
-    return response.data;
-    
+    log.info(`Updating split expense ${expenseId}:`, updateData);
+    const response = await makeRequest('PUT', `/split-expenses/${expenseId}`, updateData, null, options);
+    return parseItem('splitExpense', response.data, { source: `PUT /split-expenses/${expenseId}` });
   } catch (error) {
-    console.error('Update split expense error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to update split expense',
-      authError: false
-    };
+    log.error(`Failed to update split expense ${expenseId}:`, error);
+    throw error;
   }
 };
 
 /**
- * Delete a split expense
+ * Move a split expense, and the debts it created, to the trash
+ * @param {string} expenseId - Split expense ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
  */
-export const deleteSplitExpense = async (expenseId) => {
+export const deleteSplitExpense = async (expenseId, options = {}) => {
+  if (!expenseId) throw new Error('Split expense ID is required');
+
   try {
-    console.log('Deleting split expense:', expenseId);
-    
-    const response = await api.delete(`/split-expenses/${expenseId}`);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Delete split expense response:', response.data);
-    return response.data;
-    
+    log.info(`Deleting split expense ${expenseId}`);
+    const response = await makeRequest('DELETE', `/split-expenses/${expenseId}`, null, null, options);
+    announceTrashed([response.data?.trashId], 'Split expense deleted');
+    return true;
   } catch (error) {
-    console.error('Delete split expense error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to delete split expense',
-      authError: false
-    };
+    log.error(`Failed to delete split expense ${expenseId}:`, error);
+    throw error;
   }
 };
 
 /**
- * Get expense summary/dashboard for the user
+ * Get the user's split expense totals
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { totalLent, totalOwed, netBalance, expenseCount }
  */
-export const getExpenseSummary = async () => {
+export const getExpenseSummary = async (options = {}) => {
   try {
-    console.log('Fetching expense summary...');
-    
-    const response = await api.get('/split-expenses/summary');
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Expense summary response:', response.data);
-    return response.data;
-    
+    const response = await makeRequest('GET', '/split-expenses/summary', null, null, options);
+    return response.data?.summary || {};
   } catch (error) {
-    console.error('Get expense summary error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to get expense summary',
-      authError: false
-    };
+    log.error('Failed to fetch expense summary:', error);
+    throw error;
   }
 };
 
 /**
- * Get balance with a specific friend
+ * Get the balance with a specific friend
+ * @param {string} friendId - Friend ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { friend, balance: { owedToMe, owedByMe, net }, pendingDebts }
  */
-export const getBalanceWithFriend = async (friendId) => {
+export const getBalanceWithFriend = async (friendId, options = {}) => {
+  if (!friendId) throw new Error('Friend ID is required');
+
   try {
-    console.log('Fetching balance with friend:', friendId);
-    
-    const response = await api.get(`/split-expenses/balance/${friendId}`);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Balance response:', response.data);
-    return response.data;
-    
+    const response = await makeRequest('GET', `/split-expenses/balance/${friendId}`, null, null, options);
+    const { friend = null, balance = null, pendingDebts = 0 } = response.data || {};
+    return { friend, balance, pendingDebts };
   } catch (error) {
-    console.error('Get balance error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to get balance',
-      authError: false
-    };
+    log.error(`Failed to fetch balance with friend ${friendId}:`, error);
+    throw error;
   }
 };
 
 /**
  * Settle up with a friend
+ * @param {string} friendId - Friend ID
+ * @param {object} settlementData - Settlement details
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { message, settledCount, amount }
  */
-export const settleWithFriend = async (friendId, settlementData) => {
+export const settleWithFriend = async (friendId, settlementData, options = {}) => {
+  if (!friendId) throw new Error('Friend ID is required');
+
   try {
-    console.log('Settling with friend:', friendId, settlementData);
-    
-    const response = await api.post(`/split-expenses/settle/${friendId}`, settlementData);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Settlement response:', response.data);
-    return response.data;
-    
+    log.info(`Settling with friend ${friendId}:`, settlementData);
+    const response = await makeRequest('POST', `/split-expenses/settle/${friendId}`, settlementData, null, options);
+    const { message, settledCount = 0, amount = 0 } = response.data || {};
+    log.success(message);
+    return { message, settledCount, amount };
   } catch (error) {
-    console.error('Settlement error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to record settlement',
-      authError: false
-    };
+    log.error(`Failed to settle with friend ${friendId}:`, error);
+    throw error;
   }
 };
 
@@ -347,129 +180,75 @@ export const settleWithFriend = async (friendId, settlementData) => {
 
 /**
  * Fetch all groups for the authenticated user
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} Groups
  */
-export const fetchGroups = async () => {
+export const fetchGroups = async (options = {}) => {
   try {
-    console.log('Fetching groups...');
-    
-    const response = await api.get('/groups');
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true,
-        groups: []
-      };
+    const response = await makeRequest('GET', '/groups', null, null, options);
+    const groups = response.data?.groups;
+    if (!Array.isArray(groups)) {
+      log.warn('Groups response had no groups list', response.data);
+      return [];
     }
-    
-    const groups = response.data.groups || response.data.data || [];
-    console.log('Fetch groups response:', { success: true, count: groups.length });
-    
-    return {
-      success: true,
-      groups: groups,
-      authError: false
-    };
-    
+    return groups;
   } catch (error) {
-    console.error('Fetch groups error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to fetch groups',
-      groups: [],
-      authError: false
-    };
+    log.error('Failed to fetch groups:', error);
+    throw error;
   }
 };
 
 /**
  * Create a new group
+ * @param {object} groupData - Group details
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Created group
  */
-export const createGroup = async (groupData) => {
+export const createGroup = async (groupData, options = {}) => {
   try {
-    console.log('Creating group with data:', groupData);
-    
-    const response = await api.post('/groups', groupData);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Create group response:', response.data);
-    return response.data;
-    
+    log.info('Creating group:', groupData);
+    const response = await makeRequest('POST', '/groups', groupData, null, options);
+    return response.data?.group || null;
   } catch (error) {
-    console.error('Create group error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to create group',
-      authError: false
-    };
+    log.error('Failed to create group:', error);
+    throw error;
   }
 };
 
 /**
  * Update a group
+ * @param {string} groupId - Group ID
+ * @param {object} updateData - Fields to change
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} Updated group
  */
-export const updateGroup = async (groupId, updateData) => {
+export const updateGroup = async (groupId, updateData, options = {}) => {
+  if (!groupId) throw new Error('Group ID is required');
+
   try {
-    console.log('Updating group:', groupId, updateData);
-    
-    const response = await api.put(`/groups/${groupId}`, updateData);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Update group response:', response.data);
-    return response.data;
-    
+    const response = await makeRequest('PUT', `/groups/${groupId}`, updateData, null, options);
+    return response.data?.group || null;
   } catch (error) {
-    console.error('Update group error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to update group',
-      authError: false
-    };
+    log.error(`Failed to update group ${groupId}:`, error);
+    throw error;
   }
 };
 
 /**
  * Delete a group
+ * @param {string} groupId - Group ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
  */
-export const deleteGroup = async (groupId) => {
+export const deleteGroup = async (groupId, options = {}) => {
+  if (!groupId) throw new Error('Group ID is required');
+
   try {
-    console.log('Deleting group:', groupId);
-    
-    const response = await api.delete(`/groups/${groupId}`);
-    
-    if (response.data.authError) {
-      return {
-        success: false,
-        message: 'Authentication required',
-        authError: true
-      };
-    }
-    
-    console.log('Delete group response:', response.data);
-    return response.data;
-    
+    await makeRequest('DELETE', `/groups/${groupId}`, null, null, options);
+    return true;
   } catch (error) {
-    console.error('Delete group error:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to delete group',
-      authError: false
-    };
+    log.error(`Failed to delete group ${groupId}:`, error);
+    throw error;
   }
 };
 
@@ -481,30 +260,15 @@ export const deleteGroup = async (groupId) => {
  * Debug authentication info
  */
 export const debugAuthInfo = () => {
-  const token = localStorage.getItem('authToken') || 
-                localStorage.getItem('token') || 
-                sessionStorage.getItem('authToken') ||
-                sessionStorage.getItem('token');
-  
-  const user = (() => {
-    try {
-      return JSON.parse(localStorage.getItem('user') || sessionStorage.getItem('user') || '{}');
-    } catch (e) {
-      return {};
-    }
-  })();
+  const token = TokenManager.getToken();
+  const user = TokenManager.getUser() || {};
 
   return {
     hasToken: !!token,
-    tokenSource: token ? (
-      localStorage.getItem('authToken') === token ? 'localStorage.authToken' :
-      localStorage.getItem('token') === token ? 'localStorage.token' :
-      sessionStorage.getItem('authToken') === token ? 'sessionStorage.authToken' :
-      sessionStorage.getItem('token') === token ? 'sessionStorage.token' : 'unknown'
-    ) : null,
+    tokenSource: token ? 'localStorage.authToken' : null,
     tokenPreview: token ? `${token.substring(0, 20)}...` : null,
-    hasUser: !!user && !!Object.keys(user).length,
-    userId: user.userId || user._id || null,
+    hasUser: !!Object.keys(user).length,
+    userId: user.userId || user._id || user.id || null,
     userName: user.name || null,
     userEmail: user.email || null
   };
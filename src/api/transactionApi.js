@@ -1,8 +1,12 @@
 // src/api/transactionApi.js - API functions for transaction CRUD operations
-import axios from 'axios';
+import { apiRequest as makeRequest, getAuthHeaders, parseErrorResponse } from './api';
+import transactionSyncService from '../services/transactionSyncService';
+import { generateLocalId, isLocalId } from '../utils/offlineOutbox';
+import { invalidateTransactionQueries } from './queryClient';
+import { parseList, parseItem, parseRecord } from './schemas';
+import { announceTrashed } from './trashApi';
+import { parseSearchQuery } from '../utils/searchQuery';
 
-// API Configuration
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
 const DEBUG_MODE = process.env.NODE_ENV === 'development';
 
 // Enhanced logging utility
@@ -21,171 +25,6 @@ const log = {
   }
 };
 
-// Enhanced token retrieval with fallback options
-const getAuthHeaders = () => {
-  const token = localStorage.getItem('token') || 
-                localStorage.getItem('authToken') || 
-                sessionStorage.getItem('token') || 
-                sessionStorage.getItem('authToken');
-
-  if (!token) {
-    console.warn('No authentication token found');
-    throw new Error('No authentication token found. Please log in again.');
-  }
-
-  const parts = token.split('.');
-  if (parts.length !== 3) {
-    console.error('Invalid token format');
-    localStorage.clear();
-    sessionStorage.clear();
-    throw new Error('Invalid token format. Please log in again.');
-  }
-
-  try {
-    const payload = JSON.parse(atob(parts[1]));
-    const now = Math.floor(Date.now() / 1000);
-    
-    if (payload.exp && now > payload.exp) {
-      console.error('Token is expired');
-      localStorage.clear();
-      sessionStorage.clear();
-      throw new Error('Session expired. Please log in again.');
-    }
-  } catch (decodeError) {
-    console.warn('Could not decode token payload:', decodeError);
-  }
-
-  return {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  };
-};
-
-// Enhanced error parsing
-const parseErrorResponse = (error, context = '') => {
-  const errorInfo = {
-    context,
-    message: 'Unknown error occurred',
-    status: null,
-    details: null,
-    type: 'unknown'
-  };
-
-  if (error.response) {
-    const { status, data, statusText } = error.response;
-    errorInfo.status = status;
-    errorInfo.type = 'server_error';
-    
-    let serverMessage = '';
-    if (data) {
-      if (typeof data === 'string') {
-        serverMessage = data;
-      } else if (data.message) {
-        serverMessage = data.message;
-      } else if (data.error) {
-        serverMessage = typeof data.error === 'string' ? data.error : JSON.stringify(data.error);
-      } else if (data.errors && Array.isArray(data.errors)) {
-        serverMessage = data.errors.join(', ');
-      }
-    }
-
-    switch (status) {
-      case 400:
-        errorInfo.message = serverMessage || 'Invalid request data';
-        errorInfo.type = 'validation_error';
-        break;
-      case 401:
-        errorInfo.message = 'Authentication required. Please log in again.';
-        errorInfo.type = 'auth_error';
-        break;
-      case 403:
-        errorInfo.message = serverMessage || 'Access forbidden';
-        errorInfo.type = 'auth_error';
-        break;
-      case 404:
-        errorInfo.message = serverMessage || 'Transaction not found';
-        errorInfo.type = 'not_found';
-        break;
-      case 409:
-        errorInfo.message = serverMessage || 'Conflict - transaction already exists';
-        errorInfo.type = 'conflict_error';
-        break;
-      case 422:
-        errorInfo.message = serverMessage || 'Validation error';
-        errorInfo.type = 'validation_error';
-        break;
-      case 500:
-        errorInfo.message = 'Server error. Please try again later.';
-        errorInfo.details = serverMessage;
-        errorInfo.type = 'server_error';
-        break;
-      default:
-        errorInfo.message = serverMessage || statusText || `Server error (${status})`;
-        break;
-    }
-    
-    errorInfo.details = data;
-  } else if (error.request) {
-    errorInfo.message = 'Network error. Please check your connection and try again.';
-    errorInfo.type = 'network_error';
-  } else {
-    errorInfo.message = `Request setup error: ${error.message}`;
-    errorInfo.type = 'request_error';
-  }
-
-  return errorInfo;
-};
-
-// Enhanced API request wrapper
-const makeRequest = async (method, url, data = null, params = null, options = {}) => {
-  const fullUrl = url.startsWith('http') ? url : `${API_BASE_URL}${url}`;
-  const requestId = Math.random().toString(36).substr(2, 9);
-  
-  log.info(`[${requestId}] Starting ${method.toUpperCase()} request to: ${fullUrl}`);
-
-  const config = {
-    method: method.toLowerCase(),
-    url: fullUrl,
-    headers: getAuthHeaders(),
-    timeout: options.timeout || 15000,
-    ...options
-  };
-
-  if (params) config.params = params;
-  if (data && ['post', 'put', 'patch'].includes(method.toLowerCase())) {
-    config.data = data;
-  }
-
-  try {
-    const startTime = Date.now();
-    const response = await axios(config);
-    const duration = Date.now() - startTime;
-    
-    log.success(`[${requestId}] ${method.toUpperCase()} request successful (${duration}ms)`);
-    
-    return response;
-  } catch (error) {
-    const errorInfo = parseErrorResponse(error, `${method.toUpperCase()} ${fullUrl}`);
-    
-    log.error(`[${requestId}] ${method.toUpperCase()} request failed:`, errorInfo);
-
-    if (errorInfo.type === 'auth_error') {
-      localStorage.removeItem('token');
-      localStorage.removeItem('authToken');
-      sessionStorage.removeItem('token');
-      sessionStorage.removeItem('authToken');
-    }
-
-    const enhancedError = new Error(errorInfo.message);
-    enhancedError.type = errorInfo.type;
-    enhancedError.status = errorInfo.status;
-    enhancedError.details = errorInfo.details;
-    enhancedError.requestId = requestId;
-    
-    throw enhancedError;
-  }
-};
-
 // Category definitions
 const VALID_TYPES = ['income', 'expense'];
 
@@ -201,11 +40,48 @@ const INCOME_CATEGORIES = [
 
 const VALID_CATEGORIES = [...new Set([...EXPENSE_CATEGORIES, ...INCOME_CATEGORIES])];
 
+// Rows per ledger page; the server caps this at 200
+const DEFAULT_PAGE_SIZE = 50;
+
+const DUPLICATE_ACTIONS = ['merge', 'keep', 'discard'];
+
+// Offline handling: mutations that cannot reach the backend go to the outbox instead of failing
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// A timed-out request may still have been saved, so it is only replayed when the server can
+// recognise the repeat (creates carry an idempotency key); other network errors never got a reply
+const shouldQueueOffline = (error, { idempotent = false } = {}) =>
+  isOffline() || (!!error?.isNetworkError && (idempotent || error.code !== 'ECONNABORTED'));
+
+// Request options such as abort signals cannot be stored in IndexedDB
+const toStorablePayload = (payload) => JSON.parse(JSON.stringify(payload || {}));
+
+const queueOfflineMutation = async (action, details, originalError = null) => {
+  try {
+    const entry = await transactionSyncService.queueMutation(action, details);
+    log.warn(`Backend unreachable - ${action} queued for sync`, entry.transactionId);
+    return entry;
+  } catch (queueError) {
+    log.error('Failed to queue offline mutation:', queueError);
+    throw originalError || queueError;
+  }
+};
+
+/**
+ * Validate the transactions list against the declared schema
+ * @param {object} data - Response body from fetchTransactions ({ success, transactions, count })
+ * @returns {Array} Normalised transactions; malformed records are reported and dropped
+ */
+export const extractTransactions = (data) => parseList('transaction', data, { source: 'GET /transactions' });
+
+// A write has already happened server-side, so a malformed echo is reported but not discarded
+const extractSavedTransaction = (data, source) => parseItem('transaction', data, { source }) || data?.transaction || data;
+
 /**
  * Fetch all transactions
- * @param {object} filters - Optional filters (month, type, category)
+ * @param {object} filters - Optional filters (month, type, category, accountId, tag; several tags comma-separated must all match)
  * @param {object} options - Additional request options
- * @returns {Promise} Raw API response (let consumers handle structure)
+ * @returns {Promise<object>} Raw response body; pass it through extractTransactions
  */
 export const fetchTransactions = async (filters = {}, options = {}) => {
   try {
@@ -215,6 +91,8 @@ export const fetchTransactions = async (filters = {}, options = {}) => {
     if (filters.month) params.month = filters.month;
     if (filters.type) params.type = filters.type;
     if (filters.category) params.category = filters.category;
+    if (filters.tag) params.tag = filters.tag;
+    if (filters.accountId) params.accountId = filters.accountId;
     if (filters.startDate) params.startDate = filters.startDate;
     if (filters.endDate) params.endDate = filters.endDate;
     
@@ -222,7 +100,6 @@ export const fetchTransactions = async (filters = {}, options = {}) => {
     
     log.info('API Response:', response.data);
     
-    // Return the full response data so different pages can handle different structures
     return response.data;
   } catch (error) {
     log.error('Error in fetchTransactions:', error);
@@ -230,8 +107,51 @@ export const fetchTransactions = async (filters = {}, options = {}) => {
   }
 };
 
+// Filters the ledger endpoints understand; q may be a list of terms that must all appear
+const LEDGER_FILTERS = [
+  'month', 'type', 'category', 'tag', 'accountId', 'paymentMode', 'startDate', 'endDate',
+  'minAmount', 'maxAmount', 'amountAbove', 'amountBelow', 'q'
+];
+
+const ledgerParams = (filters = {}) => LEDGER_FILTERS.reduce((params, key) => {
+  const value = filters[key];
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return params;
+  return { ...params, [key]: value };
+}, {});
+
+// Repeated q terms are sent as q=a&q=b rather than q[]=a&q[]=b
+const LEDGER_REQUEST_OPTIONS = { paramsSerializer: { indexes: null } };
+
+/**
+ * Fetch one page of transactions, newest first
+ * @param {object} filters - Any of LEDGER_FILTERS, e.g. the filters of a parsed search expression
+ * @param {object} page - { cursor: value from the previous page's nextCursor, limit }
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { transactions, nextCursor, hasMore, total }
+ */
+export const fetchTransactionPage = async (filters = {}, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}, options = {}) => {
+  try {
+    const params = { ...ledgerParams(filters), limit };
+    if (cursor) params.cursor = cursor;
+
+    log.info(`Fetching transaction page${cursor ? ' after cursor' : ''} (limit ${limit})`);
+    const response = await makeRequest('GET', '/transactions', null, params, { ...LEDGER_REQUEST_OPTIONS, ...options });
+    const body = response.data || {};
+
+    return {
+      transactions: parseList('transaction', body, { source: 'GET /transactions (page)' }),
+      nextCursor: body.nextCursor || null,
+      hasMore: !!body.hasMore && !!body.nextCursor,
+      total: typeof body.total === 'number' ? body.total : null
+    };
+  } catch (error) {
+    log.error('Error in fetchTransactionPage:', error);
+    throw error;
+  }
+};
+
 /**
- * Create a new transaction
+ * Create a new transaction (queued in the offline outbox when the backend is unreachable)
  * @param {object} payload - Transaction data
  * @param {object} options - Additional request options
  * @returns {Promise<object>} Created transaction object
@@ -266,87 +186,171 @@ export const createTransaction = async (payload, options = {}) => {
     }
   }
 
+  // Sent with the request and kept in the outbox, so the server saves this transaction only once
+  const idempotencyKey = generateLocalId();
+
+  if (isOffline()) {
+    return queueOfflineTransaction(payload, idempotencyKey);
+  }
+
   try {
     log.info('Creating transaction:', payload);
     
-    const response = await makeRequest('POST', '/transactions', payload, null, options);
+    const response = await makeRequest('POST', '/transactions', payload, null, {
+      ...options,
+      headers: { ...options.headers, 'Idempotency-Key': idempotencyKey }
+    });
     
-    const createdTransaction = response.data?.transaction || response.data?.data || response.data;
+    const createdTransaction = extractSavedTransaction(response.data, 'POST /transactions');
     log.success('Transaction created successfully:', createdTransaction);
     
     // Dispatch event for other components to listen to
     window.dispatchEvent(new CustomEvent('transactionUpdated', { 
       detail: { action: 'created', transaction: createdTransaction } 
     }));
+    invalidateTransactionQueries();
     
     return createdTransaction;
   } catch (error) {
+    if (shouldQueueOffline(error, { idempotent: true })) {
+      return queueOfflineTransaction(payload, idempotencyKey, error);
+    }
+
     log.error('Failed to create transaction:', error);
     throw error;
   }
 };
 
+const queueOfflineTransaction = async (payload, idempotencyKey, originalError = null) => {
+  const entry = await queueOfflineMutation('create', { payload: toStorablePayload(payload), idempotencyKey }, originalError);
+
+  const pendingTransaction = {
+    ...entry.payload,
+    _id: entry.transactionId,
+    id: entry.transactionId,
+    createdAt: new Date(entry.queuedAt).toISOString(),
+    syncStatus: 'pending'
+  };
+
+  window.dispatchEvent(new CustomEvent('transactionUpdated', { 
+    detail: { action: 'created', transaction: pendingTransaction, pending: true } 
+  }));
+
+  return pendingTransaction;
+};
+
 /**
- * Update an existing transaction
+ * Update an existing transaction (queued in the offline outbox when the backend is unreachable)
  * @param {string} id - Transaction ID
  * @param {object} payload - Updated transaction data
- * @param {object} options - Additional request options
+ * @param {object} options - Additional request options (baseUpdatedAt: version being edited)
  * @returns {Promise<object>} Updated transaction object
  */
 export const updateTransaction = async (id, payload, options = {}) => {
   if (!id) throw new Error('Transaction ID is required');
 
+  // Records still in the outbox, or edits made while offline, are queued
+  if (isLocalId(id) || isOffline()) {
+    return queueOfflineUpdate(id, payload, options);
+  }
+
   try {
     log.info(`Updating transaction ${id}:`, payload);
     
     const response = await makeRequest('PUT', `/transactions/${id}`, payload, null, options);
     
-    const updatedTransaction = response.data?.transaction || response.data?.data || response.data;
+    const updatedTransaction = extractSavedTransaction(response.data, `PUT /transactions/${id}`);
     log.success('Transaction updated successfully:', updatedTransaction);
     
     // Dispatch event for other components
     window.dispatchEvent(new CustomEvent('transactionUpdated', { 
       detail: { action: 'updated', transaction: updatedTransaction } 
     }));
+    invalidateTransactionQueries();
     
     return updatedTransaction;
   } catch (error) {
+    if (shouldQueueOffline(error)) {
+      return queueOfflineUpdate(id, payload, options, error);
+    }
+
     log.error(`Failed to update transaction ${id}:`, error);
     throw error;
   }
 };
 
+const queueOfflineUpdate = async (id, payload, options = {}, originalError = null) => {
+  await queueOfflineMutation('update', {
+    transactionId: id,
+    payload: toStorablePayload(payload),
+    // The version the user edited; newer server changes are reported as conflicts on sync
+    baseUpdatedAt: options.baseUpdatedAt || payload.updatedAt || null
+  }, originalError);
+
+  const pendingTransaction = { ...payload, _id: id, id, syncStatus: 'pending' };
+
+  window.dispatchEvent(new CustomEvent('transactionUpdated', { 
+    detail: { action: 'updated', transaction: pendingTransaction, pending: true } 
+  }));
+
+  return pendingTransaction;
+};
+
 /**
- * Delete a transaction
+ * Move a transaction to the trash, from where it can be restored (queued in the offline outbox when
+ * the backend is unreachable; queued deletes offer no undo)
  * @param {string} id - Transaction ID
  * @param {object} options - Additional request options
  * @returns {Promise<boolean>} Success status
  */
 export const deleteTransactionApi = async (id, options = {}) => {
   if (!id) throw new Error('Transaction ID is required');
+
+  if (isLocalId(id) || isOffline()) {
+    return queueOfflineDelete(id, options);
+  }
   
   try {
     log.info(`Deleting transaction ${id}`);
     
-    await makeRequest('DELETE', `/transactions/${id}`, null, null, options);
+    const response = await makeRequest('DELETE', `/transactions/${id}`, null, null, options);
     
-    log.success(`Transaction ${id} deleted successfully`);
+    log.success(`Transaction ${id} moved to the trash`);
     
     // Dispatch event for other components
     window.dispatchEvent(new CustomEvent('transactionUpdated', { 
       detail: { action: 'deleted', transactionId: id } 
     }));
+    invalidateTransactionQueries();
+    announceTrashed([response.data?.trashId], 'Transaction deleted');
     
     return true;
   } catch (error) {
+    if (shouldQueueOffline(error)) {
+      return queueOfflineDelete(id, options, error);
+    }
+
     log.error(`Failed to delete transaction ${id}:`, error);
     throw error;
   }
 };
 
+const queueOfflineDelete = async (id, options = {}, originalError = null) => {
+  await queueOfflineMutation('delete', {
+    transactionId: id,
+    baseUpdatedAt: options.baseUpdatedAt || null
+  }, originalError);
+
+  window.dispatchEvent(new CustomEvent('transactionUpdated', { 
+    detail: { action: 'deleted', transactionId: id, pending: true } 
+  }));
+
+  return true;
+};
+
 /**
  * Get transaction summary/statistics
- * @param {object} filters - Date range and other filters
+ * @param {object} filters - Any of LEDGER_FILTERS, so totals can follow the ledger's filters
  * @param {object} options - Additional request options
  * @returns {Promise<object>} Transaction summary
  */
@@ -354,19 +358,7 @@ export const getTransactionSummary = async (filters = {}, options = {}) => {
   try {
     log.info('Fetching transaction summary with filters:', filters);
     
-    const params = {
-      month: filters.month || '',
-      startDate: filters.startDate || '',
-      endDate: filters.endDate || '',
-      type: filters.type || ''
-    };
-    
-    // Remove empty parameters
-    Object.keys(params).forEach(key => {
-      if (!params[key]) delete params[key];
-    });
-    
-    const response = await makeRequest('GET', '/transactions/summary', null, params, options);
+    const response = await makeRequest('GET', '/transactions/summary', null, ledgerParams(filters), { ...LEDGER_REQUEST_OPTIONS, ...options });
     
     const summary = response.data?.data || response.data || {};
     log.success('Transaction summary fetched successfully:', summary);
@@ -378,8 +370,170 @@ export const getTransactionSummary = async (filters = {}, options = {}) => {
   }
 };
 
+// Matches the server's per-request limit; larger imports are sent in chunks
+const BULK_CREATE_CHUNK = 500;
+
+const newImportBatchId = () => `import_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Create many transactions at once (statement imports). Rows the server rejects are reported
+ * rather than failing the whole import. Not queued offline: imports need a live connection.
+ * @param {Array<object>} transactions - Transaction payloads
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { transactions, errors: [{ index, message }], importBatchId }
+ */
+export const bulkCreateTransactions = async (transactions, options = {}) => {
+  if (!Array.isArray(transactions) || transactions.length === 0) {
+    throw new Error('Transactions array is required and cannot be empty');
+  }
+
+  if (isOffline()) {
+    throw new Error('You are offline. Reconnect to import transactions.');
+  }
+
+  // Every chunk carries the same batch id so the import stays one batch on the server
+  const importBatchId = newImportBatchId();
+  const created = [];
+  const errors = [];
+
+  try {
+    for (let offset = 0; offset < transactions.length; offset += BULK_CREATE_CHUNK) {
+      const chunk = transactions.slice(offset, offset + BULK_CREATE_CHUNK);
+      log.info(`Bulk creating transactions ${offset + 1}-${offset + chunk.length} of ${transactions.length}`);
+
+      let data;
+      try {
+        const response = await makeRequest('POST', '/transactions/bulk', { transactions: chunk, importBatchId }, null, options);
+        data = response.data;
+      } catch (error) {
+        // A chunk where every row was rejected comes back as a 400 that still lists the row errors
+        data = error.response?.data;
+        if (!Array.isArray(data?.errors)) throw error;
+      }
+
+      created.push(...parseList('transaction', data, { source: 'POST /transactions/bulk' }));
+      (data?.errors || []).forEach(rowError => errors.push({ ...rowError, index: rowError.index + offset }));
+    }
+
+    log.success(`Imported ${created.length} of ${transactions.length} transactions`);
+    return { transactions: created, errors, importBatchId };
+  } catch (error) {
+    log.error('Failed to bulk create transactions:', error);
+    // Earlier chunks are already saved; let the caller tell the user how far the import got
+    error.partialResult = { transactions: created, errors, importBatchId };
+    throw error;
+  } finally {
+    if (created.length > 0) {
+      window.dispatchEvent(new CustomEvent('transactionUpdated', {
+        detail: { action: 'bulk-created', transactions: created, importBatchId }
+      }));
+      invalidateTransactionQueries();
+    }
+  }
+};
+
+/**
+ * Transactions the server flagged as probable repeats, each paired with the earlier one it looks like
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} [{ transaction, original, score, reasons }]
+ */
+export const fetchDuplicates = async (options = {}) => {
+  try {
+    const response = await makeRequest('GET', '/transactions/duplicates', null, null, options);
+    const source = 'GET /transactions/duplicates';
+    return (Array.isArray(response.data?.duplicates) ? response.data.duplicates : [])
+      .map(pair => ({
+        ...pair,
+        transaction: parseRecord('transaction', pair.transaction, { source }),
+        original: parseRecord('transaction', pair.original, { source })
+      }))
+      .filter(pair => pair.transaction && pair.original);
+  } catch (error) {
+    log.error('Failed to fetch duplicate transactions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tags used on the user's transactions and split expenses, most used first
+ * @param {object} options - Additional request options
+ * @returns {Promise<Array>} [{ tag, count, lastUsed }]
+ */
+export const fetchTags = async (options = {}) => {
+  try {
+    const response = await makeRequest('GET', '/transactions/tags', null, null, options);
+    const tags = response.data?.tags;
+    if (!Array.isArray(tags)) {
+      log.warn('Tags response had no list', response.data);
+      return [];
+    }
+    return tags;
+  } catch (error) {
+    log.error('Failed to fetch tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find rows of a pending import that already look like something in the ledger (nothing is saved)
+ * @param {Array<object>} transactions - Transaction payloads
+ * @param {object} options - Additional request options
+ * @returns {Promise<Map>} Row index -> [{ transaction, score, reasons }], best match first
+ */
+export const checkDuplicates = async (transactions, options = {}) => {
+  const matches = new Map();
+
+  try {
+    for (let offset = 0; offset < transactions.length; offset += BULK_CREATE_CHUNK) {
+      const chunk = transactions.slice(offset, offset + BULK_CREATE_CHUNK);
+      const response = await makeRequest('POST', '/transactions/duplicates/check', { transactions: chunk }, null, options);
+      (response.data?.matches || []).forEach(match => matches.set(match.index + offset, match.duplicates || []));
+    }
+
+    log.info(`${matches.size} of ${transactions.length} row(s) look like existing transactions`);
+    return matches;
+  } catch (error) {
+    log.error('Failed to check for duplicate transactions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Settle a flagged repeat
+ * @param {string} id - ID of the flagged transaction (not the original)
+ * @param {string} action - merge (fold it into the original), keep (both are real) or discard
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { transaction, removed } - the surviving transaction and the one moved to the trash, if any
+ */
+export const resolveDuplicate = async (id, action, options = {}) => {
+  if (!id) throw new Error('Transaction ID is required');
+  if (!DUPLICATE_ACTIONS.includes(action)) {
+    throw new Error(`Action must be one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+  }
+
+  try {
+    log.info(`Resolving duplicate ${id}: ${action}`);
+    const response = await makeRequest('POST', `/transactions/${id}/duplicate`, { action }, null, options);
+    const source = `POST /transactions/${id}/duplicate`;
+    const transaction = extractSavedTransaction(response.data, source);
+
+    window.dispatchEvent(new CustomEvent('transactionUpdated', {
+      detail: response.data?.removed
+        ? { action: 'deleted', transactionId: id, transaction }
+        : { action: 'updated', transaction }
+    }));
+    invalidateTransactionQueries();
+    announceTrashed([response.data?.trashId], action === 'merge' ? 'Duplicate merged' : 'Duplicate discarded');
+
+    return { transaction, removed: response.data?.removed || null };
+  } catch (error) {
+    log.error(`Failed to resolve duplicate ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
- * Bulk delete transactions
+ * Move several transactions to the trash
  * @param {Array<string>} ids - Array of transaction IDs
  * @param {object} options - Additional request options
  * @returns {Promise<object>} Deletion result
@@ -394,12 +548,14 @@ export const bulkDeleteTransactions = async (ids, options = {}) => {
     
     const response = await makeRequest('POST', '/transactions/bulk-delete', { ids }, null, options);
     
-    log.success(`Successfully deleted ${ids.length} transactions`);
+    log.success(`Moved ${ids.length} transactions to the trash`);
     
     // Dispatch event for other components
     window.dispatchEvent(new CustomEvent('transactionUpdated', { 
       detail: { action: 'bulk-deleted', transactionIds: ids } 
     }));
+    invalidateTransactionQueries();
+    announceTrashed(response.data?.trashIds, `${ids.length} transaction${ids.length === 1 ? '' : 's'} deleted`);
     
     return response.data;
   } catch (error) {
@@ -410,13 +566,21 @@ export const bulkDeleteTransactions = async (ids, options = {}) => {
 
 /**
  * Search transactions
- * @param {object} searchCriteria - Search parameters
- * @param {object} options - Additional request options
+ * @param {object} searchCriteria - Search parameters; `expression` takes a search expression such as
+ *   `category:Food amount>500 "swiggy"`, whose filters apply on top of the other criteria
+ * @param {object} options - Additional request options ({ accounts } resolves account: names)
  * @returns {Promise<Array>} Array of matching transactions
  */
-export const searchTransactions = async (searchCriteria = {}, options = {}) => {
+export const searchTransactions = async (searchCriteria = {}, { accounts, ...options } = {}) => {
   try {
     log.info('Searching transactions with criteria:', searchCriteria);
+
+    let expressionFilters = {};
+    if (searchCriteria.expression) {
+      const parsed = parseSearchQuery(searchCriteria.expression, { accounts });
+      if (parsed.errors.length > 0) throw new Error(parsed.errors[0]);
+      expressionFilters = ledgerParams(parsed.filters);
+    }
     
     const params = {
       q: searchCriteria.query || '',
@@ -437,13 +601,17 @@ export const searchTransactions = async (searchCriteria = {}, options = {}) => {
         delete params[key];
       }
     });
+
+    // Free text from both the query and the expression must all match
+    const terms = [...[].concat(params.q || []), ...[].concat(expressionFilters.q || [])];
+    const merged = { ...params, ...expressionFilters, ...(terms.length > 0 && { q: terms }) };
     
-    const response = await makeRequest('GET', '/transactions/search', null, params, options);
+    const response = await makeRequest('GET', '/transactions/search', null, merged, { ...LEDGER_REQUEST_OPTIONS, ...options });
     
-    const results = response.data?.data || response.data || [];
+    const results = parseList('transaction', response.data, { source: 'GET /transactions/search', envelope: 'data' });
     log.success(`Found ${results.length} transactions matching criteria`);
     
-    return Array.isArray(results) ? results : [];
+    return results;
   } catch (error) {
     log.error('Failed to search transactions:', error);
     throw error;
@@ -456,6 +624,8 @@ export {
   INCOME_CATEGORIES, 
   VALID_CATEGORIES,
   VALID_TYPES,
+  DEFAULT_PAGE_SIZE,
+  DUPLICATE_ACTIONS,
   log as transactionApiLog,
   getAuthHeaders,
   parseErrorResponse
@@ -0,0 +1,145 @@
+// src/api/trashApi.js - API functions for the trash: deleted records stay restorable until they are purged
+import { apiRequest as makeRequest } from './api';
+import {
+  invalidateTransactionQueries,
+  invalidateBudgetQueries,
+  invalidateTrashQueries
+} from './queryClient';
+import { parseList } from './schemas';
+
+const DEBUG_MODE = process.env.NODE_ENV === 'development';
+
+const log = {
+  info: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`ℹ️ [TrashAPI] ${message}`, ...args);
+  },
+  warn: (message, ...args) => {
+    console.warn(`⚠️ [TrashAPI] ${message}`, ...args);
+  },
+  error: (message, ...args) => {
+    console.error(`❌ [TrashAPI] ${message}`, ...args);
+  },
+  success: (message, ...args) => {
+    if (DEBUG_MODE) console.log(`✅ [TrashAPI] ${message}`, ...args);
+  }
+};
+
+export const TRASH_TYPES = {
+  transaction: { label: 'Transaction', icon: '💳' },
+  budget: { label: 'Budget', icon: '🎯' },
+  splitExpense: { label: 'Split expense', icon: '🧾' },
+  debt: { label: 'Debt', icon: '🤝' }
+};
+
+// Event the undo toast listens for; detail is { trashIds, message }
+export const TRASHED_EVENT = 'itemsTrashed';
+
+/**
+ * Tell the undo toast that something just went to the trash
+ * @param {Array<string>} trashIds - Trash entry IDs returned by the delete
+ * @param {string} message - What was deleted, e.g. "Transaction deleted"
+ */
+export const announceTrashed = (trashIds, message) => {
+  const ids = (trashIds || []).filter(Boolean);
+  if (ids.length === 0) return;
+  invalidateTrashQueries();
+  window.dispatchEvent(new CustomEvent(TRASHED_EVENT, { detail: { trashIds: ids, message } }));
+};
+
+// Split expenses and debts are kept fresh by their pages' realtime subscriptions
+const refreshRestored = (types) => {
+  if (types.includes('transaction')) {
+    window.dispatchEvent(new CustomEvent('transactionUpdated', { detail: { action: 'restored' } }));
+    invalidateTransactionQueries();
+  }
+  if (types.includes('budget')) invalidateBudgetQueries();
+  invalidateTrashQueries();
+};
+
+/**
+ * Fetch the trash, most recently deleted first
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { items, retentionDays }
+ */
+export const fetchTrash = async (options = {}) => {
+  try {
+    log.info('Fetching trash');
+    const response = await makeRequest('GET', '/trash', null, null, options);
+    return {
+      items: parseList('trashItem', response.data, { source: 'GET /trash' }),
+      retentionDays: response.data?.retentionDays ?? null
+    };
+  } catch (error) {
+    log.error('Failed to fetch trash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Put deleted records back. Items that cannot be restored (e.g. a budget for a month that has
+ * a new one) are reported in errors and the rest still go back.
+ * @param {Array<string>} ids - Trash entry IDs
+ * @param {object} options - Additional request options
+ * @returns {Promise<object>} { restored, errors, message }
+ */
+export const restoreTrashItems = async (ids, options = {}) => {
+  if (!Array.isArray(ids) || ids.length === 0) throw new Error('Trash item IDs array is required');
+
+  try {
+    log.info(`Restoring ${ids.length} items`);
+    const response = await makeRequest('POST', '/trash/restore', { ids }, null, options);
+    const { restored = [], errors = [], message } = response.data || {};
+    log.success(message, errors);
+    refreshRestored(restored.map(item => item.type));
+    return { restored, errors, message };
+  } catch (error) {
+    log.error('Failed to restore items:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete one trashed record permanently
+ * @param {string} id - Trash entry ID
+ * @param {object} options - Additional request options
+ * @returns {Promise<boolean>} Success status
+ */
+export const purgeTrashItem = async (id, options = {}) => {
+  if (!id) throw new Error('Trash item ID is required');
+
+  try {
+    await makeRequest('DELETE', `/trash/${id}`, null, null, options);
+    invalidateTrashQueries();
+    return true;
+  } catch (error) {
+    log.error(`Failed to purge trash item ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete everything in the trash permanently
+ * @param {object} options - Additional request options
+ * @returns {Promise<number>} Number of items purged
+ */
+export const emptyTrash = async (options = {}) => {
+  try {
+    log.info('Emptying trash');
+    const response = await makeRequest('DELETE', '/trash', null, null, options);
+    invalidateTrashQueries();
+    return response.data?.purgedCount ?? 0;
+  } catch (error) {
+    log.error('Failed to empty trash:', error);
+    throw error;
+  }
+};
+
+export default {
+  TRASH_TYPES,
+  TRASHED_EVENT,
+  announceTrashed,
+  fetchTrash,
+  restoreTrashItems,
+  purgeTrashItem,
+  emptyTrash
+};
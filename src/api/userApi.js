@@ -1,5 +1,5 @@
 // src/api/userApi.js - Fixed with rate limiting and better caching
-import API from './api';
+import API, { withAbortSignal } from './api';
 
 // Debug logging utility
 const isDevelopment = process.env.NODE_ENV === 'development';
@@ -97,45 +97,36 @@ const clearCachedData = (key) => {
 
 // ==================== FRIENDS MANAGEMENT ====================
 
-export const fetchFriends = async () => {
+export const fetchFriends = async (options = {}) => {
   const cacheKey = 'friends';
   
   try {
     // Check cache first
     const cached = getCachedData(cacheKey);
     if (cached) {
-      return { friends: cached, success: true, fromCache: true };
+      return cached;
     }
 
     // Check rate limit
     if (!trackRequest('/friends')) {
-      debugLog.warning('Rate limit hit for friends endpoint, returning cached data');
-      const fallback = getCachedData(cacheKey) || [];
-      return { friends: fallback, success: false, fromCache: true, message: 'Rate limited' };
+      throw new Error('Rate limit exceeded. Please try again later.');
     }
 
     debugLog.info('Fetching friends...');
-    const response = await API.get('/friends');
-    const friends = response.data?.friends || response.data?.data || response.data || [];
+    const response = await API.get('/friends', options);
+    const friends = Array.isArray(response.data?.friends) ? response.data.friends : [];
     
     setCachedData(cacheKey, friends);
     debugLog.success(`Fetched ${friends.length} friends`);
-    return { friends: Array.isArray(friends) ? friends : [], success: true };
+    return friends;
   } catch (error) {
+    if (error.isAborted) throw error;
     debugLog.error('Error fetching friends', error);
-    
-    // Return cached friends if available
-    const cached = getCachedData(cacheKey);
-    if (cached) {
-      debugLog.warning('Returning cached friends data');
-      return { friends: cached, success: false, fromCache: true, message: 'Using cached data' };
-    }
-
-    return { friends: [], success: false, message: error.message };
+    throw error;
   }
 };
 
-export const addFriend = async (friendId) => {
+export const addFriend = async (friendId, options = {}) => {
   try {
     if (!friendId) throw new Error('Friend ID required');
     
@@ -145,7 +136,7 @@ export const addFriend = async (friendId) => {
     }
 
     debugLog.info(`Adding friend: ${friendId}`);
-    const response = await API.post('/friends/add', { friendId });
+    const response = await API.post('/friends/add', { friendId }, options);
     debugLog.success('Friend added successfully');
 
     // Clear friends cache to force refresh
@@ -153,12 +144,13 @@ export const addFriend = async (friendId) => {
 
     return response.data;
   } catch (error) {
+    if (error.isAborted) throw error;
     debugLog.error('Error adding friend', error);
-    throw new Error(getErrorMessage(error, 'Failed to add friend'));
+    throw error;
   }
 };
 
-export const removeFriend = async (friendId) => {
+export const removeFriend = async (friendId, options = {}) => {
   try {
     if (!friendId) throw new Error('Friend ID required');
     
@@ -168,7 +160,7 @@ export const removeFriend = async (friendId) => {
     }
 
     debugLog.info(`Removing friend: ${friendId}`);
-    const response = await API.delete(`/friends/${encodeURIComponent(friendId)}`);
+    const response = await API.delete(`/friends/${encodeURIComponent(friendId)}`, options);
     debugLog.success('Friend removed successfully');
 
     // Clear friends cache to force refresh
@@ -176,8 +168,9 @@ export const removeFriend = async (friendId) => {
 
     return response.data;
   } catch (error) {
+    if (error.isAborted) throw error;
     debugLog.error('Error removing friend', error);
-    throw new Error(getErrorMessage(error, 'Failed to remove friend'));
+    throw error;
   }
 };
 
@@ -199,7 +192,8 @@ const normalizeUser = (raw) => {
   };
 };
 
-export const getUserProfile = async (forceRefresh = false) => {
+// The server request is shared between concurrent callers, so a caller's signal only stops its own wait
+export const getUserProfile = async (forceRefresh = false, options = {}) => {
   const cacheKey = 'user_profile';
   const endpoint = '/auth/me'; // Use only the primary endpoint
 
@@ -207,7 +201,7 @@ export const getUserProfile = async (forceRefresh = false) => {
     // Check for active request to prevent duplicates
     if (activeRequests.has(endpoint)) {
       debugLog.info('Request already in progress, waiting...');
-      return await activeRequests.get(endpoint);
+      return await withAbortSignal(activeRequests.get(endpoint), options.signal);
     }
 
     // Check cache first (unless force refresh)
@@ -215,7 +209,7 @@ export const getUserProfile = async (forceRefresh = false) => {
       const cached = getCachedData(cacheKey);
       if (cached) {
         debugLog.success('User profile loaded from cache');
-        return { user: cached, success: true, fromCache: true };
+        return cached;
       }
     }
 
@@ -228,7 +222,7 @@ export const getUserProfile = async (forceRefresh = false) => {
           if (user && user.id) {
             debugLog.success('User profile loaded from localStorage');
             setCachedData(cacheKey, user); // Update cache
-            return { user, success: true, fromCache: true };
+            return user;
           }
         } catch (parseError) {
           debugLog.error('Failed to parse stored user data', parseError);
@@ -239,14 +233,7 @@ export const getUserProfile = async (forceRefresh = false) => {
 
     // Check rate limit before making API call
     if (!trackRequest(endpoint)) {
-      debugLog.warning('Rate limit hit for user profile, using cached data');
-      const fallback = getCachedData(cacheKey);
-      if (fallback) {
-        return { user: fallback, success: false, fromCache: true, message: 'Rate limited' };
-      }
-      // Return guest user if no cache available
-      const guestUser = createGuestUser();
-      return { user: guestUser, success: false, message: 'Rate limited', isGuest: true };
+      throw new Error('Rate limit exceeded. Please try again later.');
     }
 
     // Create promise for this request
@@ -266,7 +253,7 @@ export const getUserProfile = async (forceRefresh = false) => {
         setCachedData(cacheKey, user);
         localStorage.setItem('user', JSON.stringify(user));
 
-        return { user, success: true, fromCache: false };
+        return user;
       } finally {
         // Always clean up active request
         activeRequests.delete(endpoint);
@@ -276,45 +263,21 @@ export const getUserProfile = async (forceRefresh = false) => {
     // Store the promise to prevent duplicate requests
     activeRequests.set(endpoint, requestPromise);
     
-    return await requestPromise;
+    return await withAbortSignal(requestPromise, options.signal);
 
   } catch (error) {
+    // Only this caller stopped waiting; the shared request is still in flight
+    if (error.isAborted) throw error;
+
     // Clean up on error
     activeRequests.delete(endpoint);
     
     debugLog.error('Error fetching profile from server', error);
-
-    // Try cached data first
-    const cached = getCachedData(cacheKey);
-    if (cached) {
-      debugLog.success('Loaded user from cache after error');
-      return { user: cached, success: true, fromCache: true };
-    }
-
-    // Fallback to localStorage
-    const stored = localStorage.getItem('user');
-    if (stored) {
-      try {
-        const user = normalizeUser(JSON.parse(stored));
-        if (user && user.id) {
-          debugLog.success('Loaded user from localStorage after error');
-          setCachedData(cacheKey, user);
-          return { user, success: true, fromCache: true };
-        }
-      } catch (parseError) {
-        debugLog.error('Failed to parse stored user data', parseError);
-        localStorage.removeItem('user');
-      }
-    }
-
-    // Create a guest user as last resort
-    const guestUser = createGuestUser();
-    debugLog.warning('Created guest user as fallback');
-    return { user: guestUser, success: false, message: error.message, isGuest: true };
+    throw error;
   }
 };
 
-export const updateUserProfile = async (data) => {
+export const updateUserProfile = async (data, options = {}) => {
   try {
     // Validate input data
     if (!data || typeof data !== 'object') {
@@ -334,7 +297,7 @@ export const updateUserProfile = async (data) => {
     }
 
     debugLog.info(`Updating profile for user: ${userId}`, data);
-    const response = await API.put(`/users/${userId}`, data);
+    const response = await API.put(`/users/${userId}`, data, options);
     const updated = normalizeUser(response.data?.user || response.data);
 
     if (!updated) {
@@ -346,14 +309,15 @@ export const updateUserProfile = async (data) => {
     localStorage.setItem('user', JSON.stringify(updated));
 
     debugLog.success('Profile updated successfully', updated);
-    return { user: updated, success: true };
+    return updated;
   } catch (error) {
+    if (error.isAborted) throw error;
     debugLog.error('Error updating profile', error);
-    throw new Error(getErrorMessage(error, 'Failed to update profile'));
+    throw error;
   }
 };
 
-export const getUserById = async (id) => {
+export const getUserById = async (id, options = {}) => {
   try {
     if (!id) throw new Error('User ID is required');
 
@@ -370,7 +334,7 @@ export const getUserById = async (id) => {
     }
 
     debugLog.info(`Fetching user by ID: ${id}`);
-    const response = await API.get(`/users/${encodeURIComponent(id)}`);
+    const response = await API.get(`/users/${encodeURIComponent(id)}`, options);
     const user = normalizeUser(response.data?.user || response.data);
 
     if (!user) {
@@ -383,21 +347,22 @@ export const getUserById = async (id) => {
     debugLog.success(`User fetched: ${user.name}`);
     return user;
   } catch (error) {
+    if (error.isAborted) throw error;
     debugLog.error('Error fetching user by ID', error);
-    throw new Error(getErrorMessage(error, 'Failed to fetch user'));
+    throw error;
   }
 };
 
 // ==================== AUTH ====================
 
-export const loginUser = async (credentials) => {
+export const loginUser = async (credentials, options = {}) => {
   try {
     if (!credentials || !credentials.email || !credentials.password) {
       throw new Error('Email and password are required');
     }
 
     debugLog.info('Attempting user login...');
-    const response = await API.post('/auth/login', credentials);
+    const response = await API.post('/auth/login', credentials, options);
     const { user, token } = response.data;
 
     if (!user || !token) {
@@ -414,21 +379,22 @@ export const loginUser = async (credentials) => {
     if (token) localStorage.setItem('authToken', token);
 
     debugLog.success('Login successful', { userId: normalized?.id, name: normalized?.name });
-    return { user: normalized, token, success: true };
+    return { user: normalized, token };
   } catch (error) {
+    if (error.isAborted) throw error;
     debugLog.error('Login failed', error);
-    throw new Error(getErrorMessage(error, 'Login failed'));
+    throw error;
   }
 };
 
-export const registerUser = async (data) => {
+export const registerUser = async (data, options = {}) => {
   try {
     if (!data || !data.email || !data.password || !data.name) {
       throw new Error('Name, email and password are required');
     }
 
     debugLog.info('Attempting user registration...');
-    const response = await API.post('/auth/register', data);
+    const response = await API.post('/auth/register', data, options);
     const { user, token } = response.data;
 
     if (!user) {
@@ -445,35 +411,27 @@ export const registerUser = async (data) => {
     if (token) localStorage.setItem('authToken', token);
 
     debugLog.success('Registration successful', { userId: normalized?.id, name: normalized?.name });
-    return { user: normalized, token, success: true };
+    return { user: normalized, token };
   } catch (error) {
+    if (error.isAborted) throw error;
     debugLog.error('Registration failed', error);
-    throw new Error(getErrorMessage(error, 'Registration failed'));
+    throw error;
   }
 };
 
 export const logoutUser = async () => {
-  try {
-    debugLog.info('Logging out user...');
-
-    // Try to call logout endpoint if available
-    try {
-      await API.post('/auth/logout');
-    } catch (error) {
-      debugLog.warning('Server logout endpoint failed, proceeding with local logout');
-    }
-
-    // Clear all local data
-    clearUserData();
-    debugLog.success('User logged out successfully');
+  debugLog.info('Logging out user...');
 
-    return { success: true };
+  // Local data is cleared even when the server logout fails
+  try {
+    await API.post('/auth/logout');
   } catch (error) {
-    debugLog.error('Error during logout', error);
-    // Even if server logout fails, clear local data
+    debugLog.warning('Server logout endpoint failed, proceeding with local logout');
+  } finally {
     clearUserData();
-    return { success: false, message: error.message };
   }
+
+  debugLog.success('User logged out successfully');
 };
 
 // ==================== UTILITIES ====================
@@ -526,23 +484,6 @@ export const clearUserData = () => {
 
 // ==================== HELPER FUNCTIONS ====================
 
-// Extract meaningful error messages
-const getErrorMessage = (error, defaultMessage = 'An error occurred') => {
-  if (error?.response?.status === 429) {
-    return 'Too many requests. Please wait a moment and try again.';
-  }
-  if (error?.response?.data?.message) {
-    return error.response.data.message;
-  }
-  if (error?.response?.data?.error) {
-    return error.response.data.error;
-  }
-  if (error?.message) {
-    return error.message;
-  }
-  return defaultMessage;
-};
-
 // Create a guest user for offline mode
 const createGuestUser = () => {
   return {
@@ -589,9 +530,9 @@ const isValidEmail = (email) => {
 };
 
 // Health check for user API
-export const checkUserAPIHealth = async () => {
+export const checkUserAPIHealth = async (options = {}) => {
   try {
-    const response = await API.get('/health');
+    const response = await API.get('/health', options);
     return { healthy: true, data: response.data };
   } catch (error) {
     return { healthy: false, error: error.message };
@@ -599,9 +540,9 @@ export const checkUserAPIHealth = async () => {
 };
 
 // Refresh user data (force refresh)
-export const refreshUserProfile = async () => {
+export const refreshUserProfile = async (options = {}) => {
   debugLog.info('Force refreshing user profile...');
-  return await getUserProfile(true);
+  return await getUserProfile(true, options);
 };
 
 // Get rate limit status
@@ -0,0 +1,342 @@
+import React, { useState } from 'react';
+import './AccountsPanel.css';
+import { useAccountsQuery, useAccountLedgerQuery } from '../hooks/useLedgerQueries';
+import {
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  createTransfer,
+  deleteTransfer,
+  accountTypeIcon,
+  ACCOUNT_TYPES
+} from '../api/accountApi';
+
+const EMPTY_ACCOUNT = { name: '', type: 'bank', openingBalance: '' };
+const EMPTY_TRANSFER = { fromAccountId: '', toAccountId: '', amount: '', date: '', note: '' };
+// Running balance rows shown before "Show more"
+const LEDGER_PREVIEW = 10;
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const formatMoney = (symbol, value) => `${value < 0 ? '-' : ''}${symbol}${Math.abs(value).toFixed(2)}`;
+
+/**
+ * Running balance of one account: every transaction and transfer, newest first
+ */
+const AccountLedger = ({ account, currencySymbol, onDeleteTransfer }) => {
+  const ledgerQuery = useAccountLedgerQuery(account._id);
+  const [showAll, setShowAll] = useState(false);
+  const entries = ledgerQuery.data || [];
+
+  if (ledgerQuery.isLoading) return <div className="account-ledger-empty">⏳ Loading...</div>;
+  if (ledgerQuery.isError) return <div className="alert error">⚠️ {ledgerQuery.error.message}</div>;
+  if (entries.length === 0) {
+    return <div className="account-ledger-empty">Nothing recorded yet; the balance is the opening balance.</div>;
+  }
+
+  return (
+    <table className="transaction-table account-ledger">
+      <tbody>
+        {(showAll ? entries : entries.slice(0, LEDGER_PREVIEW)).map(entry => (
+          <tr key={`${entry.kind}:${entry._id}`}>
+            <td className="date">{formatDay(entry.date)}</td>
+            <td>
+              {entry.kind === 'transfer' && <span className="badge transfer">⇄ Transfer</span>}
+              {entry.title}
+            </td>
+            <td className={entry.amount >= 0 ? 'row-income' : 'row-expense'}>
+              {entry.amount >= 0 ? '+' : '-'}{currencySymbol}{Math.abs(entry.amount).toFixed(2)}
+            </td>
+            <td className="account-ledger-balance">{formatMoney(currencySymbol, entry.balance)}</td>
+            <td className="center">
+              {entry.kind === 'transfer' && (
+                <button type="button" className="sync-resolve-btn" onClick={() => onDeleteTransfer(entry)}>
+                  Delete
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+        {entries.length > LEDGER_PREVIEW && (
+          <tr>
+            <td colSpan={5} className="center">
+              <button type="button" className="sync-resolve-btn" onClick={() => setShowAll(!showAll)}>
+                {showAll ? 'Show less' : `Show all ${entries.length}`}
+              </button>
+            </td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * Accounts on the Transactions page: balances, adding and archiving accounts, and transfers between them
+ * @param {Function} onSelectAccount - Narrow the ledger below to one account
+ */
+const AccountsPanel = ({ currencySymbol = '₹', onSelectAccount }) => {
+  const accountsQuery = useAccountsQuery({ includeArchived: true });
+  const [accountForm, setAccountForm] = useState(null);
+  const [transferForm, setTransferForm] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  if (accountsQuery.isLoading) return null;
+
+  const accounts = accountsQuery.data || [];
+  const openAccounts = accounts.filter(account => !account.archived);
+  const archivedCount = accounts.length - openAccounts.length;
+  const visible = showArchived ? accounts : openAccounts;
+  const total = openAccounts.reduce((sum, account) => sum + account.balance, 0);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      if (message) {
+        setSuccess(message);
+        setTimeout(() => setSuccess(''), 4000);
+      }
+    } catch (actionError) {
+      console.error('Account action failed:', actionError);
+      setError(actionError.message || 'Failed to update accounts');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveAccount = (e) => {
+    e.preventDefault();
+    const changes = {
+      name: accountForm.name,
+      type: accountForm.type,
+      openingBalance: accountForm.openingBalance === '' ? 0 : parseFloat(accountForm.openingBalance)
+    };
+    run(async () => {
+      if (accountForm.id) await updateAccount(accountForm.id, changes);
+      else await createAccount(changes);
+      setAccountForm(null);
+    }, accountForm.id ? 'Account updated' : 'Account added 🏦');
+  };
+
+  const handleSaveTransfer = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await createTransfer({
+        fromAccountId: transferForm.fromAccountId,
+        toAccountId: transferForm.toAccountId,
+        amount: parseFloat(transferForm.amount),
+        note: transferForm.note.trim(),
+        ...(transferForm.date && { date: new Date(`${transferForm.date}T12:00:00`).toISOString() })
+      });
+      setTransferForm(null);
+    }, 'Transfer recorded ⇄');
+  };
+
+  const handleArchive = (account) => run(
+    () => updateAccount(account._id, { archived: !account.archived }),
+    account.archived ? `${account.name} restored` : `${account.name} archived`
+  );
+
+  const handleDelete = (account) => {
+    if (!window.confirm(`Delete ${account.name}? Accounts with transactions or transfers can only be archived.`)) return;
+    run(() => deleteAccount(account._id), `${account.name} deleted`);
+  };
+
+  const handleDeleteTransfer = (entry) => {
+    if (!window.confirm(`Delete "${entry.title}"? Both account balances change back.`)) return;
+    run(() => deleteTransfer(entry._id), 'Transfer deleted');
+  };
+
+  const startTransfer = () => setTransferForm({
+    ...EMPTY_TRANSFER,
+    fromAccountId: openAccounts[0]?._id || '',
+    toAccountId: openAccounts[1]?._id || ''
+  });
+
+  return (
+    <div className="accounts-panel">
+      <div className="accounts-header">
+        <div>
+          <h3>🏦 Accounts ({openAccounts.length})</h3>
+          {openAccounts.length > 0 && (
+            <p className="accounts-hint">
+              Total balance <strong className={total < 0 ? 'row-expense' : undefined}>{formatMoney(currencySymbol, total)}</strong>
+              {' '}· transfers move money between accounts without counting as income or expense
+            </p>
+          )}
+        </div>
+        <div className="accounts-header-actions">
+          {openAccounts.length >= 2 && (
+            <button type="button" className="sync-resolve-btn" onClick={startTransfer} disabled={busy}>
+              ⇄ Transfer
+            </button>
+          )}
+          <button type="button" className="sync-resolve-btn" onClick={() => setAccountForm({ ...EMPTY_ACCOUNT })} disabled={busy}>
+            ➕ Add Account
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="alert error">⚠️ {error}</div>}
+      {success && <div className="alert success">✅ {success}</div>}
+
+      {accountForm && (
+        <form className="accounts-form" onSubmit={handleSaveAccount}>
+          <input
+            type="text"
+            placeholder="Account name (e.g. HDFC Savings)"
+            value={accountForm.name}
+            onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+            required
+            disabled={busy}
+          />
+          <select
+            value={accountForm.type}
+            onChange={(e) => setAccountForm({ ...accountForm, type: e.target.value })}
+            disabled={busy}
+          >
+            {ACCOUNT_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.icon} {type.label}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            placeholder="Opening balance"
+            title="Balance before the first transaction recorded here; negative for a card with a bill on it"
+            value={accountForm.openingBalance}
+            onChange={(e) => setAccountForm({ ...accountForm, openingBalance: e.target.value })}
+            disabled={busy}
+          />
+          <button type="submit" className="sync-resolve-btn" disabled={busy}>
+            {accountForm.id ? 'Save' : 'Add'}
+          </button>
+          <button type="button" className="sync-resolve-btn" onClick={() => setAccountForm(null)} disabled={busy}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {transferForm && (
+        <form className="accounts-form" onSubmit={handleSaveTransfer}>
+          <select
+            value={transferForm.fromAccountId}
+            onChange={(e) => setTransferForm({ ...transferForm, fromAccountId: e.target.value })}
+            title="From"
+            disabled={busy}
+          >
+            {openAccounts.map(account => <option key={account._id} value={account._id}>From: {account.name}</option>)}
+          </select>
+          <select
+            value={transferForm.toAccountId}
+            onChange={(e) => setTransferForm({ ...transferForm, toAccountId: e.target.value })}
+            title="To"
+            disabled={busy}
+          >
+            {openAccounts.map(account => <option key={account._id} value={account._id}>To: {account.name}</option>)}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0.01"
+            placeholder="Amount"
+            value={transferForm.amount}
+            onChange={(e) => setTransferForm({ ...transferForm, amount: e.target.value })}
+            required
+            disabled={busy}
+          />
+          <input
+            type="date"
+            title="Date (defaults to today)"
+            value={transferForm.date}
+            onChange={(e) => setTransferForm({ ...transferForm, date: e.target.value })}
+            disabled={busy}
+          />
+          <input
+            type="text"
+            placeholder="Note (e.g. Card bill)"
+            value={transferForm.note}
+            onChange={(e) => setTransferForm({ ...transferForm, note: e.target.value })}
+            disabled={busy}
+          />
+          <button type="submit" className="sync-resolve-btn" disabled={busy}>Record</button>
+          <button type="button" className="sync-resolve-btn" onClick={() => setTransferForm(null)} disabled={busy}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {accounts.length === 0 ? (
+        <p className="accounts-hint">
+          Add the places your money lives (a bank account, a card, a wallet) to track a balance for each.
+        </p>
+      ) : (
+        <div className="accounts-list">
+          {visible.map(account => (
+            <div key={account._id} className={`account-row${account.archived ? ' archived' : ''}`}>
+              <div className="account-summary">
+                <span className="account-icon">{accountTypeIcon(account.type)}</span>
+                <div className="account-name">
+                  <strong>{account.name}</strong>
+                  <small>
+                    {ACCOUNT_TYPES.find(type => type.value === account.type)?.label}
+                    {account.archived && ' · archived'}
+                  </small>
+                </div>
+                <span className={`account-balance${account.balance < 0 ? ' negative' : ''}`}>
+                  {formatMoney(currencySymbol, account.balance)}
+                </span>
+                <div className="account-actions">
+                  <button
+                    type="button"
+                    className="sync-resolve-btn"
+                    onClick={() => setExpandedId(expandedId === account._id ? null : account._id)}
+                  >
+                    {expandedId === account._id ? 'Hide' : 'Running balance'}
+                  </button>
+                  {onSelectAccount && (
+                    <button type="button" className="sync-resolve-btn" onClick={() => onSelectAccount(account._id)}>
+                      Transactions
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="sync-resolve-btn"
+                    onClick={() => setAccountForm({ id: account._id, name: account.name, type: account.type, openingBalance: String(account.openingBalance) })}
+                    disabled={busy}
+                  >
+                    Edit
+                  </button>
+                  <button type="button" className="sync-resolve-btn" onClick={() => handleArchive(account)} disabled={busy}>
+                    {account.archived ? 'Restore' : 'Archive'}
+                  </button>
+                  <button type="button" className="sync-resolve-btn" onClick={() => handleDelete(account)} disabled={busy}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+              {expandedId === account._id && (
+                <AccountLedger account={account} currencySymbol={currencySymbol} onDeleteTransfer={handleDeleteTransfer} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {archivedCount > 0 && (
+        <button type="button" className="accounts-toggle-archived" onClick={() => setShowArchived(!showArchived)}>
+          {showArchived ? 'Hide archived accounts' : `Show ${archivedCount} archived account${archivedCount === 1 ? '' : 's'}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AccountsPanel;
@@ -3,93 +3,72 @@ import { Calendar, momentLocalizer } from 'react-big-calendar';
 import moment from 'moment';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
 import './CalendarView.css';
-import { fetchTransactions } from '../api/transactionApi';
 import { fetchSplitExpenses } from '../api/splitExpenseApi';
+import { useTransactionsQuery, useUpcomingOccurrencesQuery, useRecurringRulesQuery } from '../hooks/useLedgerQueries';
+import { skipOccurrence, restoreOccurrence, endRecurringRule, describeSchedule } from '../api/recurringApi';
+import { useRealtime } from '../hooks/useRealtime';
+import { useAbortSignal } from '../hooks/useAbortSignal';
 
 const localizer = momentLocalizer(moment);
 
+// Days shown by each view, so upcoming recurring instances are fetched for exactly that window
+const visibleRange = (date, view) => {
+  const current = moment(date);
+  if (view === 'agenda') return [current.clone().startOf('day'), current.clone().add(30, 'days').endOf('day')];
+  if (view === 'day') return [current.clone().startOf('day'), current.clone().endOf('day')];
+  // The month grid also shows the tail of the previous month and the start of the next
+  const unit = view === 'month' ? 'month' : 'week';
+  return [current.clone().startOf(unit).startOf('week'), current.clone().endOf(unit).endOf('week')];
+};
+
 const CalendarView = () => {
-  const [events, setEvents] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [splitExpenses, setSplitExpenses] = useState([]);
+  const [splitLoading, setSplitLoading] = useState(true);
   const [error, setError] = useState(null);
   const [view, setView] = useState('month');
   const [date, setDate] = useState(new Date());
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [showModal, setShowModal] = useState(false);
 
-  // Fetch data from database
-  const fetchCalendarData = useCallback(async () => {
-    setLoading(true);
+  // Transactions come from the shared cache; split expenses are fetched here
+  const transactionsQuery = useTransactionsQuery();
+  const nextSignal = useAbortSignal();
+  const [recurringBusy, setRecurringBusy] = useState(false);
+
+  // Recurring instances not recorded yet; the previous window stays on screen while the next loads
+  const range = useMemo(() => {
+    const [from, to] = visibleRange(date, view);
+    return { from: from.toISOString(), to: to.toISOString() };
+  }, [date, view]);
+  const upcomingQuery = useUpcomingOccurrencesQuery(range, { keepPreviousData: true });
+  const rulesQuery = useRecurringRulesQuery();
+
+  const fetchCalendarData = useCallback(async (refreshTransactions = false) => {
+    // A newer load (or leaving the page) cancels this one
+    const signal = nextSignal('splitExpenses');
+    setSplitLoading(true);
     setError(null);
-    
-    try {
-      console.log('🔄 Fetching calendar data...');
-      
-      // Fetch transactions
-      let transactions = [];
-      try {
-        const transactionData = await fetchTransactions();
-        console.log('📊 Raw transaction response:', transactionData);
-        
-        // Handle different response structures
-        if (Array.isArray(transactionData)) {
-          transactions = transactionData;
-        } else if (transactionData?.success && transactionData?.transactions) {
-          transactions = transactionData.transactions;
-        } else if (transactionData?.transactions) {
-          transactions = transactionData.transactions;
-        } else if (transactionData?.data) {
-          transactions = transactionData.data;
-        }
-        
-        console.log('✅ Processed transactions:', transactions);
-      } catch (err) {
-        console.error('❌ Error fetching transactions:', err);
-      }
 
-      // Fetch split expenses
-      let splitExpenses = [];
-      try {
-        const splitData = await fetchSplitExpenses();
-        console.log('📊 Raw split expense response:', splitData);
-        
-        // Handle different response structures
-        if (Array.isArray(splitData)) {
-          splitExpenses = splitData;
-        } else if (splitData?.success && splitData?.expenses) {
-          splitExpenses = splitData.expenses;
-        } else if (splitData?.expenses) {
-          splitExpenses = splitData.expenses;
-        } else if (splitData?.data) {
-          splitExpenses = splitData.data;
-        }
-        
-        console.log('✅ Processed split expenses:', splitExpenses);
-      } catch (err) {
-        console.warn('⚠️ Error fetching split expenses:', err);
-        // Continue without split expenses if API fails
-      }
+    if (refreshTransactions) {
+      transactionsQuery.refetch();
+    }
 
-      // Process events
-      const transactionEvents = processTransactions(transactions);
-      const splitEvents = processSplitExpenses(splitExpenses);
-      
-      const allEvents = [...transactionEvents, ...splitEvents];
-      console.log('📅 Total calendar events:', allEvents.length, allEvents);
-      
-      setEvents(allEvents);
-      
-      if (allEvents.length === 0 && transactions.length === 0 && splitExpenses.length === 0) {
-        setError('No transactions found. Add some transactions to see them on the calendar.');
-      }
-      
+    try {
+      const expenses = await fetchSplitExpenses({ signal });
+      if (signal.aborted) return;
+      setSplitExpenses(expenses);
     } catch (err) {
-      console.error('💥 Error in fetchCalendarData:', err);
-      setError('Failed to load calendar data. Please try again.');
+      if (signal.aborted) return;
+      console.warn('⚠️ Error fetching split expenses:', err);
+      // Continue without split expenses if API fails
+      setSplitExpenses([]);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setSplitLoading(false);
     }
-  }, []);
+  }, [transactionsQuery.refetch, nextSignal]);
+
+  // Transactions refresh through the shared cache; split expenses are refetched here
+  useRealtime('splitExpense', () => fetchCalendarData());
 
   // Process transactions into calendar events
   const processTransactions = useCallback((transactions) => {
@@ -101,21 +80,8 @@ const CalendarView = () => {
     console.log(`🔄 Processing ${transactions.length} transactions...`);
     
     return transactions.map((transaction) => {
-      // Try multiple date fields
-      const dateValue = transaction.date || transaction.createdAt || transaction.updatedAt;
-      
-      if (!dateValue) {
-        console.warn('⚠️ No date found for transaction:', transaction);
-        return null;
-      }
-      
-      const eventDate = new Date(dateValue);
-      
-      // Validate date
-      if (isNaN(eventDate.getTime())) {
-        console.warn('⚠️ Invalid date for transaction:', transaction, dateValue);
-        return null;
-      }
+      // Dates are validated by the transaction schema
+      const eventDate = new Date(transaction.date);
       
       console.log('✅ Created event for transaction:', {
         title: transaction.description || transaction.title,
@@ -124,14 +90,14 @@ const CalendarView = () => {
       });
       
       return {
-        id: `transaction-${transaction._id || transaction.id || Math.random()}`,
+        id: `transaction-${transaction._id}`,
         title: transaction.description || transaction.title || 'Transaction',
         start: eventDate,
         end: eventDate,
         allDay: true,
         type: 'transaction',
-        subType: transaction.type || 'expense',
-        amount: transaction.amount || 0,
+        subType: transaction.type,
+        amount: transaction.amount,
         category: transaction.category,
         paymentMode: transaction.paymentMode,
         resource: transaction
@@ -182,6 +148,45 @@ const CalendarView = () => {
     }).filter(Boolean);
   }, []);
 
+  // Upcoming recurring instances; they are not in the ledger yet, so they stay out of the totals
+  const processOccurrences = useCallback((occurrences) => occurrences.map((occurrence) => {
+    const eventDate = new Date(occurrence.date);
+    return {
+      id: `recurring-${occurrence.ruleId}-${occurrence.occurrenceDate}`,
+      title: `🔁 ${occurrence.title}`,
+      start: eventDate,
+      end: eventDate,
+      allDay: true,
+      type: 'recurring',
+      flow: occurrence.type,
+      skipped: occurrence.skipped,
+      amount: occurrence.amount,
+      category: occurrence.category,
+      paymentMode: occurrence.paymentMode,
+      resource: occurrence
+    };
+  }), []);
+
+  const loading = splitLoading || transactionsQuery.isLoading;
+
+  const events = useMemo(() => {
+    const allEvents = [
+      ...processTransactions(transactionsQuery.data || []),
+      ...processSplitExpenses(splitExpenses),
+      ...processOccurrences(upcomingQuery.data || [])
+    ];
+    console.log('📅 Total calendar events:', allEvents.length, allEvents);
+    return allEvents;
+  }, [transactionsQuery.data, splitExpenses, upcomingQuery.data, processTransactions, processSplitExpenses, processOccurrences]);
+
+  let displayedError = error;
+  if (!displayedError && transactionsQuery.isError) {
+    console.error('💥 Error loading calendar transactions:', transactionsQuery.error);
+    displayedError = 'Failed to load calendar data. Please try again.';
+  } else if (!displayedError && !loading && events.length === 0) {
+    displayedError = 'No transactions found. Add some transactions to see them on the calendar.';
+  }
+
   // Custom event style getter
   const eventStyleGetter = useCallback((event) => {
     let backgroundColor = '#6366f1';
@@ -191,17 +196,20 @@ const CalendarView = () => {
       backgroundColor = event.subType === 'income' ? '#10b981' : '#ef4444';
     } else if (event.type === 'split') {
       backgroundColor = '#f59e0b';
+    } else if (event.type === 'recurring') {
+      backgroundColor = '#8b5cf6';
     }
 
     return {
       style: {
         backgroundColor,
         borderRadius: '6px',
-        opacity: 0.9,
+        opacity: event.skipped ? 0.45 : 0.9,
         color: textColor,
         border: 'none',
         fontSize: '12px',
-        padding: '2px 4px'
+        padding: '2px 4px',
+        ...(event.skipped && { textDecoration: 'line-through' })
       }
     };
   }, []);
@@ -213,6 +221,33 @@ const CalendarView = () => {
     setShowModal(true);
   }, []);
 
+  // Skip, restore or end the series behind an upcoming instance
+  const handleRecurringAction = useCallback(async (action) => {
+    const occurrence = selectedEvent?.resource;
+    if (!occurrence) return;
+
+    if (action === 'end' && !window.confirm(`End "${occurrence.title}"? Transactions already recorded are kept.`)) {
+      return;
+    }
+
+    setRecurringBusy(true);
+    try {
+      if (action === 'skip') await skipOccurrence(occurrence.ruleId, occurrence.occurrenceDate);
+      if (action === 'restore') await restoreOccurrence(occurrence.ruleId, occurrence.occurrenceDate);
+      if (action === 'end') await endRecurringRule(occurrence.ruleId);
+      setShowModal(false);
+    } catch (err) {
+      console.error('❌ Recurring action failed:', err);
+      setError(err.message || 'Failed to update recurring transaction');
+    } finally {
+      setRecurringBusy(false);
+    }
+  }, [selectedEvent]);
+
+  const selectedRule = selectedEvent?.type === 'recurring'
+    ? (rulesQuery.data || []).find(rule => rule._id === selectedEvent.resource.ruleId)
+    : null;
+
   // Handle slot selection
   const handleSelectSlot = useCallback(({ start, end }) => {
     console.log('📍 Slot selected:', { start, end });
@@ -302,7 +337,7 @@ const CalendarView = () => {
         </div>
         <button 
           className="refresh-button"
-          onClick={fetchCalendarData}
+          onClick={() => fetchCalendarData(true)}
           title="Refresh calendar"
         >
           🔄 Refresh
@@ -310,9 +345,9 @@ const CalendarView = () => {
       </div>
 
       {/* Error message */}
-      {error && (
+      {displayedError && (
         <div className="error-banner">
-          <p>{error}</p>
+          <p>{displayedError}</p>
         </div>
       )}
 
@@ -330,6 +365,10 @@ const CalendarView = () => {
           <span className="legend-color split"></span>
           <span>Split Expenses</span>
         </div>
+        <div className="legend-item">
+          <span className="legend-color recurring"></span>
+          <span>Upcoming Recurring</span>
+        </div>
       </div>
 
       {/* Debug info - remove in production */}
@@ -369,7 +408,11 @@ const CalendarView = () => {
         <div className="modal-overlay" onClick={() => setShowModal(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3>{selectedEvent.type === 'split' ? 'Split Expense Details' : 'Transaction Details'}</h3>
+              <h3>
+                {selectedEvent.type === 'split' ? 'Split Expense Details'
+                  : selectedEvent.type === 'recurring' ? 'Upcoming Recurring Transaction'
+                  : 'Transaction Details'}
+              </h3>
               <button 
                 className="modal-close"
                 onClick={() => setShowModal(false)}
@@ -385,7 +428,7 @@ const CalendarView = () => {
               </div>
               <div className="detail-row">
                 <label>Amount:</label>
-                <span className={`amount ${selectedEvent.subType || 'neutral'}`}>
+                <span className={`amount ${selectedEvent.subType || selectedEvent.flow || 'neutral'}`}>
                   ₹{selectedEvent.amount?.toLocaleString() || '0'}
                 </span>
               </div>
@@ -417,7 +460,35 @@ const CalendarView = () => {
                   <span className="type-badge">{selectedEvent.type}</span>
                 </div>
               )}
+              {selectedRule && (
+                <div className="detail-row">
+                  <label>Repeats:</label>
+                  <span>{describeSchedule(selectedRule)}</span>
+                </div>
+              )}
+              {selectedEvent.skipped && (
+                <div className="detail-row">
+                  <label>Status:</label>
+                  <span>Skipped</span>
+                </div>
+              )}
             </div>
+            {selectedEvent.type === 'recurring' && (
+              <div className="modal-actions">
+                {selectedEvent.skipped ? (
+                  <button type="button" onClick={() => handleRecurringAction('restore')} disabled={recurringBusy}>
+                    Restore this one
+                  </button>
+                ) : (
+                  <button type="button" onClick={() => handleRecurringAction('skip')} disabled={recurringBusy}>
+                    Skip this one
+                  </button>
+                )}
+                <button type="button" className="danger" onClick={() => handleRecurringAction('end')} disabled={recurringBusy}>
+                  End series
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
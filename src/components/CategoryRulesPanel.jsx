@@ -0,0 +1,437 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Pencil, Play, Plus, Save, Trash2, Wand2, X } from 'lucide-react';
+import './CategoryRulesPanel.css';
+import { useAccountsQuery, useCategoryRulesQuery } from '../hooks/useLedgerQueries';
+import {
+  createCategoryRule,
+  updateCategoryRule,
+  reorderCategoryRules,
+  deleteCategoryRule,
+  runCategoryRules
+} from '../api/categoryRuleApi';
+import { accountTypeIcon } from '../api/accountApi';
+import { getCategoriesForType, PAYMENT_MODES } from '../config/categoryConfig';
+import { describeRule } from '../utils/categoryRules';
+import TagInput from './TagInput';
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'expense',
+  title: '',
+  merchant: '',
+  minAmount: '',
+  maxAmount: '',
+  paymentModes: [],
+  category: '',
+  tags: [],
+  accountId: ''
+};
+
+const splitWords = (text) => String(text || '').split(',').map(word => word.trim()).filter(Boolean);
+
+const toAmount = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const toForm = (rule) => ({
+  name: rule.name,
+  type: rule.conditions.type || '',
+  title: (rule.conditions.title || []).join(', '),
+  merchant: (rule.conditions.merchant || []).join(', '),
+  minAmount: rule.conditions.minAmount ?? '',
+  maxAmount: rule.conditions.maxAmount ?? '',
+  paymentModes: rule.conditions.paymentModes || [],
+  category: rule.actions.category || '',
+  tags: rule.actions.tags || [],
+  accountId: rule.actions.accountId || ''
+});
+
+const toRule = (form) => ({
+  name: form.name.trim(),
+  conditions: {
+    title: splitWords(form.title),
+    merchant: splitWords(form.merchant),
+    minAmount: toAmount(form.minAmount),
+    maxAmount: toAmount(form.maxAmount),
+    paymentModes: form.paymentModes,
+    type: form.type || null
+  },
+  actions: {
+    category: form.category || null,
+    tags: form.tags,
+    accountId: form.accountId || null
+  }
+});
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+/**
+ * Auto-categorisation rules on the Categories page: create, edit, switch off and order them, and
+ * re-run them over transactions already in the ledger after previewing what would change. New
+ * entries, receipt scans and imports get them as they are made.
+ */
+const CategoryRulesPanel = () => {
+  const rulesQuery = useCategoryRulesQuery();
+  const accountsQuery = useAccountsQuery();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  // Re-running over history: which rules (null for all), whether to replace choices already
+  // made, and the dry run being reviewed
+  const [rerun, setRerun] = useState({ ruleIds: null, label: 'all rules', overwrite: false, preview: null });
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const rules = rulesQuery.data || [];
+  const accounts = (accountsQuery.data || []).filter(account => !account.archived);
+  const allAccounts = accountsQuery.data || [];
+  const accountName = (id) => allAccounts.find(account => account._id === id)?.name || 'an account';
+
+  const runAction = async (id, action, failure) => {
+    setBusyId(id);
+    setError('');
+    try {
+      await action();
+    } catch (actionError) {
+      console.error(failure, actionError);
+      setError(actionError.message || failure);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      if (editingId) await updateCategoryRule(editingId, toRule(form));
+      else await createCategoryRule(toRule(form));
+      resetForm();
+    } catch (saveError) {
+      setError(saveError.message || 'Failed to save rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEdit = (rule) => {
+    setEditingId(rule._id);
+    setForm(toForm(rule));
+    setError('');
+  };
+
+  const handleTypeChange = (type) => {
+    const values = type ? getCategoriesForType(type).map(category => category.value) : [];
+    setForm(prev => ({ ...prev, type, category: values.includes(prev.category) ? prev.category : '' }));
+  };
+
+  const togglePaymentMode = (mode) => setForm(prev => ({
+    ...prev,
+    paymentModes: prev.paymentModes.includes(mode)
+      ? prev.paymentModes.filter(item => item !== mode)
+      : [...prev.paymentModes, mode]
+  }));
+
+  const handleMove = (index, step) => {
+    const ids = rules.map(rule => rule._id);
+    [ids[index], ids[index + step]] = [ids[index + step], ids[index]];
+    runAction(rules[index]._id, () => reorderCategoryRules(ids), 'Failed to reorder rules');
+  };
+
+  const handleToggle = (rule) =>
+    runAction(rule._id, () => updateCategoryRule(rule._id, { enabled: !rule.enabled }), 'Failed to update rule');
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Transactions it already changed stay as they are.`)) return;
+    runAction(rule._id, async () => {
+      await deleteCategoryRule(rule._id);
+      if (editingId === rule._id) resetForm();
+    }, 'Failed to delete rule');
+  };
+
+  const preview = async (ruleIds, label, overwrite = rerun.overwrite) => {
+    setRunning(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await runCategoryRules({ ruleIds, overwrite, dryRun: true });
+      setRerun({ ruleIds, label, overwrite, preview: result });
+    } catch (runError) {
+      setError(runError.message || 'Failed to preview the rules');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      const result = await runCategoryRules({ ruleIds: rerun.ruleIds, overwrite: rerun.overwrite });
+      setMessage(`Updated ${result.count} transaction(s) with ${rerun.label}.`);
+      setRerun(prev => ({ ...prev, preview: null }));
+    } catch (runError) {
+      setError(runError.message || 'Failed to apply the rules');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const describeChange = (change) => Object.entries(change.changes).map(([field, value]) => {
+    if (field === 'tags') {
+      const added = value.slice((change.previous.tags || []).length);
+      return added.map(tag => `+#${tag}`).join(' ');
+    }
+    if (field === 'accountId') return `account: ${change.previous.accountId ? accountName(change.previous.accountId) : 'none'} → ${accountName(value)}`;
+    return `${field}: ${change.previous[field] || 'none'} → ${value}`;
+  }).join(' · ');
+
+  const categoryOptions = form.type ? getCategoriesForType(form.type) : [];
+
+  return (
+    <div className="card rules-card">
+      <div className="card-head rules-head">
+        <h2><Wand2 size={20} /> Auto-categorisation Rules</h2>
+        <p>
+          Rules fill in the category, tags and account as you add transactions, scan receipts or import
+          statements. They run top to bottom; the first to set a category or account wins. Category
+          keywords apply after them.
+        </p>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      <form className="cat-form rules-form" onSubmit={handleSubmit}>
+        <div className="row">
+          <label>Rule name</label>
+          <input
+            value={form.name}
+            onChange={e => setForm({ ...form, name: e.target.value })}
+            required
+            placeholder="e.g., Food delivery"
+            disabled={saving}
+          />
+        </div>
+
+        <fieldset className="rules-fieldset" disabled={saving}>
+          <legend>When a transaction…</legend>
+          <div className="rules-grid">
+            <div className="row">
+              <label>Is an</label>
+              <select value={form.type} onChange={e => handleTypeChange(e.target.value)}>
+                <option value="expense">Expense</option>
+                <option value="income">Income</option>
+                <option value="">Expense or income</option>
+              </select>
+            </div>
+            <div className="row">
+              <label>Title contains (any of)</label>
+              <input
+                value={form.title}
+                onChange={e => setForm({ ...form, title: e.target.value })}
+                placeholder="swiggy, zomato"
+              />
+            </div>
+            <div className="row">
+              <label>Merchant is (any of)</label>
+              <input
+                value={form.merchant}
+                onChange={e => setForm({ ...form, merchant: e.target.value })}
+                placeholder="uber, ola"
+                title="Whole words of the merchant from a receipt or statement, or of the title when there is none"
+              />
+            </div>
+            <div className="row">
+              <label>Amount between</label>
+              <div className="rules-range">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.minAmount}
+                  onChange={e => setForm({ ...form, minAmount: e.target.value })}
+                  placeholder="Any"
+                  aria-label="Lowest amount"
+                />
+                <span>and</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.maxAmount}
+                  onChange={e => setForm({ ...form, maxAmount: e.target.value })}
+                  placeholder="Any"
+                  aria-label="Highest amount"
+                />
+              </div>
+            </div>
+          </div>
+          <div className="row">
+            <label>Paid with (any of)</label>
+            <div className="rules-modes">
+              {PAYMENT_MODES.map(mode => (
+                <label key={mode.value} className={form.paymentModes.includes(mode.value) ? 'selected' : undefined}>
+                  <input
+                    type="checkbox"
+                    checked={form.paymentModes.includes(mode.value)}
+                    onChange={() => togglePaymentMode(mode.value)}
+                  />
+                  {mode.icon} {mode.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        </fieldset>
+
+        <fieldset className="rules-fieldset" disabled={saving}>
+          <legend>Then…</legend>
+          <div className="rules-grid">
+            <div className="row">
+              <label>Set category</label>
+              <select
+                value={form.category}
+                onChange={e => setForm({ ...form, category: e.target.value })}
+                disabled={!form.type}
+                title={form.type ? undefined : 'Pick expense or income to set a category'}
+              >
+                <option value="">Leave as is</option>
+                {categoryOptions.map(category => (
+                  <option key={category.value} value={category.value}>{category.icon} {category.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="row">
+              <label>Use account</label>
+              <select value={form.accountId} onChange={e => setForm({ ...form, accountId: e.target.value })}>
+                <option value="">Leave as is</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{accountTypeIcon(account.type)} {account.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="row">
+            <label>Add tags</label>
+            <TagInput value={form.tags} onChange={tags => setForm(prev => ({ ...prev, tags }))} disabled={saving} />
+          </div>
+        </fieldset>
+
+        <div className="actions">
+          <button disabled={saving} className="btn primary" type="submit">
+            {editingId ? <Save size={16} /> : <Plus size={16} />}
+            {saving ? 'Saving...' : editingId ? 'Save Rule' : 'Add Rule'}
+          </button>
+          {editingId && (
+            <button type="button" className="btn" onClick={resetForm} disabled={saving}>
+              <X size={16} /> Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {rulesQuery.isLoading ? (
+        <div className="empty">Loading…</div>
+      ) : rules.length === 0 ? (
+        <div className="empty">No rules yet. Category keywords still apply on their own.</div>
+      ) : (
+        <ol className="rules-list">
+          {rules.map((rule, index) => (
+            <li key={rule._id} className={rule.enabled ? undefined : 'disabled'}>
+              <label className="rules-toggle" title={rule.enabled ? 'Switch off' : 'Switch on'}>
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => handleToggle(rule)}
+                  disabled={busyId === rule._id}
+                />
+              </label>
+              <div className="rules-summary">
+                <strong>{rule.name}</strong>
+                <span>{describeRule(rule, allAccounts)}</span>
+              </div>
+              <div className="cat-actions">
+                <button className="icon" onClick={() => handleMove(index, -1)} disabled={index === 0 || busyId !== null} title="Run earlier">
+                  <ArrowUp size={16} />
+                </button>
+                <button className="icon" onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1 || busyId !== null} title="Run later">
+                  <ArrowDown size={16} />
+                </button>
+                <button className="icon" onClick={() => preview([rule._id], `"${rule.name}"`)} disabled={running || !rule.enabled} title="Apply to past transactions">
+                  <Play size={16} />
+                </button>
+                <button className="icon" onClick={() => startEdit(rule)} title="Edit">
+                  <Pencil size={16} />
+                </button>
+                <button className="icon danger" onClick={() => handleDelete(rule)} disabled={busyId === rule._id} title="Delete">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="rules-rerun">
+        <h3>Re-run over history</h3>
+        <p>Apply the rules and category keywords to transactions you already have. You see what would change first.</p>
+        <label className="rules-overwrite">
+          <input
+            type="checkbox"
+            checked={rerun.overwrite}
+            onChange={e => setRerun(prev => ({ ...prev, overwrite: e.target.checked, preview: null }))}
+            disabled={running}
+          />
+          Also replace categories and accounts already chosen (otherwise only "Other" and unset ones are filled in)
+        </label>
+        <div className="actions">
+          <button type="button" className="btn" onClick={() => preview(null, 'all rules')} disabled={running}>
+            <Play size={16} /> {running && !rerun.preview ? 'Checking...' : 'Preview changes'}
+          </button>
+        </div>
+
+        {rerun.preview && (
+          <div className="rules-preview">
+            {rerun.preview.count === 0 ? (
+              <p>Nothing to change with {rerun.label}.</p>
+            ) : (
+              <>
+                <p>
+                  {rerun.preview.count} transaction(s) would change with {rerun.label}
+                  {rerun.preview.changes.length < rerun.preview.count && ` (showing the latest ${rerun.preview.changes.length})`}.
+                </p>
+                <ul>
+                  {rerun.preview.changes.map(change => (
+                    <li key={change.transactionId}>
+                      <span className="rules-preview-date">{formatDay(change.date)}</span>
+                      <span className="rules-preview-title">{change.title}</span>
+                      <span className="rules-preview-change">{describeChange(change)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+            <div className="actions">
+              {rerun.preview.count > 0 && (
+                <button type="button" className="btn primary" onClick={handleApply} disabled={running}>
+                  {running ? 'Applying...' : `Apply to ${rerun.preview.count} transaction(s)`}
+                </button>
+              )}
+              <button type="button" className="btn" onClick={() => setRerun(prev => ({ ...prev, preview: null }))} disabled={running}>
+                <X size={16} /> Close
+              </button>
+            </div>
+          </div>
+        )}
+        {message && <div className="rules-message">✅ {message}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryRulesPanel;
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { History } from 'lucide-react';
+import './ChangeHistory.css';
+import { useAccountsQuery, useHistoryQuery } from '../hooks/useLedgerQueries';
+import { useRealtime } from '../hooks/useRealtime';
+import { HISTORY_ACTIONS, HISTORY_FIELD_LABELS } from '../api/historyApi';
+
+const EMPTY_LIST = [];
+const MONEY_FIELDS = ['amount', 'totalAmount', 'monthlyLimit'];
+const DATE_FIELDS = ['date', 'dueDate', 'paidAt'];
+
+const formatWhen = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+/**
+ * One side of a field change as text: amounts with the currency, dates as days, account ids as
+ * names, and lists (tags, shares, category lines, receipts) item by item
+ */
+const formatValue = (fieldName, value, { currencySymbol, accountNames }) => {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+  if (MONEY_FIELDS.includes(fieldName)) return `${currencySymbol}${(Number(value) || 0).toFixed(2)}`;
+  if (DATE_FIELDS.includes(fieldName)) return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  if (fieldName === 'accountId') return accountNames.get(value) || 'A removed account';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (!item || typeof item !== 'object') return String(item);
+      const name = item.name || item.category || item.fileName || item.tag || 'Item';
+      const amount = item.amount !== undefined ? ` ${currencySymbol}${(Number(item.amount) || 0).toFixed(2)}` : '';
+      return `${name}${amount}${item.status ? ` (${item.status})` : ''}`;
+    }).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Who changed a record, when, and what each changed field was before and after
+ * @param {string} entity - transaction, budget, debt or splitExpense
+ * @param {string} recordId - Record _id
+ * @param {string} title - What the record is, for the heading
+ * @param {string} currencySymbol - For amount fields
+ * @param {Function} onClose - Close the dialog
+ */
+export const ChangeHistoryDialog = ({ entity, recordId, title, currencySymbol = '₹', onClose }) => {
+  const historyQuery = useHistoryQuery(entity, recordId);
+  const accountsQuery = useAccountsQuery({ includeArchived: true }, { staleTime: 60 * 1000 });
+  const entries = historyQuery.data || EMPTY_LIST;
+  const accountNames = new Map((accountsQuery.data || EMPTY_LIST).map(account => [account._id, account.name]));
+
+  // A friend can change a shared record while its history is open
+  useRealtime(entity, ({ record }) => {
+    if (!record || record._id === recordId) historyQuery.refetch();
+  });
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="change-history-overlay" onClick={onClose}>
+      <div className="change-history" onClick={event => event.stopPropagation()} role="dialog" aria-label={`History of ${title}`}>
+        <div className="change-history-header">
+          <strong><History size={16} /> History of {title}</strong>
+          <button type="button" className="change-history-close" onClick={onClose} aria-label="Close history">×</button>
+        </div>
+
+        {historyQuery.isError && <div className="alert error">⚠️ {historyQuery.error.message}</div>}
+
+        {historyQuery.isLoading ? (
+          <p className="change-history-empty">Loading history...</p>
+        ) : entries.length === 0 ? (
+          <p className="change-history-empty">No changes have been recorded for this yet.</p>
+        ) : (
+          <ol className="change-history-list">
+            {entries.map(entry => {
+              const action = HISTORY_ACTIONS[entry.action] || { label: entry.action, icon: '•' };
+              const who = entry.actor ? (entry.actor.isYou ? 'You' : entry.actor.name) : 'Automatically';
+              return (
+                <li key={entry._id}>
+                  <div className="change-history-line">
+                    <span>{action.icon} <strong>{who}</strong> {action.label} this</span>
+                    <time dateTime={entry.createdAt}>{formatWhen(entry.createdAt)}</time>
+                  </div>
+                  {entry.changes.length > 0 && (
+                    <table className="change-history-diff">
+                      <tbody>
+                        {entry.changes.map(change => (
+                          <tr key={change.field}>
+                            <th>{HISTORY_FIELD_LABELS[change.field] || change.field}</th>
+                            <td className="from">{formatValue(change.field, change.from, { currencySymbol, accountNames })}</td>
+                            <td className="arrow">→</td>
+                            <td className="to">{formatValue(change.field, change.to, { currencySymbol, accountNames })}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Small button that opens a record's change history
+ * @param {string} entity - transaction, budget, debt or splitExpense
+ * @param {string} recordId - Record _id; the button is disabled until the record is saved
+ * @param {string} title - What the record is, for the heading
+ * @param {string} className - Extra class so the button can match the page's other row actions
+ */
+const ChangeHistoryButton = ({ entity, recordId, title, currencySymbol, className = '' }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        type="button"
+        className={`change-history-btn ${className}`.trim()}
+        onClick={() => setOpen(true)}
+        disabled={!recordId}
+        title="Show change history"
+        aria-label="Show change history"
+      >
+        <History size={14} />
+      </button>
+      {open && (
+        <ChangeHistoryDialog
+          entity={entity}
+          recordId={recordId}
+          title={title}
+          currencySymbol={currencySymbol}
+          onClose={() => setOpen(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ChangeHistoryButton;
@@ -1,21 +1,51 @@
 // src/components/ConnectionStatus.jsx
 import React from 'react';
+import { useSyncStatus } from '../hooks/useSyncStatus';
+import './ConnectionStatus.css';
 
 const ConnectionStatus = () => {
-  const { isConnected } = useSocket();
+  const { online, syncing, pending, conflicts, failed, syncNow } = useSyncStatus();
 
-  if (isConnected) return null;
+  const needsAttention = conflicts + failed;
+
+  if (online && pending === 0 && needsAttention === 0) return null;
+
+  let icon = '🔄';
+  let message;
+  let variant = 'syncing';
+
+  if (!online) {
+    icon = '📴';
+    variant = 'offline';
+    message = pending > 0
+      ? `You're offline. ${pending} change${pending === 1 ? '' : 's'} will sync when you're back online.`
+      : "You're offline. New transactions will be saved and synced later.";
+  } else if (needsAttention > 0) {
+    icon = '⚠️';
+    variant = 'conflict';
+    message = `${needsAttention} offline change${needsAttention === 1 ? '' : 's'} could not be synced. Review them in Transactions.`;
+  } else {
+    message = syncing
+      ? `Syncing ${pending} offline change${pending === 1 ? '' : 's'}...`
+      : `${pending} offline change${pending === 1 ? '' : 's'} waiting to sync.`;
+  }
 
   return (
-    <div className="connection-status-banner">
+    <div className={`connection-status-banner ${variant}`} role="status">
       <div className="status-content">
-        <span className="status-icon">⚠️</span>
-        <span>Connecting to chat server...</span>
-        <div className="loading-dots">
-          <span></span>
-          <span></span>
-          <span></span>
-        </div>
+        <span className="status-icon">{icon}</span>
+        <span>{message}</span>
+        {syncing ? (
+          <div className="loading-dots">
+            <span></span>
+            <span></span>
+            <span></span>
+          </div>
+        ) : online && pending > 0 && (
+          <button type="button" className="sync-now-btn" onClick={syncNow}>
+            Sync now
+          </button>
+        )}
       </div>
     </div>
   );
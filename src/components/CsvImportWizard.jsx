@@ -0,0 +1,553 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import './CsvImportWizard.css';
+import { getCategoriesForType, PAYMENT_MODES } from '../config/categoryConfig';
+import { bulkCreateTransactions, checkDuplicates } from '../api/transactionApi';
+import { fetchImportMappings, saveImportMapping } from '../api/importApi';
+import CategoryAPI from '../api/categoryApi';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import { useAccountsQuery, useCategoriesQuery, useCategoryRulesQuery } from '../hooks/useLedgerQueries';
+import { evaluateRules } from '../utils/categoryRules';
+import {
+  MAPPING_COLUMNS,
+  DATE_FORMATS,
+  SIGN_CONVENTIONS,
+  parseCsv,
+  guessMapping,
+  detectDateFormat,
+  findSavedMapping,
+  validateMapping,
+  buildTransactions,
+  findBalanceMismatches,
+  toTransactionPayload
+} from '../utils/csvImport';
+import { detectStatementFormat, parseStatement } from '../utils/statementFormats';
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'map', label: 'Map columns' },
+  { key: 'preview', label: 'Preview' },
+  { key: 'done', label: 'Done' }
+];
+
+const EMPTY_MAPPING = { columns: {}, dateFormat: 'DMY', signConvention: 'credit-positive' };
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+const sampleOf = (table, column) => {
+  const index = table.headers.indexOf(column);
+  return index >= 0 ? table.rows.map(cells => cells[index]) : [];
+};
+
+// A category named in the file (QIF "L" lines) counts only if it is one of ours for that type
+const knownCategory = (name, type) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted || !type) return null;
+  const match = getCategoriesForType(type).find(category =>
+    category.value.toLowerCase() === wanted || category.label.toLowerCase() === wanted);
+  return match ? match.value : null;
+};
+
+const prepareRows = (drafts) => drafts.map(draft => {
+  const fromFile = knownCategory(draft.categoryHint, draft.type);
+  return { ...draft, include: !draft.error, category: fromFile || 'Other', categorySource: fromFile ? 'file' : null };
+});
+
+// Matches this strong (e.g. the same bank reference) start unticked; weaker ones are only flagged
+const LIKELY_DUPLICATE_SCORE = 0.8;
+
+const suggestionText = (row) => [row.payee || row.description, row.memo].filter(Boolean).join(' ');
+
+/**
+ * Import a bank statement: upload a CSV (and map its columns, remembered per bank) or an
+ * OFX/QFX/QIF file, check the parsed rows, then create them in one go
+ */
+const CsvImportWizard = ({ currencySymbol = '₹', onImported, onClose }) => {
+  const nextSignal = useAbortSignal();
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [accounts, setAccounts] = useState([]);
+  const [table, setTable] = useState(null);
+  const [savedMappings, setSavedMappings] = useState({});
+  const [bank, setBank] = useState('');
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [mapping, setMapping] = useState(EMPTY_MAPPING);
+  const [rows, setRows] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const rulesQuery = useCategoryRulesQuery();
+  const categoriesQuery = useCategoriesQuery();
+  const ledgerAccountsQuery = useAccountsQuery();
+
+  useEffect(() => {
+    const signal = nextSignal('mappings');
+    fetchImportMappings({ signal })
+      .then(mappings => {
+        if (!signal.aborted) setSavedMappings(mappings);
+      })
+      .catch(loadError => {
+        // Without saved mappings the columns are guessed instead
+        if (!signal.aborted) console.warn('Could not load saved import mappings:', loadError);
+      });
+  }, [nextSignal]);
+
+  const mismatches = useMemo(() => findBalanceMismatches(rows), [rows]);
+  const selected = rows.filter(row => row.include && !row.error);
+
+  // Columns a saved mapping names that this file does not have are dropped rather than trusted
+  const applySavedMapping = (name, headers) => {
+    const saved = savedMappings[name];
+    if (!saved) return;
+    const columns = {};
+    MAPPING_COLUMNS.forEach(({ key }) => {
+      columns[key] = headers.includes(saved.columns?.[key]) ? saved.columns[key] : '';
+    });
+    setBank(name);
+    setMapping({ columns, dateFormat: saved.dateFormat || 'DMY', signConvention: saved.signConvention || 'credit-positive' });
+  };
+
+  // The user's auto-categorisation rules: tags and account for every row they match, and the
+  // category unless the file already named one
+  const applyRules = (drafts) => drafts.map(row => {
+    if (row.error) return row;
+    const ruled = evaluateRules(
+      { title: suggestionText(row), merchant: row.payee, amount: row.amount, type: row.type, paymentMode: row.paymentMode || 'bank' },
+      rulesQuery.data || [],
+      categoriesQuery.data || []
+    );
+    const category = !row.categorySource && knownCategory(ruled.category, row.type);
+    return {
+      ...row,
+      tags: ruled.tags,
+      accountId: ruled.accountId,
+      rules: ruled.matched.map(rule => rule.name),
+      ...(category && { category, categorySource: 'rule' })
+    };
+  });
+
+  // Fill in categories the server's keyword rules recognise for rows no rule covered, leaving any
+  // the user already picked
+  const suggestCategories = async (drafts) => {
+    const signal = nextSignal('suggest');
+    const texts = [...new Set(drafts.filter(row => !row.error && !row.categorySource).map(suggestionText))];
+    const suggestions = new Map();
+
+    for (const text of texts) {
+      const suggestion = await CategoryAPI.suggest(text, { signal });
+      if (signal.aborted) return;
+      if (suggestion?.name) suggestions.set(text, suggestion.name);
+    }
+
+    setRows(current => current.map(row => {
+      const category = !row.categorySource && knownCategory(suggestions.get(suggestionText(row)), row.type);
+      return category ? { ...row, category, categorySource: 'suggested' } : row;
+    }));
+  };
+
+  // Flag rows that are already in the ledger, e.g. from an overlapping statement imported earlier
+  const flagExistingDuplicates = async (drafts) => {
+    const signal = nextSignal('duplicates');
+    const candidates = drafts.filter(row => !row.error);
+    if (candidates.length === 0) return;
+
+    try {
+      const matches = await checkDuplicates(candidates.map(row => toTransactionPayload(row, fileName)), { signal });
+      if (signal.aborted) return;
+
+      const byRow = new Map();
+      matches.forEach((found, index) => byRow.set(candidates[index].rowNumber, found[0]));
+      setRows(current => current.map(row => {
+        const match = byRow.get(row.rowNumber);
+        if (!match) return row;
+        return { ...row, duplicate: match, include: row.include && match.score < LIKELY_DUPLICATE_SCORE };
+      }));
+    } catch (checkError) {
+      // The server flags repeats again as they are created, so the import can go ahead without this
+      if (!signal.aborted) console.warn('Could not check import for duplicates:', checkError);
+    }
+  };
+
+  const showPreview = (drafts) => {
+    const prepared = applyRules(prepareRows(drafts));
+    setRows(prepared);
+    setStep('preview');
+    suggestCategories(prepared);
+    flagExistingDuplicates(prepared);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setError('');
+
+    try {
+      const text = await file.text();
+      const detected = detectStatementFormat(file.name, text);
+      setFileName(file.name);
+      setFormat(detected);
+
+      // OFX/QFX and QIF name their fields, so there is nothing to map
+      if (detected !== 'csv') {
+        const statement = parseStatement(detected, text);
+        setTable(null);
+        setAccounts(statement.accounts);
+        setBank('');
+        showPreview(statement.rows);
+        return;
+      }
+
+      const parsed = parseCsv(text);
+      setTable(parsed);
+      setAccounts([]);
+
+      const savedBank = findSavedMapping(savedMappings, parsed.headers);
+      if (savedBank) {
+        applySavedMapping(savedBank, parsed.headers);
+      } else {
+        const columns = guessMapping(parsed.headers);
+        setBank('');
+        setMapping({
+          columns,
+          dateFormat: detectDateFormat(sampleOf(parsed, columns.date)) || 'DMY',
+          signConvention: 'credit-positive'
+        });
+      }
+      setStep('map');
+    } catch (parseError) {
+      console.error('CSV import failed to parse file:', parseError);
+      setError(parseError.message || 'Could not read that file');
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const setColumn = (key, header) => {
+    const columns = { ...mapping.columns, [key]: header };
+    // Amount and debit/credit are alternatives; picking one clears the other
+    if (key === 'amount' && header) Object.assign(columns, { debit: '', credit: '' });
+    if ((key === 'debit' || key === 'credit') && header) columns.amount = '';
+
+    const dateFormat = key === 'date' ? detectDateFormat(sampleOf(table, header)) || mapping.dateFormat : mapping.dateFormat;
+    setMapping({ ...mapping, columns, dateFormat });
+  };
+
+  const handlePreview = () => {
+    const mappingError = validateMapping(mapping);
+    if (mappingError) {
+      setError(mappingError);
+      return;
+    }
+    setError('');
+    showPreview(buildTransactions(table, mapping));
+  };
+
+  const updateRow = (rowNumber, changes) => {
+    setRows(current => current.map(row => (row.rowNumber === rowNumber ? { ...row, ...changes } : row)));
+  };
+
+  const setAllIncluded = (include) => {
+    setRows(current => current.map(row => (row.error ? row : { ...row, include })));
+  };
+
+  const handleImport = async () => {
+    if (selected.length === 0) {
+      setError('Select at least one row to import');
+      return;
+    }
+    setBusy(true);
+    setError('');
+
+    const source = bank.trim() || fileName;
+    const payload = selected.map(row => toTransactionPayload(row, source));
+
+    try {
+      const imported = await bulkCreateTransactions(payload);
+
+      if (format === 'csv' && rememberMapping && bank.trim()) {
+        try {
+          await saveImportMapping(bank, { ...mapping, headers: table.headers });
+        } catch (saveError) {
+          // The transactions are in; a mapping that failed to save only means re-mapping next time
+          console.warn('Could not save import mapping:', saveError);
+        }
+      }
+
+      setResult({
+        created: imported.transactions.length,
+        flagged: imported.transactions.filter(transaction => transaction.duplicateOf).length,
+        failed: imported.errors.map(rowError => ({ ...rowError, row: selected[rowError.index] }))
+      });
+      setStep('done');
+      onImported?.(imported);
+    } catch (importError) {
+      console.error('CSV import failed:', importError);
+      const partial = importError.partialResult;
+      setError(partial?.transactions.length
+        ? `Import stopped after ${partial.transactions.length} transaction(s): ${importError.message}`
+        : importError.message || 'Import failed');
+      if (partial?.transactions.length) onImported?.(partial);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const restart = () => {
+    nextSignal('suggest');
+    nextSignal('duplicates');
+    setStep('upload');
+    setFormat('csv');
+    setAccounts([]);
+    setTable(null);
+    setRows([]);
+    setResult(null);
+    setError('');
+  };
+
+  const renderUpload = () => (
+    <div className="csv-upload">
+      <p>
+        Choose a statement exported from your bank: CSV (any column layout; you map it in the next step),
+        OFX/QFX or QIF.
+      </p>
+      <input type="file" accept=".csv,.ofx,.qfx,.qif,text/csv,text/plain" onChange={handleFile} />
+    </div>
+  );
+
+  const renderMap = () => (
+    <div className="csv-map">
+      <p className="csv-hint">
+        {fileName}: {table.rows.length} row(s), {table.headers.length} column(s)
+        {table.skippedLines > 0 && `, ${table.skippedLines} line(s) outside the table ignored`}
+      </p>
+
+      <div className="csv-bank">
+        <label>
+          Bank
+          <input
+            type="text"
+            placeholder="e.g. HDFC Savings"
+            value={bank}
+            onChange={(e) => setBank(e.target.value)}
+            list="csv-saved-banks"
+          />
+          <datalist id="csv-saved-banks">
+            {Object.keys(savedMappings).map(name => <option key={name} value={name} />)}
+          </datalist>
+        </label>
+        {savedMappings[bank.trim()] && (
+          <button type="button" className="sync-resolve-btn" onClick={() => applySavedMapping(bank.trim(), table.headers)}>
+            Use saved mapping
+          </button>
+        )}
+        <label className="csv-checkbox">
+          <input type="checkbox" checked={rememberMapping} onChange={(e) => setRememberMapping(e.target.checked)} />
+          Remember this mapping for the bank
+        </label>
+      </div>
+
+      <div className="csv-columns">
+        {MAPPING_COLUMNS.map(column => (
+          <label key={column.key}>
+            {column.label}{column.required && ' *'}
+            <select value={mapping.columns[column.key] || ''} onChange={(e) => setColumn(column.key, e.target.value)}>
+              <option value="">— Not in file —</option>
+              {table.headers.map(header => <option key={header} value={header}>{header}</option>)}
+            </select>
+          </label>
+        ))}
+        <label>
+          Date format
+          <select value={mapping.dateFormat} onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}>
+            {DATE_FORMATS.map(format => <option key={format.value} value={format.value}>{format.label}</option>)}
+          </select>
+        </label>
+        {mapping.columns.amount && (
+          <label>
+            Amount sign
+            <select value={mapping.signConvention} onChange={(e) => setMapping({ ...mapping, signConvention: e.target.value })}>
+              {SIGN_CONVENTIONS.map(convention => <option key={convention.value} value={convention.value}>{convention.label}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <div className="table-wrapper">
+        <table className="transaction-table csv-sample">
+          <thead>
+            <tr>{table.headers.map(header => <th key={header}>{header}</th>)}</tr>
+          </thead>
+          <tbody>
+            {table.rows.slice(0, 3).map((cells, index) => (
+              <tr key={index}>{cells.map((cell, cellIndex) => <td key={cellIndex}>{cell}</td>)}</tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="csv-actions">
+        <button type="button" className="refresh-btn" onClick={restart}>Back</button>
+        <button type="button" className="add-btn" onClick={handlePreview}>Preview transactions</button>
+      </div>
+    </div>
+  );
+
+  const renderPreview = () => (
+    <div className="csv-preview">
+      <p className="csv-hint">
+        {format !== 'csv' && `${fileName} (${format.toUpperCase()}${accounts.length ? `, ${accounts.join(', ')}` : ''}) · `}
+        {selected.length} of {rows.length} row(s) selected
+        {rows.some(row => row.error) && `; ${rows.filter(row => row.error).length} row(s) could not be read`}
+        {' · '}
+        <button type="button" className="csv-link" onClick={() => setAllIncluded(true)}>Select all</button>
+        {' / '}
+        <button type="button" className="csv-link" onClick={() => setAllIncluded(false)}>none</button>
+      </p>
+
+      {rows.some(row => row.duplicate) && (
+        <div className="alert warning">
+          ⚠️ {rows.filter(row => row.duplicate).length} row(s) look like transactions already in your ledger.
+          The closest matches are unticked; tick them to import anyway.
+        </div>
+      )}
+
+      {mismatches.length > 0 && (
+        <div className="alert warning">
+          ⚠️ The balance column does not add up at {mismatches.length} row(s) (first: row {mismatches[0]}).
+          Check that debit and credit, or the amount sign, are mapped the right way round.
+        </div>
+      )}
+
+      <div className="table-wrapper csv-preview-rows">
+        <table className="transaction-table">
+          <thead>
+            <tr>
+              <th className="center">Import</th>
+              <th>Date</th>
+              <th>Description</th>
+              <th>Amount</th>
+              <th>Category</th>
+              <th>Payment</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.rowNumber} className={row.error ? 'csv-row-error' : mismatches.includes(row.rowNumber) ? 'csv-row-mismatch' : undefined}>
+                <td className="center">
+                  <input
+                    type="checkbox"
+                    checked={row.include}
+                    disabled={!!row.error}
+                    onChange={(e) => updateRow(row.rowNumber, { include: e.target.checked })}
+                  />
+                </td>
+                <td className="date">{row.date ? formatDay(row.date) : '—'}</td>
+                <td>
+                  {row.description}
+                  {row.memo && <div className="csv-memo">{row.memo}</div>}
+                  {(row.tags?.length > 0 || row.accountId) && (
+                    <div className="csv-memo">
+                      🪄 {[
+                        ...row.tags.map(tag => `#${tag}`),
+                        row.accountId && (ledgerAccountsQuery.data || []).find(account => account._id === row.accountId)?.name
+                      ].filter(Boolean).join(' · ')}
+                    </div>
+                  )}
+                  {row.duplicate && (
+                    <div className="csv-duplicate">
+                      Looks like "{row.duplicate.transaction.title || row.duplicate.transaction.description}" on{' '}
+                      {formatDay(row.duplicate.transaction.date)} ({row.duplicate.reasons.join(', ')})
+                    </div>
+                  )}
+                  {row.error && <div className="csv-error">Row {row.rowNumber}: {row.error}</div>}
+                </td>
+                <td className={row.type === 'income' ? 'row-income' : 'row-expense'}>
+                  {row.error ? '—' : `${row.type === 'income' ? '+' : '-'}${currencySymbol}${row.amount.toFixed(2)}`}
+                </td>
+                <td>
+                  {!row.error && (
+                    <select
+                      value={row.category}
+                      title={row.categorySource === 'rule'
+                        ? `Set by ${row.rules.join(', ')}`
+                        : row.categorySource === 'suggested' ? 'Suggested from your category keywords' : undefined}
+                      onChange={(e) => updateRow(row.rowNumber, { category: e.target.value, categorySource: 'user' })}
+                    >
+                      {getCategoriesForType(row.type).map(category => (
+                        <option key={category.value} value={category.value}>{category.icon} {category.label}</option>
+                      ))}
+                    </select>
+                  )}
+                </td>
+                <td>
+                  {!row.error && (
+                    <select value={row.paymentMode || 'bank'} onChange={(e) => updateRow(row.rowNumber, { paymentMode: e.target.value })}>
+                      {PAYMENT_MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+                    </select>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="csv-actions">
+        <button type="button" className="refresh-btn" onClick={() => (format === 'csv' ? setStep('map') : restart())} disabled={busy}>
+          Back
+        </button>
+        <button type="button" className="add-btn" onClick={handleImport} disabled={busy || selected.length === 0}>
+          {busy ? '⏳ Importing...' : `📥 Import ${selected.length} transaction(s)`}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDone = () => (
+    <div className="csv-done">
+      <p>✅ Imported {result.created} transaction(s).</p>
+      {result.flagged > 0 && (
+        <p className="csv-hint">
+          {result.flagged} of them look like transactions you already had; review them under Possible Duplicates.
+        </p>
+      )}
+      {result.failed.length > 0 && (
+        <ul className="csv-failures">
+          {result.failed.map(failure => (
+            <li key={failure.index}>
+              Row {failure.row?.rowNumber ?? failure.index + 1} ({failure.row?.description}): {failure.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="csv-actions">
+        <button type="button" className="refresh-btn" onClick={restart}>Import another file</button>
+        <button type="button" className="add-btn" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="csv-import-panel">
+      <div className="csv-import-header">
+        <h3>📥 Import Bank Statement</h3>
+        <button type="button" className="csv-close" onClick={onClose} disabled={busy} aria-label="Close import">×</button>
+      </div>
+
+      <ol className="csv-steps">
+        {STEPS.filter(item => format === 'csv' || item.key !== 'map').map(item => (
+          <li key={item.key} className={item.key === step ? 'active' : undefined}>{item.label}</li>
+        ))}
+      </ol>
+
+      {error && <div className="alert error">⚠️ {error}</div>}
+
+      {step === 'upload' && renderUpload()}
+      {step === 'map' && table && renderMap()}
+      {step === 'preview' && renderPreview()}
+      {step === 'done' && result && renderDone()}
+    </div>
+  );
+};
+
+export default CsvImportWizard;
@@ -9,9 +9,11 @@ const DashboardCards = () => {
   const [categories, setCategories] = useState({});
 
   useEffect(() => {
+    const controller = new AbortController();
+
     const fetchData = async () => {
       try {
-        const res = await API.get('/transactions');
+        const res = await API.get('/transactions', { signal: controller.signal });
         const data = res.data;
         setTransactions(data);
 
@@ -29,11 +31,13 @@ const DashboardCards = () => {
         setCategories(categoryMap);
 
       } catch (err) {
+        if (controller.signal.aborted) return;
         console.error('Failed to fetch transactions', err);
       }
     };
 
     fetchData();
+    return () => controller.abort();
   }, []);
 
   const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
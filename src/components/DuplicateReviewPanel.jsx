@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import './DuplicateReviewPanel.css';
+import { useDuplicatesQuery } from '../hooks/useLedgerQueries';
+import { resolveDuplicate } from '../api/transactionApi';
+
+const formatDay = (value) => value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '—';
+
+const ACTION_MESSAGES = {
+  merge: 'Merged into the original',
+  keep: 'Kept both',
+  discard: 'Discarded the repeat'
+};
+
+/**
+ * Probable repeats the server flagged, side by side with the transaction they look like:
+ * merge them, keep both, or discard the repeat
+ */
+const DuplicateReviewPanel = ({ currencySymbol = '₹', onResolved }) => {
+  const duplicatesQuery = useDuplicatesQuery();
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const pairs = duplicatesQuery.data || [];
+  if (duplicatesQuery.isLoading || pairs.length === 0) return null;
+
+  const handleResolve = async (pair, action) => {
+    setBusyId(pair.transaction._id);
+    setError('');
+    setNotice('');
+    try {
+      await resolveDuplicate(pair.transaction._id, action);
+      setNotice(`${ACTION_MESSAGES[action]}: ${pair.transaction.title || pair.transaction.description}`);
+      onResolved?.();
+    } catch (resolveError) {
+      console.error('Failed to resolve duplicate:', resolveError);
+      setError(resolveError.message || 'Failed to resolve duplicate');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderSide = (transaction, label) => (
+    <div className="duplicate-side">
+      <span className="duplicate-label">{label}</span>
+      <strong>{transaction.title || transaction.description}</strong>
+      <span className={transaction.type === 'income' ? 'row-income' : 'row-expense'}>
+        {transaction.type === 'income' ? '+' : '-'}{currencySymbol}{transaction.amount.toFixed(2)}
+      </span>
+      <span className="date">{formatDay(transaction.date)} · {transaction.category}</span>
+      {transaction.notes && <span className="duplicate-notes">{transaction.notes}</span>}
+    </div>
+  );
+
+  return (
+    <div className="duplicate-panel">
+      <h3>⚠️ Possible Duplicates ({pairs.length})</h3>
+      <p className="duplicate-hint">
+        These look like transactions you already have. They are left out of budget totals until you decide.
+      </p>
+
+      {error && <div className="alert error">⚠️ {error}</div>}
+      {notice && <div className="alert success">✅ {notice}</div>}
+
+      <ul className="duplicate-list">
+        {pairs.map(pair => (
+          <li key={pair.transaction._id} className="duplicate-pair">
+            {renderSide(pair.original, 'Already recorded')}
+            {renderSide(pair.transaction, 'Possible repeat')}
+            <div className="duplicate-actions">
+              <span className="duplicate-reasons">{pair.reasons.join(', ')}</span>
+              <button
+                type="button"
+                className="sync-resolve-btn"
+                onClick={() => handleResolve(pair, 'merge')}
+                disabled={busyId === pair.transaction._id}
+                title="Keep the original and copy over anything only the repeat has, such as notes"
+              >
+                Merge
+              </button>
+              <button type="button" className="sync-resolve-btn" onClick={() => handleResolve(pair, 'keep')} disabled={busyId === pair.transaction._id}>
+                Keep both
+              </button>
+              <button type="button" className="sync-resolve-btn" onClick={() => handleResolve(pair, 'discard')} disabled={busyId === pair.transaction._id}>
+                Discard repeat
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DuplicateReviewPanel;
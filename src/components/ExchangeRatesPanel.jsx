@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import './ExchangeRatesPanel.css';
+import CurrencyManager from '../utils/currencyManager';
+import { useFxRatesQuery } from '../hooks/useLedgerQueries';
+import { saveFxRates, deleteFxRates } from '../api/fxApi';
+import { rateBetween } from '../utils/fx';
+
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+const formatRate = (rate) => (rate ? rate.toFixed(rate < 1 ? 4 : 2) : '—');
+
+/**
+ * Settings card for the rates transactions in other currencies are converted with: what one unit
+ * of each is worth in the base currency today, and the user's own rates for particular days.
+ * The table is kept per US dollar; the form asks for the value in the base currency instead.
+ */
+const ExchangeRatesPanel = () => {
+  const fxQuery = useFxRatesQuery();
+  const { base = 'INR', currencies = [], rates = [] } = fxQuery.data || {};
+  const [draft, setDraft] = useState({ date: todayKey(), currency: '', value: '' });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const others = currencies.filter(code => code !== base);
+  const draftCurrency = draft.currency || others[0] || '';
+  const customDays = rates.filter(snapshot => snapshot.custom.length > 0).reverse();
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const worth = Number(draft.value);
+    if (!(worth > 0)) {
+      setMessage({ type: 'error', text: `Enter what one ${draftCurrency} is worth in ${base}` });
+      return;
+    }
+
+    // 1 unit = worth base, so the unit's rate per dollar is the base's rate per dollar / worth
+    const basePerDollar = rateBetween(rates, 'USD', base, draft.date);
+    const snapshotRates = draftCurrency === 'USD'
+      ? { [base]: worth }
+      : { [draftCurrency]: basePerDollar / worth };
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      await saveFxRates(draft.date, snapshotRates);
+      setDraft(prev => ({ ...prev, value: '' }));
+      setMessage({ type: 'success', text: 'Rate saved. It applies to transactions saved from now on, and when the base currency changes.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (date) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await deleteFxRates(date);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="settings-card exchange-rates">
+      <div className="card-header">
+        <div className="card-icon rates">
+          <i className="icon-globe"></i>
+        </div>
+        <h3 className="card-title">Exchange Rates</h3>
+      </div>
+      <div className="card-content">
+        <p className="setting-desc">
+          Transactions in other currencies are converted to {base} at the rate on their date.
+          Your own rates win over the built-in ones on the same day.
+        </p>
+
+        {fxQuery.isError && <div className="alert error">⚠️ {fxQuery.error.message}</div>}
+
+        {fxQuery.isLoading ? (
+          <p className="setting-desc">Loading rates...</p>
+        ) : (
+          <table className="exchange-rates-table">
+            <tbody>
+              {others.map(code => (
+                <tr key={code}>
+                  <th>1 {code}</th>
+                  <td>{CurrencyManager.getSymbol(base)}{formatRate(rateBetween(rates, code, base, todayKey()))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form className="exchange-rates-form" onSubmit={handleSave}>
+          <input
+            type="date"
+            className="setting-input"
+            value={draft.date}
+            max={todayKey()}
+            onChange={(e) => setDraft(prev => ({ ...prev, date: e.target.value }))}
+            aria-label="Day the rate is for"
+            required
+          />
+          <span>1</span>
+          <select
+            className="setting-select"
+            value={draftCurrency}
+            onChange={(e) => setDraft(prev => ({ ...prev, currency: e.target.value }))}
+            aria-label="Currency"
+          >
+            {others.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <span>=</span>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            className="setting-input"
+            placeholder={formatRate(rateBetween(rates, draftCurrency, base, draft.date))}
+            value={draft.value}
+            onChange={(e) => setDraft(prev => ({ ...prev, value: e.target.value }))}
+            aria-label={`Value in ${base}`}
+          />
+          <span>{base}</span>
+          <button type="submit" className="btn btn-secondary" disabled={busy || !draftCurrency}>Save rate</button>
+        </form>
+
+        {message && <div className={`alert ${message.type}`}>{message.text}</div>}
+
+        {customDays.length > 0 && (
+          <ul className="exchange-rates-custom">
+            {customDays.map(snapshot => (
+              <li key={snapshot.date}>
+                <span>
+                  <strong>{snapshot.date}</strong>{' '}
+                  {snapshot.custom
+                    .map(code => (code === base ? 'USD' : code))
+                    .map(code => `1 ${code} = ${CurrencyManager.getSymbol(base)}${formatRate(rateBetween(rates, code, base, snapshot.date))}`)
+                    .join(', ')}
+                </span>
+                <button type="button" onClick={() => handleRemove(snapshot.date)} disabled={busy} title="Go back to the built-in rates for this day">
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRatesPanel;
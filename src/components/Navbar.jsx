@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from "react";
-import { Bell, ChevronDown, LogOut, User, X, Settings, MoreVertical, Lock } from "lucide-react";
+import { Bell, ChevronDown, LogOut, User, X, Settings, MoreVertical, Lock, Zap } from "lucide-react";
 import { 
   getNotifications, 
   markNotificationAsRead, 
@@ -8,11 +8,15 @@ import {
 } from '../api/notificationApi';
 import { getUserProfile as getUserProfileAPI, getStoredUser } from '../api/userApi';
 import { logout } from '../api/authApi';
+import { useRealtime, useRealtimeStatus } from '../hooks/useRealtime';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import QuickAddBar from './QuickAddBar';
 
 const Navbar = () => {
   const [notifications, setNotifications] = useState([]);
   const [dropdownOpen, setDropdownOpen] = useState(false);
   const [notifOpen, setNotifOpen] = useState(false);
+  const [quickAddOpen, setQuickAddOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [userProfile, setUserProfile] = useState(null);
@@ -20,6 +24,7 @@ const Navbar = () => {
 
   const dropdownRef = useRef(null);
   const notifRef = useRef(null);
+  const quickAddRef = useRef(null);
 
   const unreadCount = notifications.filter(n => !n.read).length;
 
@@ -31,18 +36,21 @@ const Navbar = () => {
     return `https://ui-avatars.com/api/?name=${encodeURIComponent(initials)}&background=667eea&color=fff&size=100&bold=true`;
   };
 
+  // Cancels in-flight loads when the navbar unmounts or a newer load starts
+  const nextSignal = useAbortSignal();
+
   // Fetch user profile using the centralized API
   const fetchUserProfile = async () => {
+    const signal = nextSignal('profile');
     setProfileLoading(true);
     try {
       console.log('📄 Fetching user profile...');
       
       // First, try to get from API (will use cache if available)
-      const response = await getUserProfileAPI(false);
+      const userData = await getUserProfileAPI(false, { signal });
+      if (signal.aborted) return;
       
-      if (response.success && response.user) {
-        const userData = response.user;
-        
+      if (userData) {
         const profile = {
           name: userData.name || userData.fullName || 'User',
           email: userData.email || '',
@@ -80,6 +88,7 @@ const Navbar = () => {
       throw new Error('Unable to load user profile');
 
     } catch (error) {
+      if (signal.aborted) return;
       console.error('❌ Error fetching user profile:', error);
       
       // Try one more time to get stored user
@@ -110,17 +119,19 @@ const Navbar = () => {
         }
       }
     } finally {
-      setProfileLoading(false);
+      if (!signal.aborted) setProfileLoading(false);
     }
   };
 
   // Fetch notifications from database
   const fetchNotifications = async () => {
+    const signal = nextSignal('notifications');
     setLoading(true);
     setError(null);
     try {
       console.log('🔔 Fetching notifications from database...');
-      const response = await getNotifications();
+      const response = await getNotifications({}, { signal });
+      if (signal.aborted) return;
       
       if (!response.success) {
         if (response.authError) {
@@ -135,19 +146,20 @@ const Navbar = () => {
       console.log('✅ Notifications fetched:', notificationsArray.length);
       
       const transformedNotifications = notificationsArray.map(notification => ({
-        id: notification._id || notification.id,
+        id: notification._id,
         title: notification.title || notification.message?.substring(0, 30) || 'Notification',
         message: notification.message,
         time: notification.createdAt ? getTimeAgo(notification.createdAt) : 'Just now',
         timestamp: notification.createdAt,
-        read: notification.read || notification.isRead || false,
-        type: notification.type || 'info',
+        read: notification.read,
+        type: notification.type,
         icon: getNotificationIcon(notification.type),
-        data: notification.data || notification.metadata || {}
+        data: notification.data
       }));
       
       setNotifications(transformedNotifications);
     } catch (error) {
+      if (signal.aborted) return;
       console.error('❌ Error fetching notifications:', error);
       
       // Don't show error for connection issues if we have cached notifications
@@ -159,20 +171,27 @@ const Navbar = () => {
         setNotifications([]);
       }
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   };
 
-  // Initial fetch and periodic refresh
+  const realtime = useRealtimeStatus();
+
+  // Initial fetch
   useEffect(() => {
     fetchUserProfile();
     fetchNotifications();
-    
-    // Refresh notifications every 30 seconds
+  }, []);
+
+  // New notifications are pushed; poll only while the realtime connection is down
+  useRealtime('notification', () => fetchNotifications());
+
+  useEffect(() => {
+    if (realtime.connected) return undefined;
+
     const interval = setInterval(fetchNotifications, 30000);
-    
     return () => clearInterval(interval);
-  }, []);
+  }, [realtime.connected]);
 
   // Close dropdowns on outside click
   useEffect(() => {
@@ -183,6 +202,9 @@ const Navbar = () => {
       if (notifRef.current && !notifRef.current.contains(event.target)) {
         setNotifOpen(false);
       }
+      if (quickAddRef.current && !quickAddRef.current.contains(event.target)) {
+        setQuickAddOpen(false);
+      }
     }
     document.addEventListener("mousedown", handleClickOutside);
     return () => document.removeEventListener("mousedown", handleClickOutside);
@@ -393,6 +415,23 @@ const Navbar = () => {
           gap: 16px;
         }
 
+        .quick-add-wrapper {
+          position: relative;
+        }
+
+        .quick-add-dropdown {
+          position: absolute;
+          top: calc(100% + 8px);
+          right: 0;
+          width: 480px;
+          animation: slideDown 0.2s ease-out;
+          z-index: 1001;
+        }
+
+        .quick-add-dropdown .quick-add {
+          box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);
+        }
+
         .notification-btn {
           position: relative;
           display: flex;
@@ -829,6 +868,13 @@ const Navbar = () => {
             right: 20px;
             left: 20px;
           }
+
+          .quick-add-dropdown {
+            position: fixed;
+            top: 70px;
+            width: calc(100vw - 40px);
+            right: 20px;
+          }
           
           .profile-dropdown {
             width: calc(100vw - 40px);
@@ -853,6 +899,23 @@ const Navbar = () => {
         </div>
 
         <div className="navbar-right">
+          <div className="quick-add-wrapper" ref={quickAddRef}>
+            <button
+              className="notification-btn"
+              onClick={() => setQuickAddOpen(!quickAddOpen)}
+              title="Quick add a transaction"
+              aria-label="Quick add a transaction"
+            >
+              <Zap size={20} />
+            </button>
+
+            {quickAddOpen && (
+              <div className="quick-add-dropdown">
+                <QuickAddBar autoFocus onClose={() => setQuickAddOpen(false)} />
+              </div>
+            )}
+          </div>
+
           <div className="notification-wrapper" ref={notifRef}>
             <button
               className="notification-btn"
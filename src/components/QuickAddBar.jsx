@@ -0,0 +1,348 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Zap, X } from 'lucide-react';
+import './QuickAddBar.css';
+import CategoryAPI from '../api/categoryApi';
+import { createTransaction } from '../api/transactionApi';
+import { createSplitExpense } from '../api/splitExpenseApi';
+import { fetchFriends } from '../api/friendsApi';
+import { sendExpenseNotification } from '../api/notificationApi';
+import { getCategoriesForType, PAYMENT_MODES } from '../config/categoryConfig';
+import { useAuth } from '../context/AuthContext';
+import { useAccountsQuery, useCategoriesQuery, useCategoryRulesQuery, useFxRatesQuery } from '../hooks/useLedgerQueries';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import CurrencyManager from '../utils/currencyManager';
+import { evaluateRules } from '../utils/categoryRules';
+import { formatInCurrency, rateBetween } from '../utils/fx';
+import { parseQuickAdd } from '../utils/quickAdd';
+
+const EMPTY_LIST = [];
+// Used when the text does not say how it was paid; the same default as the server's
+const DEFAULT_PAYMENT_MODE = 'cash';
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+const paymentLabel = (value) => {
+  const mode = PAYMENT_MODES.find(item => item.value === value);
+  return mode ? `${mode.icon} ${mode.label}` : value;
+};
+
+const isCategoryFor = (type, name) => getCategoriesForType(type).some(category => category.value === name);
+
+// Suggested category when it exists for the type, otherwise "Other"
+const pickCategory = (type, suggestion) => {
+  const values = getCategoriesForType(type).map(category => category.value);
+  if (suggestion && values.includes(suggestion.name)) return suggestion.name;
+  return values.includes('Other') ? 'Other' : values[0];
+};
+
+/**
+ * One-line entry such as "lunch 250 yesterday upi" or "uber 430 on card split with Rahul". The
+ * line is parsed as it is typed, Enter shows a preview with the category, tags and account the
+ * auto-categorisation rules give (or the server's suggestion when no rule sets a category), and
+ * nothing is saved until that preview is confirmed. Friends named after "split with" get a split expense
+ * for the amount, paid by you and shared equally; the transaction records what you paid.
+ * @param {boolean} autoFocus - Focus the input when shown (e.g. opened from the navbar)
+ * @param {Function} onSaved - Called with the created transaction
+ * @param {Function} onClose - When given, Escape and a close button call it
+ */
+const QuickAddBar = ({ autoFocus = false, onSaved, onClose }) => {
+  const [text, setText] = useState('');
+  const [friends, setFriends] = useState(EMPTY_LIST);
+  // The parsed entry being confirmed, with the category and anything changed in the preview
+  const [preview, setPreview] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const inputRef = useRef(null);
+  const { user } = useAuth();
+  const nextSignal = useAbortSignal();
+  const fxQuery = useFxRatesQuery();
+  const baseCurrency = fxQuery.data?.base || CurrencyManager.cachedCurrency || 'INR';
+  const rulesQuery = useCategoryRulesQuery();
+  const categoriesQuery = useCategoriesQuery();
+  const accountsQuery = useAccountsQuery();
+
+  useEffect(() => {
+    const signal = nextSignal('friends');
+    // Without friends the bar still works; "split with" names just are not recognised
+    fetchFriends({ signal })
+      .then(list => {
+        if (!signal.aborted) setFriends(list);
+      })
+      .catch(() => {});
+  }, [nextSignal]);
+
+  useEffect(() => {
+    if (autoFocus) inputRef.current?.focus();
+  }, [autoFocus]);
+
+  const parsed = text.trim()
+    ? parseQuickAdd(text, { friends, currencies: fxQuery.data?.currencies || EMPTY_LIST })
+    : null;
+
+  const handleTextChange = (event) => {
+    setText(event.target.value);
+    setPreview(null);
+    setError('');
+    setMessage('');
+  };
+
+  const handleReview = async () => {
+    if (!parsed) return;
+    if (parsed.problems.length > 0) {
+      setError(parsed.problems[0]);
+      return;
+    }
+
+    // Rules compare amounts in the base currency, as the transaction will be stored
+    const paymentMode = parsed.paymentMode || DEFAULT_PAYMENT_MODE;
+    const rate = parsed.currency && parsed.currency !== baseCurrency
+      ? rateBetween(fxQuery.data?.rates, parsed.currency, baseCurrency, parsed.date)
+      : 1;
+    const ruled = evaluateRules(
+      { title: parsed.title, amount: parsed.amount * (rate || 1), type: parsed.type || 'expense', paymentMode },
+      rulesQuery.data || EMPTY_LIST,
+      categoriesQuery.data || EMPTY_LIST
+    );
+    const fromRules = {
+      tags: ruled.tags,
+      accountId: ruled.accountId || '',
+      rules: ruled.matched.map(rule => rule.name)
+    };
+
+    if (ruled.category && isCategoryFor(parsed.type || 'expense', ruled.category)) {
+      setPreview({ ...parsed, ...fromRules, type: parsed.type || 'expense', category: ruled.category, categoryNote: 'from rules', paymentMode });
+      return;
+    }
+
+    const signal = nextSignal('suggest');
+    setReviewing(true);
+    const suggestion = await CategoryAPI.suggest(parsed.title, { signal });
+    if (signal.aborted) return;
+    setReviewing(false);
+
+    const type = parsed.type || (suggestion?.type === 'income' ? 'income' : 'expense');
+    setPreview({
+      ...parsed,
+      ...fromRules,
+      type,
+      category: pickCategory(type, suggestion),
+      categoryNote: suggestion ? 'suggested' : '',
+      paymentMode
+    });
+  };
+
+  const splitExpenseFor = async (transaction) => {
+    // Split in the base currency, which is what the transaction was stored in
+    const total = transaction.amount;
+    const share = Math.floor((total / (preview.splitWith.length + 1)) * 100) / 100;
+    let expense;
+    try {
+      ({ expense } = await createSplitExpense({
+        description: preview.title,
+        totalAmount: total,
+        paidBy: 'self',
+        splitType: 'equal',
+        category: preview.category,
+        splits: preview.splitWith.map(friend => ({ friendId: friend._id, amount: share })),
+        tags: []
+      }));
+    } catch (splitError) {
+      // The transaction itself is saved by now
+      return ` The split could not be created: ${splitError.message}`;
+    }
+
+    const friendIds = preview.splitWith.map(friend => friend.friendUserId || friend.friendUser?._id).filter(Boolean);
+    if (expense?._id && friendIds.length > 0) {
+      await sendExpenseNotification({
+        expenseId: expense._id,
+        friendIds,
+        type: 'expense_created',
+        data: {
+          description: preview.title,
+          amount: total,
+          paidBy: user?.name || 'A friend',
+          yourShare: share.toFixed(2),
+          totalAmount: total
+        }
+      });
+    }
+    return ` Split with ${preview.splitWith.map(friend => friend.name).join(', ')}.`;
+  };
+
+  const handleSave = async () => {
+    if (preview.type === 'income' && preview.splitWith.length > 0) {
+      setError('Only expenses can be split with friends');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const transaction = await createTransaction({
+        description: preview.title,
+        amount: preview.amount,
+        type: preview.type,
+        category: preview.category,
+        paymentMode: preview.paymentMode,
+        accountId: preview.accountId || null,
+        date: preview.date.toISOString(),
+        tags: preview.tags,
+        ...(preview.currency && preview.currency !== baseCurrency && { currency: preview.currency })
+      });
+
+      const pending = transaction?.syncStatus === 'pending';
+      let note = transaction?.duplicateOf ? ' It looks like one you already have; review it under Possible Duplicates.' : '';
+      if (preview.splitWith.length > 0) {
+        note += pending
+          ? ' Add the split under Split Expense once it has synced.'
+          : await splitExpenseFor(transaction);
+      }
+
+      setMessage(`${pending ? 'Saved offline' : 'Added'} "${preview.title}".${note}`);
+      setText('');
+      setPreview(null);
+      onSaved?.(transaction);
+      inputRef.current?.focus();
+    } catch (saveError) {
+      setError(saveError.message || 'Could not add the transaction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (saving || reviewing) return;
+    if (preview) handleSave();
+    else handleReview();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Escape') return;
+    if (preview) setPreview(null);
+    else onClose?.();
+  };
+
+  const updatePreview = (changes) => setPreview(prev => ({ ...prev, ...changes }));
+  const entryCurrency = (preview || parsed)?.currency || baseCurrency;
+
+  return (
+    <form className="quick-add" onSubmit={handleSubmit}>
+      <div className="quick-add-row">
+        <Zap size={18} className="quick-add-icon" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={text}
+          onChange={handleTextChange}
+          onKeyDown={handleKeyDown}
+          placeholder='Quick add, e.g. "lunch 250 yesterday upi" or "uber 430 on card split with Rahul"'
+          aria-label="Quick add a transaction"
+          disabled={saving}
+        />
+        <button type="submit" className="quick-add-submit" disabled={!parsed || saving || reviewing}>
+          {saving ? 'Saving...' : reviewing ? 'Reading...' : preview ? 'Save' : 'Review'}
+        </button>
+        {onClose && (
+          <button type="button" className="quick-add-close" onClick={onClose} aria-label="Close quick add">
+            <X size={16} />
+          </button>
+        )}
+      </div>
+
+      {/* What has been recognised so far, while typing */}
+      {parsed && !preview && (
+        <div className="quick-add-chips">
+          {parsed.amount !== null && <span className="chip">{formatInCurrency(parsed.amount, entryCurrency)}</span>}
+          <span className="chip">📅 {formatDay(parsed.date)}</span>
+          {parsed.paymentMode && <span className="chip">{paymentLabel(parsed.paymentMode)}</span>}
+          {parsed.type === 'income' && <span className="chip">💰 Income</span>}
+          {parsed.splitWith.map(friend => <span key={friend._id} className="chip">👥 {friend.name}</span>)}
+          {parsed.unknownPeople.map(name => <span key={name} className="chip unknown">❓ {name}</span>)}
+        </div>
+      )}
+
+      {preview && (
+        <div className="quick-add-preview">
+          <dl>
+            <dt>Title</dt>
+            <dd>{preview.title}</dd>
+            <dt>Amount</dt>
+            <dd>
+              {formatInCurrency(preview.amount, entryCurrency)}
+              {entryCurrency !== baseCurrency && <small> converted to {baseCurrency} when saved</small>}
+            </dd>
+            <dt>Date</dt>
+            <dd>{formatDay(preview.date)}</dd>
+            <dt>Type</dt>
+            <dd>
+              <select
+                value={preview.type}
+                onChange={(e) => updatePreview({ type: e.target.value, category: pickCategory(e.target.value, null) })}
+              >
+                <option value="expense">💸 Expense</option>
+                <option value="income">💰 Income</option>
+              </select>
+            </dd>
+            <dt>Category</dt>
+            <dd>
+              <select value={preview.category} onChange={(e) => updatePreview({ category: e.target.value, categoryNote: '' })}>
+                {getCategoriesForType(preview.type).map(category => (
+                  <option key={category.value} value={category.value}>{category.icon} {category.label}</option>
+                ))}
+              </select>
+              {preview.categoryNote && <small> {preview.categoryNote}</small>}
+            </dd>
+            <dt>Paid with</dt>
+            <dd>
+              <select value={preview.paymentMode} onChange={(e) => updatePreview({ paymentMode: e.target.value })}>
+                {PAYMENT_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.icon} {mode.label}</option>
+                ))}
+              </select>
+            </dd>
+            {preview.accountId && (
+              <>
+                <dt>Account</dt>
+                <dd>{(accountsQuery.data || EMPTY_LIST).find(account => account._id === preview.accountId)?.name || 'Unknown account'}</dd>
+              </>
+            )}
+            {preview.tags.length > 0 && (
+              <>
+                <dt>Tags</dt>
+                <dd>{preview.tags.map(tag => `#${tag}`).join(' ')}</dd>
+              </>
+            )}
+            {preview.rules.length > 0 && (
+              <>
+                <dt>Rules</dt>
+                <dd><small>🪄 {preview.rules.join(', ')}</small></dd>
+              </>
+            )}
+            {preview.splitWith.length > 0 && (
+              <>
+                <dt>Split with</dt>
+                <dd>{preview.splitWith.map(friend => friend.name).join(', ')} (equal shares, paid by you)</dd>
+              </>
+            )}
+          </dl>
+          <div className="quick-add-actions">
+            <button type="submit" className="quick-add-submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" className="quick-add-back" onClick={() => setPreview(null)} disabled={saving}>
+              Edit
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div className="quick-add-message error">⚠️ {error}</div>}
+      {message && <div className="quick-add-message success">✅ {message}</div>}
+    </form>
+  );
+};
+
+export default QuickAddBar;
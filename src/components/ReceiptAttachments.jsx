@@ -0,0 +1,212 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './ReceiptAttachments.css';
+import { uploadAttachment, fetchAttachmentFile, downloadAttachment, deleteAttachment } from '../api/attachmentApi';
+import { ATTACHMENT_ACCEPT, formatFileSize, isImage, isPdf, validateAttachmentFile } from '../utils/attachments';
+
+// Ledger rows have a fixed height, so they show a couple of thumbnails and a count
+const COMPACT_LIMIT = 2;
+const NO_ATTACHMENTS = [];
+
+/**
+ * Full-size receipt in a modal: the image itself, or the PDF in the browser's viewer
+ */
+const ReceiptViewer = ({ attachment, canRemove, onRemove, onClose }) => {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let objectUrl = null;
+
+    fetchAttachmentFile(attachment._id, { signal: controller.signal })
+      .then(blob => {
+        if (controller.signal.aborted) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(fetchError => {
+        if (controller.signal.aborted) return;
+        setError(fetchError.message || 'Failed to load receipt');
+      });
+
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment._id]);
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const handleDownload = async () => {
+    setError('');
+    try {
+      await downloadAttachment(attachment);
+    } catch (downloadError) {
+      setError(downloadError.message || 'Failed to download receipt');
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm(`Remove ${attachment.fileName}?`)) return;
+    setBusy(true);
+    setError('');
+    try {
+      await onRemove(attachment);
+      onClose();
+    } catch (removeError) {
+      setError(removeError.message || 'Failed to remove receipt');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="receipt-viewer-overlay" onClick={onClose}>
+      <div className="receipt-viewer" onClick={event => event.stopPropagation()} role="dialog" aria-label={attachment.fileName}>
+        <div className="receipt-viewer-header">
+          <div>
+            <strong>{attachment.fileName}</strong>
+            <span className="receipt-viewer-meta">{formatFileSize(attachment.size)}</span>
+          </div>
+          <button type="button" className="receipt-viewer-close" onClick={onClose} aria-label="Close receipt">×</button>
+        </div>
+
+        {error && <div className="alert error">⚠️ {error}</div>}
+
+        <div className="receipt-viewer-body">
+          {!url && !error && <span className="receipt-viewer-loading">Loading receipt...</span>}
+          {url && isPdf(attachment.mimeType) && <iframe src={url} title={attachment.fileName} />}
+          {url && !isPdf(attachment.mimeType) && <img src={url} alt={attachment.fileName} />}
+        </div>
+
+        <div className="receipt-viewer-actions">
+          <button type="button" className="sync-resolve-btn" onClick={handleDownload}>⬇️ Download</button>
+          {canRemove && (
+            <button type="button" className="sync-resolve-btn" onClick={handleRemove} disabled={busy}>
+              {busy ? 'Removing...' : '🗑️ Remove'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Receipt thumbnails for a transaction or split expense, with an attach button and a full-size viewer
+ * @param {string} ownerType - transaction or splitExpense
+ * @param {string} ownerId - Owner _id; attaching is disabled until the record is saved
+ * @param {Array} attachments - Summaries carried on the owner record
+ * @param {boolean} compact - Small thumbnails for ledger rows
+ * @param {Function} onChange - Called with the updated summaries after an upload or removal
+ */
+const ReceiptAttachments = ({
+  ownerType,
+  ownerId,
+  attachments = NO_ATTACHMENTS,
+  compact = false,
+  canAttach = true,
+  canRemove = true,
+  onChange
+}) => {
+  const inputRef = useRef(null);
+  const [items, setItems] = useState(attachments);
+  const [viewing, setViewing] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setItems(attachments);
+  }, [attachments]);
+
+  const update = (next) => {
+    setItems(next);
+    onChange?.(next);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const invalid = validateAttachmentFile(file);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+
+    setUploading(true);
+    setError('');
+    try {
+      const attachment = await uploadAttachment(ownerType, ownerId, file);
+      update([...items, attachment]);
+    } catch (uploadError) {
+      setError(uploadError.message || 'Failed to attach receipt');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemove = async (attachment) => {
+    await deleteAttachment({ ownerType, ownerId, ...attachment });
+    update(items.filter(item => item._id !== attachment._id));
+  };
+
+  const shown = compact ? items.slice(0, COMPACT_LIMIT) : items;
+  const hidden = items.length - shown.length;
+
+  return (
+    <div className={`receipt-attachments${compact ? ' compact' : ''}`}>
+      {shown.map(attachment => (
+        <button
+          type="button"
+          key={attachment._id}
+          className="receipt-thumb"
+          onClick={() => setViewing(attachment)}
+          title={`${attachment.fileName} (${formatFileSize(attachment.size)})`}
+        >
+          {attachment.thumbnail && isImage(attachment.mimeType)
+            ? <img src={attachment.thumbnail} alt={attachment.fileName} />
+            : <span className="receipt-thumb-icon">{isPdf(attachment.mimeType) ? '📄' : '🧾'}</span>}
+        </button>
+      ))}
+      {hidden > 0 && (
+        <button type="button" className="receipt-more" onClick={() => setViewing(items[COMPACT_LIMIT])}>+{hidden}</button>
+      )}
+
+      {canAttach && ownerId && (
+        <>
+          <button
+            type="button"
+            className="receipt-attach-btn"
+            onClick={() => inputRef.current?.click()}
+            disabled={uploading}
+            title="Attach a receipt (image or PDF)"
+          >
+            {uploading ? '⏳' : '📎'}{!compact && (uploading ? ' Attaching...' : ' Attach receipt')}
+          </button>
+          <input ref={inputRef} type="file" accept={ATTACHMENT_ACCEPT} onChange={handleFile} hidden />
+        </>
+      )}
+
+      {error && <span className="receipt-error" title={error}>⚠️{!compact && ` ${error}`}</span>}
+
+      {viewing && (
+        <ReceiptViewer
+          attachment={viewing}
+          canRemove={canRemove}
+          onRemove={handleRemove}
+          onClose={() => setViewing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ReceiptAttachments;
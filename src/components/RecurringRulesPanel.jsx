@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import './RecurringRulesPanel.css';
+import { useRecurringRulesQuery } from '../hooks/useLedgerQueries';
+import {
+  updateRecurringRule,
+  skipOccurrence,
+  endRecurringRule,
+  deleteRecurringRule,
+  describeSchedule,
+  FREQUENCIES
+} from '../api/recurringApi';
+
+const formatDay = (value) => value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '—';
+
+// <input type="date"> works in local YYYY-MM-DD
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Recurring series on the Transactions page: skip the next instance, edit the series or end it
+ */
+const RecurringRulesPanel = ({ currencySymbol = '₹' }) => {
+  const rulesQuery = useRecurringRulesQuery();
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const rules = rulesQuery.data || [];
+  if (rulesQuery.isLoading || rules.length === 0) return null;
+
+  const runAction = async (rule, action) => {
+    setBusyId(rule._id);
+    setError('');
+    try {
+      await action();
+    } catch (actionError) {
+      console.error('Recurring rule action failed:', actionError);
+      setError(actionError.message || 'Failed to update recurring transaction');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSkipNext = (rule) => runAction(rule, () => skipOccurrence(rule._id, rule.nextOccurrence));
+
+  const handleEnd = (rule) => {
+    if (!window.confirm(`End "${rule.title}"? Transactions already recorded are kept.`)) return;
+    runAction(rule, () => endRecurringRule(rule._id));
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete "${rule.title}"? Transactions already recorded are kept.`)) return;
+    runAction(rule, () => deleteRecurringRule(rule._id));
+  };
+
+  const startEditing = (rule) => setEditing({
+    id: rule._id,
+    title: rule.title,
+    amount: String(rule.amount),
+    frequency: rule.frequency,
+    interval: String(rule.interval || 1),
+    cron: rule.cron || '',
+    endDate: toDateInput(rule.endDate)
+  });
+
+  const handleSave = (rule) => runAction(rule, async () => {
+    await updateRecurringRule(rule._id, {
+      title: editing.title,
+      amount: parseFloat(editing.amount),
+      frequency: editing.frequency,
+      interval: parseInt(editing.interval, 10) || 1,
+      cron: editing.frequency === 'custom' ? editing.cron : '',
+      endDate: editing.endDate || null
+    });
+    setEditing(null);
+  });
+
+  const renderEditRow = (rule) => (
+    <tr key={rule._id} className="recurring-editing">
+      <td>
+        <input
+          type="text"
+          value={editing.title}
+          onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+        />
+      </td>
+      <td>
+        <input
+          type="number"
+          step="0.01"
+          min="0.01"
+          value={editing.amount}
+          onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+        />
+      </td>
+      <td className="recurring-schedule-inputs">
+        <select
+          value={editing.frequency}
+          onChange={(e) => setEditing({ ...editing, frequency: e.target.value })}
+        >
+          {FREQUENCIES.map((frequency) => (
+            <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+          ))}
+        </select>
+        {editing.frequency === 'custom' ? (
+          <input
+            type="text"
+            placeholder="0 9 1 * *"
+            value={editing.cron}
+            onChange={(e) => setEditing({ ...editing, cron: e.target.value })}
+          />
+        ) : (
+          <input
+            type="number"
+            min="1"
+            step="1"
+            title="Repeat every N periods"
+            value={editing.interval}
+            onChange={(e) => setEditing({ ...editing, interval: e.target.value })}
+          />
+        )}
+      </td>
+      <td>
+        <input
+          type="date"
+          title="Ends on (optional)"
+          value={editing.endDate}
+          onChange={(e) => setEditing({ ...editing, endDate: e.target.value })}
+        />
+      </td>
+      <td className="recurring-actions">
+        <button type="button" className="sync-resolve-btn" onClick={() => handleSave(rule)} disabled={busyId === rule._id}>
+          Save
+        </button>
+        <button type="button" className="sync-resolve-btn" onClick={() => setEditing(null)} disabled={busyId === rule._id}>
+          Cancel
+        </button>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="recurring-panel">
+      <h3>🔁 Recurring Transactions ({rules.length})</h3>
+      <p className="recurring-hint">Edits apply to upcoming instances; transactions already recorded are not changed.</p>
+
+      {error && <div className="alert error">⚠️ {error}</div>}
+
+      <div className="table-wrapper">
+        <table className="transaction-table recurring-table">
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th>Amount</th>
+              <th>Schedule</th>
+              <th>Next</th>
+              <th className="center">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((rule) => (editing?.id === rule._id ? renderEditRow(rule) : (
+              <tr key={rule._id} className={rule.status === 'ended' ? 'recurring-ended' : undefined}>
+                <td>
+                  {rule.title}
+                  {rule.skipped.length > 0 && (
+                    <span className="badge pending" title={`Skipped: ${rule.skipped.join(', ')}`}>
+                      {rule.skipped.length} skipped
+                    </span>
+                  )}
+                </td>
+                <td className={rule.type === 'income' ? 'row-income' : 'row-expense'}>
+                  {rule.type === 'income' ? '+' : '-'}
+                  {currencySymbol}{rule.amount.toFixed(2)}
+                </td>
+                <td className="capitalize">
+                  {describeSchedule(rule)}
+                  {rule.endDate && <div className="date">until {formatDay(rule.endDate)}</div>}
+                </td>
+                <td className="date">{rule.status === 'ended' ? 'Ended' : formatDay(rule.nextOccurrence)}</td>
+                <td className="recurring-actions">
+                  {rule.status !== 'ended' && (
+                    <>
+                      <button
+                        type="button"
+                        className="sync-resolve-btn"
+                        onClick={() => handleSkipNext(rule)}
+                        disabled={busyId === rule._id || !rule.nextOccurrence}
+                        title={`Skip the ${formatDay(rule.nextOccurrence)} instance`}
+                      >
+                        Skip next
+                      </button>
+                      <button type="button" className="sync-resolve-btn" onClick={() => startEditing(rule)} disabled={busyId === rule._id}>
+                        Edit
+                      </button>
+                      <button type="button" className="sync-resolve-btn" onClick={() => handleEnd(rule)} disabled={busyId === rule._id}>
+                        End
+                      </button>
+                    </>
+                  )}
+                  <button type="button" className="sync-resolve-btn" onClick={() => handleDelete(rule)} disabled={busyId === rule._id}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringRulesPanel;
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Bookmark, Pin, PinOff, Save, X } from 'lucide-react';
+import './SavedViewsBar.css';
+import { useSavedViewsQuery } from '../hooks/useLedgerQueries';
+import { VIEW_PAGES, viewPath, createSavedView, updateSavedView, deleteSavedView } from '../api/savedViewApi';
+
+const EMPTY_LIST = [];
+
+/**
+ * Saved views for a page: open one, save the current search under a name, pin it to the sidebar,
+ * or open it on another page. The open view is kept in the URL (?view=<id>) so sidebar links and
+ * bookmarks land on it.
+ * @param {string} page - 'transactions', 'reports' or 'analytics'
+ * @param {string} query - Search expression for the page's current filters; what gets saved
+ * @param {Function} onApply - Called with a view when it is opened; the page sets its search from view.query
+ * @param {boolean} ready - False while data the page needs to parse view.query (accounts) is loading
+ */
+const SavedViewsBar = ({ page, query, onApply, ready = true }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const openId = searchParams.get('view');
+  const savedViewsQuery = useSavedViewsQuery();
+  const views = savedViewsQuery.data || EMPTY_LIST;
+  const openView = views.find(view => view._id === openId) || null;
+
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Apply each view once when it is opened, not again when the list refetches
+  const appliedRef = useRef(null);
+  const onApplyRef = useRef(onApply);
+  onApplyRef.current = onApply;
+
+  useEffect(() => {
+    if (!openId || appliedRef.current === openId || !savedViewsQuery.isSuccess || !ready) return;
+    appliedRef.current = openId;
+    if (openView) onApplyRef.current(openView);
+    else setError('That saved view no longer exists');
+  }, [openId, openView, savedViewsQuery.isSuccess, ready]);
+
+  const open = (view) => {
+    setError('');
+    appliedRef.current = view._id;
+    onApply(view);
+    setSearchParams({ view: view._id }, { replace: true });
+  };
+
+  const close = () => {
+    appliedRef.current = null;
+    setSearchParams({}, { replace: true });
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const created = await createSavedView({ name, query, page });
+      setNaming(false);
+      setName('');
+      appliedRef.current = created._id;
+      setSearchParams({ view: created._id }, { replace: true });
+    });
+  };
+
+  const handleDelete = (view) => {
+    if (!window.confirm(`Delete the saved view "${view.name}"?`)) return;
+    run(async () => {
+      await deleteSavedView(view._id);
+      if (view._id === openId) close();
+    });
+  };
+
+  const modified = openView && openView.query !== query.trim();
+
+  return (
+    <div className="saved-views">
+      <div className="saved-views-row">
+        <span className="saved-views-label"><Bookmark size={14} /> Views</span>
+        {views.length === 0 && !naming && (
+          <span className="saved-views-empty">Save a search to come back to it from any page.</span>
+        )}
+        {views.map(view => (
+          <button
+            key={view._id}
+            type="button"
+            className={`saved-view-chip${view._id === openId ? ' active' : ''}`}
+            onClick={() => open(view)}
+            title={view.query || 'No filters'}
+          >
+            {view.pinned && <Pin size={12} />} {view.name}
+          </button>
+        ))}
+
+        {naming ? (
+          <form className="saved-views-form" onSubmit={handleSave}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Monthly food"
+              maxLength={60}
+              autoFocus
+            />
+            <button type="submit" className="saved-views-btn primary" disabled={busy || !name.trim()}>Save</button>
+            <button type="button" className="saved-views-btn" onClick={() => setNaming(false)}>Cancel</button>
+          </form>
+        ) : (
+          <button type="button" className="saved-views-btn" onClick={() => setNaming(true)} disabled={!query.trim()}
+            title={query.trim() ? `Save "${query.trim()}"` : 'Search or pick filters first'}>
+            <Save size={14} /> Save view
+          </button>
+        )}
+      </div>
+
+      {openView && (
+        <div className="saved-views-row saved-views-open">
+          <strong>{openView.name}</strong>
+          <code>{openView.query || 'No filters'}</code>
+          {modified && (
+            <button type="button" className="saved-views-btn primary" disabled={busy}
+              onClick={() => run(() => updateSavedView(openView._id, { query }))}>
+              Update with current filters
+            </button>
+          )}
+          <button type="button" className="saved-views-btn" disabled={busy}
+            onClick={() => run(() => updateSavedView(openView._id, { pinned: !openView.pinned }))}>
+            {openView.pinned ? <><PinOff size={14} /> Unpin</> : <><Pin size={14} /> Pin to sidebar</>}
+          </button>
+          {VIEW_PAGES.filter(item => item.value !== page).map(item => (
+            <Link key={item.value} className="saved-views-btn" to={viewPath(openView, item.value)}>
+              Open in {item.label}
+            </Link>
+          ))}
+          <button type="button" className="saved-views-btn danger" disabled={busy} onClick={() => handleDelete(openView)}>
+            Delete
+          </button>
+          <button type="button" className="saved-views-close" onClick={close} title="Close view">
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
+      {error && <div className="saved-views-error">⚠️ {error}</div>}
+    </div>
+  );
+};
+
+export default SavedViewsBar;
@@ -0,0 +1,141 @@
+import React, { useId, useMemo, useRef, useState } from 'react';
+import './SearchQueryInput.css';
+import { useAccountsQuery, useCategoriesQuery, useTagsQuery } from '../hooks/useLedgerQueries';
+import { parseSearchQuery, searchSuggestions, applySuggestion, SEARCH_FIELDS } from '../utils/searchQuery';
+
+const EMPTY_LIST = [];
+
+/**
+ * Search box for expressions like `category:Food amount>500 mode:upi "swiggy"`, completing field
+ * names and their values (categories, tags, accounts, payment modes) as they are typed
+ * @param {string} value - Expression
+ * @param {Function} onChange - Called with the new text
+ * @param {Function} onSearch - Called with parseSearchQuery's result when the search should run:
+ *   on Enter, when cleared, and on every edit when `live` is set
+ * @param {boolean} live - Search while typing; for pages that filter transactions already loaded
+ */
+const SearchQueryInput = ({ value, onChange, onSearch, live = false, disabled = false, placeholder = 'Search, e.g. category:Food amount>500 "swiggy"' }) => {
+  const listId = useId();
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(0);
+  const [open, setOpen] = useState(false);
+  // Suggestion chosen with the arrow keys; -1 until one is, so Enter runs the search
+  const [highlighted, setHighlighted] = useState(-1);
+  const [showHelp, setShowHelp] = useState(false);
+
+  const categoriesQuery = useCategoriesQuery({ staleTime: 60 * 1000 });
+  const tagsQuery = useTagsQuery({ staleTime: 60 * 1000 });
+  const accountsQuery = useAccountsQuery({ includeArchived: true }, { staleTime: 60 * 1000 });
+  const accounts = accountsQuery.data || EMPTY_LIST;
+
+  const context = useMemo(() => ({
+    categories: (categoriesQuery.data || EMPTY_LIST).map(category => category.name).filter(Boolean),
+    tags: (tagsQuery.data || EMPTY_LIST).map(entry => entry.tag),
+    accounts: accounts.map(account => account.name)
+  }), [categoriesQuery.data, tagsQuery.data, accounts]);
+
+  const parse = (text) => parseSearchQuery(text, { accounts });
+  const errors = parse(value).errors;
+  const suggestions = open ? searchSuggestions(value, caret, context) : EMPTY_LIST;
+
+  const update = (text, nextCaret) => {
+    onChange(text);
+    setCaret(nextCaret);
+    setHighlighted(-1);
+    setOpen(true);
+    if (live || !text.trim()) onSearch(parse(text));
+  };
+
+  const pick = (suggestion) => {
+    const next = applySuggestion(value, suggestion);
+    update(next.text, next.caret);
+    // Put the caret after the inserted text once React has re-rendered the input
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(next.caret, next.caret));
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((Math.max(highlighted, e.key === 'ArrowDown' ? -1 : 0) + step + suggestions.length) % suggestions.length);
+    } else if (suggestions.length > 0 && (e.key === 'Tab' || (e.key === 'Enter' && highlighted >= 0))) {
+      e.preventDefault();
+      pick(suggestions[Math.max(highlighted, 0)]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      setOpen(false);
+      onSearch(parse(value));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="search-query">
+      <div className="search-query-box">
+        <span className="search-query-icon">🔍</span>
+        <input
+          ref={inputRef}
+          type="search"
+          value={value}
+          onChange={(e) => update(e.target.value, e.target.selectionStart)}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => setCaret(e.target.selectionStart)}
+          onClick={(e) => {
+            setCaret(e.target.selectionStart);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          placeholder={placeholder}
+          disabled={disabled}
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          spellCheck={false}
+        />
+        <button type="button" className="search-query-help-btn" onClick={() => setShowHelp(!showHelp)} title="Search syntax">
+          ?
+        </button>
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul id={listId} className="search-query-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.replacement}
+              role="option"
+              aria-selected={index === highlighted}
+              className={index === highlighted ? 'highlighted' : undefined}
+              // Picked on mousedown so the input's blur does not close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(suggestion);
+              }}
+            >
+              <strong>{suggestion.label}</strong>
+              {suggestion.description && <small>{suggestion.description}</small>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {errors.length > 0 && <div className="search-query-error">⚠️ {errors.join('; ')}</div>}
+
+      {showHelp && (
+        <div className="search-query-help">
+          <p>Combine any of these; every term has to match. Other words and "quoted phrases" search titles, notes and tags.</p>
+          <ul>
+            {SEARCH_FIELDS.map(field => (
+              <li key={field.name}><code>{field.example}</code> {field.description}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchQueryInput;
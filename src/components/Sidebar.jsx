@@ -1,5 +1,5 @@
 import React from 'react';
-import { NavLink } from 'react-router-dom';
+import { NavLink, useLocation } from 'react-router-dom';
 import { 
   LayoutDashboard, 
   CreditCard, 
@@ -12,11 +12,20 @@ import {
   FileText, 
   Settings, 
   User,
-  Calendar // ⬅️ added Calendar icon
+  Calendar, // ⬅️ added Calendar icon
+  Trash2,
+  Bookmark
 } from 'lucide-react';
+import { useSavedViewsQuery } from '../hooks/useLedgerQueries';
+import { viewPath } from '../api/savedViewApi';
 import './Sidebar.css';
 
 const Sidebar = () => {
+  const location = useLocation();
+  const savedViewsQuery = useSavedViewsQuery();
+  const pinnedViews = (savedViewsQuery.data || []).filter(view => view.pinned);
+  const openViewId = new URLSearchParams(location.search).get('view');
+
   return (
     <aside className="sidebar">
       <ul>
@@ -75,6 +84,22 @@ const Sidebar = () => {
           </NavLink>
         </li>
 
+        {/* Saved views pinned from Transactions, Reports or Analytics */}
+        {pinnedViews.length > 0 && <li className="sidebar-section">Pinned views</li>}
+        {pinnedViews.map(view => (
+          <li key={view._id}>
+            <NavLink
+              to={viewPath(view)}
+              title={view.query}
+              // NavLink only compares paths, so the page's own link would light up too
+              className={() => (openViewId === view._id ? 'active' : undefined)}
+            >
+              <Bookmark size={18} />
+              <span>{view.name}</span>
+            </NavLink>
+          </li>
+        ))}
+
         {/* 📅 New Calendar Menu Item */}
         <li>
           <NavLink to="/calendar">
@@ -83,6 +108,12 @@ const Sidebar = () => {
           </NavLink>
         </li>
 
+        <li>
+          <NavLink to="/trash">
+            <Trash2 size={18} />
+            <span>Trash</span>
+          </NavLink>
+        </li>
         <li>
           <NavLink to="/settings">
             <Settings size={18} />
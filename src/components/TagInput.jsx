@@ -0,0 +1,99 @@
+import React, { useId, useState } from 'react';
+import './TagInput.css';
+import { useTagsQuery } from '../hooks/useLedgerQueries';
+import { addTags, sameTag, MAX_TAGS } from '../utils/tags';
+
+// Enter, comma or Tab finishes a tag; pasting "a, b, c" adds all three
+const SEPARATOR = /[,\n]/;
+
+/**
+ * Tag chips with a text box that suggests tags used before
+ * @param {Array<string>} value - Current tags
+ * @param {Function} onChange - Called with the new list
+ */
+const TagInput = ({ value = [], onChange, disabled = false, placeholder = 'Add tags (e.g. Goa trip, reimbursable)' }) => {
+  const listId = useId();
+  const [text, setText] = useState('');
+  const tagsQuery = useTagsQuery({ staleTime: 60 * 1000 });
+
+  const suggestions = (tagsQuery.data || [])
+    .map(entry => entry.tag)
+    .filter(tag => !value.some(chosen => sameTag(chosen, tag)));
+
+  const commit = (raw) => {
+    const parts = String(raw).split(SEPARATOR);
+    const next = addTags(value, parts);
+    if (next !== value) onChange(next);
+    setText('');
+  };
+
+  const handleChange = (e) => {
+    const nextText = e.target.value;
+    // A separator typed or pasted, or a suggestion picked from the list, completes the tag.
+    // Picking from a datalist is not a typed insertion, so typing "food" on the way to
+    // "food court" does not commit early.
+    const inputType = e.nativeEvent?.inputType;
+    const picked = (!inputType || inputType === 'insertReplacementText') && suggestions.includes(nextText);
+    if (SEPARATOR.test(nextText) || picked) {
+      commit(nextText);
+    } else {
+      setText(nextText);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || (e.key === 'Tab' && text.trim())) && text.trim()) {
+      e.preventDefault();
+      commit(text);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className={`tag-input${disabled ? ' disabled' : ''}`}>
+      {value.map(tag => (
+        <span key={tag} className="tag-chip">
+          #{tag}
+          {!disabled && (
+            <button type="button" onClick={() => onChange(value.filter(own => own !== tag))} aria-label={`Remove tag ${tag}`}>
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+      {value.length < MAX_TAGS && (
+        <input
+          type="text"
+          list={listId}
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text.trim() && commit(text)}
+          placeholder={value.length === 0 ? placeholder : ''}
+          disabled={disabled}
+        />
+      )}
+      <datalist id={listId}>
+        {suggestions.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+    </div>
+  );
+};
+
+/**
+ * Read-only tag chips, e.g. on a ledger row
+ */
+export const TagList = ({ tags = [], onSelect }) => (
+  tags.length > 0 ? (
+    <span className="tag-list">
+      {tags.map(tag => (
+        onSelect
+          ? <button key={tag} type="button" className="tag-chip" onClick={() => onSelect(tag)} title={`Show only #${tag}`}>#{tag}</button>
+          : <span key={tag} className="tag-chip">#{tag}</span>
+      ))}
+    </span>
+  ) : null
+);
+
+export default TagInput;
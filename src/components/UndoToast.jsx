@@ -0,0 +1,70 @@
+// src/components/UndoToast.jsx - "Deleted · Undo" toast shown after anything goes to the trash
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { TRASHED_EVENT, restoreTrashItems } from '../api/trashApi';
+import './UndoToast.css';
+
+// How long the undo offer stays up; afterwards the item can still be restored from the Trash page
+const UNDO_WINDOW_MS = 8000;
+const RESULT_MS = 4000;
+
+const UndoToast = () => {
+  const [toast, setToast] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const timer = useRef(null);
+
+  const show = useCallback((next, duration) => {
+    clearTimeout(timer.current);
+    setToast(next);
+    timer.current = setTimeout(() => setToast(null), duration);
+  }, []);
+
+  useEffect(() => {
+    const handleTrashed = (event) => {
+      const { trashIds, message } = event.detail || {};
+      show({ trashIds, message: message || 'Moved to the trash', undoable: true }, UNDO_WINDOW_MS);
+    };
+
+    window.addEventListener(TRASHED_EVENT, handleTrashed);
+    return () => {
+      window.removeEventListener(TRASHED_EVENT, handleTrashed);
+      clearTimeout(timer.current);
+    };
+  }, [show]);
+
+  const handleUndo = async () => {
+    clearTimeout(timer.current);
+    setRestoring(true);
+    try {
+      const { restored, errors } = await restoreTrashItems(toast.trashIds);
+      show(errors.length > 0
+        ? { message: errors[0].message, variant: 'error' }
+        : { message: restored.length === 1 ? 'Restored' : `Restored ${restored.length} items` },
+      RESULT_MS);
+    } catch (error) {
+      show({ message: error.message || 'Could not restore', variant: 'error' }, RESULT_MS);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (!toast) return null;
+
+  return (
+    <div className={`undo-toast ${toast.variant || ''}`} role="status">
+      <span>🗑️ {toast.message}</span>
+      {toast.undoable && (
+        <>
+          <button type="button" className="undo-toast-btn" onClick={handleUndo} disabled={restoring}>
+            {restoring ? 'Restoring...' : 'Undo'}
+          </button>
+          <Link to="/trash" className="undo-toast-link" onClick={() => setToast(null)}>
+            View trash
+          </Link>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UndoToast;
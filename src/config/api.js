@@ -0,0 +1,20 @@
+// src/config/api.js
+// Centralized backend URL and request configuration for the entire app
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+// REACT_APP_API_URL has been set both with and without the /api suffix,
+// so accept either form and derive the server origin from it
+const RAW_API_URL = trimTrailingSlash(process.env.REACT_APP_API_URL || 'http://localhost:4000');
+
+export const SERVER_URL = RAW_API_URL.replace(/\/api$/, '');
+
+export const API_BASE_URL = `${SERVER_URL}/api`;
+
+export const ML_SERVICE_URL = trimTrailingSlash(process.env.ML_SERVICE_URL || 'http://localhost:5001');
+
+export const REQUEST_TIMEOUT = 15000;
+
+export const ML_REQUEST_TIMEOUT = 30000;
+
+export default API_BASE_URL;
@@ -1,6 +1,9 @@
 // src/context/AuthContext.js - Updated with TokenManager
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import TokenManager from '../utils/tokenManager';
+import { scheduleTokenRefresh, cancelTokenRefresh } from '../api/api';
+import { queryClient } from '../api/queryClient';
+import { postCrossTab, onCrossTab } from '../utils/crossTabChannel';
 
 // Auth action types
 const AUTH_ACTIONS = {
@@ -9,7 +12,8 @@ const AUTH_ACTIONS = {
   LOGIN_FAILURE: 'LOGIN_FAILURE',
   LOGOUT: 'LOGOUT',
   RESTORE_AUTH: 'RESTORE_AUTH',
-  UPDATE_USER: 'UPDATE_USER'
+  UPDATE_USER: 'UPDATE_USER',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED'
 };
 
 // Initial state
@@ -77,6 +81,13 @@ const authReducer = (state, action) => {
         user: { ...state.user, ...action.payload.user }
       };
       
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload.token,
+        user: action.payload.user ? { ...state.user, ...action.payload.user } : state.user
+      };
+      
     default:
       return state;
   }
@@ -147,6 +158,73 @@ export const AuthProvider = ({ children }) => {
     restoreAuth();
   }, []);
 
+  // Keep a silent refresh scheduled for as long as the user is signed in
+  useEffect(() => {
+    if (!state.isAuthenticated) return undefined;
+
+    scheduleTokenRefresh();
+    return () => cancelTokenRefresh();
+  }, [state.isAuthenticated]);
+
+  // Follow token changes made by the API client (events marked remote came from another tab)
+  useEffect(() => {
+    const handleTokenRefreshed = (event) => {
+      dispatch({
+        type: AUTH_ACTIONS.TOKEN_REFRESHED,
+        payload: { token: event.detail.token, user: event.detail.user }
+      });
+      if (!event.detail.remote) postCrossTab('auth:tokenRefreshed', { user: event.detail.user });
+    };
+
+    const handleSessionExpired = (event) => {
+      queryClient.clear();
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      if (!event.detail?.remote) postCrossTab('auth:logout');
+    };
+
+    window.addEventListener('authTokenRefreshed', handleTokenRefreshed);
+    window.addEventListener('authSessionExpired', handleSessionExpired);
+
+    return () => {
+      window.removeEventListener('authTokenRefreshed', handleTokenRefreshed);
+      window.removeEventListener('authSessionExpired', handleSessionExpired);
+    };
+  }, []);
+
+  // Keep every open tab on the same session. Tokens are never sent: they live in the
+  // shared localStorage, so each tab re-reads them through TokenManager.
+  useEffect(() => onCrossTab(({ type, payload }) => {
+    switch (type) {
+      case 'auth:login':
+        queryClient.clear();
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: TokenManager.getUser(), token: TokenManager.getToken() }
+        });
+        break;
+
+      case 'auth:logout':
+        cancelTokenRefresh();
+        window.dispatchEvent(new CustomEvent('authSessionExpired', { detail: { remote: true } }));
+        break;
+
+      case 'auth:tokenRefreshed':
+        // The refreshing tab already rotated the token; just follow it and re-arm our timer
+        scheduleTokenRefresh();
+        window.dispatchEvent(new CustomEvent('authTokenRefreshed', {
+          detail: { token: TokenManager.getToken(), user: payload.user, remote: true }
+        }));
+        break;
+
+      case 'auth:userUpdated':
+        dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: { user: payload.user } });
+        break;
+
+      default:
+        break;
+    }
+  }), []);
+
   // Login function
   const login = async (user, token) => {
     try {
@@ -166,6 +244,9 @@ export const AuthProvider = ({ children }) => {
         throw new Error('User and token are required for login');
       }
 
+      // A different account may have used this tab before
+      queryClient.clear();
+
       // Save to localStorage using TokenManager
       const saved = TokenManager.setAuthData(token, user);
       if (!saved) {
@@ -177,6 +258,7 @@ export const AuthProvider = ({ children }) => {
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
         payload: { user, token }
       });
+      postCrossTab('auth:login');
 
       if (process.env.NODE_ENV === 'development') {
         console.log('✅ AuthContext: Login successful', {
@@ -212,8 +294,12 @@ export const AuthProvider = ({ children }) => {
       // Clear localStorage using TokenManager
       TokenManager.clearAuth();
 
+      // Drop cached ledger data so the next user never sees it
+      queryClient.clear();
+
       // Update context state
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      postCrossTab('auth:logout');
 
       if (process.env.NODE_ENV === 'development') {
         console.log('✅ AuthContext: Logout successful', {
@@ -246,6 +332,7 @@ export const AuthProvider = ({ children }) => {
         type: AUTH_ACTIONS.UPDATE_USER,
         payload: { user: userData }
       });
+      postCrossTab('auth:userUpdated', { user: userData });
 
       if (process.env.NODE_ENV === 'development') {
         console.log('✅ AuthContext: User updated successfully');
@@ -0,0 +1,28 @@
+// src/hooks/useAbortSignal.js
+import { useEffect, useRef, useCallback } from 'react';
+
+/**
+ * AbortSignals scoped to a component. A signal is aborted when the component unmounts, or when
+ * a newer signal is requested under the same key, so a stale load can never overwrite a newer one.
+ * @returns {Function} nextSignal(key = 'default') - aborts the previous signal for `key` and returns a fresh one
+ */
+export const useAbortSignal = () => {
+  const controllersRef = useRef(new Map());
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    };
+  }, []);
+
+  return useCallback((key = 'default') => {
+    controllersRef.current.get(key)?.abort();
+    const controller = new AbortController();
+    controllersRef.current.set(key, controller);
+    return controller.signal;
+  }, []);
+};
+
+export default useAbortSignal;
@@ -0,0 +1,179 @@
+// src/hooks/useLedgerQueries.js
+import { useQuery } from 'react-query';
+import { queryKeys } from '../api/queryClient';
+import { fetchTransactions, extractTransactions, fetchDuplicates, fetchTags } from '../api/transactionApi';
+import { fetchBudgets, getCurrentMonth } from '../api/budgetApi';
+import CategoryAPI from '../api/categoryApi';
+import { fetchRecurringRules, fetchUpcomingOccurrences } from '../api/recurringApi';
+import { fetchAccounts, fetchAccountLedger } from '../api/accountApi';
+import { fetchTrash } from '../api/trashApi';
+import { fetchSavedViews } from '../api/savedViewApi';
+import { fetchHistory } from '../api/historyApi';
+import { fetchFxRates } from '../api/fxApi';
+import { fetchCategoryRules } from '../api/categoryRuleApi';
+
+/**
+ * Cached transaction list shared by every page
+ * @param {object} filters - Same filters as fetchTransactions (month, type, category, accountId, tag, startDate, endDate)
+ * @param {object} options - Extra react-query options
+ * @returns {object} react-query result; data is always an array once loaded
+ */
+export const useTransactionsQuery = (filters = {}, options = {}) => useQuery(
+  queryKeys.transactions(filters),
+  async ({ signal }) => extractTransactions(await fetchTransactions(filters, { signal })),
+  options
+);
+
+/**
+ * Cached probable repeats awaiting review; lives under the transactions key so any ledger change refreshes it
+ * @param {object} options - Extra react-query options
+ */
+export const useDuplicatesQuery = (options = {}) => useQuery(
+  queryKeys.duplicates(),
+  ({ signal }) => fetchDuplicates({ signal }),
+  options
+);
+
+/**
+ * Cached tag usage for autocomplete and tag filters; lives under the transactions key so tagging refreshes it
+ * @param {object} options - Extra react-query options
+ */
+export const useTagsQuery = (options = {}) => useQuery(
+  queryKeys.tags(),
+  ({ signal }) => fetchTags({ signal }),
+  options
+);
+
+/**
+ * Cached accounts with their current balances
+ * @param {object} params - { includeArchived: true } to list archived accounts too
+ * @param {object} options - Extra react-query options
+ */
+export const useAccountsQuery = (params = {}, options = {}) => useQuery(
+  queryKeys.accounts(params),
+  ({ signal }) => fetchAccounts(params, { signal }),
+  options
+);
+
+/**
+ * Cached running balance of one account; lives under the accounts key so any balance change refreshes it
+ * @param {string} id - Account ID (the query waits until there is one)
+ * @param {object} options - Extra react-query options
+ */
+export const useAccountLedgerQuery = (id, options = {}) => useQuery(
+  queryKeys.accountLedger(id),
+  ({ signal }) => fetchAccountLedger(id, { signal }),
+  { enabled: !!id, ...options }
+);
+
+/**
+ * Cached budgets for one month
+ * @param {string} month - Month in YYYY-MM format (defaults to the current month)
+ * @param {object} options - Extra react-query options
+ */
+export const useBudgetsQuery = (month = getCurrentMonth(), options = {}) => useQuery(
+  queryKeys.budgets(month),
+  ({ signal }) => fetchBudgets(month, { signal }),
+  options
+);
+
+/**
+ * Cached category list
+ * @param {object} options - Extra react-query options
+ */
+export const useCategoriesQuery = (options = {}) => useQuery(
+  queryKeys.categories(),
+  ({ signal }) => CategoryAPI.list({ signal }),
+  options
+);
+
+/**
+ * Cached recurring rules
+ * @param {object} options - Extra react-query options
+ */
+export const useRecurringRulesQuery = (options = {}) => useQuery(
+  queryKeys.recurringRules(),
+  ({ signal }) => fetchRecurringRules({ signal }),
+  options
+);
+
+/**
+ * Cached instances of recurring rules that have not been recorded yet
+ * @param {object} range - { from, to } as ISO strings, so the query key stays stable between renders
+ * @param {object} options - Extra react-query options
+ */
+export const useUpcomingOccurrencesQuery = (range = {}, options = {}) => useQuery(
+  queryKeys.upcomingOccurrences(range),
+  ({ signal }) => fetchUpcomingOccurrences(range, { signal }),
+  options
+);
+
+/**
+ * Cached trash listing: { items, retentionDays }
+ * @param {object} options - Extra react-query options
+ */
+export const useTrashQuery = (options = {}) => useQuery(
+  queryKeys.trash(),
+  ({ signal }) => fetchTrash({ signal }),
+  options
+);
+
+/**
+ * Cached saved views, pinned first
+ * @param {object} options - Extra react-query options
+ */
+export const useSavedViewsQuery = (options = {}) => useQuery(
+  queryKeys.savedViews(),
+  ({ signal }) => fetchSavedViews({ signal }),
+  options
+);
+
+/**
+ * Change history of one record, newest first. Reloaded each time it is shown, since edits to
+ * the record do not invalidate it.
+ * @param {string} entity - transaction, budget, debt or splitExpense
+ * @param {string} id - Record _id; nothing is fetched without one
+ * @param {object} options - Extra react-query options
+ */
+export const useHistoryQuery = (entity, id, options = {}) => useQuery(
+  queryKeys.history(entity, id),
+  ({ signal }) => fetchHistory(entity, id, { signal }),
+  { enabled: !!id, staleTime: 0, ...options }
+);
+
+/**
+ * Cached auto-categorisation rules, in the order they apply
+ * @param {object} options - Extra react-query options
+ */
+export const useCategoryRulesQuery = (options = {}) => useQuery(
+  queryKeys.categoryRules(),
+  ({ signal }) => fetchCategoryRules({ signal }),
+  options
+);
+
+/**
+ * Exchange rate table and base currency, for previewing conversions before a transaction is saved
+ * @param {object} options - Extra react-query options
+ */
+export const useFxRatesQuery = (options = {}) => useQuery(
+  queryKeys.fxRates(),
+  ({ signal }) => fetchFxRates({ signal }),
+  { staleTime: 10 * 60 * 1000, ...options }
+);
+
+export default {
+  useTransactionsQuery,
+  useDuplicatesQuery,
+  useTagsQuery,
+  useAccountsQuery,
+  useAccountLedgerQuery,
+  useBudgetsQuery,
+  useCategoriesQuery,
+  useRecurringRulesQuery,
+  useUpcomingOccurrencesQuery,
+  useTrashQuery,
+  useSavedViewsQuery,
+  useHistoryQuery,
+  useCategoryRulesQuery,
+  useFxRatesQuery
+};
@@ -0,0 +1,31 @@
+// src/hooks/useRealtime.js
+import { useState, useEffect, useRef } from 'react';
+import realtimeService from '../services/realtimeService';
+
+/**
+ * Run a handler whenever the server pushes a change to the given entities
+ * @param {string|Array<string>} entities - e.g. 'debt' or ['splitExpense', 'debt']
+ * @param {Function} handler - ({ action, record, replayed }) => void; always the latest render's handler
+ */
+export const useRealtime = (entities, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  const key = [].concat(entities).join(',');
+
+  useEffect(
+    () => realtimeService.subscribe(key.split(','), (change) => handlerRef.current(change)),
+    [key]
+  );
+};
+
+// Whether the realtime connection is currently up (pages fall back to polling when it is not)
+export const useRealtimeStatus = () => {
+  const [status, setStatus] = useState({ connected: realtimeService.isConnected(), lastEventAt: null });
+
+  useEffect(() => realtimeService.subscribeStatus(setStatus), []);
+
+  return status;
+};
+
+export default useRealtime;
@@ -0,0 +1,17 @@
+// src/hooks/useSyncStatus.js
+import { useState, useEffect } from 'react';
+import transactionSyncService from '../services/transactionSyncService';
+
+// Live view of the offline outbox: connectivity, queued, conflicted and failed changes
+export const useSyncStatus = () => {
+  const [status, setStatus] = useState(transactionSyncService.getStatus());
+
+  useEffect(() => transactionSyncService.subscribe(setStatus), []);
+
+  return {
+    ...status,
+    syncNow: () => transactionSyncService.flush()
+  };
+};
+
+export default useSyncStatus;
@@ -18,8 +18,7 @@ const useUserData = () => {
 
   const loadFriends = async () => {
     try {
-      const res = await fetchFriends();
-      setFriends(res.data);
+      setFriends(await fetchFriends());
     } catch (err) {
       setError('Error fetching friends');
       console.error(err);
@@ -0,0 +1,45 @@
+// src/hooks/useVirtualRows.js
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Window a long list of fixed-height rows: only the rows near the visible part of a
+ * scrolling container are rendered, with spacer heights standing in for the rest.
+ * @param {object} params - { count, rowHeight, overscan }
+ * @returns {object} { ref, onScroll, start, end, paddingTop, paddingBottom }
+ *   Attach `ref` and `onScroll` to the scrolling element and render rows[start, end)
+ */
+export const useVirtualRows = ({ count, rowHeight, overscan = 10 }) => {
+  const [container, setContainer] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // The container may mount after the first render, so it is tracked through a callback ref
+  useEffect(() => {
+    if (!container) return undefined;
+
+    const measure = () => setViewportHeight(container.clientHeight);
+    measure();
+
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [container]);
+
+  const onScroll = useCallback((event) => setScrollTop(event.currentTarget.scrollTop), []);
+
+  const visibleRows = Math.ceil((viewportHeight || rowHeight * 20) / rowHeight);
+  const start = Math.min(count, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+  const end = Math.min(count, start + visibleRows + overscan * 2);
+
+  return {
+    ref: setContainer,
+    onScroll,
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (count - end) * rowHeight
+  };
+};
+
+export default useVirtualRows;
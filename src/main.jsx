@@ -5,17 +5,21 @@ import App from './App';
 import { createBrowserRouter, RouterProvider } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import { PreferenceProvider } from './context/preferenceProvider';
+import { QueryClientProvider } from 'react-query';
+import { queryClient } from './api/queryClient';
 
 const router = createBrowserRouter(
   [
     {
       path: "/*",
       element: (
-        <AuthProvider>
-          <PreferenceProvider>
-            <App />
-          </PreferenceProvider>
-        </AuthProvider>
+        <QueryClientProvider client={queryClient}>
+          <AuthProvider>
+            <PreferenceProvider>
+              <App />
+            </PreferenceProvider>
+          </AuthProvider>
+        </QueryClientProvider>
       ),
     },
   ],
@@ -6,62 +6,21 @@ import {
   PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar 
 } from 'recharts';
 import CurrencyManager from '../utils/currencyManager';
+import { amountInCategory, categoryLinesOf, hasCategory } from '../utils/categoryLines';
+import { totalsByTag } from '../utils/tags';
+import { getCurrentMonth } from '../api/budgetApi';
+import { useTransactionsQuery, useBudgetsQuery, useAccountsQuery } from '../hooks/useLedgerQueries';
+import { matchesSearch, parseSearchQuery } from '../utils/searchQuery';
+import SearchQueryInput from '../components/SearchQueryInput';
+import SavedViewsBar from '../components/SavedViewsBar';
 import './Analytics.css';
 
 // Configuration Constants
 const CONFIG = {
-  API_BASE_URL: 'http://localhost:4000/api',
   CHART_COLORS: ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B739', '#52B788'],
   REFRESH_INTERVAL: 300000, // 5 minutes auto-refresh
 };
 
-// API Service Layer - Centralized API calls
-class AnalyticsAPI {
-  static getAuthHeaders() {
-    const token = localStorage.getItem('token') || 
-                  localStorage.getItem('authToken') || 
-                  sessionStorage.getItem('token') || 
-                  sessionStorage.getItem('authToken');
-
-    if (!token) {
-      throw new Error('Authentication required. Please log in.');
-    }
-
-    return {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-    };
-  }
-
-  static async fetchTransactions() {
-    const response = await fetch(`${CONFIG.API_BASE_URL}/transactions`, {
-      headers: this.getAuthHeaders(),
-    });
-    
-    if (!response.ok) {
-      if (response.status === 401) throw new Error('Session expired. Please log in again.');
-      throw new Error(`Failed to fetch transactions: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data.transactions || [];
-  }
-
-  static async fetchBudgets(month) {
-    const response = await fetch(`${CONFIG.API_BASE_URL}/budgets?month=${month}`, {
-      headers: this.getAuthHeaders(),
-    });
-    
-    if (!response.ok) {
-      if (response.status === 401) throw new Error('Session expired. Please log in again.');
-      throw new Error(`Failed to fetch budgets: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data.budgets || data || [];
-  }
-}
-
 // Data Processing Utilities
 class DataProcessor {
   static validateTransaction(tx) {
@@ -115,14 +74,15 @@ class AnalyticsEngine {
     this.currentMonth = new Date().toISOString().slice(0, 7);
   }
 
+  // A split transaction counts towards each of its categories with that line's amount
   getCategoryMetrics(category, month = this.currentMonth) {
     const categoryTxs = this.transactions.filter(tx => 
-      tx.category === category &&
+      hasCategory(tx, category) &&
       tx.type === 'expense' &&
       DataProcessor.getMonthKey(tx.date || tx.createdAt) === month
     );
 
-    const totalSpent = categoryTxs.reduce((sum, tx) => sum + (tx.amount || 0), 0);
+    const totalSpent = categoryTxs.reduce((sum, tx) => sum + amountInCategory(tx, category), 0);
     const transactionCount = categoryTxs.length;
     const avgTransaction = transactionCount > 0 ? totalSpent / transactionCount : 0;
 
@@ -138,11 +98,13 @@ class AnalyticsEngine {
       const month = DataProcessor.getMonthKey(tx.date || tx.createdAt);
       if (!month) return;
       
-      if (!trends[tx.category]) trends[tx.category] = {};
-      if (!trends[tx.category][month]) trends[tx.category][month] = { amount: 0, count: 0 };
-      
-      trends[tx.category][month].amount += tx.amount;
-      trends[tx.category][month].count += 1;
+      categoryLinesOf(tx).forEach(({ category, amount }) => {
+        if (!trends[category]) trends[category] = {};
+        if (!trends[category][month]) trends[category][month] = { amount: 0, count: 0 };
+
+        trends[category][month].amount += amount;
+        trends[category][month].count += 1;
+      });
     });
 
     return trends;
@@ -236,8 +198,10 @@ class AnalyticsEngine {
     
     this.transactions.forEach(tx => {
       if (tx.type !== 'expense' || !tx.category) return;
-      if (!categories[tx.category]) categories[tx.category] = 0;
-      categories[tx.category] += tx.amount || 0;
+      categoryLinesOf(tx).forEach(({ category, amount }) => {
+        if (!categories[category]) categories[category] = 0;
+        categories[category] += amount || 0;
+      });
     });
 
     return Object.entries(categories)
@@ -246,11 +210,18 @@ class AnalyticsEngine {
       .map(([category, spent]) => ({ category, spent }));
   }
 
+  // Tags cut across categories, so a transaction with several tags counts in full towards each
+  getTopTags(limit = 8) {
+    return totalsByTag(this.transactions.filter(tx => tx.type === 'expense'))
+      .slice(0, limit)
+      .map(({ tag, total }) => ({ category: `#${tag}`, spent: total }));
+  }
+
   getSummaryMetrics() {
     const expenses = this.transactions.filter(tx => tx.type === 'expense');
     const totalExpenses = expenses.reduce((sum, tx) => sum + (tx.amount || 0), 0);
     
-    const categories = new Set(expenses.map(tx => tx.category).filter(Boolean));
+    const categories = new Set(expenses.flatMap(tx => categoryLinesOf(tx).map(line => line.category)).filter(Boolean));
     
     const budgetsWithSpending = this.budgets.filter(b => {
       const spent = this.getCategoryMetrics(b.category).totalSpent;
@@ -276,13 +247,37 @@ class AnalyticsEngine {
 
 // Main Analytics Component
 const Analytics = () => {
-  const [transactions, setTransactions] = useState([]);
-  const [budgets, setBudgets] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [refreshing, setRefreshing] = useState(false);
-  const [lastFetchTime, setLastFetchTime] = useState(null);
+  // Shared cached ledger data, re-polled every REFRESH_INTERVAL while the page is open
+  const transactionsQuery = useTransactionsQuery({}, { refetchInterval: CONFIG.REFRESH_INTERVAL });
+  const budgetsQuery = useBudgetsQuery(getCurrentMonth(), { refetchInterval: CONFIG.REFRESH_INTERVAL });
+
+  const accountsQuery = useAccountsQuery({ includeArchived: true }, { staleTime: 60 * 1000 });
+
+  // A search expression (typed, or from a saved view) narrows every chart to the matching transactions
+  const [searchText, setSearchText] = useState('');
+  const [searchFilters, setSearchFilters] = useState({});
+  const searchActive = Object.keys(searchFilters).length > 0;
+
+  const validTransactions = useMemo(
+    () => (transactionsQuery.data || []).filter(DataProcessor.validateTransaction),
+    [transactionsQuery.data]
+  );
+  const transactions = useMemo(
+    () => (searchActive ? validTransactions.filter(tx => matchesSearch(tx, searchFilters)) : validTransactions),
+    [validTransactions, searchFilters, searchActive]
+  );
+  const budgets = useMemo(
+    () => (Array.isArray(budgetsQuery.data) ? budgetsQuery.data : []),
+    [budgetsQuery.data]
+  );
+
+  const loading = transactionsQuery.isLoading || budgetsQuery.isLoading;
+  const refreshing = !loading && (transactionsQuery.isFetching || budgetsQuery.isFetching);
+  const queryError = transactionsQuery.error || budgetsQuery.error;
+  const error = queryError ? (queryError.message || 'Failed to load analytics data. Please try again.') : null;
+  const lastFetchTime = transactionsQuery.dataUpdatedAt ? new Date(transactionsQuery.dataUpdatedAt) : null;
   const [selectedTimeframe, setSelectedTimeframe] = useState('current');
+  const [spendingGroup, setSpendingGroup] = useState('category');
   const [userCurrency, setUserCurrency] = useState('INR');
   const [currencySymbol, setCurrencySymbol] = useState('₹');
 
@@ -291,50 +286,38 @@ const Analytics = () => {
     [transactions, budgets]
   );
 
-  const loadData = useCallback(async (showRefreshIndicator = false) => {
-  const { currency, symbol } = await CurrencyManager.fetchFromDB();
-  setUserCurrency(currency);
-  setCurrencySymbol(symbol);
-  console.log('💰 Analytics.jsx currency loaded:', currency, symbol);
-    if (showRefreshIndicator) {
-      setRefreshing(true);
-    } else {
-      setLoading(true);
-    }
-    
-    setError(null);
-
-    try {
-      const [transactionData, budgetData] = await Promise.all([
-        AnalyticsAPI.fetchTransactions(),
-        AnalyticsAPI.fetchBudgets(new Date().toISOString().slice(0, 7))
-      ]);
-
-      const validTransactions = (transactionData || []).filter(DataProcessor.validateTransaction);
-
-      setTransactions(validTransactions);
-      setBudgets(Array.isArray(budgetData) ? budgetData : []);
-      setLastFetchTime(new Date());
-
-    } catch (err) {
-      console.error('Analytics Error:', err);
-      setError(err.message || 'Failed to load analytics data. Please try again.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
+  useEffect(() => {
+    const controller = new AbortController();
+    const loadCurrency = async () => {
+      const { currency, symbol } = await CurrencyManager.fetchFromDB({ signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setUserCurrency(currency);
+      setCurrencySymbol(symbol);
+      console.log('💰 Analytics.jsx currency loaded:', currency, symbol);
+    };
+    loadCurrency();
+    return () => controller.abort();
   }, []);
 
-  useEffect(() => {
-    loadData();
-    
-    const interval = setInterval(() => loadData(true), CONFIG.REFRESH_INTERVAL);
-    return () => clearInterval(interval);
-  }, [loadData]);
+  const loadData = useCallback(() => {
+    transactionsQuery.refetch();
+    budgetsQuery.refetch();
+  }, [transactionsQuery.refetch, budgetsQuery.refetch]);
+
+  const handleSearch = ({ filters, errors }) => {
+    if (errors.length === 0) setSearchFilters(filters);
+  };
+
+  const openSavedView = (view) => {
+    const { filters, errors } = parseSearchQuery(view.query, { accounts: accountsQuery.data || [] });
+    setSearchText(view.query);
+    setSearchFilters(errors.length === 0 ? filters : {});
+  };
 
   const summaryMetrics = useMemo(() => engine.getSummaryMetrics(), [engine]);
   const monthlyTrend = useMemo(() => engine.getMonthlyTrendData(), [engine]);
   const topCategories = useMemo(() => engine.getTopCategories(), [engine]);
+  const topTags = useMemo(() => engine.getTopTags(), [engine]);
   const categoryTrends = useMemo(() => engine.getCategoryTrends(), [engine]);
   const allCategories = useMemo(() => Object.keys(categoryTrends).sort(), [categoryTrends]);
 
@@ -372,7 +355,8 @@ const Analytics = () => {
     );
   }
 
-  if (allCategories.length === 0) {
+  // With a search active the page stays up so the search can be changed
+  if (allCategories.length === 0 && !searchActive) {
     return (
       <div className="analytics-container">
         <div className="analytics-empty">
@@ -411,6 +395,18 @@ const Analytics = () => {
         </div>
       </header>
 
+      <section className="analytics-search">
+        <SavedViewsBar page="analytics" query={searchText} onApply={openSavedView} ready={accountsQuery.isFetched} />
+        <SearchQueryInput value={searchText} onChange={setSearchText} onSearch={handleSearch} live />
+        {searchActive && (
+          <p className="analytics-search-count">
+            {transactions.length === 0
+              ? 'No transactions match this search.'
+              : `Showing ${transactions.length} of ${validTransactions.length} transactions`}
+          </p>
+        )}
+      </section>
+
       {/* Enhanced Summary Cards with Icons */}
       <div className="summary-cards">
         <div className="summary-card total-expenses">
@@ -472,7 +468,7 @@ const Analytics = () => {
               <YAxis 
                 stroke="#666"
                 style={{ fontSize: '12px' }}
-                tickFormatter={(value) => `₹${(value / 1000).toFixed(0)}k`}
+                tickFormatter={(value) => `${currencySymbol}${(value / 1000).toFixed(0)}k`}
               />
               <Tooltip 
                 formatter={(value) => DataProcessor.formatCurrency(value)}
@@ -499,9 +495,23 @@ const Analytics = () => {
 
         {/* Category Spending Bar Chart */}
         <div className="chart-card">
-          <h2 className="chart-title">📊 Spending by Category</h2>
+          <div className="chart-title-row">
+            <h2 className="chart-title">📊 Spending by {spendingGroup === 'tag' ? 'Tag' : 'Category'}</h2>
+            <select
+              value={spendingGroup}
+              onChange={(e) => setSpendingGroup(e.target.value)}
+              className="timeframe-select"
+              aria-label="Group spending by"
+            >
+              <option value="category">By Category</option>
+              <option value="tag">By Tag</option>
+            </select>
+          </div>
+          {spendingGroup === 'tag' && topTags.length === 0 && (
+            <p className="chart-empty">No tagged expenses yet. Add tags such as "Goa trip" to transactions to group them here.</p>
+          )}
           <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={topCategories}>
+            <BarChart data={spendingGroup === 'tag' ? topTags : topCategories}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
               <XAxis 
                 dataKey="category" 
@@ -514,7 +524,7 @@ const Analytics = () => {
               <YAxis 
                 stroke="#666"
                 style={{ fontSize: '12px' }}
-                tickFormatter={(value) => `₹${(value / 1000).toFixed(0)}k`}
+                tickFormatter={(value) => `${currencySymbol}${(value / 1000).toFixed(0)}k`}
               />
               <Tooltip 
                 formatter={(value) => DataProcessor.formatCurrency(value)}
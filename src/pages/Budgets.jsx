@@ -1,28 +1,38 @@
 import React, { useState, useEffect } from 'react';
 import { Wallet, Plus, Edit2, Trash2, X, AlertTriangle, AlertCircle, Lock, TrendingDown } from 'lucide-react';
-import { fetchBudgets, createBudget, updateBudgetApi, deleteBudgetApi } from '../api/budgetApi';
-import { fetchTransactions } from '../api/transactionApi';
+import { createBudget, updateBudgetApi, deleteBudgetApi } from '../api/budgetApi';
 import CurrencyManager from '../utils/currencyManager';
-import CategoryAPI from '../api/categoryApi';
+import { amountInCategory, hasCategory } from '../utils/categoryLines';
+import { useBudgetsQuery, useTransactionsQuery, useCategoriesQuery } from '../hooks/useLedgerQueries';
+import ChangeHistoryButton from '../components/ChangeHistory';
 import './Budgets.css';
 
+const EMPTY_LIST = [];
+
 const BudgetManager = () => {
-  const [budgets, setBudgets] = useState([]);
-  const [transactions, setTransactions] = useState([]);
-  const [categories, setCategories] = useState([]);
   const [selectedMonth, setSelectedMonth] = useState('');
   const [currentMonth, setCurrentMonth] = useState('');
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [editingBudget, setEditingBudget] = useState(null);
-  const [deletingBudget, setDeletingBudget] = useState(null);
   const [isOnline] = useState(true);
-  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [previousBudgets, setPreviousBudgets] = useState([]);
   const [userCurrency, setUserCurrency] = useState('INR');
   const [currencySymbol, setCurrencySymbol] = useState('{currencySymbol}');
 
+  // Shared cached data for the selected month; budget and transaction mutations invalidate it
+  const budgetsQuery = useBudgetsQuery(selectedMonth, { enabled: !!selectedMonth });
+  const transactionsQuery = useTransactionsQuery({ month: selectedMonth }, { enabled: !!selectedMonth });
+  const categoriesQuery = useCategoriesQuery();
+
+  const budgets = budgetsQuery.data || EMPTY_LIST;
+  const transactions = transactionsQuery.data || EMPTY_LIST;
+  const categories = categoriesQuery.data || EMPTY_LIST;
+
+  const loading = !selectedMonth || budgetsQuery.isLoading || transactionsQuery.isLoading || categoriesQuery.isLoading;
+  const loadError = budgetsQuery.error || transactionsQuery.error || categoriesQuery.error;
+  const displayedError = error || (loadError ? (loadError.message || 'Failed to load data') : null);
+
   useEffect(() => {
     const now = new Date();
     const year = now.getFullYear();
@@ -31,72 +41,26 @@ const BudgetManager = () => {
     setSelectedMonth(current);
     setCurrentMonth(current);
     
+    const controller = new AbortController();
     const loadCurrency = async () => {
-    const { currency, symbol } = await CurrencyManager.fetchFromDB();
+    const { currency, symbol } = await CurrencyManager.fetchFromDB({ signal: controller.signal });
+    if (controller.signal.aborted) return;
     setUserCurrency(currency);
     setCurrencySymbol(symbol);
     console.log('💰 Budgets.jsx currency loaded:', currency, symbol);
     };
     loadCurrency();
-    
-    fetchData(current);
-
-    fetchData(current);
+    return () => controller.abort();
   }, []);
 
-  useEffect(() => {
-    if (selectedMonth) {
-      fetchData(selectedMonth);
-    }
-  }, [selectedMonth]);
-
-  useEffect(() => {
-    const handleTransactionUpdate = () => {
-      if (selectedMonth) {
-        console.log('Transaction updated event received, refreshing budgets...');
-        fetchData(selectedMonth);
-      }
-    };
-
-    window.addEventListener('transactionUpdated', handleTransactionUpdate);
-    return () => window.removeEventListener('transactionUpdated', handleTransactionUpdate);
-  }, [selectedMonth]);
-
-  const fetchData = async (month) => {
-    setLoading(true);
+  // Transaction and budget mutations invalidate the cache; this is only for manual retries
+  const fetchData = async () => {
     setError(null);
-    try {
-      console.log('Fetching data for month:', month);
-      
-      const [budgetsData, transactionsData, categoriesData] = await Promise.all([
-        fetchBudgets(month),
-        fetchTransactions({ month }),
-        CategoryAPI.list()
-      ]);
-
-      console.log('Budgets received:', budgetsData);
-      console.log('Transactions received:', transactionsData);
-      console.log('Categories received:', categoriesData);
-
-      setBudgets(Array.isArray(budgetsData) ? budgetsData : []);
-      setCategories(Array.isArray(categoriesData) ? categoriesData : []);
-      
-      const txArray = Array.isArray(transactionsData) 
-        ? transactionsData 
-        : (transactionsData?.data || transactionsData?.transactions || []);
-      
-      console.log('Setting transactions:', txArray);
-      setTransactions(txArray);
-
-    } catch (err) {
-      console.error('Error fetching data:', err);
-      setError(err.message || 'Failed to load data');
-      setBudgets([]);
-      setTransactions([]);
-      setCategories([]);
-    } finally {
-      setLoading(false);
-    }
+    await Promise.all([
+      budgetsQuery.refetch(),
+      transactionsQuery.refetch(),
+      categoriesQuery.refetch()
+    ]);
   };
 
   const [formData, setFormData] = useState({
@@ -150,6 +114,9 @@ const BudgetManager = () => {
     });
 
     const matchingTransactions = transactions.filter(t => {
+      // A probable repeat awaiting review would count the same purchase twice
+      if (t.duplicateOf) return false;
+
       let tDate;
       const dateStr = t.date || t.createdAt;
       
@@ -164,7 +131,8 @@ const BudgetManager = () => {
         return false;
       }
 
-      const matchesCategory = t.category?.toLowerCase() === budget.category?.toLowerCase();
+      // A split transaction counts towards the budget with its matching line only
+      const matchesCategory = hasCategory(t, budget.category);
       const matchesType = t.type?.toLowerCase() === budget.type?.toLowerCase();
       const matchesDate = tDate >= startDate && tDate <= endDate;
       
@@ -181,7 +149,7 @@ const BudgetManager = () => {
       return matchesCategory && matchesType && matchesDate;
     });
 
-    const spent = matchingTransactions.reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0);
+    const spent = matchingTransactions.reduce((sum, t) => sum + Math.abs(amountInCategory(t, budget.category)), 0);
 
     console.log('Total spent calculated:', {
       budget: budget.category,
@@ -372,7 +340,6 @@ const BudgetManager = () => {
         console.log('Budget created successfully');
       }
 
-      await fetchData(selectedMonth);
       setIsModalOpen(false);
       resetForm();
     } catch (err) {
@@ -393,20 +360,10 @@ const BudgetManager = () => {
     setIsModalOpen(true);
   };
 
-  const handleDelete = (budget) => {
-    setDeletingBudget(budget);
-    setIsDeleteModalOpen(true);
-  };
-
-  const confirmDelete = async () => {
+  // Deleted budgets go to the trash; the undo toast offers to bring them back
+  const handleDelete = async (budget) => {
     try {
-      console.log('Deleting budget:', deletingBudget._id || deletingBudget.id);
-      await deleteBudgetApi(deletingBudget._id || deletingBudget.id);
-      console.log('Budget deleted successfully');
-      
-      await fetchData(selectedMonth);
-      setIsDeleteModalOpen(false);
-      setDeletingBudget(null);
+      await deleteBudgetApi(budget._id || budget.id);
     } catch (err) {
       console.error('Error deleting budget:', err);
       setError(err.message || 'Failed to delete budget');
@@ -467,13 +424,13 @@ const BudgetManager = () => {
   return (
 <div className="budget-container">
       <div className="budget-wrapper">
-        {error && (
+        {displayedError && (
           <div className="error-banner">
             <div className="error-content">
               <AlertCircle size={20} />
-              <span>{error}</span>
+              <span>{displayedError}</span>
             </div>
-            <button className="retry-button" onClick={() => fetchData(selectedMonth)}>
+            <button className="retry-button" onClick={fetchData}>
               <span>Retry</span>
             </button>
           </div>
@@ -612,16 +569,25 @@ const BudgetManager = () => {
                               <span className="budget-type expense">EXPENSE</span>
                             </div>
                           </div>
-                          {canModifyMonth && (
-                            <div className="budget-actions">
-                              <button className="action-button edit" onClick={() => handleEdit(budget)}>
-                                <Edit2 size={18} />
-                              </button>
-                              <button className="action-button delete" onClick={() => handleDelete(budget)}>
-                                <Trash2 size={18} />
-                              </button>
-                            </div>
-                          )}
+                          <div className="budget-actions">
+                            <ChangeHistoryButton
+                              entity="budget"
+                              recordId={budget._id}
+                              title={`the ${budget.category} budget`}
+                              currencySymbol={currencySymbol}
+                              className="action-button"
+                            />
+                            {canModifyMonth && (
+                              <>
+                                <button className="action-button edit" onClick={() => handleEdit(budget)}>
+                                  <Edit2 size={18} />
+                                </button>
+                                <button className="action-button delete" onClick={() => handleDelete(budget)}>
+                                  <Trash2 size={18} />
+                                </button>
+                              </>
+                            )}
+                          </div>
                         </div>
 
                         <div className="progress-section">
@@ -802,61 +768,6 @@ const BudgetManager = () => {
           </div>
         </div>
       )}
-
-      {isDeleteModalOpen && deletingBudget && (
-        <div className="modal-overlay" onClick={() => setIsDeleteModalOpen(false)}>
-          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <div className="modal-header">
-              <h2>Delete Budget</h2>
-              <button className="close-button" onClick={() => setIsDeleteModalOpen(false)}>
-                <X size={24} />
-              </button>
-            </div>
-            <div className="delete-content">
-              <div className="delete-warning">
-                <AlertTriangle size={48} />
-                <h3>Are you sure you want to delete this budget?</h3>
-              </div>
-
-              <div className="budget-preview">
-                <div className="preview-header">
-                  <div className="budget-color-indicator" style={{ background: deletingBudget.color }} />
-                  <div className="preview-details">
-                    <h4>{deletingBudget.category}</h4>
-                    <span className={`budget-type ${deletingBudget.type}`}>
-                      {deletingBudget.type.toUpperCase()}
-                    </span>
-                  </div>
-                </div>
-                <div className="preview-stats">
-                  <div className="stat">
-                    <span className="stat-label">Budget Limit:</span>
-                    <span className="stat-value">{currencySymbol}{(deletingBudget.monthlyLimit || 0).toFixed(2)}</span>
-                  </div>
-                  <div className="stat">
-                    <span className="stat-label">{deletingBudget.type === 'income' ? 'Received' : 'Spent'}:</span>
-                    <span className="stat-value">{currencySymbol}{calculateSpentAmount(deletingBudget).toFixed(2)}</span>
-                  </div>
-                </div>
-              </div>
-
-              <div className="delete-consequences">
-                <p><strong>⚠️ This action cannot be undone.</strong></p>
-                <p>The budget will be deleted but your transactions will remain intact.</p>
-              </div>
-
-              <div className="form-actions">
-                <button className="cancel-button" onClick={() => setIsDeleteModalOpen(false)}>
-                  Cancel
-                </button>
-                <button className="delete-confirm-button" onClick={confirmDelete}>
-                  Delete Budget
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
     </div>
   );
 };
@@ -5,6 +5,8 @@ import CategoryAPI from '../api/categoryApi';
 import { Plus, Tag, Trash2, Pencil, Save, X, Brain, Target, RefreshCw } from 'lucide-react';
 import './Categories.css';
 import TokenManager from '../utils/tokenManager';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import CategoryRulesPanel from '../components/CategoryRulesPanel';
 
 const defaultForm = {
   name: '',
@@ -25,9 +27,12 @@ const Categories = () => {
   const [authError, setAuthError] = useState(false);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [initializing, setInitializing] = useState(true);
+  // Reads are cancelled when the page unmounts or a newer load starts
+  const nextSignal = useAbortSignal();
 
   const checkAuthentication = async () => {
     console.log('🔍 Starting authentication check...');
+    const signal = nextSignal('auth');
     
     const token = TokenManager.getToken();
     const user = TokenManager.getUser();
@@ -50,7 +55,8 @@ const Categories = () => {
 
     try {
       console.log('🔐 Validating token with API call...');
-      await CategoryAPI.list();
+      await CategoryAPI.list({ signal });
+      if (signal.aborted) return false;
       console.log('✅ Token validation successful');
       setIsAuthenticated(true);
       setAuthError(false);
@@ -58,12 +64,10 @@ const Categories = () => {
       setInitializing(false);
       return true;
     } catch (apiError) {
+      if (signal.aborted) return false;
       console.error('❌ Token validation failed:', apiError.message);
       
-      if (apiError.message.includes('401') || 
-          apiError.message.includes('Unauthorized') ||
-          apiError.message.includes('Authentication') ||
-          apiError.message.includes('token')) {
+      if (apiError.isAuthError) {
         console.log('🔐 Authentication error detected - clearing tokens');
         localStorage.removeItem('token');
         sessionStorage.removeItem('token');
@@ -92,12 +96,14 @@ const Categories = () => {
       return;
     }
 
+    const signal = nextSignal('load');
     if (showLoading) setLoading(true);
     setError('');
     
     try {
       console.log('📡 Loading categories...');
-      const cats = await CategoryAPI.list();
+      const cats = await CategoryAPI.list({ signal });
+      if (signal.aborted) return;
       
       console.log('✅ Data loaded successfully:', {
         categories: cats.length
@@ -106,12 +112,10 @@ const Categories = () => {
       setCategories(cats);
       setAuthError(false);
     } catch (e) {
+      if (signal.aborted) return;
       console.error('❌ Error loading data:', e);
       
-      if (e.message.includes('401') || 
-          e.message.includes('Unauthorized') ||
-          e.message.includes('token') ||
-          e.response?.status === 401) {
+      if (e.isAuthError) {
         console.log('🔐 Authentication error detected during load');
         setAuthError(true);
         setIsAuthenticated(false);
@@ -122,7 +126,7 @@ const Categories = () => {
         setError(`Failed to load categories: ${e.message}`);
       }
     } finally {
-      if (showLoading) setLoading(false);
+      if (showLoading && !signal.aborted) setLoading(false);
     }
   };
 
@@ -168,7 +172,7 @@ const Categories = () => {
     } catch (e) {
       console.error('❌ Error saving category:', e);
       
-      if (e.message.includes('401') || e.message.includes('token')) {
+      if (e.isAuthError) {
         setAuthError(true);
         setIsAuthenticated(false);
         setError('Session expired. Please log in again.');
@@ -212,7 +216,7 @@ const Categories = () => {
     } catch (e) {
       console.error('❌ Error removing category:', e);
       
-      if (e.message.includes('401') || e.message.includes('token')) {
+      if (e.isAuthError) {
         setAuthError(true);
         setIsAuthenticated(false);
         setError('Session expired. Please log in again.');
@@ -413,6 +417,8 @@ const Categories = () => {
           </div>
         )}
       </div>
+
+      <CategoryRulesPanel />
     </div>
   );
 };
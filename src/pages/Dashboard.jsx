@@ -1,9 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, PieChart, Pie, Cell, BarChart, Bar, ResponsiveContainer } from 'recharts';
-import { AlertTriangle, TrendingUp, DollarSign, CreditCard, Calendar, Plus, Search, Filter, User, Settings } from 'lucide-react';
+import { AlertTriangle, TrendingUp, DollarSign, CreditCard, Calendar, Plus, Filter, User, Settings } from 'lucide-react';
 import './Dashboard.css';
 import TokenManager from '../utils/tokenManager';
 import CurrencyManager from '../utils/currencyManager';
+import API from '../api/api';
+import { getCurrentMonth } from '../api/budgetApi';
+import { accountTypeIcon } from '../api/accountApi';
+import { useTransactionsQuery, useBudgetsQuery, useAccountsQuery } from '../hooks/useLedgerQueries';
+import SearchQueryInput from '../components/SearchQueryInput';
+import { matchesSearch } from '../utils/searchQuery';
+import { categoryLinesOf, hasCategory } from '../utils/categoryLines';
 
 const ExpenseTracker = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -20,6 +27,14 @@ const ExpenseTracker = () => {
   const [error, setError] = useState(null);
   const [userCurrency, setUserCurrency] = useState('INR');
   const [currencySymbol, setCurrencySymbol] = useState('₹');
+  // Low balance alert from Settings: { threshold, accountId } (accountId null = total of all accounts)
+  const [lowBalance, setLowBalance] = useState(null);
+
+  // Shared cached ledger data (reused across pages, invalidated by mutations)
+  const currentMonth = getCurrentMonth();
+  const transactionsQuery = useTransactionsQuery();
+  const budgetsQuery = useBudgetsQuery(currentMonth);
+  const accountsQuery = useAccountsQuery();
 
   const currencySymbols = {
     'INR': '₹',
@@ -32,55 +47,35 @@ const ExpenseTracker = () => {
   };
 
   // API call helper function
-const makeAPICall = async (endpoint) => {
+const makeAPICall = async (endpoint, options = {}) => {
   try {
-    const token = TokenManager.getToken(); // Use TokenManager instead
-    console.log('🔍 Dashboard API Call Debug:', {
-      endpoint,
-      tokenExists: !!token,
-      tokenLength: token?.length || 0,
-      tokenPreview: token ? token.substring(0, 20) + '...' : 'NO_TOKEN'
-    });
-    
-    if (!token) {
-      throw new Error('No authentication token found');
-    }
-    
-    const response = await fetch(`http://localhost:4000/api${endpoint}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    const response = await API.get(endpoint, options);
+    return response.data;
   } catch (error) {
-    console.error(`API call to ${endpoint} failed:`, error);
+    if (!error.isAborted) console.error(`API call to ${endpoint} failed:`, error);
     throw error;
   }
 };
 
-const fetchUserCurrency = async () => {
-  const { currency, symbol } = await CurrencyManager.fetchFromDB();
+const fetchUserCurrency = async (signal) => {
+  const { currency, symbol } = await CurrencyManager.fetchFromDB({ signal });
   console.log('💰 Dashboard.jsx currency loaded:', currency, symbol);
   return currency;
 };
 
-  // Load all data
+  // Load all data; leaving the page cancels whatever is still in flight
   useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
     const loadData = async () => {
       try {
         setLoading(true);
         setError(null);
         
         // Load user currency
-        const currency = await fetchUserCurrency();
+        const currency = await fetchUserCurrency(signal);
+        if (signal.aborted) return;
         setUserCurrency(currency);
         setCurrencySymbol(currencySymbols[currency] || '₹');
 
@@ -92,224 +87,193 @@ const fetchUserCurrency = async () => {
         
         if (!userData) {
           try {
-            userData = await makeAPICall('/auth/me');
+            userData = await makeAPICall('/auth/me', { signal });
             setUser(userData);
             localStorage.setItem('user', JSON.stringify(userData));
           } catch (err) {
+            if (signal.aborted) return;
             console.error('Failed to load user data:', err);
           }
         }
         
-        // Load budget data
-        try {
-          const currentMonth = new Date().toISOString().slice(0, 7);
-          const budgetData = await makeAPICall(`/budgets?month=${currentMonth}`);
-          
-          if (budgetData && Array.isArray(budgetData) && budgetData.length > 0) {
-            const currentBudget = budgetData.find(b => b.is_active) || budgetData[0];
-            setUserBudget(currentBudget);
-          } else if (budgetData && !Array.isArray(budgetData)) {
-            setUserBudget(budgetData);
-          }
-        } catch (err) {
-          console.error('Failed to load budget data:', err);
-          setUserBudget(null);
-        }
-        
-        // Load transactions
-        try {
-          const transactionsData = await makeAPICall('/transactions');
-          let transactions = [];
-          
-          if (Array.isArray(transactionsData)) {
-            transactions = transactionsData;
-          } else if (transactionsData?.data && Array.isArray(transactionsData.data)) {
-            transactions = transactionsData.data;
-          } else if (transactionsData?.transactions && Array.isArray(transactionsData.transactions)) {
-            transactions = transactionsData.transactions;
-          }
-          
-          setAllTransactions(transactions);
-          
-          // Separate expenses and income
-          const expenseTransactions = transactions.filter(transaction => {
-            // Multiple ways to identify expenses
-            if (transaction.type) {
-              return transaction.type.toLowerCase() === 'expense';
-            }
-            if (transaction.hasOwnProperty('is_income')) {
-              return !transaction.is_income;
-            }
-            if (transaction.transaction_type) {
-              return transaction.transaction_type.toLowerCase() === 'expense';
-            }
-            // If amount is negative, consider it expense (some systems use negative for expenses)
-            if (parseFloat(transaction.amount || 0) < 0) {
-              return true;
-            }
-            // Default assumption - if no clear indicator, check if it has expense-like categories
-            const expenseCategories = ['food', 'dining', 'transportation', 'entertainment', 'shopping', 'bills', 'utilities', 'healthcare', 'education'];
-            if (transaction.category) {
-              return expenseCategories.some(cat => transaction.category.toLowerCase().includes(cat));
-            }
-            return false; // If unclear, don't assume it's an expense
-          });
-
-          const incomeTransactions = transactions.filter(transaction => {
-            // Multiple ways to identify income
-            if (transaction.type) {
-              return transaction.type.toLowerCase() === 'income';
-            }
-            if (transaction.hasOwnProperty('is_income')) {
-              return transaction.is_income;
-            }
-            if (transaction.transaction_type) {
-              return transaction.transaction_type.toLowerCase() === 'income';
-            }
-            // If amount is positive and not identified as expense, could be income
-            const expenseCategories = ['food', 'dining', 'transportation', 'entertainment', 'shopping', 'bills', 'utilities', 'healthcare', 'education'];
-            if (transaction.category && !expenseCategories.some(cat => transaction.category.toLowerCase().includes(cat))) {
-              return parseFloat(transaction.amount || 0) > 0;
-            }
-            return false;
-          });
-          
-          setExpenses(expenseTransactions);
-          setIncome(incomeTransactions);
-          
-          if (transactions.length > 0) {
-            // Calculate totals
-            const totalSpent = expenseTransactions.reduce((sum, transaction) => {
-              return sum + Math.abs(parseFloat(transaction.amount || 0));
-            }, 0);
-
-            const totalIncome = incomeTransactions.reduce((sum, transaction) => {
-              return sum + Math.abs(parseFloat(transaction.amount || 0));
-            }, 0);
-            
-            const categorySpending = expenseTransactions.reduce((acc, transaction) => {
-              const category = transaction.category || 'Other';
-              acc[category] = (acc[category] || 0) + Math.abs(parseFloat(transaction.amount || 0));
-              return acc;
-            }, {});
-
-            setDashboardData({
-              total_spent: totalSpent,
-              total_income: totalIncome,
-              net_balance: totalIncome - totalSpent,
-              total_transactions: transactions.length,
-              expense_transactions: expenseTransactions.length,
-              income_transactions: incomeTransactions.length,
-              category_spending: categorySpending
-            });
-            
-            // Detect anomalies in expenses only
-            if (expenseTransactions.length > 0) {
-              const amounts = expenseTransactions.map(t => Math.abs(parseFloat(t.amount || 0)));
-              const avgAmount = amounts.reduce((a, b) => a + b, 0) / amounts.length;
-              const threshold = avgAmount * 2;
-              
-              const detectedAnomalies = expenseTransactions
-                .filter(transaction => Math.abs(parseFloat(transaction.amount || 0)) > threshold)
-                .map(transaction => ({
-                  date: transaction.date || transaction.created_at || transaction.createdAt,
-                  total_spent: Math.abs(parseFloat(transaction.amount || 0)),
-                  transaction_count: 1,
-                  anomaly_score: Math.abs(parseFloat(transaction.amount || 0)) > threshold * 1.5 ? 'High' : 'Medium',
-                  title: transaction.title || transaction.description || 'Unnamed transaction'
-                }));
-              
-              setAnomalies(detectedAnomalies);
-            }
-            
-            // Generate recommendations
-            const recommendations = [];
-            const budgetAmount = userBudget?.amount || userBudget?.monthly_budget || 0;
-            
-            if (budgetAmount > 0) {
-              const budgetUsed = (totalSpent / budgetAmount) * 100;
-              
-              if (budgetUsed > 80) {
-                recommendations.push({
-                  type: 'budget_alert',
-                  message: `You've used ${budgetUsed.toFixed(1)}% of your budget. Consider reducing expenses.`,
-                  priority: 'high'
-                });
-              } else if (budgetUsed > 60) {
-                recommendations.push({
-                  type: 'budget_warning',
-                  message: `You've used ${budgetUsed.toFixed(1)}% of your budget. Monitor your spending closely.`,
-                  priority: 'medium'
-                });
-              }
-            }
-            
-            // Check for high category spending
-            const highestCategory = Object.entries(categorySpending)
-              .sort(([,a], [,b]) => b - a)[0];
-            
-            if (highestCategory && budgetAmount > 0) {
-              const categoryPercentage = (highestCategory[1] / budgetAmount) * 100;
-              if (categoryPercentage > 30) {
-                recommendations.push({
-                  type: 'high_spending_alert',
-                  category: highestCategory[0],
-                  message: `You've spent ${categoryPercentage.toFixed(1)}% of your budget on ${highestCategory[0]}. Consider reducing expenses in this category.`,
-                  priority: 'high'
-                });
-              }
-            }
-            
-            setRecommendations(recommendations);
-            
-          } else {
-            setDashboardData({
-              total_spent: 0,
-              total_income: 0,
-              net_balance: 0,
-              total_transactions: 0,
-              expense_transactions: 0,
-              income_transactions: 0,
-              category_spending: {}
-            });
-            setAnomalies([]);
-            setRecommendations([]);
-          }
-        } catch (err) {
-          console.error('Failed to load transactions:', err);
-          setDashboardData({
-            total_spent: 0,
-            total_income: 0,
-            net_balance: 0,
-            total_transactions: 0,
-            expense_transactions: 0,
-            income_transactions: 0,
-            category_spending: {}
-          });
-          setAnomalies([]);
-          setRecommendations([]);
-        }
-
         // Load forecast data
         try {
-          const forecastData = await makeAPICall('/forecast');
+          const forecastData = await makeAPICall('/forecast', { signal });
           setForecast(forecastData);
         } catch (err) {
+          if (signal.aborted) return;
           console.error('Failed to load forecast:', err);
           setForecast(null);
         }
 
+        // Low balance alert settings, used to flag accounts on the balances card
+        try {
+          const settings = await makeAPICall('/settings', { signal });
+          setLowBalance(settings?.lowBalanceAlert
+            ? { threshold: Number(settings.lowBalanceThreshold) || 0, accountId: settings.lowBalanceAccountId || null }
+            : null);
+        } catch (err) {
+          if (signal.aborted) return;
+          console.error('Failed to load settings:', err);
+          setLowBalance(null);
+        }
+
       } catch (error) {
+        if (signal.aborted) return;
         console.error('Error loading dashboard data:', error);
         setError('Failed to load dashboard data. Please try refreshing the page.');
       } finally {
-        setLoading(false);
+        if (!signal.aborted) setLoading(false);
       }
     };
 
     loadData();
+    return () => controller.abort();
   }, []);
 
+  // Pick the month's budget total out of the shared budget cache
+  useEffect(() => {
+    if (budgetsQuery.isError) {
+      console.error('Failed to load budget data:', budgetsQuery.error);
+      setUserBudget(null);
+      return;
+    }
+
+    const budgets = budgetsQuery.data;
+    if (!budgets) return;
+
+    const expenseBudgets = budgets.filter(budget => budget.type !== 'income');
+    setUserBudget(expenseBudgets.length > 0 ? {
+      month: currentMonth,
+      amount: expenseBudgets.reduce((sum, budget) => sum + (Number(budget.monthlyLimit) || 0), 0)
+    } : null);
+  }, [budgetsQuery.data, budgetsQuery.isError]);
+
+  // Derive dashboard figures whenever the cached ledger changes
+  useEffect(() => {
+    if (transactionsQuery.isError) {
+      console.error('Failed to load transactions:', transactionsQuery.error);
+      setDashboardData({
+        total_spent: 0,
+        total_income: 0,
+        net_balance: 0,
+        total_transactions: 0,
+        expense_transactions: 0,
+        income_transactions: 0,
+        category_spending: {}
+      });
+      setAnomalies([]);
+      setRecommendations([]);
+      return;
+    }
+
+    const transactions = transactionsQuery.data;
+    if (!transactions) return;
+
+    setAllTransactions(transactions);
+    
+    // Records are schema-validated, so type is always 'income' or 'expense'
+    const expenseTransactions = transactions.filter(transaction => transaction.type === 'expense');
+    const incomeTransactions = transactions.filter(transaction => transaction.type === 'income');
+    
+    setExpenses(expenseTransactions);
+    setIncome(incomeTransactions);
+    
+    if (transactions.length > 0) {
+      // Calculate totals
+      const totalSpent = expenseTransactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+      const totalIncome = incomeTransactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+      
+      // Each line of a split counts towards its own category
+      const categorySpending = expenseTransactions.flatMap(categoryLinesOf).reduce((acc, line) => {
+        acc[line.category] = (acc[line.category] || 0) + (Number(line.amount) || 0);
+        return acc;
+      }, {});
+
+      setDashboardData({
+        total_spent: totalSpent,
+        total_income: totalIncome,
+        net_balance: totalIncome - totalSpent,
+        total_transactions: transactions.length,
+        expense_transactions: expenseTransactions.length,
+        income_transactions: incomeTransactions.length,
+        category_spending: categorySpending
+      });
+      
+      // Detect anomalies in expenses only
+      if (expenseTransactions.length > 0) {
+        const amounts = expenseTransactions.map(t => t.amount);
+        const avgAmount = amounts.reduce((a, b) => a + b, 0) / amounts.length;
+        const threshold = avgAmount * 2;
+        
+        const detectedAnomalies = expenseTransactions
+          .filter(transaction => transaction.amount > threshold)
+          .map(transaction => ({
+            date: transaction.date,
+            total_spent: transaction.amount,
+            transaction_count: 1,
+            anomaly_score: transaction.amount > threshold * 1.5 ? 'High' : 'Medium',
+            title: transaction.title || transaction.description || 'Unnamed transaction'
+          }));
+        
+        setAnomalies(detectedAnomalies);
+      }
+      
+      // Generate recommendations
+      const recommendations = [];
+      const budgetAmount = userBudget?.amount || userBudget?.monthly_budget || 0;
+      
+      if (budgetAmount > 0) {
+        const budgetUsed = (totalSpent / budgetAmount) * 100;
+        
+        if (budgetUsed > 80) {
+          recommendations.push({
+            type: 'budget_alert',
+            message: `You've used ${budgetUsed.toFixed(1)}% of your budget. Consider reducing expenses.`,
+            priority: 'high'
+          });
+        } else if (budgetUsed > 60) {
+          recommendations.push({
+            type: 'budget_warning',
+            message: `You've used ${budgetUsed.toFixed(1)}% of your budget. Monitor your spending closely.`,
+            priority: 'medium'
+          });
+        }
+      }
+      
+      // Check for high category spending
+      const highestCategory = Object.entries(categorySpending)
+        .sort(([,a], [,b]) => b - a)[0];
+      
+      if (highestCategory && budgetAmount > 0) {
+        const categoryPercentage = (highestCategory[1] / budgetAmount) * 100;
+        if (categoryPercentage > 30) {
+          recommendations.push({
+            type: 'high_spending_alert',
+            category: highestCategory[0],
+            message: `You've spent ${categoryPercentage.toFixed(1)}% of your budget on ${highestCategory[0]}. Consider reducing expenses in this category.`,
+            priority: 'high'
+          });
+        }
+      }
+      
+      setRecommendations(recommendations);
+      
+    } else {
+      setDashboardData({
+        total_spent: 0,
+        total_income: 0,
+        net_balance: 0,
+        total_transactions: 0,
+        expense_transactions: 0,
+        income_transactions: 0,
+        category_spending: {}
+      });
+      setAnomalies([]);
+      setRecommendations([]);
+    }
+  }, [transactionsQuery.data, transactionsQuery.isError, userBudget]);
+
   const categoryColors = {
     'Food & Dining': '#FF6B6B',
     'Transportation': '#4ECDC4',
@@ -363,6 +327,14 @@ const fetchUserCurrency = async () => {
 
     const budgetAmount = userBudget?.amount || userBudget?.monthly_budget || 0;
 
+    const accounts = accountsQuery.data || [];
+    const accountsTotal = accounts.reduce((sum, account) => sum + account.balance, 0);
+    const formatBalance = (amount) => `${amount < 0 ? '-' : ''}${formatCurrency(Math.abs(amount))}`;
+    // The alert watches the chosen account, or the total when none (or an archived one) is chosen
+    const watchedAccount = lowBalance?.accountId ? accounts.find(account => account._id === lowBalance.accountId) : null;
+    const watchedBalance = watchedAccount ? watchedAccount.balance : accountsTotal;
+    const isLowBalance = !!lowBalance && accounts.length > 0 && watchedBalance < lowBalance.threshold;
+
     return (
       <div className="dashboard-container">
         {/* Stats Cards */}
@@ -434,6 +406,37 @@ const fetchUserCurrency = async () => {
           </div>
         </div>
 
+        {/* Account Balances */}
+        {accounts.length > 0 && (
+          <div className="accounts-card">
+            <div className="accounts-card-header">
+              <h3 className="recommendations-title">Account Balances</h3>
+              <span className={`accounts-card-total ${accountsTotal >= 0 ? 'positive' : 'negative'}`}>
+                Total {formatBalance(accountsTotal)}
+              </span>
+            </div>
+            {isLowBalance && (
+              <div className="low-balance-warning">
+                <AlertTriangle className="btn-icon" />
+                {watchedAccount ? watchedAccount.name : 'Your total balance'} is below your alert threshold of {formatCurrency(lowBalance.threshold)}
+              </div>
+            )}
+            <div className="account-balances">
+              {accounts.map(account => (
+                <div
+                  key={account._id}
+                  className={`account-balance-item${isLowBalance && watchedAccount?._id === account._id ? ' low' : ''}`}
+                >
+                  <span className="account-balance-name">{accountTypeIcon(account.type)} {account.name}</span>
+                  <span className={`account-balance-value ${account.balance >= 0 ? 'positive' : 'negative'}`}>
+                    {formatBalance(account.balance)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Charts */}
         {pieData.length > 0 ? (
           <div className="charts-grid">
@@ -510,6 +513,8 @@ const fetchUserCurrency = async () => {
 
   const ExpenseList = () => {
     const [searchTerm, setSearchTerm] = useState('');
+    // Filters of the last search expression that parsed without mistakes
+    const [searchFilters, setSearchFilters] = useState({});
     const [categoryFilter, setCategoryFilter] = useState('');
     const [typeFilter, setTypeFilter] = useState('');
     
@@ -518,13 +523,11 @@ const fetchUserCurrency = async () => {
                                [...expenses, ...income];
     
     const filteredTransactions = displayTransactions.filter(transaction => {
-      const title = transaction.title || transaction.description || '';
-      const matchesSearch = title.toLowerCase().includes(searchTerm.toLowerCase());
-      const matchesCategory = !categoryFilter || transaction.category === categoryFilter;
-      return matchesSearch && matchesCategory;
+      const matchesCategory = !categoryFilter || hasCategory(transaction, categoryFilter);
+      return matchesSearch(transaction, searchFilters) && matchesCategory;
     });
 
-    const categories = [...new Set(allTransactions.map(t => t.category).filter(Boolean))];
+    const categories = [...new Set(allTransactions.flatMap(categoryLinesOf).map(line => line.category).filter(Boolean))];
 
     return (
       <div className="expenses-container">
@@ -542,16 +545,12 @@ const fetchUserCurrency = async () => {
         {allTransactions.length > 0 && (
           <div className="filters-card">
             <div className="filters-content">
-              <div className="search-container">
-                <Search className="search-icon" />
-                <input
-                  type="text"
-                  placeholder="Search transactions..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  className="search-input"
-                />
-              </div>
+              <SearchQueryInput
+                value={searchTerm}
+                onChange={setSearchTerm}
+                onSearch={({ filters, errors }) => errors.length === 0 && setSearchFilters(filters)}
+                live
+              />
               <div className="filter-container">
                 <Filter className="filter-icon" />
                 <select
@@ -738,7 +737,7 @@ const fetchUserCurrency = async () => {
     { id: 'analytics', label: 'Analytics', icon: BarChart }
   ];
 
-  if (loading) {
+  if (loading || transactionsQuery.isLoading) {
     return (
       <div className="app-loading">
         <div className="loading-spinner"></div>
@@ -4,6 +4,9 @@ import React, { useState, useEffect } from 'react';
 import enhancedDebtApiService from '../api/DebtApiService';
 import { fetchFriends } from '../api/friendsApi';
 import CurrencyManager from '../utils/currencyManager';
+import { useRealtime } from '../hooks/useRealtime';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import ChangeHistoryButton from '../components/ChangeHistory';
 import './DebtManager.css';
 
 const DebtManager = () => {
@@ -34,9 +37,14 @@ const DebtManager = () => {
     dueDate: ''
   });
 
+  // Loads are cancelled when the page unmounts or a newer load starts
+  const nextSignal = useAbortSignal();
+
   useEffect(() => {
      const loadCurrency = async () => {
-    const { currency, symbol } = await CurrencyManager.fetchFromDB();
+    const signal = nextSignal('currency');
+    const { currency, symbol } = await CurrencyManager.fetchFromDB({ signal });
+    if (signal.aborted) return;
     setUserCurrency(currency);
     setCurrencySymbol(symbol);
     console.log('💰 DebtManager.jsx currency loaded:', currency, symbol);
@@ -49,47 +57,53 @@ const DebtManager = () => {
     calculateSummary();
   }, [debtsOwedToMe, debtsOwedByMe]);
 
-  const loadAllData = async () => {
-    setLoading(true);
+  // Debts recorded, paid or removed by the other party show up without a manual refresh
+  useRealtime('debt', () => loadAllData({ silent: true }));
+
+  const loadAllData = async ({ silent = false } = {}) => {
+    const signal = nextSignal('debts');
+    if (!silent) setLoading(true);
     try {
       console.log('🔄 Loading all debt data...');
       
-      const [owedToMeRes, owedByMeRes, friendsRes] = await Promise.all([
-        enhancedDebtApiService.fetchDebtsOwedToMe(),
-        enhancedDebtApiService.fetchDebtsOwedByMe(),
-        fetchFriends()
+      const [owedToMeRes, owedByMeRes, friendsRes] = await Promise.allSettled([
+        enhancedDebtApiService.fetchDebtsOwedToMe({ signal }),
+        enhancedDebtApiService.fetchDebtsOwedByMe({ signal }),
+        fetchFriends({ signal })
       ]);
+      if (signal.aborted) return;
 
-      if (owedToMeRes.success) {
-        console.log('✅ Debts owed to me:', owedToMeRes.debts.length);
-        setDebtsOwedToMe((owedToMeRes.debts || []).filter(d => d.status === 'pending'));
+      if (owedToMeRes.status === 'fulfilled') {
+        console.log('✅ Debts owed to me:', owedToMeRes.value.length);
+        setDebtsOwedToMe(owedToMeRes.value.filter(d => d.status === 'pending'));
       } else {
-        console.error('❌ Failed to load debts owed to me:', owedToMeRes.message);
+        console.error('❌ Failed to load debts owed to me:', owedToMeRes.reason?.message);
         showNotification('Failed to load debts owed to you', 'error');
       }
 
-      if (owedByMeRes.success) {
-        console.log('✅ Debts owed by me:', owedByMeRes.debts.length);
-        setDebtsOwedByMe((owedByMeRes.debts || []).filter(d => d.status === 'pending'));
+      if (owedByMeRes.status === 'fulfilled') {
+        console.log('✅ Debts owed by me:', owedByMeRes.value.length);
+        setDebtsOwedByMe(owedByMeRes.value.filter(d => d.status === 'pending'));
       } else {
-        console.error('❌ Failed to load debts owed by me:', owedByMeRes.message);
+        console.error('❌ Failed to load debts owed by me:', owedByMeRes.reason?.message);
         showNotification('Failed to load debts you owe', 'error');
       }
 
-      if (friendsRes.success) {
-        console.log('✅ Friends loaded:', friendsRes.friends.length);
+      if (friendsRes.status === 'fulfilled') {
+        console.log('✅ Friends loaded:', friendsRes.value.length);
         
         // FIXED: Log friend structure to debug
-        console.log('🔍 Friend data structure:', friendsRes.friends);
+        console.log('🔍 Friend data structure:', friendsRes.value);
         
-        setFriends(friendsRes.friends || []);
+        setFriends(friendsRes.value);
       }
 
     } catch (error) {
+      if (signal.aborted) return;
       console.error('❌ Error loading debt data:', error);
       showNotification('Failed to load debt data', 'error');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   };
 
@@ -146,25 +160,21 @@ const DebtManager = () => {
     try {
       console.log('📝 Creating debt with friendId:', formData.friendId);
       
-      const result = await enhancedDebtApiService.createManualDebt(formData);
-
-      if (result.success) {
-        showNotification('Debt created successfully!', 'success');
-        setFormData({
-          friendId: '',
-          amount: '',
-          description: '',
-          type: 'owe-me',
-          dueDate: ''
-        });
-        setShowCreateForm(false);
-        await loadAllData();
-      } else {
-        showNotification(result.message || 'Failed to create debt', 'error');
-      }
+      await enhancedDebtApiService.createManualDebt(formData);
+
+      showNotification('Debt created successfully!', 'success');
+      setFormData({
+        friendId: '',
+        amount: '',
+        description: '',
+        type: 'owe-me',
+        dueDate: ''
+      });
+      setShowCreateForm(false);
+      await loadAllData();
     } catch (error) {
       console.error('Error creating debt:', error);
-      showNotification('Failed to create debt', 'error');
+      showNotification(error.message || 'Failed to create debt', 'error');
     } finally {
       setActionLoading({ create: false });
     }
@@ -194,20 +204,16 @@ const handleMarkAsPaid = async (debtId) => {
   setActionLoading(prev => ({ ...prev, [`pay-${debtId}`]: true }));
 
   try {
-    const result = await enhancedDebtApiService.markDebtAsPaid(debtId, paymentMethod);
+    await enhancedDebtApiService.markDebtAsPaid(debtId, paymentMethod);
 
-    if (result.success) {
-      showNotification(
-        `✅ Payment recorded! ${paymentMethod ? `Method: ${paymentMethod}` : ''}`,
-        'success'
-      );
-      await loadAllData();
-    } else {
-      showNotification(result.message || 'Failed to mark debt as paid', 'error');
-    }
+    showNotification(
+      `✅ Payment recorded! ${paymentMethod ? `Method: ${paymentMethod}` : ''}`,
+      'success'
+    );
+    await loadAllData();
   } catch (error) {
     console.error('Error marking debt as paid:', error);
-    showNotification('Failed to mark debt as paid', 'error');
+    showNotification(error.message || 'Failed to mark debt as paid', 'error');
   } finally {
     setActionLoading(prev => ({ ...prev, [`pay-${debtId}`]: false }));
   }
@@ -215,22 +221,14 @@ const handleMarkAsPaid = async (debtId) => {
 
 
   const handleDeleteDebt = async (debtId, description) => {
-    if (!window.confirm(`Delete debt: "${description}"?`)) return;
-
     setActionLoading(prev => ({ ...prev, [`delete-${debtId}`]: true }));
 
     try {
-      const result = await enhancedDebtApiService.deleteDebt(debtId);
-
-      if (result.success) {
-        showNotification('Debt deleted successfully', 'success');
-        await loadAllData();
-      } else {
-        showNotification(result.message || 'Failed to delete debt', 'error');
-      }
+      await enhancedDebtApiService.deleteDebt(debtId);
+      await loadAllData();
     } catch (error) {
       console.error('Error deleting debt:', error);
-      showNotification('Failed to delete debt', 'error');
+      showNotification(error.message || 'Failed to delete debt', 'error');
     } finally {
       setActionLoading(prev => ({ ...prev, [`delete-${debtId}`]: false }));
     }
@@ -240,16 +238,12 @@ const handleMarkAsPaid = async (debtId) => {
     setActionLoading(prev => ({ ...prev, [`remind-${debtId}`]: true }));
 
     try {
-      const result = await enhancedDebtApiService.sendPaymentReminder(debtId);
+      await enhancedDebtApiService.sendPaymentReminder(debtId);
 
-      if (result.success) {
-        showNotification('💬 Payment reminder sent!', 'success');
-      } else {
-        showNotification(result.message || 'Failed to send reminder', 'error');
-      }
+      showNotification('💬 Payment reminder sent!', 'success');
     } catch (error) {
       console.error('Error sending reminder:', error);
-      showNotification('Failed to send reminder', 'error');
+      showNotification(error.message || 'Failed to send reminder', 'error');
     } finally {
       setActionLoading(prev => ({ ...prev, [`remind-${debtId}`]: false }));
     }
@@ -386,6 +380,14 @@ const handleMarkAsPaid = async (debtId) => {
               <span>📊 From Split</span>
             </div>
           )}
+
+          <ChangeHistoryButton
+            entity="debt"
+            recordId={debt._id}
+            title={debt.description || 'this debt'}
+            currencySymbol={currencySymbol}
+            className="btn btn-small"
+          />
         </div>
       </div>
     );
@@ -4,6 +4,7 @@ import './FriendsPage.css';
 
 // Import the actual API
 import { fetchFriends, searchUsers, addFriend, removeFriend } from '../api/friendsApi.js';
+import { useAbortSignal } from '../hooks/useAbortSignal';
 
 const FriendsPage = () => {
   const [friends, setFriends] = useState([]);
@@ -16,6 +17,8 @@ const FriendsPage = () => {
   const [error, setError] = useState(null);
 
   const searchTimeoutRef = useRef(null);
+  // Each new search cancels the previous one, so results never arrive out of order
+  const nextSignal = useAbortSignal();
 
   // Load friends on component mount
   useEffect(() => {
@@ -32,6 +35,7 @@ const FriendsPage = () => {
       if (searchQuery.trim().length >= 2) {
         performSearch();
       } else {
+        nextSignal('search'); // drop a search that is still in flight
         setSearchResults([]);
       }
     }, 500);
@@ -65,66 +69,56 @@ const FriendsPage = () => {
 
   const loadFriends = async () => {
     console.log('loadFriends: Starting to load friends...');
+    const signal = nextSignal('friends');
     
     try {
       setLoading(true);
       setError(null);
       
       console.log('loadFriends: Calling fetchFriends API...');
-      const result = await fetchFriends();
+      const friendsList = await fetchFriends({ signal });
+      if (signal.aborted) return;
+      console.log('loadFriends: Friends data:', friendsList);
       
-      console.log('loadFriends: Raw API result:', result);
-      
-      if (result.success) {
-        console.log('loadFriends: Success flag is true');
-        console.log('loadFriends: Friends data:', result.friends);
+      // Validate and normalize friends data
+      if (!friendsList || !Array.isArray(friendsList)) {
+        console.warn('loadFriends: Invalid friends data');
+        setFriends([]);
+      } else {
+        // Log the raw data to see what we're working with
+        console.log('loadFriends: Raw friends array:', JSON.stringify(friendsList, null, 2));
         
-        // Validate and normalize friends data
-        if (!result.friends || !Array.isArray(result.friends)) {
-          console.warn('loadFriends: Invalid friends data');
-          setFriends([]);
-        } else {
-          // Log the raw data to see what we're working with
-          console.log('loadFriends: Raw friends array:', JSON.stringify(result.friends, null, 2));
+        // Normalize friend data structure
+        const normalizedFriends = friendsList.map(friend => {
+          console.log('Processing friend:', friend);
           
-          // Normalize friend data structure
-          const normalizedFriends = result.friends.map(friend => {
-            console.log('Processing friend:', friend);
-            
-            // The API returns friendship records with friend data at root level
-            // Extract the actual friend user data
-            const friendData = {
-              _id: friend._id,
-              name: friend.name,
-              email: friend.email,
-              userId: friend.userId,
-              status: friend.status || 'active'
-            };
-            
-            console.log('Normalized to:', friendData);
-            return friendData;
-          }).filter(f => f._id && f.name); // Filter out invalid entries
+          // The API returns friendship records with friend data at root level
+          // Extract the actual friend user data
+          const friendData = {
+            _id: friend._id,
+            name: friend.name,
+            email: friend.email,
+            userId: friend.userId,
+            status: friend.status || 'active'
+          };
           
-          console.log('loadFriends: Normalized', normalizedFriends.length, 'friends');
-          console.log('loadFriends: Final friends list:', normalizedFriends);
-          setFriends(normalizedFriends);
-        }
-      } else if (result.authError) {
-        console.error('loadFriends: Auth error detected');
-        setError('Authentication required. Redirecting to login...');
-        setTimeout(() => {
-          window.location.href = '/login';
-        }, 2000);
-      } else {
-        console.error('loadFriends: API returned success: false');
-        throw new Error(result.message || 'Failed to load friends');
+          console.log('Normalized to:', friendData);
+          return friendData;
+        }).filter(f => f._id && f.name); // Filter out invalid entries
+        
+        console.log('loadFriends: Normalized', normalizedFriends.length, 'friends');
+        console.log('loadFriends: Final friends list:', normalizedFriends);
+        setFriends(normalizedFriends);
       }
     } catch (error) {
+      if (signal.aborted) return;
       console.error('loadFriends: Exception caught:', error);
       handleError(error, 'Loading friends');
     } finally {
-      console.log('loadFriends: Finally block - setting loading to false');
-      setLoading(false);
+      if (!signal.aborted) {
+        console.log('loadFriends: Finally block - setting loading to false');
+        setLoading(false);
+      }
     }
   };
 
@@ -135,34 +129,31 @@ const performSearch = async () => {
     }
 
     console.log('performSearch: Searching for:', searchQuery);
+    const signal = nextSignal('search');
 
     try {
       setSearching(true);
       
-      const result = await searchUsers(searchQuery.trim());
-      console.log('performSearch: Search result:', result);
+      const users = await searchUsers(searchQuery.trim(), { signal });
+      if (signal.aborted) return;
+      console.log('performSearch: Search result:', users);
       
-      if (result.success) {
-        // Filter out users who are already friends
-        // Use userId (the actual User._id from normalized data)
-        const friendUserIds = friends.map(f => f.userId || f._id).filter(Boolean);
-        console.log('performSearch: Current friend user IDs:', friendUserIds);
-        
-        const filteredUsers = result.users.filter(user => !friendUserIds.includes(user._id));
-        console.log('performSearch: Filtered users:', filteredUsers.length);
-        
-        setSearchResults(filteredUsers);
-      } else if (result.authError) {
-        handleError(new Error('Authentication failed'), 'Search users');
-      } else {
-        throw new Error(result.message || 'Search failed');
-      }
+      // Filter out users who are already friends
+      // Use userId (the actual User._id from normalized data)
+      const friendUserIds = friends.map(f => f.userId || f._id).filter(Boolean);
+      console.log('performSearch: Current friend user IDs:', friendUserIds);
+      
+      const filteredUsers = users.filter(user => !friendUserIds.includes(user._id));
+      console.log('performSearch: Filtered users:', filteredUsers.length);
+      
+      setSearchResults(filteredUsers);
     } catch (error) {
+      if (signal.aborted) return;
       console.error('performSearch: Error:', error);
       handleError(error, 'Search users');
       setSearchResults([]);
     } finally {
-      setSearching(false);
+      if (!signal.aborted) setSearching(false);
     }
   };
 
@@ -173,25 +164,19 @@ const performSearch = async () => {
     try {
       setActionLoading(prev => ({ ...prev, [actionId]: true }));
       
-      const result = await addFriend(user._id);
-      console.log('handleAddFriend: Add friend result:', result);
+      await addFriend(user._id);
+      console.log('handleAddFriend: Friend added successfully');
       
-      if (result.success) {
-        console.log('handleAddFriend: Friend added successfully');
-        
-        // Remove from search results immediately
-        setSearchResults(prev => prev.filter(u => u._id !== user._id));
-        
-        // Reload the friends list to ensure consistency
-        await loadFriends();
-        
-        // Clear search query to reset the search
-        setSearchQuery('');
-        
-        showMessage('success', `${user.name} added as friend!`);
-      } else {
-        throw new Error(result.message || 'Failed to add friend');
-      }
+      // Remove from search results immediately
+      setSearchResults(prev => prev.filter(u => u._id !== user._id));
+      
+      // Reload the friends list to ensure consistency
+      await loadFriends();
+      
+      // Clear search query to reset the search
+      setSearchQuery('');
+      
+      showMessage('success', `${user.name} added as friend!`);
     } catch (error) {
       console.error('handleAddFriend: Error:', error);
       handleError(error, 'Add friend');
@@ -207,19 +192,13 @@ const performSearch = async () => {
     try {
       setActionLoading(prev => ({ ...prev, [actionId]: true }));
       
-      const result = await removeFriend(friend._id);
-      console.log('handleRemoveFriend: Remove friend result:', result);
+      await removeFriend(friend._id);
+      console.log('handleRemoveFriend: Friend removed successfully');
       
-      if (result.success) {
-        console.log('handleRemoveFriend: Friend removed successfully');
-        
-        // Reload the friends list to ensure consistency
-        await loadFriends();
-        
-        showMessage('success', `${friend.name} removed from friends`);
-      } else {
-        throw new Error(result.message || 'Failed to remove friend');
-      }
+      // Reload the friends list to ensure consistency
+      await loadFriends();
+      
+      showMessage('success', `${friend.name} removed from friends`);
     } catch (error) {
       console.error('handleRemoveFriend: Error:', error);
       handleError(error, 'Remove friend');
@@ -6,6 +6,8 @@ import {
   getUnreadCount,
   deleteNotification
 } from '../api/notificationApi';
+import { useRealtime, useRealtimeStatus } from '../hooks/useRealtime';
+import { useAbortSignal } from '../hooks/useAbortSignal';
 
 const NotificationBell = () => {
   const [notifications, setNotifications] = useState([]);
@@ -15,12 +17,25 @@ const NotificationBell = () => {
   const [filter, setFilter] = useState('all'); // 'all', 'unread'
   const dropdownRef = useRef(null);
 
-  // Load notifications on mount and set up polling
+  const realtime = useRealtimeStatus();
+  // A filter change cancels the load for the previous filter
+  const nextSignal = useAbortSignal();
+
+  // Load notifications on mount and whenever the filter changes
   useEffect(() => {
     loadNotifications();
     loadUnreadCount();
-    
-    // Poll for new notifications every 30 seconds
+  }, [filter]);
+
+  // Pushed notifications keep the bell current; fall back to polling while disconnected
+  useRealtime('notification', () => {
+    loadUnreadCount();
+    if (isOpen) loadNotifications();
+  });
+
+  useEffect(() => {
+    if (realtime.connected) return undefined;
+
     const interval = setInterval(() => {
       loadUnreadCount();
       if (isOpen) {
@@ -29,7 +44,7 @@ const NotificationBell = () => {
     }, 30000);
 
     return () => clearInterval(interval);
-  }, [isOpen, filter]); // Added filter dependency
+  }, [isOpen, filter, realtime.connected]);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -49,12 +64,14 @@ const NotificationBell = () => {
   }, [isOpen]);
 
   const loadNotifications = async () => {
+    const signal = nextSignal('notifications');
     setLoading(true);
     try {
       const result = await fetchNotifications({ 
         limit: 50,
         unreadOnly: filter === 'unread'
-      });
+      }, { signal });
+      if (signal.aborted) return;
       if (result.success) {
         setNotifications(result.notifications || []);
         setUnreadCount(result.unreadCount || 0);
@@ -62,13 +79,15 @@ const NotificationBell = () => {
     } catch (error) {
       console.error('Error loading notifications:', error);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   };
 
   const loadUnreadCount = async () => {
+    const signal = nextSignal('unreadCount');
     try {
-      const result = await getUnreadCount();
+      const result = await getUnreadCount({ signal });
+      if (signal.aborted) return;
       if (result.success) {
         setUnreadCount(result.count || 0);
       }
@@ -174,6 +193,7 @@ const NotificationBell = () => {
       friend_accepted: '🤝',
       group_invite: '👨‍👩‍👧‍👦',
       settlement_request: '💳',
+      low_balance: '⚠️',
       comment_added: '💬',
       mention: '🏷️'
     };
@@ -1,11 +1,10 @@
 // src/pages/Profile.jsx
 import React, { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
 import './Profile.css';
-import { useAuth } from '../context/AuthContext';
+import { apiRequest } from '../api/api';
+import { useAbortSignal } from '../hooks/useAbortSignal';
 
 const Profile = () => {
-  const { token } = useAuth();
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -30,17 +29,6 @@ const Profile = () => {
     bio: ''
   });
 
-  // Security: Validate token before making requests
-const getAuthConfig = useCallback(() => {
-  if (!token) throw new Error('Authentication token not found');
-  return {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    }
-  };
-}, [token]);
-
   // Form validation
   const validateForm = useCallback(() => {
     const errors = {};
@@ -90,17 +78,20 @@ const getAuthConfig = useCallback(() => {
     return Object.keys(errors).length === 0;
   }, [editForm]);
 
+  // Cancels the profile load when the page unmounts
+  const nextSignal = useAbortSignal();
+
   useEffect(() => {
     fetchUserProfile();
   }, []);
 
   const fetchUserProfile = async () => {
+    const signal = nextSignal('profile');
     try {
       setLoading(true);
       setError('');
       
-      const config = getAuthConfig();
-      const response = await axios.get('http://localhost:4000/api/auth/me', config);
+      const response = await apiRequest('GET', '/auth/me', null, null, { signal });
       
       const userData = response.data;
       console.log('📝 Raw user data from API:', userData); // Debug log
@@ -125,17 +116,12 @@ const getAuthConfig = useCallback(() => {
       }
       
     } catch (err) {
+      if (signal.aborted) return;
       console.error('Error fetching profile:', err);
-      if (err.response?.status === 401) {
-        setError('Session expired. Please log in again.');
-        // Redirect to login page
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-      } else {
-        setError(err.response?.data?.message || 'Failed to load profile data');
-      }
+      // The shared client signs the user out once the session cannot be refreshed
+      setError(err.isAuthError ? 'Session expired. Please log in again.' : err.message || 'Failed to load profile data');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   };
 
@@ -171,8 +157,6 @@ const getAuthConfig = useCallback(() => {
     setSuccess('');
     
     try {
-      const config = getAuthConfig();
-      
       // Get user ID with better error handling
       const userId = user?._id || user?.userId || user?.id;
       console.log('🔍 Looking for user ID in:', user); // Debug log
@@ -201,15 +185,11 @@ const getAuthConfig = useCallback(() => {
       };
       
       console.log('📤 Sending update request:', {
-        url: `http://localhost:4000/api/users/${userId}`,
+        url: `/users/${userId}`,
         data: cleanedForm
       }); // Debug log
       
-      const response = await axios.put(
-        `http://localhost:4000/api/users/${userId}`,
-        cleanedForm,
-        config
-      );
+      const response = await apiRequest('PUT', `/users/${userId}`, cleanedForm);
 
       console.log('✅ Profile update response:', response.data); // Debug log
       
@@ -225,21 +205,19 @@ const getAuthConfig = useCallback(() => {
     } catch (err) {
       console.error('❌ Error updating profile:', err);
       console.error('📋 Error details:', {
-        status: err.response?.status,
-        data: err.response?.data,
+        status: err.status,
+        type: err.type,
         message: err.message
       });
       
-      if (err.response?.status === 401) {
+      if (err.isAuthError) {
         setError('Session expired. Please log in again.');
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-      } else if (err.response?.status === 403) {
+      } else if (err.status === 403) {
         setError('You do not have permission to update this profile.');
-      } else if (err.response?.status === 404) {
+      } else if (err.status === 404) {
         setError('User not found. Please refresh the page and try again.');
       } else {
-        setError(err.response?.data?.message || err.message || 'Failed to update profile');
+        setError(err.message || 'Failed to update profile');
       }
     } finally {
       setSaving(false);
@@ -2,6 +2,7 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { register, checkUserIdAvailability } from '../api/authApi';
+import { useAbortSignal } from '../hooks/useAbortSignal';
 import './Register.css';
 
 const Register = () => {
@@ -20,6 +21,7 @@ const Register = () => {
   const [message, setMessage] = useState('');
   const [generatedUserId, setGeneratedUserId] = useState('');
   const [userIdAvailable, setUserIdAvailable] = useState(null);
+  const nextSignal = useAbortSignal();
 
   // Handle form input changes
   const handleChange = (e) => {
@@ -48,6 +50,8 @@ const Register = () => {
 
   // Generate userId preview
   const generateUserIdPreview = (name, preferred) => {
+    // An availability check for the previous preview no longer applies
+    nextSignal('userId');
     let baseUsername = preferred || name;
     if (baseUsername) {
       const cleanUsername = baseUsername
@@ -69,10 +73,12 @@ const Register = () => {
   // Check if userId is available
   const checkUserIdStatus = async () => {
     if (!generatedUserId) return;
+    const signal = nextSignal('userId');
     
     try {
       setIsLoading(true);
-      const result = await checkUserIdAvailability(generatedUserId);
+      const result = await checkUserIdAvailability(generatedUserId, { signal });
+      if (signal.aborted) return;
       setUserIdAvailable(result.available);
       
       if (!result.available) {
@@ -81,6 +87,7 @@ const Register = () => {
         setMessage('');
       }
     } catch (error) {
+      if (signal.aborted) return;
       console.error('Error checking User ID availability:', error);
       setUserIdAvailable(null);
     } finally {
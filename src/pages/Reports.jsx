@@ -1,141 +1,86 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable'; // ✅ no variable
 import { CSVLink } from 'react-csv';
 import './Reports.css';
 import CurrencyManager from '../utils/currencyManager';
+import TokenManager from '../utils/tokenManager';
+import { API_BASE_URL } from '../config/api';
+import { useTransactionsQuery, useAccountsQuery } from '../hooks/useLedgerQueries';
+import { exportReceipts } from '../api/attachmentApi';
+import { expandCategoryLines } from '../utils/categoryLines';
+import { hasTag, sameTag, totalsByTag } from '../utils/tags';
+import { TagList } from '../components/TagInput';
+import SearchQueryInput from '../components/SearchQueryInput';
+import SavedViewsBar from '../components/SavedViewsBar';
+import { matchesSearchRow, parseSearchQuery, withSearchTerms } from '../utils/searchQuery';
+import { isForeign, originalAmountOf, formatInCurrency, describeOriginal } from '../utils/fx';
 
 
 const Reports = () => {
-  const [transactions, setTransactions] = useState([]);
   const [filteredTransactions, setFilteredTransactions] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [debugInfo, setDebugInfo] = useState(null);
   const [userCurrency, setUserCurrency] = useState('INR');
   const [currencySymbol, setCurrencySymbol] = useState('₹');
+  const [exportingReceipts, setExportingReceipts] = useState(false);
 
   // Filter states
   const [filters, setFilters] = useState({
     month: '',
     category: '',
+    tag: '',
     type: '',
     startDate: '',
     endDate: '',
     searchTerm: ''
   });
+  // Filters of the last search expression that parsed without mistakes
+  const [searchFilters, setSearchFilters] = useState({});
+  // Account names in a saved view's expression are resolved against these
+  const accountsQuery = useAccountsQuery({ includeArchived: true }, { staleTime: 60 * 1000 });
+
+  // Shared cached ledger (invalidated whenever a transaction changes)
+  const transactionsQuery = useTransactionsQuery();
+  const loading = transactionsQuery.isLoading;
+  const error = transactionsQuery.error ? (transactionsQuery.error.message || 'Failed to load transactions') : null;
+
+  // Records arrive schema-validated; only display fallbacks are filled in here. Split transactions
+  // become one row per category line, so filters, totals and exports attribute each line to its
+  // own category.
+  const transactions = useMemo(() => expandCategoryLines(transactionsQuery.data || []).map(tx => ({
+    ...tx,
+    title: tx.title || tx.description || 'Untitled',
+    createdAt: tx.createdAt || tx.date,
+    paymentMode: tx.paymentMode || 'N/A',
+    description: tx.description || tx.title || ''
+  })), [transactionsQuery.data]);
+
+  const debugInfo = transactionsQuery.isSuccess ? {
+    apiUrl: `${API_BASE_URL}/transactions`,
+    transactionCount: transactions.length,
+    hasToken: !!TokenManager.getToken()
+  } : null;
+
+  const loadTransactions = useCallback(() => {
+    transactionsQuery.refetch();
+  }, [transactionsQuery.refetch]);
 
-  // Enhanced fetch with multiple fallback attempts
-  const loadTransactions = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-       const { currency, symbol } = await CurrencyManager.fetchFromDB();
-    setUserCurrency(currency);
-    setCurrencySymbol(symbol);
-    console.log('💰 Reports.jsx currency loaded:', currency, symbol);
-    
-    console.log('🔍 Starting transaction fetch...');
-      console.log('🔍 Starting transaction fetch...');
-      
-      // Get auth token
-      const token = localStorage.getItem('token') || 
-                    localStorage.getItem('authToken') || 
-                    sessionStorage.getItem('token') || 
-                    sessionStorage.getItem('authToken');
-      
-      if (!token) {
-        throw new Error('No authentication token found. Please log in again.');
-      }
-
-      const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
-      const url = `${API_BASE_URL}/transactions`;
-      
-      console.log('📡 Fetching from:', url);
-      console.log('🔑 Auth token length:', token.length);
-
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        }
-      });
-
-      console.log('📊 Response status:', response.status);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('❌ API Error:', errorText);
-        throw new Error(`Failed to fetch transactions: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      console.log('📦 Raw API Response:', data);
-      
-      // Try multiple possible data structures
-      let transactionArray = [];
-      
-      if (Array.isArray(data)) {
-        transactionArray = data;
-      } else if (data.transactions && Array.isArray(data.transactions)) {
-        transactionArray = data.transactions;
-      } else if (data.data && Array.isArray(data.data)) {
-        transactionArray = data.data;
-      } else if (data.data && data.data.transactions && Array.isArray(data.data.transactions)) {
-        transactionArray = data.data.transactions;
-      }
-      
-      console.log('🔢 Transaction array length:', transactionArray.length);
-      console.log('📋 First transaction:', transactionArray[0]);
-      
-      // Store debug info
-      setDebugInfo({
-        apiUrl: url,
-        responseStatus: response.status,
-        dataStructure: Object.keys(data),
-        transactionCount: transactionArray.length,
-        hasToken: !!token,
-        tokenPreview: token.substring(0, 20) + '...'
-      });
-
-      // Process transactions
-      const processedTransactions = transactionArray.map((tx, index) => ({
-        _id: tx._id || tx.id || `temp-${index}`,
-        title: tx.title || tx.description || 'Untitled',
-        amount: Number(tx.amount) || 0,
-        category: tx.category || 'Uncategorized',
-        type: tx.type || 'expense',
-        date: tx.date || tx.createdAt || new Date().toISOString(),
-        createdAt: tx.createdAt || tx.date || new Date().toISOString(),
-        paymentMode: tx.paymentMode || 'N/A',
-        description: tx.description || tx.title || ''
-      }));
-
-      console.log('✅ Processed transactions:', processedTransactions.length);
-      
-      setTransactions(processedTransactions);
-      setFilteredTransactions(processedTransactions);
-      
-    } catch (err) {
-      console.error('❌ Error loading transactions:', err);
-      setError(err.message || 'Failed to load transactions');
-      setTransactions([]);
-      setFilteredTransactions([]);
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  // Initial data load
   useEffect(() => {
-    loadTransactions();
-  }, [loadTransactions]);
+    const controller = new AbortController();
+    const loadCurrency = async () => {
+      const { currency, symbol } = await CurrencyManager.fetchFromDB({ signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setUserCurrency(currency);
+      setCurrencySymbol(symbol);
+      console.log('💰 Reports.jsx currency loaded:', currency, symbol);
+    };
+    loadCurrency();
+    return () => controller.abort();
+  }, []);
 
   // Apply filters
   useEffect(() => {
     applyFilters();
-  }, [filters, transactions]);
+  }, [filters, searchFilters, transactions]);
 
   const applyFilters = useCallback(() => {
     if (!Array.isArray(transactions)) {
@@ -172,22 +117,21 @@ const Reports = () => {
       );
     }
 
+    if (filters.tag) {
+      filtered = filtered.filter((tx) => hasTag(tx, filters.tag));
+    }
+
     if (filters.type) {
       filtered = filtered.filter((tx) => tx.type === filters.type);
     }
 
-    if (filters.searchTerm) {
-      const searchLower = filters.searchTerm.toLowerCase();
-      filtered = filtered.filter((tx) => 
-        (tx.title && tx.title.toLowerCase().includes(searchLower)) ||
-        (tx.description && tx.description.toLowerCase().includes(searchLower)) ||
-        (tx.category && tx.category.toLowerCase().includes(searchLower))
-      );
+    if (Object.keys(searchFilters).length > 0) {
+      filtered = filtered.filter((tx) => matchesSearchRow(tx, searchFilters));
     }
 
     console.log(`🔍 Applied filters: ${filtered.length}/${transactions.length} transactions`);
     setFilteredTransactions(filtered);
-  }, [filters, transactions]);
+  }, [filters, searchFilters, transactions]);
 
   const handleFilterChange = (filterName, value) => {
     setFilters(prev => ({ ...prev, [filterName]: value }));
@@ -197,13 +141,44 @@ const Reports = () => {
     setFilters({
       month: '',
       category: '',
+      tag: '',
       type: '',
       startDate: '',
       endDate: '',
       searchTerm: ''
     });
+    setSearchFilters({});
+  };
+
+  const handleSearch = ({ filters: parsed, errors }) => {
+    if (errors.length === 0) setSearchFilters(parsed);
+  };
+
+  // A saved view replaces the dropdowns and the search with its expression
+  const openSavedView = (view) => {
+    setFilters({
+      month: '',
+      category: '',
+      tag: '',
+      type: '',
+      startDate: '',
+      endDate: '',
+      searchTerm: view.query
+    });
+    const { filters: parsed, errors } = parseSearchQuery(view.query, { accounts: accountsQuery.data || [] });
+    setSearchFilters(errors.length === 0 ? parsed : {});
   };
 
+  // What "Save view" stores: the search with the dropdowns folded in as terms
+  const savedViewQuery = withSearchTerms(filters.searchTerm, [
+    ['month', filters.month],
+    ['category', filters.category],
+    ['tag', filters.tag],
+    ['type', filters.type],
+    ['after', filters.startDate],
+    ['before', filters.endDate]
+  ]);
+
   // Export to PDF
   const exportToPDF = () => {
     if (filteredTransactions.length === 0) {
@@ -236,23 +211,24 @@ const Reports = () => {
       
       const netAmount = totalIncome - totalExpenses;
       
-      doc.text(`Total Income: ₹${totalIncome.toFixed(2)}`, 14, 40);
-      doc.text(`Total Expenses: ₹${totalExpenses.toFixed(2)}`, 14, 47);
-      doc.text(`Net Amount: ₹${netAmount.toFixed(2)}`, 14, 54);
-      doc.text(`Total Transactions: ${filteredTransactions.length}`, 14, 61);
+      doc.text(`Total Income: ${currencySymbol}${totalIncome.toFixed(2)}`, 14, 40);
+      doc.text(`Total Expenses: ${currencySymbol}${totalExpenses.toFixed(2)}`, 14, 47);
+      doc.text(`Net Amount: ${currencySymbol}${netAmount.toFixed(2)}`, 14, 54);
+      doc.text(`Total Transactions: ${new Set(filteredTransactions.map(tx => tx._id)).size}`, 14, 61);
 
       const tableData = filteredTransactions.map(tx => [
         new Date(tx.createdAt || tx.date).toLocaleDateString('en-IN'),
         tx.title || 'No Title',
-        `₹${Math.abs(tx.amount).toFixed(2)}`,
+        `${currencySymbol}${Math.abs(tx.amount).toFixed(2)}${isForeign(tx) ? ` (${formatInCurrency(originalAmountOf(tx), tx.currency)})` : ''}`,
         tx.category || 'N/A',
         tx.type || 'N/A',
-        tx.paymentMode || 'N/A'
+        tx.paymentMode || 'N/A',
+        (tx.tags || []).join(', ')
       ]);
 
       autoTable(doc, {
         startY: 70,
-        head: [['Date', 'Title', 'Amount', 'Category', 'Type', 'Payment Mode']],
+        head: [['Date', 'Title', 'Amount', 'Category', 'Type', 'Payment Mode', 'Tags']],
         body: tableData,
         styles: { fontSize: 8, cellPadding: 2 },
         headStyles: { fillColor: [41, 128, 185], textColor: 255, fontStyle: 'bold' },
@@ -282,27 +258,63 @@ const Reports = () => {
       Date: new Date(tx.createdAt || tx.date).toLocaleDateString('en-IN'),
       Title: tx.title || '',
       Amount: Math.abs(tx.amount).toFixed(2),
+      // What was entered, before conversion to the base currency
+      Currency: tx.currency || userCurrency,
+      OriginalAmount: Math.abs(originalAmountOf(tx)).toFixed(2),
       Category: tx.category || '',
+      Split: tx.lineCount ? `${tx.lineIndex + 1} of ${tx.lineCount} (total ${Math.abs(tx.transactionAmount).toFixed(2)})` : '',
       Type: tx.type || '',
       PaymentMode: tx.paymentMode || '',
-      Description: tx.description || ''
+      Description: tx.description || '',
+      Tags: (tx.tags || []).join(', '),
+      Receipts: (tx.attachments || []).map(attachment => attachment.fileName).join('; ')
     }));
   };
 
+  // Receipts of the filtered transactions, as a ZIP the CSV's Receipts column refers to
+  const withReceipts = [...new Set(filteredTransactions
+    .filter(tx => tx.attachments?.length > 0)
+    .map(tx => tx._id))];
+
+  const exportReceiptArchive = async () => {
+    if (withReceipts.length === 0) {
+      alert('None of these transactions have receipts attached');
+      return;
+    }
+
+    setExportingReceipts(true);
+    try {
+      await exportReceipts(withReceipts);
+    } catch (err) {
+      console.error('❌ Error exporting receipts:', err);
+      alert('Error exporting receipts. Please try again.');
+    } finally {
+      setExportingReceipts(false);
+    }
+  };
+
   const csvHeaders = [
     { label: 'Date', key: 'Date' },
     { label: 'Title', key: 'Title' },
-    { label: 'Amount (₹)', key: 'Amount' },
+    { label: `Amount (${userCurrency})`, key: 'Amount' },
+    { label: 'Currency', key: 'Currency' },
+    { label: 'Original Amount', key: 'OriginalAmount' },
     { label: 'Category', key: 'Category' },
+    { label: 'Split Line', key: 'Split' },
     { label: 'Type', key: 'Type' },
     { label: 'Payment Mode', key: 'PaymentMode' },
-    { label: 'Description', key: 'Description' }
+    { label: 'Description', key: 'Description' },
+    { label: 'Tags', key: 'Tags' },
+    { label: 'Receipts', key: 'Receipts' }
   ];
 
   const getUniqueCategories = () => {
     return [...new Set(transactions.map(tx => tx.category).filter(Boolean))].sort();
   };
 
+  // Tags in any spelling collapse to the first one seen
+  const getUniqueTags = () => totalsByTag(transactions).map(entry => entry.tag).sort((a, b) => a.localeCompare(b));
+
   const getUniqueTypes = () => {
     return [...new Set(transactions.map(tx => tx.type).filter(Boolean))].sort();
   };
@@ -320,7 +332,8 @@ const Reports = () => {
       totalIncome,
       totalExpenses,
       netAmount: totalIncome - totalExpenses,
-      transactionCount: filteredTransactions.length
+      // Lines of one split transaction are separate rows but one transaction
+      transactionCount: new Set(filteredTransactions.map(tx => tx._id)).size
     };
   };
 
@@ -377,10 +390,8 @@ const Reports = () => {
             <h3>🔧 Debug Information</h3>
             <div className="debug-info-grid">
               <p><strong>API URL:</strong> {debugInfo.apiUrl}</p>
-              <p><strong>Response Status:</strong> {debugInfo.responseStatus}</p>
               <p><strong>Transaction Count:</strong> {debugInfo.transactionCount}</p>
               <p><strong>Has Auth Token:</strong> {debugInfo.hasToken ? 'Yes' : 'No'}</p>
-              <p><strong>Data Structure:</strong> {debugInfo.dataStructure.join(', ')}</p>
             </div>
             <div className="debug-note">
               ℹ️ The API is responding but returning 0 transactions. 
@@ -393,16 +404,16 @@ const Reports = () => {
         <div className="summary-cards">
           <div className="summary-card income">
             <h4>Total Income</h4>
-            <p>₹{summary.totalIncome.toFixed(2)}</p>
+            <p>{currencySymbol}{summary.totalIncome.toFixed(2)}</p>
           </div>
           <div className="summary-card expense">
             <h4>Total Expenses</h4>
-            <p>₹{summary.totalExpenses.toFixed(2)}</p>
+            <p>{currencySymbol}{summary.totalExpenses.toFixed(2)}</p>
           </div>
           <div className="summary-card net">
             <h4>Net Amount</h4>
             <p className={summary.netAmount >= 0 ? 'positive' : 'negative'}>
-              ₹{summary.netAmount.toFixed(2)}
+              {currencySymbol}{summary.netAmount.toFixed(2)}
             </p>
           </div>
           <div className="summary-card count">
@@ -414,14 +425,15 @@ const Reports = () => {
         {/* Filter Section */}
         <div className="filter-section">
           <h3>Filters</h3>
+          <SavedViewsBar page="reports" query={savedViewQuery} onApply={openSavedView} ready={accountsQuery.isFetched} />
           <div className="filters-grid">
-            <div className="filter-group">
+            <div className="filter-group filter-group-search">
               <label>Search:</label>
-              <input
-                type="text"
-                placeholder="Search transactions..."
+              <SearchQueryInput
                 value={filters.searchTerm}
-                onChange={(e) => handleFilterChange('searchTerm', e.target.value)}
+                onChange={(text) => handleFilterChange('searchTerm', text)}
+                onSearch={handleSearch}
+                live
               />
             </div>
             
@@ -465,6 +477,19 @@ const Reports = () => {
               </select>
             </div>
             
+            <div className="filter-group">
+              <label>Tag:</label>
+              <select
+                value={filters.tag}
+                onChange={(e) => handleFilterChange('tag', e.target.value)}
+              >
+                <option value="">All Tags</option>
+                {getUniqueTags().map(tag => (
+                  <option key={tag} value={tag}>#{tag}</option>
+                ))}
+              </select>
+            </div>
+            
             <div className="filter-group">
               <label>Type:</label>
               <select
@@ -514,6 +539,15 @@ const Reports = () => {
             >
               📊 Export CSV
             </CSVLink>
+
+            <button
+              onClick={exportReceiptArchive}
+              className="export-btn receipts-btn"
+              disabled={withReceipts.length === 0 || exportingReceipts}
+              title="Download the receipts attached to these transactions as a ZIP"
+            >
+              {exportingReceipts ? '⏳ Exporting...' : `🧾 Export Receipts (${withReceipts.length})`}
+            </button>
           </div>
         </div>
 
@@ -541,24 +575,37 @@ const Reports = () => {
                   <tr>
                     <th>Date</th>
                     <th>Title</th>
-                    <th>Amount (₹)</th>
+                    <th>Amount ({currencySymbol})</th>
                     <th>Category</th>
                     <th>Type</th>
                     <th>Payment Mode</th>
                     <th>Description</th>
+                    <th>Tags</th>
                   </tr>
                 </thead>
                 <tbody>
                   {filteredTransactions.map((tx) => (
-                    <tr key={tx._id} className={`transaction-row ${tx.type}`}>
+                    <tr key={tx.rowKey || tx._id} className={`transaction-row ${tx.type}`}>
                       <td>
                         {new Date(tx.createdAt || tx.date).toLocaleDateString('en-IN')}
                       </td>
                       <td>{tx.title || 'No Title'}</td>
                       <td className={`amount ${tx.type}`}>
-                        {tx.type === 'income' ? '+' : '-'}₹{Math.abs(tx.amount).toFixed(2)}
+                        {tx.type === 'income' ? '+' : '-'}{currencySymbol}{Math.abs(tx.amount).toFixed(2)}
+                        {isForeign(tx) && (
+                          <small className="original-amount" title={`Entered as ${describeOriginal(tx)}`}>
+                            {' '}{formatInCurrency(originalAmountOf(tx), tx.currency)}
+                          </small>
+                        )}
+                      </td>
+                      <td>
+                        {tx.category || 'N/A'}
+                        {tx.lineCount && (
+                          <small className="split-line" title={`Part of a ${currencySymbol}${Math.abs(tx.transactionAmount).toFixed(2)} transaction split across ${tx.lineCount} categories`}>
+                            {' '}✂️ {tx.lineIndex + 1}/{tx.lineCount}
+                          </small>
+                        )}
                       </td>
-                      <td>{tx.category || 'N/A'}</td>
                       <td>
                         <span className={`type-badge ${tx.type}`}>
                           {tx.type || 'N/A'}
@@ -566,6 +613,12 @@ const Reports = () => {
                       </td>
                       <td>{tx.paymentMode || 'N/A'}</td>
                       <td>{tx.description || tx.title || 'N/A'}</td>
+                      <td>
+                        <TagList
+                          tags={tx.tags}
+                          onSelect={(tag) => handleFilterChange('tag', getUniqueTags().find(known => sameTag(known, tag)) || tag)}
+                        />
+                      </td>
                     </tr>
                   ))}
                 </tbody>
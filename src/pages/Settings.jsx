@@ -1,33 +1,35 @@
 import React, { useState, useEffect } from 'react';
-import { useAuth } from '../context/AuthContext';
 import CurrencyManager from '../utils/currencyManager';
+import { apiRequest } from '../api/api';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import { useAccountsQuery } from '../hooks/useLedgerQueries';
+import { invalidateCurrencyQueries } from '../api/queryClient';
+import ExchangeRatesPanel from '../components/ExchangeRatesPanel';
 import './Settings.css';
 
 
 const SettingsPage = () => {
-  const { user } = useAuth(); // Get user from AuthContext
   
   const [settings, setSettings] = useState({
     currency: 'INR',
     theme: 'light',
     budgetLimit: 50000,
     lowBalanceAlert: true,
-    lowBalanceThreshold: 5000
+    lowBalanceThreshold: 5000,
+    lowBalanceAccountId: null
   });
 
   const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Accounts the low balance alert can watch
+  const accountsQuery = useAccountsQuery();
+  // Base currency as last saved; changing it converts the whole ledger on save
+  const [savedCurrency, setSavedCurrency] = useState(null);
 
-  // Get token from user object
-  const getToken = () => {
-    // Try multiple sources for the token
-    return user?.token || 
-           sessionStorage.getItem('token') || 
-           localStorage.getItem('token') || 
-           localStorage.getItem('authToken');
-  };
+  // Cancels the settings load when the page unmounts
+  const nextSignal = useAbortSignal();
 
   // Load settings from database on component mount
   useEffect(() => {
@@ -35,30 +37,14 @@ const SettingsPage = () => {
   }, []);
 
   const loadSettings = async () => {
+    const signal = nextSignal('settings');
     try {
       setLoading(true);
       setError(null);
       
-      const token = getToken();
-      
-      if (!token) {
-        throw new Error('Authentication token not found. Please log in again.');
-      }
-
-      const response = await fetch('http://localhost:4000/api/settings', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to load settings');
-      }
-
-      const loadedSettings = await response.json();
+      const response = await apiRequest('GET', '/settings', null, null, { signal });
+      if (signal.aborted) return;
+      const loadedSettings = response.data;
       
       // Merge with existing settings
       const mergedSettings = {
@@ -75,17 +61,19 @@ const SettingsPage = () => {
       
       // 🆕 UPDATE CURRENCY CACHE
       if (loadedSettings.currency) {
+        setSavedCurrency(loadedSettings.currency);
         CurrencyManager.cachedCurrency = loadedSettings.currency;
         CurrencyManager.cachedSymbol = CurrencyManager.getSymbol(loadedSettings.currency);
         console.log('💰 Settings.jsx updated currency cache:', loadedSettings.currency, CurrencyManager.cachedSymbol);
       }
       
     } catch (error) {
+      if (signal.aborted) return;
       console.error('Error loading settings:', error);
       setError(error.message);
       // Keep default settings if loading fails
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
   };
 
@@ -94,26 +82,8 @@ const SettingsPage = () => {
     setError(null);
     
     try {
-      const token = getToken();
-      
-      if (!token) {
-        throw new Error('Authentication token not found. Please log in again.');
-      }
-
       // Save settings to database
-      const response = await fetch('http://localhost:4000/api/settings', {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(settings),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to save settings');
-      }
+      await apiRequest('PUT', '/settings', settings);
 
       setSaved(true);
       setTimeout(() => setSaved(false), 2000);
@@ -121,6 +91,12 @@ const SettingsPage = () => {
       // 🆕 CLEAR CURRENCY CACHE so other pages fetch fresh currency
       CurrencyManager.clearCache();
       console.log('💰 Currency cache cleared after settings save');
+
+      // The server has re-expressed every amount in the new base currency
+      if (savedCurrency && settings.currency !== savedCurrency) {
+        setSavedCurrency(settings.currency);
+        invalidateCurrencyQueries();
+      }
       
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -245,8 +221,14 @@ const SettingsPage = () => {
             <div className="card-content">
               <div className="setting-item">
                 <div className="setting-label">
-                  <label>Currency</label>
-                  <span className="setting-desc">Default currency for expenses</span>
+                  <label>Base Currency</label>
+                  <span className="setting-desc">Totals, budgets and reports are in this currency</span>
+                  {savedCurrency && settings.currency !== savedCurrency && (
+                    <span className="setting-warning">
+                      Saving converts every amount from {savedCurrency} to {settings.currency} at the rate on its date.
+                      Transactions still show what they were entered as.
+                    </span>
+                  )}
                 </div>
                 <select 
                   className="setting-select"
@@ -370,8 +352,29 @@ const SettingsPage = () => {
                   </div>
                 </div>
               )}
+
+              {settings.lowBalanceAlert && (accountsQuery.data || []).length > 0 && (
+                <div className="setting-item">
+                  <div className="setting-label">
+                    <label>Alert Account</label>
+                    <span className="setting-desc">Which balance the alert watches</span>
+                  </div>
+                  <select
+                    className="setting-select"
+                    value={settings.lowBalanceAccountId || ''}
+                    onChange={(e) => updateSetting('lowBalanceAccountId', e.target.value || null)}
+                  >
+                    <option value="">All accounts (total)</option>
+                    {accountsQuery.data.map(account => (
+                      <option key={account._id} value={account._id}>{account.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
           </div>
+
+          <ExchangeRatesPanel />
         </div>
 
         {/* Action Buttons */}
@@ -384,7 +387,8 @@ const SettingsPage = () => {
                 theme: 'light',
                 budgetLimit: 50000,
                 lowBalanceAlert: true,
-                lowBalanceThreshold: 5000
+                lowBalanceThreshold: 5000,
+                lowBalanceAccountId: null
               };
               setSettings(defaultSettings);
               applyTheme('light');
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   createSplitExpense, 
   fetchSplitExpenses,
@@ -6,10 +6,19 @@ import {
 } from '../api/splitExpenseApi';
 import { fetchFriends } from '../api/friendsApi';
 import { sendExpenseNotification } from '../api/notificationApi';
+import { scanBill } from '../api/expenseApi';
+import { uploadAttachment } from '../api/attachmentApi';
+import ReceiptAttachments from '../components/ReceiptAttachments';
+import ChangeHistoryButton from '../components/ChangeHistory';
+import TagInput, { TagList } from '../components/TagInput';
+import { hasTag } from '../utils/tags';
+import { ATTACHMENT_ACCEPT, isImage, validateAttachmentFile } from '../utils/attachments';
 import './SplitExpense.css';
 import CurrencyManager from '../utils/currencyManager';
 
 import enhancedDebtApiService from '../api/DebtApiService';
+import { useRealtime } from '../hooks/useRealtime';
+import { useAbortSignal } from '../hooks/useAbortSignal';
 const SplitExpense = () => {
   // State
   const [friends, setFriends] = useState([]);
@@ -22,14 +31,20 @@ const SplitExpense = () => {
   const [customSplits, setCustomSplits] = useState({});
   const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
+  const [tagFilter, setTagFilter] = useState('');
   const [selectedExpense, setSelectedExpense] = useState(null);
   const [userCurrency, setUserCurrency] = useState('INR');
   const [currencySymbol, setCurrencySymbol] = useState('₹');
+  // Bill chosen in the create form; it is attached to the expense once it has been created
+  const [receiptFile, setReceiptFile] = useState(null);
+  const [scanningReceipt, setScanningReceipt] = useState(false);
+  const receiptInputRef = useRef(null);
 
   const [formData, setFormData] = useState({
     description: '',
     totalAmount: '',
-    splitType: 'equal'
+    splitType: 'equal',
+    tags: []
   });
   
   const [notification, setNotification] = useState({ 
@@ -44,10 +59,15 @@ const SplitExpense = () => {
   netBalance: 0
   });
 
+  // Cancels in-flight loads when the page unmounts or a newer load starts
+  const nextSignal = useAbortSignal();
+
   // Load data on mount
   useEffect(() => {
     const loadCurrency = async () => {
-    const { currency, symbol } = await CurrencyManager.fetchFromDB();
+    const signal = nextSignal('currency');
+    const { currency, symbol } = await CurrencyManager.fetchFromDB({ signal });
+    if (signal.aborted) return;
     setUserCurrency(currency);
     setCurrencySymbol(symbol);
     console.log('💰 SplitExpense.jsx currency loaded:', currency, symbol);
@@ -57,77 +77,86 @@ const SplitExpense = () => {
   }, []);
 
   const loadDebtSummary = async () => {
+  const signal = nextSignal('debts');
   try {
     console.log('📊 Loading debt summary...');
     
-    const [owedToMeRes, owedByMeRes] = await Promise.all([
-      enhancedDebtApiService.fetchDebtsOwedToMe(),
-      enhancedDebtApiService.fetchDebtsOwedByMe()
+    const [debtsOwedToMe, debtsOwedByMe] = await Promise.all([
+      enhancedDebtApiService.fetchDebtsOwedToMe({ signal }),
+      enhancedDebtApiService.fetchDebtsOwedByMe({ signal })
     ]);
+    if (signal.aborted) return;
 
-    if (owedToMeRes.success && owedByMeRes.success) {
-      // Filter only split expense debts that are pending
-      const splitDebtsOwedToMe = (owedToMeRes.debts || [])
-        .filter(debt => debt.type === 'split' && debt.status === 'pending');
-      
-      const splitDebtsOwedByMe = (owedByMeRes.debts || [])
-        .filter(debt => debt.type === 'split' && debt.status === 'pending');
+    // Filter only split expense debts that are pending
+    const splitDebtsOwedToMe = debtsOwedToMe
+      .filter(debt => debt.type === 'split' && debt.status === 'pending');
+    
+    const splitDebtsOwedByMe = debtsOwedByMe
+      .filter(debt => debt.type === 'split' && debt.status === 'pending');
 
-      const totalLent = splitDebtsOwedToMe.reduce((sum, debt) => sum + (debt.amount || 0), 0);
-      const totalOwed = splitDebtsOwedByMe.reduce((sum, debt) => sum + (debt.amount || 0), 0);
+    const totalLent = splitDebtsOwedToMe.reduce((sum, debt) => sum + (debt.amount || 0), 0);
+    const totalOwed = splitDebtsOwedByMe.reduce((sum, debt) => sum + (debt.amount || 0), 0);
 
-      setDebtSummary({
-        totalLent: totalLent.toFixed(2),
-        totalOwed: totalOwed.toFixed(2),
-        netBalance: (totalLent - totalOwed).toFixed(2)
-      });
+    setDebtSummary({
+      totalLent: totalLent.toFixed(2),
+      totalOwed: totalOwed.toFixed(2),
+      netBalance: (totalLent - totalOwed).toFixed(2)
+    });
 
-      console.log('✅ Debt Summary:', {
-        splitDebtsOwedToMe: splitDebtsOwedToMe.length,
-        splitDebtsOwedByMe: splitDebtsOwedByMe.length,
-        totalLent: totalLent.toFixed(2),
-        totalOwed: totalOwed.toFixed(2)
-      });
-    } else {
-      console.warn('⚠️ Failed to load debts:', {
-        owedToMe: owedToMeRes.message,
-        owedByMe: owedByMeRes.message
-      });
-    }
+    console.log('✅ Debt Summary:', {
+      splitDebtsOwedToMe: splitDebtsOwedToMe.length,
+      splitDebtsOwedByMe: splitDebtsOwedByMe.length,
+      totalLent: totalLent.toFixed(2),
+      totalOwed: totalOwed.toFixed(2)
+    });
   } catch (error) {
-    console.error('❌ Error loading debt summary:', error);
+    if (signal.aborted) return;
+    console.warn('⚠️ Failed to load debts:', error.message);
   }
 };
 
+  // Expenses and settlements made by friends
+  useRealtime(['splitExpense', 'debt'], async () => {
+    const signal = nextSignal('expenses');
+    try {
+      const expenses = await fetchSplitExpenses({ signal });
+      if (signal.aborted) return;
+      setExpenses(expenses);
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error('❌ Error refreshing split expenses:', error);
+    }
+    await loadDebtSummary();
+  });
+
 const loadData = async () => {
+  const signal = nextSignal('expenses');
   setLoading(true);
   try {
-    const [friendsRes, expensesRes] = await Promise.all([
-      fetchFriends(),
-      fetchSplitExpenses()
+    const [friendsList, expensesList] = await Promise.all([
+      fetchFriends({ signal }).catch((error) => {
+        if (signal.aborted) throw error;
+        console.error('❌ Failed to load friends:', error);
+        showNotification('Failed to load friends', 'error');
+        return [];
+      }),
+      fetchSplitExpenses({ signal })
     ]);
+    if (signal.aborted) return;
 
-    if (friendsRes.success) {
-      const friendsList = friendsRes.friends || [];
-      console.log('✅ Loaded friends:', friendsList);
-      setFriends(friendsList);
-    } else {
-      console.error('❌ Failed to load friends:', friendsRes);
-      showNotification('Failed to load friends', 'error');
-    }
-
-    if (expensesRes.success) {
-      setExpenses(expensesRes.expenses || []);
-    }
+    console.log('✅ Loaded friends:', friendsList);
+    setFriends(friendsList);
+    setExpenses(expensesList);
 
     // 🔥 NEW: Load debt summary for split expenses
     await loadDebtSummary();
 
   } catch (error) {
+    if (signal.aborted) return;
     console.error('Error loading data:', error);
     showNotification('Failed to load data', 'error');
   } finally {
-    setLoading(false);
+    if (!signal.aborted) setLoading(false);
   }
 };
 
@@ -143,6 +172,45 @@ const loadData = async () => {
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  // Keep the bill for attaching, and scan images to fill in an empty description and amount
+  const handleReceiptChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      setReceiptFile(null);
+      return;
+    }
+
+    const invalid = validateAttachmentFile(file);
+    if (invalid) {
+      showNotification(invalid, 'error');
+      e.target.value = '';
+      setReceiptFile(null);
+      return;
+    }
+
+    setReceiptFile(file);
+    if (!isImage(file.type)) return;
+
+    setScanningReceipt(true);
+    try {
+      const scan = await scanBill(file);
+      const { title, merchant, amount } = scan?.data || {};
+      setFormData(prev => ({
+        ...prev,
+        description: prev.description || title || merchant || '',
+        totalAmount: prev.totalAmount || (amount ? String(amount) : '')
+      }));
+    } catch (scanError) {
+      console.warn('Bill scan failed; the receipt will still be attached:', scanError);
+    } finally {
+      setScanningReceipt(false);
+    }
+  };
+
+  const handleAttachmentsChange = (expenseId, attachments) => {
+    setExpenses(prev => prev.map(expense => expense._id === expenseId ? { ...expense, attachments } : expense));
+  };
+
   const toggleFriendSelection = (friend) => {
     setSelectedFriends(prev => {
       const isSelected = prev.some(f => f._id === friend._id);
@@ -233,182 +301,175 @@ const loadData = async () => {
         totalAmount: total,
         paidBy: whoPaid,
         splitType: formData.splitType,
-        splits: splits
+        splits: splits,
+        tags: formData.tags
       };
 
       console.log('Submitting expense data:', expenseData);
 
-      const response = await createSplitExpense(expenseData);
+      const { expense: createdExpense, summary } = await createSplitExpense(expenseData);
 
-      if (response.success) {
-      const summary = response.summary || {};
-      
       showNotification(
         `✅ Expense created! ${summary.debtsCreated} debts and ${summary.notificationsSent} notifications sent.`,
         'success'
       );
-        
-        // 🔥 FIXED: Extract User IDs correctly from Friend objects
+
+      const createdId = createdExpense?._id;
+      if (receiptFile && createdId) {
         try {
-          const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
-          const whoPaidName = whoPaid === 'self' ? currentUser.name : 
-                             selectedFriends.find(f => f._id === whoPaid)?.name || 'Someone';
-          
-          // Debug: Log friend structure
-          console.log('🔍 Analyzing Friend objects for User IDs:');
-          selectedFriends.forEach((friend, index) => {
-            console.log(`Friend ${index + 1}: ${friend.name}`, {
-              friendDocId: friend._id,
-              friendUser: friend.friendUser,
-              userId: friend.userId,
-              user: friend.user,
-              allKeys: Object.keys(friend)
+          await uploadAttachment('splitExpense', createdId, receiptFile);
+        } catch (uploadError) {
+          console.error('❌ Failed to attach bill:', uploadError);
+          showNotification(`Expense created but the bill could not be attached: ${uploadError.message}`, 'warning');
+        }
+      }
+      
+      // 🔥 FIXED: Extract User IDs correctly from Friend objects
+      try {
+        const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+        const whoPaidName = whoPaid === 'self' ? currentUser.name : 
+                           selectedFriends.find(f => f._id === whoPaid)?.name || 'Someone';
+        
+        // Debug: Log friend structure
+        console.log('🔍 Analyzing Friend objects for User IDs:');
+        selectedFriends.forEach((friend, index) => {
+          console.log(`Friend ${index + 1}: ${friend.name}`, {
+            friendDocId: friend._id,
+            friendUser: friend.friendUser,
+            userId: friend.userId,
+            user: friend.user,
+            allKeys: Object.keys(friend)
+          });
+        });
+        
+        // 🎯 CRITICAL FIX: Get actual User IDs from Friend objects
+        const friendUserIds = selectedFriends
+          .map(friend => {
+            // Method 1: friendUser is a populated object
+            if (friend.friendUser && typeof friend.friendUser === 'object' && friend.friendUser._id) {
+              console.log(`✅ Found User ID from friendUser object: ${friend.friendUser._id} for ${friend.name}`);
+              return friend.friendUser._id;
+            }
+            
+            // Method 2: friendUser is just an ID string
+            if (friend.friendUser && typeof friend.friendUser === 'string') {
+              console.log(`✅ Found User ID from friendUser string: ${friend.friendUser} for ${friend.name}`);
+              return friend.friendUser;
+            }
+            
+            // Method 3: userId field exists
+            if (friend.userId) {
+              console.log(`✅ Found User ID from userId field: ${friend.userId} for ${friend.name}`);
+              return friend.userId;
+            }
+            
+            // Method 4: user field exists (string)
+            if (friend.user && typeof friend.user === 'string') {
+              console.log(`✅ Found User ID from user field: ${friend.user} for ${friend.name}`);
+              return friend.user;
+            }
+            
+            // Method 5: user field exists (object)
+            if (friend.user && typeof friend.user === 'object' && friend.user._id) {
+              console.log(`✅ Found User ID from user object: ${friend.user._id} for ${friend.name}`);
+              return friend.user._id;
+            }
+            
+            console.warn(`⚠️ Could not find User ID for friend: ${friend.name}`, {
+              friendId: friend._id,
+              availableFields: Object.keys(friend)
             });
+            return null;
+          })
+          .filter(id => id); // Remove null/undefined values
+        
+        console.log('📧 Extracted Friend User IDs for notifications:', friendUserIds);
+        console.log('📊 Summary: Total friends:', selectedFriends.length, '| Valid User IDs:', friendUserIds.length);
+        
+        if (friendUserIds.length === 0) {
+          console.error('❌ CRITICAL: No valid User IDs found for notifications!');
+          console.log('📋 Full Friend objects:', JSON.stringify(selectedFriends, null, 2));
+          showNotification('⚠️ Expense created but could not notify friends (no valid User IDs)', 'warning');
+        } else {
+          // Calculate individual shares for notification
+          const sharePerPerson = formData.splitType === 'equal' ? amountPerPerson.toFixed(2) : null;
+          
+          console.log('📤 Sending notifications with data:', {
+            expenseId: createdExpense?._id,
+            recipientCount: friendUserIds.length,
+            recipients: friendUserIds,
+            description: formData.description,
+            totalAmount: total,
+            sharePerPerson: sharePerPerson
           });
           
-          // 🎯 CRITICAL FIX: Get actual User IDs from Friend objects
-          const friendUserIds = selectedFriends
-            .map(friend => {
-              // Method 1: friendUser is a populated object
-              if (friend.friendUser && typeof friend.friendUser === 'object' && friend.friendUser._id) {
-                console.log(`✅ Found User ID from friendUser object: ${friend.friendUser._id} for ${friend.name}`);
-                return friend.friendUser._id;
-              }
-              
-              // Method 2: friendUser is just an ID string
-              if (friend.friendUser && typeof friend.friendUser === 'string') {
-                console.log(`✅ Found User ID from friendUser string: ${friend.friendUser} for ${friend.name}`);
-                return friend.friendUser;
-              }
-              
-              // Method 3: userId field exists
-              if (friend.userId) {
-                console.log(`✅ Found User ID from userId field: ${friend.userId} for ${friend.name}`);
-                return friend.userId;
-              }
-              
-              // Method 4: user field exists (string)
-              if (friend.user && typeof friend.user === 'string') {
-                console.log(`✅ Found User ID from user field: ${friend.user} for ${friend.name}`);
-                return friend.user;
-              }
-              
-              // Method 5: user field exists (object)
-              if (friend.user && typeof friend.user === 'object' && friend.user._id) {
-                console.log(`✅ Found User ID from user object: ${friend.user._id} for ${friend.name}`);
-                return friend.user._id;
-              }
-              
-              console.warn(`⚠️ Could not find User ID for friend: ${friend.name}`, {
-                friendId: friend._id,
-                availableFields: Object.keys(friend)
-              });
-              return null;
-            })
-            .filter(id => id); // Remove null/undefined values
+          const notificationResult = await sendExpenseNotification({
+            expenseId: createdExpense?._id,
+            friendIds: friendUserIds,  // Now sending correct User IDs
+            type: 'expense_created',
+            data: {
+              description: formData.description,
+              amount: total,
+              paidBy: whoPaidName,
+              yourShare: sharePerPerson,
+              totalAmount: total
+            }
+          });
           
-          console.log('📧 Extracted Friend User IDs for notifications:', friendUserIds);
-          console.log('📊 Summary: Total friends:', selectedFriends.length, '| Valid User IDs:', friendUserIds.length);
+          console.log('📬 Notification result:', notificationResult);
           
-          if (friendUserIds.length === 0) {
-            console.error('❌ CRITICAL: No valid User IDs found for notifications!');
-            console.log('📋 Full Friend objects:', JSON.stringify(selectedFriends, null, 2));
-            showNotification('⚠️ Expense created but could not notify friends (no valid User IDs)', 'warning');
-          } else {
-            // Calculate individual shares for notification
-            const sharePerPerson = formData.splitType === 'equal' ? amountPerPerson.toFixed(2) : null;
+          if (notificationResult.success) {
+            const notifiedCount = notificationResult.count || friendUserIds.length;
+            const skippedCount = notificationResult.skipped || 0;
             
-            console.log('📤 Sending notifications with data:', {
-              expenseId: response.expense?._id || response.data?._id,
-              recipientCount: friendUserIds.length,
-              recipients: friendUserIds,
-              description: formData.description,
-              totalAmount: total,
-              sharePerPerson: sharePerPerson
-            });
-            
-            const notificationResult = await sendExpenseNotification({
-              expenseId: response.expense?._id || response.data?._id,
-              friendIds: friendUserIds,  // Now sending correct User IDs
-              type: 'expense_created',
-              data: {
-                description: formData.description,
-                amount: total,
-                paidBy: whoPaidName,
-                yourShare: sharePerPerson,
-                totalAmount: total
-              }
-            });
+            console.log(`✅ Notifications sent successfully: ${notifiedCount} sent, ${skippedCount} skipped`);
             
-            console.log('📬 Notification result:', notificationResult);
-            
-            if (notificationResult.success) {
-              const notifiedCount = notificationResult.count || friendUserIds.length;
-              const skippedCount = notificationResult.skipped || 0;
-              
-              console.log(`✅ Notifications sent successfully: ${notifiedCount} sent, ${skippedCount} skipped`);
-              
-              if (skippedCount > 0) {
-                showNotification(`✅ Expense created! ${notifiedCount} friends notified (${skippedCount} skipped)`, 'success');
-              } else {
-                showNotification('✅ Expense created & all friends notified!', 'success');
-              }
+            if (skippedCount > 0) {
+              showNotification(`✅ Expense created! ${notifiedCount} friends notified (${skippedCount} skipped)`, 'success');
             } else {
-              console.warn('⚠️ Notifications failed:', notificationResult.message);
-              showNotification(`⚠️ Expense created but notifications failed: ${notificationResult.message}`, 'warning');
+              showNotification('✅ Expense created & all friends notified!', 'success');
             }
+          } else {
+            console.warn('⚠️ Notifications failed:', notificationResult.message);
+            showNotification(`⚠️ Expense created but notifications failed: ${notificationResult.message}`, 'warning');
           }
-        } catch (notifError) {
-          console.error('❌ Error in notification process:', notifError);
-          console.error('Stack trace:', notifError.stack);
-          showNotification('Expense created but notifications failed', 'warning');
-        }
-        
-        // Reset form
-        setFormData({ description: '', totalAmount: '', splitType: 'equal' });
-        setSelectedFriends([]);
-        setWhoPaid('self');
-        setCustomSplits({});
-        
-        await loadDebtSummary();
-        // Reload expenses
-        const expensesRes = await fetchSplitExpenses();
-        if (expensesRes.success) {
-          setExpenses(expensesRes.expenses || []);
         }
-        
-        // Switch to history tab
-        setActiveTab('history');
-      } else {
-        showNotification(response.message || 'Failed to create expense', 'error');
+      } catch (notifError) {
+        console.error('❌ Error in notification process:', notifError);
+        console.error('Stack trace:', notifError.stack);
+        showNotification('Expense created but notifications failed', 'warning');
       }
+      
+      // Reset form
+      setFormData({ description: '', totalAmount: '', splitType: 'equal', tags: [] });
+      setSelectedFriends([]);
+      setWhoPaid('self');
+      setCustomSplits({});
+      setReceiptFile(null);
+      if (receiptInputRef.current) receiptInputRef.current.value = '';
+      
+      await loadDebtSummary();
+      // Reload expenses
+      setExpenses(await fetchSplitExpenses());
+      
+      // Switch to history tab
+      setActiveTab('history');
     } catch (error) {
       console.error('❌ Error in handleSubmit:', error);
       console.error('Stack trace:', error.stack);
-      showNotification('Failed to create split expense', 'error');
+      showNotification(error.message || 'Failed to create split expense', 'error');
     } finally {
       setSubmitting(false);
     }
   };
 
   const handleDeleteExpense = async (expenseId) => {
-    if (!window.confirm('Delete this expense?')) return;
-
     try {
-      const response = await deleteSplitExpense(expenseId);
-      
-      if (response.success) {
-        showNotification('Expense deleted successfully', 'success');
-        const expensesRes = await fetchSplitExpenses();
-        if (expensesRes.success) {
-          setExpenses(expensesRes.expenses || []);
-        }
-        setSelectedExpense(null);
-      } else {
-        showNotification(response.message || 'Failed to delete', 'error');
-      }
+      await deleteSplitExpense(expenseId);
+      setExpenses(await fetchSplitExpenses());
+      setSelectedExpense(null);
     } catch (error) {
-      showNotification('Failed to delete expense', 'error');
+      showNotification(error.message || 'Failed to delete expense', 'error');
     }
   };
 
@@ -417,9 +478,10 @@ const loadData = async () => {
     friend.email?.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
-  const filteredExpenses = filterStatus === 'all' 
+  const filteredExpenses = (filterStatus === 'all' 
     ? expenses 
-    : expenses.filter(exp => exp.status === filterStatus);
+    : expenses.filter(exp => exp.status === filterStatus))
+    .filter(exp => !tagFilter || hasTag(exp, tagFilter));
 
   const getWhoPaidName = (expense) => {
     const currentUserId = JSON.parse(localStorage.getItem('user') || '{}')._id;
@@ -571,6 +633,28 @@ const loadData = async () => {
                   <option value="custom">Custom Split</option>
                 </select>
               </div>
+
+              <div className="form-group">
+                <label>Tags</label>
+                <TagInput
+                  value={formData.tags}
+                  onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                  disabled={submitting}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="receipt">Bill / Receipt</label>
+                <input
+                  type="file"
+                  id="receipt"
+                  ref={receiptInputRef}
+                  accept={ATTACHMENT_ACCEPT}
+                  onChange={handleReceiptChange}
+                  disabled={submitting}
+                />
+                {scanningReceipt && <small>⏳ Reading bill...</small>}
+              </div>
             </div>
 
             <div className="form-section">
@@ -706,7 +790,7 @@ const loadData = async () => {
             <button 
               type="submit" 
               className="submit-btn"
-              disabled={submitting || selectedFriends.length === 0}
+              disabled={submitting || scanningReceipt || selectedFriends.length === 0}
             >
               {submitting ? 'Creating...' : '✨ Create Split Expense'}
             </button>
@@ -737,6 +821,15 @@ const loadData = async () => {
               >
                 Settled
               </button>
+              {tagFilter && (
+                <button
+                  className="filter-btn active"
+                  onClick={() => setTagFilter('')}
+                  title="Show every tag"
+                >
+                  #{tagFilter} ✕
+                </button>
+              )}
             </div>
           </div>
           
@@ -777,6 +870,22 @@ const loadData = async () => {
                     <p>👥 Split with: <strong>{expense.splits?.length || 0} people</strong></p>
                     <p>📅 Date: {new Date(expense.createdAt).toLocaleDateString()}</p>
                   </div>
+
+                  {/* Clicks here filter by tag or open receipts rather than toggling the card */}
+                  {expense.tags?.length > 0 && (
+                    <div className="expense-tags" onClick={(e) => e.stopPropagation()}>
+                      <TagList tags={expense.tags} onSelect={setTagFilter} />
+                    </div>
+                  )}
+
+                  <div className="expense-receipts" onClick={(e) => e.stopPropagation()}>
+                    <ReceiptAttachments
+                      ownerType="splitExpense"
+                      ownerId={expense._id}
+                      attachments={expense.attachments}
+                      onChange={(attachments) => handleAttachmentsChange(expense._id, attachments)}
+                    />
+                  </div>
                   
                   {selectedExpense?._id === expense._id && (
                     <div className="expense-details">
@@ -790,7 +899,15 @@ const loadData = async () => {
                         ))}
                       </div>
                       
-                      <div className="expense-actions">
+                      {/* The history dialog renders inside the card, so its clicks must not toggle it */}
+                      <div className="expense-actions" onClick={(e) => e.stopPropagation()}>
+                        <ChangeHistoryButton
+                          entity="splitExpense"
+                          recordId={expense._id}
+                          title={expense.description || 'this expense'}
+                          currencySymbol={currencySymbol}
+                          className="action-btn"
+                        />
                         <button 
                           className="action-btn delete"
                           onClick={(e) => {
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import './Transactions.css';
 import { useAuth } from '../context/AuthContext';
 import { 
@@ -7,9 +7,51 @@ import {
   PAYMENT_MODES 
 } from '../config/categoryConfig';
 import CurrencyManager from '../utils/currencyManager';
+import { apiRequest } from '../api/api';
+import {
+  fetchTransactionPage,
+  getTransactionSummary,
+  createTransaction,
+  updateTransaction,
+  deleteTransactionApi,
+  DEFAULT_PAGE_SIZE
+} from '../api/transactionApi';
+import { createRecurringRule, FREQUENCIES } from '../api/recurringApi';
+import { accountTypeIcon } from '../api/accountApi';
+import RecurringRulesPanel from '../components/RecurringRulesPanel';
+import AccountsPanel from '../components/AccountsPanel';
+import CsvImportWizard from '../components/CsvImportWizard';
+import DuplicateReviewPanel from '../components/DuplicateReviewPanel';
+import TagInput, { TagList } from '../components/TagInput';
+import SearchQueryInput from '../components/SearchQueryInput';
+import SavedViewsBar from '../components/SavedViewsBar';
+import ChangeHistoryButton from '../components/ChangeHistory';
+import ReceiptAttachments from '../components/ReceiptAttachments';
+import QuickAddBar from '../components/QuickAddBar';
+import { uploadAttachment } from '../api/attachmentApi';
+import { ATTACHMENT_ACCEPT, isImage, validateAttachmentFile } from '../utils/attachments';
+import { scanReceiptWithTesseract } from '../utils/receiptParsingUtils';
+import { isSplit, remainingForLines, validateCategoryLines } from '../utils/categoryLines';
+import { combineFilters, parseSearchQuery, withSearchTerms } from '../utils/searchQuery';
+import transactionSyncService from '../services/transactionSyncService';
+import { useRealtime } from '../hooks/useRealtime';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+import { useAbortSignal } from '../hooks/useAbortSignal';
+import { useTagsQuery, useAccountsQuery, useFxRatesQuery, useCategoriesQuery, useCategoryRulesQuery } from '../hooks/useLedgerQueries';
+import { rateBetween, isForeign, originalAmountOf, formatInCurrency, describeOriginal } from '../utils/fx';
+import { evaluateRules, isRuleTag } from '../utils/categoryRules';
+import { addTags } from '../utils/tags';
+
+// Ledger rows have a fixed height so only the visible ones are rendered (matches Transactions.css)
+const ROW_HEIGHT = 56;
+// Fetch the next page once fewer than this many loaded rows remain below the viewport
+const LOAD_MORE_THRESHOLD = 20;
+
+// Repeat settings reset along with the rest of the form
+const NO_REPEAT = { repeat: 'none', interval: '1', cron: '', endDate: '' };
 
 const Transactions = () => {
-  const { isAuthenticated, token, loading: authLoading, logout } = useAuth();
+  const { isAuthenticated, token, loading: authLoading } = useAuth();
   const [userCurrency, setUserCurrency] = useState('INR');
   const [currencySymbol, setCurrencySymbol] = useState('₹');
   const currencySymbols = {
@@ -27,12 +69,62 @@ const Transactions = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  // Receipt chosen in the add form; it is attached once the transaction has been saved
+  const [receiptFile, setReceiptFile] = useState(null);
+  const [scanningReceipt, setScanningReceipt] = useState(false);
+  const receiptInputRef = useRef(null);
+  // Category lines when the amount is split across categories; empty when it is not
+  const [categoryLines, setCategoryLines] = useState([]);
+  // Ledger narrowed to one tag and/or one account; the ref lets reloads triggered by events see the current filters
+  const [tagFilter, setTagFilter] = useState('');
+  const [accountFilter, setAccountFilter] = useState('');
+  const ledgerFiltersRef = useRef({});
+  // Filters from the search box, applied on top of the dropdowns
+  const [searchText, setSearchText] = useState('');
+  const [searchActive, setSearchActive] = useState(false);
+  const searchFiltersRef = useRef({});
+  const tagsQuery = useTagsQuery();
+  // Archived accounts are listed too so older rows still show where the money went
+  const accountsQuery = useAccountsQuery({ includeArchived: true });
+  const accounts = accountsQuery.data || [];
+  const openAccounts = accounts.filter(account => !account.archived);
+  const accountNames = new Map(accounts.map(account => [account._id, account.name]));
+  const fxQuery = useFxRatesQuery();
+  const fxCurrencies = fxQuery.data?.currencies?.length ? fxQuery.data.currencies : Object.keys(CurrencyManager.currencySymbols);
+  const categoryRulesQuery = useCategoryRulesQuery();
+  const categoriesQuery = useCategoriesQuery();
+  // Auto-categorisation: what the rules last filled in, so it can be taken back when they stop
+  // matching, and whether the user picked the category themselves, which rules then leave alone
+  const ruleFillRef = useRef({ tags: [], accountId: null });
+  const categoryTouchedRef = useRef(false);
+  const [ruleMatches, setRuleMatches] = useState([]);
+  // Last list the server returned, so queued changes can still be shown while offline
+  const serverTransactionsRef = useRef([]);
+  // Pagination: cursor of the next page, and a counter so pages from a superseded load are dropped
+  const nextCursorRef = useRef(null);
+  const loadGenerationRef = useRef(0);
+  // Cancels in-flight reads when the page unmounts or a newer load replaces them
+  const nextSignal = useAbortSignal();
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false);
+  const [totalCount, setTotalCount] = useState(null);
+  // Totals over the whole ledger, not just the pages loaded so far
+  const [totals, setTotals] = useState(null);
   const [form, setForm] = useState({
     title: '',
     amount: '',
     type: 'expense',
     category: 'Food',
-    paymentMode: 'wallet'
+    paymentMode: 'wallet',
+    accountId: '',
+    tags: [],
+    // Currency the amount is entered in; blank means the base currency
+    currency: '',
+    // From a scanned receipt; rules on merchants fall back to the title without it
+    merchant: '',
+    ...NO_REPEAT
   });
   
   // Get current categories based on selected type using config
@@ -47,141 +139,6 @@ const Transactions = () => {
     return [...new Set([...expenseValues, ...incomeValues])];
   };
 
-  // Enhanced API utility with better error handling
-  const createAPI = () => {
-    const API_BASE_URL = 'http://localhost:4000/api';
-    
-    const getAuthHeaders = () => {
-      const authToken = token || localStorage.getItem('token');
-      
-      if (!authToken) {
-        console.warn('No auth token found');
-        return {
-          'Content-Type': 'application/json',
-        };
-      }
-      
-      return {
-        'Authorization': `Bearer ${authToken}`,
-        'Content-Type': 'application/json',
-      };
-    };
-
-    const handleResponse = async (response, context) => {
-      let responseText = '';
-      
-      try {
-        responseText = await response.text();
-      } catch (textError) {
-        console.error('Failed to read response text:', textError);
-      }
-    
-      if (!response.ok) {
-        let errorMessage = `Server Error (${response.status})`;
-        
-        if (responseText) {
-          try {
-            const errorData = JSON.parse(responseText);
-            errorMessage = errorData.message || errorData.error || errorData.details || errorMessage;
-            
-            if (Array.isArray(errorMessage)) {
-              errorMessage = errorMessage.join(', ');
-            }
-          } catch (parseError) {
-            errorMessage = responseText.length > 100 ? 
-              responseText.substring(0, 100) + '...' : 
-              responseText;
-          }
-        }
-
-        if (response.status === 401) {
-          errorMessage = 'Authentication failed. Please log in again.';
-          setTimeout(() => logout(), 1000);
-        } else if (response.status === 403) {
-          errorMessage = 'Access denied. You don\'t have permission for this action.';
-        } else if (response.status === 404) {
-          errorMessage = 'Resource not found. The server endpoint may not exist.';
-        } else if (response.status >= 500) {
-          errorMessage = `Server error (${response.status}): ${errorMessage}. Please check server logs and try again.`;
-        }
-
-        const error = new Error(errorMessage);
-        error.status = response.status;
-        error.response = { data: responseText };
-        throw error;
-      }
-
-      if (!responseText) {
-        return {};
-      }
-
-      try {
-        return JSON.parse(responseText);
-      } catch (parseError) {
-        console.warn('Failed to parse response as JSON:', responseText);
-        return { message: responseText };
-      }
-    };
-
-    return {
-      async get(endpoint) {
-        try {
-          const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            method: 'GET',
-            headers: getAuthHeaders(),
-          });
-          return await handleResponse(response, `GET ${endpoint}`);
-        } catch (error) {
-          console.error(`❌ GET ${endpoint} failed:`, error);
-          throw error;
-        }
-      },
-
-      async post(endpoint, data) {
-        try {
-          
-          const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            method: 'POST',
-            headers: getAuthHeaders(),
-            body: JSON.stringify(data),
-          });
-          return await handleResponse(response, `POST ${endpoint}`);
-        } catch (error) {
-          console.error(`❌ POST ${endpoint} failed:`, error);
-          throw error;
-        }
-      },
-
-      async put(endpoint, data) {
-        try {
-          
-          const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            method: 'PUT',
-            headers: getAuthHeaders(),
-            body: JSON.stringify(data),
-          });
-          return await handleResponse(response, `PUT ${endpoint}`);
-        } catch (error) {
-          console.error(`❌ PUT ${endpoint} failed:`, error);
-          throw error;
-        }
-      },
-
-      async delete(endpoint) {
-        try {
-          const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            method: 'DELETE',
-            headers: getAuthHeaders(),
-          });
-          return await handleResponse(response, `DELETE ${endpoint}`);
-        } catch (error) {
-          console.error(`❌ DELETE ${endpoint} failed:`, error);
-          throw error;
-        }
-      }
-    };
-  };
-
   const ensureAuthenticated = () => {
     if (!isAuthenticated || !token) {
       throw new Error('Please log in to access this feature');
@@ -191,8 +148,7 @@ const Transactions = () => {
   const fetchUserCurrency = async () => {
     try {
       ensureAuthenticated();
-      const API = createAPI();
-      const settings = await API.get('/settings');
+      const { data: settings } = await apiRequest('GET', '/settings');
       const currency = settings.currency || 'INR';
        
       return currency;
@@ -202,7 +158,15 @@ const Transactions = () => {
     }
   };
 
+  // Same order the server pages in, so appended pages never reshuffle rows already shown
+  const sortTransactions = (list) => [...list].sort((a, b) =>
+    new Date(b.date) - new Date(a.date) || new Date(b.createdAt) - new Date(a.createdAt)
+  );
+
+  const findTransaction = (id) => transactions.find(tx => (tx._id || tx.id) === id);
+
   const getTransactions = async () => {
+    const signal = nextSignal('page');
     try {
       if (!isAuthenticated || !token) {
         setTransactions([]);
@@ -211,44 +175,175 @@ const Transactions = () => {
 
       setLoading(true);
       setError('');
+      setLoadMoreFailed(false);
+      const generation = ++loadGenerationRef.current;
+
+      // Reload as many rows as are already loaded so a refresh does not jump back to the top
+      const limit = Math.max(serverTransactionsRef.current.length, DEFAULT_PAGE_SIZE);
+      const [page] = await Promise.all([fetchTransactionPage(currentLedgerFilters(), { limit }, { signal }), loadTotals()]);
+      if (generation !== loadGenerationRef.current) return;
+
+      serverTransactionsRef.current = page.transactions;
+      nextCursorRef.current = page.nextCursor;
+      setHasMore(page.hasMore);
+      setTotalCount(page.total);
+      setTransactions(sortTransactions(await transactionSyncService.mergePending(page.transactions)));
       
-      const API = createAPI();
-      const response = await API.get('/transactions');
-
-      let transactionsData = [];
-      if (Array.isArray(response)) {
-        transactionsData = response;
-      } else if (Array.isArray(response.transactions)) {
-        transactionsData = response.transactions;
-      } else if (Array.isArray(response.data)) {
-        transactionsData = response.data;
-      } else if (response.data && Array.isArray(response.data.transactions)) {
-        transactionsData = response.data.transactions;
+    } catch (error) {
+      if (signal.aborted) return;
+      if (error.isNetworkError) {
+        // Offline: keep showing the last known list plus anything queued since
+        setTransactions(sortTransactions(await transactionSyncService.mergePending(serverTransactionsRef.current)));
+        setError('You are offline. Showing saved transactions; new ones will sync automatically.');
       } else {
-        console.warn('Unexpected response structure:', response);
-        transactionsData = [];
+        const errorMessage = error.message || 'Failed to fetch transactions';
+        setError(errorMessage);
+        setTransactions([]);
+        nextCursorRef.current = null;
+        setHasMore(false);
       }
+      console.error('Failed to fetch transactions:', error);
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  };
 
-      transactionsData.sort((a, b) => {
-        const dateA = new Date(a.createdAt || a.date);
-        const dateB = new Date(b.createdAt || b.date);
-        return dateB - dateA;
-      });
+  // Append the next page; called by the infinite-scroll effect below
+  const loadMoreTransactions = async () => {
+    if (!nextCursorRef.current || loadingMore || loading) return;
+    const generation = loadGenerationRef.current;
+    const signal = nextSignal('more');
 
-      setTransactions(transactionsData);
-      
-      
+    try {
+      setLoadingMore(true);
+      const page = await fetchTransactionPage(currentLedgerFilters(), { cursor: nextCursorRef.current }, { signal });
+      if (generation !== loadGenerationRef.current) return;
+
+      const loadedIds = new Set(serverTransactionsRef.current.map(tx => tx._id));
+      serverTransactionsRef.current = [
+        ...serverTransactionsRef.current,
+        ...page.transactions.filter(tx => !loadedIds.has(tx._id))
+      ];
+      nextCursorRef.current = page.nextCursor;
+      setHasMore(page.hasMore);
+      if (page.total !== null) setTotalCount(page.total);
+      setTransactions(sortTransactions(await transactionSyncService.mergePending(serverTransactionsRef.current)));
     } catch (error) {
-      const errorMessage = error.message || 'Failed to fetch transactions';
-      setError(errorMessage);
-      setTransactions([]);
-      console.error('Failed to fetch transactions:', error);
+      if (signal.aborted) return;
+      console.error('Failed to load more transactions:', error);
+      setLoadMoreFailed(true);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoadingMore(false);
+    }
+  };
+
+  const handleRetryLoadMore = () => {
+    setLoadMoreFailed(false);
+  };
+
+  const loadTotals = async () => {
+    const signal = nextSignal('totals');
+    try {
+      const summary = await getTransactionSummary(currentLedgerFilters(), { signal });
+      if (signal.aborted) return;
+      const income = parseFloat(summary.totalIncome) || 0;
+      const expense = parseFloat(summary.totalExpense) || 0;
+      setTotals({ income, expense, balance: income - expense, count: parseInt(summary.count, 10) || 0 });
+    } catch (error) {
+      if (signal.aborted) return;
+      // Keep the last known totals; the ledger itself is still usable
+      console.warn('Failed to fetch transaction totals:', error.message);
     }
   };
 
+  const currentLedgerFilters = () => combineFilters(ledgerFiltersRef.current, searchFiltersRef.current);
+
+  // Reload the ledger (and its totals) with one filter changed; an empty value clears that filter
+  const applyLedgerFilter = (key, value) => {
+    const { [key]: cleared, ...rest } = ledgerFiltersRef.current;
+    ledgerFiltersRef.current = value ? { ...rest, [key]: value } : rest;
+    setTagFilter(ledgerFiltersRef.current.tag || '');
+    setAccountFilter(ledgerFiltersRef.current.accountId || '');
+    getTransactions();
+  };
+
+  const applyTagFilter = (tag) => applyLedgerFilter('tag', tag);
+
+  const applyAccountFilter = (accountId) => applyLedgerFilter('accountId', accountId);
+
+  // Run a search expression; one with mistakes keeps the previous results, its errors show under the box
+  const applySearch = ({ filters, errors, isEmpty }) => {
+    if (errors.length > 0) return;
+    searchFiltersRef.current = filters;
+    setSearchActive(!isEmpty);
+    getTransactions();
+  };
+
+  const clearLedgerFilters = () => {
+    ledgerFiltersRef.current = {};
+    searchFiltersRef.current = {};
+    setTagFilter('');
+    setAccountFilter('');
+    setSearchText('');
+    setSearchActive(false);
+    getTransactions();
+  };
+
+  // A saved view replaces every filter with its expression
+  const openSavedView = (view) => {
+    const { filters, errors, isEmpty } = parseSearchQuery(view.query, { accounts });
+    ledgerFiltersRef.current = {};
+    searchFiltersRef.current = errors.length > 0 ? {} : filters;
+    setTagFilter('');
+    setAccountFilter('');
+    setSearchText(view.query);
+    setSearchActive(errors.length === 0 && !isEmpty);
+    getTransactions();
+  };
+
+  // What "Save view" stores: the search plus the account and tag dropdowns
+  const savedViewQuery = withSearchTerms(searchText, [
+    ['account', accounts.find(account => account._id === accountFilter)?.name],
+    ['tag', tagFilter]
+  ]);
+
+  // Choosing an account also picks the matching payment mode, which reports still group by
+  const selectAccount = (accountId) => {
+    const account = accounts.find(item => item._id === accountId);
+    setForm(prevForm => ({
+      ...prevForm,
+      accountId,
+      ...(account && PAYMENT_MODES.some(mode => mode.value === account.type) && { paymentMode: account.type })
+    }));
+  };
+
+  // Splitting starts from the chosen category with the whole amount, plus an empty second line
+  const startSplit = () => {
+    setCategoryLines([
+      { category: form.category, amount: form.amount },
+      { category: '', amount: '' }
+    ]);
+  };
+
+  const updateCategoryLine = (index, changes) => {
+    setCategoryLines(prevLines => prevLines.map((line, lineIndex) => (lineIndex === index ? { ...line, ...changes } : line)));
+  };
+
+  // Dropping to one line means the transaction is no longer split
+  const removeCategoryLine = (index) => {
+    setCategoryLines(prevLines => {
+      const remaining = prevLines.filter((_, lineIndex) => lineIndex !== index);
+      if (remaining.length < 2) {
+        if (remaining[0]?.category) setForm(prevForm => ({ ...prevForm, category: remaining[0].category }));
+        return [];
+      }
+      return remaining;
+    });
+  };
+
   const handleTypeChange = (newType) => {
+    // Line categories belong to the old type
+    setCategoryLines([]);
     const currentCategories = getCategoriesForType(newType);
     const currentCategoryValues = currentCategories.map(cat => cat.value);
     
@@ -261,6 +356,47 @@ const Transactions = () => {
     }));
   };
 
+  const clearReceipt = () => {
+    setReceiptFile(null);
+    if (receiptInputRef.current) receiptInputRef.current.value = '';
+  };
+
+  // Keep the receipt for attaching, and read it to fill in whatever the user has not typed yet
+  const handleReceiptChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      setReceiptFile(null);
+      return;
+    }
+
+    const invalid = validateAttachmentFile(file);
+    if (invalid) {
+      setError(invalid);
+      clearReceipt();
+      return;
+    }
+
+    setError('');
+    setReceiptFile(file);
+    if (!isImage(file.type)) return;
+
+    setScanningReceipt(true);
+    try {
+      const scan = await scanReceiptWithTesseract(file);
+      if (scan.success) {
+        const { merchantName, totalAmount } = scan.data;
+        setForm(prevForm => ({
+          ...prevForm,
+          title: prevForm.title || merchantName || '',
+          merchant: merchantName || prevForm.merchant,
+          amount: prevForm.amount || (totalAmount ? String(totalAmount) : '')
+        }));
+      }
+    } finally {
+      setScanningReceipt(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -290,6 +426,22 @@ const Transactions = () => {
         return;
       }
 
+      const linesError = validateCategoryLines(categoryLines, form.amount);
+      if (linesError) {
+        setError(linesError);
+        return;
+      }
+
+      if (form.repeat !== 'none' && form.currency && form.currency !== userCurrency) {
+        setError(`Recurring transactions are recorded in your base currency (${userCurrency})`);
+        return;
+      }
+
+      if (form.repeat === 'custom' && form.cron.trim().split(/\s+/).length !== 5) {
+        setError('Custom schedules need a five-field cron expression, e.g. "0 9 1 * *"');
+        return;
+      }
+
       setIsSubmitting(true);
 
       const transactionData = {
@@ -298,34 +450,83 @@ const Transactions = () => {
         type: form.type,
         category: form.category,
         paymentMode: form.paymentMode,
-        date: new Date().toISOString()
+        accountId: form.accountId || null,
+        tags: form.tags,
+        date: new Date().toISOString(),
+        ...(form.merchant && { merchant: form.merchant }),
+        ...(form.currency && { currency: form.currency }),
+        ...(categoryLines.length > 0 && {
+          categoryLines: categoryLines.map(line => ({ category: line.category, amount: parseFloat(line.amount) }))
+        })
       };
 
-      
-
-      const API = createAPI();
-      const result = await API.post('/transactions', transactionData);
+      let successMessage;
+      if (form.repeat === 'none') {
+        const result = await createTransaction(transactionData);
+        let receiptNote = '';
+        if (receiptFile && result?.syncStatus === 'pending') {
+          receiptNote = ' The receipt was not attached because you are offline; attach it from the list once it has synced.';
+        } else if (receiptFile && result?._id) {
+          try {
+            await uploadAttachment('transaction', result._id, receiptFile);
+          } catch (uploadError) {
+            receiptNote = ` The receipt could not be attached: ${uploadError.message}`;
+          }
+        }
 
-      
+        if (result?.syncStatus === 'pending') {
+          successMessage = 'Saved offline 📴 It will sync when the connection is back.';
+        } else if (result?.duplicateOf) {
+          successMessage = 'Transaction added, but it looks like one you already have ⚠️ Review it under Possible Duplicates.';
+        } else {
+          successMessage = 'Transaction added successfully! 🎉';
+        }
+        successMessage += receiptNote;
+      } else {
+        // The server records every instance that is due, starting with today's when the schedule includes it
+        const rule = await createRecurringRule({
+          title: transactionData.description,
+          amount: transactionData.amount,
+          type: transactionData.type,
+          category: transactionData.category,
+          paymentMode: transactionData.paymentMode,
+          accountId: transactionData.accountId,
+          frequency: form.repeat,
+          interval: parseInt(form.interval, 10) || 1,
+          cron: form.repeat === 'custom' ? form.cron.trim() : '',
+          startDate: transactionData.date,
+          endDate: form.endDate || null
+        });
+        successMessage = rule?.nextOccurrence
+          ? `Recurring transaction saved 🔁 Next one on ${new Date(rule.nextOccurrence).toLocaleDateString()}.`
+          : 'Recurring transaction saved 🔁';
+      }
 
       // Reset form with proper default category
       const defaultCategory = getCategoriesForType('expense')[0]?.value || 'Other';
-      setForm({
+      // The account and currency are kept: several entries in a row usually come from the same one
+      setForm(prevForm => ({
         title: '',
         amount: '',
         type: 'expense',
         category: defaultCategory,
-        paymentMode: 'wallet'
-      });
+        paymentMode: prevForm.paymentMode,
+        accountId: prevForm.accountId,
+        currency: prevForm.currency,
+        tags: [],
+        merchant: '',
+        ...NO_REPEAT
+      }));
+      categoryTouchedRef.current = false;
+      ruleFillRef.current = { tags: [], accountId: null };
+      clearReceipt();
+      setCategoryLines([]);
 
-      setSuccess('Transaction added successfully! 🎉');
+      setSuccess(successMessage);
       setTimeout(() => setSuccess(''), 5000);
 
       await getTransactions();
       
-      // Dispatch event for budget component
-      window.dispatchEvent(new Event('transactionUpdated'));
-      
     } catch (error) {
       console.error('Transaction creation failed:', error);
       
@@ -346,25 +547,20 @@ const Transactions = () => {
       return;
     }
 
-    if (!window.confirm('Are you sure you want to delete this transaction?')) {
-      return;
-    }
-
     try {
       ensureAuthenticated();
       setLoading(true);
       
-      const API = createAPI();
-      await API.delete(`/transactions/${id}`);
+      await deleteTransactionApi(id, { baseUpdatedAt: findTransaction(id)?.updatedAt });
       
-      setSuccess('Transaction deleted successfully! 🗑️');
-      setTimeout(() => setSuccess(''), 3000);
+      // Online deletes go to the trash and the undo toast confirms them
+      if (!navigator.onLine) {
+        setSuccess('Deletion saved offline 📴 It will sync when the connection is back.');
+        setTimeout(() => setSuccess(''), 3000);
+      }
       
       await getTransactions();
       
-      // Dispatch event for budget component
-      window.dispatchEvent(new Event('transactionUpdated'));
-      
     } catch (error) {
       console.error('Delete failed:', error);
       setError(error.message || 'Failed to delete transaction');
@@ -378,17 +574,15 @@ const Transactions = () => {
       ensureAuthenticated();
       setLoading(true);
       
-      const API = createAPI();
-      await API.put(`/transactions/${id}`, updatedData);
+      const result = await updateTransaction(id, updatedData, { baseUpdatedAt: findTransaction(id)?.updatedAt });
       
-      setSuccess('Transaction updated successfully! ✏️');
+      setSuccess(result?.syncStatus === 'pending'
+        ? 'Change saved offline 📴 It will sync when the connection is back.'
+        : 'Transaction updated successfully! ✏️');
       setTimeout(() => setSuccess(''), 3000);
       
       await getTransactions();
       
-      // Dispatch event for budget component
-      window.dispatchEvent(new Event('transactionUpdated'));
-      
     } catch (error) {
       console.error('Update failed:', error);
       setError(error.message || 'Failed to update transaction');
@@ -401,6 +595,64 @@ const Transactions = () => {
     await getTransactions();
   };
 
+  const handleImported = async ({ transactions: imported }) => {
+    setSuccess(`Imported ${imported.length} transaction(s) from your statement`);
+    setTimeout(() => setSuccess(''), 5000);
+    await getTransactions();
+  };
+
+  // Settle an offline change the server rejected or that conflicts with a newer server copy
+  const handleResolveSync = async (tx, strategy) => {
+    try {
+      setLoading(true);
+      await transactionSyncService.resolveEntry(tx.syncEntryId, strategy);
+      await getTransactions();
+    } catch (error) {
+      console.error('Resolving offline change failed:', error);
+      setError(error.message || 'Failed to resolve offline change');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderSyncBadge = (tx) => {
+    if (!tx.syncStatus) return null;
+
+    if (tx.syncStatus === 'pending') {
+      return (
+        <span className="badge pending" title="Saved on this device, waiting to sync">
+          {tx.pendingAction === 'delete' ? '⏳ Deleting' : '⏳ Pending'}
+        </span>
+      );
+    }
+
+    return (
+      <span className="sync-issue">
+        <span className="badge conflict" title={tx.syncError || ''}>
+          {tx.syncStatus === 'conflict' ? '⚠️ Conflict' : '⚠️ Not synced'}
+        </span>
+        <button
+          type="button"
+          className="sync-resolve-btn"
+          onClick={() => handleResolveSync(tx, 'keep-local')}
+          disabled={loading}
+          title={tx.syncStatus === 'conflict' ? 'Overwrite the server copy with your change' : 'Try again'}
+        >
+          {tx.syncStatus === 'conflict' ? 'Keep mine' : 'Retry'}
+        </button>
+        <button
+          type="button"
+          className="sync-resolve-btn"
+          onClick={() => handleResolveSync(tx, 'discard')}
+          disabled={loading}
+          title="Drop your offline change"
+        >
+          Discard
+        </button>
+      </span>
+    );
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'No Date';
     
@@ -422,24 +674,6 @@ const Transactions = () => {
     }
   };
 
-  const getTotalsByType = () => {
-    const totals = transactions.reduce(
-      (acc, tx) => {
-        const amount = parseFloat(tx.amount) || 0;
-        if (tx.type === 'income') {
-          acc.income += amount;
-        } else if (tx.type === 'expense') {
-          acc.expense += amount;
-        }
-        return acc;
-      },
-      { income: 0, expense: 0 }
-    );
-
-    totals.balance = totals.income - totals.expense;
-    return totals;
-  };
-
   useEffect(() => {
     if (!authLoading && isAuthenticated && token) {
       getTransactions();
@@ -448,10 +682,79 @@ const Transactions = () => {
     }
   }, [isAuthenticated, authLoading, token]);
 
+  // Refresh once queued offline changes reach the server, another tab changes the ledger, or
+  // category rules are re-run over it
+  useEffect(() => {
+    const handleSyncEvent = (event) => {
+      if (['synced', 'resolved', 'remote', 'rules-applied'].includes(event.detail?.action)) {
+        getTransactions();
+      }
+    };
+
+    window.addEventListener('transactionUpdated', handleSyncEvent);
+    return () => window.removeEventListener('transactionUpdated', handleSyncEvent);
+  }, [isAuthenticated, token]);
+
+  // Changes made on other devices or by the server
+  useRealtime('transaction', () => {
+    if (isAuthenticated && token) getTransactions();
+  });
+
+  // Run the auto-categorisation rules as the entry is typed. Amounts in another currency are
+  // compared in the base currency, as the saved transaction will be.
+  useEffect(() => {
+    const rate = form.currency && form.currency !== userCurrency
+      ? rateBetween(fxQuery.data?.rates, form.currency, userCurrency, new Date())
+      : 1;
+    const result = evaluateRules({
+      title: form.title,
+      merchant: form.merchant,
+      amount: (parseFloat(form.amount) || 0) * (rate || 1),
+      type: form.type,
+      paymentMode: form.paymentMode
+    }, categoryRulesQuery.data || [], categoriesQuery.data || []);
+    const filled = ruleFillRef.current;
+    const changes = {};
+
+    if (result.category && result.category !== form.category && !categoryTouchedRef.current &&
+        categoryLines.length === 0 && getAllCategoryValues(form.type).includes(result.category)) {
+      changes.category = result.category;
+    }
+
+    // Tags the rules added earlier but no longer give are dropped; the user's own are kept
+    const kept = form.tags.filter(tag => !isRuleTag(tag, filled.tags) || isRuleTag(tag, result.tags));
+    const added = result.tags.filter(tag => !isRuleTag(tag, form.tags));
+    const tags = addTags(kept, added);
+    if (tags.length !== form.tags.length || tags.some((tag, index) => tag !== form.tags[index])) changes.tags = tags;
+    ruleFillRef.current.tags = [...filled.tags.filter(tag => isRuleTag(tag, result.tags)), ...added];
+
+    // An account the user chose stays; one the rules chose follows them
+    if (!form.accountId || form.accountId === filled.accountId) {
+      if ((result.accountId || '') !== form.accountId) changes.accountId = result.accountId || '';
+      ruleFillRef.current.accountId = result.accountId;
+    }
+
+    if (Object.keys(changes).length > 0) setForm(prevForm => ({ ...prevForm, ...changes }));
+    setRuleMatches(result.matched.map(rule => rule.name));
+  }, [form.title, form.merchant, form.amount, form.currency, form.type, form.paymentMode, categoryLines.length,
+    categoryRulesQuery.data, categoriesQuery.data, fxQuery.data, userCurrency]);
+
+  const virtualRows = useVirtualRows({ count: transactions.length, rowHeight: ROW_HEIGHT });
+
+  // Infinite scroll: fetch the next page as the viewport nears the end of what is loaded
+  useEffect(() => {
+    if (hasMore && !loading && !loadingMore && !loadMoreFailed &&
+        virtualRows.end >= transactions.length - LOAD_MORE_THRESHOLD) {
+      loadMoreTransactions();
+    }
+  }, [virtualRows.end, transactions.length, hasMore, loading, loadingMore, loadMoreFailed]);
+
   useEffect(() => {
     if (!authLoading && isAuthenticated && token) {
       const loadCurrency = async () => {
-        const { currency, symbol } = await CurrencyManager.fetchFromDB();
+        const signal = nextSignal('currency');
+        const { currency, symbol } = await CurrencyManager.fetchFromDB({ signal });
+        if (signal.aborted) return;
       setUserCurrency(currency);
       setCurrencySymbol(symbol);
       console.log('💰 Transactions.jsx currency loaded:', currency, symbol);
@@ -479,8 +782,13 @@ const Transactions = () => {
     );
   }
 
-  const totals = getTotalsByType();
   const currentCategories = getCurrentCategories();
+  // Amounts in the form are in the entry currency; the server converts them at the day's rate
+  const entryCurrency = form.currency || userCurrency;
+  const entrySymbol = CurrencyManager.getSymbol(entryCurrency);
+  const entryRate = entryCurrency !== userCurrency
+    ? rateBetween(fxQuery.data?.rates, entryCurrency, userCurrency, new Date())
+    : null;
 
   return (
     <div className="transactions-container">
@@ -489,7 +797,7 @@ const Transactions = () => {
         <p>Add new transactions and view your transaction history</p>
         
 
-        {transactions.length > 0 && (
+        {totals && totals.count > 0 && (
           <div className="summary-cards">
             <div className="card income-card">
               <h4>💰 Income</h4>
@@ -510,6 +818,10 @@ const Transactions = () => {
       {error && <div className="alert error">⚠️ {error}</div>}
       {success && <div className="alert success">✅ {success}</div>}
 
+      <div className="quick-add-section">
+        <QuickAddBar onSaved={() => getTransactions()} />
+      </div>
+
       <div className="form-card">
         <h3>➕ Add New Transaction</h3>
 
@@ -524,16 +836,33 @@ const Transactions = () => {
               disabled={isSubmitting}
             />
 
-            <input
-              type="number"
-              step="0.01"
-              min="0.01"
-              placeholder="Amount *"
-              value={form.amount}
-              onChange={(e) => setForm({ ...form, amount: e.target.value })}
-              required
-              disabled={isSubmitting}
-            />
+            <div className="amount-field">
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                placeholder={`Amount in ${entryCurrency} *`}
+                value={form.amount}
+                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                required
+                disabled={isSubmitting}
+              />
+              <select
+                value={entryCurrency}
+                onChange={(e) => setForm({ ...form, currency: e.target.value === userCurrency ? '' : e.target.value })}
+                disabled={isSubmitting}
+                aria-label="Currency of the amount"
+              >
+                {fxCurrencies.map(code => (
+                  <option key={code} value={code}>{CurrencyManager.getSymbol(code)} {code}</option>
+                ))}
+              </select>
+              {entryRate && parseFloat(form.amount) > 0 && (
+                <span className="fx-preview">
+                  ≈ {currencySymbol}{(parseFloat(form.amount) * entryRate).toFixed(2)} at {entryRate.toFixed(4)} {userCurrency}/{entryCurrency}
+                </span>
+              )}
+            </div>
 
             <select
               value={form.type}
@@ -544,56 +873,280 @@ const Transactions = () => {
               <option value="income">💰 Income</option>
             </select>
 
+            {categoryLines.length === 0 && (
+              <select
+                value={form.category}
+                onChange={(e) => {
+                  categoryTouchedRef.current = true;
+                  setForm({ ...form, category: e.target.value });
+                }}
+                required
+                disabled={isSubmitting}
+              >
+                {currentCategories.map((cat) => (
+                  <option key={cat.value} value={cat.value}>
+                    {cat.icon} {cat.label}
+                  </option>
+                ))}
+              </select>
+            )}
+
             <select
-              value={form.category}
-              onChange={(e) => setForm({ ...form, category: e.target.value })}
-              required
+              value={form.paymentMode}
+              onChange={(e) => setForm({ ...form, paymentMode: e.target.value })}
               disabled={isSubmitting}
             >
-              {currentCategories.map((cat) => (
-                <option key={cat.value} value={cat.value}>
-                  {cat.icon} {cat.label}
+              {PAYMENT_MODES.map((mode) => (
+                <option key={mode.value} value={mode.value}>
+                  {mode.icon} {mode.label}
                 </option>
               ))}
             </select>
 
+            {openAccounts.length > 0 && (
+              <select
+                value={form.accountId}
+                onChange={(e) => selectAccount(e.target.value)}
+                disabled={isSubmitting}
+                title="Account the money comes out of or goes into"
+              >
+                <option value="">No account</option>
+                {openAccounts.map((account) => (
+                  <option key={account._id} value={account._id}>
+                    {accountTypeIcon(account.type)} {account.name}
+                  </option>
+                ))}
+              </select>
+            )}
+
             <select
-              value={form.paymentMode}
-              onChange={(e) => setForm({ ...form, paymentMode: e.target.value })}
+              value={form.repeat}
+              onChange={(e) => {
+                // Recurring transactions keep a single category
+                if (e.target.value !== 'none') setCategoryLines([]);
+                setForm({ ...form, repeat: e.target.value });
+              }}
               disabled={isSubmitting}
+              title="Repeat"
             >
-              {PAYMENT_MODES.map((mode) => (
-                <option key={mode.value} value={mode.value}>
-                  {mode.icon} {mode.label}
+              <option value="none">Does not repeat</option>
+              {FREQUENCIES.map((frequency) => (
+                <option key={frequency.value} value={frequency.value}>
+                  🔁 {frequency.label}
                 </option>
               ))}
             </select>
+
+            {form.repeat !== 'none' && form.repeat !== 'custom' && (
+              <input
+                type="number"
+                min="1"
+                step="1"
+                placeholder={`Every N ${FREQUENCIES.find(frequency => frequency.value === form.repeat)?.unit}s`}
+                title={`Repeat every N ${FREQUENCIES.find(frequency => frequency.value === form.repeat)?.unit}s`}
+                value={form.interval}
+                onChange={(e) => setForm({ ...form, interval: e.target.value })}
+                disabled={isSubmitting}
+              />
+            )}
+
+            {form.repeat === 'custom' && (
+              <input
+                type="text"
+                placeholder="Cron: minute hour day month weekday, e.g. 0 9 1 * *"
+                value={form.cron}
+                onChange={(e) => setForm({ ...form, cron: e.target.value })}
+                required
+                disabled={isSubmitting}
+              />
+            )}
+
+            {form.repeat === 'none' && (
+              <label className="receipt-input" title="Attach a receipt; images are read to fill in the title and amount">
+                <span>{scanningReceipt ? '⏳ Reading receipt...' : receiptFile ? `🧾 ${receiptFile.name}` : '🧾 Receipt (optional)'}</span>
+                <input
+                  ref={receiptInputRef}
+                  type="file"
+                  accept={ATTACHMENT_ACCEPT}
+                  onChange={handleReceiptChange}
+                  disabled={isSubmitting}
+                />
+              </label>
+            )}
+
+            {form.repeat !== 'none' && (
+              <input
+                type="date"
+                title="Ends on (optional)"
+                value={form.endDate}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                disabled={isSubmitting}
+              />
+            )}
           </div>
 
+          <div className="form-tags">
+            <TagInput
+              value={form.tags}
+              onChange={(tags) => setForm(prevForm => ({ ...prevForm, tags }))}
+              disabled={isSubmitting}
+            />
+          </div>
+
+          {ruleMatches.length > 0 && form.title.trim() && (
+            <p className="rule-hint" title="Manage rules on the Categories page">
+              🪄 Filled in by {ruleMatches.join(', ')}
+            </p>
+          )}
+
+          {categoryLines.length > 0 && (
+            <div className="category-lines">
+              <h4>✂️ Split across categories</h4>
+              {categoryLines.map((line, index) => (
+                <div key={index} className="category-line">
+                  <select
+                    value={line.category}
+                    onChange={(e) => updateCategoryLine(index, { category: e.target.value })}
+                    required
+                    disabled={isSubmitting}
+                  >
+                    <option value="">Choose category</option>
+                    {currentCategories.map((cat) => (
+                      <option key={cat.value} value={cat.value}>
+                        {cat.icon} {cat.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    placeholder="Amount"
+                    value={line.amount}
+                    onChange={(e) => updateCategoryLine(index, { amount: e.target.value })}
+                    required
+                    disabled={isSubmitting}
+                  />
+                  <button
+                    type="button"
+                    className="delete-btn"
+                    onClick={() => removeCategoryLine(index)}
+                    disabled={isSubmitting}
+                    title="Remove line"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <div className="category-lines-footer">
+                <button
+                  type="button"
+                  className="refresh-btn"
+                  onClick={() => setCategoryLines([...categoryLines, { category: '', amount: '' }])}
+                  disabled={isSubmitting}
+                >
+                  ➕ Add Line
+                </button>
+                {(() => {
+                  const remaining = remainingForLines(categoryLines, form.amount);
+                  if (!form.amount) return <span className="lines-remaining">Enter the total amount first</span>;
+                  if (remaining === 0) return <span className="lines-remaining balanced">✅ Lines add up to the total</span>;
+                  return (
+                    <span className="lines-remaining">
+                      {remaining > 0
+                        ? `${entrySymbol}${remaining.toFixed(2)} left to assign`
+                        : `${entrySymbol}${Math.abs(remaining).toFixed(2)} over the total`}
+                    </span>
+                  );
+                })()}
+              </div>
+            </div>
+          )}
+
           <div className="form-actions">
-            <button type="submit" className="add-btn" disabled={isSubmitting}>
-              {isSubmitting ? '⏳ Adding...' : '➕ Add Transaction'}
+            <button type="submit" className="add-btn" disabled={isSubmitting || scanningReceipt}>
+              {isSubmitting ? '⏳ Adding...' : form.repeat === 'none' ? '➕ Add Transaction' : '🔁 Add Recurring Transaction'}
             </button>
             <button type="button" className="refresh-btn" onClick={handleManualRefresh} disabled={loading}>
               {loading ? '⏳ Refreshing...' : '🔄 Refresh List'}
             </button>
+            {form.repeat === 'none' && categoryLines.length === 0 && (
+              <button type="button" className="refresh-btn" onClick={startSplit} disabled={isSubmitting}>
+                ✂️ Split Categories
+              </button>
+            )}
+            <button type="button" className="refresh-btn" onClick={() => setShowImport(true)} disabled={showImport}>
+              📥 Import Statement
+            </button>
           </div>
         </form>
       </div>
 
+      {showImport && (
+        <CsvImportWizard
+          currencySymbol={currencySymbol}
+          onImported={handleImported}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      <DuplicateReviewPanel currencySymbol={currencySymbol} onResolved={getTransactions} />
+
+      <RecurringRulesPanel currencySymbol={currencySymbol} />
+
+      <AccountsPanel currencySymbol={currencySymbol} onSelectAccount={applyAccountFilter} />
+
       <div className="transaction-table-container">
-        <h3>📊 Transaction History ({transactions.length})</h3>
+        <h3>📊 Transaction History ({totalCount ?? transactions.length})</h3>
+
+        <SavedViewsBar page="transactions" query={savedViewQuery} onApply={openSavedView} ready={accountsQuery.isFetched} />
+
+        <div className="ledger-filters">
+          <SearchQueryInput value={searchText} onChange={setSearchText} onSearch={applySearch} disabled={loading && transactions.length === 0} />
+          {accounts.length > 0 && (
+            <>
+              <label htmlFor="account-filter">🏦 Account</label>
+              <select id="account-filter" value={accountFilter} onChange={(e) => applyAccountFilter(e.target.value)} disabled={loading}>
+                <option value="">All accounts</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>
+                    {account.name}{account.archived ? ' (archived)' : ''}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+          {(tagFilter || (tagsQuery.data || []).length > 0) && (
+            <>
+              <label htmlFor="tag-filter">🏷️ Tag</label>
+              <select id="tag-filter" value={tagFilter} onChange={(e) => applyTagFilter(e.target.value)} disabled={loading}>
+                <option value="">All transactions</option>
+                {tagFilter && !(tagsQuery.data || []).some(entry => entry.tag === tagFilter) && (
+                  <option value={tagFilter}>#{tagFilter}</option>
+                )}
+                {(tagsQuery.data || []).map(entry => (
+                  <option key={entry.tag} value={entry.tag}>#{entry.tag} ({entry.count})</option>
+                ))}
+              </select>
+            </>
+          )}
+          {(tagFilter || accountFilter || searchText) && (
+            <button type="button" className="sync-resolve-btn" onClick={clearLedgerFilters}>
+              Clear
+            </button>
+          )}
+        </div>
 
         {loading && transactions.length === 0 ? (
           <div className="loading-msg">⏳ Loading transactions...</div>
         ) : transactions.length === 0 ? (
           <div className="empty-msg">
             <div className="emoji">📄</div>
-            <p>No transactions found</p>
-            <small>Add your first transaction using the form above!</small>
+            <p>{tagFilter || accountFilter || searchActive ? 'No transactions match the filters' : 'No transactions found'}</p>
+            <small>{tagFilter || accountFilter || searchActive ? 'Clear the filters to see everything.' : 'Add your first transaction using the form above!'}</small>
           </div>
         ) : (
-          <div className="table-wrapper">
+          <div className="table-wrapper virtualised" ref={virtualRows.ref} onScroll={virtualRows.onScroll}>
             <table className="transaction-table">
               <thead>
                 <tr>
@@ -603,37 +1156,102 @@ const Transactions = () => {
                   <th>Payment</th>
                   <th>Type</th>
                   <th>Date</th>
+                  <th>Receipts</th>
                   <th className="center">Actions</th>
                 </tr>
               </thead>
               <tbody>
-                {transactions.map((tx, index) => (
-                  <tr key={tx._id || tx.id || index}>
-                    <td>{tx.description || tx.title || 'No description'}</td>
+                {virtualRows.paddingTop > 0 && (
+                  <tr className="virtual-spacer" style={{ height: virtualRows.paddingTop }}><td colSpan={8} /></tr>
+                )}
+                {transactions.slice(virtualRows.start, virtualRows.end).map((tx, offset) => (
+                  <tr
+                    key={tx._id || tx.id || virtualRows.start + offset}
+                    className={tx.syncStatus ? `sync-${tx.syncStatus} ${tx.pendingAction === 'delete' ? 'sync-deleting' : ''}` : undefined}
+                  >
+                    <td>
+                      {tx.description || tx.title || 'No description'}
+                      <TagList tags={tx.tags} onSelect={applyTagFilter} />
+                      {tx.recurringRuleId && (
+                        <span className="badge recurring" title="Recorded by a recurring transaction">🔁</span>
+                      )}
+                      {tx.duplicateOf && (
+                        <span className="badge duplicate" title="Looks like a transaction you already have; review it under Possible Duplicates">
+                          Possible duplicate
+                        </span>
+                      )}
+                      {renderSyncBadge(tx)}
+                    </td>
                     <td className={tx.type === 'income' ? 'row-income' : 'row-expense'}>
                       {tx.type === 'income' ? '+' : '-'}
                       {currencySymbol}{(parseFloat(tx.amount) || 0).toFixed(2)}
+                      {isForeign(tx) && (
+                        <small className="original-amount" title={`Entered as ${describeOriginal(tx)}`}>
+                          {formatInCurrency(originalAmountOf(tx), tx.currency)}
+                        </small>
+                      )}
+                    </td>
+                    <td>
+                      {isSplit(tx) ? (
+                        <span
+                          className="badge category split"
+                          title={tx.categoryLines.map(line => `${line.category}: ${currencySymbol}${Number(line.amount).toFixed(2)}`).join('\n')}
+                        >
+                          ✂️ {tx.categoryLines.length} categories
+                        </span>
+                      ) : (
+                        <span className="badge category">{tx.category || 'Other'}</span>
+                      )}
+                    </td>
+                    <td className="capitalize" title={accountNames.has(tx.accountId) ? tx.paymentMode : undefined}>
+                      {accountNames.get(tx.accountId) || tx.paymentMode || 'N/A'}
                     </td>
-                    <td><span className="badge category">{tx.category || 'Other'}</span></td>
-                    <td className="capitalize">{tx.paymentMode || 'N/A'}</td>
                     <td><span className={`badge ${tx.type}`}>{tx.type || 'N/A'}</span></td>
                     <td className="date">{formatDate(tx.date || tx.createdAt)}</td>
+                    <td>
+                      <ReceiptAttachments
+                        ownerType="transaction"
+                        ownerId={tx._id}
+                        attachments={tx.attachments}
+                        canAttach={!tx.syncStatus}
+                        compact
+                      />
+                    </td>
                     <td className="center">
-                      <button 
-                        className="delete-btn" 
-                        onClick={() => handleDelete(tx._id || tx.id)} 
-                        disabled={loading}
-                        title="Delete transaction"
-                      >
-                        {loading ? '⏳' : '🗑️'}
-                      </button>
+                      <div className="row-actions">
+                        <ChangeHistoryButton
+                          entity="transaction"
+                          recordId={tx.syncStatus ? null : tx._id}
+                          title={tx.title || 'this transaction'}
+                          currencySymbol={currencySymbol}
+                        />
+                        <button 
+                          className="delete-btn" 
+                          onClick={() => handleDelete(tx._id || tx.id)} 
+                          disabled={loading || tx.pendingAction === 'delete'}
+                          title="Delete transaction"
+                        >
+                          {loading ? '⏳' : '🗑️'}
+                        </button>
+                      </div>
                     </td>
                   </tr>
                 ))}
+                {virtualRows.paddingBottom > 0 && (
+                  <tr className="virtual-spacer" style={{ height: virtualRows.paddingBottom }}><td colSpan={8} /></tr>
+                )}
               </tbody>
             </table>
           </div>
         )}
+
+        {loadingMore && <div className="load-more-msg">⏳ Loading older transactions...</div>}
+        {loadMoreFailed && (
+          <div className="load-more-msg">
+            ⚠️ Could not load older transactions.{' '}
+            <button type="button" className="sync-resolve-btn" onClick={handleRetryLoadMore}>Retry</button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,135 @@
+// src/pages/Trash.jsx - Deleted transactions, budgets, split expenses and debts, restorable until purged
+import React, { useEffect, useState } from 'react';
+import { Trash2, RotateCcw } from 'lucide-react';
+import CurrencyManager from '../utils/currencyManager';
+import { useTrashQuery } from '../hooks/useLedgerQueries';
+import { TRASH_TYPES, restoreTrashItems, purgeTrashItem, emptyTrash } from '../api/trashApi';
+import './Trash.css';
+
+const EMPTY_LIST = [];
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const daysLeft = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+const TrashPage = () => {
+  const trashQuery = useTrashQuery();
+  const items = trashQuery.data?.items || EMPTY_LIST;
+  const retentionDays = trashQuery.data?.retentionDays;
+  const [currencySymbol, setCurrencySymbol] = useState('₹');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    CurrencyManager.fetchFromDB({ signal: controller.signal })
+      .then(({ symbol }) => {
+        if (!controller.signal.aborted) setCurrencySymbol(symbol);
+      })
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    setError('');
+    setSuccess('');
+    try {
+      const result = await action();
+      setSuccess(typeof message === 'function' ? message(result) : message);
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = (item) => run(async () => {
+    const { errors } = await restoreTrashItems([item._id]);
+    if (errors.length > 0) throw new Error(errors[0].message);
+  }, `Restored "${item.label}"`);
+
+  const handlePurge = (item) => {
+    if (!window.confirm(`Delete "${item.label}" permanently? This cannot be undone.`)) return;
+    run(() => purgeTrashItem(item._id), `Deleted "${item.label}" permanently`);
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm(`Delete all ${items.length} items in the trash permanently? This cannot be undone.`)) return;
+    run(() => emptyTrash(), (count) => `Deleted ${count} items permanently`);
+  };
+
+  return (
+    <div className="trash-page">
+      <div className="trash-header">
+        <div>
+          <h1><Trash2 size={28} /> Trash</h1>
+          <p className="trash-hint">
+            Deleted items can be restored here
+            {retentionDays ? ` for ${retentionDays} days, after which they are deleted permanently.` : '.'}
+          </p>
+        </div>
+        {items.length > 0 && (
+          <button type="button" className="trash-btn danger" onClick={handleEmpty} disabled={busy}>
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      {error && <div className="alert error">⚠️ {error}</div>}
+      {success && <div className="alert success">✅ {success}</div>}
+      {trashQuery.isError && <div className="alert error">⚠️ {trashQuery.error.message}</div>}
+
+      {trashQuery.isLoading ? (
+        <p className="trash-empty">Loading...</p>
+      ) : items.length === 0 ? (
+        <p className="trash-empty">The trash is empty.</p>
+      ) : (
+        <table className="trash-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Amount</th>
+              <th>Deleted</th>
+              <th>Deleted for good</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => {
+              const type = TRASH_TYPES[item.type] || { label: item.type, icon: '🗑️' };
+              const left = daysLeft(item.purgeAt);
+              return (
+                <tr key={item._id}>
+                  <td>
+                    <span className="trash-type">{type.icon} {type.label}</span>
+                    <strong>{item.label}</strong>
+                    {item.relatedCount > 0 && (
+                      <small> (with {item.relatedCount} related item{item.relatedCount === 1 ? '' : 's'})</small>
+                    )}
+                  </td>
+                  <td>{currencySymbol}{item.amount.toFixed(2)}</td>
+                  <td>{formatDay(item.deletedAt)}</td>
+                  <td className={left <= 3 ? 'trash-expiring' : undefined}>
+                    {formatDay(item.purgeAt)} ({left === 0 ? 'today' : `${left} day${left === 1 ? '' : 's'}`})
+                  </td>
+                  <td className="trash-actions">
+                    <button type="button" className="trash-btn" onClick={() => handleRestore(item)} disabled={busy}>
+                      <RotateCcw size={14} /> Restore
+                    </button>
+                    <button type="button" className="trash-btn danger" onClick={() => handlePurge(item)} disabled={busy}>
+                      Delete forever
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default TrashPage;
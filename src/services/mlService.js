@@ -1,16 +1,19 @@
 // services/mlService.js
-import axios from 'axios';
+import { createApiClient } from '../api/api';
+import { ML_SERVICE_URL, ML_REQUEST_TIMEOUT } from '../config/api';
 
 class MLService {
   constructor() {
-    this.ML_SERVICE_URL = process.env.ML_SERVICE_URL || 'http://localhost:5001';
-    this.client = axios.create({
-      baseURL: this.ML_SERVICE_URL,
-      timeout: 30000, // 30 seconds timeout
+    this.ML_SERVICE_URL = ML_SERVICE_URL;
+    this.client = createApiClient({
+      baseURL: ML_SERVICE_URL,
+      timeout: ML_REQUEST_TIMEOUT,
+      withAuth: false,
+      name: 'ML'
     });
   }
 
-  async trainCategoryModel(transactions) {
+  async trainCategoryModel(transactions, options = {}) {
     try {
       console.log('Training category model with', transactions.length, 'transactions');
       const response = await this.client.post('/train_category_model', {
@@ -20,7 +23,7 @@ class MLService {
           amount: t.amount,
           date: t.date
         }))
-      });
+      }, options);
       return response.data;
     } catch (error) {
       console.error('Error training category model:', error.message);
@@ -28,9 +31,9 @@ class MLService {
     }
   }
 
-  async predictCategory(title) {
+  async predictCategory(title, options = {}) {
     try {
-      const response = await this.client.post('/predict_category', { title });
+      const response = await this.client.post('/predict_category', { title }, options);
       return response.data;
     } catch (error) {
       console.error('Error predicting category:', error.message);
@@ -38,9 +41,9 @@ class MLService {
     }
   }
 
-  async detectAnomalies(transactions) {
+  async detectAnomalies(transactions, options = {}) {
     try {
-      const response = await this.client.post('/detect_anomalies', { transactions });
+      const response = await this.client.post('/detect_anomalies', { transactions }, options);
       return response.data;
     } catch (error) {
       console.error('Error detecting anomalies:', error.message);
@@ -48,9 +51,9 @@ class MLService {
     }
   }
 
-  async analyzeSpendingHabits(transactions) {
+  async analyzeSpendingHabits(transactions, options = {}) {
     try {
-      const response = await this.client.post('/analyze_spending_habits', { transactions });
+      const response = await this.client.post('/analyze_spending_habits', { transactions }, options);
       return response.data;
     } catch (error) {
       console.error('Error analyzing spending habits:', error.message);
@@ -58,12 +61,12 @@ class MLService {
     }
   }
 
-  async forecastExpenses(transactions, daysAhead = 30) {
+  async forecastExpenses(transactions, daysAhead = 30, options = {}) {
     try {
       const response = await this.client.post('/forecast_expenses', {
         transactions,
         days_ahead: daysAhead
-      });
+      }, options);
       return response.data;
     } catch (error) {
       console.error('Error forecasting expenses:', error.message);
@@ -71,12 +74,12 @@ class MLService {
     }
   }
 
-  async getRecommendations(transactions, budgetInfo = {}) {
+  async getRecommendations(transactions, budgetInfo = {}, options = {}) {
     try {
       const response = await this.client.post('/get_recommendations', {
         transactions,
         budget_info: budgetInfo
-      });
+      }, options);
       return response.data;
     } catch (error) {
       console.error('Error getting recommendations:', error.message);
@@ -84,9 +87,9 @@ class MLService {
     }
   }
 
-  async healthCheck() {
+  async healthCheck(options = {}) {
     try {
-      const response = await this.client.get('/health');
+      const response = await this.client.get('/health', options);
       return response.data;
     } catch (error) {
       return { status: 'unhealthy', error: error.message };
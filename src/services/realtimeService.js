@@ -0,0 +1,195 @@
+// services/realtimeService.js - Server-pushed ledger changes over the shared socket.io connection
+import socket from '../utils/socket';
+import { refreshSession } from '../api/api';
+import { queryClient, invalidateTransactionQueries, invalidateBudgetQueries, invalidateRecurringQueries, invalidateAccountQueries, invalidateSavedViewQueries, invalidateCategoryQueries } from '../api/queryClient';
+import { parseRecord } from '../api/schemas';
+import TokenManager from '../utils/tokenManager';
+
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+// Entities the server pushes; names match the response schemas
+export const REALTIME_ENTITIES = ['transaction', 'account', 'transfer', 'recurringRule', 'budget', 'debt', 'splitExpense', 'notification', 'savedView', 'categoryRule'];
+
+// Cached queries kept fresh here so pages built on them need no wiring of their own.
+// Every tab has its own socket, so these invalidations are not re-broadcast to other tabs.
+const CACHE_INVALIDATORS = {
+  transaction: () => invalidateTransactionQueries({ broadcast: false }),
+  account: () => invalidateAccountQueries({ broadcast: false }),
+  transfer: () => invalidateAccountQueries({ broadcast: false }),
+  recurringRule: () => invalidateRecurringQueries({ broadcast: false }),
+  budget: () => invalidateBudgetQueries({ broadcast: false }),
+  savedView: () => invalidateSavedViewQueries({ broadcast: false }),
+  categoryRule: () => invalidateCategoryQueries({ broadcast: false })
+};
+
+class RealtimeService {
+  constructor() {
+    this.handlers = new Map(REALTIME_ENTITIES.map(entity => [entity, new Set()]));
+    this.statusListeners = new Set();
+    this.started = false;
+    // Position in the server's event log; sent on reconnect so missed events are replayed
+    this.lastEventId = null;
+    this.epoch = null;
+    this.status = { connected: false, lastEventAt: null };
+
+    this.handleConnect = this.handleConnect.bind(this);
+    this.handleDisconnect = this.handleDisconnect.bind(this);
+    this.handleConnectError = this.handleConnectError.bind(this);
+    this.handleHello = this.handleHello.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleResync = this.handleResync.bind(this);
+    this.handleTokenRefreshed = this.handleTokenRefreshed.bind(this);
+    this.stop = this.stop.bind(this);
+  }
+
+  // ==============================
+  // LIFECYCLE
+  // ==============================
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    // Evaluated on every (re)connect so the latest token and replay position are sent
+    socket.auth = (callback) => callback({
+      token: TokenManager.getToken(),
+      lastEventId: this.lastEventId,
+      epoch: this.epoch
+    });
+
+    socket.on('connect', this.handleConnect);
+    socket.on('disconnect', this.handleDisconnect);
+    socket.on('connect_error', this.handleConnectError);
+    socket.on('hello', this.handleHello);
+    socket.on('change', this.handleChange);
+    socket.on('resync', this.handleResync);
+    window.addEventListener('authTokenRefreshed', this.handleTokenRefreshed);
+    window.addEventListener('authSessionExpired', this.stop);
+
+    socket.connect();
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    socket.off('connect', this.handleConnect);
+    socket.off('disconnect', this.handleDisconnect);
+    socket.off('connect_error', this.handleConnectError);
+    socket.off('hello', this.handleHello);
+    socket.off('change', this.handleChange);
+    socket.off('resync', this.handleResync);
+    window.removeEventListener('authTokenRefreshed', this.handleTokenRefreshed);
+    window.removeEventListener('authSessionExpired', this.stop);
+
+    socket.disconnect();
+    // The next session may belong to another user, so never replay across it
+    this.lastEventId = null;
+    this.epoch = null;
+    this.setStatus({ connected: false });
+  }
+
+  handleConnect() {
+    if (isDevelopment) console.log('🔌 Realtime connected');
+    this.setStatus({ connected: true });
+  }
+
+  handleDisconnect(reason) {
+    if (isDevelopment) console.log('🔌 Realtime disconnected:', reason);
+    this.setStatus({ connected: false });
+  }
+
+  // A rejected handshake usually means the token expired; refresh it and try again
+  async handleConnectError(error) {
+    if (error?.message !== 'unauthorized') return;
+
+    try {
+      await refreshSession();
+      if (this.started) socket.connect();
+    } catch (refreshError) {
+      console.warn('⚠️ Realtime: could not re-authenticate socket', refreshError.message);
+    }
+  }
+
+  // Re-handshake so the server sees the new token
+  handleTokenRefreshed() {
+    if (!socket.connected) return;
+    socket.disconnect();
+    socket.connect();
+  }
+
+  // ==============================
+  // EVENTS
+  // ==============================
+
+  handleHello({ epoch, lastEventId }) {
+    this.epoch = epoch;
+    // Fresh session: start from the server's current position
+    if (this.lastEventId === null) this.lastEventId = lastEventId;
+  }
+
+  handleChange(event) {
+    // Replays can overlap with live events around a reconnect
+    if (this.lastEventId !== null && event.id <= this.lastEventId) return;
+    this.lastEventId = event.id;
+    this.setStatus({ lastEventAt: event.at });
+
+    const handlers = this.handlers.get(event.entity);
+    if (!handlers) return;
+
+    const record = event.action === 'deleted'
+      ? event.record
+      : parseRecord(event.entity, event.record, { source: `socket ${event.entity}:${event.action}` });
+    if (!record) return;
+
+    if (isDevelopment) console.log(`📡 Realtime ${event.entity} ${event.action}`, record._id || record.id);
+
+    CACHE_INVALIDATORS[event.entity]?.();
+    handlers.forEach(handler => handler({ action: event.action, record, replayed: !!event.replayed }));
+  }
+
+  // Too much was missed (or the server restarted): every view reloads from scratch
+  handleResync({ epoch, lastEventId }) {
+    if (isDevelopment) console.log('📡 Realtime resync requested');
+    this.epoch = epoch;
+    this.lastEventId = lastEventId;
+    queryClient.invalidateQueries();
+    this.handlers.forEach(handlers => handlers.forEach(handler => handler({ action: 'resync', record: null })));
+  }
+
+  // ==============================
+  // SUBSCRIPTIONS
+  // ==============================
+
+  /**
+   * Listen for changes to one or more entities
+   * @param {string|Array<string>} entities - Entity names from REALTIME_ENTITIES
+   * @param {Function} handler - ({ action, record, replayed }) => void; action is 'created', 'updated', 'deleted' or 'resync'
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(entities, handler) {
+    const list = Array.isArray(entities) ? entities : [entities];
+    list.forEach(entity => {
+      if (!this.handlers.has(entity)) throw new Error(`Unknown realtime entity: ${entity}`);
+      this.handlers.get(entity).add(handler);
+    });
+    return () => list.forEach(entity => this.handlers.get(entity).delete(handler));
+  }
+
+  subscribeStatus(listener) {
+    this.statusListeners.add(listener);
+    listener(this.status);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  isConnected() {
+    return this.status.connected;
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    this.statusListeners.forEach(listener => listener(this.status));
+  }
+}
+
+export default new RealtimeService();
@@ -0,0 +1,504 @@
+// services/transactionSyncService.js - Replays offline transaction mutations when the backend is reachable
+import { apiRequest } from '../api/api';
+import { invalidateTransactionQueries } from '../api/queryClient';
+import TokenManager from '../utils/tokenManager';
+import { postCrossTab, onCrossTab } from '../utils/crossTabChannel';
+import {
+  OUTBOX_STATUS,
+  generateLocalId,
+  isLocalId,
+  getOutboxEntries,
+  putOutboxEntry,
+  removeOutboxEntry
+} from '../utils/offlineOutbox';
+
+// How often to retry while there is queued work but no confirmed connectivity
+const RETRY_INTERVAL = 30000;
+
+// Give up retrying an entry the server keeps rejecting
+const MAX_ATTEMPTS = 5;
+
+// The outbox is shared by every tab; this Web Lock keeps two tabs from replaying it at once
+const FLUSH_LOCK = 'transaction-outbox-flush';
+
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+class SyncConflictError extends Error {
+  constructor(message, serverVersion = null) {
+    super(message);
+    this.name = 'SyncConflictError';
+    this.serverVersion = serverVersion;
+  }
+}
+
+const toTime = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const extractTransaction = (data) => data?.transaction || data?.data || data;
+
+class TransactionSyncService {
+  constructor() {
+    this.listeners = new Set();
+    this.syncing = false;
+    this.started = false;
+    this.retryTimer = null;
+    this.status = {
+      online: typeof navigator === 'undefined' ? true : navigator.onLine,
+      syncing: false,
+      pending: 0,
+      conflicts: 0,
+      failed: 0,
+      lastSyncedAt: null
+    };
+
+    this.stopCrossTab = null;
+
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleOffline = this.handleOffline.bind(this);
+    this.handleCrossTab = this.handleCrossTab.bind(this);
+  }
+
+  // ==============================
+  // LIFECYCLE
+  // ==============================
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+    this.stopCrossTab = onCrossTab(this.handleCrossTab);
+    this.retryTimer = setInterval(() => {
+      if (this.status.pending > 0) this.flush();
+    }, RETRY_INTERVAL);
+
+    this.refreshStatus().then(() => this.flush());
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    this.stopCrossTab?.();
+    this.stopCrossTab = null;
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  async handleOnline() {
+    this.setStatus({ online: true });
+    await this.retryFailed();
+    this.flush();
+  }
+
+  handleOffline() {
+    this.setStatus({ online: false });
+  }
+
+  // Another tab queued, synced or resolved something in the shared outbox
+  async handleCrossTab({ type }) {
+    if (type !== 'outbox:changed') return;
+
+    await this.refreshStatus();
+    window.dispatchEvent(new CustomEvent('transactionUpdated', { detail: { action: 'remote' } }));
+  }
+
+  notifyOtherTabs() {
+    postCrossTab('outbox:changed');
+  }
+
+  // ==============================
+  // STATUS
+  // ==============================
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.status);
+    return () => this.listeners.delete(listener);
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    this.listeners.forEach(listener => listener(this.status));
+  }
+
+  async getEntries() {
+    const userId = TokenManager.getUserId();
+    const entries = await getOutboxEntries();
+    return entries.filter(entry => entry.userId === userId);
+  }
+
+  async refreshStatus() {
+    try {
+      const entries = await this.getEntries();
+      this.setStatus({
+        pending: entries.filter(e => e.status === OUTBOX_STATUS.PENDING || e.status === OUTBOX_STATUS.SYNCING).length,
+        conflicts: entries.filter(e => e.status === OUTBOX_STATUS.CONFLICT).length,
+        failed: entries.filter(e => e.status === OUTBOX_STATUS.FAILED).length
+      });
+    } catch (error) {
+      console.error('❌ Sync: Failed to read outbox:', error);
+    }
+  }
+
+  // A rejection may have come from the outage itself, so failed entries get a fresh round of
+  // attempts once the connection is back
+  async retryFailed() {
+    try {
+      const failed = (await this.getEntries()).filter(entry => entry.status === OUTBOX_STATUS.FAILED);
+      if (failed.length === 0) return;
+
+      await Promise.all(failed.map(entry => putOutboxEntry({ ...entry, status: OUTBOX_STATUS.PENDING, attempts: 0 })));
+      await this.refreshStatus();
+      this.notifyOtherTabs();
+    } catch (error) {
+      console.error('❌ Sync: Failed to requeue failed entries:', error);
+    }
+  }
+
+  // ==============================
+  // QUEUEING
+  // ==============================
+
+  /**
+   * Store a mutation in the outbox, folding it into earlier queued changes for the same record.
+   * Entries being replayed are left alone - the flush removes them once the server confirms, so
+   * a change folded into one would be lost - and the new change is queued after them instead.
+   * @param {'create'|'update'|'delete'} action - Mutation type
+   * @param {object} details - { transactionId, payload, baseUpdatedAt, idempotencyKey }
+   * @returns {Promise<object>} The stored (or folded) outbox entry
+   */
+  async queueMutation(action, { transactionId = null, payload = null, baseUpdatedAt = null, idempotencyKey = null } = {}) {
+    const entries = await this.getEntries();
+    const forRecord = entries.filter(entry => entry.transactionId === transactionId);
+    const related = forRecord.filter(entry => entry.status !== OUTBOX_STATUS.SYNCING);
+    const syncing = related.length < forRecord.length;
+    let result;
+
+    if (action === 'create') {
+      const localId = generateLocalId();
+      result = await putOutboxEntry({
+        ...this.buildEntry('create', localId, payload, null, localId),
+        // Replays of a create the server already saved are answered with that transaction
+        idempotencyKey: idempotencyKey || localId
+      });
+    } else if (action === 'update') {
+      const queued = related.find(entry => entry.action === 'create' || entry.action === 'update');
+      result = queued
+        ? await putOutboxEntry({ ...queued, payload: { ...queued.payload, ...payload }, status: OUTBOX_STATUS.PENDING })
+        : await putOutboxEntry(this.buildEntry('update', transactionId, payload, baseUpdatedAt));
+    } else if (action === 'delete') {
+      await Promise.all(related.map(entry => removeOutboxEntry(entry.id)));
+
+      // A record that never reached the server just disappears
+      result = isLocalId(transactionId) && !syncing
+        ? { action: 'delete', transactionId, discarded: true }
+        : await putOutboxEntry(this.buildEntry(
+          'delete',
+          transactionId,
+          null,
+          related.find(entry => entry.baseUpdatedAt)?.baseUpdatedAt || baseUpdatedAt
+        ));
+    } else {
+      throw new Error(`Unsupported offline action: ${action}`);
+    }
+
+    await this.refreshStatus();
+    this.notifyOtherTabs();
+    return result;
+  }
+
+  buildEntry(action, transactionId, payload, baseUpdatedAt, id = generateLocalId()) {
+    return {
+      id,
+      action,
+      transactionId,
+      payload,
+      baseUpdatedAt,
+      userId: TokenManager.getUserId(),
+      queuedAt: Date.now(),
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      serverVersion: null,
+      force: false
+    };
+  }
+
+  // ==============================
+  // SYNC
+  // ==============================
+
+  /**
+   * Replay queued mutations in order. Stops at the first network failure so order is preserved.
+   * Changes queued behind a conflicted or failed entry for the same record wait until it is
+   * retried or discarded. Skipped when another tab is already replaying the outbox.
+   * @returns {Promise<object>} Current sync status
+   */
+  async flush() {
+    if (this.syncing || !TokenManager.getToken()) return this.status;
+
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(FLUSH_LOCK, { ifAvailable: true }, (lock) => (lock ? this.flushEntries() : this.status));
+    }
+    return this.flushEntries();
+  }
+
+  async flushEntries() {
+    this.syncing = true;
+    this.setStatus({ syncing: true });
+    let synced = 0;
+    let attempted = 0;
+
+    try {
+      // Read afresh each time: entries are folded into, rebased, deleted and queued behind the
+      // one replaying while the flush runs
+      const seen = new Set();
+      const nextEntry = async () => (await this.getEntries()).find(entry => !seen.has(entry.id));
+      // Records whose earlier entry did not go through; their followers were written against it
+      const blocked = new Set();
+      const block = (entry) => blocked.add(entry.transactionId);
+
+      for (let queued = await nextEntry(); queued; queued = await nextEntry()) {
+        seen.add(queued.id);
+        if (blocked.has(queued.transactionId)) continue;
+        if (queued.status === OUTBOX_STATUS.CONFLICT || (queued.status === OUTBOX_STATUS.FAILED && queued.attempts >= MAX_ATTEMPTS)) {
+          block(queued);
+          continue;
+        }
+
+        const entry = { ...queued, status: OUTBOX_STATUS.SYNCING };
+        await putOutboxEntry(entry);
+        attempted += 1;
+
+        try {
+          const transaction = await this.applyEntry(entry);
+          await removeOutboxEntry(entry.id);
+          await this.rebaseFollowers(entry, transaction);
+          synced += 1;
+
+          window.dispatchEvent(new CustomEvent('transactionUpdated', {
+            detail: {
+              action: 'synced',
+              syncedAction: entry.action,
+              localId: entry.action === 'create' ? entry.transactionId : null,
+              transactionId: transaction?._id || transaction?.id || entry.transactionId,
+              transaction
+            }
+          }));
+        } catch (error) {
+          if (error instanceof SyncConflictError) {
+            await putOutboxEntry({
+              ...entry,
+              status: OUTBOX_STATUS.CONFLICT,
+              lastError: error.message,
+              serverVersion: error.serverVersion
+            });
+            block(entry);
+            continue;
+          }
+
+          if (error.isNetworkError || error.isAuthError) {
+            // Still unreachable (or waiting on a token refresh) - try again later
+            await putOutboxEntry({ ...queued, status: OUTBOX_STATUS.PENDING });
+            this.setStatus({ online: !error.isNetworkError });
+            break;
+          }
+
+          await putOutboxEntry({
+            ...entry,
+            status: OUTBOX_STATUS.FAILED,
+            attempts: entry.attempts + 1,
+            lastError: error.message
+          });
+          block(entry);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Sync: Flush failed:', error);
+    } finally {
+      this.syncing = false;
+      await this.refreshStatus();
+      this.setStatus({
+        syncing: false,
+        ...(synced > 0 && { online: true, lastSyncedAt: new Date().toISOString() })
+      });
+    }
+
+    if (synced > 0) {
+      invalidateTransactionQueries();
+    }
+    if (attempted > 0) {
+      this.notifyOtherTabs();
+    }
+
+    if (isDevelopment && synced > 0) {
+      console.log(`🔁 Sync: Replayed ${synced} offline change(s)`);
+    }
+
+    return this.status;
+  }
+
+  // Changes queued while an entry was replaying now apply to what it saved: a create's local id
+  // becomes the server id, and the version just written is the one they were made on
+  async rebaseFollowers(entry, transaction) {
+    const serverId = transaction?._id || transaction?.id;
+    if (!serverId) return;
+
+    const followers = (await this.getEntries()).filter(other => other.transactionId === entry.transactionId);
+    await Promise.all(followers.map(follower => putOutboxEntry({
+      ...follower,
+      transactionId: serverId,
+      baseUpdatedAt: transaction.updatedAt || follower.baseUpdatedAt
+    })));
+  }
+
+  // Compare the server copy with what the user saw before going offline
+  async checkForConflict(entry) {
+    if (entry.force) return;
+
+    let serverVersion;
+    try {
+      const response = await apiRequest('GET', `/transactions/${entry.transactionId}`);
+      serverVersion = extractTransaction(response.data);
+    } catch (error) {
+      if (error.type === 'not_found') {
+        if (entry.action === 'delete') return 'gone';
+        throw new SyncConflictError('This transaction was deleted on the server');
+      }
+      throw error;
+    }
+
+    const serverTime = toTime(serverVersion?.updatedAt);
+    const baseTime = toTime(entry.baseUpdatedAt) ?? entry.queuedAt;
+
+    if (serverTime !== null && serverTime > baseTime) {
+      throw new SyncConflictError('This transaction was changed on the server while you were offline', serverVersion);
+    }
+  }
+
+  async applyEntry(entry) {
+    try {
+      if (entry.action === 'create') {
+        const response = await apiRequest('POST', '/transactions', entry.payload, null, {
+          headers: { 'Idempotency-Key': entry.idempotencyKey || entry.transactionId }
+        });
+        return extractTransaction(response.data);
+      }
+
+      const check = await this.checkForConflict(entry);
+
+      if (entry.action === 'update') {
+        const response = await apiRequest('PUT', `/transactions/${entry.transactionId}`, entry.payload);
+        return extractTransaction(response.data);
+      }
+
+      if (check !== 'gone') {
+        await apiRequest('DELETE', `/transactions/${entry.transactionId}`);
+      }
+      return null;
+    } catch (error) {
+      if (error.type === 'conflict_error') {
+        throw new SyncConflictError(error.message, error.details?.transaction || null);
+      }
+      throw error;
+    }
+  }
+
+  // ==============================
+  // CONFLICT RESOLUTION
+  // ==============================
+
+  /**
+   * Resolve a conflicted or failed entry
+   * @param {string} entryId - Outbox entry id
+   * @param {'keep-local'|'discard'} strategy - Overwrite the server copy, or drop the local change
+   */
+  async resolveEntry(entryId, strategy) {
+    const entries = await this.getEntries();
+    const entry = entries.find(e => e.id === entryId);
+    if (!entry) return;
+
+    if (strategy === 'discard') {
+      await removeOutboxEntry(entryId);
+    } else if (strategy === 'keep-local') {
+      await putOutboxEntry({ ...entry, status: OUTBOX_STATUS.PENDING, force: true, attempts: 0, lastError: null });
+    } else {
+      throw new Error(`Unknown resolution strategy: ${strategy}`);
+    }
+
+    await this.refreshStatus();
+    this.notifyOtherTabs();
+    window.dispatchEvent(new CustomEvent('transactionUpdated', {
+      detail: { action: 'resolved', transactionId: entry.transactionId }
+    }));
+
+    if (strategy === 'keep-local') {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Overlay queued changes on a list of server transactions
+   * @param {Array} transactions - Transactions as returned by the API
+   * @returns {Promise<Array>} List including pending rows, each flagged with syncStatus
+   */
+  async mergePending(transactions = []) {
+    let entries;
+    try {
+      entries = await this.getEntries();
+    } catch (error) {
+      return transactions;
+    }
+
+    if (entries.length === 0) return transactions;
+
+    // A record can have a replaying entry and the change queued behind it; the latest sets the row
+    // state and queued updates apply in order. A conflicted or failed entry holds back the ones
+    // behind it, so it sets the row state instead and the row offers to retry or discard it
+    const isStuck = (entry) => entry.status === OUTBOX_STATUS.CONFLICT || entry.status === OUTBOX_STATUS.FAILED;
+    const byId = new Map(entries.map(entry => [entry.transactionId, entry]));
+    entries.filter(isStuck).reverse().forEach(entry => byId.set(entry.transactionId, entry));
+    const updatesOf = (id) => Object.assign({}, ...entries
+      .filter(entry => entry.transactionId === id && entry.action === 'update')
+      .map(entry => entry.payload));
+    const toRowState = (entry) => ({
+      syncStatus: entry.status === OUTBOX_STATUS.SYNCING ? OUTBOX_STATUS.PENDING : entry.status,
+      syncEntryId: entry.id,
+      syncError: entry.lastError,
+      pendingAction: entry.action
+    });
+
+    const merged = transactions.map(tx => {
+      const entry = byId.get(tx._id || tx.id);
+      if (!entry) return tx;
+      return { ...tx, ...updatesOf(entry.transactionId), ...toRowState(entry) };
+    });
+
+    const created = entries
+      .filter(entry => entry.action === 'create')
+      .map(entry => ({
+        ...entry.payload,
+        ...updatesOf(entry.transactionId),
+        _id: entry.transactionId,
+        id: entry.transactionId,
+        createdAt: new Date(entry.queuedAt).toISOString(),
+        ...toRowState(byId.get(entry.transactionId))
+      }));
+
+    return [...created, ...merged];
+  }
+}
+
+export { SyncConflictError };
+
+export default new TransactionSyncService();
@@ -0,0 +1,95 @@
+// utils/attachments.js - Receipt file checks, thumbnails and downloads
+
+// Mirrors the server's limits so a bad file is rejected before it is uploaded
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const ACCEPTED_ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'application/pdf'];
+export const ATTACHMENT_ACCEPT = `${ACCEPTED_ATTACHMENT_TYPES.join(',')},.pdf,.heic`;
+
+const THUMBNAIL_SIZE = 160;
+
+export const isImage = (mimeType) => String(mimeType || '').startsWith('image/');
+
+export const isPdf = (mimeType) => mimeType === 'application/pdf';
+
+/**
+ * Human-readable file size, e.g. "1.2 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Check a file before upload
+ * @param {File} file - Chosen file
+ * @returns {string|null} Error message
+ */
+export const validateAttachmentFile = (file) => {
+  if (!file) return 'Choose a file';
+  if (!ACCEPTED_ATTACHMENT_TYPES.includes(file.type)) return 'Receipts must be images (JPEG, PNG, WebP, GIF, HEIC) or PDFs';
+  if (file.size > MAX_ATTACHMENT_BYTES) return `Receipts can be at most ${formatFileSize(MAX_ATTACHMENT_BYTES)}`;
+  return null;
+};
+
+/**
+ * Small JPEG preview of an image, shown in the ledger without downloading the full file
+ * @param {File} file - Image file
+ * @returns {Promise<string|null>} Data URL, or null for PDFs and images the browser cannot draw (e.g. HEIC)
+ */
+export const createThumbnail = (file) => new Promise(resolve => {
+  if (!isImage(file?.type) || typeof document === 'undefined') {
+    resolve(null);
+    return;
+  }
+
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+
+  image.onload = () => {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/jpeg', 0.7));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    resolve(null);
+  };
+  image.src = url;
+});
+
+/**
+ * Save a downloaded Blob under a file name
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested name
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export default {
+  MAX_ATTACHMENT_BYTES,
+  ACCEPTED_ATTACHMENT_TYPES,
+  ATTACHMENT_ACCEPT,
+  isImage,
+  isPdf,
+  formatFileSize,
+  validateAttachmentFile,
+  createThumbnail,
+  saveBlob
+};
@@ -0,0 +1,92 @@
+// utils/categoryLines.js - Transactions split across several categories
+//
+// A split transaction carries `categoryLines` ([{ category, amount, note }]) that add up to its
+// amount; its own `category` is the largest line. Anything that totals by category should go
+// through these helpers so each line counts towards its own category.
+
+const toCents = (value) => Math.round((Number(value) || 0) * 100);
+
+export const isSplit = (tx) => Array.isArray(tx?.categoryLines) && tx.categoryLines.length > 0;
+
+/**
+ * How a transaction's amount divides between categories
+ * @param {object} tx - Transaction
+ * @returns {Array} [{ category, amount }]; a single line for an unsplit transaction
+ */
+export const categoryLinesOf = (tx) => (isSplit(tx)
+  ? tx.categoryLines
+  : [{ category: tx.category, amount: Number(tx.amount) || 0 }]);
+
+/**
+ * Part of a transaction attributed to one category
+ * @param {object} tx - Transaction
+ * @param {string} category - Category name (compared case-insensitively)
+ * @returns {number} 0 when none of it is
+ */
+export const amountInCategory = (tx, category) => {
+  const wanted = String(category || '').toLowerCase();
+  return categoryLinesOf(tx)
+    .filter(line => String(line.category || '').toLowerCase() === wanted)
+    .reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+};
+
+export const hasCategory = (tx, category) => amountInCategory(tx, category) > 0;
+
+/**
+ * One row per category line, for tables and exports that list amounts by category.
+ * Unsplit transactions come back unchanged; split ones become rows carrying the line's
+ * category and amount, with `lineIndex`/`lineCount` and a `rowKey` unique per line.
+ * @param {Array} transactions - Transactions
+ * @returns {Array} Rows
+ */
+export const expandCategoryLines = (transactions) => transactions.flatMap(tx => (isSplit(tx)
+  ? tx.categoryLines.map((line, index) => ({
+    ...tx,
+    category: line.category,
+    amount: Number(line.amount) || 0,
+    originalAmount: Number(line.originalAmount ?? line.amount) || 0,
+    lineIndex: index,
+    lineCount: tx.categoryLines.length,
+    transactionAmount: tx.amount,
+    rowKey: `${tx._id}:${index}`
+  }))
+  : [tx]));
+
+/**
+ * Check lines before saving; the server applies the same rules
+ * @param {Array} lines - [{ category, amount }]
+ * @param {number} amount - Transaction amount
+ * @returns {string|null} Error message
+ */
+export const validateCategoryLines = (lines, amount) => {
+  if (!lines || lines.length === 0) return null;
+  if (lines.length < 2) return 'A split needs at least two category lines';
+
+  const invalid = lines.findIndex(line => !String(line.category || '').trim() || !(Number(line.amount) > 0));
+  if (invalid !== -1) return `Category line ${invalid + 1} needs a category and a positive amount`;
+
+  const remaining = remainingForLines(lines, amount);
+  if (remaining !== 0) {
+    return `Category lines add up to ${(toCents(amount) / 100 - remaining).toFixed(2)} but the amount is ${Number(amount).toFixed(2)}`;
+  }
+  return null;
+};
+
+/**
+ * Amount not yet assigned to a line (negative when the lines add up to more than the total)
+ * @param {Array} lines - [{ amount }]
+ * @param {number} amount - Transaction amount
+ * @returns {number}
+ */
+export const remainingForLines = (lines, amount) =>
+  (toCents(amount) - lines.reduce((sum, line) => sum + toCents(line.amount), 0)) / 100;
+
+export default {
+  isSplit,
+  categoryLinesOf,
+  amountInCategory,
+  hasCategory,
+  expandCategoryLines,
+  validateCategoryLines,
+  remainingForLines
+};
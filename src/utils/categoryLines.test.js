@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isSplit,
+  categoryLinesOf,
+  amountInCategory,
+  hasCategory,
+  expandCategoryLines,
+  validateCategoryLines,
+  remainingForLines
+} from './categoryLines';
+
+const split = {
+  _id: 't1',
+  amount: 1000,
+  category: 'Food',
+  categoryLines: [
+    { category: 'Food', amount: 700 },
+    { category: 'Household', amount: 300, originalAmount: 3.6 }
+  ]
+};
+const plain = { _id: 't2', amount: 250, category: 'Transport' };
+
+describe('categoryLinesOf', () => {
+  it('gives unsplit transactions a single line', () => {
+    expect(isSplit(plain)).toBe(false);
+    expect(categoryLinesOf(plain)).toEqual([{ category: 'Transport', amount: 250 }]);
+  });
+
+  it('gives split transactions their own lines', () => {
+    expect(isSplit(split)).toBe(true);
+    expect(categoryLinesOf(split)).toBe(split.categoryLines);
+  });
+});
+
+describe('amountInCategory', () => {
+  it('counts only the lines in that category, in any case', () => {
+    expect(amountInCategory(split, 'household')).toBe(300);
+    expect(amountInCategory(split, 'Food')).toBe(700);
+    expect(amountInCategory(plain, 'Food')).toBe(0);
+  });
+
+  it('backs hasCategory', () => {
+    expect(hasCategory(split, 'Household')).toBe(true);
+    expect(hasCategory(split, 'Transport')).toBe(false);
+  });
+});
+
+describe('expandCategoryLines', () => {
+  it('gives each line of a split its own row', () => {
+    const rows = expandCategoryLines([split, plain]);
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toMatchObject({
+      category: 'Household',
+      amount: 300,
+      originalAmount: 3.6,
+      lineIndex: 1,
+      lineCount: 2,
+      transactionAmount: 1000,
+      rowKey: 't1:1'
+    });
+    expect(rows[2]).toBe(plain);
+  });
+});
+
+describe('validateCategoryLines', () => {
+  it('accepts no lines, and lines that add up', () => {
+    expect(validateCategoryLines([], 100)).toBeNull();
+    expect(validateCategoryLines([{ category: 'A', amount: '33.33' }, { category: 'B', amount: '66.67' }], 100)).toBeNull();
+  });
+
+  it('needs at least two complete lines', () => {
+    expect(validateCategoryLines([{ category: 'A', amount: 100 }], 100)).toMatch(/at least two/);
+    expect(validateCategoryLines([{ category: 'A', amount: 50 }, { category: '', amount: 50 }], 100)).toMatch(/line 2/);
+  });
+
+  it('reports lines that do not add up to the amount', () => {
+    expect(validateCategoryLines([{ category: 'A', amount: 50 }, { category: 'B', amount: 40 }], 100))
+      .toBe('Category lines add up to 90.00 but the amount is 100.00');
+  });
+});
+
+describe('remainingForLines', () => {
+  it('works in cents so float sums do not drift', () => {
+    expect(remainingForLines([{ amount: 0.1 }, { amount: 0.2 }], 0.3)).toBe(0);
+    expect(remainingForLines([{ amount: 80 }], 100)).toBe(20);
+    expect(remainingForLines([{ amount: 120 }], 100)).toBe(-20);
+  });
+});
@@ -0,0 +1,173 @@
+// utils/categoryRules.js - Auto-categorisation rules, evaluated locally
+//
+// A rule has conditions (words in the title, merchant names, an amount range, payment modes and
+// a type) that must all hold, and actions that set the category, add tags or pick the account.
+// Rules run in their order: the first one to set the category or account wins, tags add up. The
+// keywords on categories act as rules of their own after the user's, longest keyword winning,
+// the same way the server's category suggestion picks one. The server mirrors this in
+// mock-server/categoryRules.js to re-run rules over history.
+import { addTags, sameTag } from './tags';
+
+// A split keeps the categories of its lines; rules only ever add tags or pick an account for it
+const isSplit = (entry) => Array.isArray(entry.categoryLines) && entry.categoryLines.length > 0;
+
+const lower = (value) => String(value || '').toLowerCase();
+
+// Merchant names match whole words, so "ola" does not match "Coca Cola"
+const wordsOf = (value) => ` ${lower(value).replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const titleOf = (entry) => `${entry.title || ''} ${entry.description || ''}`;
+
+/**
+ * Whether a rule has anything to check
+ * @param {object} rule - Rule or draft
+ * @returns {boolean}
+ */
+export const hasConditions = (rule) => {
+  const conditions = rule.conditions || {};
+  return (conditions.title || []).length > 0 ||
+    (conditions.merchant || []).length > 0 ||
+    (conditions.minAmount ?? null) !== null ||
+    (conditions.maxAmount ?? null) !== null ||
+    (conditions.paymentModes || []).length > 0;
+};
+
+/**
+ * Whether an entry meets every condition of a rule. A rule without conditions matches nothing.
+ * @param {object} entry - Transaction or draft: { title, description, merchant, amount, type, paymentMode }
+ * @param {object} rule - { conditions: { title, merchant, minAmount, maxAmount, paymentModes, type } }
+ * @returns {boolean}
+ */
+export const matchesRule = (entry, rule) => {
+  const { title = [], merchant = [], minAmount = null, maxAmount = null, paymentModes = [], type = null } = rule.conditions || {};
+  if (!hasConditions(rule)) return false;
+
+  if (title.length > 0 && !title.some(word => lower(titleOf(entry)).includes(lower(word)))) return false;
+  if (merchant.length > 0) {
+    // Without a merchant of its own (manual entries), the title is the best guess at one
+    const words = wordsOf(entry.merchant || titleOf(entry));
+    if (!merchant.some(name => words.includes(wordsOf(name)))) return false;
+  }
+  const amount = Number(entry.amount);
+  if (minAmount !== null && !(amount >= minAmount)) return false;
+  if (maxAmount !== null && !(amount <= maxAmount)) return false;
+  if (paymentModes.length > 0 && !paymentModes.includes(entry.paymentMode)) return false;
+  if (type && entry.type !== type) return false;
+  return true;
+};
+
+// The category whose keyword is the longest one found in the title, among those of the entry's type
+const keywordCategory = (entry, categories) => {
+  const text = lower(titleOf(entry));
+  let best = null;
+  categories
+    .filter(category => !entry.type || !category.type || category.type === entry.type)
+    .forEach(category => (category.keywords || []).forEach(keyword => {
+      if (keyword && text.includes(lower(keyword)) && (!best || keyword.length > best.keyword.length)) {
+        best = { category, keyword };
+      }
+    }));
+  return best;
+};
+
+/**
+ * Run the rules over an entry
+ * @param {object} entry - Transaction or draft
+ * @param {Array} rules - The user's rules; disabled ones are skipped
+ * @param {Array} categories - The user's categories, whose keywords apply after the rules
+ * @returns {object} { category, tags, accountId, matched } where category and accountId are null
+ *   when nothing set them, and matched lists { _id, name } of the rules that applied (a keyword
+ *   match appears as { _id: null, name: 'keyword "…"' })
+ */
+export const evaluateRules = (entry, rules = [], categories = []) => {
+  const result = { category: null, tags: [], accountId: null, matched: [] };
+
+  [...rules]
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .forEach(rule => {
+      if (!matchesRule(entry, rule)) return;
+      const { category = null, tags = [], accountId = null } = rule.actions || {};
+      result.category = result.category || category || null;
+      result.accountId = result.accountId || accountId || null;
+      result.tags = addTags(result.tags, tags);
+      result.matched.push({ _id: rule._id, name: rule.name });
+    });
+
+  if (!result.category) {
+    const keyword = keywordCategory(entry, categories);
+    if (keyword) {
+      result.category = keyword.category.name;
+      result.matched.push({ _id: null, name: `keyword "${keyword.keyword}"` });
+    }
+  }
+  return result;
+};
+
+/**
+ * The changes a rule result makes to an existing entry
+ * @param {object} entry - Transaction
+ * @param {object} result - From evaluateRules
+ * @param {object} options - { overwrite }: replace a category or account already chosen; otherwise
+ *   only "Other" (or no category) and no account are filled in
+ * @returns {object} Fields to change; empty when the entry already has them
+ */
+export const ruleChanges = (entry, result, { overwrite = false } = {}) => {
+  const changes = {};
+  const uncategorised = !entry.category || entry.category === 'Other';
+  if (result.category && result.category !== entry.category && !isSplit(entry) && (overwrite || uncategorised)) {
+    changes.category = result.category;
+  }
+  const tags = addTags(entry.tags || [], result.tags);
+  if (tags.length !== (entry.tags || []).length) changes.tags = tags;
+  if (result.accountId && result.accountId !== entry.accountId && (overwrite || !entry.accountId)) {
+    changes.accountId = result.accountId;
+  }
+  return changes;
+};
+
+/**
+ * One-line summary of a rule, e.g. 'title has "swiggy" · at least 500 · card → Food, #delivery'
+ * @param {object} rule - Rule
+ * @param {Array} accounts - To name the account it picks
+ * @returns {string}
+ */
+export const describeRule = (rule, accounts = []) => {
+  const { title = [], merchant = [], minAmount = null, maxAmount = null, paymentModes = [], type = null } = rule.conditions || {};
+  const { category = null, tags = [], accountId = null } = rule.actions || {};
+  const quoted = (list) => list.map(item => `"${item}"`).join(' or ');
+
+  const when = [
+    type,
+    title.length > 0 && `title has ${quoted(title)}`,
+    merchant.length > 0 && `merchant is ${quoted(merchant)}`,
+    minAmount !== null && maxAmount !== null && `${minAmount}–${maxAmount}`,
+    minAmount !== null && maxAmount === null && `at least ${minAmount}`,
+    maxAmount !== null && minAmount === null && `at most ${maxAmount}`,
+    paymentModes.length > 0 && paymentModes.join('/')
+  ].filter(Boolean);
+  const then = [
+    category,
+    ...tags.map(tag => `#${tag}`),
+    accountId && `account ${accounts.find(account => account._id === accountId)?.name || 'not found'}`
+  ].filter(Boolean);
+
+  return `${when.join(' · ')} → ${then.join(', ')}`;
+};
+
+/**
+ * Whether a tag on a draft came from the rules, so it can be dropped when they stop matching
+ * @param {string} tag - Tag on the draft
+ * @param {Array<string>} ruleTags - Tags the rules added
+ * @returns {boolean}
+ */
+export const isRuleTag = (tag, ruleTags) => ruleTags.some(ruleTag => sameTag(ruleTag, tag));
+
+export default {
+  matchesRule,
+  hasConditions,
+  evaluateRules,
+  ruleChanges,
+  describeRule,
+  isRuleTag
+};
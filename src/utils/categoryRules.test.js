@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { hasConditions, matchesRule, evaluateRules, ruleChanges, describeRule, isRuleTag } from './categoryRules';
+
+const rule = (overrides) => ({
+  _id: overrides.name,
+  enabled: true,
+  order: 0,
+  ...overrides,
+  conditions: { title: [], merchant: [], minAmount: null, maxAmount: null, paymentModes: [], type: null, ...overrides.conditions },
+  actions: { category: null, tags: [], accountId: null, ...overrides.actions }
+});
+
+const delivery = rule({ name: 'Food delivery', order: 0, conditions: { title: ['swiggy', 'zomato'], type: 'expense' }, actions: { category: 'Food', tags: ['delivery'] } });
+const cabs = rule({ name: 'Cabs', order: 1, conditions: { merchant: ['uber', 'ola'], paymentModes: ['card'], type: 'expense' }, actions: { category: 'Transport', accountId: 'amex' } });
+const large = rule({ name: 'Large', order: 2, conditions: { minAmount: 5000 }, actions: { tags: ['big spend'] } });
+const categories = [
+  { name: 'Shopping', type: 'expense', keywords: ['amazon', 'amazon pay'] },
+  { name: 'Salary', type: 'income', keywords: ['amazon pay'] }
+];
+
+describe('matchesRule', () => {
+  it('needs at least one condition besides the type', () => {
+    expect(hasConditions(rule({ name: 'x', conditions: { type: 'expense' } }))).toBe(false);
+    expect(matchesRule({ title: 'anything', type: 'expense' }, rule({ name: 'x', conditions: { type: 'expense' } }))).toBe(false);
+  });
+
+  it('matches title words anywhere in the title or description', () => {
+    expect(matchesRule({ title: 'Dinner', description: 'via Swiggy', type: 'expense' }, delivery)).toBe(true);
+    expect(matchesRule({ title: 'Dinner', type: 'expense' }, delivery)).toBe(false);
+  });
+
+  it('matches merchants as whole words, from the title when there is no merchant', () => {
+    expect(matchesRule({ title: 'Ola ride', type: 'expense', paymentMode: 'card' }, cabs)).toBe(true);
+    expect(matchesRule({ title: 'Coca Cola', type: 'expense', paymentMode: 'card' }, cabs)).toBe(false);
+    expect(matchesRule({ title: 'Airport', merchant: 'UBER INDIA', type: 'expense', paymentMode: 'card' }, cabs)).toBe(true);
+  });
+
+  it('checks the amount range inclusively, the payment mode and the type', () => {
+    expect(matchesRule({ title: 'TV', amount: 5000 }, large)).toBe(true);
+    expect(matchesRule({ title: 'TV', amount: 4999 }, large)).toBe(false);
+    expect(matchesRule({ title: 'Ola', type: 'expense', paymentMode: 'upi' }, cabs)).toBe(false);
+    expect(matchesRule({ title: 'Swiggy refund', type: 'income' }, delivery)).toBe(false);
+  });
+});
+
+describe('evaluateRules', () => {
+  it('lets the first rule set the category and account, and adds up tags', () => {
+    const first = rule({ name: 'First', order: 0, conditions: { title: ['ola'], type: 'expense' }, actions: { category: 'Travel', tags: ['trip'] } });
+    const result = evaluateRules({ title: 'Ola to airport', amount: 6000, type: 'expense', paymentMode: 'card' }, [large, cabs, first], categories);
+    expect(result.category).toBe('Travel');
+    expect(result.accountId).toBe('amex');
+    expect(result.tags).toEqual(['trip', 'big spend']);
+    expect(result.matched.map(match => match.name)).toEqual(['First', 'Cabs', 'Large']);
+  });
+
+  it('skips disabled rules', () => {
+    expect(evaluateRules({ title: 'Swiggy', type: 'expense' }, [{ ...delivery, enabled: false }]).category).toBeNull();
+  });
+
+  it('falls back to the longest category keyword of the entry type', () => {
+    expect(evaluateRules({ title: 'Amazon Pay cashback', type: 'income' }, [], categories)).toMatchObject({
+      category: 'Salary',
+      matched: [{ _id: null, name: 'keyword "amazon pay"' }]
+    });
+    expect(evaluateRules({ title: 'amazon order', type: 'expense' }, [], categories).category).toBe('Shopping');
+  });
+
+  it('does not use keywords once a rule set the category', () => {
+    const result = evaluateRules({ title: 'Swiggy amazon', type: 'expense' }, [delivery], categories);
+    expect(result.category).toBe('Food');
+    expect(result.matched).toHaveLength(1);
+  });
+});
+
+describe('ruleChanges', () => {
+  const result = { category: 'Food', tags: ['delivery'], accountId: 'amex' };
+
+  it('only fills in what the entry does not have', () => {
+    expect(ruleChanges({ category: 'Other', tags: ['x'], accountId: null }, result))
+      .toEqual({ category: 'Food', tags: ['x', 'delivery'], accountId: 'amex' });
+    expect(ruleChanges({ category: 'Dining', tags: ['delivery'], accountId: 'hdfc' }, result)).toEqual({});
+  });
+
+  it('replaces earlier choices on overwrite', () => {
+    expect(ruleChanges({ category: 'Dining', tags: [], accountId: 'hdfc' }, result, { overwrite: true }))
+      .toEqual({ category: 'Food', tags: ['delivery'], accountId: 'amex' });
+  });
+
+  it('never recategorises a split', () => {
+    const entry = { category: 'Other', categoryLines: [{ category: 'Other', amount: 1 }], tags: ['delivery'], accountId: 'amex' };
+    expect(ruleChanges(entry, result, { overwrite: true })).toEqual({});
+  });
+});
+
+describe('describeRule', () => {
+  it('summarises conditions and actions', () => {
+    expect(describeRule(cabs, [{ _id: 'amex', name: 'Amex' }])).toBe('expense · merchant is "uber" or "ola" · card → Transport, account Amex');
+    expect(describeRule(large)).toBe('at least 5000 → #big spend');
+  });
+});
+
+describe('isRuleTag', () => {
+  it('compares tags the way they are stored', () => {
+    expect(isRuleTag('#Big  Spend', ['big spend'])).toBe(true);
+    expect(isRuleTag('trip', ['big spend'])).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+// utils/crossTabChannel.js - Messages between open tabs of the app
+// Uses BroadcastChannel where available and falls back to localStorage "storage" events.
+
+const CHANNEL_NAME = 'expense-tracker-sync';
+const STORAGE_KEY = 'crossTabMessage';
+
+// Identifies this tab so it can ignore echoes of its own messages
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const listeners = new Set();
+let channel = null;
+let connected = false;
+
+const deliver = (message) => {
+  if (!message || message.tabId === TAB_ID) return;
+  listeners.forEach(listener => {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error('❌ CrossTab: listener failed for', message.type, error);
+    }
+  });
+};
+
+const handleStorage = (event) => {
+  if (event.key !== STORAGE_KEY || !event.newValue) return;
+  try {
+    deliver(JSON.parse(event.newValue));
+  } catch (error) {
+    console.warn('⚠️ CrossTab: ignoring unreadable message', error);
+  }
+};
+
+const connect = () => {
+  if (connected || typeof window === 'undefined') return;
+  connected = true;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => deliver(event.data);
+  } else {
+    window.addEventListener('storage', handleStorage);
+  }
+};
+
+/**
+ * Send a message to every other open tab
+ * @param {string} type - e.g. 'auth:logout', 'data:invalidate'
+ * @param {object} payload - Must be structured-cloneable; never include tokens
+ */
+export const postCrossTab = (type, payload = {}) => {
+  connect();
+  const message = { type, payload, tabId: TAB_ID, sentAt: Date.now() };
+
+  try {
+    if (channel) {
+      channel.postMessage(message);
+    } else if (typeof localStorage !== 'undefined') {
+      // Setting then removing the key fires "storage" in other tabs without leaving anything behind
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('⚠️ CrossTab: failed to broadcast', type, error);
+  }
+};
+
+/**
+ * Listen for messages from other tabs
+ * @param {Function} listener - ({ type, payload, tabId, sentAt }) => void
+ * @returns {Function} Unsubscribe
+ */
+export const onCrossTab = (listener) => {
+  connect();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  postCrossTab,
+  onCrossTab
+};
@@ -0,0 +1,388 @@
+// utils/csvImport.js - Parse bank statement CSVs and turn mapped columns into transactions
+
+// Columns a statement can be mapped to; amount is the alternative to separate debit/credit columns
+export const MAPPING_COLUMNS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description', required: true },
+  { key: 'debit', label: 'Debit (money out)' },
+  { key: 'credit', label: 'Credit (money in)' },
+  { key: 'amount', label: 'Amount (signed)' },
+  { key: 'balance', label: 'Balance' }
+];
+
+// Order of day, month and year in the statement's dates; separators and month names are handled for all of them
+export const DATE_FORMATS = [
+  { value: 'DMY', label: 'DD/MM/YYYY' },
+  { value: 'MDY', label: 'MM/DD/YYYY' },
+  { value: 'YMD', label: 'YYYY-MM-DD' }
+];
+
+// For a single amount column: which sign means money coming in
+export const SIGN_CONVENTIONS = [
+  { value: 'credit-positive', label: 'Positive amounts are money in' },
+  { value: 'debit-positive', label: 'Positive amounts are money out' }
+];
+
+// Header names banks commonly use, checked in order when guessing a mapping
+const HEADER_HINTS = {
+  date: /(^|\s)(txn |transaction |value |posting |posted |tran )?date/i,
+  description: /description|narration|details|particulars|memo|payee|remarks|reference/i,
+  debit: /debit|withdrawal|paid out|money out|^dr\.?$/i,
+  credit: /credit|deposit|paid in|money in|^cr\.?$/i,
+  amount: /amount|^value$/i,
+  balance: /balance/i
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ==============================
+// CSV PARSING
+// ==============================
+
+// The delimiter that splits the first lines most consistently
+const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+  let best = ',';
+  let bestScore = 0;
+
+  [',', ';', '\t', '|'].forEach(delimiter => {
+    const counts = sample.map(line => line.split(delimiter).length - 1);
+    const common = counts.filter(count => count > 0 && count === Math.max(...counts)).length;
+    if (common > bestScore) {
+      best = delimiter;
+      bestScore = common;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, any line ending)
+ * @param {string} text - File contents
+ * @param {string} delimiter - Cell separator
+ * @returns {Array<Array<string>>} Rows; blank lines are dropped
+ */
+const splitRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Parse a statement CSV. Banks often put account details above the table, so the header is
+ * taken to be the first row with as many cells as most of the file's rows.
+ * @param {string} text - File contents
+ * @returns {object} { headers, rows, delimiter, skippedLines }
+ * @throws {Error} When no table can be found
+ */
+export const parseCsv = (text) => {
+  const clean = String(text || '').replace(/^﻿/, '');
+  const delimiter = detectDelimiter(clean);
+  const allRows = splitRows(clean, delimiter);
+
+  const widths = new Map();
+  allRows.forEach(cells => widths.set(cells.length, (widths.get(cells.length) || 0) + 1));
+  const [width] = [...widths.entries()]
+    .filter(([length]) => length >= 2)
+    .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [];
+  if (!width) throw new Error('This file does not look like a CSV table');
+
+  const headerIndex = allRows.findIndex(cells => cells.length === width);
+  const headers = allRows[headerIndex].map((header, index) => header || `Column ${index + 1}`);
+  // Trailing cells of short rows (e.g. an empty last column) are padded rather than dropped
+  const rows = allRows
+    .slice(headerIndex + 1)
+    .filter(cells => cells.length >= width - 1 && cells.length <= width)
+    .map(cells => cells.length < width ? [...cells, ''] : cells);
+
+  if (rows.length === 0) throw new Error('No rows found below the header');
+
+  return { headers, rows, delimiter, skippedLines: allRows.length - rows.length - 1 };
+};
+
+// ==============================
+// VALUES
+// ==============================
+
+/**
+ * Parse a statement amount: currency symbols, thousands separators, (negatives), and Dr/Cr suffixes
+ * @param {string} value - Cell text
+ * @returns {number|null} Signed amount, or null when the cell is empty or unreadable
+ */
+export const parseAmount = (value) => {
+  let text = String(value ?? '').trim();
+  if (!text || text === '-') return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  const suffix = /\s*(cr|dr)\.?$/i.exec(text);
+  if (suffix) {
+    if (suffix[1].toLowerCase() === 'dr') sign = -sign;
+    text = text.slice(0, suffix.index);
+  }
+
+  text = text.replace(/[^\d.,+-]/g, '');
+  if (text.startsWith('-')) sign = -sign;
+  text = text.replace(/[+-]/g, '');
+
+  // 1.234,56 style: dots group thousands and the comma is the decimal point
+  text = /^\d{1,3}(\.\d{3})*,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+
+  const number = Number(text);
+  return text && Number.isFinite(number) ? sign * number : null;
+};
+
+const toYear = (value) => {
+  const year = Number(value);
+  return value.length <= 2 ? 2000 + year : year;
+};
+
+const toMonth = (value) => {
+  const named = MONTHS.indexOf(String(value).slice(0, 3).toLowerCase());
+  return named >= 0 ? named + 1 : Number(value);
+};
+
+/**
+ * Parse a statement date in the given field order. Times after the date are ignored.
+ * @param {string} value - Cell text, e.g. "05/03/2025", "2025-03-05", "05-Mar-25"
+ * @param {string} format - DMY, MDY or YMD
+ * @returns {Date|null} Local noon on that day (so time zones never move it), or null
+ */
+export const parseDate = (value, format = 'DMY') => {
+  // Only a time is dropped, so month names with a T ("05-OCT-2025") stay whole
+  const text = String(value ?? '').trim().replace(/[\sT]\d{1,2}:.*$/, '');
+  const parts = text.split(/[/.\-]/);
+  if (parts.length !== 3) {
+    // "05 Mar 2025" splits on spaces instead
+    const spaced = text.split(/\s+/);
+    if (spaced.length < 3) return null;
+    parts.splice(0, parts.length, ...spaced.slice(0, 3));
+  }
+
+  const order = { DMY: [0, 1, 2], MDY: [1, 0, 2], YMD: [2, 1, 0] }[format];
+  if (!order) return null;
+  // Year-first dates always spell out the year; "05/03/25" is never 2005-03-25
+  if (format === 'YMD' && !/^\d{4}$/.test(parts[0])) return null;
+  const day = Number(parts[order[0]]);
+  const month = toMonth(parts[order[1]]);
+  const year = toYear(parts[order[2]].replace(/,$/, ''));
+
+  const date = new Date(year, month - 1, day, 12, 0, 0);
+  const valid = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  return valid ? date : null;
+};
+
+/**
+ * The date format that reads the most samples; ties go to the earlier format in `preference`,
+ * so ambiguous files (all days <= 12) are read day-first by default
+ * @param {Array<string>} samples - Date cells from the file
+ * @param {Array<string>} preference - Formats to try, most likely first
+ * @returns {string|null} DMY, MDY, YMD, or null when none fits
+ */
+export const detectDateFormat = (samples, preference = ['YMD', 'DMY', 'MDY']) => {
+  const values = samples.filter(Boolean).slice(0, 50);
+  let best = null;
+  let bestCount = 0;
+
+  preference.forEach(format => {
+    const count = values.filter(value => parseDate(value, format)).length;
+    if (count > bestCount) {
+      best = format;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+// ==============================
+// MAPPING
+// ==============================
+
+/**
+ * Guess which header holds each column
+ * @param {Array<string>} headers - Header row
+ * @returns {object} { date, description, debit, credit, amount, balance } header names (or '')
+ */
+export const guessMapping = (headers) => {
+  const used = new Set();
+  const columns = {};
+
+  Object.entries(HEADER_HINTS).forEach(([key, pattern]) => {
+    const match = headers.find(header => !used.has(header) && pattern.test(header));
+    columns[key] = match || '';
+    if (match) used.add(match);
+  });
+
+  // A single amount column only applies when there is no debit/credit pair
+  if (columns.debit || columns.credit) columns.amount = '';
+  return columns;
+};
+
+// Statements from the same bank share a header row, which is how a saved mapping is recognised
+export const headerSignature = (headers) => headers.map(header => header.trim().toLowerCase()).join('|');
+
+/**
+ * Find the saved bank mapping whose headers match this file
+ * @param {object} mappings - { [bank]: { headers, ... } }
+ * @param {Array<string>} headers - Header row of the file
+ * @returns {string|null} Bank name
+ */
+export const findSavedMapping = (mappings, headers) => {
+  const signature = headerSignature(headers);
+  return Object.keys(mappings || {}).find(bank => headerSignature(mappings[bank].headers || []) === signature) || null;
+};
+
+/**
+ * Check that a mapping has the columns needed to build transactions
+ * @returns {string|null} Error message
+ */
+export const validateMapping = ({ columns }) => {
+  if (!columns.date) return 'Choose the date column';
+  if (!columns.description) return 'Choose the description column';
+  if (!columns.amount && !columns.debit && !columns.credit) return 'Choose an amount column, or debit and/or credit columns';
+  return null;
+};
+
+/**
+ * Turn mapped rows into transaction drafts
+ * @param {object} table - { headers, rows } from parseCsv
+ * @param {object} mapping - { columns, dateFormat, signConvention }
+ * @returns {Array<object>} { rowNumber, date, description, amount, type, balance, error }
+ */
+export const buildTransactions = ({ headers, rows }, { columns, dateFormat, signConvention = 'credit-positive' }) => {
+  const indexOf = (key) => (columns[key] ? headers.indexOf(columns[key]) : -1);
+  const cellOf = (cells, key) => (indexOf(key) >= 0 ? cells[indexOf(key)] : '');
+
+  return rows.map((cells, index) => {
+    const draft = { rowNumber: index + 1, description: cellOf(cells, 'description'), balance: parseAmount(cellOf(cells, 'balance')) };
+    const date = parseDate(cellOf(cells, 'date'), dateFormat);
+
+    let signed = null;
+    if (columns.amount) {
+      const amount = parseAmount(cellOf(cells, 'amount'));
+      signed = amount === null ? null : (signConvention === 'debit-positive' ? -amount : amount);
+    } else {
+      const debit = parseAmount(cellOf(cells, 'debit'));
+      const credit = parseAmount(cellOf(cells, 'credit'));
+      if (debit || credit) signed = Math.abs(credit || 0) - Math.abs(debit || 0);
+    }
+
+    if (!date) return { ...draft, error: `Unreadable date "${cellOf(cells, 'date')}"` };
+    if (!signed) return { ...draft, date: date.toISOString(), error: 'No amount' };
+    if (!draft.description) draft.description = 'Imported transaction';
+
+    return {
+      ...draft,
+      date: date.toISOString(),
+      amount: Math.round(Math.abs(signed) * 100) / 100,
+      type: signed > 0 ? 'income' : 'expense',
+      error: null
+    };
+  });
+};
+
+/**
+ * Rows whose running balance does not follow from the previous row and its amount, which
+ * usually means the debit/credit columns or the sign convention are mapped the wrong way round.
+ * Works for statements listed oldest-first or newest-first.
+ * @param {Array<object>} drafts - From buildTransactions
+ * @returns {Array<number>} Row numbers that do not reconcile (empty when there is no balance column)
+ */
+export const findBalanceMismatches = (drafts) => {
+  const rows = drafts.filter(draft => !draft.error && draft.balance !== null);
+  if (rows.length < 2) return [];
+
+  const signed = (draft) => (draft.type === 'income' ? draft.amount : -draft.amount);
+  const close = (a, b) => Math.abs(a - b) < 0.01;
+
+  const oldestFirst = [];
+  const newestFirst = [];
+  for (let index = 1; index < rows.length; index += 1) {
+    const [previous, current] = [rows[index - 1], rows[index]];
+    if (!close(current.balance - previous.balance, signed(current))) oldestFirst.push(current.rowNumber);
+    if (!close(previous.balance - current.balance, signed(previous))) newestFirst.push(previous.rowNumber);
+  }
+
+  return oldestFirst.length <= newestFirst.length ? oldestFirst : newestFirst;
+};
+
+/**
+ * The payload createTransaction and bulkCreateTransactions expect for an imported row
+ * @param {object} draft - Row from buildTransactions or a statement parser, with the chosen category
+ *   and any tags and account the auto-categorisation rules gave it
+ * @param {string} source - Bank or file name, recorded in the notes
+ * @returns {object} Transaction payload
+ */
+export const toTransactionPayload = (draft, source) => {
+  const notes = [draft.memo, draft.account, `Imported from ${source}`].filter(Boolean).join(' · ');
+  return {
+    title: draft.description,
+    description: draft.description,
+    amount: draft.amount,
+    type: draft.type,
+    category: draft.category || 'Other',
+    paymentMode: draft.paymentMode || 'bank',
+    date: draft.date,
+    notes,
+    ...(draft.payee && { merchant: draft.payee }),
+    ...(draft.tags?.length > 0 && { tags: draft.tags }),
+    ...(draft.accountId && { accountId: draft.accountId }),
+    ...(draft.externalId && { externalId: draft.externalId })
+  };
+};
+
+export default {
+  MAPPING_COLUMNS,
+  DATE_FORMATS,
+  SIGN_CONVENTIONS,
+  parseCsv,
+  parseAmount,
+  parseDate,
+  detectDateFormat,
+  guessMapping,
+  headerSignature,
+  findSavedMapping,
+  validateMapping,
+  buildTransactions,
+  findBalanceMismatches,
+  toTransactionPayload
+};
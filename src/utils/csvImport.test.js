@@ -0,0 +1,226 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCsv,
+  parseAmount,
+  parseDate,
+  detectDateFormat,
+  guessMapping,
+  findSavedMapping,
+  validateMapping,
+  buildTransactions,
+  findBalanceMismatches,
+  toTransactionPayload
+} from './csvImport';
+
+const ymd = (date) => date && [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('parseCsv', () => {
+  it('skips account details above the header and keeps quoted delimiters', () => {
+    const text = [
+      'Account: 1234',
+      'Statement period: March',
+      'Date,Description,Amount',
+      '05/03/2025,"Swiggy, Bangalore",-250.00',
+      '06/03/2025,Salary,50000'
+    ].join('\r\n');
+
+    const table = parseCsv(text);
+    expect(table.headers).toEqual(['Date', 'Description', 'Amount']);
+    expect(table.rows).toEqual([
+      ['05/03/2025', 'Swiggy, Bangalore', '-250.00'],
+      ['06/03/2025', 'Salary', '50000']
+    ]);
+    expect(table.skippedLines).toBe(2);
+  });
+
+  it('detects semicolon delimiters', () => {
+    expect(parseCsv('Date;Description;Amount\n2025-03-05;Rent;-1000').delimiter).toBe(';');
+  });
+
+  it('rejects text without a table', () => {
+    expect(() => parseCsv('just one line')).toThrow();
+  });
+});
+
+describe('parseAmount', () => {
+  it.each([
+    ['1,234.50', 1234.5],
+    ['₹ 250', 250],
+    ['(120.00)', -120],
+    ['-45', -45],
+    ['500 Dr', -500],
+    ['500 Cr', 500],
+    ['1.234,56', 1234.56]
+  ])('reads %s', (value, expected) => {
+    expect(parseAmount(value)).toBe(expected);
+  });
+
+  it('returns null for empty or unreadable cells', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('-')).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+  });
+});
+
+describe('parseDate', () => {
+  it('reads each field order', () => {
+    expect(ymd(parseDate('05/03/2025', 'DMY'))).toEqual([2025, 3, 5]);
+    expect(ymd(parseDate('03/05/2025', 'MDY'))).toEqual([2025, 3, 5]);
+    expect(ymd(parseDate('2025-03-05', 'YMD'))).toEqual([2025, 3, 5]);
+  });
+
+  it('reads month names, two-digit years and spaced dates', () => {
+    expect(ymd(parseDate('05-Mar-25', 'DMY'))).toEqual([2025, 3, 5]);
+    expect(ymd(parseDate('05 Mar 2025', 'DMY'))).toEqual([2025, 3, 5]);
+  });
+
+  it('reads upper-case month names containing a T', () => {
+    expect(ymd(parseDate('05-OCT-2025', 'DMY'))).toEqual([2025, 10, 5]);
+    expect(ymd(parseDate('05-OCT-2025 14:20:00', 'DMY'))).toEqual([2025, 10, 5]);
+    expect(detectDateFormat(['05-OCT-2025', '21-OCT-2025'])).toBe('DMY');
+  });
+
+  it('ignores a time after the date', () => {
+    expect(ymd(parseDate('2025-03-05T10:30:00', 'YMD'))).toEqual([2025, 3, 5]);
+    expect(ymd(parseDate('05/03/2025 10:30', 'DMY'))).toEqual([2025, 3, 5]);
+  });
+
+  it('only reads year-first dates with a four-digit year', () => {
+    expect(parseDate('05/03/25', 'YMD')).toBeNull();
+    expect(detectDateFormat(['05/03/25', '06/03/25'])).toBe('DMY');
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseDate('31/02/2025', 'DMY')).toBeNull();
+    expect(parseDate('yesterday', 'DMY')).toBeNull();
+  });
+
+  it('returns local noon so time zones never move the day', () => {
+    expect(parseDate('05/03/2025', 'DMY').getHours()).toBe(12);
+  });
+});
+
+describe('detectDateFormat', () => {
+  it('picks the format that reads every sample', () => {
+    expect(detectDateFormat(['05/03/2025', '25/03/2025'])).toBe('DMY');
+    expect(detectDateFormat(['03/05/2025', '03/25/2025'])).toBe('MDY');
+    expect(detectDateFormat(['2025-03-05', '2025-03-25'])).toBe('YMD');
+  });
+
+  it('reads ambiguous files day-first by default', () => {
+    expect(detectDateFormat(['05/03/2025', '06/03/2025'])).toBe('DMY');
+  });
+
+  it('returns null when nothing fits', () => {
+    expect(detectDateFormat(['soon', ''])).toBeNull();
+  });
+});
+
+describe('mapping', () => {
+  it('guesses columns from common bank headers', () => {
+    expect(guessMapping(['Txn Date', 'Narration', 'Withdrawal Amt', 'Deposit Amt', 'Closing Balance'])).toEqual({
+      date: 'Txn Date',
+      description: 'Narration',
+      debit: 'Withdrawal Amt',
+      credit: 'Deposit Amt',
+      amount: '',
+      balance: 'Closing Balance'
+    });
+  });
+
+  it('recognises a saved mapping by its headers', () => {
+    const mappings = { HDFC: { headers: ['Date', 'Narration', 'Amount'] } };
+    expect(findSavedMapping(mappings, [' date', 'NARRATION', 'Amount'])).toBe('HDFC');
+    expect(findSavedMapping(mappings, ['Date', 'Amount'])).toBeNull();
+  });
+
+  it('requires a date, a description and some amount column', () => {
+    expect(validateMapping({ columns: { description: 'D', amount: 'A' } })).toMatch(/date/);
+    expect(validateMapping({ columns: { date: 'D', amount: 'A' } })).toMatch(/description/);
+    expect(validateMapping({ columns: { date: 'D', description: 'N' } })).toMatch(/amount/);
+    expect(validateMapping({ columns: { date: 'D', description: 'N', debit: 'Out' } })).toBeNull();
+  });
+});
+
+describe('buildTransactions', () => {
+  const table = {
+    headers: ['Date', 'Details', 'Out', 'In', 'Balance'],
+    rows: [
+      ['01/03/2025', 'Opening', '', '1000', '1000'],
+      ['02/03/2025', 'Swiggy', '250', '', '750'],
+      ['bad', 'Broken', '10', '', ''],
+      ['03/03/2025', '', '', '', '']
+    ]
+  };
+  const mapping = { columns: { date: 'Date', description: 'Details', debit: 'Out', credit: 'In', balance: 'Balance' }, dateFormat: 'DMY' };
+
+  it('turns debit and credit columns into typed amounts', () => {
+    const [income, expense] = buildTransactions(table, mapping);
+    expect(income).toMatchObject({ rowNumber: 1, description: 'Opening', amount: 1000, type: 'income', balance: 1000, error: null });
+    expect(expense).toMatchObject({ rowNumber: 2, amount: 250, type: 'expense' });
+  });
+
+  it('flags rows without a date or an amount', () => {
+    const drafts = buildTransactions(table, mapping);
+    expect(drafts[2].error).toMatch(/Unreadable date/);
+    expect(drafts[3].error).toBe('No amount');
+  });
+
+  it('follows the sign convention of a single amount column', () => {
+    const single = { headers: ['Date', 'Details', 'Amount'], rows: [['01/03/2025', 'Rent', '800']] };
+    const columns = { date: 'Date', description: 'Details', amount: 'Amount' };
+    expect(buildTransactions(single, { columns, dateFormat: 'DMY' })[0].type).toBe('income');
+    expect(buildTransactions(single, { columns, dateFormat: 'DMY', signConvention: 'debit-positive' })[0].type).toBe('expense');
+  });
+});
+
+describe('findBalanceMismatches', () => {
+  const draft = (rowNumber, type, amount, balance) => ({ rowNumber, type, amount, balance, error: null });
+
+  it('accepts statements in either order', () => {
+    const oldestFirst = [draft(1, 'income', 100, 100), draft(2, 'expense', 40, 60), draft(3, 'income', 10, 70)];
+    expect(findBalanceMismatches(oldestFirst)).toEqual([]);
+    expect(findBalanceMismatches([...oldestFirst].reverse())).toEqual([]);
+  });
+
+  it('points at rows whose balance does not follow', () => {
+    const rows = [draft(1, 'income', 100, 100), draft(2, 'income', 40, 60), draft(3, 'income', 10, 70)];
+    expect(findBalanceMismatches(rows)).toEqual([2]);
+  });
+});
+
+describe('toTransactionPayload', () => {
+  it('records the source in the notes and carries what the rules added', () => {
+    const payload = toTransactionPayload({
+      description: 'UBER TRIP',
+      amount: 430,
+      type: 'expense',
+      date: '2025-03-05T06:30:00.000Z',
+      memo: 'Card 1234',
+      payee: 'Uber',
+      tags: ['work'],
+      accountId: 'acc1',
+      externalId: 'FIT1'
+    }, 'HDFC');
+
+    expect(payload).toMatchObject({
+      title: 'UBER TRIP',
+      category: 'Other',
+      paymentMode: 'bank',
+      notes: 'Card 1234 · Imported from HDFC',
+      merchant: 'Uber',
+      tags: ['work'],
+      accountId: 'acc1',
+      externalId: 'FIT1'
+    });
+  });
+
+  it('leaves out fields the row does not have', () => {
+    const payload = toTransactionPayload({ description: 'Rent', amount: 800, type: 'expense', date: '2025-03-05', tags: [] }, 'file.csv');
+    expect(payload.notes).toBe('Imported from file.csv');
+    expect(payload).not.toHaveProperty('merchant');
+    expect(payload).not.toHaveProperty('tags');
+    expect(payload).not.toHaveProperty('accountId');
+    expect(payload).not.toHaveProperty('externalId');
+  });
+});
@@ -1,4 +1,7 @@
 // Centralized Currency Manager
+import { apiRequest } from '../api/api';
+import TokenManager from './tokenManager';
+
 class CurrencyManager {
   static currencySymbols = {
     'INR': '₹',
@@ -17,34 +20,17 @@ class CurrencyManager {
   static cachedCurrency = null;
   static cachedSymbol = null;
 
-  static async fetchFromDB() {
+  // Pass { signal } to cancel the request; an aborted fetch resolves to the defaults without caching them
+  static async fetchFromDB({ signal } = {}) {
     try {
-      const token = localStorage.getItem('token') || 
-                    localStorage.getItem('authToken') || 
-                    sessionStorage.getItem('token') || 
-                    sessionStorage.getItem('authToken');
-      
       console.log('💰 Fetching currency from DB...');
       
-      if (!token) {
+      if (!TokenManager.getToken()) {
         console.warn('⚠️ No auth token, using default INR');
         return { currency: 'INR', symbol: '₹' };
       }
 
-      const response = await fetch('http://localhost:4000/api/settings', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        console.error('❌ Settings fetch failed:', response.status);
-        return { currency: 'INR', symbol: '₹' };
-      }
-
-      const settings = await response.json();
+      const { data: settings } = await apiRequest('GET', '/settings', null, null, { signal });
       const currency = settings.currency || 'INR';
       const symbol = this.currencySymbols[currency] || '₹';
       
@@ -57,7 +43,7 @@ class CurrencyManager {
       return { currency, symbol };
       
     } catch (error) {
-      console.error('❌ Currency fetch error:', error);
+      if (!error.isAborted) console.error('❌ Currency fetch error:', error);
       return { currency: 'INR', symbol: '₹' };
     }
   }
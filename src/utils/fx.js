@@ -0,0 +1,74 @@
+// utils/fx.js - Transactions entered in a currency other than the user's base currency
+//
+// The server stores `amount` in the base currency, converted at the rate on the transaction's
+// date, and keeps what was entered in `currency` / `originalAmount`. Totals only ever sum
+// `amount`; these helpers are for showing what was entered and previewing a conversion.
+import CurrencyManager from './currencyManager';
+
+const dayOf = (date) => (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+  ? date
+  : new Date(date || Date.now()).toISOString().slice(0, 10));
+
+// Mirrors the server: each currency uses its latest rate on or before the day
+const perDollarOn = (table, currency, day) => {
+  if (currency === 'USD') return 1;
+  const having = table.filter(entry => entry.rates?.[currency] > 0);
+  if (having.length === 0) return null;
+  return ([...having].reverse().find(entry => entry.date <= day) || having[0]).rates[currency];
+};
+
+/**
+ * Rate for turning one unit of `from` into `to` on a day
+ * @param {Array} table - [{ date, rates }] sorted by date, as returned by /fx/rates
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {string|Date} date - Day of the conversion
+ * @returns {number|null} Null when either currency has no rate
+ */
+export const rateBetween = (table, from, to, date) => {
+  if (from === to) return 1;
+  const day = dayOf(date);
+  const fromRate = perDollarOn(table || [], from, day);
+  const toRate = perDollarOn(table || [], to, day);
+  return fromRate && toRate ? toRate / fromRate : null;
+};
+
+/**
+ * Whether a transaction was entered in another currency than the one its amount is stored in
+ * @param {object} tx - Transaction
+ * @returns {boolean}
+ */
+export const isForeign = (tx) => !!tx?.currency && !!tx.baseCurrency && tx.currency !== tx.baseCurrency;
+
+// What was entered, for older transactions that only have the base amount
+export const originalAmountOf = (tx) => tx.originalAmount ?? tx.amount;
+
+/**
+ * Split lines in the currency they were entered in, for editing
+ * @param {object} tx - Transaction
+ * @returns {Array} [{ category, amount, note }]
+ */
+export const originalLinesOf = (tx) => (tx.categoryLines || []).map(({ originalAmount, ...line }) => ({
+  ...line,
+  amount: originalAmount ?? line.amount
+}));
+
+/**
+ * Amount in a currency, e.g. "€240.00"
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string}
+ */
+export const formatInCurrency = (amount, currency) =>
+  `${CurrencyManager.getSymbol(currency)}${(Number(amount) || 0).toFixed(2)}`;
+
+/**
+ * What a foreign transaction was entered as, e.g. "€240.00 at 105.6985"
+ * @param {object} tx - Transaction
+ * @returns {string} Empty for transactions in the base currency
+ */
+export const describeOriginal = (tx) => {
+  if (!isForeign(tx)) return '';
+  const rate = Number(tx.fxRate);
+  return `${formatInCurrency(originalAmountOf(tx), tx.currency)}${rate ? ` at ${rate.toFixed(4)}` : ''}`;
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { rateBetween, isForeign, originalAmountOf, originalLinesOf, formatInCurrency, describeOriginal } from './fx';
+
+// Units of each currency per US dollar
+const TABLE = [
+  { date: '2025-01-01', rates: { INR: 80, EUR: 0.8 } },
+  { date: '2025-02-01', rates: { INR: 84 } },
+  { date: '2025-03-01', rates: { INR: 86, EUR: 0.9 } }
+];
+
+describe('rateBetween', () => {
+  it('converts through the dollar with the latest rate on or before the day', () => {
+    expect(rateBetween(TABLE, 'USD', 'INR', '2025-02-15')).toBe(84);
+    expect(rateBetween(TABLE, 'EUR', 'INR', '2025-02-15')).toBeCloseTo(84 / 0.8);
+    expect(rateBetween(TABLE, 'EUR', 'INR', new Date('2025-03-10T12:00:00Z'))).toBeCloseTo(86 / 0.9);
+  });
+
+  it('uses the earliest rate for days before the table starts', () => {
+    expect(rateBetween(TABLE, 'USD', 'INR', '2024-06-01')).toBe(80);
+  });
+
+  it('is 1 for the same currency and null for unknown ones', () => {
+    expect(rateBetween(null, 'GBP', 'GBP', '2025-01-01')).toBe(1);
+    expect(rateBetween(TABLE, 'GBP', 'INR', '2025-01-01')).toBeNull();
+  });
+});
+
+describe('foreign transactions', () => {
+  const foreign = {
+    amount: 21600,
+    currency: 'EUR',
+    baseCurrency: 'INR',
+    originalAmount: 240,
+    fxRate: 90,
+    categoryLines: [{ category: 'Travel', amount: 21600, originalAmount: 240 }]
+  };
+
+  it('knows what was entered', () => {
+    expect(isForeign(foreign)).toBe(true);
+    expect(isForeign({ amount: 10, currency: 'INR', baseCurrency: 'INR' })).toBe(false);
+    expect(originalAmountOf(foreign)).toBe(240);
+    expect(originalAmountOf({ amount: 10 })).toBe(10);
+    expect(originalLinesOf(foreign)).toEqual([{ category: 'Travel', amount: 240 }]);
+  });
+
+  it('describes the original amount and rate', () => {
+    expect(formatInCurrency(240, 'EUR')).toBe('€240.00');
+    expect(describeOriginal(foreign)).toBe('€240.00 at 90.0000');
+    expect(describeOriginal({ amount: 10 })).toBe('');
+  });
+});
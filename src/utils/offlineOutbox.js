@@ -0,0 +1,100 @@
+// utils/offlineOutbox.js - IndexedDB store for mutations made while the backend is unreachable
+const DB_NAME = 'expense-tracker-offline';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  CONFLICT: 'conflict',
+  FAILED: 'failed'
+};
+
+let dbPromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        store.createIndex('queuedAt', 'queuedAt');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  const tx = db.transaction(OUTBOX_STORE, mode);
+  const result = await callback(tx.objectStore(OUTBOX_STORE));
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  return result;
+};
+
+export const generateLocalId = () =>
+  `local-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith('local-');
+
+/**
+ * Get every queued mutation, oldest first
+ * @returns {Promise<Array>} Outbox entries
+ */
+export const getOutboxEntries = async () => {
+  const entries = await withStore('readonly', store => promisifyRequest(store.getAll()));
+  return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+export const getOutboxEntry = (id) =>
+  withStore('readonly', store => promisifyRequest(store.get(id)));
+
+export const putOutboxEntry = async (entry) => {
+  await withStore('readwrite', store => promisifyRequest(store.put(entry)));
+  return entry;
+};
+
+export const removeOutboxEntry = (id) =>
+  withStore('readwrite', store => promisifyRequest(store.delete(id)));
+
+export const clearOutbox = () =>
+  withStore('readwrite', store => promisifyRequest(store.clear()));
+
+export default {
+  OUTBOX_STATUS,
+  generateLocalId,
+  isLocalId,
+  getOutboxEntries,
+  getOutboxEntry,
+  putOutboxEntry,
+  removeOutboxEntry,
+  clearOutbox
+};
@@ -0,0 +1,251 @@
+// utils/quickAdd.js - One-line entries such as "lunch 250 yesterday upi" or "uber 430 on card split with Rahul"
+//
+// The parser only reads the text: it picks out the amount (and its currency), the day, the
+// payment mode, whether it is income, and who to split with, and whatever words are left become
+// the title. The category is suggested separately from that title (CategoryAPI.suggest).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAYMENT_WORDS = {
+  upi: 'upi', gpay: 'upi', phonepe: 'upi',
+  card: 'card', credit: 'card', debit: 'card', amex: 'card', visa: 'card',
+  cash: 'cash',
+  wallet: 'wallet', paytm: 'wallet',
+  bank: 'bank', neft: 'bank', imps: 'bank', netbanking: 'bank'
+};
+
+const INCOME_WORDS = ['received', 'earned', 'income'];
+
+// Dropped when they lead into something that was recognised: "on card", "for 250", "via upi"
+const LINKING_WORDS = ['on', 'via', 'by', 'using', 'with', 'for', 'at', 'paid', 'in', 'from'];
+
+const CURRENCY_SYMBOLS = { '₹': 'INR', $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_WORDS = { rs: 'INR', 'rs.': 'INR', inr: 'INR', rupees: 'INR', dollars: 'USD', euros: 'EUR' };
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Full names or their first three letters ("sept" too)
+const monthOf = (word) => MONTHS.findIndex(name => name === word || name.slice(0, 3) === word || (word === 'sept' && name === 'september'));
+
+// "sun" or "sat" could as well be part of the title, so short names need "on" or "last" before them
+const weekdayOf = (word, shortAllowed) => WEEKDAYS.findIndex(name => name === word || (shortAllowed && name.slice(0, 3) === word));
+
+const ordinalDay = (word) => {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word);
+  const day = match ? Number(match[1]) : 0;
+  return day >= 1 && day <= 31 ? { day, ordinal: !!match[2] } : null;
+};
+
+// Same time of day as now, so entries from one day still sort in the order they were added
+const onDay = (now, year, month, day) =>
+  new Date(year, month, day, now.getHours(), now.getMinutes(), now.getSeconds());
+
+const daysBefore = (now, days) => new Date(now.getTime() - days * DAY_MS);
+
+// A day and month without a year is the most recent one that is not in the future
+const pastDayOfMonth = (now, month, day) => {
+  const date = onDay(now, now.getFullYear(), month, day);
+  return date > now ? onDay(now, now.getFullYear() - 1, month, day) : date;
+};
+
+/**
+ * Recognise a date starting at tokens[i]
+ * @returns {object|null} { date, length } where length is how many tokens it used
+ */
+const readDate = (words, i, now) => {
+  const [a = '', b = '', c = ''] = words.slice(i, i + 3);
+
+  if (a === 'today') return { date: now, length: 1 };
+  if (a === 'yesterday') return { date: daysBefore(now, 1), length: 1 };
+  if (a === 'day' && b === 'before' && c === 'yesterday') return { date: daysBefore(now, 2), length: 3 };
+  if (/^\d{1,2}$/.test(a) && /^days?$/.test(b) && c === 'ago') return { date: daysBefore(now, Number(a)), length: 3 };
+  if (a === 'last' && b === 'week') return { date: daysBefore(now, 7), length: 2 };
+
+  // "monday" is the latest one up to today, "last monday" the one before today
+  const strict = a === 'last';
+  const weekday = weekdayOf(strict ? b : a, strict || words[i - 1] === 'on');
+  if (weekday !== -1) {
+    const back = (now.getDay() - weekday + 7) % 7 || (strict ? 7 : 0);
+    return { date: daysBefore(now, back), length: strict ? 2 : 1 };
+  }
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(a);
+  if (match) return { date: onDay(now, Number(match[1]), Number(match[2]) - 1, Number(match[3])), length: 1 };
+
+  // Day first, as the rest of the app formats dates: 12/10 or 12/10/2026
+  match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(a);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    const year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : null;
+    const month = Number(match[2]) - 1;
+    return { date: year ? onDay(now, year, month, Number(match[1])) : pastDayOfMonth(now, month, Number(match[1])), length: 1 };
+  }
+
+  // 12 oct / 12th october / oct 12
+  const dayFirst = ordinalDay(a);
+  if (dayFirst && monthOf(b) !== -1) return { date: pastDayOfMonth(now, monthOf(b), dayFirst.day), length: 2 };
+  const dayAfter = ordinalDay(b);
+  if (monthOf(a) !== -1 && dayAfter) return { date: pastDayOfMonth(now, monthOf(a), dayAfter.day), length: 2 };
+
+  // A bare "12th" is a day of this month (or last month when that is still ahead)
+  if (dayFirst?.ordinal) {
+    const date = onDay(now, now.getFullYear(), now.getMonth(), dayFirst.day);
+    return { date: date > now ? onDay(now, now.getFullYear(), now.getMonth() - 1, dayFirst.day) : date, length: 1 };
+  }
+  return null;
+};
+
+/**
+ * Recognise an amount in one token: 250, 1,250.50, ₹250, $20, rs.250, 1.2k, +5000
+ * @returns {object|null} { amount, currency, income } where a leading + marks income
+ */
+const readAmount = (raw) => {
+  const income = raw.startsWith('+');
+  let text = raw.toLowerCase().replace(/^\+/, '');
+  let currency = null;
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(mark => text.startsWith(mark) || text.endsWith(mark));
+  if (symbol) {
+    currency = CURRENCY_SYMBOLS[symbol];
+    text = text.replace(symbol, '');
+  } else if (/^rs\.?\d/.test(text)) {
+    currency = 'INR';
+    text = text.replace(/^rs\.?/, '');
+  }
+
+  const match = /^(\d+(?:\.\d{1,2})?)(k)?$/.exec(text);
+  if (!match) return null;
+  const amount = Number(match[1]) * (match[2] ? 1000 : 1);
+  return amount > 0 ? { amount: Math.round(amount * 100) / 100, currency, income } : null;
+};
+
+// Match typed names against friends: full names first, then first names
+const findFriend = (friends, words) => {
+  const wanted = words.join(' ');
+  return friends.find(friend => String(friend.name || '').toLowerCase() === wanted) ||
+    (words.length === 1 ? friends.find(friend => String(friend.name || '').toLowerCase().split(/\s+/)[0] === wanted) : null);
+};
+
+/**
+ * Parse a quick-add line
+ * @param {string} text - e.g. "uber 430 on card split with Rahul"
+ * @param {object} options - { friends, currencies, now }; friends are the user's friends ({ _id, name }),
+ *   currencies the codes an amount may be given in
+ * @returns {object} { title, amount, currency, date, type, paymentMode, splitWith, unknownPeople, problems };
+ *   currency, type and paymentMode are null when the text does not say
+ */
+export const parseQuickAdd = (text, { friends = [], currencies = [], now = new Date() } = {}) => {
+  // Thousands separators are dropped first so commas can separate names: "split with Rahul, Aman"
+  const tokens = String(text || '').replace(/(\d),(?=\d{2,3}\b)/g, '$1').match(/[^\s,&]+|[,&]/g) || [];
+  const words = tokens.map(token => token.toLowerCase());
+  const used = new Array(tokens.length).fill(false);
+  const take = (from, length = 1) => {
+    for (let k = from; k < from + length; k += 1) used[k] = true;
+  };
+  const currencyOf = (word) => {
+    if (!word || !/^[a-z.]+$/.test(word)) return null;
+    if (CURRENCY_WORDS[word]) return CURRENCY_WORDS[word];
+    return currencies.includes(word.toUpperCase()) ? word.toUpperCase() : null;
+  };
+
+  const result = {
+    title: '',
+    amount: null,
+    currency: null,
+    date: now,
+    type: null,
+    paymentMode: null,
+    splitWith: [],
+    unknownPeople: [],
+    problems: []
+  };
+
+  // Split participants run from "split (with|between)" to the next word that means something else
+  const splitAt = words.indexOf('split');
+  if (splitAt !== -1) {
+    take(splitAt);
+    let i = splitAt + 1;
+    if (['with', 'between', 'among'].includes(words[i])) take(i++);
+    const names = [];
+    let current = [];
+    for (; i < words.length; i += 1) {
+      const word = words[i];
+      if (word === ',' || word === '&' || word === 'and') {
+        take(i);
+        if (current.length) names.push(current);
+        current = [];
+        continue;
+      }
+      if (PAYMENT_WORDS[word] || LINKING_WORDS.includes(word) || readAmount(word) || readDate(words, i, now)) break;
+      if (word !== 'me') current.push(word);
+      take(i);
+    }
+    if (current.length) names.push(current);
+
+    names.forEach(name => {
+      // "Rahul Sharma" may be one friend, or "Rahul" and "Sharma" typed without a separator
+      const whole = findFriend(friends, name);
+      const parts = whole ? [whole] : name.map(part => findFriend(friends, [part]) || part);
+      parts.forEach(match => {
+        if (typeof match === 'string') result.unknownPeople.push(match);
+        else if (!result.splitWith.includes(match)) result.splitWith.push(match);
+      });
+    });
+  }
+
+  for (let i = 0; i < words.length; i += 1) {
+    if (used[i]) continue;
+    const date = readDate(words, i, now);
+    if (date) {
+      result.date = date.date;
+      take(i, date.length);
+      break;
+    }
+  }
+
+  words.forEach((word, i) => {
+    if (used[i]) return;
+    if (!result.paymentMode && PAYMENT_WORDS[word]) {
+      result.paymentMode = PAYMENT_WORDS[word];
+      take(i);
+    } else if (!result.type && INCOME_WORDS.includes(word)) {
+      result.type = 'income';
+      take(i);
+    }
+  });
+
+  for (let i = 0; i < words.length; i += 1) {
+    if (used[i]) continue;
+    const amount = readAmount(words[i]);
+    if (!amount) continue;
+    result.amount = amount.amount;
+    result.currency = amount.currency;
+    if (amount.income) result.type = 'income';
+    take(i);
+
+    // A currency code or word right before or after it: "20 usd", "eur 15"
+    const codeAt = [i + 1, i - 1].find(j => !used[j] && currencyOf(words[j]));
+    if (codeAt !== undefined) {
+      result.currency = currencyOf(words[codeAt]);
+      take(codeAt);
+    }
+    break;
+  }
+
+  // Linking words are dropped when what they led into was recognised
+  words.forEach((word, i) => {
+    if (!used[i] && LINKING_WORDS.includes(word) && used[i + 1]) take(i);
+  });
+
+  const title = tokens.filter((token, i) => !used[i] && token !== ',' && token !== '&').join(' ').trim();
+  result.title = title ? title.charAt(0).toUpperCase() + title.slice(1) : '';
+
+  if (result.amount === null) result.problems.push('Add an amount, e.g. "lunch 250"');
+  if (!result.title) result.problems.push('Add what it was for, e.g. "lunch 250"');
+  if (result.unknownPeople.length > 0) {
+    result.problems.push(`Not in your friends: ${result.unknownPeople.join(', ')}`);
+  }
+  return result;
+};
+
+export default parseQuickAdd;
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd } from './quickAdd';
+
+// Wednesday 15 October 2025, mid-morning
+const now = new Date(2025, 9, 15, 10, 30, 0);
+const friends = [
+  { _id: 'f1', name: 'Rahul Sharma' },
+  { _id: 'f2', name: 'Aman' }
+];
+
+const parse = (text, options = {}) => parseQuickAdd(text, { friends, currencies: ['USD', 'EUR', 'INR'], now, ...options });
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('parseQuickAdd', () => {
+  it('picks out the amount, day and payment mode and keeps the rest as the title', () => {
+    const result = parse('lunch 250 yesterday upi');
+    expect(result).toMatchObject({ title: 'Lunch', amount: 250, currency: null, type: null, paymentMode: 'upi', problems: [] });
+    expect(ymd(result.date)).toEqual([2025, 10, 14]);
+  });
+
+  it('drops linking words in front of what it recognised', () => {
+    expect(parse('coffee for 120 on card').title).toBe('Coffee');
+    expect(parse('coffee for 120 on card').paymentMode).toBe('card');
+  });
+
+  it('reads thousands separators, k and currencies', () => {
+    expect(parse('rent 1,250.50').amount).toBe(1250.5);
+    expect(parse('laptop 1.2k').amount).toBe(1200);
+    expect(parse('hotel $20')).toMatchObject({ amount: 20, currency: 'USD', title: 'Hotel' });
+    expect(parse('dinner 15 eur')).toMatchObject({ amount: 15, currency: 'EUR', title: 'Dinner' });
+  });
+
+  it('marks income from a leading + or an income word', () => {
+    expect(parse('salary +50000').type).toBe('income');
+    expect(parse('received 500 from Aman').type).toBe('income');
+  });
+
+  it('reads the dates people type', () => {
+    expect(ymd(parse('cab 200 2 days ago').date)).toEqual([2025, 10, 13]);
+    expect(ymd(parse('cab 200 on mon').date)).toEqual([2025, 10, 13]);
+    expect(ymd(parse('cab 200 last wednesday').date)).toEqual([2025, 10, 8]);
+    expect(ymd(parse('cab 200 12 oct').date)).toEqual([2025, 10, 12]);
+    expect(ymd(parse('cab 200 3/11').date)).toEqual([2024, 11, 3]);
+    expect(ymd(parse('cab 200 2025-01-31').date)).toEqual([2025, 1, 31]);
+  });
+
+  it('keeps the time of day so entries sort in the order they were added', () => {
+    const { date } = parse('tea 20 yesterday');
+    expect([date.getHours(), date.getMinutes()]).toEqual([10, 30]);
+  });
+
+  it('finds friends to split with by full or first name', () => {
+    const result = parse('uber 430 on card split with rahul, aman');
+    expect(result.splitWith.map(friend => friend._id)).toEqual(['f1', 'f2']);
+    expect(result).toMatchObject({ title: 'Uber', amount: 430, paymentMode: 'card', problems: [] });
+  });
+
+  it('reports people who are not friends and missing parts', () => {
+    expect(parse('pizza 600 split with Priya').problems).toEqual(['Not in your friends: priya']);
+    expect(parse('pizza').problems).toEqual(['Add an amount, e.g. "lunch 250"']);
+    expect(parse('250 upi').problems).toEqual(['Add what it was for, e.g. "lunch 250"']);
+  });
+});
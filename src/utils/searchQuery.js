@@ -0,0 +1,303 @@
+// utils/searchQuery.js - Search expressions for transactions
+//
+// `category:Food amount>500 mode:upi after:2025-01-01 "swiggy"` is parsed into the same filter
+// names the server's ledger queries take, so one expression can be sent to the API (Transactions)
+// or applied to transactions already loaded (Reports, Dashboard) with the same result.
+import { PAYMENT_MODES } from '../config/categoryConfig';
+import { hasCategory } from './categoryLines';
+import { cleanTag, hasTag } from './tags';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+export const SEARCH_FIELDS = [
+  { name: 'category', example: 'category:Food', description: 'Category, including any line of a split' },
+  { name: 'amount', example: 'amount>500', description: 'Amount; use :, >, >=, < or <=' },
+  { name: 'type', example: 'type:expense', description: 'income or expense' },
+  { name: 'mode', example: 'mode:upi', description: 'Payment mode' },
+  { name: 'account', example: 'account:"HDFC Savings"', description: 'Account name' },
+  { name: 'tag', example: 'tag:trip', description: 'Tag (also #trip); repeat to require several' },
+  { name: 'after', example: 'after:2025-01-01', description: 'On or after a date' },
+  { name: 'before', example: 'before:2025-01-31', description: 'On or before a date' },
+  { name: 'month', example: 'month:2025-03', description: 'Calendar month, or this / last' }
+];
+
+const FIELD_ALIASES = { cat: 'category', payment: 'mode', paymentmode: 'mode', from: 'after', to: 'before' };
+
+const TYPES = ['income', 'expense'];
+
+// Months named relative to today, so a saved search keeps meaning the current month
+const RELATIVE_MONTHS = { this: 0, last: -1 };
+
+const resolveMonth = (value) => {
+  const key = value.toLowerCase();
+  if (RELATIVE_MONTHS[key] === undefined) return MONTH_PATTERN.test(value) ? value : null;
+  const now = new Date();
+  const date = new Date(now.getFullYear(), now.getMonth() + RELATIVE_MONTHS[key], 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// field:value, field>value etc., a "quoted phrase", or a bare word
+const TOKEN_PATTERN = /([a-zA-Z]+)(>=|<=|:|=|>|<)("[^"]*"?|[^\s"]*)|"([^"]*)"?|(\S+)/g;
+
+const unquote = (value) => value.replace(/^"/, '').replace(/"$/, '');
+
+/**
+ * Split an expression into terms, keeping where each starts and ends so autocomplete can replace one
+ * @param {string} text - Search expression
+ * @returns {Array} [{ field, op, value, start, end }]; free text has no field
+ */
+export const tokenizeSearch = (text) => {
+  const tokens = [];
+  const source = String(text || '');
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    const [raw, field, op, value, phrase, word] = match;
+    const token = { start: match.index, end: match.index + raw.length };
+    if (field) tokens.push({ ...token, field: field.toLowerCase(), op, value: unquote(value) });
+    else tokens.push({ ...token, value: phrase !== undefined ? phrase : word, quoted: phrase !== undefined });
+  }
+  return tokens;
+};
+
+const setOnce = (filters, errors, key, value, label) => {
+  if (filters[key] !== undefined && filters[key] !== value) {
+    errors.push(`${label} can only be given once`);
+    return;
+  }
+  filters[key] = value;
+};
+
+const applyAmount = (filters, errors, op, raw) => {
+  const amount = Number(raw);
+  if (!Number.isFinite(amount) || amount < 0) {
+    errors.push(`"${raw}" is not an amount`);
+    return;
+  }
+  if (op === ':' || op === '=') {
+    setOnce(filters, errors, 'minAmount', amount, 'A minimum amount');
+    setOnce(filters, errors, 'maxAmount', amount, 'A maximum amount');
+  } else if (op === '>') setOnce(filters, errors, 'amountAbove', amount, 'amount>');
+  else if (op === '>=') setOnce(filters, errors, 'minAmount', amount, 'A minimum amount');
+  else if (op === '<') setOnce(filters, errors, 'amountBelow', amount, 'amount<');
+  else setOnce(filters, errors, 'maxAmount', amount, 'A maximum amount');
+};
+
+/**
+ * Parse a search expression into ledger filters
+ * @param {string} text - Search expression
+ * @param {object} context - { accounts } so account names can be turned into IDs
+ * @returns {object} { filters, errors, isEmpty }; filters use the server's query names
+ *   (category, type, paymentMode, accountId, tag, startDate, endDate, month, minAmount, maxAmount,
+ *   amountAbove, amountBelow) plus q, the free-text terms that must all appear
+ */
+export const parseSearchQuery = (text, { accounts = [] } = {}) => {
+  const filters = {};
+  const errors = [];
+  const tags = [];
+  const words = [];
+
+  tokenizeSearch(text).forEach(({ field, op, value, quoted }) => {
+    if (!field) {
+      if (!value) return;
+      if (!quoted && value.startsWith('#') && cleanTag(value)) tags.push(cleanTag(value));
+      else words.push(value);
+      return;
+    }
+
+    const name = FIELD_ALIASES[field] || field;
+    // A field still being typed ("category:") narrows nothing yet
+    if (!value.trim()) return;
+    if (!SEARCH_FIELDS.some(item => item.name === name)) {
+      errors.push(`Unknown field "${field}"`);
+      return;
+    }
+    if (name !== 'amount' && op !== ':' && op !== '=') {
+      errors.push(`${name} only supports ${name}:value`);
+      return;
+    }
+
+    switch (name) {
+      case 'category':
+        setOnce(filters, errors, 'category', value.trim(), 'category');
+        break;
+      case 'amount':
+        applyAmount(filters, errors, op, value);
+        break;
+      case 'type':
+        if (TYPES.includes(value.toLowerCase())) setOnce(filters, errors, 'type', value.toLowerCase(), 'type');
+        else errors.push('type is income or expense');
+        break;
+      case 'mode': {
+        const mode = PAYMENT_MODES.find(item => item.value === value.toLowerCase() || item.label.toLowerCase() === value.toLowerCase());
+        if (mode) setOnce(filters, errors, 'paymentMode', mode.value, 'mode');
+        else errors.push(`Unknown payment mode "${value}"`);
+        break;
+      }
+      case 'account': {
+        const account = accounts.find(item => item.name.toLowerCase() === value.trim().toLowerCase());
+        if (account) setOnce(filters, errors, 'accountId', account._id, 'account');
+        else errors.push(`No account named "${value}"`);
+        break;
+      }
+      case 'tag':
+        if (cleanTag(value)) tags.push(cleanTag(value));
+        break;
+      case 'after':
+      case 'before':
+        if (DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime())) {
+          setOnce(filters, errors, name === 'after' ? 'startDate' : 'endDate', value, name);
+        } else {
+          errors.push(`${name} takes a date like 2025-01-31`);
+        }
+        break;
+      case 'month': {
+        const month = resolveMonth(value);
+        if (month) setOnce(filters, errors, 'month', month, 'month');
+        else errors.push('month takes a month like 2025-03, this or last');
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  if (tags.length > 0) filters.tag = tags.join(',');
+  if (words.length > 0) filters.q = words;
+
+  return { filters, errors, isEmpty: Object.keys(filters).length === 0 };
+};
+
+/**
+ * Narrow ledger filters chosen elsewhere (dropdowns) by the ones from a search expression.
+ * Tags from both are all required; for single-valued filters the dropdown wins.
+ * @param {object} base - Filters such as { tag, accountId }
+ * @param {object} search - parseSearchQuery(...).filters
+ * @returns {object}
+ */
+export const combineFilters = (base = {}, search = {}) => {
+  const tag = [search.tag, base.tag].filter(Boolean).join(',');
+  return { ...search, ...base, ...(tag && { tag }) };
+};
+
+const dayOf = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a transaction passes the filters from parseSearchQuery, matching what the server returns
+ * @param {object} tx - Transaction
+ * @param {object} filters - parseSearchQuery(...).filters
+ * @returns {boolean}
+ */
+export const matchesSearch = (tx, filters = {}) => {
+  const amount = Number(tx.amount) || 0;
+  const day = dayOf(tx.date);
+  const words = [].concat(filters.q || []).map(word => word.toLowerCase());
+  const haystack = [tx.title, tx.description, tx.category, tx.notes, ...(tx.tags || [])]
+    .map(field => String(field || '').toLowerCase());
+
+  return (!filters.type || tx.type === filters.type) &&
+    (!filters.category || hasCategory(tx, filters.category)) &&
+    (!filters.paymentMode || tx.paymentMode === filters.paymentMode) &&
+    (!filters.accountId || tx.accountId === filters.accountId) &&
+    String(filters.tag || '').split(',').filter(Boolean).every(tag => hasTag(tx, tag)) &&
+    (!filters.month || day.slice(0, 7) === filters.month) &&
+    (!filters.startDate || day >= filters.startDate) &&
+    (!filters.endDate || day <= filters.endDate) &&
+    (filters.minAmount === undefined || amount >= filters.minAmount) &&
+    (filters.maxAmount === undefined || amount <= filters.maxAmount) &&
+    (filters.amountAbove === undefined || amount > filters.amountAbove) &&
+    (filters.amountBelow === undefined || amount < filters.amountBelow) &&
+    words.every(word => haystack.some(field => field.includes(word)));
+};
+
+/**
+ * matchesSearch for one row of expandCategoryLines: amount filters look at the whole transaction,
+ * and a category filter keeps only the lines in that category
+ * @param {object} row - Row from expandCategoryLines
+ * @param {object} filters - parseSearchQuery(...).filters
+ * @returns {boolean}
+ */
+export const matchesSearchRow = (row, filters = {}) =>
+  matchesSearch({ ...row, amount: row.transactionAmount ?? row.amount }, filters) &&
+  (!filters.category || String(row.category || '').toLowerCase() === filters.category.toLowerCase());
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Add field:value terms to an expression, e.g. to save dropdown filters along with the search text
+ * @param {string} text - Search expression
+ * @param {Array} terms - [[field, value]]; terms without a value are skipped
+ * @returns {string}
+ */
+export const withSearchTerms = (text, terms) => [
+  String(text || '').trim(),
+  ...terms.filter(([, value]) => value).map(([field, value]) => `${field}:${quoteIfNeeded(String(value))}`)
+].filter(Boolean).join(' ');
+
+/**
+ * Completions for the term under the caret: field names while one is being typed, then its values
+ * @param {string} text - Search expression
+ * @param {number} caret - Caret position
+ * @param {object} context - { categories, tags, accounts } as lists of names
+ * @returns {Array} [{ label, description, start, end, replacement }], at most 8
+ */
+export const searchSuggestions = (text, caret, { categories = [], tags = [], accounts = [] } = {}) => {
+  const source = String(text || '');
+  const token = tokenizeSearch(source).find(item => item.start < caret && caret <= item.end);
+  const start = token ? token.start : caret;
+  const end = token ? token.end : caret;
+
+  if (!token || (!token.field && !token.quoted)) {
+    const word = token ? token.value.toLowerCase() : '';
+    if (word.startsWith('#')) {
+      const prefix = word.slice(1);
+      return tags
+        .filter(tag => tag.toLowerCase().startsWith(prefix) && tag.toLowerCase() !== prefix)
+        .slice(0, 8)
+        .map(tag => ({ label: `#${tag}`, description: 'Tag', start, end, replacement: /\s/.test(tag) ? `tag:"${tag}" ` : `#${tag} ` }));
+    }
+    return SEARCH_FIELDS
+      .filter(field => field.name.startsWith(word))
+      .map(field => ({ label: `${field.name}:`, description: field.description, start, end, replacement: `${field.name}:` }));
+  }
+
+  if (!token.field) return [];
+  const name = FIELD_ALIASES[token.field] || token.field;
+  const values = {
+    category: categories,
+    type: TYPES,
+    mode: PAYMENT_MODES.map(mode => mode.value),
+    account: accounts,
+    tag: tags,
+    month: Object.keys(RELATIVE_MONTHS)
+  }[name];
+  if (!values) return [];
+
+  const prefix = token.value.toLowerCase();
+  return [...new Set(values)]
+    .filter(value => value.toLowerCase().startsWith(prefix) && value.toLowerCase() !== prefix)
+    .slice(0, 8)
+    .map(value => ({
+      label: value,
+      description: SEARCH_FIELDS.find(field => field.name === name)?.description,
+      start,
+      end,
+      replacement: `${token.field}${token.op}${quoteIfNeeded(value)} `
+    }));
+};
+
+/**
+ * Put a suggestion into the expression
+ * @param {string} text - Search expression
+ * @param {object} suggestion - From searchSuggestions
+ * @returns {object} { text, caret }
+ */
+export const applySuggestion = (text, suggestion) => {
+  const rest = text.slice(suggestion.end).replace(/^ /, '');
+  const next = text.slice(0, suggestion.start) + suggestion.replacement;
+  return { text: next + rest, caret: next.length };
+};
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeSearch,
+  parseSearchQuery,
+  combineFilters,
+  matchesSearch,
+  matchesSearchRow,
+  withSearchTerms,
+  searchSuggestions,
+  applySuggestion
+} from './searchQuery';
+import { expandCategoryLines } from './categoryLines';
+
+const accounts = [{ _id: 'acc1', name: 'HDFC Savings' }];
+
+describe('tokenizeSearch', () => {
+  it('keeps fields, phrases and words with their positions', () => {
+    expect(tokenizeSearch('amount>500 "swiggy one" tea')).toEqual([
+      { start: 0, end: 10, field: 'amount', op: '>', value: '500' },
+      { start: 11, end: 23, value: 'swiggy one', quoted: true },
+      { start: 24, end: 27, value: 'tea', quoted: false }
+    ]);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('turns an expression into the server filter names', () => {
+    const { filters, errors } = parseSearchQuery(
+      'category:Food amount>=500 mode:UPI account:"HDFC Savings" #trip tag:goa after:2025-01-01 before:2025-01-31 swiggy',
+      { accounts }
+    );
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({
+      category: 'Food',
+      minAmount: 500,
+      paymentMode: 'upi',
+      accountId: 'acc1',
+      tag: 'trip,goa',
+      startDate: '2025-01-01',
+      endDate: '2025-01-31',
+      q: ['swiggy']
+    });
+  });
+
+  it('reads amount:x as an exact amount and accepts aliases', () => {
+    expect(parseSearchQuery('amount:250 cat:Rent payment:cash').filters)
+      .toEqual({ minAmount: 250, maxAmount: 250, category: 'Rent', paymentMode: 'cash' });
+  });
+
+  it('ignores a field still being typed', () => {
+    expect(parseSearchQuery('category:').isEmpty).toBe(true);
+  });
+
+  it('explains what it could not use', () => {
+    expect(parseSearchQuery('colour:red type:gift amount>lots mode:cheque account:Nope after:yesterday', { accounts }).errors).toEqual([
+      'Unknown field "colour"',
+      'type is income or expense',
+      '"lots" is not an amount',
+      'Unknown payment mode "cheque"',
+      'No account named "Nope"',
+      'after takes a date like 2025-01-31'
+    ]);
+    expect(parseSearchQuery('type:income type:expense').errors).toEqual(['type can only be given once']);
+    expect(parseSearchQuery('category>Food').errors).toEqual(['category only supports category:value']);
+  });
+});
+
+describe('matchesSearch', () => {
+  const tx = {
+    title: 'Swiggy dinner',
+    amount: 700,
+    type: 'expense',
+    category: 'Food',
+    paymentMode: 'upi',
+    accountId: 'acc1',
+    tags: ['Trip'],
+    date: new Date(2025, 0, 15, 20, 0).toISOString()
+  };
+  const check = (text) => matchesSearch(tx, parseSearchQuery(text, { accounts }).filters);
+
+  it('applies every filter the server does', () => {
+    expect(check('category:food amount>500 mode:upi #trip month:2025-01 swiggy dinner')).toBe(true);
+    expect(check('amount<700')).toBe(false);
+    expect(check('amount<=700')).toBe(true);
+    expect(check('after:2025-01-16')).toBe(false);
+    expect(check('type:income')).toBe(false);
+    expect(check('#goa')).toBe(false);
+    expect(check('pizza')).toBe(false);
+  });
+
+  it('matches a category on any line of a split', () => {
+    const split = { ...tx, categoryLines: [{ category: 'Food', amount: 500 }, { category: 'Household', amount: 200 }] };
+    const filters = parseSearchQuery('category:Household').filters;
+    expect(matchesSearch(split, filters)).toBe(true);
+    expect(expandCategoryLines([split]).filter(row => matchesSearchRow(row, filters)).map(row => row.amount)).toEqual([200]);
+  });
+});
+
+describe('combineFilters', () => {
+  it('requires tags from both and lets dropdowns win otherwise', () => {
+    expect(combineFilters({ tag: 'goa', accountId: 'a' }, { tag: 'trip', accountId: 'b', type: 'expense' }))
+      .toEqual({ tag: 'trip,goa', accountId: 'a', type: 'expense' });
+  });
+});
+
+describe('withSearchTerms', () => {
+  it('appends terms with values, quoting spaces', () => {
+    expect(withSearchTerms(' swiggy ', [['account', 'HDFC Savings'], ['tag', '']])).toBe('swiggy account:"HDFC Savings"');
+  });
+});
+
+describe('searchSuggestions', () => {
+  it('suggests field names, then values for the field', () => {
+    expect(searchSuggestions('cat', 3).map(item => item.label)).toEqual(['category:']);
+    const [value] = searchSuggestions('category:fo', 11, { categories: ['Food', 'Fuel'] });
+    expect(value).toMatchObject({ label: 'Food', replacement: 'category:Food ' });
+    expect(applySuggestion('category:fo', value)).toEqual({ text: 'category:Food ', caret: 14 });
+  });
+
+  it('suggests tags after #', () => {
+    expect(searchSuggestions('#go', 3, { tags: ['goa trip', 'gym'] })).toEqual([
+      { label: '#goa trip', description: 'Tag', start: 0, end: 3, replacement: 'tag:"goa trip" ' }
+    ]);
+  });
+});
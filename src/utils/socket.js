@@ -1,12 +1,15 @@
 // client/src/utils/socket.js
 import { io } from 'socket.io-client';
+import { SERVER_URL } from '../config/api';
 
-const socket = io('http://localhost:4000', {
+// Connected on demand by services/realtimeService.js, which also supplies the handshake auth
+const socket = io(SERVER_URL, {
+  autoConnect: false,
   transports: ['websocket'],
   withCredentials: true,
   reconnection: true,
-  reconnectionAttempts: 5,
   reconnectionDelay: 2000,
+  reconnectionDelayMax: 30000,
 });
 
 export default socket;
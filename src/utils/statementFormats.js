@@ -0,0 +1,253 @@
+// utils/statementFormats.js - OFX/QFX and QIF statement parsers
+// Rows come out in the same draft shape as csvImport's buildTransactions, plus the fields
+// these formats carry that CSVs do not (payee, memo, account, paymentMode, category hint).
+
+import { parseAmount, parseDate, detectDateFormat } from './csvImport';
+
+export const STATEMENT_FORMATS = ['csv', 'ofx', 'qif'];
+
+// OFX transaction types that say how the money moved
+const OFX_PAYMENT_MODES = {
+  ATM: 'cash',
+  CASH: 'cash',
+  POS: 'card',
+  CHECK: 'bank',
+  XFER: 'bank',
+  DIRECTDEP: 'bank',
+  DIRECTDEBIT: 'bank',
+  PAYMENT: 'bank',
+  REPEATPMT: 'bank',
+  DEP: 'bank'
+};
+
+// QIF section headers that hold transactions, and the payment mode their account implies
+const QIF_ACCOUNT_TYPES = {
+  bank: 'bank',
+  cash: 'cash',
+  ccard: 'card',
+  'oth a': 'other',
+  'oth l': 'other'
+};
+
+/**
+ * Which parser a file needs, from its extension and then its contents
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @returns {string} csv, ofx or qif
+ */
+export const detectStatementFormat = (fileName, text) => {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+
+  const head = String(text || '').slice(0, 1000);
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (/^\s*!(Type|Account|Option)/im.test(head)) return 'qif';
+  return 'csv';
+};
+
+// UPI shows up in Indian bank memos whatever the transaction type says
+const refinePaymentMode = (mode, text) => (/\bupi\b/i.test(text) ? 'upi' : mode);
+
+const finishRow = (row) => {
+  const description = row.payee || row.memo || 'Imported transaction';
+  const base = {
+    rowNumber: row.rowNumber,
+    description,
+    payee: row.payee || '',
+    memo: row.memo && row.memo !== row.payee ? row.memo : '',
+    account: row.account || '',
+    externalId: row.externalId || null,
+    categoryHint: row.categoryHint || '',
+    paymentMode: refinePaymentMode(row.paymentMode, `${row.payee} ${row.memo}`),
+    balance: null
+  };
+
+  if (!row.date) return { ...base, error: `Unreadable date "${row.rawDate || ''}"` };
+  if (!row.amount) return { ...base, date: row.date.toISOString(), error: 'No amount' };
+
+  return {
+    ...base,
+    date: row.date.toISOString(),
+    amount: Math.round(Math.abs(row.amount) * 100) / 100,
+    type: row.amount > 0 ? 'income' : 'expense',
+    error: null
+  };
+};
+
+// ==============================
+// OFX / QFX
+// ==============================
+
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// OFX 1.x is SGML and leaves leaf elements unclosed, so a value runs to the next tag or line end
+const ofxValue = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+const ofxBlocks = (text, tag) => {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  return [...text.matchAll(pattern)].map(match => match[1]);
+};
+
+// 20250305120000.000[-5:EST] -> local noon on that calendar day
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? parseDate(`${match[1]}-${match[2]}-${match[3]}`, 'YMD') : null;
+};
+
+/**
+ * Parse an OFX or QFX download (bank and credit card statements, OFX 1.x SGML or 2.x XML)
+ * @param {string} text - File contents
+ * @returns {object} { format, accounts, rows }
+ * @throws {Error} When the file holds no statement
+ */
+export const parseOfx = (text) => {
+  const statements = [
+    ...ofxBlocks(text, 'STMTRS').map(block => ({ block, cardAccount: false })),
+    ...ofxBlocks(text, 'CCSTMTRS').map(block => ({ block, cardAccount: true }))
+  ];
+  if (statements.length === 0) throw new Error('No bank or credit card statement found in this OFX file');
+
+  const accounts = [];
+  const rows = [];
+
+  statements.forEach(({ block, cardAccount }) => {
+    const accountId = ofxValue(block, 'ACCTID');
+    const account = accountId ? `${cardAccount ? 'Card' : 'Account'} ••${accountId.slice(-4)}` : '';
+    if (account) accounts.push(account);
+
+    ofxBlocks(block, 'STMTTRN').forEach(transaction => {
+      const type = ofxValue(transaction, 'TRNTYPE').toUpperCase();
+      const rawDate = ofxValue(transaction, 'DTPOSTED');
+      rows.push(finishRow({
+        rowNumber: rows.length + 1,
+        rawDate,
+        date: parseOfxDate(rawDate),
+        amount: parseAmount(ofxValue(transaction, 'TRNAMT')),
+        payee: ofxValue(transaction, 'NAME') || ofxValue(transaction, 'PAYEE'),
+        memo: ofxValue(transaction, 'MEMO'),
+        account,
+        externalId: ofxValue(transaction, 'FITID') || null,
+        paymentMode: cardAccount ? 'card' : OFX_PAYMENT_MODES[type] || 'bank'
+      }));
+    });
+  });
+
+  if (rows.length === 0) throw new Error('The OFX statement has no transactions');
+  return { format: 'ofx', accounts, rows };
+};
+
+// ==============================
+// QIF
+// ==============================
+
+// Quicken writes 3/ 5'25 for 3/5/2025: the apostrophe marks a year from 2000 on
+const normalizeQifDate = (value) => value.replace(/\s+/g, '').replace(/'(\d{2})$/, '/20$1').replace("'", '/');
+
+/**
+ * Parse a QIF export. Dates carry no format marker; day-first or month-first is decided from
+ * the whole file, preferring month-first (Quicken's default) when every date reads both ways.
+ * @param {string} text - File contents
+ * @returns {object} { format, accounts, rows }
+ * @throws {Error} When the file has no transaction records
+ */
+export const parseQif = (text) => {
+  const records = [];
+  let section = null;
+  let account = '';
+  let accountName = '';
+  let record = {};
+
+  String(text || '').replace(/^﻿/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trimEnd();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const header = line.slice(1).toLowerCase();
+      if (header === 'account') section = 'account';
+      else if (header.startsWith('type:')) {
+        const kind = header.slice(5).trim();
+        section = QIF_ACCOUNT_TYPES[kind] ? kind : null;
+        account = accountName;
+      } else section = null;
+      record = {};
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      if (section && section !== 'account' && Object.keys(record).length > 0) {
+        records.push({ ...record, account, paymentMode: QIF_ACCOUNT_TYPES[section] });
+      }
+      record = {};
+      return;
+    }
+
+    if (section === 'account') {
+      if (code === 'N') accountName = value;
+      return;
+    }
+    if (!section) return;
+
+    // Split lines (S/E/$) belong to the parent transaction and are not imported separately
+    if (code === 'D') record.rawDate = value;
+    else if (code === 'T' || (code === 'U' && record.amount === undefined)) record.amount = value;
+    else if (code === 'P') record.payee = value;
+    else if (code === 'M') record.memo = value;
+    else if (code === 'L') record.category = value;
+    else if (code === 'N') record.number = value;
+  });
+
+  if (records.length === 0) throw new Error('No transactions found in this QIF file');
+
+  const dates = records.map(item => normalizeQifDate(item.rawDate || ''));
+  const dateFormat = detectDateFormat(dates, ['MDY', 'DMY', 'YMD']) || 'MDY';
+
+  const rows = records.map((item, index) => {
+    // "[Savings]" means a transfer to another account, not a category
+    const categoryHint = item.category && !item.category.startsWith('[') ? item.category.split(':')[0] : '';
+    return finishRow({
+      rowNumber: index + 1,
+      rawDate: item.rawDate,
+      date: parseDate(dates[index], dateFormat),
+      amount: parseAmount(item.amount),
+      payee: item.payee,
+      memo: item.memo,
+      account: item.account,
+      categoryHint,
+      paymentMode: /^atm$/i.test(item.number || '') ? 'cash' : item.paymentMode
+    });
+  });
+
+  return { format: 'qif', accounts: [...new Set(records.map(item => item.account).filter(Boolean))], rows };
+};
+
+/**
+ * Parse an OFX/QFX or QIF statement
+ * @param {string} format - ofx or qif (from detectStatementFormat)
+ * @param {string} text - File contents
+ * @returns {object} { format, accounts, rows }
+ */
+export const parseStatement = (format, text) => {
+  if (format === 'ofx') return parseOfx(text);
+  if (format === 'qif') return parseQif(text);
+  throw new Error(`Unsupported statement format: ${format}`);
+};
+
+export default {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  parseOfx,
+  parseQif,
+  parseStatement
+};
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { detectStatementFormat, parseOfx, parseQif, parseStatement } from './statementFormats';
+
+const ymd = (iso) => {
+  const date = new Date(iso);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+};
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKACCTFROM><ACCTID>000123456789</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>POS
+<DTPOSTED>20250305120000.000[-5:EST]
+<TRNAMT>-250.00
+<FITID>FIT-1
+<NAME>SWIGGY &amp; CO
+<MEMO>UPI/123/swiggy
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DIRECTDEP
+<DTPOSTED>20250301
+<TRNAMT>50000
+<FITID>FIT-2
+<NAME>ACME PAYROLL
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+describe('detectStatementFormat', () => {
+  it('goes by the extension first', () => {
+    expect(detectStatementFormat('march.QFX', '')).toBe('ofx');
+    expect(detectStatementFormat('march.qif', '')).toBe('qif');
+  });
+
+  it('falls back to the contents', () => {
+    expect(detectStatementFormat('download', OFX)).toBe('ofx');
+    expect(detectStatementFormat('download', '!Type:Bank\nD3/5/2025\n^')).toBe('qif');
+    expect(detectStatementFormat('download.txt', 'Date,Amount\n')).toBe('csv');
+  });
+});
+
+describe('parseOfx', () => {
+  it('reads transactions with their bank ids, payees and payment modes', () => {
+    const { accounts, rows } = parseOfx(OFX);
+    expect(accounts).toEqual(['Account ••6789']);
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      description: 'SWIGGY & CO',
+      payee: 'SWIGGY & CO',
+      amount: 250,
+      type: 'expense',
+      externalId: 'FIT-1',
+      paymentMode: 'upi',
+      error: null
+    });
+    expect(ymd(rows[0].date)).toEqual([2025, 3, 5]);
+    expect(rows[1]).toMatchObject({ amount: 50000, type: 'income', paymentMode: 'bank' });
+  });
+
+  it('marks card statements as card payments', () => {
+    const card = OFX.replace(/STMTRS>/g, 'CCSTMTRS>');
+    expect(parseOfx(card).rows[1].paymentMode).toBe('card');
+  });
+
+  it('rejects files without a statement', () => {
+    expect(() => parseOfx('<OFX></OFX>')).toThrow(/No bank or credit card statement/);
+  });
+});
+
+describe('parseQif', () => {
+  it('reads records, categories and the account they belong to', () => {
+    const text = [
+      '!Account',
+      'NSavings',
+      '^',
+      '!Type:Bank',
+      'D03/25/2025',
+      'T-1,250.00',
+      'PBigBasket',
+      'LFood:Groceries',
+      '^',
+      'D03/26/2025',
+      'T-500',
+      'PTransfer',
+      'L[Credit Card]',
+      'NATM',
+      '^'
+    ].join('\n');
+
+    const { accounts, rows } = parseQif(text);
+    expect(accounts).toEqual(['Savings']);
+    expect(rows[0]).toMatchObject({ payee: 'BigBasket', amount: 1250, type: 'expense', categoryHint: 'Food', account: 'Savings', paymentMode: 'bank' });
+    expect(ymd(rows[0].date)).toEqual([2025, 3, 25]);
+    // A transfer is not a category, and ATM withdrawals are cash
+    expect(rows[1]).toMatchObject({ categoryHint: '', paymentMode: 'cash' });
+  });
+
+  it('reads day-first files when the dates say so', () => {
+    const { rows } = parseQif('!Type:CCard\nD25/03/2025\nT-10\nPCafe\n^\nD05/03/2025\nT-20\nPCafe\n^');
+    expect(rows.map(row => ymd(row.date))).toEqual([[2025, 3, 25], [2025, 3, 5]]);
+    expect(rows[0].paymentMode).toBe('card');
+  });
+
+  it("reads Quicken's two-digit years month-first", () => {
+    const { rows } = parseQif("!Type:Bank\nD3/ 5'25\nT-10\nPCafe\n^\nD3/10'25\nT-20\nPCafe\n^\nD12/31/24\nT-30\nPCafe\n^");
+    expect(rows.map(row => ymd(row.date))).toEqual([[2025, 3, 5], [2025, 3, 10], [2024, 12, 31]]);
+  });
+
+  it('reads two-digit years day-first when no month-first reading fits', () => {
+    const { rows } = parseQif("!Type:Bank\nD25/ 3'25\nT-10\nPCafe\n^\nD5/ 3'25\nT-20\nPCafe\n^");
+    expect(rows.map(row => ymd(row.date))).toEqual([[2025, 3, 25], [2025, 3, 5]]);
+  });
+
+  it('rejects files without transactions', () => {
+    expect(() => parseQif('!Type:Bank\n')).toThrow(/No transactions/);
+  });
+});
+
+describe('parseStatement', () => {
+  it('rejects formats it has no parser for', () => {
+    expect(() => parseStatement('csv', '')).toThrow(/Unsupported/);
+  });
+});
@@ -0,0 +1,59 @@
+// utils/tags.js - Free-form labels on transactions and split expenses
+
+// Mirrors the server's limits
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+
+/**
+ * Clean up a typed tag: no leading #, single spaces, trimmed
+ * @param {string} tag - Raw text
+ * @returns {string}
+ */
+export const cleanTag = (tag) => String(tag || '').trim().replace(/^#+/, '').replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+
+// "Goa trip" and "goa trip" are the same tag
+export const sameTag = (a, b) => cleanTag(a).toLowerCase() === cleanTag(b).toLowerCase();
+
+/**
+ * Add tags to a list, skipping blanks and ones already present in any case
+ * @param {Array<string>} tags - Current tags
+ * @param {Array<string>} added - Tags to add
+ * @returns {Array<string>}
+ */
+export const addTags = (tags, added) => added.reduce((list, tag) => {
+  const cleaned = cleanTag(tag);
+  if (!cleaned || list.length >= MAX_TAGS || list.some(existing => sameTag(existing, cleaned))) return list;
+  return [...list, cleaned];
+}, tags);
+
+export const hasTag = (record, tag) => (record?.tags || []).some(own => sameTag(own, tag));
+
+/**
+ * Group records by tag; a record with several tags counts towards each, one without any is left out
+ * @param {Array} records - Transactions
+ * @param {Function} amountOf - Amount to total for a record
+ * @returns {Array} [{ tag, total, count }], largest total first
+ */
+export const totalsByTag = (records, amountOf = (record) => Number(record.amount) || 0) => {
+  const totals = new Map();
+  records.forEach(record => {
+    (record.tags || []).forEach(tag => {
+      const key = cleanTag(tag).toLowerCase();
+      const entry = totals.get(key) || { tag: cleanTag(tag), total: 0, count: 0 };
+      entry.total += amountOf(record);
+      entry.count += 1;
+      totals.set(key, entry);
+    });
+  });
+  return [...totals.values()].sort((a, b) => b.total - a.total);
+};
+
+export default {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  cleanTag,
+  sameTag,
+  addTags,
+  hasTag,
+  totalsByTag
+};
@@ -2,6 +2,7 @@
 class TokenManager {
   static TOKEN_KEY = 'authToken';
   static USER_KEY = 'userData';
+  static REFRESH_THRESHOLD = 5 * 60 * 1000; // Refresh when the token has under 5 minutes left
   
   // Store authentication data
   static setAuth(token, user) {
@@ -41,6 +42,38 @@ class TokenManager {
     }
   }
   
+  // Replace the stored token (used after a silent refresh)
+  static setToken(token) {
+    try {
+      if (!token) {
+        console.error('⚠️ TokenManager: Invalid token provided');
+        return false;
+      }
+      
+      localStorage.setItem(this.TOKEN_KEY, token);
+      return true;
+    } catch (error) {
+      console.error('❌ TokenManager: Failed to store token:', error);
+      return false;
+    }
+  }
+  
+  // Replace the stored user data without touching the token
+  static setUser(user) {
+    try {
+      if (!user) {
+        console.error('⚠️ TokenManager: Invalid user data provided');
+        return false;
+      }
+      
+      localStorage.setItem(this.USER_KEY, JSON.stringify(user));
+      return true;
+    } catch (error) {
+      console.error('❌ TokenManager: Failed to store user data:', error);
+      return false;
+    }
+  }
+  
   // Get stored token
   static getToken() {
     try {
@@ -167,7 +200,15 @@ class TokenManager {
     return user._id || user.userId || user.id;
   }
   
-  // Check if token needs refresh (within 5 minutes of expiration)
+  // Milliseconds until the stored token expires (null when unknown)
+  static getTimeToExpiry() {
+    const decoded = this.decodeToken(this.getToken());
+    if (!decoded?.exp) return null;
+    
+    return decoded.exp * 1000 - Date.now();
+  }
+  
+  // Check if token needs refresh (within REFRESH_THRESHOLD of expiration)
   static needsRefresh() {
     const token = this.getToken();
     if (!token) return false;
@@ -176,9 +217,8 @@ class TokenManager {
     if (!validation.valid) return true;
     
     if (validation.expiresAt) {
-      const fiveMinutes = 5 * 60 * 1000; // 5 minutes in milliseconds
       const timeToExpiry = validation.expiresAt.getTime() - Date.now();
-      return timeToExpiry < fiveMinutes;
+      return timeToExpiry < this.REFRESH_THRESHOLD;
     }
     
     return false;